@@ -0,0 +1,5 @@
+// Jest loads src/ through Babel so the ES modules and jest.mock() work
+// together; the app itself runs as native ES modules.
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
@@ -0,0 +1,48 @@
+-- Migration: Create escalations and escalation_events tables
+-- Purpose: Track high-risk assessment submissions (C-SSRS behavior/intent, PHQ-9 item 9)
+--          through a counsellor follow-up workflow with a full audit trail
+-- Date: October 18, 2026
+
+-- Escalations table (one row per triggered risk rule)
+CREATE TABLE IF NOT EXISTS public.escalations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id uuid NOT NULL REFERENCES public.colleges(id) ON DELETE CASCADE,
+  student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  assessment_id uuid REFERENCES public.assessments(id) ON DELETE SET NULL,
+  source varchar(30) NOT NULL DEFAULT 'assessment',
+  form_type varchar(50),
+  rule_id varchar(50) NOT NULL,
+  reason text NOT NULL,
+  risk_level varchar(20) NOT NULL CHECK (risk_level IN ('high', 'urgent')),
+  status varchar(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'acknowledged', 'contacted', 'resolved')),
+  assigned_to uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  acknowledged_at timestamptz,
+  contacted_at timestamptz,
+  resolved_at timestamptz,
+  resolution_note text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Indexes for escalations
+CREATE INDEX IF NOT EXISTS idx_escalations_college ON public.escalations(college_id);
+CREATE INDEX IF NOT EXISTS idx_escalations_student ON public.escalations(student_id);
+CREATE INDEX IF NOT EXISTS idx_escalations_assigned ON public.escalations(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_escalations_college_status ON public.escalations(college_id, status, created_at DESC);
+
+-- Audit trail: every state change or claim on an escalation
+CREATE TABLE IF NOT EXISTS public.escalation_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  escalation_id uuid NOT NULL REFERENCES public.escalations(id) ON DELETE CASCADE,
+  college_id uuid NOT NULL REFERENCES public.colleges(id) ON DELETE CASCADE,
+  actor_id uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  action varchar(30) NOT NULL CHECK (action IN ('created', 'claimed', 'status_changed', 'note')),
+  from_status varchar(20),
+  to_status varchar(20),
+  note text,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Indexes for escalation events
+CREATE INDEX IF NOT EXISTS idx_escalation_events_escalation ON public.escalation_events(escalation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_escalation_events_college ON public.escalation_events(college_id);
@@ -0,0 +1,27 @@
+-- Migration: Create crisis_detections table
+-- Purpose: Log crisis language detected in AI chat/voice messages so counsellors can follow up.
+--          Imminent detections also open an escalation (see 007_create_escalations_tables.sql).
+-- Date: October 18, 2026
+
+CREATE TABLE IF NOT EXISTS public.crisis_detections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  college_id uuid REFERENCES public.colleges(id) ON DELETE CASCADE,
+  conversation_id uuid REFERENCES public.ai_conversations(id) ON DELETE SET NULL,
+  message_id uuid REFERENCES public.ai_messages(id) ON DELETE SET NULL,
+  escalation_id uuid REFERENCES public.escalations(id) ON DELETE SET NULL,
+  source varchar(20) NOT NULL CHECK (source IN ('chat', 'voice')),
+  level varchar(20) NOT NULL CHECK (level IN ('concern', 'imminent')),
+  confidence numeric(3, 2) NOT NULL,
+  matched_phrases jsonb NOT NULL DEFAULT '[]'::jsonb,
+  context_markers jsonb NOT NULL DEFAULT '[]'::jsonb,
+  message_excerpt text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_crisis_detections_user ON public.crisis_detections(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_crisis_detections_college_level ON public.crisis_detections(college_id, level, created_at DESC);
+
+-- Allow escalations raised from chat (no assessment attached)
+ALTER TABLE public.escalations DROP CONSTRAINT IF EXISTS escalations_source_check;
+ALTER TABLE public.escalations ADD CONSTRAINT escalations_source_check CHECK (source IN ('assessment', 'ai_chat'));
@@ -0,0 +1,16 @@
+-- Migration: Declarative scoring for assessment forms
+-- Purpose: Store scoring definitions (weights, reverse items, subscales, mean/sum, severity bands)
+--          on assessment_forms, and the resulting subscale breakdown on each assessment.
+--          Definition format is documented in src/utils/scoringEngine.js.
+-- Date: October 18, 2026
+
+ALTER TABLE public.assessment_forms
+  ADD COLUMN IF NOT EXISTS scoring jsonb;
+
+-- Mean-scored forms produce fractional scores
+ALTER TABLE public.assessments
+  ALTER COLUMN score TYPE numeric(8, 2);
+
+-- { maxScore, subscales: { <id>: { name, score, maxScore, severity } } }
+ALTER TABLE public.assessments
+  ADD COLUMN IF NOT EXISTS score_details jsonb;
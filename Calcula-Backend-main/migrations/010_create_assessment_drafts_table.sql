@@ -0,0 +1,19 @@
+-- Migration: Create assessment_drafts table
+-- Purpose: Let students save a partially completed assessment and resume it later.
+--          One draft per student and form type; removed when the form is submitted.
+-- Date: October 18, 2026
+
+CREATE TABLE IF NOT EXISTS public.assessment_drafts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  college_id uuid NOT NULL REFERENCES public.colleges(id) ON DELETE CASCADE,
+  form_type varchar(50) NOT NULL,
+  responses jsonb NOT NULL DEFAULT '{}'::jsonb,
+  answered_count integer NOT NULL DEFAULT 0,
+  total_count integer NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT assessment_drafts_student_form_key UNIQUE (student_id, form_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessment_drafts_student ON public.assessment_drafts(student_id, college_id, updated_at DESC);
@@ -0,0 +1,42 @@
+-- Migration: Create screening_campaigns and assessment_reminders tables
+-- Purpose: Re-screen scheduling (PHQ-9/GAD-7 every two weeks, etc.) and admin-run
+--          college-wide screening campaigns. The reminder job writes one row per
+--          student and due item; students see open reminders in their announcements feed.
+-- Date: October 18, 2026
+
+-- Admin-defined campaigns, e.g. "PHQ-9 for all first-years by March 1"
+CREATE TABLE IF NOT EXISTS public.screening_campaigns (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id uuid NOT NULL REFERENCES public.colleges(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  description text,
+  form_type varchar(50) NOT NULL,
+  target_passing_years integer[],  -- NULL or empty = every student in the college
+  starts_at timestamptz NOT NULL DEFAULT now(),
+  due_by timestamptz NOT NULL,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CONSTRAINT screening_campaigns_dates_check CHECK (due_by > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_screening_campaigns_college ON public.screening_campaigns(college_id, is_active, starts_at);
+
+-- One reminder per student, form and due date (the job upserts, so reruns are harmless)
+CREATE TABLE IF NOT EXISTS public.assessment_reminders (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id uuid NOT NULL REFERENCES public.colleges(id) ON DELETE CASCADE,
+  student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  form_type varchar(50) NOT NULL,
+  reason varchar(20) NOT NULL CHECK (reason IN ('rescreen', 'campaign')),
+  campaign_id uuid REFERENCES public.screening_campaigns(id) ON DELETE CASCADE,
+  due_at timestamptz NOT NULL,
+  seen_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  CONSTRAINT assessment_reminders_unique_due UNIQUE (student_id, form_type, due_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessment_reminders_open ON public.assessment_reminders(student_id, college_id) WHERE completed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_assessment_reminders_campaign ON public.assessment_reminders(campaign_id);
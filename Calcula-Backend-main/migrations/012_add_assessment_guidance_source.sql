@@ -0,0 +1,12 @@
+-- Migration: Record where assessment guidance came from
+-- Purpose: Assessments are now stored before guidance is generated, then updated
+--          with the guidance. guidance_source is 'llm' or 'rules' (the offline
+--          library in src/utils/guidanceLibrary.js used when the LLM is unavailable).
+-- Date: October 18, 2026
+
+ALTER TABLE public.assessments
+  ALTER COLUMN guidance DROP NOT NULL,
+  ALTER COLUMN recommended_actions DROP NOT NULL;
+
+ALTER TABLE public.assessments
+  ADD COLUMN IF NOT EXISTS guidance_source varchar(20);
@@ -0,0 +1,15 @@
+-- Migration: Rolling summaries for AI companion conversations
+-- Purpose: Older turns of long conversations are compressed into a running
+--          summary that is sent to the model in place of the full history.
+--          summary_through is the created_at of the newest ai_messages row
+--          folded into the summary; later messages are sent verbatim.
+--          See src/services/conversationSummary.service.js.
+-- Date: October 18, 2026
+
+ALTER TABLE public.ai_conversations
+  ADD COLUMN IF NOT EXISTS summary text,
+  ADD COLUMN IF NOT EXISTS summary_through timestamptz,
+  ADD COLUMN IF NOT EXISTS summary_updated_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_ai_messages_conversation_created
+  ON public.ai_messages (conversation_id, created_at);
@@ -0,0 +1,22 @@
+-- Migration: Student controls over what the AI companion remembers
+-- Purpose: Students can list, delete and export the snippets the companion
+--          recalls from past conversations, and pause memory altogether.
+--          ai_memory_settings.paused stops new messages from being embedded
+--          or recalled; ai_messages.memory_excluded marks messages whose memory
+--          was deleted (or that were sent while paused) so the keyword recall
+--          over ai_messages skips them too. The chat transcript itself is kept.
+--          See src/services/aiMemory.service.js.
+-- Date: October 18, 2026
+
+CREATE TABLE IF NOT EXISTS public.ai_memory_settings (
+  user_id uuid PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+  paused boolean NOT NULL DEFAULT false,
+  paused_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.ai_messages
+  ADD COLUMN IF NOT EXISTS memory_excluded boolean NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_ai_message_embeddings_user_created
+  ON public.ai_message_embeddings (user_id, created_at DESC);
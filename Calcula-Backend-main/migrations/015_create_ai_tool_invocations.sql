@@ -0,0 +1,37 @@
+-- Migration: Tool calls made by the AI companion
+-- Purpose: The companion can look up counsellor slots, suggest wellness tools,
+--          show crisis contacts, and draft appointment requests and daily
+--          check-ins. Every tool call is logged here. Write actions are stored
+--          as pending_confirmation and only run when the student confirms them
+--          in the app (confirmed / failed), or are cancelled or expire.
+--          colleges.crisis_contacts holds the college's own crisis contacts,
+--          e.g. [{"label": "Campus counselling centre", "phone": "...", "hours": "9-5"}].
+--          See src/services/companionTools.service.js.
+-- Date: October 18, 2026
+
+ALTER TABLE public.colleges
+  ADD COLUMN IF NOT EXISTS crisis_contacts jsonb NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE TABLE IF NOT EXISTS public.ai_tool_invocations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  college_id uuid REFERENCES public.colleges(id) ON DELETE CASCADE,
+  -- Kept after the conversation is deleted, as an audit record
+  conversation_id uuid REFERENCES public.ai_conversations(id) ON DELETE SET NULL,
+  tool varchar(64) NOT NULL,
+  arguments jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status varchar(30) NOT NULL CHECK (status IN (
+    'succeeded', 'failed', 'pending_confirmation', 'confirmed', 'cancelled', 'expired'
+  )),
+  summary text,
+  result jsonb,
+  error text,
+  duration_ms integer,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  resolved_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_tool_invocations_user_created
+  ON public.ai_tool_invocations (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_tool_invocations_pending
+  ON public.ai_tool_invocations (user_id, conversation_id) WHERE status = 'pending_confirmation';
@@ -0,0 +1,74 @@
+-- Migration: Index counsellor resources into the knowledge base
+-- Purpose: Text from resources uploaded by counsellors (PDF, DOCX, TXT) is
+--          split into overlapping chunks and embedded into knowledge_embeddings
+--          (source_type 'counsellor_resource', source_id = counsellor_resources.id)
+--          so the AI companion can draw on and cite them. Chunks are scoped to
+--          the resource's college: rows with a college_id are only searched for
+--          that college. counsellor_resources records how indexing went.
+--          See src/services/knowledgeIngestion.service.js.
+-- Date: October 18, 2026
+
+ALTER TABLE public.knowledge_embeddings
+  ADD COLUMN IF NOT EXISTS college_id uuid REFERENCES public.colleges(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS chunk_index integer NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_embeddings_source
+  ON public.knowledge_embeddings (source_type, source_id);
+CREATE INDEX IF NOT EXISTS idx_knowledge_embeddings_college_id
+  ON public.knowledge_embeddings (college_id);
+
+ALTER TABLE public.counsellor_resources
+  ADD COLUMN IF NOT EXISTS index_status varchar(20) NOT NULL DEFAULT 'pending'
+    CHECK (index_status IN ('pending', 'indexed', 'unsupported', 'failed')),
+  ADD COLUMN IF NOT EXISTS index_error text,
+  ADD COLUMN IF NOT EXISTS chunk_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS indexed_at timestamptz;
+
+-- Same search as before, plus college scoping; the old signature is dropped
+-- so PostgREST does not see two overloads
+DROP FUNCTION IF EXISTS public.search_knowledge_embeddings(vector, uuid, int, text[], float);
+
+CREATE OR REPLACE FUNCTION public.search_knowledge_embeddings(
+    query_embedding vector(3072),
+    query_user_id uuid DEFAULT NULL,
+    match_count int DEFAULT 5,
+    source_type_filter text[] DEFAULT NULL,
+    similarity_threshold float DEFAULT 0.3,
+    query_college_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+    id uuid,
+    source_type varchar(50),
+    source_id uuid,
+    title text,
+    content text,
+    metadata jsonb,
+    chunk_index integer,
+    created_at timestamptz,
+    similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        ke.id,
+        ke.source_type,
+        ke.source_id,
+        ke.title,
+        ke.content,
+        ke.metadata,
+        ke.chunk_index,
+        ke.created_at,
+        1 - (ke.embedding <=> query_embedding) AS similarity
+    FROM public.knowledge_embeddings ke
+    WHERE (ke.user_id IS NULL OR ke.user_id = query_user_id)
+        AND (ke.college_id IS NULL OR ke.college_id = query_college_id)
+        AND (source_type_filter IS NULL OR ke.source_type = ANY(source_type_filter))
+        AND 1 - (ke.embedding <=> query_embedding) > similarity_threshold
+    ORDER BY ke.embedding <=> query_embedding
+    LIMIT match_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_knowledge_embeddings TO postgres, service_role, authenticated;
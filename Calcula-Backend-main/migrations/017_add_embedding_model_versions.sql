@@ -0,0 +1,170 @@
+-- Migration: Embedding model versions and re-embedding jobs
+-- Purpose: Every stored vector records the model that produced it
+--          (embedding_model, e.g. 'openai/text-embedding-3-large', and
+--          embedding_dimensions), and the vector columns no longer fix the
+--          size, so rows from two models can coexist while they are being
+--          re-embedded. Searches only compare vectors from the model the query
+--          was embedded with. embedding_migrations tracks the resumable
+--          re-embedding job (progress and the cursor to resume from).
+--          See src/services/embeddingMigration.service.js.
+-- Date: October 18, 2026
+
+-- ivfflat indexes need a fixed size (and do not support 3072 dimensions anyway)
+DROP INDEX IF EXISTS public.idx_ai_message_embeddings_vector;
+DROP INDEX IF EXISTS public.idx_knowledge_embeddings_vector;
+
+ALTER TABLE public.ai_message_embeddings
+  ALTER COLUMN embedding TYPE vector,
+  ADD COLUMN IF NOT EXISTS embedding_model text,
+  ADD COLUMN IF NOT EXISTS embedding_dimensions integer;
+
+ALTER TABLE public.knowledge_embeddings
+  ALTER COLUMN embedding TYPE vector,
+  ADD COLUMN IF NOT EXISTS embedding_model text,
+  ADD COLUMN IF NOT EXISTS embedding_dimensions integer;
+
+-- Everything stored so far came from the previously hard-coded model
+UPDATE public.ai_message_embeddings
+  SET embedding_model = 'openai/text-embedding-3-large', embedding_dimensions = vector_dims(embedding)
+  WHERE embedding_model IS NULL;
+UPDATE public.knowledge_embeddings
+  SET embedding_model = 'openai/text-embedding-3-large', embedding_dimensions = vector_dims(embedding)
+  WHERE embedding_model IS NULL;
+
+ALTER TABLE public.ai_message_embeddings
+  ALTER COLUMN embedding_model SET NOT NULL,
+  ALTER COLUMN embedding_dimensions SET NOT NULL;
+ALTER TABLE public.knowledge_embeddings
+  ALTER COLUMN embedding_model SET NOT NULL,
+  ALTER COLUMN embedding_dimensions SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ai_message_embeddings_user_model
+  ON public.ai_message_embeddings (user_id, embedding_model, embedding_dimensions);
+CREATE INDEX IF NOT EXISTS idx_knowledge_embeddings_model
+  ON public.knowledge_embeddings (embedding_model, embedding_dimensions);
+
+CREATE TABLE IF NOT EXISTS public.embedding_migrations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  target_model text NOT NULL,
+  target_dimensions integer NOT NULL,
+  status varchar(20) NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'paused', 'completed', 'failed', 'superseded')),
+  total_rows integer NOT NULL DEFAULT 0,
+  processed_rows integer NOT NULL DEFAULT 0,
+  failed_rows integer NOT NULL DEFAULT 0,
+  -- Resume point: last row re-embedded, in the table being processed
+  cursor_table varchar(50),
+  cursor_id uuid,
+  last_error text,
+  started_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz
+);
+
+-- At most one unfinished migration
+CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_migrations_unfinished
+  ON public.embedding_migrations ((true)) WHERE status IN ('running', 'paused', 'failed');
+
+-- Search functions: same results as before, restricted to vectors from the
+-- query's model. Candidates are filtered first so vectors of another size
+-- never reach the distance operator. Old signatures are dropped so PostgREST
+-- does not see two overloads.
+DROP FUNCTION IF EXISTS public.search_user_message_embeddings(vector, uuid, int, uuid, float);
+DROP FUNCTION IF EXISTS public.search_knowledge_embeddings(vector, uuid, int, text[], float, uuid);
+
+CREATE OR REPLACE FUNCTION public.search_user_message_embeddings(
+    query_embedding vector,
+    query_user_id uuid,
+    match_count int DEFAULT 5,
+    exclude_conversation_id uuid DEFAULT NULL,
+    similarity_threshold float DEFAULT 0.3,
+    query_embedding_model text DEFAULT NULL
+)
+RETURNS TABLE (
+    id uuid,
+    message_id uuid,
+    conversation_id uuid,
+    content text,
+    created_at timestamptz,
+    similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH candidates AS MATERIALIZED (
+        SELECT ame.id, ame.message_id, ame.conversation_id, ame.content, ame.created_at, ame.embedding
+        FROM public.ai_message_embeddings ame
+        WHERE ame.user_id = query_user_id
+            AND (exclude_conversation_id IS NULL OR ame.conversation_id != exclude_conversation_id)
+            AND ame.embedding_dimensions = vector_dims(query_embedding)
+            AND (query_embedding_model IS NULL OR ame.embedding_model = query_embedding_model)
+    )
+    SELECT
+        c.id,
+        c.message_id,
+        c.conversation_id,
+        c.content,
+        c.created_at,
+        1 - (c.embedding <=> query_embedding) AS similarity
+    FROM candidates c
+    WHERE 1 - (c.embedding <=> query_embedding) > similarity_threshold
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.search_knowledge_embeddings(
+    query_embedding vector,
+    query_user_id uuid DEFAULT NULL,
+    match_count int DEFAULT 5,
+    source_type_filter text[] DEFAULT NULL,
+    similarity_threshold float DEFAULT 0.3,
+    query_college_id uuid DEFAULT NULL,
+    query_embedding_model text DEFAULT NULL
+)
+RETURNS TABLE (
+    id uuid,
+    source_type varchar(50),
+    source_id uuid,
+    title text,
+    content text,
+    metadata jsonb,
+    chunk_index integer,
+    created_at timestamptz,
+    similarity float
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH candidates AS MATERIALIZED (
+        SELECT ke.id, ke.source_type, ke.source_id, ke.title, ke.content, ke.metadata,
+               ke.chunk_index, ke.created_at, ke.embedding
+        FROM public.knowledge_embeddings ke
+        WHERE (ke.user_id IS NULL OR ke.user_id = query_user_id)
+            AND (ke.college_id IS NULL OR ke.college_id = query_college_id)
+            AND (source_type_filter IS NULL OR ke.source_type = ANY(source_type_filter))
+            AND ke.embedding_dimensions = vector_dims(query_embedding)
+            AND (query_embedding_model IS NULL OR ke.embedding_model = query_embedding_model)
+    )
+    SELECT
+        c.id,
+        c.source_type,
+        c.source_id,
+        c.title,
+        c.content,
+        c.metadata,
+        c.chunk_index,
+        c.created_at,
+        1 - (c.embedding <=> query_embedding) AS similarity
+    FROM candidates c
+    WHERE 1 - (c.embedding <=> query_embedding) > similarity_threshold
+    ORDER BY c.embedding <=> query_embedding
+    LIMIT match_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.search_user_message_embeddings TO postgres, service_role, authenticated;
+GRANT EXECUTE ON FUNCTION public.search_knowledge_embeddings TO postgres, service_role, authenticated;
@@ -0,0 +1,138 @@
+-- Migration: AI usage metering and quotas
+-- Purpose: Every model call made for a user (chat, voice, transcription,
+--          embeddings, realtime voice sessions) is added to a daily rollup per
+--          user and feature, with the user's college, so usage and cost can be
+--          reported per user and per college. ai_usage_quotas holds daily or
+--          monthly limits per user or per college; rows with a NULL college_id
+--          apply to every college unless the college has its own row for the
+--          same scope, period and metric.
+--          See src/services/aiUsage.service.js.
+-- Date: October 18, 2026
+
+CREATE TABLE IF NOT EXISTS public.ai_usage_daily (
+  usage_date date NOT NULL,
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  feature varchar(40) NOT NULL,
+  college_id uuid REFERENCES public.colleges(id) ON DELETE SET NULL,
+  requests integer NOT NULL DEFAULT 0,
+  prompt_tokens bigint NOT NULL DEFAULT 0,
+  completion_tokens bigint NOT NULL DEFAULT 0,
+  total_tokens bigint NOT NULL DEFAULT 0,
+  embedding_calls integer NOT NULL DEFAULT 0,
+  embedding_tokens bigint NOT NULL DEFAULT 0,
+  audio_seconds numeric(12, 1) NOT NULL DEFAULT 0,
+  realtime_sessions integer NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (usage_date, user_id, feature)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_daily_user_date
+  ON public.ai_usage_daily (user_id, usage_date DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_daily_college_date
+  ON public.ai_usage_daily (college_id, usage_date DESC);
+
+CREATE TABLE IF NOT EXISTS public.ai_usage_quotas (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  college_id uuid REFERENCES public.colleges(id) ON DELETE CASCADE,
+  -- 'user': each user of the college; 'college': the college as a whole
+  scope varchar(10) NOT NULL CHECK (scope IN ('user', 'college')),
+  period varchar(10) NOT NULL CHECK (period IN ('daily', 'monthly')),
+  metric varchar(20) NOT NULL CHECK (metric IN ('tokens', 'embedding_calls', 'audio_seconds', 'realtime_sessions')),
+  limit_value numeric(14, 1) NOT NULL CHECK (limit_value >= 0),
+  updated_by uuid REFERENCES public.profiles(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_usage_quotas_unique
+  ON public.ai_usage_quotas (COALESCE(college_id, '00000000-0000-0000-0000-000000000000'::uuid), scope, period, metric);
+
+-- Add one call's usage to the rollup
+CREATE OR REPLACE FUNCTION public.record_ai_usage(
+    p_user_id uuid,
+    p_college_id uuid,
+    p_feature text,
+    p_requests int DEFAULT 0,
+    p_prompt_tokens bigint DEFAULT 0,
+    p_completion_tokens bigint DEFAULT 0,
+    p_total_tokens bigint DEFAULT 0,
+    p_embedding_calls int DEFAULT 0,
+    p_embedding_tokens bigint DEFAULT 0,
+    p_audio_seconds numeric DEFAULT 0,
+    p_realtime_sessions int DEFAULT 0
+)
+RETURNS void
+LANGUAGE sql
+AS $$
+    INSERT INTO public.ai_usage_daily AS d (
+        usage_date, user_id, feature, college_id, requests, prompt_tokens, completion_tokens,
+        total_tokens, embedding_calls, embedding_tokens, audio_seconds, realtime_sessions
+    )
+    VALUES (
+        (now() AT TIME ZONE 'utc')::date, p_user_id, p_feature, p_college_id, p_requests, p_prompt_tokens,
+        p_completion_tokens, p_total_tokens, p_embedding_calls, p_embedding_tokens, p_audio_seconds, p_realtime_sessions
+    )
+    ON CONFLICT (usage_date, user_id, feature) DO UPDATE SET
+        college_id = COALESCE(EXCLUDED.college_id, d.college_id),
+        requests = d.requests + EXCLUDED.requests,
+        prompt_tokens = d.prompt_tokens + EXCLUDED.prompt_tokens,
+        completion_tokens = d.completion_tokens + EXCLUDED.completion_tokens,
+        total_tokens = d.total_tokens + EXCLUDED.total_tokens,
+        embedding_calls = d.embedding_calls + EXCLUDED.embedding_calls,
+        embedding_tokens = d.embedding_tokens + EXCLUDED.embedding_tokens,
+        audio_seconds = d.audio_seconds + EXCLUDED.audio_seconds,
+        realtime_sessions = d.realtime_sessions + EXCLUDED.realtime_sessions,
+        updated_at = now();
+$$;
+
+-- Usage between two dates (inclusive), optionally for one college or user,
+-- totalled per college, user, feature or day (p_group NULL: one total row)
+CREATE OR REPLACE FUNCTION public.ai_usage_summary(
+    p_since date,
+    p_until date DEFAULT NULL,
+    p_group text DEFAULT NULL,
+    p_college_id uuid DEFAULT NULL,
+    p_user_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+    group_key text,
+    users bigint,
+    requests bigint,
+    prompt_tokens numeric,
+    completion_tokens numeric,
+    total_tokens numeric,
+    embedding_calls bigint,
+    embedding_tokens numeric,
+    audio_seconds numeric,
+    realtime_sessions bigint
+)
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        CASE p_group
+            WHEN 'college' THEN d.college_id::text
+            WHEN 'user' THEN d.user_id::text
+            WHEN 'feature' THEN d.feature::text
+            WHEN 'day' THEN d.usage_date::text
+        END AS group_key,
+        COUNT(DISTINCT d.user_id),
+        COALESCE(SUM(d.requests), 0),
+        COALESCE(SUM(d.prompt_tokens), 0),
+        COALESCE(SUM(d.completion_tokens), 0),
+        COALESCE(SUM(d.total_tokens), 0),
+        COALESCE(SUM(d.embedding_calls), 0),
+        COALESCE(SUM(d.embedding_tokens), 0),
+        COALESCE(SUM(d.audio_seconds), 0),
+        COALESCE(SUM(d.realtime_sessions), 0)
+    FROM public.ai_usage_daily d
+    WHERE d.usage_date >= p_since
+        AND (p_until IS NULL OR d.usage_date <= p_until)
+        AND (p_college_id IS NULL OR d.college_id = p_college_id)
+        AND (p_user_id IS NULL OR d.user_id = p_user_id)
+    GROUP BY 1
+    ORDER BY 6 DESC;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.record_ai_usage TO postgres, service_role;
+GRANT EXECUTE ON FUNCTION public.ai_usage_summary TO postgres, service_role;
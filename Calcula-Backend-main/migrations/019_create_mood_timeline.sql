@@ -0,0 +1,44 @@
+-- Migration: Mood timeline from AI chat and journaling
+-- Purpose: The mood detected on each AI companion message (mood_label,
+--          mood_score from detectMood) is stored with the message, and daily
+--          check-ins and worry entries get a mood when they are saved. These
+--          are combined into a daily mood series per student.
+--          mood_day_corrections holds the label a student set for a day the
+--          detector got wrong; mood_sharing_settings records whether the
+--          student lets their counsellors see the series (off by default).
+--          See src/services/moodTimeline.service.js.
+-- Date: October 18, 2026
+
+ALTER TABLE public.ai_messages
+  ADD COLUMN IF NOT EXISTS mood_label varchar(20),
+  ADD COLUMN IF NOT EXISTS mood_score real;
+
+ALTER TABLE public.daily_checkins
+  ADD COLUMN IF NOT EXISTS mood_label varchar(20),
+  ADD COLUMN IF NOT EXISTS mood_score real;
+
+ALTER TABLE public.worries_journal
+  ADD COLUMN IF NOT EXISTS mood_label varchar(20),
+  ADD COLUMN IF NOT EXISTS mood_score real;
+
+CREATE INDEX IF NOT EXISTS idx_ai_messages_conversation_mood
+  ON public.ai_messages (conversation_id, created_at)
+  WHERE mood_label IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.mood_day_corrections (
+  student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  mood_date date NOT NULL,
+  label varchar(20) NOT NULL
+    CHECK (label IN ('anger', 'disgust', 'fear', 'joy', 'neutral', 'sadness', 'surprise')),
+  note text CHECK (char_length(note) <= 500),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (student_id, mood_date)
+);
+
+CREATE TABLE IF NOT EXISTS public.mood_sharing_settings (
+  student_id uuid PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+  share_with_counsellors boolean NOT NULL DEFAULT false,
+  shared_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
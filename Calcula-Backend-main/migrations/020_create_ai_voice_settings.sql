@@ -0,0 +1,15 @@
+-- Migration: Spoken replies from the AI companion
+-- Purpose: The voice endpoint can answer with synthesized speech as well as
+--          text. ai_voice_settings holds each user's voice, speaking rate and
+--          whether voice replies are spoken by default. Synthesized audio is
+--          metered as audio_seconds under the "voice" and "speech" features.
+--          See src/services/speech.service.js.
+-- Date: October 18, 2026
+
+CREATE TABLE IF NOT EXISTS public.ai_voice_settings (
+  user_id uuid PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+  voice varchar(20) NOT NULL DEFAULT 'alloy',
+  speed real NOT NULL DEFAULT 1.0 CHECK (speed BETWEEN 0.5 AND 2.0),
+  spoken_replies boolean NOT NULL DEFAULT true,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,29 @@
+-- Migration: Realtime voice sessions
+-- Purpose: Students, counsellors and admins talk to the voice assistant over
+--          OpenAI Realtime (WebRTC), so the audio never passes through this
+--          server. Each session is recorded here when it is created, with the
+--          model, voice and role it was configured for, and closed when the
+--          app ends it or it runs past the provider's time limit. Sessions are
+--          also counted as realtime_sessions in ai_usage_daily.
+--          See src/services/realtimeSession.service.js.
+-- Date: October 18, 2026
+
+CREATE TABLE IF NOT EXISTS public.ai_realtime_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  college_id uuid REFERENCES public.colleges(id) ON DELETE CASCADE,
+  role varchar(20) NOT NULL CHECK (role IN ('student', 'counsellor', 'admin')),
+  provider_session_id text,
+  model varchar(100) NOT NULL,
+  voice varchar(20) NOT NULL,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  ended_at timestamptz,
+  duration_seconds integer CHECK (duration_seconds >= 0),
+  end_reason varchar(20) CHECK (end_reason IN ('ended', 'error', 'expired'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_realtime_sessions_user_open
+  ON public.ai_realtime_sessions (user_id, started_at) WHERE ended_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ai_realtime_sessions_college_started
+  ON public.ai_realtime_sessions (college_id, started_at DESC);
@@ -0,0 +1,49 @@
+-- Migration: Consent-gated counselling session transcripts
+-- Purpose: A counsellor can transcribe a counselling session, but only if the
+--          student has agreed for that appointment
+--          (session_transcription_consents). Audio is sent in numbered chunks
+--          while the session runs; only each chunk's text is kept
+--          (session_transcript_chunks), never the audio. Finishing joins the
+--          chunks into session_transcripts.transcript and drafts a summary
+--          (notes and goals) that the counsellor edits into the appointment's
+--          notes and session_goals. Withdrawing consent deletes the transcript.
+--          See src/services/sessionTranscription.service.js.
+-- Date: October 18, 2026
+
+CREATE TABLE IF NOT EXISTS public.session_transcription_consents (
+  appointment_id uuid PRIMARY KEY REFERENCES public.appointments(id) ON DELETE CASCADE,
+  student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  college_id uuid REFERENCES public.colleges(id) ON DELETE CASCADE,
+  consented boolean NOT NULL,
+  consented_at timestamptz,
+  withdrawn_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.session_transcripts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  appointment_id uuid NOT NULL UNIQUE REFERENCES public.appointments(id) ON DELETE CASCADE,
+  counsellor_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  student_id uuid NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  college_id uuid REFERENCES public.colleges(id) ON DELETE CASCADE,
+  status varchar(20) NOT NULL DEFAULT 'recording' CHECK (status IN ('recording', 'completed')),
+  transcript text,
+  -- Draft for the appointment: { "notes": "...", "session_goals": [{ "goal": "..." }] }
+  summary jsonb,
+  summary_generated_at timestamptz,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  ended_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS public.session_transcript_chunks (
+  transcript_id uuid NOT NULL REFERENCES public.session_transcripts(id) ON DELETE CASCADE,
+  seq integer NOT NULL CHECK (seq >= 0),
+  text text NOT NULL DEFAULT '',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  -- A retried chunk replaces the earlier attempt
+  PRIMARY KEY (transcript_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_transcripts_counsellor
+  ON public.session_transcripts (counsellor_id, started_at DESC);
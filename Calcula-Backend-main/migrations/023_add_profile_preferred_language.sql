@@ -0,0 +1,12 @@
+-- Migration: Preferred language on profiles
+-- Purpose: The interface language a user picks (en, hi, ur, ks) is saved on
+--          their profile so model output follows it: AI companion replies,
+--          assessment guidance (including the rule-based fallback), worry
+--          reframes, realtime voice sessions and session summaries. Crisis
+--          replies sent without the model are localized as well.
+--          See src/utils/languages.js.
+-- Date: October 18, 2026
+
+ALTER TABLE public.profiles
+  ADD COLUMN IF NOT EXISTS preferred_language varchar(5) NOT NULL DEFAULT 'en'
+  CHECK (preferred_language IN ('en', 'hi', 'ur', 'ks'));
@@ -0,0 +1,16 @@
+-- Migration: Conversation titles and topic tags
+-- Purpose: After the first exchange each ai_conversations row gets a short
+--          title and up to three topic tags (exam stress, sleep,
+--          relationships, ...), written by the chat model or, without it,
+--          by keyword extraction. Students can search their conversations
+--          by title and filter them by tag.
+--          See src/services/conversationTitle.service.js.
+-- Date: October 18, 2026
+
+ALTER TABLE public.ai_conversations
+  ADD COLUMN IF NOT EXISTS tags text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS title_source varchar(10) CHECK (title_source IN ('llm', 'keywords')),
+  ADD COLUMN IF NOT EXISTS title_generated_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_ai_conversations_tags
+  ON public.ai_conversations USING gin (tags);
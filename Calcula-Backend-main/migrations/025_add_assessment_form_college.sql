@@ -0,0 +1,12 @@
+-- Migration: College-scoped assessment forms
+-- Purpose: Admin-created forms belong to the admin's college. Students only
+--          see and submit forms of their own college, plus forms with no
+--          college (available everywhere, e.g. created by a superadmin).
+--          See getActiveDynamicForm in src/services/assessment.service.js.
+-- Date: October 18, 2026
+
+ALTER TABLE public.assessment_forms
+  ADD COLUMN IF NOT EXISTS college_id uuid REFERENCES public.colleges(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_assessment_forms_college
+  ON public.assessment_forms (college_id);
@@ -0,0 +1,71 @@
+import 'dotenv/config';
+import { detectMood } from '../src/utils/moodDetector.js';
+import { MOOD_LABELS } from '../src/utils/moodClassifier.js';
+import { moodCases } from './fixtures/moodCases.js';
+
+/**
+ * Run mood detection over the labelled sample and report accuracy
+ * Usage: node scripts/evaluateMoodClassifier.js [--backend lexicon|huggingface]
+ * Evaluates the local lexicon classifier by default. With --backend huggingface
+ * (needs HF_API_KEY) the remote model runs on the same sample, so the two can
+ * be compared.
+ * Exits with code 1 if accuracy is below MIN_ACCURACY for the lexicon backend.
+ */
+
+const MIN_ACCURACY = 0.9;
+
+const backendArg = () => {
+  const index = process.argv.indexOf('--backend');
+  return index === -1 ? 'lexicon' : process.argv[index + 1];
+};
+
+async function evaluateMoodClassifier() {
+  const backend = backendArg();
+  if (!['lexicon', 'huggingface'].includes(backend)) {
+    console.error('❌ --backend must be lexicon or huggingface');
+    process.exit(1);
+  }
+  if (backend === 'huggingface' && !process.env.HF_API_KEY) {
+    console.error('❌ HF_API_KEY is needed to evaluate the huggingface backend');
+    process.exit(1);
+  }
+
+  const confusion = Object.fromEntries(
+    MOOD_LABELS.map((expected) => [expected, Object.fromEntries(MOOD_LABELS.map((l) => [l, 0]))])
+  );
+  const failures = [];
+  let unanswered = 0;
+
+  for (const { text, expected } of moodCases) {
+    const mood = await detectMood(text, { backend });
+    if (!mood) {
+      unanswered++;
+      failures.push({ text, expected, actual: 'none' });
+      continue;
+    }
+    const label = mood.label.toLowerCase();
+    if (confusion[expected][label] !== undefined) confusion[expected][label]++;
+    if (label !== expected) failures.push({ text, expected, actual: label, score: mood.score });
+  }
+
+  const correct = moodCases.length - failures.length;
+  const accuracy = correct / moodCases.length;
+  console.log(`🙂 Mood detection (${backend}): ${correct}/${moodCases.length} correct, accuracy ${accuracy.toFixed(3)}`);
+  if (unanswered > 0) console.log(`   ${unanswered} messages got no answer`);
+  console.log('\nConfusion matrix (rows = expected, columns = detected):');
+  console.table(confusion);
+
+  if (failures.length > 0) {
+    console.log('\nMisclassified messages:');
+    failures.forEach((f) => console.log(`  [${f.expected} -> ${f.actual}] "${f.text}"`));
+  }
+
+  if (backend === 'lexicon' && accuracy < MIN_ACCURACY) {
+    console.log(`\n❌ Accuracy below ${MIN_ACCURACY}`);
+    process.exit(1);
+  }
+
+  console.log(`\n✅ ${backend} accuracy ${accuracy.toFixed(3)}${backend === 'lexicon' ? ` (minimum ${MIN_ACCURACY})` : ''}`);
+}
+
+evaluateMoodClassifier();
@@ -0,0 +1,148 @@
+import 'dotenv/config';
+import { createMockProvider, setProvider, embed } from '../src/services/llm/index.js';
+import {
+  extractKeywords,
+  scoreKeywordMatch,
+  hybridRank,
+  RERANKERS
+} from '../src/utils/hybridRetrieval.js';
+import { retrievalDocuments, retrievalQueries } from './fixtures/retrievalCases.js';
+
+/**
+ * Measure recall@k of knowledge retrieval on the labelled query set
+ * Usage: node scripts/evaluateRetrieval.js [--live]
+ * Compares vector-only, keyword-only and hybrid ranking (with each built-in
+ * re-ranker) over an in-memory copy of the documents, using the same keyword
+ * scoring, fusion, deduplication and re-ranking as src/utils/vectorStore.js.
+ * Embeddings come from the mock provider's bag-of-words vectors unless
+ * --live is given, which uses the configured embedding provider (and costs
+ * API calls). Exits with code 1 if hybrid recall at any k falls below the
+ * better of the single searches at that k.
+ */
+
+const K_VALUES = [1, 3, 5];
+const MISSES_K = 3; // topK the AI companion retrieves per search
+const CANDIDATE_MULTIPLIER = 3; // As in vectorStore.js
+
+const canonicalId = new Map(retrievalDocuments.map((doc) => [doc.id, doc.duplicateOf || doc.id]));
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const embedAll = async (texts) => {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += 16) {
+    const { embeddings } = await embed({ input: texts.slice(i, i + 16) });
+    vectors.push(...embeddings);
+  }
+  return vectors;
+};
+
+const vectorSearch = (queryVector, docVectors, limit) => retrievalDocuments
+  .map((doc, index) => ({ ...doc, similarity: cosine(queryVector, docVectors[index]) }))
+  .sort((a, b) => b.similarity - a.similarity)
+  .slice(0, limit);
+
+const keywordSearch = (query, limit) => {
+  const keywords = extractKeywords(query);
+  return retrievalDocuments
+    .map((doc) => ({ ...doc, score: scoreKeywordMatch(doc, keywords).score }))
+    .filter((doc) => doc.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+// Share of the relevant documents found in the top k, duplicates counted once
+const recallAt = (results, relevant, k) => {
+  const found = new Set(results.slice(0, k).map((item) => canonicalId.get(item.id)));
+  return relevant.filter((id) => found.has(id)).length / relevant.length;
+};
+
+const reciprocalRank = (results, relevant) => {
+  const index = results.findIndex((item) => relevant.includes(canonicalId.get(item.id)));
+  return index === -1 ? 0 : 1 / (index + 1);
+};
+
+async function evaluateRetrieval() {
+  const live = process.argv.includes('--live');
+  if (!live) setProvider(createMockProvider(), ['embed']);
+
+  console.log(`🔎 Retrieval: ${retrievalQueries.length} queries over ${retrievalDocuments.length} documents (${live ? 'live' : 'mock'} embeddings)`);
+
+  const docVectors = await embedAll(retrievalDocuments.map((doc) => `${doc.title}\n\n${doc.content}`));
+  const queryVectors = await embedAll(retrievalQueries.map((q) => q.query));
+
+  const maxK = Math.max(...K_VALUES);
+  const limit = maxK * CANDIDATE_MULTIPLIER;
+  const methods = {
+    vector: async ({ vector }) => vector.slice(0, maxK),
+    keyword: async ({ keyword }) => keyword.slice(0, maxK),
+    ...Object.fromEntries(Object.keys(RERANKERS).map((name) => [
+      `hybrid+${name}`,
+      ({ query, vector, keyword }) => hybridRank({
+        query,
+        lists: { vector, keyword },
+        topK: maxK,
+        keyOf: (item) => item.id,
+        reranker: RERANKERS[name]
+      })
+    ]))
+  };
+
+  const totals = Object.fromEntries(Object.keys(methods).map((name) => [
+    name,
+    { ...Object.fromEntries(K_VALUES.map((k) => [`recall@${k}`, 0])), mrr: 0 }
+  ]));
+  const misses = [];
+
+  for (const [index, { query, relevant }] of retrievalQueries.entries()) {
+    const lists = {
+      query,
+      vector: vectorSearch(queryVectors[index], docVectors, limit),
+      keyword: keywordSearch(query, limit)
+    };
+
+    for (const [name, rank] of Object.entries(methods)) {
+      const results = await rank(lists);
+      K_VALUES.forEach((k) => { totals[name][`recall@${k}`] += recallAt(results, relevant, k); });
+      totals[name].mrr += reciprocalRank(results, relevant);
+
+      if (name === 'hybrid+none' && recallAt(results, relevant, MISSES_K) < 1) {
+        misses.push({ query, relevant, got: results.slice(0, MISSES_K).map((item) => item.id) });
+      }
+    }
+  }
+
+  const table = Object.fromEntries(Object.entries(totals).map(([name, metrics]) => [
+    name,
+    Object.fromEntries(Object.entries(metrics).map(([metric, sum]) => [metric, +(sum / retrievalQueries.length).toFixed(3)]))
+  ]));
+  console.table(table);
+
+  if (misses.length > 0) {
+    console.log(`\nHybrid misses at k=${MISSES_K}:`);
+    misses.forEach((m) => console.log(`  "${m.query}" expected=${JSON.stringify(m.relevant)} got=${JSON.stringify(m.got)}`));
+  }
+
+  const below = K_VALUES
+    .map((k) => `recall@${k}`)
+    .map((metric) => ({ metric, hybrid: table['hybrid+none'][metric], best: Math.max(table.vector[metric], table.keyword[metric]) }))
+    .filter(({ hybrid, best }) => hybrid < best);
+  if (below.length > 0) {
+    below.forEach(({ metric, hybrid, best }) => console.log(`\n❌ Hybrid ${metric} (${hybrid}) is below the best single search (${best})`));
+    process.exit(1);
+  }
+
+  console.log(`\n✅ Hybrid recall is at least the best single search at k = ${K_VALUES.join(', ')}`);
+}
+
+evaluateRetrieval();
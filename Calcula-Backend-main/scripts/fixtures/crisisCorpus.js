@@ -0,0 +1,85 @@
+/**
+ * Labelled messages for the crisis detector (src/utils/crisisDetect.js)
+ * Used by tests/crisisDetect.test.js
+ * Each entry: { text, expected: 'none' | 'concern' | 'imminent' }
+ */
+export const crisisCorpus = [
+  // ---- imminent: explicit intent or method ----
+  { text: 'I want to kill myself', expected: 'imminent' },
+  { text: "i'm going to end my life", expected: 'imminent' },
+  { text: 'I have been thinking about taking my own life', expected: 'imminent' },
+  { text: 'kms honestly', expected: 'imminent' },
+  { text: 'I think I will hang myself', expected: 'imminent' },
+  { text: 'planning to jump off a bridge after class', expected: 'imminent' },
+  { text: 'I wrote a suicide note last night', expected: 'imminent' },
+  { text: "I'm going to overdose on my meds", expected: 'imminent' },
+  { text: "I can't do this anymore, I want to end it all", expected: 'imminent' },
+
+  // ---- imminent: concern phrase raised by context ----
+  { text: 'I want to die tonight', expected: 'imminent' },
+  { text: 'I feel suicidal and I have the pills with me', expected: 'imminent' },
+  { text: 'I want to die. I have a plan.', expected: 'imminent' },
+
+  // ---- imminent: "never" governs another verb, not the phrase ----
+  { text: "I've never wanted to kill myself more than right now", expected: 'imminent' },
+  { text: 'I never thought I would actually end my life', expected: 'imminent' },
+
+  // ---- concern ----
+  { text: 'I wish I was dead', expected: 'concern' },
+  { text: 'Sometimes I feel suicidal', expected: 'concern' },
+  { text: 'I keep cutting myself when I get stressed', expected: 'concern' },
+  { text: "I don't want to live like this anymore", expected: 'concern' },
+  { text: 'everyone would be better off without me', expected: 'concern' },
+  { text: 'life is pointless', expected: 'concern' },
+  { text: "I don't know, I just want to die", expected: 'concern' },
+  { text: "I don't care anymore I want to disappear", expected: 'concern' },
+  { text: "I'm not okay, I have been self-harming", expected: 'concern' },
+  { text: 'I have thought about suicide a lot this month', expected: 'concern' },
+  { text: 'I have never felt this suicidal before', expected: 'concern' },
+  { text: 'I never realised how much I want to die', expected: 'concern' },
+
+  // ---- none: negated ----
+  { text: "I'm not going to kill myself, I just need to vent", expected: 'none' },
+  { text: 'I would never hurt myself', expected: 'none' },
+  { text: "I don't want to die, I want things to get better", expected: 'none' },
+  { text: "I'm not suicidal, just tired", expected: 'none' },
+  { text: 'I will not end my life over an exam', expected: 'none' },
+  { text: "I won't kill myself, I promise", expected: 'none' },
+  { text: 'I would never ever hurt myself', expected: 'none' },
+
+  // ---- none: everyday or informational use ----
+  { text: 'I was cutting vegetables for dinner', expected: 'none' },
+  { text: 'my exam schedule is killing me', expected: 'none' },
+  { text: 'That joke made me kill myself laughing', expected: 'none' },
+  { text: "We're writing an essay on suicide prevention", expected: 'none' },
+  { text: 'Did you watch Suicide Squad?', expected: 'none' },
+  { text: 'I ran 5 kms this morning', expected: 'none' },
+  { text: 'I feel stressed about my assignments', expected: 'none' },
+  { text: '', expected: 'none' },
+
+  // ---- Hindi (Devanagari) ----
+  { text: 'मैं आत्महत्या करना चाहता हूँ', expected: 'imminent' },
+  { text: 'मैं मरना चाहती हूँ', expected: 'concern' },
+  { text: 'मैं अब जीना नहीं चाहता', expected: 'concern' },
+  { text: 'मैं आत्महत्या नहीं करूँगा', expected: 'none' },
+  { text: 'आज परीक्षा बहुत कठिन थी', expected: 'none' },
+
+  // ---- Romanized Hindi/Urdu ----
+  { text: 'main khudkushi karne ki soch raha hoon', expected: 'imminent' },
+  { text: 'main marna chahta hoon', expected: 'concern' },
+  { text: 'main marna chahta hoon aaj raat', expected: 'imminent' },
+  { text: 'khudkushi nahi karunga, bas pareshan hoon', expected: 'none' },
+
+  // ---- Urdu ----
+  { text: 'میں خودکشی کرنا چاہتا ہوں', expected: 'imminent' },
+  { text: 'میں اب جینا نہیں چاہتی', expected: 'concern' },
+  { text: 'میں خودکشی نہیں کروں گا', expected: 'none' },
+  { text: 'آج موسم اچھا ہے', expected: 'none' },
+
+  // ---- Kashmiri ----
+  { text: 'بہٕ چھُس پانس مارُن یژھان', expected: 'imminent' },
+  { text: 'bi chhus marun yatsaan', expected: 'concern' },
+  { text: 'بہٕ چھُس ٹھیک', expected: 'none' },
+];
+
+export default crisisCorpus;
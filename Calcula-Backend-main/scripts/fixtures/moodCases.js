@@ -0,0 +1,112 @@
+/**
+ * Labelled messages for mood detection (src/utils/moodDetector.js)
+ * Used by tests/moodClassifier.test.js and scripts/evaluateMoodClassifier.js
+ * Each entry: { text, expected } with a j-hartmann/emotion-english-distilroberta-base
+ * label: anger, disgust, fear, joy, neutral, sadness or surprise
+ */
+export const moodCases = [
+  // ---- anger ----
+  { text: "I'm so angry at my roommate for eating my food again", expected: 'anger' },
+  { text: 'My professor gave me a zero for no reason, this is so unfair', expected: 'anger' },
+  { text: 'I hate how my parents never listen to me', expected: 'anger' },
+  { text: "I'm furious that they cancelled the exam after I studied all night", expected: 'anger' },
+  { text: "I'm really frustrated with my group, nobody does any work", expected: 'anger' },
+  { text: 'Honestly I am fed up with the hostel wardens', expected: 'anger' },
+  { text: 'It is so annoying when people interrupt me constantly', expected: 'anger' },
+  { text: 'How dare he talk to me like that in front of everyone', expected: 'anger' },
+  { text: "I'm sick of being blamed for everything at home", expected: 'anger' },
+  { text: 'He lied to me again and I am livid 😡', expected: 'anger' },
+  { text: "I'm mad at myself for wasting the whole weekend", expected: 'anger' },
+  { text: 'The way the admin office treats students is outrageous', expected: 'anger' },
+
+  // ---- disgust ----
+  { text: 'The mess food today was absolutely disgusting', expected: 'disgust' },
+  { text: 'The bathroom in our hostel is so gross', expected: 'disgust' },
+  { text: 'I saw someone spit in the corridor, ew', expected: 'disgust' },
+  { text: 'That guy keeps sending creepy messages, it creeps me out', expected: 'disgust' },
+  { text: 'The way he treats animals makes me sick', expected: 'disgust' },
+  { text: 'There was a cockroach in my rice, yuck 🤮', expected: 'disgust' },
+  { text: 'Their behaviour at the party was revolting', expected: 'disgust' },
+  { text: "The canteen smells like rotten eggs, it's nasty", expected: 'disgust' },
+  { text: 'Cheating on the exam and bragging about it is vile', expected: 'disgust' },
+  { text: 'I feel disgusted by what I read in that group chat', expected: 'disgust' },
+  { text: 'The room was filthy and the sheets were dirty', expected: 'disgust' },
+  { text: 'I found hair in my food and now I feel nauseated', expected: 'disgust' },
+
+  // ---- fear ----
+  { text: "I'm really scared about my exams next week", expected: 'fear' },
+  { text: 'I get so anxious before every presentation', expected: 'fear' },
+  { text: 'I had a panic attack in the library today', expected: 'fear' },
+  { text: "I'm worried I'll fail the semester", expected: 'fear' },
+  { text: "What if I don't get a placement and disappoint everyone?", expected: 'fear' },
+  { text: 'I am terrified of talking to new people', expected: 'fear' },
+  { text: "I'm nervous about meeting my advisor tomorrow", expected: 'fear' },
+  { text: 'My heart is racing and I feel like something bad will happen', expected: 'fear' },
+  { text: "I dread going back to the hostel because of the seniors", expected: 'fear' },
+  { text: "I'm freaking out about the viva 😰", expected: 'fear' },
+  { text: 'I keep having nightmares about failing', expected: 'fear' },
+  { text: "I don't feel safe walking back from the lab at night, it's scary", expected: 'fear' },
+
+  // ---- joy ----
+  { text: 'I passed my exam and I am so happy!', expected: 'joy' },
+  { text: 'Today was a great day, I finally finished my project', expected: 'joy' },
+  { text: "I'm so excited for the college fest this weekend", expected: 'joy' },
+  { text: 'I got the internship! I am thrilled', expected: 'joy' },
+  { text: "I'm really grateful for my friends, they made my birthday amazing", expected: 'joy' },
+  { text: 'Feeling proud of myself for going to the gym every day this week', expected: 'joy' },
+  { text: "I had so much fun at the trip, can't wait for the next one", expected: 'joy' },
+  { text: 'Meditation has been helping and I feel calm and peaceful 😊', expected: 'joy' },
+  { text: "I'm relieved the results are out and I did well", expected: 'joy' },
+  { text: 'My parents were delighted with my grades', expected: 'joy' },
+  { text: 'I love my new roommate, she is wonderful', expected: 'joy' },
+  { text: 'Thank you, talking to you made me feel so much better', expected: 'joy' },
+
+  // ---- neutral ----
+  { text: 'What time does the counselling centre open?', expected: 'neutral' },
+  { text: 'I have a physics lecture at 10 tomorrow', expected: 'neutral' },
+  { text: 'Can you tell me how to book an appointment?', expected: 'neutral' },
+  { text: 'I am in my second year of engineering', expected: 'neutral' },
+  { text: 'We are having a team meeting after lunch', expected: 'neutral' },
+  { text: 'Where can I find the assessment forms?', expected: 'neutral' },
+  { text: 'I usually study in the library in the evenings', expected: 'neutral' },
+  { text: 'My next class is chemistry', expected: 'neutral' },
+  { text: 'I need to submit the assignment by Friday', expected: 'neutral' },
+  { text: 'Please remind me about the workshop', expected: 'neutral' },
+  { text: 'I moved to a new hostel block this month', expected: 'neutral' },
+  { text: 'How long is the mindfulness session?', expected: 'neutral' },
+
+  // ---- sadness ----
+  { text: "I've been feeling really sad and lonely lately", expected: 'sadness' },
+  { text: 'I miss my family so much, I cried last night', expected: 'sadness' },
+  { text: 'I failed my exam and I feel like a failure', expected: 'sadness' },
+  { text: 'Everything feels hopeless and I feel empty inside', expected: 'sadness' },
+  { text: 'My best friend stopped talking to me and it hurts', expected: 'sadness' },
+  { text: "I'm not happy with my life right now", expected: 'sadness' },
+  { text: "I've been feeling down all week 😔", expected: 'sadness' },
+  { text: 'My grandmother passed away and I am heartbroken', expected: 'sadness' },
+  { text: 'Nobody invited me, I always feel left out', expected: 'sadness' },
+  { text: "I'm exhausted and drained, I feel so low", expected: 'sadness' },
+  { text: 'I feel worthless and depressed most days', expected: 'sadness' },
+  { text: 'I got rejected from the program I really wanted, so disappointed', expected: 'sadness' },
+
+  // ---- surprise ----
+  { text: "I can't believe I topped the class!", expected: 'surprise' },
+  { text: 'Wow, I did not expect the results so early', expected: 'surprise' },
+  { text: 'I was shocked when they announced the new rules', expected: 'surprise' },
+  { text: 'OMG my crush just texted me', expected: 'surprise' },
+  { text: 'My friends threw me a surprise party out of nowhere', expected: 'surprise' },
+  { text: 'The exam was moved to tomorrow, I am stunned', expected: 'surprise' },
+  { text: 'No way, the professor actually extended the deadline?', expected: 'surprise' },
+  { text: 'I was amazed by how many people showed up 😮', expected: 'surprise' },
+  { text: 'Suddenly my roommate decided to drop out, totally unexpected', expected: 'surprise' },
+  { text: 'Whoa, I never expected to get selected', expected: 'surprise' },
+  { text: 'That plot twist in class today caught me off guard', expected: 'surprise' },
+  { text: "It's unbelievable that the fees were refunded", expected: 'surprise' },
+
+  // ---- negation ----
+  { text: "I'm not scared of the exam anymore", expected: 'neutral' },
+  { text: "I'm no longer worried about my exams", expected: 'neutral' },
+  { text: "I'm not scared, but the exam results terrify me", expected: 'fear' },
+  { text: "I don't hate my course, it's just a subject", expected: 'neutral' },
+  { text: "I never feel happy these days", expected: 'sadness' },
+];
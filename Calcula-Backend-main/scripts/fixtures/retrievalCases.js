@@ -0,0 +1,163 @@
+/**
+ * Labelled retrieval set for hybrid search (src/utils/hybridRetrieval.js)
+ * Used by tests/hybridRetrieval.test.js and scripts/evaluateRetrieval.js
+ * retrievalDocuments: knowledge chunks { id, title, content, source_type };
+ *   `duplicateOf` marks a re-upload of another document, which counts as
+ *   that document when scoring
+ * retrievalQueries: { query, relevant: [document ids] }
+ */
+export const retrievalDocuments = [
+  {
+    id: 'sleep-hygiene',
+    source_type: 'counsellor_resource',
+    title: 'Sleep Hygiene Basics',
+    content: 'Go to bed and wake up at the same time every day, even on weekends. Keep screens out of the bedroom for the last hour before sleep, avoid caffeine after 2pm, and get out of bed if you cannot fall asleep within twenty minutes.'
+  },
+  {
+    id: 'sleep-hygiene-copy',
+    duplicateOf: 'sleep-hygiene',
+    source_type: 'counsellor_resource',
+    title: 'Sleep Hygiene Basics (1)',
+    content: 'Go to bed and wake up at the same time every day, even on weekends. Keep screens out of the bedroom for the last hour before sleep, avoid caffeine after 2pm, and get out of bed if you cannot fall asleep within twenty minutes.'
+  },
+  {
+    id: 'insomnia-racing-thoughts',
+    source_type: 'psychoeducation',
+    title: 'When Your Mind Races at Night',
+    content: 'Lying awake with racing thoughts is common during stressful weeks. Try writing a worry list before bed, then a slow body scan: notice each part of your body from toes to head and let it soften.'
+  },
+  {
+    id: 'box-breathing',
+    source_type: 'psychoeducation',
+    title: 'Box Breathing',
+    content: 'Breathe in for four counts, hold for four, breathe out for four and hold again for four. Repeat for two minutes. Slow breathing calms the body when panic or anxiety rises.'
+  },
+  {
+    id: 'panic-attacks',
+    source_type: 'counsellor_resource',
+    title: 'Understanding Panic Attacks',
+    content: 'A panic attack is a sudden wave of intense fear with a pounding heart, shaking, dizziness or a feeling of choking. It peaks within minutes and passes. It is frightening but not dangerous; grounding and slow breathing help it pass sooner.'
+  },
+  {
+    id: 'grounding-54321',
+    source_type: 'psychoeducation',
+    title: '5-4-3-2-1 Grounding',
+    content: 'Name five things you can see, four you can touch, three you can hear, two you can smell and one you can taste. Grounding brings attention back to the present when you feel overwhelmed or detached.'
+  },
+  {
+    id: 'exam-stress',
+    source_type: 'counsellor_resource',
+    title: 'Coping With Exam Stress',
+    content: 'Break revision into short blocks with breaks, sleep properly the week before exams, and replace all-night cramming with spaced practice. Some nervousness before a test is normal and can even sharpen focus.'
+  },
+  {
+    id: 'test-anxiety',
+    source_type: 'psychoeducation',
+    title: 'Test Anxiety',
+    content: 'If your mind goes blank during an exam, pause, take three slow breaths and start with a question you know. Test anxiety often comes from catastrophic thinking about failing; notice the thought and answer it with evidence.'
+  },
+  {
+    id: 'procrastination',
+    source_type: 'counsellor_resource',
+    title: 'Beating Procrastination',
+    content: 'Start with a five-minute task so the first step feels small. Put your phone in another room, use a timer for focused study sessions and reward yourself when a session is done. Procrastination is usually about avoiding a feeling, not laziness.'
+  },
+  {
+    id: 'time-management',
+    source_type: 'faq',
+    title: 'How do I plan my week?',
+    content: 'List deadlines for the week, block time for each assignment in a calendar, and keep one evening free. Planning the week on Sunday reduces the sense of being behind.'
+  },
+  {
+    id: 'loneliness',
+    source_type: 'psychoeducation',
+    title: 'Feeling Lonely at University',
+    content: 'Many students feel isolated in their first year, far from family and old friends. Joining one club or study group, eating meals in shared spaces and reaching out to one person a week helps build connection over time.'
+  },
+  {
+    id: 'homesickness',
+    source_type: 'faq',
+    title: 'Is it normal to miss home?',
+    content: 'Missing home is very common, especially in the first months. Keep a regular call with family, bring familiar things into your room, and give yourself time to build new routines.'
+  },
+  {
+    id: 'low-mood',
+    source_type: 'psychoeducation',
+    title: 'Low Mood and Depression',
+    content: 'Feeling sad, empty or hopeless most days for two weeks or more, losing interest in things you enjoyed, and changes in sleep or appetite can be signs of depression. Talking to a counsellor is a good first step.'
+  },
+  {
+    id: 'behavioural-activation',
+    source_type: 'counsellor_resource',
+    title: 'Small Steps When Motivation Is Low',
+    content: 'When you feel flat and unmotivated, action comes before motivation. Plan one small, enjoyable or useful activity each day, such as a short walk or cooking a meal, and notice how your mood shifts afterwards.'
+  },
+  {
+    id: 'self-harm-support',
+    source_type: 'faq',
+    title: 'What to do if you feel like hurting yourself',
+    content: 'If you have urges to self-harm, reach out to someone now: a friend, your counsellor or a crisis helpline. Hold ice, snap a rubber band or do intense exercise to ride out the urge. You deserve support.'
+  },
+  {
+    id: 'book-counsellor',
+    source_type: 'faq',
+    title: 'How do I book a counselling appointment?',
+    content: 'Open the Appointments page, pick a counsellor and a free slot, and add a short note about what you want to talk about. Sessions are confidential and free for students.'
+  },
+  {
+    id: 'confidentiality',
+    source_type: 'faq',
+    title: 'Is counselling confidential?',
+    content: 'What you share with your counsellor stays private. It is only shared if there is a serious risk to your safety or someone else\'s, and the counsellor will usually talk to you first.'
+  },
+  {
+    id: 'anger',
+    source_type: 'psychoeducation',
+    title: 'Managing Anger',
+    content: 'Notice early signs of anger such as a tight jaw or clenched fists. Step away, breathe slowly and return to the conversation when calmer. Use "I feel" statements instead of blaming.'
+  },
+  {
+    id: 'relationship-conflict',
+    source_type: 'counsellor_resource',
+    title: 'Conflict With a Roommate',
+    content: 'Living with a roommate means agreeing on noise, guests and cleaning. Talk when you are both calm, describe the problem rather than the person, and agree on one change each. Ask residence staff to mediate if needed.'
+  },
+  {
+    id: 'journaling',
+    source_type: 'psychoeducation',
+    title: 'Journaling for Wellbeing',
+    content: 'Writing for ten minutes a day about what happened and how you felt helps make sense of emotions. Gratitude journaling, noting three good things each evening, can lift mood over a few weeks.'
+  },
+  {
+    id: 'journaling-copy',
+    duplicateOf: 'journaling',
+    source_type: 'counsellor_resource',
+    title: 'Journaling for Wellbeing',
+    content: 'Writing for ten minutes a day about what happened and how you felt helps make sense of emotions. Gratitude journaling, noting three good things each evening, can lift mood over a few weeks.'
+  }
+];
+
+export const retrievalQueries = [
+  // ---- keyword-friendly: the query shares words with the answer ----
+  { query: 'how can I improve my sleep hygiene', relevant: ['sleep-hygiene'] },
+  { query: 'what is box breathing', relevant: ['box-breathing'] },
+  { query: 'tips for exam stress and revision', relevant: ['exam-stress', 'test-anxiety'] },
+  { query: 'how do I book an appointment with a counsellor', relevant: ['book-counsellor'] },
+  { query: 'is what I tell the counsellor confidential', relevant: ['confidentiality'] },
+  { query: 'conflict with my roommate about cleaning', relevant: ['relationship-conflict'] },
+  { query: 'grounding exercise when overwhelmed', relevant: ['grounding-54321', 'panic-attacks'] },
+
+  // ---- several relevant documents, some stored twice ----
+  { query: "I can't sleep at night, my thoughts keep racing", relevant: ['insomnia-racing-thoughts', 'sleep-hygiene'] },
+  { query: 'journaling and gratitude to lift my mood', relevant: ['journaling', 'behavioural-activation'] },
+  { query: 'I keep procrastinating instead of planning my study week', relevant: ['procrastination', 'time-management'] },
+
+  // ---- paraphrases: few or no shared words ----
+  { query: 'my heart pounds and I feel like I am choking', relevant: ['panic-attacks'] },
+  { query: 'I feel isolated and have no friends here', relevant: ['loneliness', 'homesickness'] },
+  { query: 'I miss my family back home', relevant: ['homesickness'] },
+  { query: 'feeling hopeless and empty for weeks', relevant: ['low-mood', 'behavioural-activation'] },
+  { query: 'urges to hurt myself', relevant: ['self-harm-support'] },
+  { query: 'my mind goes blank during tests', relevant: ['test-anxiety'] },
+  { query: 'I get so angry I clench my fists', relevant: ['anger'] }
+];
@@ -0,0 +1,180 @@
+/**
+ * Regression cases for the built-in scoring definitions (src/utils/scoringDefinitions.js)
+ * Expected values were produced by the hand-written scorePHQ9/scoreGAD7/scorePSS10
+ * functions these definitions replaced. Used by tests/scoringDefinitions.test.js
+ */
+export const scoringCases = [
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 0, q2: 0, q3: 0, q4: 0, q5: 0, q6: 0, q7: 0, q8: 0, q9: 0 },
+    expected: { score: 0, severity: 'Minimal' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 1, q3: 0, q4: 0, q5: 0, q6: 0, q7: 0, q8: 0, q9: 0 },
+    expected: { score: 4, severity: 'Minimal' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 2, q3: 0, q4: 0, q5: 0, q6: 0, q7: 0, q8: 0, q9: 0 },
+    expected: { score: 5, severity: 'Mild' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 0, q5: 0, q6: 0, q7: 0, q8: 0, q9: 0 },
+    expected: { score: 9, severity: 'Mild' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 1, q5: 0, q6: 0, q7: 0, q8: 0, q9: 0 },
+    expected: { score: 10, severity: 'Moderate' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 3, q5: 2, q6: 0, q7: 0, q8: 0, q9: 0 },
+    expected: { score: 14, severity: 'Moderate' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 3, q5: 3, q6: 0, q7: 0, q8: 0, q9: 0 },
+    expected: { score: 15, severity: 'Moderately Severe' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 3, q5: 3, q6: 3, q7: 1, q8: 0, q9: 0 },
+    expected: { score: 19, severity: 'Moderately Severe' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 3, q5: 3, q6: 3, q7: 2, q8: 0, q9: 0 },
+    expected: { score: 20, severity: 'Severe' }
+  },
+  {
+    formType: 'PHQ-9',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 3, q5: 3, q6: 3, q7: 3, q8: 3, q9: 3 },
+    expected: { score: 27, severity: 'Severe' }
+  },
+  {
+    formType: 'GAD-7',
+    responses: { q1: 0, q2: 0, q3: 0, q4: 0, q5: 0, q6: 0, q7: 0 },
+    expected: { score: 0, severity: 'Minimal' }
+  },
+  {
+    formType: 'GAD-7',
+    responses: { q1: 3, q2: 1, q3: 0, q4: 0, q5: 0, q6: 0, q7: 0 },
+    expected: { score: 4, severity: 'Minimal' }
+  },
+  {
+    formType: 'GAD-7',
+    responses: { q1: 3, q2: 2, q3: 0, q4: 0, q5: 0, q6: 0, q7: 0 },
+    expected: { score: 5, severity: 'Mild' }
+  },
+  {
+    formType: 'GAD-7',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 0, q5: 0, q6: 0, q7: 0 },
+    expected: { score: 9, severity: 'Mild' }
+  },
+  {
+    formType: 'GAD-7',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 1, q5: 0, q6: 0, q7: 0 },
+    expected: { score: 10, severity: 'Moderate' }
+  },
+  {
+    formType: 'GAD-7',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 3, q5: 2, q6: 0, q7: 0 },
+    expected: { score: 14, severity: 'Moderate' }
+  },
+  {
+    formType: 'GAD-7',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 3, q5: 3, q6: 0, q7: 0 },
+    expected: { score: 15, severity: 'Severe' }
+  },
+  {
+    formType: 'GAD-7',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 3, q5: 3, q6: 3, q7: 3 },
+    expected: { score: 21, severity: 'Severe' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { q1: 0, q2: 0, q3: 0, q4: 0, q5: 0, q6: 0, q7: 0, q8: 0, q9: 0, q10: 0 },
+    expected: { score: 16, severity: 'Moderate' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { q1: 4, q2: 4, q3: 4, q4: 4, q5: 4, q6: 4, q7: 4, q8: 4, q9: 4, q10: 4 },
+    expected: { score: 24, severity: 'Moderate' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { q1: 2, q2: 2, q3: 2, q4: 2, q5: 2, q6: 2, q7: 2, q8: 2, q9: 2, q10: 2 },
+    expected: { score: 20, severity: 'Moderate' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { q1: 3, q2: 3, q3: 3, q4: 0, q5: 0, q6: 3, q7: 0, q8: 0, q9: 3, q10: 3 },
+    expected: { score: 34, severity: 'Severe' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { q1: 1, q2: 1, q3: 1, q4: 3, q5: 3, q6: 1, q7: 3, q8: 3, q9: 1, q10: 1 },
+    expected: { score: 10, severity: 'Minimal' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { q1: 2, q2: 1, q3: 3, q4: 1, q5: 2, q6: 2, q7: 1, q8: 0, q9: 2, q10: 3 },
+    expected: { score: 25, severity: 'Moderate' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { q1: 1, q2: 0, q3: 1, q4: 4, q5: 4, q6: 1, q7: 4, q8: 3, q9: 1, q10: 1 },
+    expected: { score: 6, severity: 'Minimal' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { q1: 3, q2: 2, q3: 3, q4: 1, q5: 1, q6: 3, q7: 1, q8: 1, q9: 2, q10: 3 },
+    expected: { score: 28, severity: 'Severe' }
+  },
+  // Prefixed client ids and string values resolve to the same items
+  {
+    formType: 'PHQ-9',
+    responses: { phq9_q1: '2', phq9_q2: '2', phq9_q3: '1', phq9_q4: '2', phq9_q5: '1', phq9_q6: '1', phq9_q7: '1', phq9_q8: '1', phq9_q9: '1' },
+    expected: { score: 12, severity: 'Moderate' }
+  },
+  {
+    formType: 'PSS-10',
+    responses: { pss10_q1: '3', pss10_q2: '3', pss10_q3: '3', pss10_q4: '0', pss10_q5: '0', pss10_q6: '3', pss10_q7: '0', pss10_q8: '0', pss10_q9: '3', pss10_q10: '3' },
+    expected: { score: 34, severity: 'Severe', subscales: { helplessness: 18, self_efficacy: 16 } }
+  }
+];
+
+/**
+ * A custom definition exercising weights, reverse items, mean scoring and subscales,
+ * as an admin would store it in assessment_forms.scoring
+ */
+export const customDefinition = {
+  method: 'mean',
+  items: [
+    { id: 'sleep', min: 1, max: 5, weight: 2 },
+    { id: 'energy', min: 1, max: 5, reverse: true },
+    { id: 'focus', min: 1, max: 5 }
+  ],
+  subscales: [
+    { id: 'rest', name: 'Rest', items: ['sleep', 'energy'], method: 'sum' }
+  ],
+  bands: [
+    { max: 2, severity: 'Minimal' },
+    { max: 3.5, severity: 'Moderate' },
+    { severity: 'Severe' }
+  ]
+};
+
+export const customDefinitionCases = [
+  // (2*5 + (6-1) + 5) / 4 = 5
+  { responses: { sleep: 5, energy: 1, focus: 5 }, expected: { score: 5, severity: 'Severe', subscales: { rest: 15 } } },
+  // (2*1 + (6-5) + 1) / 4 = 1
+  { responses: { sleep: 1, energy: 5, focus: 1 }, expected: { score: 1, severity: 'Minimal', subscales: { rest: 3 } } },
+  // (2*3 + (6-4) + 2) / 4 = 2.5
+  { responses: { sleep: 3, energy: 4, focus: 2 }, expected: { score: 2.5, severity: 'Moderate', subscales: { rest: 8 } } }
+];
+
+export default scoringCases;
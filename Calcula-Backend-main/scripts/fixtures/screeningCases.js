@@ -0,0 +1,99 @@
+/**
+ * Fixed-clock cases for tests/screeningSchedule.test.js
+ * Each case lists the form types (and reasons) expected to be due at `now`.
+ */
+
+export const firstYearCampaign = {
+  id: 'campaign-first-years',
+  name: 'PHQ-9 for all first-years',
+  form_type: 'PHQ-9',
+  target_passing_years: [2030],
+  starts_at: '2027-02-01T00:00:00.000Z',
+  due_by: '2027-03-01T00:00:00.000Z',
+  is_active: true
+};
+
+export const screeningCases = [
+  {
+    label: 'no history, no campaigns',
+    now: '2027-02-10T09:00:00.000Z',
+    history: [],
+    campaigns: [],
+    student: { passingYear: 2030 },
+    expected: []
+  },
+  {
+    label: 'PHQ-9 taken 13 days ago is not due yet',
+    now: '2027-01-14T09:00:00.000Z',
+    history: [{ form_type: 'PHQ-9', created_at: '2027-01-01T09:00:00.000Z' }],
+    campaigns: [],
+    student: {},
+    expected: []
+  },
+  {
+    label: 'PHQ-9 and GAD-7 due two weeks after the last attempt',
+    now: '2027-01-15T09:00:00.000Z',
+    history: [
+      { form_type: 'PHQ-9', created_at: '2026-12-20T09:00:00.000Z' },
+      { form_type: 'PHQ-9', created_at: '2027-01-01T09:00:00.000Z' },
+      { form_type: 'GAD-7', created_at: '2027-01-01T08:00:00.000Z' },
+      { form_type: 'IAT', created_at: '2026-10-01T08:00:00.000Z' }
+    ],
+    campaigns: [],
+    student: {},
+    expected: [
+      { formType: 'GAD-7', reason: 'rescreen' },
+      { formType: 'PHQ-9', reason: 'rescreen' }
+    ]
+  },
+  {
+    label: 'campaign targets a first-year who has not taken PHQ-9',
+    now: '2027-02-10T09:00:00.000Z',
+    history: [],
+    campaigns: [firstYearCampaign],
+    student: { passingYear: 2030 },
+    expected: [{ formType: 'PHQ-9', reason: 'campaign', overdue: false }]
+  },
+  {
+    label: 'campaign skips students in other cohorts',
+    now: '2027-02-10T09:00:00.000Z',
+    history: [],
+    campaigns: [firstYearCampaign],
+    student: { passingYear: 2028 },
+    expected: []
+  },
+  {
+    label: 'campaign satisfied by an attempt after it started',
+    now: '2027-02-10T09:00:00.000Z',
+    history: [{ form_type: 'PHQ-9', created_at: '2027-02-03T09:00:00.000Z' }],
+    campaigns: [firstYearCampaign],
+    student: { passingYear: 2030 },
+    expected: []
+  },
+  {
+    label: 'campaign replaces a re-screen for the same form and becomes overdue',
+    now: '2027-03-05T09:00:00.000Z',
+    history: [{ form_type: 'PHQ-9', created_at: '2027-01-10T09:00:00.000Z' }],
+    campaigns: [firstYearCampaign],
+    student: { passingYear: 2030 },
+    expected: [{ formType: 'PHQ-9', reason: 'campaign', overdue: true }]
+  },
+  {
+    label: 'campaign that has not started yet is ignored',
+    now: '2027-01-20T09:00:00.000Z',
+    history: [],
+    campaigns: [firstYearCampaign],
+    student: { passingYear: 2030 },
+    expected: []
+  },
+  {
+    label: 'paused campaign is ignored',
+    now: '2027-02-10T09:00:00.000Z',
+    history: [],
+    campaigns: [{ ...firstYearCampaign, is_active: false }],
+    student: { passingYear: 2030 },
+    expected: []
+  }
+];
+
+export default { firstYearCampaign, screeningCases };
@@ -0,0 +1,51 @@
+import { supabaseAdmin } from '../src/config/supabase.js';
+import { indexResource } from '../src/services/knowledgeIngestion.service.js';
+
+/**
+ * Index counsellor resources into the AI companion's knowledge base
+ * Usage: node scripts/indexCounsellorResources.js [--all]
+ * Picks up resources that were never indexed or whose indexing failed, e.g.
+ * ones uploaded before migration 016; --all re-indexes every resource.
+ * Resources are indexed one at a time to keep embedding requests steady.
+ */
+
+const BATCH_SIZE = 100;
+
+async function indexCounsellorResources() {
+  const all = process.argv.includes('--all');
+  console.log(`📚 Indexing ${all ? 'all' : 'pending and failed'} counsellor resources...`);
+
+  // List first: indexing changes index_status, which the filter pages on
+  const resources = [];
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    let query = supabaseAdmin
+      .from('counsellor_resources')
+      .select('*')
+      .order('created_at', { ascending: true })
+      .range(offset, offset + BATCH_SIZE - 1);
+
+    if (!all) query = query.in('index_status', ['pending', 'failed']);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('❌ Failed to list resources:', error.message);
+      process.exit(1);
+    }
+
+    resources.push(...data);
+    if (data.length < BATCH_SIZE) break;
+  }
+
+  const totals = { indexed: 0, unsupported: 0, failed: 0 };
+  for (const resource of resources) {
+    const result = await indexResource(resource);
+    totals[result.status]++;
+    console.log(`  ${result.status === 'failed' ? '❌' : '✅'} ${resource.resource_name}: ${result.status}` +
+      (result.error ? ` (${result.error})` : result.chunks ? ` (${result.chunks} chunks)` : ''));
+  }
+
+  console.log(`\nDone: ${totals.indexed} indexed, ${totals.unsupported} unsupported, ${totals.failed} failed`);
+  if (totals.failed > 0) process.exit(1);
+}
+
+indexCounsellorResources();
@@ -0,0 +1,57 @@
+import 'dotenv/config';
+import { createEmbeddingMigrator } from '../src/services/embeddingMigration.service.js';
+
+/**
+ * Re-embed stored vectors with the configured embedding model
+ * Usage: node scripts/reembedEmbeddings.js [--status]
+ * Starts a migration of every ai_message_embeddings / knowledge_embeddings
+ * row not produced by the configured model, or resumes the unfinished one,
+ * and prints progress after every batch. Stop it with Ctrl+C and run it again
+ * to resume. --status only prints what is left to migrate.
+ * Do not run it while the server is running a migration too.
+ * Exits with code 1 if the migration fails or some rows could not be updated.
+ */
+
+const printProgress = (migration) => {
+  const cursor = migration.cursor ? ` (${migration.cursor.table})` : '';
+  console.log(`  ${migration.processedRows}/${migration.totalRows} rows, ${migration.percent}%${cursor}, ${migration.failedRows} failed`);
+};
+
+async function reembedEmbeddings() {
+  const migrator = createEmbeddingMigrator({ onProgress: printProgress });
+
+  const status = await migrator.getMigrationStatus();
+  console.log(`🧭 Configured embedding model: ${status.targetModel} (${status.targetDimensions} dimensions)`);
+  console.log('   Rows on another model:', status.pending);
+  if (status.migration) {
+    console.log(`   Latest migration: ${status.migration.status} to ${status.migration.targetModel} (${status.migration.processedRows}/${status.migration.totalRows})`);
+  }
+
+  if (process.argv.includes('--status')) return;
+
+  if (Object.values(status.pending).every((count) => count === 0)) {
+    console.log('\n✅ Every row is already on the configured model');
+    return;
+  }
+
+  const { migration, resumed, done } = await migrator.startMigration();
+  console.log(`\n${resumed ? '⏯️  Resuming' : '🚀 Starting'} migration ${migration.id}`);
+  await done;
+
+  const { migration: finished, pending } = await migrator.getMigrationStatus();
+  if (finished.status !== 'completed') {
+    console.error(`\n❌ Migration ${finished.status}: ${finished.lastError || 'unknown error'}. Run again to resume.`);
+    process.exit(1);
+  }
+  if (finished.failedRows > 0) {
+    console.error(`\n⚠️  Completed, but ${finished.failedRows} rows could not be updated; still pending:`, pending);
+    process.exit(1);
+  }
+
+  console.log(`\n✅ Migration completed: ${finished.processedRows} rows re-embedded`);
+}
+
+reembedEmbeddings().catch((error) => {
+  console.error('❌ Re-embedding failed:', error.message);
+  process.exit(1);
+});
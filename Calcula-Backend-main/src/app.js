@@ -25,8 +25,6 @@ import tenant from "./middleware/tenant.js";
 // Import utilities
 import { errorResponse } from "./utils/response.js";
 
-import aiTranscriptionRoutes from "./routes/aiTranscriptionRoutes.js";
-
 const app = express();
 
 // Trust proxy for accurate IP addresses
@@ -104,7 +102,6 @@ app.use("/api/superadmin", auth, role("superadmin"), superadminRoutes);
 
 // AFTER (for all roles)
 // ⭐ AI routes (all protected by auth + tenant)
-app.use("/api/ai/transcription", aiTranscriptionRoutes);
 app.use("/api/ai", auth, tenant, aiRoutes);
 
 
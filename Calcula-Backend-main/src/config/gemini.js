@@ -1,18 +1,29 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { chat, isProviderConfigured, LLM_ERROR_CODES } from '../services/llm/index.js';
+import { languageInstruction } from '../utils/languages.js';
 
 dotenv.config();
 
-// Standard OpenAI config
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const GUIDANCE_TIMEOUT_MS = Number(process.env.GUIDANCE_TIMEOUT_MS) || 8000;
 
-if (!OPENAI_API_KEY) {
-  console.error('Missing OpenAI API Key. Please add OPENAI_API_KEY to your .env file.');
-}
+// Provider error codes that have their own guidance code
+const GUIDANCE_CODES = {
+  [LLM_ERROR_CODES.NOT_CONFIGURED]: 'GUIDANCE_NOT_CONFIGURED',
+  [LLM_ERROR_CODES.TIMEOUT]: 'GUIDANCE_TIMEOUT',
+  [LLM_ERROR_CODES.INVALID_RESPONSE]: 'GUIDANCE_INVALID_RESPONSE'
+};
 
-// Initialize the OpenAI API
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+/**
+ * Error raised when the LLM cannot produce usable guidance. `code` is one of
+ * GUIDANCE_NOT_CONFIGURED, GUIDANCE_TIMEOUT, GUIDANCE_REQUEST_FAILED or
+ * GUIDANCE_INVALID_RESPONSE; callers fall back to rule-based guidance.
+ */
+const guidanceError = (code, message, cause) => {
+  const error = new Error(message);
+  error.code = code;
+  if (cause) error.cause = cause;
+  return error;
+};
 
 /**
  * Get AI-powered guidance and recommendations for mental health assessments
@@ -21,15 +32,16 @@ const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
  * @param {Object} params.responses - Student's responses to assessment questions
  * @param {number} params.score - Calculated assessment score
  * @param {string} params.severityLevel - Severity level based on score
+ * @param {string} params.language - Student's preferred language (default English)
  * @returns {Promise<Object>} - AI-generated guidance and recommendations
+ * @throws {Error} With a GUIDANCE_* `code` when the model is unavailable, slow or returns invalid JSON
  */
-export const getAssessmentGuidance = async ({ formType, responses, score, severityLevel }) => {
-  if (!openai) {
-    throw new Error('OpenAI API is not configured');
+export const getAssessmentGuidance = async ({ formType, responses, score, severityLevel, language }) => {
+  if (!isProviderConfigured('chat')) {
+    throw guidanceError('GUIDANCE_NOT_CONFIGURED', 'LLM chat provider is not configured');
   }
 
-  try {
-    const prompt = `You are a supportive mental health assistant for a college student wellbeing platform.
+  const prompt = `You are a supportive mental health assistant for a college student wellbeing platform.
 Your job is to provide compassionate, brief, and practical guidance based on a mental health assessment.
 
 Assessment Details:
@@ -68,117 +80,63 @@ OUTPUT FORMAT (STRICT JSON):
   ]
 }
 Return ONLY valid JSON. Do not include markdown or explanations.`;
+  const instruction = languageInstruction(language, { json: true, mirror: false });
 
-    const result = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
+  let text;
+  try {
+    const result = await chat({
       messages: [
         {
           role: 'user',
-          content: prompt
+          content: instruction ? `${prompt}\n\n${instruction}` : prompt
         }
       ],
       temperature: 0.6,
-      max_tokens: 256
+      // Devanagari and Perso-Arabic text takes more tokens than English
+      maxTokens: instruction ? 512 : 256,
+      timeoutMs: GUIDANCE_TIMEOUT_MS,
+      maxRetries: 0
     });
 
-    const text = result.choices[0].message.content;
+    text = result.text;
+  } catch (error) {
+    if (error.code === LLM_ERROR_CODES.TIMEOUT) {
+      throw guidanceError('GUIDANCE_TIMEOUT', `Guidance request timed out after ${GUIDANCE_TIMEOUT_MS}ms`, error);
+    }
+    throw guidanceError(GUIDANCE_CODES[error.code] || 'GUIDANCE_REQUEST_FAILED', error.message, error);
+  }
 
-    // Parse the JSON response
-    // Remove markdown code blocks if present
+  // Parse the JSON response
+  // Remove markdown code blocks if present
+  let parsedResponse;
+  try {
     const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    const parsedResponse = JSON.parse(cleanedText);
-
-    // Defensive trimming to enforce constraints
-    const guidance = String(parsedResponse.guidance || '').trim();
-    const trimmedGuidance = guidance.split(/\s+/).slice(0, 100).join(' '); // approx 100 words cap
-
-    const actions = Array.isArray(parsedResponse.recommendedActions) ? parsedResponse.recommendedActions : [];
-    const trimmedActions = actions
-      .filter(Boolean)
-      .slice(0, 7)
-      .map(a => String(a).trim().split(/\s+/).slice(0, 15).join(' '));
-
-    return {
-      guidance: trimmedGuidance,
-      recommendedActions: trimmedActions
-    };
+    parsedResponse = JSON.parse(cleanedText);
   } catch (error) {
-    console.error('OpenAI API Error:', error);
-    // Return fallback guidance if API fails
-    return getFallbackGuidance(formType, severityLevel);
+    throw guidanceError('GUIDANCE_INVALID_RESPONSE', 'Guidance response was not valid JSON', error);
   }
-};
 
-/**
- * Fallback guidance when API is unavailable
- */
-const getFallbackGuidance = (formType, severityLevel) => {
-  const guidanceMap = {
-    'minimal': {
-      guidance: "Your results show minimal concerns, which is great. You're managing well and being proactive about your mental health is important. Keep up the healthy habits you have in place. It's normal to have ups and downs, so continue checking in with yourself. Stay connected with supportive people around you.",
-      recommendedActions: [
-        'Maintain your current routines.',
-        'Stay connected with supportive people.',
-        'Get regular sleep and rest.',
-        'Engage in activities you enjoy.',
-        'Use journaling to track your mood.',
-        'Monitor changes in mood or stress.'
-      ]
-    },
-    'mild': {
-      guidance: "Your results show mild concerns, which are very common among college students. Taking this assessment is a positive first step. Small adjustments in your routine and reaching out for support can make a real difference. Many students navigate similar feelings, and there are effective strategies to help you feel better. You're not alone in this experience.",
-      recommendedActions: [
-        'Practice a simple self-care activity daily.',
-        'Maintain consistent sleep and meal routines.',
-        'Talk with a friend or mentor.',
-        'Try guided meditation or grounding tools.',
-        'Use habit trackers to build healthy routines.',
-        'Reach out for campus support if symptoms persist.'
-      ]
-    },
-    'moderate': {
-      guidance: "Your results suggest moderate concerns that deserve attention. Many college students experience similar challenges, especially with academic and social pressures. The good news is that support and self-care strategies can really help. You're taking an important step by checking in. Consider reaching out to your campus counseling center—they're there to support you. You don't have to face this alone.",
-      recommendedActions: [
-        'Reach out to your campus counseling center.',
-        'Talk to someone you trust about how you feel.',
-        'Use stress-reduction practices like deep breathing.',
-        'Try calming audios or meditation from the app.',
-        'Follow a stable routine for sleep and meals.',
-        'Connect socially instead of isolating.',
-        'Book a counselor session if available.'
-      ]
-    },
-    'severe': {
-      guidance: "Your results suggest significant concerns, and it's really important to reach out for support right away. You don't have to handle this alone—professional help is available and can make a real difference. Please contact your campus counseling center or a trusted person today. Many students have been where you are and found their way through with the right support. Taking action now is a crucial step toward feeling better.",
-      recommendedActions: [
-        'Contact your campus counseling services immediately.',
-        'Talk to a trusted friend or family member.',
-        'Avoid being alone—stay around supportive people.',
-        'Take a break from overwhelming tasks if needed.',
-        'Use grounding tools for calming.',
-        'Seek professional help as soon as possible.',
-        'Call 988 Suicide & Crisis Lifeline if in crisis.'
-      ]
-    },
-    'moderately severe': {
-      guidance: "Your results suggest significant concerns, and it's really important to reach out for support right away. You don't have to handle this alone—professional help is available and can make a real difference. Please contact your campus counseling center or a trusted person today. Many students have been where you are and found their way through with the right support. Taking action now is a crucial step toward feeling better.",
-      recommendedActions: [
-        'Contact your campus counseling services immediately.',
-        'Talk to a trusted friend or family member.',
-        'Avoid being alone—stay around supportive people.',
-        'Take a break from overwhelming tasks if needed.',
-        'Use grounding tools for calming.',
-        'Seek professional help as soon as possible.',
-        'Call 988 Suicide & Crisis Lifeline if in crisis.'
-      ]
-    }
-  };
+  const guidance = typeof parsedResponse?.guidance === 'string' ? parsedResponse.guidance.trim() : '';
+  const actions = Array.isArray(parsedResponse?.recommendedActions)
+    ? parsedResponse.recommendedActions.filter((a) => typeof a === 'string' && a.trim())
+    : [];
+
+  if (!guidance || actions.length === 0) {
+    throw guidanceError('GUIDANCE_INVALID_RESPONSE', 'Guidance response is missing guidance or actions');
+  }
 
-  const severity = severityLevel.toLowerCase();
-  return guidanceMap[severity] || guidanceMap['mild'];
+  // Defensive trimming to enforce constraints
+  const trimmedGuidance = guidance.split(/\s+/).slice(0, 100).join(' '); // approx 100 words cap
+  const trimmedActions = actions
+    .slice(0, 7)
+    .map(a => a.trim().split(/\s+/).slice(0, 15).join(' '));
+
+  return {
+    guidance: trimmedGuidance,
+    recommendedActions: trimmedActions
+  };
 };
 
 export default {
-  getAssessmentGuidance,
-  getFallbackGuidance
+  getAssessmentGuidance
 };
@@ -1,5 +1,5 @@
 import { Server } from 'socket.io';
-import { supabase } from './supabase.js';
+import { socketAuth } from '../middleware/socketAuth.js';
 
 /**
  * Initialize Socket.io server with authentication
@@ -17,32 +17,8 @@ export const initializeSocketIO = (httpServer) => {
     pingInterval: 25000
   });
 
-  // Simplified middleware - just extract user data from handshake
-  // Authentication is handled by REST API endpoints
-  io.use(async (socket, next) => {
-    try {
-      // Get user data from auth object sent by frontend
-      const { userId, userRole, collegeId } = socket.handshake.auth;
-      
-      if (!userId) {
-        console.log('[Socket] No user ID provided in handshake');
-        return next(new Error('User ID required'));
-      }
-
-      // Attach user data to socket (frontend already authenticated via REST API)
-      socket.user = {
-        user_id: userId,
-        role: userRole,
-        college_id: collegeId
-      };
-
-      console.log(`[Socket] User connected: ${userId} (${userRole})`);
-      next();
-    } catch (error) {
-      console.error('[Socket] Connection error:', error);
-      return next(new Error('Connection failed'));
-    }
-  });
+  // Verify the Supabase access token; role and college come from the profile
+  io.use(socketAuth);
 
   return io;
 };
@@ -4,13 +4,17 @@ import {
   errorResponse,
   notFoundResponse,
   paginatedResponse,
+  validationErrorResponse,
   formatSupabaseError
 } from "../utils/response.js";
+import { validateScoringDefinition } from "../utils/scoringEngine.js";
 import {
   calculateAnnouncementExpiry,
   cleanupExpiredAnnouncements,
   getAnnouncementViewStats
 } from "../services/announcement.service.js";
+import { revokeUserSessions } from "../middleware/socketAuth.js";
+import { getUsageReport } from "../services/aiUsage.service.js";
 
 /**
  * Admin Controller
@@ -840,6 +844,8 @@ export const deleteUser = async (req, res) => {
         console.log('Deleted auth user');
       }
 
+      revokeUserSessions(req.app.get('io'), user_id, 'account_deleted');
+
       return successResponse(res, null, 'User and all related data deleted successfully');
     } catch (deletionError) {
       console.error('Error during user deletion:', deletionError);
@@ -904,6 +910,10 @@ export const changeUserPassword = async (req, res) => {
     }
 
     console.log('Password updated successfully for user:', user_id);
+
+    // Realtime connections opened with the old password end now
+    revokeUserSessions(req.app.get('io'), user_id, 'password_reset');
+
     return successResponse(res, null, 'Password updated successfully');
   } catch (error) {
     console.error('Change user password error:', error);
@@ -929,6 +939,7 @@ export const getAdminProfile = async (req, res) => {
         avatar_url,
         phone,
         bio,
+        preferred_language,
         created_at,
         updated_at
       `)
@@ -974,96 +985,6 @@ export const updateAdminProfile = async (req, res) => {
   }
 };
 
-/**
- * Create realtime session for voice chat
- */
-export const createRealtimeSession = async (req, res) => {
-  try {
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-    // Validate API key is configured
-    if (!OPENAI_API_KEY) {
-      console.error('OpenAI API key not configured in environment variables');
-      return errorResponse(
-        res,
-        'Voice assistant feature is not configured. Please contact administrator.',
-        503
-      );
-    }
-
-    // Request ephemeral token from OpenAI
-    const response = await fetch('https://api.openai.com/v1/realtime/sessions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-realtime-preview-2024-12-17',
-        voice: 'alloy'
-      }),
-    });
-
-    // Handle OpenAI API errors
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('OpenAI Realtime API error:', {
-        status: response.status,
-        statusText: response.statusText,
-        error: errorData
-      });
-
-      return errorResponse(
-        res,
-        'Failed to create voice session. Please try again later.',
-        502
-      );
-    }
-
-    const data = await response.json();
-
-    // Validate response structure
-    if (!data.client_secret || !data.client_secret.value) {
-      console.error('Invalid response from OpenAI Realtime API:', data);
-      return errorResponse(
-        res,
-        'Invalid session response. Please try again.',
-        500
-      );
-    }
-
-    // Log session creation (without exposing token)
-    console.log(`Realtime voice session created for admin: ${req.user.user_id}`);
-
-    return successResponse(
-      res,
-      {
-        client_secret: data.client_secret.value,
-        expires_at: data.client_secret.expires_at || null
-      },
-      'Voice session created successfully'
-    );
-
-  } catch (error) {
-    console.error('Create realtime session error:', error);
-
-    // Handle network errors
-    if (error.code === 'ENOTFOUND' || error.code === 'ETIMEDOUT') {
-      return errorResponse(
-        res,
-        'Unable to reach voice service. Please check your connection.',
-        503
-      );
-    }
-
-    return errorResponse(
-      res,
-      'Failed to create voice session. Please try again.',
-      500
-    );
-  }
-};
-
 /**
  * Get Assessment Analytics
  * GET /api/admin/analytics/assessments
@@ -1253,14 +1174,52 @@ export const createAssessmentFormController = async (req, res) => {
       return errorResponse(res, 'Title and questions are required', 400);
     }
 
+    // Optional declarative scoring (weights, reverse items, subscales, bands)
+    if (formData.scoring !== undefined) {
+      const scoringErrors = validateScoringDefinition(formData.scoring);
+      if (scoringErrors.length > 0) {
+        return validationErrorResponse(res, scoringErrors, 'Invalid scoring definition');
+      }
+    }
+
     const { createAssessmentForm } = await import("../services/assessment.service.js");
 
     // Create form using service
-    const newForm = await createAssessmentForm(formData, userId);
+    const newForm = await createAssessmentForm(formData, userId, req.tenant);
 
     return successResponse(res, newForm, 'Assessment form created successfully', 201);
   } catch (error) {
     console.error('Create assessment form error:', error);
     return errorResponse(res, 'Failed to create assessment form', 500);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the college's AI usage for a date range (default: this month), totalled
+ * per user unless another group (feature, day) is given
+ */
+export const getAiUsage = async (req, res) => {
+  try {
+    const { since, until, group = 'user' } = req.query;
+    if (!['user', 'feature', 'day'].includes(group)) {
+      return errorResponse(res, 'group must be one of: user, feature, day', 400);
+    }
+
+    const report = await getUsageReport({ since, until, group, collegeId: req.tenant });
+
+    if (group === 'user' && report.rows.length > 0) {
+      const { data: users } = await supabase
+        .from('profiles')
+        .select('id, name, email, role')
+        .eq('college_id', req.tenant)
+        .in('id', report.rows.map((row) => row.key));
+      const byId = new Map((users || []).map((user) => [user.id, user]));
+      report.rows = report.rows.map((row) => ({ ...row, user: byId.get(row.key) || null }));
+    }
+
+    return successResponse(res, report, 'AI usage retrieved successfully');
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    return errorResponse(res, error.message || 'Failed to get AI usage', error.statusCode || 500);
+  }
+};
@@ -1,16 +1,123 @@
 import { supabaseAdmin } from "../utils/supabaseAdmin.js";
-import { openai, OPENAI_MODEL } from "../utils/openaiClient.js";
-import { isCrisisMessage } from "../utils/crisisDetect.js";
+import { chat, chatStream, transcribe, LLM_ERROR_CODES } from "../services/llm/index.js";
+import { detectCrisis } from "../utils/crisisDetect.js";
+import { recordCrisisDetection } from "../services/escalation.service.js";
 import { detectMood } from "../utils/moodDetector.js";
+import { getConversationContext, splitContextBudget } from "../services/conversationSummary.service.js";
+import { titleConversation } from "../services/conversationTitle.service.js";
+import { TOPIC_TAGS } from "../utils/topicTags.js";
+import { truncateToTokens } from "../utils/tokenBudget.js";
+import { DEFAULT_LANGUAGE, languageInstruction, getPreferredLanguage } from "../utils/languages.js";
 import {
   storeMessageEmbedding,
   searchUserHistory,
   searchKnowledge,
   formatRAGContext
 } from "../utils/vectorStore.js";
-
-const MAX_HISTORY_MESSAGES = 20;
+import {
+  listMemories,
+  deleteMemory,
+  deleteConversationMemories,
+  getMemorySettings,
+  setMemoryPaused,
+  exportMemories
+} from "../services/aiMemory.service.js";
+import {
+  runToolLoop,
+  confirmAction as confirmToolAction,
+  cancelAction as cancelToolAction,
+  listPendingActions
+} from "../services/companionTools.service.js";
+import { RESOURCE_SOURCE_TYPE, attachResourceLinks } from "../services/knowledgeIngestion.service.js";
+import {
+  DEFAULT_VOICE_SETTINGS,
+  MAX_SPEECH_CHARS,
+  getVoiceSettings,
+  updateVoiceSettings,
+  resolveVoiceOptions,
+  synthesizeSpeech
+} from "../services/speech.service.js";
+
+// Replies sent without the model, in each interface language (utils/languages.js)
+const FALLBACK_REPLIES = {
+  en: "I'm having trouble responding right now. Please try again in a moment.",
+  hi: "मुझे अभी जवाब देने में दिक्कत हो रही है। कृपया थोड़ी देर में फिर से कोशिश करें।",
+  ur: "مجھے ابھی جواب دینے میں مشکل ہو رہی ہے۔ براہِ کرم تھوڑی دیر بعد دوبارہ کوشش کریں۔",
+  ks: "مےٚ چھےٚ وُنؠ جواب دِنس منٛز دِقت گژھان۔ مہربانی کٔرِتھ کٔرِو کینٛہہ کالس پتہٕ دوبارٕ کوشش۔",
+};
+const VOICE_FALLBACK_REPLIES = {
+  en: "I'm here with you. Tell me more about how you're feeling.",
+  hi: "मैं आपके साथ हूँ। मुझे और बताइए कि आप कैसा महसूस कर रहे हैं।",
+  ur: "میں آپ کے ساتھ ہوں۔ مجھے مزید بتائیں کہ آپ کیسا محسوس کر رہے ہیں۔",
+  ks: "بہٕ چھُس تُہٕنٛدِس سٕتؠ۔ مےٚ ونِو زیادٕ زِ تُہؠ کیاہ چھِو محسوس کران۔",
+};
 const RAG_ENABLED = true; // Feature flag to enable/disable RAG
+const TOOLS_ENABLED = process.env.AI_TOOLS_ENABLED !== "false";
+const KNOWLEDGE_SOURCE_TYPES = ["resource", "faq", "psychoeducation", RESOURCE_SOURCE_TYPE];
+const MAX_CONVERSATION_SEARCH_CHARS = 100;
+const AVAILABLE_TAGS = Object.entries(TOPIC_TAGS).map(([id, { label }]) => ({ id, label }));
+
+// Sent without calling the model when imminent crisis language is detected
+const CRISIS_REPLIES = {
+  en:
+    "I'm really glad you reached out and shared this with me. " +
+    "Your feelings are important and you do not have to face this alone.\n\n" +
+    "I'm just an AI and I can't provide emergency help, but it's very important to talk to someone who can. " +
+    "If you are in immediate danger, please contact your local emergency number or a crisis helpline in your area. " +
+    "You can also reach out to a trusted friend, family member, or a counsellor on your campus.\n\n" +
+    "If you'd like, we can also talk a bit more about what you're feeling and small steps to stay safe right now.",
+  hi:
+    "मुझसे यह बात साझा करने के लिए मैं सच में आभारी हूँ। " +
+    "आपकी भावनाएँ मायने रखती हैं और आपको इसका सामना अकेले नहीं करना है।\n\n" +
+    "मैं सिर्फ़ एक AI हूँ और आपातकालीन मदद नहीं दे सकता, लेकिन किसी ऐसे व्यक्ति से बात करना बहुत ज़रूरी है जो मदद कर सके। " +
+    "अगर आप तुरंत ख़तरे में हैं, तो कृपया अपने स्थानीय आपातकालीन नंबर या किसी क्राइसिस हेल्पलाइन से संपर्क करें। " +
+    "आप किसी भरोसेमंद दोस्त, परिवार के सदस्य या अपने कैंपस के काउंसलर से भी बात कर सकते हैं।\n\n" +
+    "अगर आप चाहें, तो हम इस बारे में थोड़ी और बात कर सकते हैं कि आप क्या महसूस कर रहे हैं और अभी सुरक्षित रहने के लिए कौन से छोटे कदम उठा सकते हैं।",
+  ur:
+    "مجھ سے یہ بات شیئر کرنے کے لیے میں دل سے شکر گزار ہوں۔ " +
+    "آپ کے جذبات اہم ہیں اور آپ کو اس کا سامنا اکیلے نہیں کرنا۔\n\n" +
+    "میں صرف ایک AI ہوں اور ہنگامی مدد فراہم نہیں کر سکتا، لیکن کسی ایسے شخص سے بات کرنا بہت ضروری ہے جو مدد کر سکے۔ " +
+    "اگر آپ فوری خطرے میں ہیں تو براہِ کرم اپنے مقامی ایمرجنسی نمبر یا کسی کرائسس ہیلپ لائن سے رابطہ کریں۔ " +
+    "آپ کسی قابلِ اعتماد دوست، گھر کے کسی فرد یا اپنے کیمپس کے کاؤنسلر سے بھی بات کر سکتے ہیں۔\n\n" +
+    "اگر آپ چاہیں تو ہم اس بارے میں کچھ اور بات کر سکتے ہیں کہ آپ کیا محسوس کر رہے ہیں اور ابھی محفوظ رہنے کے لیے کون سے چھوٹے قدم اٹھا سکتے ہیں۔",
+  ks:
+    "تُہؠ کٔر مےٚ سٕتؠ یہِ کتھ شیئر، یمہِ خٲطرٕ چھُس بہٕ واریاہ شُکر گزار۔ " +
+    "تُہٕنٛد احساس چھُ اہم تہٕ تُہؠ چھُنہٕ یمیُک مقابلہ کُنؠ زٕ کرُن۔\n\n" +
+    "بہٕ چھُس صرف اکھ AI تہٕ ہنگامی مدد ہیکہٕ نہٕ دِتھ، مگر کٲنٛسہِ تِتھ انسانس سٕتؠ کتھ کرٕنؠ چھےٚ واریاہ ضروری یُس مدد ہیکہِ کٔرِتھ۔ " +
+    "اگر تُہؠ فوری خطرس منٛز چھِو، مہربانی کٔرِتھ کٔرِو پننِس مقامی ایمرجنسی نمبرس یا کٲنٛسہِ کرائسس ہیلپ لائنس سٕتؠ رابطہ۔ " +
+    "تُہؠ ہیکِو کٲنٛسہِ اعتبار وٲلِس دوستس، گرٕکِس کٲنٛسہِ فردس یا پننِس کیمپس کِس کاؤنسلرس سٕتؠ تہِ کتھ کٔرِتھ۔\n\n" +
+    "اگر تُہؠ یژھِو، اسؠ ہیکو یمہِ متعلق کینٛہہ زیادٕ کتھ کٔرِتھ زِ تُہؠ کیاہ چھِو محسوس کران تہٕ وُنؠ محفوظ روزنہٕ خٲطرٕ کم لۄکٕٹؠ قدم ہیکو تُلِتھ۔",
+};
+
+// The reply in the user's language, or English when it has no translation
+const localizedReply = (replies, language) => replies[language] || replies[DEFAULT_LANGUAGE];
+
+// Added to the prompt when the detector flags "concern"-level language
+const CONCERN_GUIDANCE =
+  "SAFETY NOTE: A crisis detector flagged possible thoughts of self-harm or hopelessness in the user's latest message. " +
+  "Respond with warmth and without judgement, gently ask whether they are safe right now, " +
+  "and encourage them to reach out to a campus counsellor or a crisis helpline. Do not give any method-related information.";
+
+// Added to the prompt when the companion can use tools this turn
+const TOOLS_GUIDANCE =
+  "You can use tools to help the student inside the app: look up open counsellor slots, draft an appointment request, " +
+  "draft an entry for their daily check-in, suggest wellness tools, and show crisis contacts.\n" +
+  "- Use a tool only when it clearly helps with what the student asked for or needs right now.\n" +
+  "- draft_appointment_request and log_daily_checkin only DRAFT an action. The student sees it with Confirm and Cancel " +
+  "buttons; tell them to review and confirm it. Never say an appointment is booked or a check-in is saved.\n" +
+  "- Only draft an appointment for a slot returned by find_counsellor_slots, and ask which slot they want if unsure.\n" +
+  "- If the student may be unsafe, call get_crisis_contacts so the contacts are shown to them.";
+
+// Log a crisis detection without blocking or failing the reply
+function logCrisisDetection(req, params) {
+  recordCrisisDetection({
+    ...params,
+    collegeId: req.tenant || req.user?.college_id || null,
+    io: req.app.get("io"),
+  }).catch((err) => {
+    console.error("[Crisis] Failed to log detection:", err.message);
+  });
+}
 
 // Helper to get userId safely (from auth OR body/query)
 function getUserIdFromRequest(req) {
@@ -25,8 +132,10 @@ function getUserIdFromRequest(req) {
   return { userId: authUserId || clientUserId || null };
 }
 
-// Build messages array for OpenAI, with mood context and optional RAG context
-function buildOpenAIMessages(history, userMessage, mood, ragContext = null) {
+// Build the chat messages for the LLM provider, with mood context, the running
+// conversation summary, optional RAG context, crisis detection, tool guidance
+// and the user's preferred language
+function buildChatMessages(history, userMessage, mood, ragContext = null, crisis = null, summary = null, toolsEnabled = false, language = DEFAULT_LANGUAGE) {
   const moodText = mood
     ? `The user's emotional state detected by a separate classifier is: "${mood.label}" (confidence ~${Math.round(
         mood.score * 100
@@ -55,6 +164,25 @@ function buildOpenAIMessages(history, userMessage, mood, ragContext = null) {
     },
   ];
 
+  const languageText = languageInstruction(language);
+  if (languageText) {
+    messages.push({ role: "system", content: languageText });
+  }
+
+  if (toolsEnabled) {
+    messages.push({ role: "system", content: TOOLS_GUIDANCE });
+  }
+
+  // Earlier turns that no longer fit the history budget
+  if (summary) {
+    messages.push({
+      role: "system",
+      content:
+        "Summary of the earlier part of this conversation (older messages are not shown individually):\n" +
+        summary,
+    });
+  }
+
   // Add RAG context if available
   if (ragContext && ragContext.trim().length > 0) {
     console.log(`[RAG] Adding context to prompt (${ragContext.length} chars)`);
@@ -69,13 +197,22 @@ function buildOpenAIMessages(history, userMessage, mood, ragContext = null) {
         "If the user asks about information they previously shared (like their name, experiences, etc.), " +
         "CAREFULLY READ THE CONTEXT to find where they told you this information. " +
         "Look for statements where the User (not Assistant) provided the information. " +
-        "If you find it in the context, use it. If not found in context, politely explain you don't have access to that information:\n\n" +
+        "If you find it in the context, use it. If not found in context, politely explain you don't have access to that information.\n" +
+        "When you draw on one of the Relevant Resources, name it by its title, and if it has a Download link, " +
+        "include that link so the student can open it:\n\n" +
         ragContext,
     });
   } else {
     console.log('[RAG] No context available for this request');
   }
 
+  if (crisis?.level === "concern") {
+    messages.push({
+      role: "system",
+      content: CONCERN_GUIDANCE,
+    });
+  }
+
   messages.push(...historyMessages);
   messages.push({
     role: "user",
@@ -85,6 +222,305 @@ function buildOpenAIMessages(history, userMessage, mood, ragContext = null) {
   return messages;
 }
 
+// Running summary plus the recent turns that fit the context budget; the
+// message being answered is excluded because it is appended separately
+async function loadConversationContext(conversationId, excludeMessageId) {
+  try {
+    return await getConversationContext({ conversationId, excludeMessageId });
+  } catch (err) {
+    console.error("[Summary] Failed to load conversation context:", err.message);
+    return { summary: null, history: [], budget: splitContextBudget() };
+  }
+}
+
+// Tools act for a student within their college, so other roles chat without them
+function getToolContext(req, userId, conversationId) {
+  const collegeId = req.tenant || req.user?.college_id || null;
+  if (!TOOLS_ENABLED || req.user?.role !== "student" || !collegeId) return null;
+  return { userId, collegeId, conversationId };
+}
+
+// Call the model, letting it use the companion tools when the turn allows them
+// Returns { text, toolEvents }
+async function runCompanion({ messages, toolContext, complete, onToolEvent }) {
+  if (!toolContext) {
+    const completion = await complete(messages);
+    return { text: completion.text, toolEvents: [] };
+  }
+  return runToolLoop({ messages, context: toolContext, complete, onEvent: onToolEvent });
+}
+
+// Shared by chat and chatStream, up to the model call: validate the request,
+// answer imminent crisis locally, create or check the conversation, save the
+// user message and gather mood, history and RAG context.
+// Returns { response: { status, body } } when the request is answered without
+// the model, otherwise the prepared turn.
+async function prepareChatTurn(req) {
+  const { error: idError, userId } = getUserIdFromRequest(req);
+  if (idError) {
+    return { response: { status: 403, body: { error: idError, status: 403 } } };
+  }
+
+  const { conversationId, message } = req.body;
+
+  if (!userId || !message || typeof message !== "string") {
+    return { response: { status: 400, body: { error: "Missing or invalid userId/message" } } };
+  }
+
+  const language = await getPreferredLanguage(userId);
+
+  // 1) Crisis detection: imminent risk is answered locally and escalated,
+  // concern-level messages continue to the model with extra safety guidance
+  const crisis = detectCrisis(message);
+  if (crisis.level === "imminent") {
+    logCrisisDetection(req, {
+      userId,
+      conversationId: conversationId || null,
+      source: "chat",
+      detection: crisis,
+      text: message,
+    });
+
+    return {
+      response: {
+        status: 200,
+        body: {
+          reply: localizedReply(CRISIS_REPLIES, language),
+          conversationId: conversationId || null,
+          isCrisisHandledLocally: true,
+          crisisLevel: crisis.level,
+        },
+      },
+    };
+  }
+
+  // 2) Mood detection with j-hartmann model
+  const mood = await detectMood(message); // {label, score} or null
+
+  // 3) Ensure conversation exists / user owns it
+  let convId = conversationId || null;
+
+  if (!convId) {
+    // Generate title from first message (first 50 chars)
+    const generatedTitle = message.length > 50 
+      ? message.substring(0, 50) + '...' 
+      : message;
+
+    const { data: newConv, error: convError } = await supabaseAdmin
+      .from("ai_conversations")
+      .insert({
+        user_id: userId,
+        title: generatedTitle,
+      })
+      .select("id")
+      .single();
+
+    if (convError || !newConv) {
+      console.error("Error creating ai_conversation:", convError);
+      return { response: { status: 500, body: { error: "Failed to create conversation. Please try again." } } };
+    }
+    convId = newConv.id;
+    console.log(`[Chat] Created new conversation ${convId} with title: "${generatedTitle}"`);
+  } else {
+    // verify ownership
+    const { data: conv, error: convCheckError } = await supabaseAdmin
+      .from("ai_conversations")
+      .select("id, user_id")
+      .eq("id", convId)
+      .single();
+
+    if (convCheckError || !conv) {
+      return { response: { status: 404, body: { error: "Conversation not found" } } };
+    }
+    if (conv.user_id !== userId) {
+      return { response: { status: 403, body: { error: "User does not own this conversation", status: 403 } } };
+    }
+  }
+
+  // 4) Store user message
+  const { data: userMsgData, error: insertUserMsgError } = await supabaseAdmin
+    .from("ai_messages")
+    .insert({
+      conversation_id: convId,
+      sender: "user",
+      message,
+      mood_label: mood?.label?.toLowerCase() ?? null,
+      mood_score: mood?.score ?? null,
+    })
+    .select("id")
+    .single();
+
+  if (insertUserMsgError) {
+    console.error("Error inserting user message:", insertUserMsgError);
+    return {
+      response: {
+        status: 500,
+        body: {
+          error: "Failed to save your message. Please try again.",
+          details: insertUserMsgError.message
+        },
+      },
+    };
+  }
+
+  if (!userMsgData || !userMsgData.id) {
+    console.error("User message saved but no ID returned");
+    return { response: { status: 500, body: { error: "Failed to save your message properly. Please try again." } } };
+  }
+
+  if (crisis.level === "concern") {
+    logCrisisDetection(req, {
+      userId,
+      conversationId: convId,
+      messageId: userMsgData.id,
+      source: "chat",
+      detection: crisis,
+      text: message,
+    });
+  }
+
+  // 4a) Asynchronously store embedding for user message (best-effort, non-blocking)
+  if (userMsgData?.id && RAG_ENABLED) {
+    storeMessageEmbedding({
+      messageId: userMsgData.id,
+      userId,
+      conversationId: convId,
+      content: message
+    }).catch(err => {
+      console.error("[RAG] Failed to store user message embedding:", err.message);
+    });
+  }
+
+  // 5) Load the running summary and recent history within the token budget
+  const { summary, history, budget } = await loadConversationContext(convId, userMsgData.id);
+
+  // 5a) RAG: Retrieve relevant past conversations and knowledge
+  let ragContext = null;
+  let sources = [];
+  if (RAG_ENABLED) {
+    try {
+      const startTime = Date.now();
+      const [historyItems, knowledgeItems] = await Promise.all([
+        searchUserHistory({
+          userId,
+          query: message,
+          topK: 3, // Reduced from 5 to 3 for faster performance
+          currentConversationId: convId
+        }),
+        searchKnowledge({
+          userId,
+          collegeId: req.tenant || req.user?.college_id || null,
+          query: message,
+          topK: 3, // Reduced from 5 to 3 for faster performance
+          sourceTypes: KNOWLEDGE_SOURCE_TYPES
+        })
+      ]);
+
+      // Counsellor resources get a download link to cite
+      const linked = await attachResourceLinks(knowledgeItems);
+      sources = linked.sources;
+      ragContext = truncateToTokens(formatRAGContext(historyItems, linked.items), budget.rag);
+      const ragTime = Date.now() - startTime;
+      console.log(`[RAG] Retrieved ${historyItems.length} history items, ${knowledgeItems.length} knowledge items in ${ragTime}ms`);
+      if (historyItems.length > 0) {
+        console.log(`[RAG] Sample history item: "${historyItems[0].content.substring(0, 100)}..."`);
+      }
+    } catch (ragError) {
+      console.error("[RAG] Error retrieving context:", ragError.message);
+      // Continue without RAG context
+    }
+  }
+
+  // 6) Build chat messages with mood, summary, RAG context and tool guidance
+  const toolContext = getToolContext(req, userId, convId);
+  const chatMessages = buildChatMessages(history, message, mood, ragContext, crisis, summary, Boolean(toolContext), language);
+
+  return { userId, convId, mood, crisis, ragContext, sources, chatMessages, toolContext, language };
+}
+
+// Save the assistant reply and embed it in the background
+// Returns { messageId, error }
+async function saveAssistantReply({ userId, convId, reply }) {
+  const { data: aiMsgData, error } = await supabaseAdmin
+    .from("ai_messages")
+    .insert({
+      conversation_id: convId,
+      sender: "ai",
+      message: reply,
+    })
+    .select("id")
+    .single();
+
+  if (error) {
+    console.error("Error inserting AI message:", error);
+    return { messageId: null, error };
+  }
+
+  if (!aiMsgData || !aiMsgData.id) {
+    console.error("AI message saved but no ID returned");
+  }
+
+  // Asynchronously store embedding for AI response (best-effort, non-blocking)
+  if (aiMsgData?.id && RAG_ENABLED) {
+    storeMessageEmbedding({
+      messageId: aiMsgData.id,
+      userId,
+      conversationId: convId,
+      content: reply
+    }).catch(err => {
+      console.error("[RAG] Failed to store AI message embedding:", err.message);
+    });
+  }
+
+  return { messageId: aiMsgData?.id || null, error: null };
+}
+
+// Title and tag the conversation after its first exchange; later turns get
+// null. Returns { title, tags } for the response.
+async function titleAfterFirstExchange(convId, language) {
+  const titled = await titleConversation({ conversationId: convId, language });
+  return titled && { title: titled.title, tags: titled.tags };
+}
+
+// Whether and how to speak a voice reply: { speak, voice, speed } from the
+// user's voice settings, overridden by the request's speak, voice and speed
+// fields. Invalid overrides throw a 400 error.
+async function voiceReplyOptions(userId, body = {}) {
+  let settings = DEFAULT_VOICE_SETTINGS;
+  try {
+    settings = await getVoiceSettings(userId);
+  } catch (err) {
+    console.error("[Speech] Failed to read voice settings:", err.message);
+  }
+
+  const speak = body.speak === undefined || body.speak === ""
+    ? settings.spokenReplies
+    : body.speak === true || body.speak === "true";
+  return { speak, ...resolveVoiceOptions(settings, body) };
+}
+
+// The `speech` field of a voice response: the reply as base64 audio, or null
+// when not wanted or when synthesis fails (the text reply still goes out)
+async function speechForReply(text, { speak, voice, speed }) {
+  if (!speak) return { speech: null };
+
+  try {
+    const result = await synthesizeSpeech(text, { voice, speed });
+    return {
+      speech: {
+        audio: result.audio.toString("base64"),
+        mimeType: result.mimeType,
+        format: result.format,
+        voice: result.voice,
+        speed: result.speed,
+      },
+    };
+  } catch (err) {
+    console.error(`[Speech] Synthesis failed (${err.code || "unknown"}):`, err.message);
+    return { speech: null, speechError: "Could not create a spoken reply" };
+  }
+}
+
 const aiChatController = {
   // POST /api/ai/conversations
   async createConversation(req, res) {
@@ -132,241 +568,185 @@ const aiChatController = {
   // POST /api/ai/chat
   async chat(req, res) {
     try {
-      const { error: idError, userId } = getUserIdFromRequest(req);
-      if (idError) {
-        return res
-          .status(403)
-          .json({ error: idError, status: 403 });
+      const turn = await prepareChatTurn(req);
+      if (turn.response) {
+        return res.status(turn.response.status).json(turn.response.body);
       }
 
-      const { conversationId, message } = req.body;
+      const { userId, convId, mood, crisis, ragContext, sources, chatMessages, toolContext, language } = turn;
 
-      if (!userId || !message || typeof message !== "string") {
-        return res
-          .status(400)
-          .json({ error: "Missing or invalid userId/message" });
-      }
-
-      // 1) Crisis detection
-      if (isCrisisMessage(message)) {
-        const crisisReply =
-          "I'm really glad you reached out and shared this with me. " +
-          "Your feelings are important and you do not have to face this alone.\n\n" +
-          "I'm just an AI and I can't provide emergency help, but it's very important to talk to someone who can. " +
-          "If you are in immediate danger, please contact your local emergency number or a crisis helpline in your area. " +
-          "You can also reach out to a trusted friend, family member, or a counsellor on your campus.\n\n" +
-          "If you'd like, we can also talk a bit more about what you're feeling and small steps to stay safe right now.";
-
-        return res.json({
-          reply: crisisReply,
-          conversationId: conversationId || null,
-          isCrisisHandledLocally: true,
+      // 7) Call the LLM provider, running any tools it asks for
+      let assistantReply = localizedReply(FALLBACK_REPLIES, language);
+      let toolEvents = [];
+      try {
+        const result = await runCompanion({
+          messages: chatMessages,
+          toolContext,
+          complete: (messages, tools) => chat({ messages, tools }),
         });
+        assistantReply = result.text || assistantReply;
+        toolEvents = result.toolEvents;
+      } catch (err) {
+        console.error(`LLM chat error (${err.code || "unknown"}):`, err.message);
       }
 
-      // 2) Mood detection with j-hartmann model
-      const mood = await detectMood(message); // {label, score} or null
-
-      // 3) Ensure conversation exists / user owns it
-      let convId = conversationId || null;
-      let isNewConversation = false;
-
-      if (!convId) {
-        // Generate title from first message (first 50 chars)
-        const generatedTitle = message.length > 50 
-          ? message.substring(0, 50) + '...' 
-          : message;
-
-        const { data: newConv, error: convError } = await supabaseAdmin
-          .from("ai_conversations")
-          .insert({
-            user_id: userId,
-            title: generatedTitle,
-          })
-          .select("id")
-          .single();
-
-        if (convError || !newConv) {
-          console.error("Error creating ai_conversation:", convError);
-          return res
-            .status(500)
-            .json({ error: "Failed to create conversation. Please try again." });
-        }
-        convId = newConv.id;
-        isNewConversation = true;
-        console.log(`[Chat] Created new conversation ${convId} with title: "${generatedTitle}"`);
-      } else {
-        // verify ownership
-        const { data: conv, error: convCheckError } = await supabaseAdmin
-          .from("ai_conversations")
-          .select("id, user_id")
-          .eq("id", convId)
-          .single();
-
-        if (convCheckError || !conv) {
-          return res
-            .status(404)
-            .json({ error: "Conversation not found" });
-        }
-        if (conv.user_id !== userId) {
-          return res
-            .status(403)
-            .json({ error: "User does not own this conversation", status: 403 });
-        }
-      }
-
-      // 4) Store user message
-      const { data: userMsgData, error: insertUserMsgError } = await supabaseAdmin
-        .from("ai_messages")
-        .insert({
-          conversation_id: convId,
-          sender: "user",
-          message,
-        })
-        .select("id")
-        .single();
-
-      if (insertUserMsgError) {
-        console.error("Error inserting user message:", insertUserMsgError);
-        return res.status(500).json({ 
-          error: "Failed to save your message. Please try again.",
-          details: insertUserMsgError.message 
-        });
-      }
+      // 8) Save AI reply (sender='ai' for DB, but we'll map to 'assistant' on read)
+      const { error: insertAiMsgError } = await saveAssistantReply({ userId, convId, reply: assistantReply });
 
-      if (!userMsgData || !userMsgData.id) {
-        console.error("User message saved but no ID returned");
+      if (insertAiMsgError) {
         return res.status(500).json({ 
-          error: "Failed to save your message properly. Please try again." 
+          error: "Failed to save AI response. Please try again.",
+          details: insertAiMsgError.message,
+          reply: assistantReply, // Still return the reply even if save failed
+          toolEvents
         });
       }
 
-      // 4a) Asynchronously store embedding for user message (best-effort, non-blocking)
-      if (userMsgData?.id && RAG_ENABLED) {
-        storeMessageEmbedding({
-          messageId: userMsgData.id,
-          userId,
-          conversationId: convId,
-          content: message
-        }).catch(err => {
-          console.error("[RAG] Failed to store user message embedding:", err.message);
-        });
-      }
+      // 9) Return
+      res.json({
+        reply: assistantReply,
+        conversationId: convId,
+        mood,
+        crisisLevel: crisis.level,
+        ragUsed: RAG_ENABLED && ragContext !== null,
+        sources,
+        toolEvents
+      });
 
-      // 5) Load recent history
-      const { data: historyData, error: historyError } = await supabaseAdmin
-        .from("ai_messages")
-        .select("sender, message, created_at")
-        .eq("conversation_id", convId)
-        .order("created_at", { ascending: true })
-        .limit(MAX_HISTORY_MESSAGES);
+      console.log(`[Chat] User ${userId} - Conversation ${convId} - Reply sent successfully`);
 
-      const history = historyError || !historyData ? [] : historyData;
+      // 10) Title and tag a new conversation in the background (never throws);
+      // the client reads the title from GET /api/ai/conversations
+      titleAfterFirstExchange(convId, language);
+    } catch (err) {
+      console.error("Unhandled AI chat error:", err);
+      return res
+        .status(500)
+        .json({ error: "Something went wrong. Please try again." });
+    }
+  },
 
-      // 5a) RAG: Retrieve relevant past conversations and knowledge
-      let ragContext = null;
-      if (RAG_ENABLED) {
-        try {
-          const startTime = Date.now();
-          const [historyItems, knowledgeItems] = await Promise.all([
-            searchUserHistory({
-              userId,
-              query: message,
-              topK: 3, // Reduced from 5 to 3 for faster performance
-              currentConversationId: convId
-            }),
-            searchKnowledge({
-              userId,
-              query: message,
-              topK: 3, // Reduced from 5 to 3 for faster performance
-              sourceTypes: ['resource', 'faq', 'psychoeducation']
-            })
-          ]);
+  // POST /api/ai/chat/stream
+  // Same request as /chat, but the reply is sent as Server-Sent Events while
+  // the model writes it:
+  //   event: meta   { conversationId, mood, crisisLevel, ragUsed, sources }
+  //   event: token  { delta }
+  //   event: tool   { id, tool, status, summary, requiresConfirmation?, result? }
+  //   event: done   { reply, conversationId, messageId, mood, crisisLevel, ragUsed, sources, toolEvents }
+  //   event: title  { conversationId, title, tags } after the first exchange only
+  //   event: error  { error }
+  // Requests answered without the model (validation errors, crisis replies)
+  // get the same JSON response as /chat. Closing the connection aborts the
+  // upstream model request and the cancelled reply is not saved; a reply that
+  // finishes is saved and embedded like /chat.
+  async chatStream(req, res) {
+    let turn;
+    try {
+      turn = await prepareChatTurn(req);
+    } catch (err) {
+      console.error("Unhandled AI chat stream error:", err);
+      return res
+        .status(500)
+        .json({ error: "Something went wrong. Please try again." });
+    }
 
-          ragContext = formatRAGContext(historyItems, knowledgeItems);
-          const ragTime = Date.now() - startTime;
-          console.log(`[RAG] Retrieved ${historyItems.length} history items, ${knowledgeItems.length} knowledge items in ${ragTime}ms`);
-          if (historyItems.length > 0) {
-            console.log(`[RAG] Sample history item: "${historyItems[0].content.substring(0, 100)}..."`);
-          }
-        } catch (ragError) {
-          console.error("[RAG] Error retrieving context:", ragError.message);
-          // Continue without RAG context
-        }
-      }
+    if (turn.response) {
+      return res.status(turn.response.status).json(turn.response.body);
+    }
 
-      // 6) Build OpenAI messages with mood and RAG context
-      const messagesForOpenAI = buildOpenAIMessages(history, message, mood, ragContext);
+    const { userId, convId, mood, crisis, ragContext, sources, chatMessages, toolContext, language } = turn;
+    const ragUsed = RAG_ENABLED && ragContext !== null;
 
-      // 7) Call OpenAI
-      let assistantReply =
-        "I'm having trouble responding right now. Please try again in a moment.";
-      try {
-        const completion = await openai.chat.completions.create({
-          model: OPENAI_MODEL,
-          messages: messagesForOpenAI,
-        });
+    const upstream = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) upstream.abort();
+    });
 
-        assistantReply =
-          completion.choices?.[0]?.message?.content?.trim() || assistantReply;
-      } catch (err) {
-        console.error("OpenAI API error:", err);
-      }
+    // no-transform keeps the compression middleware from buffering events
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
 
-      // 8) Save AI reply (sender='ai' for DB, but we'll map to 'assistant' on read)
-      const { data: aiMsgData, error: insertAiMsgError } = await supabaseAdmin
-        .from("ai_messages")
-        .insert({
-          conversation_id: convId,
-          sender: "ai",
-          message: assistantReply,
-        })
-        .select("id")
-        .single();
+    const send = (event, data) => {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-      if (insertAiMsgError) {
-        console.error("Error inserting AI message:", insertAiMsgError);
-        return res.status(500).json({ 
-          error: "Failed to save AI response. Please try again.",
-          details: insertAiMsgError.message,
-          reply: assistantReply // Still return the reply even if save failed
-        });
-      }
+    send("meta", { conversationId: convId, mood, crisisLevel: crisis.level, ragUsed, sources });
 
-      if (!aiMsgData || !aiMsgData.id) {
-        console.error("AI message saved but no ID returned");
+    // Text from the model calls before and after tool use is streamed as one reply
+    let streamedText = false;
+    let result;
+    try {
+      result = await runCompanion({
+        messages: chatMessages,
+        toolContext,
+        onToolEvent: (event) => send("tool", event),
+        complete: (messages, tools) => {
+          let separate = streamedText;
+          return chatStream({
+            messages,
+            tools,
+            signal: upstream.signal,
+            onDelta: (delta) => {
+              if (separate) {
+                send("token", { delta: "\n\n" });
+                separate = false;
+              }
+              streamedText = true;
+              send("token", { delta });
+            },
+          });
+        },
+      });
+    } catch (err) {
+      if (err.code === LLM_ERROR_CODES.ABORTED) {
+        console.log(`[Chat] User ${userId} - Conversation ${convId} - Stream cancelled by client`);
+        return;
       }
+      console.error(`LLM chat stream error (${err.code || "unknown"}):`, err.message);
+      send("error", { error: localizedReply(FALLBACK_REPLIES, language) });
+      return res.end();
+    }
 
-      console.log(`[Chat] User ${userId} - Conversation ${convId} - Reply sent successfully`);
+    const assistantReply = result.text || localizedReply(FALLBACK_REPLIES, language);
 
-      // 8a) Asynchronously store embedding for AI response (best-effort, non-blocking)
-      if (aiMsgData?.id && RAG_ENABLED) {
-        storeMessageEmbedding({
-          messageId: aiMsgData.id,
-          userId,
-          conversationId: convId,
-          content: assistantReply
-        }).catch(err => {
-          console.error("[RAG] Failed to store AI message embedding:", err.message);
-        });
+    try {
+      const { messageId, error } = await saveAssistantReply({ userId, convId, reply: assistantReply });
+      if (error) {
+        send("error", { error: "Failed to save AI response. Please try again.", reply: assistantReply });
+        return res.end();
       }
 
-      // 9) Return
-      return res.json({
+      console.log(`[Chat] User ${userId} - Conversation ${convId} - Streamed reply sent successfully`);
+
+      send("done", {
         reply: assistantReply,
         conversationId: convId,
+        messageId,
         mood,
-        ragUsed: RAG_ENABLED && ragContext !== null
+        crisisLevel: crisis.level,
+        ragUsed,
+        sources,
+        toolEvents: result.toolEvents
       });
+
+      const titled = await titleAfterFirstExchange(convId, language);
+      if (titled) send("title", { conversationId: convId, ...titled });
     } catch (err) {
-      console.error("Unhandled AI chat error:", err);
-      return res
-        .status(500)
-        .json({ error: "Something went wrong. Please try again." });
+      console.error("Unhandled AI chat stream error:", err);
+      send("error", { error: "Something went wrong. Please try again." });
     }
+    return res.end();
   },
 
-  // GET /api/ai/conversations?userId=...
+  // GET /api/ai/conversations?userId=...&tag=...&q=...
+  // Conversations from the last 10 days. With `tag` (one of TOPIC_TAGS) or
+  // `q` (words in the title) the search covers older conversations too.
+  // The response lists the tags to filter by as availableTags.
   async listRecentConversations(req, res) {
     try {
       const { error: idError, userId } = getUserIdFromRequest(req);
@@ -382,19 +762,43 @@ const aiChatController = {
           .json({ error: "Missing or invalid userId" });
       }
 
-      // last 10 days
-      const tenDaysAgoIso = new Date(
-        Date.now() - 10 * 24 * 60 * 60 * 1000
-      ).toISOString();
+      const tag = typeof req.query.tag === "string" ? req.query.tag.trim() : "";
+      const search = typeof req.query.q === "string" ? req.query.q.trim() : "";
 
-      const { data, error } = await supabaseAdmin
+      if (tag && !TOPIC_TAGS[tag]) {
+        return res
+          .status(400)
+          .json({ error: "Unknown tag" });
+      }
+      if (search.length > MAX_CONVERSATION_SEARCH_CHARS) {
+        return res
+          .status(400)
+          .json({ error: `Search must be ${MAX_CONVERSATION_SEARCH_CHARS} characters or fewer` });
+      }
+
+      let query = supabaseAdmin
         .from("ai_conversations")
-        .select("id, title, created_at, updated_at")
+        .select("id, title, tags, created_at, updated_at")
         .eq("user_id", userId)
-        .gte("updated_at", tenDaysAgoIso)
         .order("updated_at", { ascending: false })
         .limit(20);
 
+      if (tag) query = query.contains("tags", [tag]);
+      if (search) {
+        // Match the words literally: escape LIKE wildcards, drop PostgREST's "*"
+        const pattern = search.replace(/[\\%_]/g, "\\$&").replace(/\*/g, "");
+        query = query.ilike("title", `%${pattern}%`);
+      }
+      if (!tag && !search) {
+        // last 10 days
+        const tenDaysAgoIso = new Date(
+          Date.now() - 10 * 24 * 60 * 60 * 1000
+        ).toISOString();
+        query = query.gte("updated_at", tenDaysAgoIso);
+      }
+
+      const { data, error } = await query;
+
       if (error) {
         console.error("Error fetching conversations:", error);
         return res
@@ -444,7 +848,8 @@ const aiChatController = {
 
           return {
             ...conv,
-            title: finalTitle
+            title: finalTitle,
+            tags: conv.tags || []
           };
         })
       );
@@ -454,7 +859,7 @@ const aiChatController = {
       
       console.log(`[Conversations] Returning ${validConversations.length} conversations (filtered out ${conversationsWithTitles.length - validConversations.length} empty ones)`);
 
-      return res.json({ conversations: validConversations });
+      return res.json({ conversations: validConversations, availableTags: AVAILABLE_TAGS });
     } catch (err) {
       console.error("Unhandled listRecentConversations error:", err);
       return res
@@ -571,6 +976,17 @@ const aiChatController = {
           .json({ error: "User does not own this conversation", status: 403 });
       }
 
+      // Purge what the companion remembers from this conversation first, so
+      // a failure leaves the conversation in place instead of orphaned memories
+      try {
+        await deleteConversationMemories(userId, conversationId);
+      } catch (memoryError) {
+        console.error("deleteConversation memory purge error:", memoryError);
+        return res
+          .status(500)
+          .json({ error: "Failed to delete conversation memories. Please try again." });
+      }
+
       // Delete messages
       await supabaseAdmin
         .from("ai_messages")
@@ -592,8 +1008,9 @@ const aiChatController = {
     }
   },
 
-  // POST /api/ai/voice  (optional voice endpoint, using transcription)
-  async voice(req, res) {
+  // GET /api/ai/memories?conversationId=&limit=&offset=
+  // Snippets the companion can recall from past conversations, newest first
+  async listMemories(req, res) {
     try {
       const { error: idError, userId } = getUserIdFromRequest(req);
       if (idError) {
@@ -602,43 +1019,348 @@ const aiChatController = {
           .json({ error: idError, status: 403 });
       }
 
-      const { conversationId } = req.body;
-      if (!req.file || !userId || !conversationId) {
+      if (!userId) {
         return res
           .status(400)
-          .json({ error: "Missing file, userId, or conversationId" });
+          .json({ error: "Missing userId" });
       }
 
-      // Verify conversation ownership
-      const { data: conv, error: convError } = await supabaseAdmin
-        .from("ai_conversations")
-        .select("id, user_id")
-        .eq("id", conversationId)
-        .single();
+      const { conversationId, limit, offset } = req.query;
+      const [page, settings] = await Promise.all([
+        listMemories(userId, { conversationId, limit, offset }),
+        getMemorySettings(userId),
+      ]);
 
-      if (convError || !conv) {
+      return res.json({ ...page, paused: settings.paused });
+    } catch (err) {
+      console.error("listMemories error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to load memories." });
+    }
+  },
+
+  // GET /api/ai/memories/settings
+  async getMemorySettings(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
         return res
-          .status(404)
-          .json({ error: "Conversation not found" });
-      }
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      if (!userId) {
+        return res
+          .status(400)
+          .json({ error: "Missing userId" });
+      }
+
+      return res.json(await getMemorySettings(userId));
+    } catch (err) {
+      console.error("getMemorySettings error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to load memory settings." });
+    }
+  },
+
+  // PUT /api/ai/memories/settings  { paused: boolean }
+  // While paused nothing is remembered or recalled
+  async updateMemorySettings(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      const { paused } = req.body;
+      if (!userId || typeof paused !== "boolean") {
+        return res
+          .status(400)
+          .json({ error: "Missing userId or invalid paused flag" });
+      }
+
+      const settings = await setMemoryPaused(userId, paused);
+      console.log(`[Memory] User ${userId} ${paused ? "paused" : "resumed"} memory`);
+      return res.json(settings);
+    } catch (err) {
+      console.error("updateMemorySettings error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to update memory settings." });
+    }
+  },
+
+  // GET /api/ai/memories/export?includeEmbeddings=true
+  // Everything remembered, as a JSON download
+  async exportMemories(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      if (!userId) {
+        return res
+          .status(400)
+          .json({ error: "Missing userId" });
+      }
+
+      const includeEmbeddings = req.query.includeEmbeddings === "true";
+      const data = await exportMemories(userId, { includeEmbeddings });
+      const date = data.exportedAt.slice(0, 10);
+
+      res.setHeader("Content-Disposition", `attachment; filename="ai-memories-${date}.json"`);
+      return res.json(data);
+    } catch (err) {
+      console.error("exportMemories error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to export memories." });
+    }
+  },
+
+  // DELETE /api/ai/memories/:memoryId
+  async deleteMemory(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      const { memoryId } = req.params;
+      if (!memoryId || !userId) {
+        return res
+          .status(400)
+          .json({ error: "Missing memoryId or userId" });
+      }
+
+      const deleted = await deleteMemory(userId, memoryId);
+      if (!deleted) {
+        return res
+          .status(404)
+          .json({ error: "Memory not found" });
+      }
+
+      return res.json({ success: true, memory: deleted });
+    } catch (err) {
+      console.error("deleteMemory error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to delete memory." });
+    }
+  },
+
+  // DELETE /api/ai/memories/conversations/:conversationId
+  // Forget a whole conversation but keep its transcript
+  async deleteConversationMemories(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      const { conversationId } = req.params;
+      if (!conversationId || !userId) {
+        return res
+          .status(400)
+          .json({ error: "Missing conversationId or userId" });
+      }
+
+      const { data: conv, error: convError } = await supabaseAdmin
+        .from("ai_conversations")
+        .select("id, user_id")
+        .eq("id", conversationId)
+        .single();
+
+      if (convError || !conv) {
+        return res
+          .status(404)
+          .json({ error: "Conversation not found" });
+      }
+
       if (conv.user_id !== userId) {
         return res
           .status(403)
           .json({ error: "User does not own this conversation", status: 403 });
       }
 
-      // Transcribe audio with Whisper
+      const { removed } = await deleteConversationMemories(userId, conversationId);
+      return res.json({ success: true, removed });
+    } catch (err) {
+      console.error("deleteConversationMemories error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to delete conversation memories." });
+    }
+  },
+
+  // GET /api/ai/actions?conversationId=...
+  // Actions the companion drafted that still wait for the student's confirmation
+  async listActions(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      if (!userId) {
+        return res
+          .status(400)
+          .json({ error: "Missing userId" });
+      }
+
+      const actions = await listPendingActions(userId, req.query.conversationId || null);
+      return res.json({ actions });
+    } catch (err) {
+      console.error("listActions error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to load actions." });
+    }
+  },
+
+  // POST /api/ai/actions/:actionId/confirm
+  // Runs the drafted action and adds its outcome to the conversation
+  async confirmAction(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      const toolContext = getToolContext(req, userId, null);
+      if (!toolContext) {
+        return res
+          .status(403)
+          .json({ error: "Companion actions are not available for this account", status: 403 });
+      }
+
+      const { action, outcome } = await confirmToolAction(req.params.actionId, toolContext);
+
+      let message = null;
+      if (action.conversationId) {
+        const { messageId, error } = await saveAssistantReply({
+          userId,
+          convId: action.conversationId,
+          reply: outcome,
+        });
+        if (!error) message = { id: messageId, text: outcome };
+      }
+
+      return res.json({ success: true, action, message });
+    } catch (err) {
+      if (err.statusCode) {
+        return res
+          .status(err.statusCode)
+          .json({ error: err.message });
+      }
+      console.error("confirmAction error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to confirm action." });
+    }
+  },
+
+  // POST /api/ai/actions/:actionId/cancel
+  async cancelAction(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      const toolContext = getToolContext(req, userId, null);
+      if (!toolContext) {
+        return res
+          .status(403)
+          .json({ error: "Companion actions are not available for this account", status: 403 });
+      }
+
+      const { action } = await cancelToolAction(req.params.actionId, toolContext);
+      return res.json({ success: true, action });
+    } catch (err) {
+      if (err.statusCode) {
+        return res
+          .status(err.statusCode)
+          .json({ error: err.message });
+      }
+      console.error("cancelAction error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to cancel action." });
+    }
+  },
+
+  // POST /api/ai/voice  (optional voice endpoint, using transcription)
+  async voice(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      const { conversationId } = req.body;
+      if (!req.file || !userId || !conversationId) {
+        return res
+          .status(400)
+          .json({ error: "Missing file, userId, or conversationId" });
+      }
+
+      const language = await getPreferredLanguage(userId);
+
+      let speechOptions;
+      try {
+        speechOptions = await voiceReplyOptions(userId, req.body);
+      } catch (err) {
+        if (!err.statusCode) throw err;
+        return res
+          .status(err.statusCode)
+          .json({ error: err.message });
+      }
+
+      // Verify conversation ownership
+      const { data: conv, error: convError } = await supabaseAdmin
+        .from("ai_conversations")
+        .select("id, user_id")
+        .eq("id", conversationId)
+        .single();
+
+      if (convError || !conv) {
+        return res
+          .status(404)
+          .json({ error: "Conversation not found" });
+      }
+      if (conv.user_id !== userId) {
+        return res
+          .status(403)
+          .json({ error: "User does not own this conversation", status: 403 });
+      }
+
+      // Transcribe audio with the configured provider
       let transcribedText = "";
       try {
-        const audioFile = new File(
-          [req.file.buffer],
-          req.file.originalname || "audio.webm",
-          { type: req.file.mimetype || "audio/webm" }
-        );
-
-        const transcription = await openai.audio.transcriptions.create({
-          model: "whisper-1",
-          file: audioFile,
+        const transcription = await transcribe({
+          audio: req.file.buffer,
+          filename: req.file.originalname || "audio.webm",
+          mimeType: req.file.mimetype || "audio/webm",
         });
 
         transcribedText = transcription.text || "";
@@ -656,23 +1378,29 @@ const aiChatController = {
       }
 
       // Crisis detection for voice
-      if (isCrisisMessage(transcribedText)) {
-        const crisisReply =
-          "I'm really glad you reached out and shared this with me. " +
-          "Your feelings are important and you do not have to face this alone.\n\n" +
-          "I'm just an AI and I can't provide emergency help, but it's very important to talk to someone who can. " +
-          "If you are in immediate danger, please contact your local emergency number or a crisis helpline in your area. " +
-          "You can also reach out to a trusted friend, family member, or a counsellor on your campus.\n\n" +
-          "If you'd like, we can also talk a bit more about what you're feeling and small steps to stay safe right now.";
+      const crisis = detectCrisis(transcribedText);
+      if (crisis.level === "imminent") {
+        logCrisisDetection(req, {
+          userId,
+          conversationId,
+          source: "voice",
+          detection: crisis,
+          text: transcribedText,
+        });
 
         return res.json({
           transcribedText,
-          botResponse: crisisReply,
+          botResponse: localizedReply(CRISIS_REPLIES, language),
           conversationId,
           isCrisisHandledLocally: true,
+          crisisLevel: crisis.level,
+          ...(await speechForReply(localizedReply(CRISIS_REPLIES, language), speechOptions)),
         });
       }
 
+      // Mood detection for voice text
+      const mood = await detectMood(transcribedText);
+
       // Save user message (text from voice)
       const { data: userMsgData, error: userInsertError } = await supabaseAdmin
         .from("ai_messages")
@@ -680,6 +1408,8 @@ const aiChatController = {
           conversation_id: conversationId,
           sender: "user",
           message: transcribedText,
+          mood_label: mood?.label?.toLowerCase() ?? null,
+          mood_score: mood?.score ?? null,
         })
         .select("id")
         .single();
@@ -688,6 +1418,17 @@ const aiChatController = {
         console.error("Error inserting user voice message:", userInsertError);
       }
 
+      if (crisis.level === "concern") {
+        logCrisisDetection(req, {
+          userId,
+          conversationId,
+          messageId: userMsgData?.id || null,
+          source: "voice",
+          detection: crisis,
+          text: transcribedText,
+        });
+      }
+
       // Asynchronously store embedding for user voice message
       if (userMsgData?.id && RAG_ENABLED) {
         storeMessageEmbedding({
@@ -700,18 +1441,8 @@ const aiChatController = {
         });
       }
 
-      // Mood detection for voice text
-      const mood = await detectMood(transcribedText);
-
-      // Load history
-      const { data: historyData } = await supabaseAdmin
-        .from("ai_messages")
-        .select("sender, message, created_at")
-        .eq("conversation_id", conversationId)
-        .order("created_at", { ascending: true })
-        .limit(MAX_HISTORY_MESSAGES);
-
-      const history = historyData || [];
+      // Load the running summary and recent history within the token budget
+      const { summary, history, budget } = await loadConversationContext(conversationId, userMsgData?.id);
 
       // RAG: Retrieve relevant context for voice message
       let ragContext = null;
@@ -727,13 +1458,15 @@ const aiChatController = {
             }),
             searchKnowledge({
               userId,
+              collegeId: req.tenant || req.user?.college_id || null,
               query: transcribedText,
               topK: 3, // Reduced from 5 to 3 for faster performance
-              sourceTypes: ['resource', 'faq', 'psychoeducation']
+              sourceTypes: KNOWLEDGE_SOURCE_TYPES
             })
           ]);
 
-          ragContext = formatRAGContext(historyItems, knowledgeItems);
+          const linked = await attachResourceLinks(knowledgeItems);
+          ragContext = truncateToTokens(formatRAGContext(historyItems, linked.items), budget.rag);
           const ragTime = Date.now() - startTime;
           console.log(`[RAG Voice] Retrieved ${historyItems.length} history items, ${knowledgeItems.length} knowledge items in ${ragTime}ms`);
         } catch (ragError) {
@@ -741,26 +1474,29 @@ const aiChatController = {
         }
       }
 
-      const messagesForOpenAI = buildOpenAIMessages(
+      const chatMessages = buildChatMessages(
         history,
         transcribedText,
         mood,
-        ragContext
+        ragContext,
+        crisis,
+        summary,
+        false,
+        language
       );
 
-      // Call OpenAI for response
-      let botResponse = "I'm here with you. Tell me more about how you're feeling.";
+      // Call the LLM provider for a response
+      let botResponse = localizedReply(VOICE_FALLBACK_REPLIES, language);
       try {
-        const completion = await openai.chat.completions.create({
-          model: OPENAI_MODEL,
-          messages: messagesForOpenAI,
-        });
-        botResponse =
-          completion.choices?.[0]?.message?.content?.trim() || botResponse;
+        const completion = await chat({ messages: chatMessages });
+        botResponse = completion.text || botResponse;
       } catch (err) {
-        console.error("OpenAI error in /voice:", err);
+        console.error(`LLM chat error in /voice (${err.code || "unknown"}):`, err.message);
       }
 
+      // Synthesize the spoken reply while the text reply is saved
+      const speechPromise = speechForReply(botResponse, speechOptions);
+
       // Save AI message
       const { data: aiMsgData, error: aiInsertError } = await supabaseAdmin
         .from("ai_messages")
@@ -788,12 +1524,18 @@ const aiChatController = {
         });
       }
 
-      return res.json({
+      res.json({
         transcribedText,
         botResponse,
         conversationId,
-        ragUsed: RAG_ENABLED && ragContext !== null
+        crisisLevel: crisis.level,
+        ragUsed: RAG_ENABLED && ragContext !== null,
+        ...(await speechPromise)
       });
+
+      // Title and tag a new conversation in the background (never throws);
+      // the client reads the title from GET /api/ai/conversations
+      if (!aiInsertError) titleAfterFirstExchange(conversationId, language);
     } catch (err) {
       console.error("voice endpoint error:", err);
       return res
@@ -801,6 +1543,109 @@ const aiChatController = {
         .json({ error: "Server error" });
     }
   },
+
+  // GET /api/ai/voice/settings
+  async getVoiceSettings(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      if (!userId) {
+        return res
+          .status(400)
+          .json({ error: "Missing userId" });
+      }
+
+      return res.json(await getVoiceSettings(userId));
+    } catch (err) {
+      console.error("getVoiceSettings error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to load voice settings." });
+    }
+  },
+
+  // PUT /api/ai/voice/settings  { voice, speed, spokenReplies }
+  async updateVoiceSettings(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      if (!userId) {
+        return res
+          .status(400)
+          .json({ error: "Missing userId" });
+      }
+
+      const { voice, speed, spokenReplies } = req.body;
+      return res.json(await updateVoiceSettings(userId, { voice, speed, spokenReplies }));
+    } catch (err) {
+      if (err.statusCode) {
+        return res
+          .status(err.statusCode)
+          .json({ error: err.message });
+      }
+      console.error("updateVoiceSettings error:", err);
+      return res
+        .status(500)
+        .json({ error: "Failed to update voice settings." });
+    }
+  },
+
+  // POST /api/ai/speech  { text, voice, speed }
+  // Any reply (or a voice preview) as audio, in the user's voice unless overridden
+  async speech(req, res) {
+    try {
+      const { error: idError, userId } = getUserIdFromRequest(req);
+      if (idError) {
+        return res
+          .status(403)
+          .json({ error: idError, status: 403 });
+      }
+
+      const { text } = req.body;
+      if (!userId || typeof text !== "string" || !text.trim()) {
+        return res
+          .status(400)
+          .json({ error: "Missing userId or text" });
+      }
+      if (text.length > MAX_SPEECH_CHARS * 2) {
+        return res
+          .status(400)
+          .json({ error: "Text is too long to speak" });
+      }
+
+      const { voice, speed } = await voiceReplyOptions(userId, req.body);
+      const result = await synthesizeSpeech(text, { voice, speed });
+
+      res.set({
+        "Content-Type": result.mimeType,
+        "Content-Length": result.audio.length,
+        "Cache-Control": "no-store",
+        "X-Speech-Voice": result.voice,
+        "X-Speech-Speed": String(result.speed),
+      });
+      return res.end(result.audio);
+    } catch (err) {
+      if (err.statusCode) {
+        return res
+          .status(err.statusCode)
+          .json({ error: err.message });
+      }
+      console.error(`speech endpoint error (${err.code || "unknown"}):`, err);
+      return res
+        .status(err.code === LLM_ERROR_CODES.NOT_CONFIGURED || err.code === LLM_ERROR_CODES.UNSUPPORTED ? 503 : 500)
+        .json({ error: "Could not create speech." });
+    }
+  },
 };
 
 export { aiChatController };
@@ -9,6 +9,40 @@ import {
   cleanupExpiredAnnouncements,
   getAnnouncementViewStats
 } from "../services/announcement.service.js";
+import {
+  listOpenReminders,
+  markReminderSeen
+} from "../services/screening.service.js";
+
+// Open re-screen/campaign reminders are shown in the student's feed alongside
+// announcements; `kind` lets the client link them to the assessment
+const formatReminderForFeed = (reminder, now) => {
+  const dueDate = reminder.due_at.slice(0, 10);
+  const isCampaign = reminder.reason === 'campaign';
+
+  return {
+    id: reminder.id,
+    kind: 'assessment_reminder',
+    form_type: reminder.form_type,
+    due_at: reminder.due_at,
+    title: isCampaign
+      ? (reminder.campaign?.name || `${reminder.form_type} screening`)
+      : `Time to retake the ${reminder.form_type}`,
+    content: isCampaign
+      ? `Your college is asking students to complete the ${reminder.form_type} by ${dueDate}.`
+      : `It has been a while since you last took the ${reminder.form_type}. Retaking it shows how things have changed since then.`,
+    type: isCampaign && new Date(reminder.due_at) < now ? 'warning' : 'info',
+    target_role: 'student',
+    duration_days: null,
+    expires_at: null,
+    is_active: true,
+    is_pinned: true,
+    created_at: reminder.created_at,
+    created_by: null,
+    seen_count: 0,
+    has_seen: Boolean(reminder.seen_at)
+  };
+};
 
 // Fetch active announcements for the logged-in student/counsellor
 export const getAnnouncementsForUser = async (req, res) => {
@@ -54,6 +88,16 @@ export const getAnnouncementsForUser = async (req, res) => {
       has_seen: seen.has(item.id)
     }));
 
+    if (roleFilter === 'student') {
+      try {
+        const reminders = await listOpenReminders(req.user.user_id, req.tenant);
+        const now = new Date();
+        formatted.unshift(...reminders.map((reminder) => formatReminderForFeed(reminder, now)));
+      } catch (reminderError) {
+        console.error('Failed to load assessment reminders for feed:', reminderError);
+      }
+    }
+
     return successResponse(res, formatted, 'Announcements fetched successfully');
   } catch (err) {
     console.error('Get announcements for user error:', err);
@@ -74,6 +118,19 @@ export const markAnnouncementSeen = async (req, res) => {
       .single();
 
     if (announcementError || !announcement) {
+      // Feed items can also be assessment reminders (see getAnnouncementsForUser)
+      const reminder = req.user.role === 'student'
+        ? await markReminderSeen(announcement_id, req.user.user_id, req.tenant)
+        : null;
+
+      if (reminder) {
+        return successResponse(res, {
+          announcement_id,
+          seen_count: 0,
+          has_seen: true
+        }, 'Announcement marked as seen');
+      }
+
       return notFoundResponse(res, 'Announcement');
     }
 
@@ -2,17 +2,35 @@ import {
   successResponse,
   errorResponse,
   notFoundResponse,
+  validationErrorResponse,
+  authorizationErrorResponse,
   formatSupabaseError
 } from "../utils/response.js";
+import { validateScoringDefinition } from "../utils/scoringEngine.js";
 import {
   submitAssessment,
   getAssessmentHistory,
   getAssessmentById,
-
   getAssessmentStats,
+  getAssessmentTrend,
+  getAssessmentTrends,
+  saveAssessmentDraft,
+  getAssessmentDraft,
+  listAssessmentDrafts,
+  deleteAssessmentDraft,
   createAssessmentForm,
-  getActiveDynamicAssessments
+  getActiveDynamicAssessments,
+  BUILT_IN_FORM_TYPES
 } from "../services/assessment.service.js";
+import { isAssignedCounsellor } from "../services/careTeam.service.js";
+import { getStudentDueAssessments } from "../services/screening.service.js";
+
+// Shared 400 for submissions and drafts that name an unknown form
+const invalidFormTypeResponse = (res, formType) => errorResponse(
+  res,
+  `Invalid form type: ${formType}. Valid types are: ${BUILT_IN_FORM_TYPES.join(', ')} or an active custom form ID`,
+  400
+);
 
 // ==================== CREATE ASSESSMENT FORM (ADMIN) ====================
 
@@ -31,8 +49,16 @@ export const createAssessmentFormController = async (req, res) => {
       return errorResponse(res, 'ID, Name, and Questions are required', 400);
     }
 
+    // Optional declarative scoring (weights, reverse items, subscales, bands)
+    if (formData.scoring !== undefined) {
+      const scoringErrors = validateScoringDefinition(formData.scoring);
+      if (scoringErrors.length > 0) {
+        return validationErrorResponse(res, scoringErrors, 'Invalid scoring definition');
+      }
+    }
+
     // Create form
-    const result = await createAssessmentForm(formData, userId);
+    const result = await createAssessmentForm(formData, userId, req.tenant);
 
     return successResponse(
       res,
@@ -67,14 +93,9 @@ export const submitAssessmentController = async (req, res) => {
       return errorResponse(res, 'Form type and responses are required', 400);
     }
 
-    // Validate form type
-    const validFormTypes = [
-      'PHQ-9', 'GAD-7', 'GHQ-12', 'PSS-10', 'WHO-5',
-      'IAT', 'PSQI', 'BHI-10', 'DERS-18', 'CSSRS', 'C-SSRS'
-    ];
-
-    if (!validFormTypes.includes(formType)) {
-      return errorResponse(res, `Invalid form type: ${formType}. Valid types are: ${validFormTypes.join(', ')}`, 400);
+    // Validate form type (built-in instruments, or an admin-created form ID resolved by the service)
+    if (typeof formType !== 'string' || formType.length > 50) {
+      return errorResponse(res, 'Invalid form type', 400);
     }
 
     // Validate responses is an object
@@ -88,7 +109,9 @@ export const submitAssessmentController = async (req, res) => {
     }
 
     // Submit assessment
-    const result = await submitAssessment(studentId, collegeId, formType, responses);
+    const result = await submitAssessment(studentId, collegeId, formType, responses, {
+      io: req.app.get('io')
+    });
 
     return successResponse(
       res,
@@ -100,6 +123,14 @@ export const submitAssessmentController = async (req, res) => {
     console.error('Submit assessment controller error:', error);
 
     // Handle specific errors
+    if (error.validationErrors) {
+      return validationErrorResponse(res, error.validationErrors, error.message);
+    }
+
+    if (error.message?.startsWith('Unknown assessment type')) {
+      return invalidFormTypeResponse(res, req.body.formType);
+    }
+
     if (error.code === '23503') {
       return errorResponse(res, 'Invalid student or college ID', 400);
     }
@@ -240,6 +271,169 @@ export const getAssessmentStatsController = async (req, res) => {
   }
 };
 
+// ==================== ASSESSMENT TRENDS ====================
+
+/**
+ * Score trends for every instrument the logged-in student has taken
+ * GET /api/student/assessments/trends
+ */
+export const getAssessmentTrendsController = async (req, res) => {
+  try {
+    const trends = await getAssessmentTrends(req.user.user_id, req.tenant);
+
+    return successResponse(res, { trends }, 'Assessment trends retrieved successfully');
+  } catch (error) {
+    console.error('Get assessment trends controller error:', error);
+    return errorResponse(res, 'Failed to retrieve assessment trends', 500);
+  }
+};
+
+/**
+ * Score trend for one instrument (time series, baseline delta, reliable change)
+ * GET /api/student/assessments/trends/:formType
+ */
+export const getAssessmentTrendController = async (req, res) => {
+  try {
+    const { formType } = req.params;
+    if (formType.length > 50) {
+      return errorResponse(res, 'Invalid form type', 400);
+    }
+
+    const trend = await getAssessmentTrend(req.user.user_id, req.tenant, formType);
+
+    return successResponse(res, trend, 'Assessment trend retrieved successfully');
+  } catch (error) {
+    console.error('Get assessment trend controller error:', error);
+    return errorResponse(res, 'Failed to retrieve assessment trend', 500);
+  }
+};
+
+/**
+ * Score trends for a student, for the counsellor assigned to them
+ * GET /api/counsellor/students/:studentId/assessments/trends
+ * GET /api/counsellor/students/:studentId/assessments/trends/:formType
+ */
+export const getStudentAssessmentTrendsController = async (req, res) => {
+  try {
+    const { studentId, formType } = req.params;
+
+    if (formType && formType.length > 50) {
+      return errorResponse(res, 'Invalid form type', 400);
+    }
+
+    const assigned = await isAssignedCounsellor(req.user.user_id, studentId, req.tenant);
+    if (!assigned) {
+      return authorizationErrorResponse(res, 'You are not assigned to this student');
+    }
+
+    if (formType) {
+      const trend = await getAssessmentTrend(studentId, req.tenant, formType);
+      return successResponse(res, trend, 'Assessment trend retrieved successfully');
+    }
+
+    const trends = await getAssessmentTrends(studentId, req.tenant);
+    return successResponse(res, { studentId, trends }, 'Assessment trends retrieved successfully');
+  } catch (error) {
+    console.error('Get student assessment trends controller error:', error);
+    return errorResponse(res, 'Failed to retrieve assessment trends', 500);
+  }
+};
+
+// ==================== ASSESSMENT DRAFTS ====================
+
+/**
+ * List the logged-in student's unfinished assessments
+ * GET /api/student/assessments/drafts
+ */
+export const listAssessmentDraftsController = async (req, res) => {
+  try {
+    const drafts = await listAssessmentDrafts(req.user.user_id, req.tenant);
+
+    return successResponse(
+      res,
+      { drafts, count: drafts.length },
+      'Assessment drafts retrieved successfully'
+    );
+  } catch (error) {
+    console.error('List assessment drafts controller error:', error);
+    return errorResponse(res, 'Failed to retrieve assessment drafts', 500);
+  }
+};
+
+/**
+ * Get the saved draft for one form so the student can resume it
+ * GET /api/student/assessments/drafts/:formType
+ */
+export const getAssessmentDraftController = async (req, res) => {
+  try {
+    const draft = await getAssessmentDraft(req.user.user_id, req.tenant, req.params.formType);
+
+    if (!draft) {
+      return notFoundResponse(res, 'Assessment draft');
+    }
+
+    return successResponse(res, draft, 'Assessment draft retrieved successfully');
+  } catch (error) {
+    console.error('Get assessment draft controller error:', error);
+    return errorResponse(res, 'Failed to retrieve assessment draft', 500);
+  }
+};
+
+/**
+ * Save a partially completed assessment (replaces any earlier draft)
+ * PUT /api/student/assessments/drafts/:formType
+ * Body: { responses: object } - unanswered items may be omitted
+ */
+export const saveAssessmentDraftController = async (req, res) => {
+  try {
+    const { formType } = req.params;
+    const { responses } = req.body;
+
+    if (formType.length > 50) {
+      return errorResponse(res, 'Invalid form type', 400);
+    }
+
+    if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+      return errorResponse(res, 'Responses must be an object', 400);
+    }
+
+    const draft = await saveAssessmentDraft(req.user.user_id, req.tenant, formType, responses);
+
+    return successResponse(res, draft, 'Assessment draft saved successfully');
+  } catch (error) {
+    console.error('Save assessment draft controller error:', error);
+
+    if (error.validationErrors) {
+      return validationErrorResponse(res, error.validationErrors, error.message);
+    }
+
+    if (error.message?.startsWith('Unknown assessment type')) {
+      return invalidFormTypeResponse(res, req.params.formType);
+    }
+
+    return errorResponse(res, 'Failed to save assessment draft', 500);
+  }
+};
+
+/**
+ * Discard the saved draft for one form
+ * DELETE /api/student/assessments/drafts/:formType
+ */
+export const deleteAssessmentDraftController = async (req, res) => {
+  try {
+    const deleted = await deleteAssessmentDraft(req.user.user_id, req.tenant, req.params.formType);
+
+    if (!deleted) {
+      return notFoundResponse(res, 'Assessment draft');
+    }
+
+    return successResponse(res, null, 'Assessment draft deleted successfully');
+  } catch (error) {
+    console.error('Delete assessment draft controller error:', error);
+    return errorResponse(res, 'Failed to delete assessment draft', 500);
+  }
+};
+
 // ==================== GET AVAILABLE ASSESSMENTS ====================
 
 /**
@@ -337,17 +531,28 @@ export const getAvailableAssessments = async (req, res) => {
     // 2. Get Dynamic Assessments (from DB)
     let dynamicAssessments = [];
     try {
-      dynamicAssessments = await getActiveDynamicAssessments();
+      dynamicAssessments = await getActiveDynamicAssessments(req.tenant);
     } catch (e) {
       console.warn('Failed to load dynamic assessments, continuing with static only', e);
     }
 
-    // 3. Merge
-    const allAssessments = [...dynamicAssessments, ...staticAssessments];
+    // 3. Work out which ones the student is due to (re)take
+    let dueAssessments = [];
+    try {
+      dueAssessments = await getStudentDueAssessments(req.user.user_id, req.tenant);
+    } catch (e) {
+      console.warn('Failed to compute due assessments, continuing without them', e);
+    }
+
+    // 4. Merge
+    const allAssessments = [...dynamicAssessments, ...staticAssessments].map((assessment) => ({
+      ...assessment,
+      due: dueAssessments.find((item) => item.formType === assessment.id) || null
+    }));
 
     return successResponse(
       res,
-      { assessments: allAssessments, total: allAssessments.length },
+      { assessments: allAssessments, total: allAssessments.length, dueAssessments },
       'Available assessments retrieved successfully'
     );
   } catch (error) {
@@ -367,5 +572,12 @@ export default {
   getAssessmentStatsController,
   getAssessmentStatsController,
   getAvailableAssessments,
+  getAssessmentTrendsController,
+  getAssessmentTrendController,
+  getStudentAssessmentTrendsController,
+  listAssessmentDraftsController,
+  getAssessmentDraftController,
+  saveAssessmentDraftController,
+  deleteAssessmentDraftController,
   createAssessmentFormController
 };
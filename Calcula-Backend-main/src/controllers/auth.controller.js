@@ -7,6 +7,8 @@ import {
   formatSupabaseError 
 } from "../utils/response.js";
 import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import { revokeUserSessions } from "../middleware/socketAuth.js";
 
 
  // Authentication Controller
@@ -42,6 +44,7 @@ export const login = async (req, res) => {
         college_id,
         avatar_url,
         phone,
+        preferred_language,
         created_at,
         colleges (
           id,
@@ -85,6 +88,7 @@ export const login = async (req, res) => {
       college: profile?.colleges,
       avatar_url: profile?.avatar_url || user.user_metadata?.avatar_url,
       phone: profile?.phone,
+      preferred_language: profile?.preferred_language || 'en',
       created_at: profile?.created_at || user.created_at
     };
 
@@ -195,6 +199,18 @@ export const logout = async (req, res) => {
     // Get refresh token from cookies
     const refreshToken = req.cookies["sb-refresh-token"];
 
+    // Close the user's realtime connections. The token may already have
+    // expired, but its signature still has to be valid.
+    const accessToken = req.cookies["sb-access-token"];
+    if (accessToken) {
+      try {
+        const { sub } = jwt.verify(accessToken, process.env.SUPABASE_JWT_SECRET, { ignoreExpiration: true });
+        revokeUserSessions(req.app.get('io'), sub, 'logout');
+      } catch (tokenError) {
+        console.warn('Logout with invalid access token; no sockets revoked');
+      }
+    }
+
     // If refresh token exists, sign out the session
     if (refreshToken) {
       await supabase.auth.admin.signOut(refreshToken);
@@ -313,6 +329,7 @@ export const getMe = async (req, res) => {
         avatar_url,
         phone,
         bio,
+        preferred_language,
         created_at,
         colleges (
           id,
@@ -342,6 +359,7 @@ export const getMe = async (req, res) => {
       avatar_url: profile.avatar_url,
       phone: profile.phone,
       bio: profile.bio,
+      preferred_language: profile.preferred_language,
       created_at: profile.created_at
     };
 
@@ -360,7 +378,8 @@ export const getMe = async (req, res) => {
  */
 export const getToken = async (req, res) => {
   try {
-    const token = req.cookies['sb-access-token'];
+    // Prefer the token the auth middleware just verified or refreshed
+    const token = req.accessToken || req.cookies['sb-access-token'];
     
     if (!token) {
       return errorResponse(res, 'No authentication token found', 401);
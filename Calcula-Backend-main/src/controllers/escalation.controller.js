@@ -0,0 +1,140 @@
+import {
+  successResponse,
+  errorResponse,
+  notFoundResponse
+} from "../utils/response.js";
+import {
+  listEscalations,
+  getEscalationById,
+  claimEscalation,
+  updateEscalationStatus
+} from "../services/escalation.service.js";
+
+// Shared by /api/counsellor and /api/admin; both are scoped to req.tenant
+
+// Let other staff in the college see claims and status changes live
+const broadcastUpdate = (req, escalation) => {
+  const io = req.app.get('io');
+  if (!io) return;
+  ['counsellor', 'admin'].forEach((role) => {
+    io.to(`college:${req.tenant}:${role}`).emit('escalation_updated', escalation);
+  });
+};
+
+// ==================== LIST ESCALATIONS ====================
+
+/**
+ * List escalations for the staff member's college
+ * GET /api/counsellor/escalations, GET /api/admin/escalations
+ * Query params: status, riskLevel, mine (true = assigned to me), studentId, page, limit
+ */
+export const getEscalations = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { escalations, total } = await listEscalations(req.tenant, {
+      status: req.query.status,
+      riskLevel: req.query.riskLevel,
+      assignedTo: req.query.mine === 'true' ? req.user.user_id : undefined,
+      studentId: req.query.studentId,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return successResponse(res, {
+      escalations,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    }, 'Escalations retrieved successfully');
+  } catch (error) {
+    console.error('Get escalations controller error:', error);
+    return errorResponse(res, 'Failed to retrieve escalations', 500);
+  }
+};
+
+// ==================== GET ESCALATION ====================
+
+/**
+ * Get a single escalation with its audit trail
+ * GET /api/counsellor/escalations/:id, GET /api/admin/escalations/:id
+ */
+export const getEscalation = async (req, res) => {
+  try {
+    const escalation = await getEscalationById(req.params.id, req.tenant);
+
+    if (!escalation) {
+      return notFoundResponse(res, 'Escalation');
+    }
+
+    return successResponse(res, escalation, 'Escalation retrieved successfully');
+  } catch (error) {
+    console.error('Get escalation controller error:', error);
+    return errorResponse(res, 'Failed to retrieve escalation', 500);
+  }
+};
+
+// ==================== CLAIM ESCALATION ====================
+
+/**
+ * Claim an escalation (assign to the caller and acknowledge it)
+ * PUT /api/counsellor/escalations/:id/claim, PUT /api/admin/escalations/:id/claim
+ */
+export const claimEscalationController = async (req, res) => {
+  try {
+    const escalation = await claimEscalation(req.params.id, req.tenant, req.user.user_id);
+
+    if (!escalation) {
+      return notFoundResponse(res, 'Escalation');
+    }
+
+    broadcastUpdate(req, escalation);
+
+    return successResponse(res, escalation, 'Escalation claimed successfully');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Claim escalation controller error:', error);
+    return errorResponse(res, 'Failed to claim escalation', 500);
+  }
+};
+
+// ==================== UPDATE ESCALATION STATUS ====================
+
+/**
+ * Move an escalation through its workflow
+ * PUT /api/counsellor/escalations/:id/status, PUT /api/admin/escalations/:id/status
+ * Body: { status: 'acknowledged' | 'contacted' | 'resolved', note?: string }
+ */
+export const updateEscalationStatusController = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const escalation = await updateEscalationStatus(
+      req.params.id,
+      req.tenant,
+      req.user.user_id,
+      status,
+      note
+    );
+
+    if (!escalation) {
+      return notFoundResponse(res, 'Escalation');
+    }
+
+    broadcastUpdate(req, escalation);
+
+    return successResponse(res, escalation, 'Escalation status updated successfully');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Update escalation status controller error:', error);
+    return errorResponse(res, 'Failed to update escalation status', 500);
+  }
+};
@@ -1,13 +1,7 @@
 import { JournalingService } from '../services/journaling.service.js';
 import { successResponse, errorResponse } from '../utils/response.js';
-import OpenAI from 'openai';
-import dotenv from 'dotenv';
-
-dotenv.config();
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+import { chat, isProviderConfigured, LLM_ERROR_CODES } from '../services/llm/index.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, getPreferredLanguage } from '../utils/languages.js';
 
 // ==================== INTERNAL HELPERS ====================
 // Lightweight classification retained ONLY for analytics / storing a label.
@@ -292,11 +286,16 @@ export const generatePositiveReframePreview = async (req, res) => {
       return errorResponse(res, 'whats_on_mind text is required', 400);
     }
 
-    if (!openai) {
+    if (!isProviderConfigured('chat')) {
       return errorResponse(res, 'AI reframing service is not available', 503);
     }
 
     const lang = classifyLanguage(whats_on_mind);
+    const preferred = await getPreferredLanguage(studentId);
+    const { name: preferredName, script: preferredScript } = LANGUAGES[preferred];
+    const otherwise = preferred === DEFAULT_LANGUAGE
+      ? 'natural English'
+      : `${preferredName} (${preferredScript} script), the student's preferred language`;
 
     const prompt = `You are a compassionate mental health assistant for college students.
 The student has shared a worry. Reframe it with balance, validation, and gentle encouragement.
@@ -305,7 +304,7 @@ STUDENT WORRY:
 "${whats_on_mind}"
 
 LANGUAGE STYLE:
-Mirror the student's language and script. If Hindi script, respond in Hindi. If Urdu script, respond in Urdu. If Latin script with mixed Hindi + English words (Hinglish), respond in Hinglish (Hindi + English words in Latin script). Otherwise respond in natural English.
+Mirror the student's language and script. If Hindi script, respond in Hindi. If Urdu script, respond in Urdu. If Latin script with mixed Hindi + English words (Hinglish), respond in Hinglish (Hindi + English words in Latin script). Otherwise respond in ${otherwise}.
 
 GUIDELINES:
 1. Validate feelings without using "I" or directly addressing the student with "you".
@@ -318,19 +317,26 @@ GUIDELINES:
 
 OUTPUT: Only the supportive reframe.`;
 
-    const result = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: 0.7,
-      max_tokens: 150
-    });
-
-    const positiveReframe = result.choices[0].message.content.trim();
+    let positiveReframe;
+    try {
+      const result = await chat({
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ],
+        temperature: 0.7,
+        // Devanagari and Perso-Arabic text takes more tokens than English
+        maxTokens: preferred === DEFAULT_LANGUAGE && lang !== 'hindi' && lang !== 'urdu' ? 150 : 300
+      });
+      positiveReframe = result.text;
+    } catch (error) {
+      if (error.code === LLM_ERROR_CODES.TIMEOUT) {
+        return errorResponse(res, 'AI reframing service is not available', 503);
+      }
+      throw error;
+    }
 
     // If save requested, either update existing by id or create new by date
     if (save) {
@@ -0,0 +1,151 @@
+import {
+  successResponse,
+  errorResponse,
+  notFoundResponse,
+  authorizationErrorResponse
+} from '../utils/response.js';
+import {
+  getMoodTimeline,
+  correctMoodDay,
+  clearMoodCorrection,
+  getMoodSharing,
+  setMoodSharing
+} from '../services/moodTimeline.service.js';
+import { isAssignedCounsellor } from '../services/careTeam.service.js';
+
+// ==================== STUDENT ====================
+
+/**
+ * Get the logged-in student's daily mood series
+ * GET /api/student/mood-timeline?days=30&tzOffset=-330
+ * tzOffset: the browser's Date#getTimezoneOffset(), so days follow the student's calendar
+ */
+export const getMyMoodTimelineController = async (req, res) => {
+  try {
+    const { days, tzOffset } = req.query;
+    const [timeline, sharing] = await Promise.all([
+      getMoodTimeline(req.user.user_id, { days, tzOffset }),
+      getMoodSharing(req.user.user_id)
+    ]);
+
+    return successResponse(res, { ...timeline, sharing }, 'Mood timeline retrieved successfully');
+  } catch (error) {
+    console.error('Get mood timeline controller error:', error);
+    return errorResponse(res, 'Failed to retrieve mood timeline', 500);
+  }
+};
+
+/**
+ * Correct the mood label of a day
+ * PUT /api/student/mood-timeline/days/:date
+ * Body: { label, note }
+ */
+export const correctMoodDayController = async (req, res) => {
+  try {
+    const correction = await correctMoodDay(req.user.user_id, req.params.date, req.body || {});
+    return successResponse(res, correction, 'Mood corrected successfully');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Correct mood day controller error:', error);
+    return errorResponse(res, 'Failed to correct mood', 500);
+  }
+};
+
+/**
+ * Remove a day's correction
+ * DELETE /api/student/mood-timeline/days/:date
+ */
+export const clearMoodCorrectionController = async (req, res) => {
+  try {
+    const removed = await clearMoodCorrection(req.user.user_id, req.params.date);
+    if (!removed) {
+      return notFoundResponse(res, 'Mood correction');
+    }
+    return successResponse(res, null, 'Mood correction removed successfully');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Clear mood correction controller error:', error);
+    return errorResponse(res, 'Failed to remove mood correction', 500);
+  }
+};
+
+/**
+ * Whether the student shares their mood timeline with counsellors
+ * GET /api/student/mood-timeline/sharing
+ */
+export const getMoodSharingController = async (req, res) => {
+  try {
+    const sharing = await getMoodSharing(req.user.user_id);
+    return successResponse(res, sharing, 'Mood sharing settings retrieved successfully');
+  } catch (error) {
+    console.error('Get mood sharing controller error:', error);
+    return errorResponse(res, 'Failed to retrieve mood sharing settings', 500);
+  }
+};
+
+/**
+ * Share or stop sharing the mood timeline with counsellors
+ * PUT /api/student/mood-timeline/sharing
+ * Body: { shareWithCounsellors: boolean }
+ */
+export const setMoodSharingController = async (req, res) => {
+  try {
+    const { shareWithCounsellors } = req.body || {};
+    if (typeof shareWithCounsellors !== 'boolean') {
+      return errorResponse(res, 'shareWithCounsellors must be a boolean', 400);
+    }
+
+    const sharing = await setMoodSharing(req.user.user_id, shareWithCounsellors);
+    return successResponse(
+      res,
+      sharing,
+      shareWithCounsellors ? 'Mood timeline shared with counsellors' : 'Mood timeline no longer shared'
+    );
+  } catch (error) {
+    console.error('Set mood sharing controller error:', error);
+    return errorResponse(res, 'Failed to update mood sharing settings', 500);
+  }
+};
+
+// ==================== COUNSELLOR ====================
+
+/**
+ * Mood series of a student assigned to the counsellor, if the student shares it.
+ * Correction notes are left out.
+ * GET /api/counsellor/students/:studentId/mood-timeline?days=30&tzOffset=-330
+ */
+export const getStudentMoodTimelineController = async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { days, tzOffset } = req.query;
+
+    const assigned = await isAssignedCounsellor(req.user.user_id, studentId, req.tenant);
+    if (!assigned) {
+      return authorizationErrorResponse(res, 'You are not assigned to this student');
+    }
+
+    const { shareWithCounsellors } = await getMoodSharing(studentId);
+    if (!shareWithCounsellors) {
+      return authorizationErrorResponse(res, 'This student has not shared their mood timeline');
+    }
+
+    const timeline = await getMoodTimeline(studentId, { days, tzOffset, includeNotes: false });
+    return successResponse(res, { studentId, ...timeline }, 'Mood timeline retrieved successfully');
+  } catch (error) {
+    console.error('Get student mood timeline controller error:', error);
+    return errorResponse(res, 'Failed to retrieve mood timeline', 500);
+  }
+};
+
+export default {
+  getMyMoodTimelineController,
+  correctMoodDayController,
+  clearMoodCorrectionController,
+  getMoodSharingController,
+  setMoodSharingController,
+  getStudentMoodTimelineController
+};
@@ -0,0 +1,90 @@
+import { successResponse, errorResponse } from '../utils/response.js';
+import {
+  createRealtimeSession,
+  endRealtimeSession,
+  runRealtimeTool
+} from '../services/realtimeSession.service.js';
+
+/**
+ * Realtime voice session handlers, shared by the student, counsellor and
+ * admin routes. The session is configured for req.user's role.
+ */
+
+const userContext = (req) => ({
+  userId: req.user.user_id,
+  collegeId: req.tenant || req.user.college_id || null,
+  role: req.user.role
+});
+
+/**
+ * Create OpenAI Realtime Voice Session
+ * POST /api/{student|counsellor|admin}/realtime-session
+ * Returns an ephemeral token for the WebRTC connection and the session ID
+ * for ending it and running tool calls
+ */
+export const createRealtimeSessionController = async (req, res) => {
+  try {
+    const { session, clientSecret, expiresAt } = await createRealtimeSession(userContext(req));
+
+    return successResponse(
+      res,
+      {
+        session_id: session.id,
+        client_secret: clientSecret,
+        expires_at: expiresAt,
+        model: session.model,
+        voice: session.voice,
+        tools: session.tools
+      },
+      'Voice session created successfully'
+    );
+  } catch (error) {
+    console.error('Create realtime session error:', error);
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    return errorResponse(res, 'Failed to create voice session. Please try again.', 500);
+  }
+};
+
+/**
+ * End a realtime voice session (records its duration)
+ * POST /api/{student|counsellor|admin}/realtime-session/:sessionId/end
+ * Body: { reason: 'ended' | 'error' }
+ */
+export const endRealtimeSessionController = async (req, res) => {
+  try {
+    const session = await endRealtimeSession(req.params.sessionId, req.user.user_id, req.body?.reason);
+    return successResponse(res, session, 'Voice session ended');
+  } catch (error) {
+    console.error('End realtime session error:', error);
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    return errorResponse(res, 'Failed to end voice session', 500);
+  }
+};
+
+/**
+ * Run a tool the voice assistant called
+ * POST /api/{student|counsellor|admin}/realtime-session/:sessionId/tools
+ * Body: { callId, name, arguments } from the response.function_call_arguments.done event
+ * Returns { output, event }: send output back as the function_call_output
+ */
+export const runRealtimeToolController = async (req, res) => {
+  try {
+    const { callId, name, arguments: args } = req.body || {};
+    if (typeof name !== 'string' || !name) {
+      return errorResponse(res, 'name is required', 400);
+    }
+
+    const result = await runRealtimeTool(req.params.sessionId, userContext(req), { callId, name, arguments: args });
+    return successResponse(res, result, 'Tool call completed');
+  } catch (error) {
+    console.error('Realtime tool call error:', error);
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    return errorResponse(res, 'Failed to run tool call', 500);
+  }
+};
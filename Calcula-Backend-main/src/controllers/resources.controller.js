@@ -233,6 +233,25 @@ export const deleteResource = async (req, res) => {
   }
 };
 
+// Re-index a resource into the AI companion's knowledge base, e.g. after a failure
+// POST /api/counsellor/resources/:id/reindex
+
+export const reindexResource = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await resourcesService.reindexResource(id, req.user.user_id);
+
+    return successResponse(res, result, 'Resource re-indexed');
+  } catch (error) {
+    console.error('Reindex resource error:', error);
+    if (error.message.includes('not found') || error.message.includes('unauthorized')) {
+      return notFoundResponse(res, 'Resource');
+    }
+    return errorResponse(res, error.message || 'Failed to re-index resource', 500);
+  }
+};
+
 // Generate download URL for a resource
 // GET /api/counsellor/resources/:id/download
 
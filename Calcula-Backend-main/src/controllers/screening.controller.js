@@ -0,0 +1,121 @@
+import {
+  successResponse,
+  errorResponse,
+  notFoundResponse
+} from "../utils/response.js";
+import { isKnownFormType } from "../services/assessment.service.js";
+import {
+  createCampaign,
+  listCampaigns,
+  updateCampaign,
+  deleteCampaign,
+  getStudentDueAssessments
+} from "../services/screening.service.js";
+
+// ==================== DUE ASSESSMENTS (STUDENT) ====================
+
+/**
+ * Assessments the student is due to take (re-screens and campaigns)
+ * GET /api/student/assessments/due
+ */
+export const getDueAssessmentsController = async (req, res) => {
+  try {
+    const due = await getStudentDueAssessments(req.user.user_id, req.tenant);
+
+    return successResponse(
+      res,
+      { due, total: due.length },
+      'Due assessments retrieved successfully'
+    );
+  } catch (error) {
+    console.error('Get due assessments controller error:', error);
+    return errorResponse(res, 'Failed to retrieve due assessments', 500);
+  }
+};
+
+// ==================== SCREENING CAMPAIGNS (ADMIN) ====================
+
+/**
+ * List the college's screening campaigns with completion progress
+ * GET /api/admin/screening-campaigns
+ * Query params: active (true/false)
+ */
+export const getScreeningCampaigns = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const campaigns = await listCampaigns(req.tenant, {
+      active: active === undefined ? undefined : active === 'true'
+    });
+
+    return successResponse(res, { campaigns }, 'Screening campaigns retrieved successfully');
+  } catch (error) {
+    console.error('Get screening campaigns controller error:', error);
+    return errorResponse(res, 'Failed to retrieve screening campaigns', 500);
+  }
+};
+
+/**
+ * Create a screening campaign, e.g. "PHQ-9 for all first-years by March 1"
+ * POST /api/admin/screening-campaigns
+ * Body: { name, description?, formType, targetPassingYears?, startsAt?, dueBy }
+ */
+export const createScreeningCampaign = async (req, res) => {
+  try {
+    if (!(await isKnownFormType(req.body.formType, req.tenant))) {
+      return errorResponse(res, `Invalid form type: ${req.body.formType}`, 400);
+    }
+
+    const campaign = await createCampaign(req.tenant, req.user.user_id, req.body);
+
+    return successResponse(res, campaign, 'Screening campaign created successfully', 201);
+  } catch (error) {
+    console.error('Create screening campaign controller error:', error);
+    return errorResponse(res, 'Failed to create screening campaign', 500);
+  }
+};
+
+/**
+ * Update a screening campaign (rename, reschedule, retarget, pause)
+ * PUT /api/admin/screening-campaigns/:id
+ */
+export const updateScreeningCampaign = async (req, res) => {
+  try {
+    const campaign = await updateCampaign(req.params.id, req.tenant, req.body);
+
+    if (!campaign) {
+      return notFoundResponse(res, 'Screening campaign');
+    }
+
+    return successResponse(res, campaign, 'Screening campaign updated successfully');
+  } catch (error) {
+    console.error('Update screening campaign controller error:', error);
+    return errorResponse(res, 'Failed to update screening campaign', 500);
+  }
+};
+
+/**
+ * Delete a screening campaign and its reminders
+ * DELETE /api/admin/screening-campaigns/:id
+ */
+export const deleteScreeningCampaign = async (req, res) => {
+  try {
+    const deleted = await deleteCampaign(req.params.id, req.tenant);
+
+    if (!deleted) {
+      return notFoundResponse(res, 'Screening campaign');
+    }
+
+    return successResponse(res, null, 'Screening campaign deleted successfully');
+  } catch (error) {
+    console.error('Delete screening campaign controller error:', error);
+    return errorResponse(res, 'Failed to delete screening campaign', 500);
+  }
+};
+
+export default {
+  getDueAssessmentsController,
+  getScreeningCampaigns,
+  createScreeningCampaign,
+  updateScreeningCampaign,
+  deleteScreeningCampaign
+};
@@ -0,0 +1,179 @@
+import {
+  successResponse,
+  errorResponse,
+  notFoundResponse
+} from '../utils/response.js';
+import { LLM_ERROR_CODES } from '../services/llm/index.js';
+import {
+  getTranscriptionConsent,
+  setTranscriptionConsent,
+  getSessionTranscript,
+  startSessionTranscript,
+  addTranscriptChunk,
+  finishSessionTranscript,
+  regenerateSessionSummary,
+  deleteSessionTranscript
+} from '../services/sessionTranscription.service.js';
+
+const counsellorContext = (req) => ({ userId: req.user.user_id, collegeId: req.tenant });
+
+// ==================== STUDENT ====================
+
+/**
+ * Whether the student agreed to their session being transcribed
+ * GET /api/student/appointments/:appointment_id/transcription-consent
+ */
+export const getTranscriptionConsentController = async (req, res) => {
+  try {
+    const consent = await getTranscriptionConsent(req.params.appointment_id, req.user.user_id);
+    return successResponse(res, consent, 'Transcription consent retrieved successfully');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Get transcription consent controller error:', error);
+    return errorResponse(res, 'Failed to retrieve transcription consent', 500);
+  }
+};
+
+/**
+ * Give or withdraw consent to the session being transcribed.
+ * Withdrawing deletes any transcript of the session.
+ * PUT /api/student/appointments/:appointment_id/transcription-consent
+ * Body: { consented: boolean }
+ */
+export const setTranscriptionConsentController = async (req, res) => {
+  try {
+    const { consented } = req.body || {};
+    const consent = await setTranscriptionConsent(req.params.appointment_id, req.user.user_id, consented);
+    return successResponse(
+      res,
+      consent,
+      consented ? 'Session transcription allowed' : 'Session transcription consent withdrawn'
+    );
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Set transcription consent controller error:', error);
+    return errorResponse(res, 'Failed to update transcription consent', 500);
+  }
+};
+
+// ==================== COUNSELLOR ====================
+
+/**
+ * Consent status and transcript of a session
+ * GET /api/counsellor/sessions/:appointment_id/transcript
+ */
+export const getSessionTranscriptController = async (req, res) => {
+  try {
+    const result = await getSessionTranscript(req.params.appointment_id, counsellorContext(req));
+    return successResponse(res, result, 'Session transcript retrieved successfully');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Get session transcript controller error:', error);
+    return errorResponse(res, 'Failed to retrieve session transcript', 500);
+  }
+};
+
+/**
+ * Start (or resume) transcribing a session; needs the student's consent
+ * POST /api/counsellor/sessions/:appointment_id/transcript/start
+ */
+export const startSessionTranscriptController = async (req, res) => {
+  try {
+    const transcript = await startSessionTranscript(req.params.appointment_id, counsellorContext(req));
+    return successResponse(res, transcript, 'Session transcription started');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Start session transcript controller error:', error);
+    return errorResponse(res, 'Failed to start session transcription', 500);
+  }
+};
+
+/**
+ * Transcribe a chunk of session audio
+ * POST /api/counsellor/sessions/:appointment_id/transcript/chunks
+ * Multipart: file (audio), seq (0, 1, 2, ... in recording order), language (optional)
+ */
+export const addTranscriptChunkController = async (req, res) => {
+  try {
+    const chunk = await addTranscriptChunk(req.params.appointment_id, counsellorContext(req), {
+      seq: req.body?.seq,
+      audio: req.file?.buffer,
+      mimeType: req.file?.mimetype,
+      language: req.body?.language
+    });
+    return successResponse(res, chunk, 'Chunk transcribed');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Transcript chunk controller error:', error);
+    if (error.code === LLM_ERROR_CODES.NOT_CONFIGURED || error.code === LLM_ERROR_CODES.UNSUPPORTED) {
+      return errorResponse(res, 'Transcription is not configured. Please contact administrator.', 503);
+    }
+    return errorResponse(res, 'Transcription failed', 502);
+  }
+};
+
+/**
+ * Finish the transcript and draft session notes and goals
+ * POST /api/counsellor/sessions/:appointment_id/transcript/finish
+ * Returns { transcript, summaryError }; save the edited draft with
+ * PUT /api/counsellor/sessions-summary/:appointment_id
+ */
+export const finishSessionTranscriptController = async (req, res) => {
+  try {
+    const result = await finishSessionTranscript(req.params.appointment_id, counsellorContext(req));
+    return successResponse(res, result, 'Session transcript finished');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Finish session transcript controller error:', error);
+    return errorResponse(res, 'Failed to finish session transcript', 500);
+  }
+};
+
+/**
+ * Draft the session summary again
+ * POST /api/counsellor/sessions/:appointment_id/transcript/summary
+ */
+export const regenerateSessionSummaryController = async (req, res) => {
+  try {
+    const result = await regenerateSessionSummary(req.params.appointment_id, counsellorContext(req));
+    return successResponse(res, result, 'Session summary drafted');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Regenerate session summary controller error:', error);
+    return errorResponse(res, 'Failed to draft session summary', 500);
+  }
+};
+
+/**
+ * Delete a session transcript
+ * DELETE /api/counsellor/sessions/:appointment_id/transcript
+ */
+export const deleteSessionTranscriptController = async (req, res) => {
+  try {
+    const deleted = await deleteSessionTranscript(req.params.appointment_id, counsellorContext(req));
+    if (!deleted) {
+      return notFoundResponse(res, 'Session transcript');
+    }
+    return successResponse(res, null, 'Session transcript deleted');
+  } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
+    console.error('Delete session transcript controller error:', error);
+    return errorResponse(res, 'Failed to delete session transcript', 500);
+  }
+};
@@ -7,6 +7,7 @@ import {
   formatSupabaseError 
 } from "../utils/response.js";
 import { applyTenantFilter } from "../middleware/tenant.js";
+import { getCounsellorsWithAvailability, requestAppointment } from "../services/appointment.service.js";
 
 //////////////////////// STUDENT PROFILE MANAGEMENT /////////////////////////////
 
@@ -24,6 +25,7 @@ export const getProfile = async (req, res) => {
         avatar_url,
         phone,
         bio,
+        preferred_language,
         created_at,
         updated_at,
         colleges (
@@ -93,65 +95,23 @@ export const bookAppointment = async (req, res) => {
       return errorResponse(res, 'start_time (or time) is required', 400);
     }
 
-    // Verify counsellor exists and belongs to same college
-    const { data: counsellor, error: counsellorError } = await supabase
-      .from('profiles')
-      .select('id, name, college_id')
-      .eq('id', counsellor_id)
-      .eq('role', 'counsellor')
-      .eq('college_id', req.tenant)
-      .single();
+    const appointment = await requestAppointment({
+      studentId: req.user.user_id,
+      collegeId: req.tenant,
+      counsellorId: counsellor_id,
+      date,
+      startTime,
+      notes
+    });
 
-    if (counsellorError || !counsellor) {
+    return successResponse(res, appointment, 'Appointment booked successfully', 201);
+  } catch (error) {
+    if (error.statusCode === 404) {
       return notFoundResponse(res, 'Counsellor');
     }
-
-    // Check for scheduling conflicts
-    const { data: conflict } = await supabase
-      .from('appointments')
-      .select('id')
-      .eq('counsellor_id', counsellor_id)
-      .eq('date', date)
-      .eq('start_time', startTime)
-      .in('status', ['pending', 'confirmed'])
-      .single();
-
-    if (conflict) {
-      return errorResponse(res, 'Time slot not available', 409);
-    }
-
-    // Create appointment (avoid relational select to handle missing FK relationships)
-    const { data, error } = await supabase
-      .from('appointments')
-      .insert({
-        student_id: req.user.user_id,
-        counsellor_id,
-        college_id: req.tenant,
-        date,
-        start_time: startTime,
-        notes,
-        status: 'pending',
-        created_at: new Date().toISOString()
-      })
-      .select('id, date, start_time, status, notes, created_at, counsellor_id')
-      .single();
-
-    if (error) {
-      const formattedError = formatSupabaseError(error);
-      return errorResponse(res, formattedError.message, 400);
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
     }
-
-    const responsePayload = {
-      ...data,
-      counsellor: {
-        id: counsellor.id,
-        name: counsellor.name,
-        email: counsellor.email
-      }
-    };
-
-    return successResponse(res, responsePayload, 'Appointment booked successfully', 201);
-  } catch (error) {
     console.error('Book appointment error:', error);
     return errorResponse(res, 'Failed to book appointment', 500);
   }
@@ -169,95 +129,17 @@ export const getCollegeCounsellorsWithAvailability = async (req, res) => {
       return errorResponse(res, 'date query parameter is required (YYYY-MM-DD)', 400);
     }
 
-    // Get all counsellors in this college
-    const { data: counsellors, error: counsellorsError } = await supabase
-      .from('profiles')
-      .select(`
-        id,
-        name,
-        email,
-        avatar_url,
-        bio,
-        phone,
-        counsellors (
-          specialization
-        )
-      `)
-      .eq('role', 'counsellor')
-      .eq('college_id', req.tenant);
-
-    if (counsellorsError) {
-      const formattedError = formatSupabaseError(counsellorsError);
-      return errorResponse(res, formattedError.message, 400);
-    }
+    const result = await getCounsellorsWithAvailability(req.tenant, date);
 
-    if (!counsellors || counsellors.length === 0) {
+    if (result.length === 0) {
       return successResponse(res, [], 'No counsellors found for this college');
     }
 
-    const counsellorIds = counsellors.map(c => c.id);
-
-    // Fetch availability rows for the specified date
-    const { data: availability, error: availabilityError } = await supabase
-      .from('counsellor_availability')
-      .select('id, counsellor_id, start_time')
-      .eq('date', date)
-      .eq('college_id', req.tenant)
-      .eq('is_active', true)
-      .in('counsellor_id', counsellorIds);
-
-    if (availabilityError) {
-      const formattedError = formatSupabaseError(availabilityError);
-      return errorResponse(res, formattedError.message, 400);
-    }
-
-    // Fetch booked appointments (pending or confirmed) to exclude those slots
-    const { data: booked, error: bookedError } = await supabase
-      .from('appointments')
-      .select('counsellor_id, start_time')
-      .eq('date', date)
-      .eq('college_id', req.tenant)
-      .in('status', ['pending', 'confirmed'])
-      .in('counsellor_id', counsellorIds);
-
-    if (bookedError) {
-      const formattedError = formatSupabaseError(bookedError);
-      return errorResponse(res, formattedError.message, 400);
-    }
-
-    const bookedMap = new Set(
-      (booked || []).map(b => `${b.counsellor_id}|${b.start_time}`)
-    );
-
-    // Group availability by counsellor and filter out booked times
-    const availabilityByCounsellor = {};
-    (availability || []).forEach(slot => {
-      const key = slot.counsellor_id;
-      if (!availabilityByCounsellor[key]) availabilityByCounsellor[key] = [];
-      const composite = `${slot.counsellor_id}|${slot.start_time}`;
-      if (!bookedMap.has(composite)) {
-        availabilityByCounsellor[key].push({
-          availability_id: slot.id,
-          start_time: slot.start_time
-        });
-      }
-    });
-
-    // Build final response array
-    const result = counsellors.map(c => ({
-      id: c.id,
-      name: c.name,
-      email: c.email,
-      avatar_url: c.avatar_url,
-      bio: c.bio,
-      phone: c.phone,
-      specialization: c.counsellors?.specialization || null,
-      date,
-      available_slots: availabilityByCounsellor[c.id] || []
-    }));
-
     return successResponse(res, result, 'Counsellors with availability retrieved successfully');
   } catch (error) {
+    if (error.statusCode) {
+      return errorResponse(res, error.message, error.statusCode);
+    }
     console.error('Get college counsellors availability error:', error);
     return errorResponse(res, 'Failed to get counsellors availability', 500);
   }
@@ -643,98 +525,4 @@ export const getCollegeCounsellorsForMessaging = async (req, res) => {
     console.error('Get college counsellors for messaging error:', error);
     return errorResponse(res, 'Failed to get counsellors', 500);
   }
-};
-
-//////////////////////// REALTIME VOICE SESSION /////////////////////////////
-
-/**
- * Create OpenAI Realtime Voice Session
- * POST /api/student/realtime-session
- * Returns ephemeral session token for WebRTC connection
- */
-export const createRealtimeSession = async (req, res) => {
-  try {
-    const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-    // Validate API key is configured
-    if (!OPENAI_API_KEY) {
-      console.error('OpenAI API key not configured in environment variables');
-      return errorResponse(
-        res, 
-        'Voice assistant feature is not configured. Please contact administrator.', 
-        503
-      );
-    }
-
-    // Request ephemeral token from OpenAI
-    const response = await fetch('https://api.openai.com/v1/realtime/sessions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-realtime-preview-2024-12-17',
-        voice: 'alloy'
-      }),
-    });
-
-    // Handle OpenAI API errors
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      console.error('OpenAI Realtime API error:', {
-        status: response.status,
-        statusText: response.statusText,
-        error: errorData
-      });
-
-      return errorResponse(
-        res, 
-        'Failed to create voice session. Please try again later.', 
-        502
-      );
-    }
-
-    const data = await response.json();
-
-    // Validate response structure
-    if (!data.client_secret || !data.client_secret.value) {
-      console.error('Invalid response from OpenAI Realtime API:', data);
-      return errorResponse(
-        res, 
-        'Invalid session response. Please try again.', 
-        500
-      );
-    }
-
-    // Log session creation (without exposing token)
-    console.log(`Realtime voice session created for user: ${req.user.user_id}`);
-
-    return successResponse(
-      res, 
-      { 
-        client_secret: data.client_secret.value,
-        expires_at: data.client_secret.expires_at || null
-      }, 
-      'Voice session created successfully'
-    );
-
-  } catch (error) {
-    console.error('Create realtime session error:', error);
-    
-    // Handle network errors
-    if (error.code === 'ENOTFOUND' || error.code === 'ETIMEDOUT') {
-      return errorResponse(
-        res, 
-        'Unable to reach voice service. Please check your connection.', 
-        503
-      );
-    }
-
-    return errorResponse(
-      res, 
-      'Failed to create voice session. Please try again.', 
-      500
-    );
-  }
 };
\ No newline at end of file
@@ -6,6 +6,17 @@ import {
   paginatedResponse,
   formatSupabaseError 
 } from "../utils/response.js";
+import {
+  startMigration,
+  pauseMigration,
+  getMigrationStatus
+} from "../services/embeddingMigration.service.js";
+import {
+  getUsageReport,
+  listQuotas,
+  setQuota,
+  deleteQuota
+} from "../services/aiUsage.service.js";
 
 /**
  * SuperAdmin Controller
@@ -605,4 +616,122 @@ async function getCollegeComparisons() {
     .limit(10);
 
   return data || [];
-}
\ No newline at end of file
+}
+
+/**
+ * Get the embedding model status: rows not yet on the configured model and
+ * the latest re-embedding migration
+ */
+export const getEmbeddingStatus = async (req, res) => {
+  try {
+    const status = await getMigrationStatus();
+    return successResponse(res, status, 'Embedding status retrieved successfully');
+  } catch (error) {
+    console.error('Get embedding status error:', error);
+    return errorResponse(res, error.message || 'Failed to get embedding status', 500);
+  }
+};
+
+/**
+ * Start re-embedding stored vectors with the configured embedding model, or
+ * resume the unfinished migration. Runs in the background; poll
+ * GET /system/embeddings for progress.
+ */
+export const startEmbeddingMigration = async (req, res) => {
+  try {
+    const { migration, resumed } = await startMigration({ startedBy: req.user.id });
+    return successResponse(
+      res,
+      migration,
+      resumed ? 'Re-embedding migration resumed' : 'Re-embedding migration started',
+      202
+    );
+  } catch (error) {
+    console.error('Start embedding migration error:', error);
+    return errorResponse(res, error.message || 'Failed to start re-embedding migration', error.statusCode || 500);
+  }
+};
+
+/**
+ * Pause the running re-embedding migration after its current batch
+ */
+export const pauseEmbeddingMigration = async (req, res) => {
+  try {
+    const migration = await pauseMigration();
+    return successResponse(res, migration, 'Re-embedding migration paused');
+  } catch (error) {
+    console.error('Pause embedding migration error:', error);
+    return errorResponse(res, error.message || 'Failed to pause re-embedding migration', error.statusCode || 500);
+  }
+};
+
+/**
+ * Get AI usage across all colleges for a date range (default: this month),
+ * totalled per college unless another group is given
+ */
+export const getAiUsage = async (req, res) => {
+  try {
+    const { since, until, group = 'college', college_id, user_id } = req.query;
+    const report = await getUsageReport({
+      since,
+      until,
+      group,
+      collegeId: college_id || null,
+      userId: user_id || null
+    });
+
+    if (group === 'college' && report.rows.length > 0) {
+      const { data: colleges } = await supabaseAdmin
+        .from('colleges')
+        .select('id, name')
+        .in('id', report.rows.map((row) => row.key).filter(Boolean));
+      const names = new Map((colleges || []).map((college) => [college.id, college.name]));
+      report.rows = report.rows.map((row) => ({ ...row, name: names.get(row.key) || null }));
+    }
+
+    return successResponse(res, report, 'AI usage retrieved successfully');
+  } catch (error) {
+    console.error('Get AI usage error:', error);
+    return errorResponse(res, error.message || 'Failed to get AI usage', error.statusCode || 500);
+  }
+};
+
+/**
+ * List AI usage quotas: defaults (collegeId null) and per-college overrides
+ */
+export const getAiQuotas = async (req, res) => {
+  try {
+    const quotas = await listQuotas();
+    return successResponse(res, quotas, 'AI usage quotas retrieved successfully');
+  } catch (error) {
+    console.error('Get AI quotas error:', error);
+    return errorResponse(res, error.message || 'Failed to get AI usage quotas', 500);
+  }
+};
+
+/**
+ * Create or change an AI usage quota (one per college, scope, period and metric)
+ */
+export const setAiQuota = async (req, res) => {
+  try {
+    const { college_id = null, scope, period, metric, limit } = req.body;
+    const quota = await setQuota({ collegeId: college_id, scope, period, metric, limit }, req.user.id);
+    return successResponse(res, quota, 'AI usage quota saved');
+  } catch (error) {
+    console.error('Set AI quota error:', error);
+    return errorResponse(res, error.message || 'Failed to save AI usage quota', error.statusCode || 500);
+  }
+};
+
+/**
+ * Remove an AI usage quota
+ */
+export const deleteAiQuota = async (req, res) => {
+  try {
+    await deleteQuota(req.params.quotaId);
+    return successResponse(res, null, 'AI usage quota removed');
+  } catch (error) {
+    console.error('Delete AI quota error:', error);
+    return errorResponse(res, error.message || 'Failed to remove AI usage quota', error.statusCode || 500);
+  }
+};
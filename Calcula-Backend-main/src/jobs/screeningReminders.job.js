@@ -0,0 +1,116 @@
+import { supabase } from '../config/supabase.js';
+import { syncCollegeReminders } from '../services/screening.service.js';
+
+/**
+ * Screening Reminder Job
+ * Periodically creates re-screen and campaign reminders for every active
+ * college and notifies online students over Socket.IO.
+ *
+ * The clock is injected so the job can be driven from a test with a fixed
+ * or advancing time:
+ *
+ *   const job = createScreeningReminderJob({ clock: { now: () => new Date('2026-03-01') } });
+ *   await job.runOnce();
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+const systemClock = { now: () => new Date() };
+
+const getActiveCollegeIds = async () => {
+  const { data, error } = await supabase
+    .from('colleges')
+    .select('id')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return data.map((college) => college.id);
+};
+
+/**
+ * Create the reminder job
+ * @param {Object} options
+ * @param {Object} options.clock - { now: () => Date }
+ * @param {number} options.intervalMs - Time between runs when started
+ * @param {Object} options.io - Socket.IO server (optional)
+ * @param {Function} options.syncReminders - (collegeId, now) => created rows; defaults to the screening service
+ * @param {Function} options.getCollegeIds - () => college IDs to process; defaults to active colleges
+ * @returns {Object} { runOnce, start, stop }
+ */
+export const createScreeningReminderJob = ({
+  clock = systemClock,
+  intervalMs = DEFAULT_INTERVAL_MS,
+  io = null,
+  syncReminders = syncCollegeReminders,
+  getCollegeIds = getActiveCollegeIds
+} = {}) => {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Run one pass over all active colleges
+   * @returns {Object} { ranAt, colleges, created, failed }
+   */
+  const runOnce = async () => {
+    const now = clock.now();
+    const summary = { ranAt: now.toISOString(), colleges: 0, created: 0, failed: 0 };
+
+    const collegeIds = await getCollegeIds();
+
+    for (const collegeId of collegeIds) {
+      try {
+        const created = await syncReminders(collegeId, now);
+        summary.colleges++;
+        summary.created += created.length;
+
+        if (io) {
+          created.forEach((reminder) => {
+            io.to(`user:${reminder.student_id}`).emit('assessment_due', {
+              id: reminder.id,
+              formType: reminder.form_type,
+              reason: reminder.reason,
+              dueAt: reminder.due_at
+            });
+          });
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`[ScreeningReminders] Failed for college ${collegeId}:`, error);
+      }
+    }
+
+    return summary;
+  };
+
+  const tick = async () => {
+    // Skip a tick rather than overlap with a slow previous run
+    if (running) return;
+    running = true;
+    try {
+      const summary = await runOnce();
+      if (summary.created > 0) {
+        console.log(`[ScreeningReminders] Created ${summary.created} reminders across ${summary.colleges} colleges`);
+      }
+    } catch (error) {
+      console.error('[ScreeningReminders] Run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    timer.unref?.();
+    tick();
+  };
+
+  const stop = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+  };
+
+  return { runOnce, start, stop };
+};
+
+export default createScreeningReminderJob;
@@ -0,0 +1,72 @@
+import { errorResponse } from "../utils/response.js";
+import { detectCrisis } from "../utils/crisisDetect.js";
+import {
+  FEATURE_METRICS,
+  runWithUsageContext,
+  checkQuota,
+  recordUsage,
+  quotaMessage
+} from "../services/aiUsage.service.js";
+
+/**
+ * AI usage middleware
+ * Meters a route's model usage and enforces the AI usage quotas
+ *
+ * This middleware:
+ * 1. Rejects the request with 429 when the user or their college has reached
+ *    a quota on a metric the feature uses (see FEATURE_METRICS)
+ * 2. Never blocks a chat message that shows crisis signals
+ * 3. Runs the rest of the request in a usage context, so every model call it
+ *    makes is recorded for req.user under this feature
+ * 4. Optionally records fixed counters once the response succeeds (for model
+ *    usage that does not go through this server, e.g. realtime sessions)
+ *
+ * Must run after auth (and after multer on upload routes, so the context
+ * reaches the handler). Quota checks fail open if usage cannot be read.
+ *
+ * @param {string} feature - Feature name, e.g. 'chat', 'voice', 'realtime'
+ * @param {Object} options - { onSuccess } counters to record for a 2xx/3xx response
+ */
+export default function aiUsage(feature, { onSuccess = null } = {}) {
+  const metrics = FEATURE_METRICS[feature];
+
+  return async (req, res, next) => {
+    const context = {
+      userId: req.user?.id,
+      collegeId: req.tenant || req.user?.college_id || null,
+      feature
+    };
+
+    if (!context.userId) return next();
+
+    // SuperAdmins are not limited; crisis messages always get through
+    const exempt = req.user.role === 'superadmin'
+      || (typeof req.body?.message === "string" && detectCrisis(req.body.message).level !== 'none');
+
+    if (!exempt && metrics) {
+      try {
+        const exceeded = await checkQuota({ userId: context.userId, collegeId: context.collegeId, metrics });
+        if (exceeded) {
+          console.log(`[AI Usage] ${feature} blocked for ${context.userId}: ${exceeded.scope} ${exceeded.period} ${exceeded.metric} quota (${exceeded.used}/${exceeded.limit})`);
+          return errorResponse(res, quotaMessage(exceeded), 429, {
+            reason: "AI_QUOTA_EXCEEDED",
+            scope: exceeded.scope,
+            period: exceeded.period,
+            metric: exceeded.metric,
+            resetsAt: exceeded.resetsAt.toISOString()
+          });
+        }
+      } catch (error) {
+        console.error('[AI Usage] Quota check failed:', error.message);
+      }
+    }
+
+    if (onSuccess) {
+      res.on("finish", () => {
+        if (res.statusCode < 400) recordUsage(context, onSuccess);
+      });
+    }
+
+    return runWithUsageContext(context, next);
+  };
+}
@@ -62,6 +62,8 @@ export default async function auth(req, res, next) {
         iat: decoded.iat
       };
 
+      req.accessToken = accessToken;
+
       console.log(`[Auth] User authenticated - ID: ${req.user.user_id}, Email: ${req.user.email}, Role: ${req.user.role}, College: ${req.user.college_id}`);
 
       return next();
@@ -126,6 +128,10 @@ export default async function auth(req, res, next) {
         iat: decodedNew.iat
       };
 
+      // The cookie is only updated on the response, so expose the new token
+      // to handlers (e.g. GET /api/auth/token for socket reconnects)
+      req.accessToken = session.access_token;
+
       console.log('Token refreshed successfully for user:', req.user.id);
       return next();
     }
@@ -0,0 +1,162 @@
+import jwt from "jsonwebtoken";
+import { supabase } from "../config/supabase.js";
+
+/**
+ * Socket.IO authentication
+ * Verifies the same Supabase access token as the REST `auth` middleware,
+ * taken from (in order) `handshake.auth.token`, an `Authorization: Bearer`
+ * header or the `sb-access-token` cookie. Role and college always come from
+ * the user's profile, never from the client.
+ *
+ * Connected sockets are disconnected when their token expires (event
+ * `session_expired`, the client should reconnect with a fresh token) or when
+ * the user's sessions are revoked (event `session_revoked`).
+ */
+
+// Namespaces that use socketAuth; revocation disconnects sockets in all of them
+export const AUTHENTICATED_NAMESPACES = ['/', '/community'];
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Revocations only need remembering for as long as a token they reject can
+// still be valid
+const REVOCATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * userId -> time (ms) of the latest revocation; tokens issued before it are rejected
+ */
+const revokedSessions = new Map();
+
+const socketAuthError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+const parseCookies = (header = '') => Object.fromEntries(
+  header
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...rest]) => [name, decodeURIComponent(rest.join('='))])
+);
+
+/**
+ * Find the access token in a socket handshake
+ * @param {Object} handshake - socket.handshake
+ * @returns {string|null} Access token
+ */
+export const extractSocketToken = (handshake) => {
+  if (handshake.auth?.token) return handshake.auth.token;
+
+  const parts = (handshake.headers?.authorization || '').split(' ');
+  if (parts.length === 2 && parts[0] === 'Bearer') return parts[1];
+
+  return parseCookies(handshake.headers?.cookie)['sb-access-token'] || null;
+};
+
+const isRevoked = (userId, issuedAtSeconds) => {
+  const revokedAt = revokedSessions.get(userId);
+  // Compared in whole seconds (the JWT `iat` resolution) so logging straight
+  // back in after a logout is not rejected
+  return revokedAt !== undefined && issuedAtSeconds < Math.floor(revokedAt / 1000);
+};
+
+/**
+ * Socket.IO middleware: `namespace.use(socketAuth)`
+ * Sets socket.user = { id, user_id, email, name, avatar_url, role, college_id, exp }
+ */
+export const socketAuth = async (socket, next) => {
+  const token = extractSocketToken(socket.handshake);
+  if (!token) {
+    return next(socketAuthError('Authentication required', 'UNAUTHENTICATED'));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.SUPABASE_JWT_SECRET);
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return next(socketAuthError('Session expired', 'TOKEN_EXPIRED'));
+    }
+    return next(socketAuthError('Invalid token', 'INVALID_TOKEN'));
+  }
+
+  if (isRevoked(decoded.sub, decoded.iat)) {
+    return next(socketAuthError('Session revoked', 'SESSION_REVOKED'));
+  }
+
+  try {
+    const { data: profile, error } = await supabase
+      .from('profiles')
+      .select('name, role, college_id, avatar_url')
+      .eq('id', decoded.sub)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!profile) {
+      return next(socketAuthError('User profile not found', 'UNAUTHENTICATED'));
+    }
+
+    socket.user = {
+      id: decoded.sub,
+      user_id: decoded.sub,
+      email: decoded.email,
+      name: profile.name,
+      avatar_url: profile.avatar_url,
+      role: profile.role,
+      college_id: profile.college_id,
+      exp: decoded.exp
+    };
+  } catch (error) {
+    console.error('[Socket] Profile lookup failed:', error);
+    return next(socketAuthError('Authentication failed', 'AUTH_FAILED'));
+  }
+
+  // Drop the connection once the token expires; the client reconnects with a
+  // refreshed token
+  if (decoded.exp) {
+    const expiresInMs = Math.min(decoded.exp * 1000 - Date.now(), MAX_TIMER_MS);
+    const timer = setTimeout(() => {
+      socket.emit('session_expired');
+      socket.disconnect(true);
+    }, Math.max(expiresInMs, 0));
+    socket.on('disconnect', () => clearTimeout(timer));
+  }
+
+  return next();
+};
+
+/**
+ * Revoke a user's sessions: disconnect their open sockets and reject
+ * reconnects with tokens issued before now. Call after logout, account
+ * deletion or an admin password reset.
+ * @param {Object|null} io - Socket.IO server (req.app.get('io'))
+ * @param {string} userId - User whose sessions are revoked
+ * @param {string} reason - Sent to the client with `session_revoked`
+ * @returns {number} Number of sockets disconnected
+ */
+export const revokeUserSessions = (io, userId, reason = 'revoked') => {
+  const now = Date.now();
+  revokedSessions.set(userId, now);
+  revokedSessions.forEach((revokedAt, id) => {
+    if (now - revokedAt > REVOCATION_TTL_MS) revokedSessions.delete(id);
+  });
+
+  if (!io) return 0;
+
+  let disconnected = 0;
+  AUTHENTICATED_NAMESPACES.forEach((name) => {
+    io.of(name).sockets.forEach((socket) => {
+      if (socket.user?.user_id !== userId) return;
+      socket.emit('session_revoked', { reason });
+      socket.disconnect(true);
+      disconnected++;
+    });
+  });
+
+  return disconnected;
+};
+
+export default socketAuth;
@@ -15,16 +15,36 @@ import {
   generateReport,
   getAdminProfile,
   updateAdminProfile,
-  createRealtimeSession,
   getAssessmentAnalytics,
-  createAssessmentFormController
+  createAssessmentFormController,
+  getAiUsage
 } from '../controllers/admin.controller.js';
+import {
+  createRealtimeSessionController,
+  endRealtimeSessionController,
+  runRealtimeToolController
+} from '../controllers/realtimeSession.controller.js';
+import {
+  getEscalations,
+  getEscalation,
+  claimEscalationController,
+  updateEscalationStatusController
+} from '../controllers/escalation.controller.js';
+import {
+  getScreeningCampaigns,
+  createScreeningCampaign,
+  updateScreeningCampaign,
+  deleteScreeningCampaign
+} from '../controllers/screening.controller.js';
 import {
   validate,
   validatePagination,
   validateUUID,
   adminSchemas,
+  escalationSchemas,
+  screeningCampaignSchemas,
 } from '../utils/validators.js';
+import aiUsage from '../middleware/aiUsage.js';
 
 const router = express.Router();
 
@@ -42,6 +62,47 @@ router.get('/analytics/assessments', getAssessmentAnalytics);
 // Assessments
 router.post('/assessments', createAssessmentFormController);
 
+//////////////////////// ESCALATIONS /////////////////////////////
+
+// List escalations for the college
+router.get('/escalations', getEscalations);
+
+// Get a single escalation with its audit trail
+router.get('/escalations/:id', validateUUID('id'), getEscalation);
+
+// Claim an escalation
+router.put('/escalations/:id/claim', validateUUID('id'), claimEscalationController);
+
+// Move an escalation to acknowledged / contacted / resolved
+router.put('/escalations/:id/status',
+  validateUUID('id'),
+  validate(escalationSchemas.updateStatus),
+  updateEscalationStatusController
+);
+
+//////////////////////// SCREENING CAMPAIGNS /////////////////////////////
+
+// List campaigns with completion progress
+router.get('/screening-campaigns', getScreeningCampaigns);
+
+// Create a college-wide (or cohort) screening campaign
+router.post('/screening-campaigns',
+  validate(screeningCampaignSchemas.create),
+  createScreeningCampaign
+);
+
+// Reschedule, retarget or pause a campaign
+router.put('/screening-campaigns/:id',
+  validateUUID('id'),
+  validate(screeningCampaignSchemas.update),
+  updateScreeningCampaign
+);
+
+router.delete('/screening-campaigns/:id',
+  validateUUID('id'),
+  deleteScreeningCampaign
+);
+
 /////////////// PROFILE MANAGEMENT /////////////////////
 // Get admin profile
 router.get('/profile', getAdminProfile);
@@ -157,7 +218,25 @@ router.get('/reports',
   generateReport
 );
 
+// AI companion usage (tokens, audio, embeddings) for the college
+router.get('/ai-usage',
+  getAiUsage
+);
+
 // Voice Chat Realtime Session
-router.post('/realtime-session', createRealtimeSession);
+router.post('/realtime-session',
+  aiUsage('realtime', { onSuccess: { requests: 1, realtime_sessions: 1 } }),
+  createRealtimeSessionController
+);
+
+router.post('/realtime-session/:sessionId/tools',
+  validateUUID('sessionId'),
+  runRealtimeToolController
+);
+
+router.post('/realtime-session/:sessionId/end',
+  validateUUID('sessionId'),
+  endRealtimeSessionController
+);
 
 export default router;
\ No newline at end of file
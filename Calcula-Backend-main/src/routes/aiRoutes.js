@@ -2,16 +2,36 @@
 import { Router } from "express";
 import { aiChatController } from "../controllers/aiChatController.js";
 import multer from "multer";
+import aiUsage from "../middleware/aiUsage.js";
 const upload = multer({ storage: multer.memoryStorage() });
 
 const router = Router();
 
 
-router.post("/chat", aiChatController.chat);
+router.post("/chat", aiUsage("chat"), aiChatController.chat);
+router.post("/chat/stream", aiUsage("chat"), aiChatController.chatStream);
 router.get("/conversations", aiChatController.listRecentConversations);
 router.post("/conversations", aiChatController.createConversation);
 router.delete("/conversations/:conversationId", aiChatController.deleteConversation);
 router.get("/messages", aiChatController.getConversationMessages);
-router.post("/voice", upload.single("file"), aiChatController.voice);
+router.post("/voice", upload.single("file"), aiUsage("voice"), aiChatController.voice);
+
+// Spoken replies: voice, speaking rate and whether voice replies are spoken
+router.get("/voice/settings", aiChatController.getVoiceSettings);
+router.put("/voice/settings", aiChatController.updateVoiceSettings);
+router.post("/speech", aiUsage("speech"), aiChatController.speech);
+
+// What the companion remembers across conversations
+router.get("/memories", aiChatController.listMemories);
+router.get("/memories/settings", aiChatController.getMemorySettings);
+router.put("/memories/settings", aiChatController.updateMemorySettings);
+router.get("/memories/export", aiChatController.exportMemories);
+router.delete("/memories/conversations/:conversationId", aiChatController.deleteConversationMemories);
+router.delete("/memories/:memoryId", aiChatController.deleteMemory);
+
+// Actions the companion drafted with its tools, confirmed or cancelled by the student
+router.get("/actions", aiChatController.listActions);
+router.post("/actions/:actionId/confirm", aiChatController.confirmAction);
+router.post("/actions/:actionId/cancel", aiChatController.cancelAction);
 
 export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import multer from 'multer';
 import {
   getProfile,
   updateProfile,
@@ -11,15 +12,28 @@ import {
   deleteAvailability,
   getSessions,
   getSessionsSummary,
-  updateSessionNotesAndGoals,
-  createRealtimeSession
+  updateSessionNotesAndGoals
 } from '../controllers/counsellor.controller.js';
+import {
+  createRealtimeSessionController,
+  endRealtimeSessionController,
+  runRealtimeToolController
+} from '../controllers/realtimeSession.controller.js';
+import {
+  getSessionTranscriptController,
+  startSessionTranscriptController,
+  addTranscriptChunkController,
+  finishSessionTranscriptController,
+  regenerateSessionSummaryController,
+  deleteSessionTranscriptController
+} from '../controllers/sessionTranscription.controller.js';
 import {
   uploadResource,
   getResources,
   getResourceById,
   updateResource,
   deleteResource,
+  reindexResource,
   getDownloadUrl,
   getResourceStats
 } from '../controllers/resources.controller.js';
@@ -38,6 +52,16 @@ import {
 import {
   getAssessmentAnalytics
 } from '../controllers/admin.controller.js';
+import {
+  getEscalations,
+  getEscalation,
+  claimEscalationController,
+  updateEscalationStatusController
+} from '../controllers/escalation.controller.js';
+import {
+  getStudentAssessmentTrendsController
+} from '../controllers/assessment.controller.js';
+import { getStudentMoodTimelineController } from '../controllers/moodTimeline.controller.js';
 import { 
   validate, 
   validatePagination,
@@ -45,8 +69,10 @@ import {
   userSchemas,
   appointmentSchemas,
   availabilitySchemas,
-  sessionSchemas
+  sessionSchemas,
+  escalationSchemas
 } from '../utils/validators.js';
+import aiUsage from '../middleware/aiUsage.js';
 import Joi from 'joi';
 
 const router = express.Router();
@@ -78,6 +104,43 @@ router.get('/dashboard/stats', getDashboardStats);
 // Analytics
 router.get('/analytics/assessments', getAssessmentAnalytics);
 
+//////////////////////// ESCALATIONS /////////////////////////////
+
+// List escalations for the college
+router.get('/escalations', getEscalations);
+
+// Get a single escalation with its audit trail
+router.get('/escalations/:id', validateUUID('id'), getEscalation);
+
+// Claim an escalation
+router.put('/escalations/:id/claim', validateUUID('id'), claimEscalationController);
+
+// Move an escalation to acknowledged / contacted / resolved
+router.put('/escalations/:id/status',
+  validateUUID('id'),
+  validate(escalationSchemas.updateStatus),
+  updateEscalationStatusController
+);
+
+//////////////////////// STUDENT ASSESSMENT TRENDS /////////////////////////////
+
+// Score trends for a student assigned to this counsellor (all instruments, or one)
+router.get('/students/:studentId/assessments/trends',
+  validateUUID('studentId'),
+  getStudentAssessmentTrendsController
+);
+router.get('/students/:studentId/assessments/trends/:formType',
+  validateUUID('studentId'),
+  getStudentAssessmentTrendsController
+);
+
+//////////////////////// STUDENT MOOD TIMELINE /////////////////////////////
+
+// Daily mood series of an assigned student, only while the student shares it
+router.get('/students/:studentId/mood-timeline',
+  validateUUID('studentId'),
+  getStudentMoodTimelineController
+);
 
 /////////////////// APPOINTMENT MANAGEMENT ///////////////////////////////
 
@@ -122,6 +185,43 @@ router.put('/sessions-summary/:appointment_id',
   updateSessionNotesAndGoals
 );
 
+// Session transcripts (only with the student's consent for the appointment)
+const chunkUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
+
+router.get('/sessions/:appointment_id/transcript',
+  validateUUID('appointment_id'),
+  getSessionTranscriptController
+);
+
+router.post('/sessions/:appointment_id/transcript/start',
+  validateUUID('appointment_id'),
+  startSessionTranscriptController
+);
+
+router.post('/sessions/:appointment_id/transcript/chunks',
+  validateUUID('appointment_id'),
+  chunkUpload.single('file'),
+  aiUsage('session_transcription'),
+  addTranscriptChunkController
+);
+
+router.post('/sessions/:appointment_id/transcript/finish',
+  validateUUID('appointment_id'),
+  aiUsage('session_transcription'),
+  finishSessionTranscriptController
+);
+
+router.post('/sessions/:appointment_id/transcript/summary',
+  validateUUID('appointment_id'),
+  aiUsage('session_transcription'),
+  regenerateSessionSummaryController
+);
+
+router.delete('/sessions/:appointment_id/transcript',
+  validateUUID('appointment_id'),
+  deleteSessionTranscriptController
+);
+
 
 /////////////////// RESOURCE MANAGEMENT ///////////////////////////////
 
@@ -146,6 +246,9 @@ router.put('/resources/:id',
 // Delete resource
 router.delete('/resources/:id', validateUUID('id'), deleteResource);
 
+// Re-index resource into the AI companion's knowledge base
+router.post('/resources/:id/reindex', validateUUID('id'), reindexResource);
+
 // Generate download URL for resource
 router.get('/resources/:id/download', validateUUID('id'), getDownloadUrl);
 
@@ -213,6 +316,19 @@ router.get('/communities/:communityId/messages',
 );
 
 // Voice Chat Realtime Session
-router.post('/realtime-session', createRealtimeSession);
+router.post('/realtime-session',
+  aiUsage('realtime', { onSuccess: { requests: 1, realtime_sessions: 1 } }),
+  createRealtimeSessionController
+);
+
+router.post('/realtime-session/:sessionId/tools',
+  validateUUID('sessionId'),
+  runRealtimeToolController
+);
+
+router.post('/realtime-session/:sessionId/end',
+  validateUUID('sessionId'),
+  endRealtimeSessionController
+);
 
 export default router;
\ No newline at end of file
@@ -8,16 +8,38 @@ import {
   getCollegeCounsellorsWithAvailability,
   getMyAppointments,
   getSessionsSummary,
-  getCollegeCounsellorsForMessaging,
-  createRealtimeSession
+  getCollegeCounsellorsForMessaging
 } from '../controllers/student.controller.js';
+import {
+  createRealtimeSessionController,
+  endRealtimeSessionController,
+  runRealtimeToolController
+} from '../controllers/realtimeSession.controller.js';
+import {
+  getTranscriptionConsentController,
+  setTranscriptionConsentController
+} from '../controllers/sessionTranscription.controller.js';
 import {
   submitAssessmentController,
   getAssessmentHistoryController,
   getAssessmentByIdController,
   getAssessmentStatsController,
-  getAvailableAssessments
+  getAvailableAssessments,
+  getAssessmentTrendsController,
+  getAssessmentTrendController,
+  listAssessmentDraftsController,
+  getAssessmentDraftController,
+  saveAssessmentDraftController,
+  deleteAssessmentDraftController
 } from '../controllers/assessment.controller.js';
+import { getDueAssessmentsController } from '../controllers/screening.controller.js';
+import {
+  getMyMoodTimelineController,
+  correctMoodDayController,
+  clearMoodCorrectionController,
+  getMoodSharingController,
+  setMoodSharingController
+} from '../controllers/moodTimeline.controller.js';
 import {
   getAnnouncementsForUser,
   markAnnouncementSeen
@@ -38,6 +60,7 @@ import {
   userSchemas,
   appointmentSchemas
 } from '../utils/validators.js';
+import aiUsage from '../middleware/aiUsage.js';
 import journalingRoutes from './journaling.routes.js';
 import memoryWallRoutes from './memoryWall.routes.js';
 
@@ -78,6 +101,17 @@ router.get('/college-counsellors', getCollegeCounsellorsWithAvailability);
 // All appointments for the logged in student (no pagination)
 router.get('/my-appointments', getMyAppointments);
 
+// Whether the counsellor may transcribe the session (withdrawing deletes the transcript)
+router.get('/appointments/:appointment_id/transcription-consent',
+  validateUUID('appointment_id'),
+  getTranscriptionConsentController
+);
+
+router.put('/appointments/:appointment_id/transcription-consent',
+  validateUUID('appointment_id'),
+  setTranscriptionConsentController
+);
+
 // Completed sessions summary with session notes and goals
 router.get('/sessions-summary', getSessionsSummary);
 
@@ -156,9 +190,22 @@ router.get('/communities/:communityId/messages',
 // Get available assessment forms
 router.get('/assessments/available', getAvailableAssessments);
 
+// Assessments due for a re-screen or an active screening campaign
+router.get('/assessments/due', getDueAssessmentsController);
+
 // Get assessment statistics
 router.get('/assessments/stats', getAssessmentStatsController);
 
+// Score trends over time with reliable-change flags
+router.get('/assessments/trends', getAssessmentTrendsController);
+router.get('/assessments/trends/:formType', getAssessmentTrendController);
+
+// Unfinished assessments (partial saves that can be resumed)
+router.get('/assessments/drafts', listAssessmentDraftsController);
+router.get('/assessments/drafts/:formType', getAssessmentDraftController);
+router.put('/assessments/drafts/:formType', saveAssessmentDraftController);
+router.delete('/assessments/drafts/:formType', deleteAssessmentDraftController);
+
 // Get assessment history (with optional filters)
 router.get('/assessments', getAssessmentHistoryController);
 
@@ -173,6 +220,19 @@ router.post('/assessments', submitAssessmentController);
 // Mount journaling routes
 router.use('/journal', journalingRoutes);
 
+//////////////////////// MOOD TIMELINE /////////////////////////////
+
+// Daily mood from AI companion chats and journal entries
+router.get('/mood-timeline', getMyMoodTimelineController);
+
+// Share the timeline with counsellors (off by default)
+router.get('/mood-timeline/sharing', getMoodSharingController);
+router.put('/mood-timeline/sharing', setMoodSharingController);
+
+// Correct the mood of a day the detector got wrong
+router.put('/mood-timeline/days/:date', correctMoodDayController);
+router.delete('/mood-timeline/days/:date', clearMoodCorrectionController);
+
 //////////////////////// MEMORY WALL /////////////////////////////
 
 // Mount memory wall routes
@@ -185,7 +245,28 @@ router.use('/memory-wall', memoryWallRoutes);
  * POST /api/student/realtime-session
  * Returns ephemeral token for WebRTC voice connection
  */
-router.post('/realtime-session', createRealtimeSession);
+router.post('/realtime-session',
+  aiUsage('realtime', { onSuccess: { requests: 1, realtime_sessions: 1 } }),
+  createRealtimeSessionController
+);
+
+/**
+ * Run a tool the voice assistant called
+ * POST /api/student/realtime-session/:sessionId/tools
+ */
+router.post('/realtime-session/:sessionId/tools',
+  validateUUID('sessionId'),
+  runRealtimeToolController
+);
+
+/**
+ * End a realtime voice session
+ * POST /api/student/realtime-session/:sessionId/end
+ */
+router.post('/realtime-session/:sessionId/end',
+  validateUUID('sessionId'),
+  endRealtimeSessionController
+);
 
 export default router;
 
@@ -7,7 +7,14 @@ import {
   getCollegeDetails,
   getGlobalAnalytics,
   getSystemHealth,
-  createSystemAdmin
+  createSystemAdmin,
+  getEmbeddingStatus,
+  startEmbeddingMigration,
+  pauseEmbeddingMigration,
+  getAiUsage,
+  getAiQuotas,
+  setAiQuota,
+  deleteAiQuota
 } from '../controllers/superadmin.controller.js';
 import { 
   validate, 
@@ -84,4 +91,32 @@ router.post('/system/admins',
   createSystemAdmin
 );
 
+// Embedding model migrations (re-embedding stored vectors)
+router.get('/system/embeddings', getEmbeddingStatus);
+
+router.post('/system/embeddings/migrations', startEmbeddingMigration);
+
+router.post('/system/embeddings/migrations/pause', pauseEmbeddingMigration);
+
+// AI usage and quotas
+router.get('/system/ai-usage', getAiUsage);
+
+router.get('/system/ai-quotas', getAiQuotas);
+
+router.put('/system/ai-quotas',
+  validate(Joi.object({
+    college_id: Joi.string().uuid().allow(null).optional(),
+    scope: Joi.string().valid('user', 'college').required(),
+    period: Joi.string().valid('daily', 'monthly').required(),
+    metric: Joi.string().valid('tokens', 'embedding_calls', 'audio_seconds', 'realtime_sessions').required(),
+    limit: Joi.number().min(0).required()
+  })),
+  setAiQuota
+);
+
+router.delete('/system/ai-quotas/:quotaId',
+  validateUUID('quotaId'),
+  deleteAiQuota
+);
+
 export default router;
\ No newline at end of file
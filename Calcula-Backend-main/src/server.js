@@ -8,6 +8,7 @@ import app from "./app.js";
 import { initializeSocketIO } from './config/socket.js';
 import { initializeSocketHandlers } from './sockets/messaging.socket.js';
 import { initializeCommunitySocket } from './sockets/community.socket.js';
+import { createScreeningReminderJob } from './jobs/screeningReminders.job.js';
 
 const PORT = process.env.PORT || 5000;
 
@@ -22,20 +23,29 @@ initializeCommunitySocket(io); // Initialize community sockets
 // Make io accessible to routes via app
 app.set('io', io);
 
+// Background job: re-screen and campaign reminders
+const screeningReminderJob = createScreeningReminderJob({
+  io,
+  intervalMs: (Number(process.env.SCREENING_REMINDER_INTERVAL_MINUTES) || 60) * 60 * 1000
+});
+
 // Start the server
 httpServer.listen(PORT, () => {
   console.log(`Calcula Backend running on port ${PORT}`);
   console.log(`Socket.io server ready for connections`);
+  screeningReminderJob.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down...');
+  screeningReminderJob.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down...');
+  screeningReminderJob.stop();
   process.exit(0);
 });
 
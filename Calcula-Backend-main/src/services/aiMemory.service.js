@@ -0,0 +1,257 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+
+/**
+ * AI Memory Service
+ * What the AI companion remembers about a student across conversations, and
+ * the student's controls over it.
+ *
+ * A "memory" is a row of ai_message_embeddings: a user or companion message
+ * that RAG can recall in later conversations. Deleting a memory removes the
+ * embedding and sets ai_messages.memory_excluded so the keyword recall in
+ * vectorStore skips the message as well; the chat transcript is left alone.
+ *
+ * While memory is paused (ai_memory_settings.paused) nothing is recalled, and
+ * new messages are marked memory_excluded instead of being embedded, so they
+ * are not remembered after memory is resumed either.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Rows per request when exporting (PostgREST caps responses at 1000)
+const EXPORT_BATCH_SIZE = 500;
+
+// Pause flags are read on every chat turn; cache them briefly per process
+const SETTINGS_CACHE_TTL = 30 * 1000;
+const settingsCache = new Map();
+
+const MEMORY_COLUMNS =
+  'id, message_id, conversation_id, content, created_at, ai_messages(sender), ai_conversations(title)';
+
+const formatMemory = (row, { includeEmbedding = false } = {}) => ({
+  id: row.id,
+  messageId: row.message_id,
+  conversationId: row.conversation_id,
+  conversationTitle: row.ai_conversations?.title || null,
+  sender: row.ai_messages?.sender || null,
+  content: row.content,
+  createdAt: row.created_at,
+  ...(includeEmbedding && { embedding: parseEmbedding(row.embedding) })
+});
+
+// pgvector columns come back from PostgREST as "[0.1,0.2,...]"
+const parseEmbedding = (value) => {
+  if (Array.isArray(value)) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+const formatSettings = (row) => ({
+  paused: row?.paused || false,
+  pausedAt: row?.paused_at || null,
+  updatedAt: row?.updated_at || null
+});
+
+// ==================== SETTINGS ====================
+
+/**
+ * Memory settings for a user (defaults when never changed)
+ * @param {string} userId - User ID
+ * @returns {Object} { paused, pausedAt, updatedAt }
+ */
+export const getMemorySettings = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('ai_memory_settings')
+    .select('paused, paused_at, updated_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return formatSettings(data);
+};
+
+/**
+ * Pause or resume memory for a user
+ * @param {string} userId - User ID
+ * @param {boolean} paused
+ * @returns {Object} Updated settings
+ */
+export const setMemoryPaused = async (userId, paused) => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('ai_memory_settings')
+    .upsert(
+      { user_id: userId, paused, paused_at: paused ? now : null, updated_at: now },
+      { onConflict: 'user_id' }
+    )
+    .select('paused, paused_at, updated_at')
+    .single();
+
+  if (error) throw error;
+  settingsCache.set(userId, { paused, timestamp: Date.now() });
+  return formatSettings(data);
+};
+
+/**
+ * Whether memory is paused for a user, for the chat path.
+ * If the setting cannot be read the answer is "paused": skipping memory for
+ * one turn is better than remembering something the student switched off.
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+export const isMemoryPaused = async (userId) => {
+  const cached = settingsCache.get(userId);
+  if (cached && Date.now() - cached.timestamp < SETTINGS_CACHE_TTL) {
+    return cached.paused;
+  }
+
+  try {
+    const { paused } = await getMemorySettings(userId);
+    settingsCache.set(userId, { paused, timestamp: Date.now() });
+    return paused;
+  } catch (error) {
+    console.error('[Memory] Failed to read memory settings:', error.message);
+    return true;
+  }
+};
+
+// ==================== MEMORIES ====================
+
+/**
+ * List a user's remembered snippets, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { conversationId, limit, offset }
+ * @returns {Object} { memories, total, limit, offset }
+ */
+export const listMemories = async (userId, options = {}) => {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+  let query = supabaseAdmin
+    .from('ai_message_embeddings')
+    .select(MEMORY_COLUMNS, { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (options.conversationId) {
+    query = query.eq('conversation_id', options.conversationId);
+  }
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  return {
+    memories: (data || []).map((row) => formatMemory(row)),
+    total: count ?? 0,
+    limit,
+    offset
+  };
+};
+
+/**
+ * Delete one remembered snippet
+ * @param {string} userId - User ID
+ * @param {string} memoryId - ai_message_embeddings ID
+ * @returns {Object|null} Deleted memory, or null if the user has no such memory
+ */
+export const deleteMemory = async (userId, memoryId) => {
+  const { data, error } = await supabaseAdmin
+    .from('ai_message_embeddings')
+    .delete()
+    .eq('id', memoryId)
+    .eq('user_id', userId)
+    .select('id, message_id, conversation_id');
+
+  if (error) throw error;
+  if (!data || data.length === 0) return null;
+
+  await excludeMessages({ messageIds: data.map((row) => row.message_id) });
+  return { id: data[0].id, messageId: data[0].message_id, conversationId: data[0].conversation_id };
+};
+
+/**
+ * Delete everything remembered from one conversation. Also used when the
+ * conversation itself is deleted.
+ * @param {string} userId - User ID
+ * @param {string} conversationId - ai_conversations ID
+ * @returns {Object} { removed }
+ */
+export const deleteConversationMemories = async (userId, conversationId) => {
+  const { data, error } = await supabaseAdmin
+    .from('ai_message_embeddings')
+    .delete()
+    .eq('conversation_id', conversationId)
+    .eq('user_id', userId)
+    .select('id');
+
+  if (error) throw error;
+
+  await excludeMessages({ conversationId });
+  return { removed: data?.length || 0 };
+};
+
+/**
+ * Called instead of embedding a message while memory is paused
+ * @param {string} messageId - ai_messages ID
+ */
+export const skipMessageMemory = (messageId) => excludeMessages({ messageIds: [messageId] });
+
+// Keep forgotten (or never remembered) messages out of the keyword recall
+const excludeMessages = async ({ messageIds = null, conversationId = null }) => {
+  let query = supabaseAdmin
+    .from('ai_messages')
+    .update({ memory_excluded: true });
+
+  query = conversationId ? query.eq('conversation_id', conversationId) : query.in('id', messageIds);
+
+  const { error } = await query;
+  if (error) throw error;
+};
+
+/**
+ * Everything the companion remembers about a user, for download
+ * @param {string} userId - User ID
+ * @param {Object} options - { includeEmbeddings }
+ * @returns {Object} { exportedAt, userId, settings, count, memories }
+ */
+export const exportMemories = async (userId, { includeEmbeddings = false } = {}) => {
+  const columns = includeEmbeddings ? `${MEMORY_COLUMNS}, embedding` : MEMORY_COLUMNS;
+  const memories = [];
+
+  for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from('ai_message_embeddings')
+      .select(columns)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + EXPORT_BATCH_SIZE - 1);
+
+    if (error) throw error;
+    memories.push(...(data || []).map((row) => formatMemory(row, { includeEmbedding: includeEmbeddings })));
+    if (!data || data.length < EXPORT_BATCH_SIZE) break;
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    userId,
+    settings: await getMemorySettings(userId),
+    count: memories.length,
+    memories
+  };
+};
+
+export default {
+  getMemorySettings,
+  setMemoryPaused,
+  isMemoryPaused,
+  listMemories,
+  deleteMemory,
+  deleteConversationMemories,
+  skipMessageMemory,
+  exportMemories
+};
@@ -0,0 +1,484 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { onUsage } from './llm/index.js';
+
+/**
+ * AI Usage Service
+ * Meters model usage per user and college and enforces quotas.
+ *
+ * Requests that use a model run inside a usage context ({ userId, collegeId,
+ * feature }, see middleware/aiUsage.js). Every successful chat, embedding and
+ * transcription call made within it, including follow-up work the request
+ * starts (memory embeddings, summaries), is added to that user's daily rollup
+ * in ai_usage_daily. Realtime voice sessions are counted when one is created,
+ * since their audio never passes through this server. Calls outside a context
+ * (scripts, background jobs) are not metered.
+ *
+ * Quotas (ai_usage_quotas) limit a metric per day or per calendar month (UTC),
+ * for each user of a college or for the college as a whole. A college's own
+ * quota replaces the default (college_id NULL) for the same scope, period and
+ * metric. Metrics: tokens (chat plus embedding tokens), embedding_calls,
+ * audio_seconds (transcribed and synthesized audio) and realtime_sessions.
+ */
+
+export const QUOTA_SCOPES = ['user', 'college'];
+export const QUOTA_PERIODS = ['daily', 'monthly'];
+export const QUOTA_METRICS = ['tokens', 'embedding_calls', 'audio_seconds', 'realtime_sessions'];
+export const REPORT_GROUPS = ['college', 'user', 'feature', 'day'];
+
+// Metrics each metered feature consumes; only their quotas block it
+export const FEATURE_METRICS = {
+  chat: ['tokens', 'embedding_calls'],
+  voice: ['tokens', 'embedding_calls', 'audio_seconds'],
+  speech: ['audio_seconds'],
+  session_transcription: ['tokens', 'audio_seconds'],
+  realtime: ['realtime_sessions']
+};
+
+const QUOTA_CACHE_MS = 60 * 1000;
+// Compressed audio (e.g. 128 kbit/s webm/opus from the browser) when the length cannot be read
+const AUDIO_BYTES_PER_SECOND = Number(process.env.AI_AUDIO_BYTES_PER_SECOND) || 16000;
+
+const QUOTA_COLUMNS = 'id, college_id, scope, period, metric, limit_value, updated_by, updated_at';
+
+const usageError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with model calls attributed to a user
+ * @param {Object} context - { userId, collegeId, feature }
+ * @param {Function} fn - Everything it calls, sync or async, is metered
+ * @returns {any} fn's return value
+ */
+export const runWithUsageContext = (context, fn) => usageContext.run(context, fn);
+
+/**
+ * Usage context of the current request, if any
+ * @returns {Object|undefined} { userId, collegeId, feature }
+ */
+export const getUsageContext = () => usageContext.getStore();
+
+/**
+ * Length of an audio upload in seconds: exact for WAV, estimated from the
+ * size for compressed formats
+ * @param {Buffer} audio - Audio bytes
+ * @returns {number} Seconds, one decimal
+ */
+export const estimateAudioSeconds = (audio) => {
+  if (!Buffer.isBuffer(audio) || audio.length === 0) return 0;
+
+  let seconds = audio.length / AUDIO_BYTES_PER_SECOND;
+  const isWav = audio.length > 44
+    && audio.toString('ascii', 0, 4) === 'RIFF'
+    && audio.toString('ascii', 8, 12) === 'WAVE';
+  if (isWav) {
+    const byteRate = audio.readUInt32LE(28);
+    if (byteRate > 0) seconds = (audio.length - 44) / byteRate;
+  }
+
+  return Math.round(seconds * 10) / 10;
+};
+
+/**
+ * Counters one model call adds to the rollup
+ * @param {Object} event - onUsage event { capability, params, result }
+ * @returns {Object} Non-zero counters
+ */
+export const usageFromCall = ({ capability, params = {}, result = {} }) => {
+  const usage = result.usage || {};
+
+  if (capability === 'chat') {
+    return {
+      requests: 1,
+      prompt_tokens: usage.promptTokens || 0,
+      completion_tokens: usage.completionTokens || 0,
+      total_tokens: usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0)
+    };
+  }
+  if (capability === 'embed') {
+    return { embedding_calls: 1, embedding_tokens: usage.totalTokens || usage.promptTokens || 0 };
+  }
+  if (capability === 'transcribe') {
+    return { requests: 1, audio_seconds: estimateAudioSeconds(params.audio) };
+  }
+  if (capability === 'speak') {
+    return { audio_seconds: estimateAudioSeconds(result.audio) };
+  }
+  return {};
+};
+
+// Value of a quota metric in an ai_usage_summary row
+const metricValue = (row, metric) => {
+  if (!row) return 0;
+  if (metric === 'tokens') return Number(row.total_tokens || 0) + Number(row.embedding_tokens || 0);
+  return Number(row[metric] || 0);
+};
+
+// Start of the current period and of the next one (UTC)
+export const periodBounds = (period, now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  if (period === 'monthly') {
+    return { start: new Date(Date.UTC(year, month, 1)), resetsAt: new Date(Date.UTC(year, month + 1, 1)) };
+  }
+  const day = now.getUTCDate();
+  return { start: new Date(Date.UTC(year, month, day)), resetsAt: new Date(Date.UTC(year, month, day + 1)) };
+};
+
+const toDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Quotas in effect for a college: its own rows, plus defaults it does not override
+ * @param {Array} quotas - ai_usage_quotas rows
+ * @param {string|null} collegeId - College ID
+ * @returns {Array} Effective quota rows
+ */
+export const effectiveQuotas = (quotas, collegeId) => {
+  const byKey = new Map();
+  const keyOf = (quota) => `${quota.scope}:${quota.period}:${quota.metric}`;
+
+  quotas.filter((quota) => quota.college_id === null).forEach((quota) => byKey.set(keyOf(quota), quota));
+  if (collegeId) {
+    quotas.filter((quota) => quota.college_id === collegeId).forEach((quota) => byKey.set(keyOf(quota), quota));
+  }
+
+  return [...byKey.values()];
+};
+
+const formatQuota = (row) => row && ({
+  id: row.id,
+  collegeId: row.college_id,
+  scope: row.scope,
+  period: row.period,
+  metric: row.metric,
+  limit: Number(row.limit_value),
+  updatedBy: row.updated_by,
+  updatedAt: row.updated_at
+});
+
+const formatUsageRow = (row) => ({
+  key: row.group_key,
+  users: Number(row.users),
+  requests: Number(row.requests),
+  promptTokens: Number(row.prompt_tokens),
+  completionTokens: Number(row.completion_tokens),
+  totalTokens: Number(row.total_tokens),
+  embeddingCalls: Number(row.embedding_calls),
+  embeddingTokens: Number(row.embedding_tokens),
+  audioSeconds: Number(row.audio_seconds),
+  realtimeSessions: Number(row.realtime_sessions)
+});
+
+const QUOTA_MESSAGES = {
+  tokens: 'AI companion',
+  embedding_calls: 'AI companion',
+  audio_seconds: 'voice message',
+  realtime_sessions: 'voice assistant'
+};
+
+/**
+ * Message shown to the user when a quota is reached
+ * @param {Object} exceeded - checkQuota result
+ * @returns {string}
+ */
+export const quotaMessage = ({ scope, period, metric, resetsAt }) => {
+  const feature = QUOTA_MESSAGES[metric];
+  const when = period === 'daily' ? 'daily' : 'monthly';
+  const who = scope === 'college' ? 'Your college has reached its' : "You've reached your";
+  const reset = period === 'daily' ? 'at midnight UTC' : `on ${resetsAt.toISOString().slice(0, 10)}`;
+  return `${who} ${when} ${feature} limit. It resets ${reset}. `
+    + 'If you need support right now, please reach out to your counsellor or a helpline.';
+};
+
+/**
+ * ai_usage_daily and ai_usage_quotas access used by the meter
+ */
+export const supabaseUsageStore = {
+  record: async (context, counters) => {
+    const { error } = await supabaseAdmin.rpc('record_ai_usage', {
+      p_user_id: context.userId,
+      p_college_id: context.collegeId || null,
+      p_feature: context.feature,
+      p_requests: counters.requests || 0,
+      p_prompt_tokens: counters.prompt_tokens || 0,
+      p_completion_tokens: counters.completion_tokens || 0,
+      p_total_tokens: counters.total_tokens || 0,
+      p_embedding_calls: counters.embedding_calls || 0,
+      p_embedding_tokens: counters.embedding_tokens || 0,
+      p_audio_seconds: counters.audio_seconds || 0,
+      p_realtime_sessions: counters.realtime_sessions || 0
+    });
+
+    if (error) throw error;
+  },
+
+  summarize: async ({ since, until = null, group = null, collegeId = null, userId = null }) => {
+    const { data, error } = await supabaseAdmin.rpc('ai_usage_summary', {
+      p_since: since,
+      p_until: until,
+      p_group: group,
+      p_college_id: collegeId,
+      p_user_id: userId
+    });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  listQuotas: async () => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_usage_quotas')
+      .select(QUOTA_COLUMNS)
+      .order('college_id', { ascending: true, nullsFirst: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  upsertQuota: async (row) => {
+    let query = supabaseAdmin
+      .from('ai_usage_quotas')
+      .select('id')
+      .eq('scope', row.scope)
+      .eq('period', row.period)
+      .eq('metric', row.metric);
+    query = row.college_id ? query.eq('college_id', row.college_id) : query.is('college_id', null);
+
+    const { data: existing, error: findError } = await query.maybeSingle();
+    if (findError) throw findError;
+
+    const { data, error } = existing
+      ? await supabaseAdmin
+        .from('ai_usage_quotas')
+        .update({ limit_value: row.limit_value, updated_by: row.updated_by, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .select(QUOTA_COLUMNS)
+        .single()
+      : await supabaseAdmin
+        .from('ai_usage_quotas')
+        .insert(row)
+        .select(QUOTA_COLUMNS)
+        .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  deleteQuota: async (id) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_usage_quotas')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+};
+
+/**
+ * Create a usage meter
+ * @param {Object} options
+ * @param {Object} options.store - Table access (default supabaseUsageStore)
+ * @param {Function} options.now - Current time (for quota periods)
+ * @param {number} options.quotaCacheMs - How long quota rows are reused
+ * @returns {Object} { recordUsage, checkQuota, getUsageReport, listQuotas, setQuota, deleteQuota, handleModelCall }
+ */
+export const createUsageMeter = ({
+  store = supabaseUsageStore,
+  now = () => new Date(),
+  quotaCacheMs = QUOTA_CACHE_MS
+} = {}) => {
+  let quotaCache = null;
+
+  const loadQuotas = async () => {
+    if (!quotaCache || now().getTime() - quotaCache.loadedAt > quotaCacheMs) {
+      quotaCache = { rows: await store.listQuotas(), loadedAt: now().getTime() };
+    }
+    return quotaCache.rows;
+  };
+
+  /**
+   * Add usage to a user's rollup for today
+   * @param {Object} context - { userId, collegeId, feature }
+   * @param {Object} counters - e.g. { requests, total_tokens, realtime_sessions }
+   * @returns {Promise<void>} Never rejects; failures are logged
+   */
+  const recordUsage = async (context, counters) => {
+    if (!context?.userId || Object.values(counters).every((value) => !value)) return;
+
+    try {
+      await store.record(context, counters);
+    } catch (error) {
+      console.error(`[AI Usage] Failed to record ${context.feature} usage:`, error.message);
+    }
+  };
+
+  /**
+   * onUsage listener: meter a model call made within a usage context
+   * @param {Object} event - { capability, params, result }
+   * @returns {Promise<void>}
+   */
+  const handleModelCall = (event) => {
+    const context = getUsageContext();
+    if (!context) return Promise.resolve();
+    return recordUsage(context, usageFromCall(event));
+  };
+
+  /**
+   * First quota a user has reached, if any
+   * @param {Object} options - { userId, collegeId, metrics } metrics to check (default: all)
+   * @returns {Promise<Object|null>} { scope, period, metric, limit, used, resetsAt } or null
+   */
+  const checkQuota = async ({ userId, collegeId = null, metrics = QUOTA_METRICS }) => {
+    const quotas = effectiveQuotas(await loadQuotas(), collegeId)
+      .filter((quota) => metrics.includes(quota.metric))
+      .filter((quota) => quota.scope === 'user' || collegeId);
+    if (quotas.length === 0) return null;
+
+    // One summary per scope and period, shared by the metrics
+    const usage = new Map();
+    for (const quota of quotas) {
+      const key = `${quota.scope}:${quota.period}`;
+      if (!usage.has(key)) {
+        const { start } = periodBounds(quota.period, now());
+        usage.set(key, store.summarize({
+          since: toDate(start),
+          ...(quota.scope === 'user' ? { userId } : { collegeId })
+        }).then((rows) => rows[0]));
+      }
+    }
+
+    for (const quota of quotas) {
+      const used = metricValue(await usage.get(`${quota.scope}:${quota.period}`), quota.metric);
+      const limit = Number(quota.limit_value);
+      if (used >= limit) {
+        return {
+          scope: quota.scope,
+          period: quota.period,
+          metric: quota.metric,
+          limit,
+          used,
+          resetsAt: periodBounds(quota.period, now()).resetsAt
+        };
+      }
+    }
+
+    return null;
+  };
+
+  /**
+   * Usage totals for a date range
+   * @param {Object} options - { since, until } YYYY-MM-DD (default: this month),
+   *   group (college|user|feature|day), collegeId, userId
+   * @returns {Promise<Object>} { since, until, group, totals, rows }
+   */
+  const getUsageReport = async ({ since, until = null, group = null, collegeId = null, userId = null } = {}) => {
+    if (group && !REPORT_GROUPS.includes(group)) {
+      throw usageError(`group must be one of: ${REPORT_GROUPS.join(', ')}`, 400);
+    }
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/;
+    if ((since && !dateOnly.test(since)) || (until && !dateOnly.test(until))) {
+      throw usageError('since and until must be dates (YYYY-MM-DD)', 400);
+    }
+
+    const from = since || toDate(periodBounds('monthly', now()).start);
+    const filters = { since: from, until, collegeId, userId };
+    const [totals, rows] = await Promise.all([
+      store.summarize(filters),
+      group ? store.summarize({ ...filters, group }) : Promise.resolve([])
+    ]);
+
+    return {
+      since: from,
+      until,
+      group,
+      totals: formatUsageRow(totals[0] || { group_key: null }),
+      rows: rows.map(formatUsageRow)
+    };
+  };
+
+  /**
+   * All quota rows, defaults first
+   * @returns {Promise<Array>}
+   */
+  const listQuotas = async () => (await store.listQuotas()).map(formatQuota);
+
+  /**
+   * Create or change a quota
+   * @param {Object} quota - { collegeId (null: default), scope, period, metric, limit }
+   * @param {string} updatedBy - Profile ID
+   * @returns {Promise<Object>} The quota
+   */
+  const setQuota = async ({ collegeId = null, scope, period, metric, limit }, updatedBy = null) => {
+    if (!QUOTA_SCOPES.includes(scope)) throw usageError(`scope must be one of: ${QUOTA_SCOPES.join(', ')}`, 400);
+    if (!QUOTA_PERIODS.includes(period)) throw usageError(`period must be one of: ${QUOTA_PERIODS.join(', ')}`, 400);
+    if (!QUOTA_METRICS.includes(metric)) throw usageError(`metric must be one of: ${QUOTA_METRICS.join(', ')}`, 400);
+    if (!Number.isFinite(Number(limit)) || Number(limit) < 0 || limit === null || limit === '') {
+      throw usageError('limit must be a number of 0 or more', 400);
+    }
+
+    const row = await store.upsertQuota({
+      college_id: collegeId,
+      scope,
+      period,
+      metric,
+      limit_value: Number(limit),
+      updated_by: updatedBy
+    });
+    quotaCache = null;
+    return formatQuota(row);
+  };
+
+  /**
+   * Remove a quota
+   * @param {string} id - Quota ID
+   * @returns {Promise<void>}
+   */
+  const deleteQuota = async (id) => {
+    if (!(await store.deleteQuota(id))) throw usageError('Quota not found', 404);
+    quotaCache = null;
+  };
+
+  return { recordUsage, checkQuota, getUsageReport, listQuotas, setQuota, deleteQuota, handleModelCall };
+};
+
+const defaultMeter = createUsageMeter();
+
+// Meter every model call made within a usage context
+let modelCallMeter = defaultMeter;
+onUsage((event) => modelCallMeter.handleModelCall(event));
+
+/**
+ * Record model calls with another meter, e.g. one with an in-memory store in a script
+ * @param {Object|null} meter - createUsageMeter() result; null restores the default
+ */
+export const setModelCallMeter = (meter) => {
+  modelCallMeter = meter || defaultMeter;
+};
+
+export const {
+  recordUsage,
+  checkQuota,
+  getUsageReport,
+  listQuotas,
+  setQuota,
+  deleteQuota
+} = defaultMeter;
+
+export default {
+  runWithUsageContext,
+  getUsageContext,
+  recordUsage,
+  checkQuota,
+  getUsageReport,
+  listQuotas,
+  setQuota,
+  deleteQuota,
+  quotaMessage
+};
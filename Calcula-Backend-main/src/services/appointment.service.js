@@ -0,0 +1,197 @@
+import { supabase } from '../config/supabase.js';
+import { formatSupabaseError } from '../utils/response.js';
+
+/**
+ * Appointment Service
+ * Counsellor availability and appointment requests for students, shared by
+ * the student API and the AI companion's tools.
+ * Errors carry a `statusCode` (404 unknown counsellor, 409 slot taken,
+ * 400 database errors) for the caller to respond with.
+ */
+
+// Appointments in these states hold their slot
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const databaseError = (error) => serviceError(formatSupabaseError(error).message, 400);
+
+/**
+ * Counsellors of a college with their open slots on a date
+ * @param {string} collegeId - College ID
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Array} Counsellors with `available_slots` [{ availability_id, start_time }]
+ */
+export const getCounsellorsWithAvailability = async (collegeId, date) => {
+  // Get all counsellors in this college
+  const { data: counsellors, error: counsellorsError } = await supabase
+    .from('profiles')
+    .select(`
+      id,
+      name,
+      email,
+      avatar_url,
+      bio,
+      phone,
+      counsellors (
+        specialization
+      )
+    `)
+    .eq('role', 'counsellor')
+    .eq('college_id', collegeId);
+
+  if (counsellorsError) throw databaseError(counsellorsError);
+  if (!counsellors || counsellors.length === 0) return [];
+
+  const counsellorIds = counsellors.map(c => c.id);
+
+  // Fetch availability rows for the specified date
+  const { data: availability, error: availabilityError } = await supabase
+    .from('counsellor_availability')
+    .select('id, counsellor_id, start_time')
+    .eq('date', date)
+    .eq('college_id', collegeId)
+    .eq('is_active', true)
+    .in('counsellor_id', counsellorIds);
+
+  if (availabilityError) throw databaseError(availabilityError);
+
+  // Fetch booked appointments (pending or confirmed) to exclude those slots
+  const { data: booked, error: bookedError } = await supabase
+    .from('appointments')
+    .select('counsellor_id, start_time')
+    .eq('date', date)
+    .eq('college_id', collegeId)
+    .in('status', ACTIVE_STATUSES)
+    .in('counsellor_id', counsellorIds);
+
+  if (bookedError) throw databaseError(bookedError);
+
+  const bookedMap = new Set(
+    (booked || []).map(b => `${b.counsellor_id}|${b.start_time}`)
+  );
+
+  // Group availability by counsellor and filter out booked times
+  const availabilityByCounsellor = {};
+  (availability || []).forEach(slot => {
+    const key = slot.counsellor_id;
+    if (!availabilityByCounsellor[key]) availabilityByCounsellor[key] = [];
+    const composite = `${slot.counsellor_id}|${slot.start_time}`;
+    if (!bookedMap.has(composite)) {
+      availabilityByCounsellor[key].push({
+        availability_id: slot.id,
+        start_time: slot.start_time
+      });
+    }
+  });
+
+  return counsellors.map(c => ({
+    id: c.id,
+    name: c.name,
+    email: c.email,
+    avatar_url: c.avatar_url,
+    bio: c.bio,
+    phone: c.phone,
+    specialization: c.counsellors?.specialization || null,
+    date,
+    available_slots: availabilityByCounsellor[c.id] || []
+  }));
+};
+
+/**
+ * A counsellor of the college, or a 404 error
+ * @param {string} collegeId - College ID
+ * @param {string} counsellorId - Counsellor's user ID
+ * @returns {Object} { id, name, email, college_id }
+ */
+export const getCollegeCounsellor = async (collegeId, counsellorId) => {
+  const { data: counsellor, error } = await supabase
+    .from('profiles')
+    .select('id, name, email, college_id')
+    .eq('id', counsellorId)
+    .eq('role', 'counsellor')
+    .eq('college_id', collegeId)
+    .single();
+
+  if (error || !counsellor) throw serviceError('Counsellor not found', 404);
+  return counsellor;
+};
+
+/**
+ * Whether a counsellor's slot is already held by a pending or confirmed appointment
+ * @param {string} counsellorId - Counsellor's user ID
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} startTime - HH:MM[:SS]
+ * @returns {boolean}
+ */
+export const isSlotTaken = async (counsellorId, date, startTime) => {
+  const { data: conflicts, error } = await supabase
+    .from('appointments')
+    .select('id')
+    .eq('counsellor_id', counsellorId)
+    .eq('date', date)
+    .eq('start_time', startTime)
+    .in('status', ACTIVE_STATUSES)
+    .limit(1);
+
+  if (error) throw databaseError(error);
+  return conflicts.length > 0;
+};
+
+/**
+ * Request an appointment (status `pending` until the counsellor confirms)
+ * @param {Object} params
+ * @param {string} params.studentId - Student's user ID
+ * @param {string} params.collegeId - Student's college
+ * @param {string} params.counsellorId - Counsellor's user ID
+ * @param {string} params.date - YYYY-MM-DD
+ * @param {string} params.startTime - HH:MM[:SS]
+ * @param {string} params.notes - Optional note for the counsellor
+ * @returns {Object} Appointment with `counsellor` { id, name, email }
+ */
+export const requestAppointment = async ({ studentId, collegeId, counsellorId, date, startTime, notes }) => {
+  // Verify counsellor exists and belongs to same college
+  const counsellor = await getCollegeCounsellor(collegeId, counsellorId);
+
+  if (await isSlotTaken(counsellorId, date, startTime)) {
+    throw serviceError('Time slot not available', 409);
+  }
+
+  // Create appointment (avoid relational select to handle missing FK relationships)
+  const { data, error } = await supabase
+    .from('appointments')
+    .insert({
+      student_id: studentId,
+      counsellor_id: counsellorId,
+      college_id: collegeId,
+      date,
+      start_time: startTime,
+      notes,
+      status: 'pending',
+      created_at: new Date().toISOString()
+    })
+    .select('id, date, start_time, status, notes, created_at, counsellor_id')
+    .single();
+
+  if (error) throw databaseError(error);
+
+  return {
+    ...data,
+    counsellor: {
+      id: counsellor.id,
+      name: counsellor.name,
+      email: counsellor.email
+    }
+  };
+};
+
+export default {
+  getCounsellorsWithAvailability,
+  getCollegeCounsellor,
+  isSlotTaken,
+  requestAppointment
+};
@@ -1,5 +1,24 @@
 import { supabase } from '../config/supabase.js';
-import { getAssessmentGuidance } from '../config/gemini.js';
+import {
+  scoreWithDefinition,
+  deriveScoringDefinition
+} from '../utils/scoringEngine.js';
+import { BUILT_IN_DEFINITIONS } from '../utils/scoringDefinitions.js';
+import { scorePSQIResponses } from '../utils/psqiScoring.js';
+import {
+  BUILT_IN_ITEM_SCHEMAS,
+  deriveItemSchema,
+  validateResponses
+} from '../utils/responseValidation.js';
+import { computeTrend } from '../utils/reliableChange.js';
+import {
+  evaluateAssessmentRisk,
+  createEscalations,
+  notifyEscalations
+} from './escalation.service.js';
+import { completeReminders } from './screening.service.js';
+import { getGuidance } from './guidance.service.js';
+import { getPreferredLanguage } from '../utils/languages.js';
 
 /**
  * Assessment Service
@@ -7,43 +26,8 @@ import { getAssessmentGuidance } from '../config/gemini.js';
  */
 
 // ==================== SCORING FUNCTIONS ====================
-
-/**
- * PHQ-9 (Patient Health Questionnaire-9) - Depression Assessment
- * Scoring: Each question scored 0-3
- * Total Score: 0-27
- * Interpretation: 0-4 (Minimal), 5-9 (Mild), 10-14 (Moderate), 15-19 (Moderately Severe), 20-27 (Severe)
- */
-const scorePHQ9 = (responses) => {
-  const score = Object.values(responses).reduce((sum, val) => sum + parseInt(val), 0);
-  let severity;
-
-  if (score <= 4) severity = 'Minimal';
-  else if (score <= 9) severity = 'Mild';
-  else if (score <= 14) severity = 'Moderate';
-  else if (score <= 19) severity = 'Moderately Severe';
-  else severity = 'Severe';
-
-  return { score, severity };
-};
-
-/**
- * GAD-7 (Generalized Anxiety Disorder-7) - Anxiety Assessment
- * Scoring: Each question scored 0-3
- * Total Score: 0-21
- * Interpretation: 0-4 (Minimal), 5-9 (Mild), 10-14 (Moderate), 15-21 (Severe)
- */
-const scoreGAD7 = (responses) => {
-  const score = Object.values(responses).reduce((sum, val) => sum + parseInt(val), 0);
-  let severity;
-
-  if (score <= 4) severity = 'Minimal';
-  else if (score <= 9) severity = 'Mild';
-  else if (score <= 14) severity = 'Moderate';
-  else severity = 'Severe';
-
-  return { score, severity };
-};
+// PHQ-9, GAD-7 and PSS-10 are scored declaratively (see utils/scoringDefinitions.js).
+// The instruments below still use hand-written scorers.
 
 /**
  * GHQ-12 (General Health Questionnaire-12) - General Mental Health
@@ -63,33 +47,6 @@ const scoreGHQ12 = (responses) => {
   return { score, severity };
 };
 
-/**
- * PSS-10 (Perceived Stress Scale-10) - Stress Assessment
- * Scoring: Questions 4, 5, 7, 8 are reverse scored (0=4, 1=3, 2=2, 3=1, 4=0)
- * Total Score: 0-40
- * Interpretation: 0-13 (Low Stress), 14-26 (Moderate Stress), 27-40 (High Stress)
- */
-const scorePSS10 = (responses) => {
-  const reverseItems = ['q4', 'q5', 'q7', 'q8'];
-  let score = 0;
-
-  Object.entries(responses).forEach(([key, val]) => {
-    const value = parseInt(val);
-    if (reverseItems.includes(key)) {
-      score += (4 - value); // Reverse scoring
-    } else {
-      score += value;
-    }
-  });
-
-  let severity;
-  if (score <= 13) severity = 'Minimal';
-  else if (score <= 26) severity = 'Moderate';
-  else severity = 'Severe';
-
-  return { score, severity };
-};
-
 /**
  * WHO-5 (WHO Well-Being Index) - Well-being Assessment
  * Scoring: Each question scored 0-5
@@ -127,22 +84,12 @@ const scoreIAT = (responses) => {
 
 /**
  * PSQI (Pittsburgh Sleep Quality Index) - Sleep Quality Assessment
- * Scoring: Complex scoring with 7 components, each scored 0-3
+ * Scoring: 7 components (each 0-3) derived from bedtimes, latency, hours slept,
+ * sleep efficiency and frequency items (see utils/psqiScoring.js)
  * Total Score: 0-21
  * Interpretation: 0-5 (Good), 6-10 (Mild), 11-15 (Moderate), 16-21 (Severe)
  */
-const scorePSQI = (responses) => {
-  // Simplified scoring - each component scored 0-3
-  const score = Object.values(responses).reduce((sum, val) => sum + parseInt(val), 0);
-  let severity;
-
-  if (score <= 5) severity = 'Minimal';
-  else if (score <= 10) severity = 'Mild';
-  else if (score <= 15) severity = 'Moderate';
-  else severity = 'Severe';
-
-  return { score, severity };
-};
+const scorePSQI = (responses) => scorePSQIResponses(responses);
 
 /**
  * BHI-10 (Brief Health Index-10) - Overall Health Assessment
@@ -215,30 +162,141 @@ const scoreCSSRS = (responses) => {
 
 // ==================== SCORING DISPATCHER ====================
 
+const LEGACY_SCORERS = {
+  'GHQ-12': scoreGHQ12,
+  'WHO-5': scoreWHO5,
+  'IAT': scoreIAT,
+  'PSQI': scorePSQI,
+  'BHI-10': scoreBHI10,
+  'DERS-18': scoreDERS18,
+  'CSSRS': scoreCSSRS,
+  'C-SSRS': scoreCSSRS
+};
+
+export const BUILT_IN_FORM_TYPES = [
+  ...Object.keys(BUILT_IN_DEFINITIONS),
+  ...Object.keys(LEGACY_SCORERS)
+];
+
 /**
- * Calculate score based on assessment type
+ * Restrict an assessment_forms query to forms a college may use right now:
+ * active, within their validity window, and either the college's own or
+ * available to every college (college_id null)
+ * @param {Object} query - Supabase select on assessment_forms
+ * @param {string|null} collegeId - Caller's college (req.tenant); null sees only shared forms
  */
-const calculateScore = (formType, responses) => {
-  const scoringFunctions = {
-    'PHQ-9': scorePHQ9,
-    'GAD-7': scoreGAD7,
-    'GHQ-12': scoreGHQ12,
-    'PSS-10': scorePSS10,
-    'WHO-5': scoreWHO5,
-    'IAT': scoreIAT,
-    'PSQI': scorePSQI,
-    'BHI-10': scoreBHI10,
-    'DERS-18': scoreDERS18,
-    'CSSRS': scoreCSSRS,
-    'C-SSRS': scoreCSSRS
+const availableForms = (query, collegeId) => {
+  const now = new Date().toISOString();
+  const scoped = query
+    .eq('is_active', true)
+    .lte('valid_from', now)
+    .or(`valid_until.is.null,valid_until.gte.${now}`);
+
+  return collegeId
+    ? scoped.or(`college_id.is.null,college_id.eq.${collegeId}`)
+    : scoped.is('college_id', null);
+};
+
+/**
+ * Load an admin-created form the caller's college may use
+ * @param {string} formId - assessment_forms ID
+ * @param {string|null} collegeId - Caller's college (req.tenant)
+ * @returns {Object|null} Form row, or null if unknown, inactive, outside its
+ *   validity window or another college's
+ */
+const getActiveDynamicForm = async (formId, collegeId) => {
+  const { data: form, error } = await availableForms(
+    supabase
+      .from('assessment_forms')
+      .select('id, questions, scoring, scoring_method, is_active')
+      .eq('id', formId),
+    collegeId
+  ).maybeSingle();
+
+  if (error) throw error;
+  return form;
+};
+
+/**
+ * Resolve the item schema and scoring definition for a form type.
+ * Admin-created forms use their stored `scoring` JSON, or a definition derived
+ * from numeric question options.
+ * @param {string} formType - Built-in instrument name or assessment_forms ID
+ * @param {string|null} collegeId - Caller's college, which must be allowed to use the form
+ * @returns {Object} { itemSchema, definition } - definition is null for legacy scorers
+ */
+const resolveInstrument = async (formType, collegeId) => {
+  if (BUILT_IN_ITEM_SCHEMAS[formType]) {
+    return {
+      itemSchema: BUILT_IN_ITEM_SCHEMAS[formType],
+      definition: BUILT_IN_DEFINITIONS[formType] || null
+    };
+  }
+
+  const form = await getActiveDynamicForm(formType, collegeId);
+  if (!form) {
+    throw new Error(`Unknown assessment type: ${formType}`);
+  }
+
+  return {
+    itemSchema: deriveItemSchema(form),
+    definition: form.scoring || deriveScoringDefinition(form)
   };
+};
+
+/**
+ * Calculate score based on assessment type
+ * @returns {Object} { score, severity, details } - details holds maxScore/subscales for declarative
+ *   forms and the seven component scores for PSQI
+ */
+const calculateScore = (formType, responses, definition) => {
+  if (definition) {
+    const { score, severity, maxScore, subscales } = scoreWithDefinition(definition, responses);
+    return { score, severity, details: { maxScore, subscales } };
+  }
 
-  const scoringFunction = scoringFunctions[formType];
+  const scoringFunction = LEGACY_SCORERS[formType];
   if (!scoringFunction) {
     throw new Error(`Unknown assessment type: ${formType}`);
   }
 
-  return scoringFunction(responses);
+  const { score, severity, details = null } = scoringFunction(responses);
+  return { score, severity, details };
+};
+
+/**
+ * Whether a form type names a built-in instrument or an admin-created form
+ * the college may use
+ * @param {string} formType - Built-in instrument name or assessment_forms ID
+ * @param {string|null} collegeId - Caller's college (req.tenant)
+ * @returns {boolean}
+ */
+export const isKnownFormType = async (formType, collegeId) => {
+  if (BUILT_IN_ITEM_SCHEMAS[formType]) return true;
+  return Boolean(await getActiveDynamicForm(formType, collegeId));
+};
+
+/**
+ * Build the error thrown when responses fail validation; controllers answer 422
+ */
+const responseValidationError = (errors) => {
+  const error = new Error('Invalid assessment responses');
+  error.validationErrors = errors;
+  return error;
+};
+
+/**
+ * Validate responses against a form's items and allowed values
+ * @param {string} formType - Type of assessment form
+ * @param {Object} responses - Student's responses
+ * @param {Object} options - { partial: true } allows unanswered items (drafts);
+ *   { collegeId } is the student's college, which must be allowed to use the form
+ * @returns {Object} { values, errors, answered, total } - see utils/responseValidation.js
+ */
+export const validateAssessmentResponses = async (formType, responses, options = {}) => {
+  const { collegeId = null, ...validationOptions } = options;
+  const { itemSchema } = await resolveInstrument(formType, collegeId);
+  return validateResponses(itemSchema, responses, validationOptions);
 };
 
 // ==================== ASSESSMENT SUBMISSION ====================
@@ -249,35 +307,32 @@ const calculateScore = (formType, responses) => {
  * @param {string} collegeId - Student's college ID
  * @param {string} formType - Type of assessment form
  * @param {Object} responses - Student's responses
+ * @param {Object} options - Optional { io } used to push escalations to staff
  * @returns {Object} Assessment result with guidance
  */
-export const submitAssessment = async (studentId, collegeId, formType, responses) => {
+export const submitAssessment = async (studentId, collegeId, formType, responses, options = {}) => {
   try {
-    // Step 1: Calculate score and severity
-    const { score, severity } = calculateScore(formType, responses);
+    // Step 1: Check every item is answered with an allowed value, then score
+    // the cleaned values (keyed q1..qN) rather than whatever the client sent
+    const { itemSchema, definition } = await resolveInstrument(formType, collegeId);
+    const { values, errors } = validateResponses(itemSchema, responses);
+    if (errors.length > 0) {
+      throw responseValidationError(errors);
+    }
 
-    // Step 2: Get AI-powered guidance and recommendations
-    const { guidance, recommendedActions } = await getAssessmentGuidance({
-      formType,
-      responses,
-      score,
-      severityLevel: severity
-    });
+    const { score, severity, details } = calculateScore(formType, values, definition);
 
-    // Step 3: Save to database
+    // Step 2: Save the score before anything that can be slow or fail
     const { data, error } = await supabase
       .from('assessments')
       .insert({
         student_id: studentId,
         college_id: collegeId,
         form_type: formType,
-        responses: responses,
+        responses: values,
         score: score,
         severity_level: severity,
-        guidance: guidance,
-        recommended_actions: Array.isArray(recommendedActions)
-          ? recommendedActions.join('||')
-          : recommendedActions
+        score_details: details
       })
       .select()
       .single();
@@ -287,16 +342,70 @@ export const submitAssessment = async (studentId, collegeId, formType, responses
       throw error;
     }
 
-    // Step 4: Return formatted result
+    // Step 3: Evaluate risk rules and escalate to the college's counsellors.
+    // The assessment is already stored, so a failure here is logged rather than
+    // surfaced to the student.
+    let escalated = false;
+    const triggers = evaluateAssessmentRisk(formType, values);
+    if (triggers.length > 0) {
+      try {
+        const escalations = await createEscalations({
+          studentId,
+          collegeId,
+          assessmentId: data.id,
+          formType,
+          triggers
+        });
+        notifyEscalations(options.io, escalations);
+        escalated = escalations.length > 0;
+      } catch (escalationError) {
+        console.error(`Escalation failed for assessment ${data.id}:`, escalationError);
+      }
+    }
+
+    // Step 4: Attach guidance. The guidance service falls back to rule-based
+    // text when the LLM is unavailable, so the student always gets some.
+    const { guidance, recommendedActions, source } = await getGuidance({
+      formType,
+      responses: values,
+      score,
+      severityLevel: severity,
+      language: await getPreferredLanguage(studentId)
+    });
+
+    const { error: guidanceError } = await supabase
+      .from('assessments')
+      .update({
+        guidance,
+        recommended_actions: recommendedActions.join('||'),
+        guidance_source: source
+      })
+      .eq('id', data.id);
+
+    if (guidanceError) {
+      console.error(`Failed to save guidance for assessment ${data.id}:`, guidanceError);
+    }
+
+    // Step 5: The form is complete, so any saved draft for it is no longer
+    // needed and open re-screen/campaign reminders for it are satisfied
+    await discardDraft(studentId, collegeId, formType);
+    try {
+      await completeReminders(studentId, collegeId, formType, new Date(data.created_at));
+    } catch (reminderError) {
+      console.error(`Failed to complete ${formType} reminders for student ${studentId}:`, reminderError);
+    }
+
+    // Step 6: Return formatted result
     return {
       id: data.id,
       formType: data.form_type,
       score: data.score,
       severityLevel: data.severity_level,
-      guidance: data.guidance,
-      recommendedActions: typeof data.recommended_actions === 'string'
-        ? data.recommended_actions.split('||')
-        : data.recommended_actions,
+      scoreDetails: data.score_details,
+      guidance,
+      recommendedActions,
+      guidanceSource: source,
+      escalated,
       createdAt: data.created_at
     };
   } catch (error) {
@@ -393,6 +502,7 @@ export const getAssessmentById = async (assessmentId, studentId, collegeId) => {
       time: new Date(data.created_at).toLocaleTimeString(),
       score: data.score,
       severity: data.severity_level,
+      scoreDetails: data.score_details,
       responses: data.responses,
       guidance: data.guidance,
       recommendedActions: typeof data.recommended_actions === 'string'
@@ -466,14 +576,223 @@ export const getAssessmentStats = async (studentId, collegeId) => {
   }
 };
 
+// ==================== ASSESSMENT TRENDS ====================
+
+const toTrendPoint = (row) => ({
+  id: row.id,
+  score: row.score === null ? null : Number(row.score),
+  severity: row.severity_level,
+  date: row.created_at,
+  maxScore: row.score_details?.maxScore ?? null
+});
+
+/**
+ * Score history for one instrument with baseline delta and reliable-change flags
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - Student's college ID
+ * @param {string} formType - Assessment form type
+ * @returns {Object} Trend (see utils/reliableChange.js computeTrend)
+ */
+export const getAssessmentTrend = async (studentId, collegeId, formType) => {
+  try {
+    const { data, error } = await supabase
+      .from('assessments')
+      .select('id, score, severity_level, score_details, created_at')
+      .eq('student_id', studentId)
+      .eq('college_id', collegeId)
+      .eq('form_type', formType)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return computeTrend(formType, data.map(toTrendPoint));
+  } catch (error) {
+    console.error('Get assessment trend error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Trends for every instrument the student has taken
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - Student's college ID
+ * @returns {Array} Trends, most recently taken instrument first
+ */
+export const getAssessmentTrends = async (studentId, collegeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('assessments')
+      .select('id, form_type, score, severity_level, score_details, created_at')
+      .eq('student_id', studentId)
+      .eq('college_id', collegeId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const byType = {};
+    data.forEach((row) => {
+      if (!byType[row.form_type]) byType[row.form_type] = [];
+      byType[row.form_type].push(toTrendPoint(row));
+    });
+
+    return Object.entries(byType)
+      .map(([formType, points]) => computeTrend(formType, points))
+      .sort((a, b) => new Date(b.latest?.date || 0) - new Date(a.latest?.date || 0));
+  } catch (error) {
+    console.error('Get assessment trends error:', error);
+    throw error;
+  }
+};
+
+// ==================== ASSESSMENT DRAFTS ====================
+// One draft per student and form type, so a long form (e.g. DERS-18) can be
+// finished later. Drafts are validated item by item but may be incomplete.
+
+const formatDraft = (draft) => ({
+  formType: draft.form_type,
+  responses: draft.responses,
+  answered: draft.answered_count,
+  total: draft.total_count,
+  updatedAt: draft.updated_at
+});
+
+/**
+ * Remove a student's draft after the form is submitted. A leftover draft is
+ * harmless, so failures are only logged.
+ */
+const discardDraft = async (studentId, collegeId, formType) => {
+  const { error } = await supabase
+    .from('assessment_drafts')
+    .delete()
+    .eq('student_id', studentId)
+    .eq('college_id', collegeId)
+    .eq('form_type', formType);
+
+  if (error) {
+    console.error(`Failed to discard ${formType} draft for student ${studentId}:`, error);
+  }
+};
+
+/**
+ * Save (or replace) a partially completed assessment
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - Student's college ID
+ * @param {string} formType - Type of assessment form
+ * @param {Object} responses - Answers so far; every answered item must be valid
+ * @returns {Object} { formType, responses, answered, total, updatedAt }
+ */
+export const saveAssessmentDraft = async (studentId, collegeId, formType, responses) => {
+  try {
+    const { values, errors, answered, total } = await validateAssessmentResponses(
+      formType,
+      responses,
+      { partial: true, collegeId }
+    );
+    if (errors.length > 0) {
+      throw responseValidationError(errors);
+    }
+
+    const { data, error } = await supabase
+      .from('assessment_drafts')
+      .upsert({
+        student_id: studentId,
+        college_id: collegeId,
+        form_type: formType,
+        responses: values,
+        answered_count: answered,
+        total_count: total,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'student_id,form_type' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return formatDraft(data);
+  } catch (error) {
+    console.error('Save assessment draft error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a student's draft for one form
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - Student's college ID
+ * @param {string} formType - Type of assessment form
+ * @returns {Object|null} Draft, or null if none saved
+ */
+export const getAssessmentDraft = async (studentId, collegeId, formType) => {
+  try {
+    const { data, error } = await supabase
+      .from('assessment_drafts')
+      .select('*')
+      .eq('student_id', studentId)
+      .eq('college_id', collegeId)
+      .eq('form_type', formType)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? formatDraft(data) : null;
+  } catch (error) {
+    console.error('Get assessment draft error:', error);
+    throw error;
+  }
+};
+
+/**
+ * List all of a student's unfinished assessments
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - Student's college ID
+ * @returns {Array} Drafts, most recently updated first
+ */
+export const listAssessmentDrafts = async (studentId, collegeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('assessment_drafts')
+      .select('*')
+      .eq('student_id', studentId)
+      .eq('college_id', collegeId)
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+    return data.map(formatDraft);
+  } catch (error) {
+    console.error('List assessment drafts error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a student's draft for one form
+ * @returns {boolean} True if a draft was deleted
+ */
+export const deleteAssessmentDraft = async (studentId, collegeId, formType) => {
+  try {
+    const { data, error } = await supabase
+      .from('assessment_drafts')
+      .delete()
+      .eq('student_id', studentId)
+      .eq('college_id', collegeId)
+      .eq('form_type', formType)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  } catch (error) {
+    console.error('Delete assessment draft error:', error);
+    throw error;
+  }
+};
+
 // ==================== DYNAMIC ASSESSMENTS ====================
 
 /**
  * Create a new dynamic assessment form
  * @param {Object} formData - Form details
  * @param {string} userId - Creator ID
+ * @param {string|null} collegeId - Creator's college (req.tenant); null makes the
+ *   form available to every college
  */
-export const createAssessmentForm = async (formData, userId) => {
+export const createAssessmentForm = async (formData, userId, collegeId = null) => {
   try {
     const { data, error } = await supabase
       .from('assessment_forms')
@@ -483,11 +802,13 @@ export const createAssessmentForm = async (formData, userId) => {
         title: formData.title,
         description: formData.description,
         questions: formData.questions,
-        scoring_method: formData.scoringMethod || 'sum',
+        scoring: formData.scoring || null,
+        scoring_method: formData.scoring?.method || formData.scoringMethod || 'sum',
         max_score: formData.maxScore,
         valid_from: formData.validFrom || new Date().toISOString(),
         valid_until: formData.validUntil,
-        created_by: userId
+        created_by: userId,
+        college_id: collegeId
       })
       .select()
       .single();
@@ -501,17 +822,15 @@ export const createAssessmentForm = async (formData, userId) => {
 };
 
 /**
- * Get all active dynamic assessments
+ * Get the dynamic assessments a college may use right now
+ * @param {string|null} collegeId - Caller's college (req.tenant)
  */
-export const getActiveDynamicAssessments = async () => {
+export const getActiveDynamicAssessments = async (collegeId) => {
   try {
-    const now = new Date().toISOString();
-    const { data, error } = await supabase
-      .from('assessment_forms')
-      .select('*')
-      .eq('is_active', true)
-      .lte('valid_from', now)
-      .or(`valid_until.is.null,valid_until.gte.${now}`);
+    const { data, error } = await availableForms(
+      supabase.from('assessment_forms').select('*'),
+      collegeId
+    );
 
     if (error) throw error;
 
@@ -535,9 +854,17 @@ export const getActiveDynamicAssessments = async () => {
 
 export default {
   submitAssessment,
+  validateAssessmentResponses,
+  isKnownFormType,
   getAssessmentHistory,
   getAssessmentById,
   getAssessmentStats,
+  getAssessmentTrend,
+  getAssessmentTrends,
+  saveAssessmentDraft,
+  getAssessmentDraft,
+  listAssessmentDrafts,
+  deleteAssessmentDraft,
   createAssessmentForm,
   getActiveDynamicAssessments
 };
@@ -0,0 +1,44 @@
+import { supabase } from '../config/supabase.js';
+
+/**
+ * Care Team Service
+ * Decides which counsellors are assigned to a student. A counsellor is
+ * assigned when they have a confirmed or completed appointment with the
+ * student, or have claimed one of the student's escalations.
+ */
+
+const ASSIGNED_APPOINTMENT_STATUSES = ['confirmed', 'completed'];
+
+/**
+ * Check whether a counsellor is assigned to a student
+ * @param {string} counsellorId - Counsellor's user ID
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - College both belong to
+ * @returns {boolean} True if the counsellor may see the student's clinical data
+ */
+export const isAssignedCounsellor = async (counsellorId, studentId, collegeId) => {
+  const { count: appointmentCount, error: appointmentError } = await supabase
+    .from('appointments')
+    .select('id', { count: 'exact', head: true })
+    .eq('counsellor_id', counsellorId)
+    .eq('student_id', studentId)
+    .eq('college_id', collegeId)
+    .in('status', ASSIGNED_APPOINTMENT_STATUSES);
+
+  if (appointmentError) throw appointmentError;
+  if (appointmentCount > 0) return true;
+
+  const { count: escalationCount, error: escalationError } = await supabase
+    .from('escalations')
+    .select('id', { count: 'exact', head: true })
+    .eq('assigned_to', counsellorId)
+    .eq('student_id', studentId)
+    .eq('college_id', collegeId);
+
+  if (escalationError) throw escalationError;
+  return escalationCount > 0;
+};
+
+export default {
+  isAssignedCounsellor
+};
@@ -0,0 +1,644 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { JournalingService } from './journaling.service.js';
+import {
+  getCounsellorsWithAvailability,
+  getCollegeCounsellor,
+  requestAppointment
+} from './appointment.service.js';
+
+/**
+ * Companion Tools Service
+ * Function calling for the AI companion: tools the model may call while it
+ * answers a student, scoped to that student and their college.
+ *
+ * Read tools run straight away and their result goes back to the model:
+ *   find_counsellor_slots, suggest_wellness_tool, get_crisis_contacts
+ * Write tools only draft an action:
+ *   draft_appointment_request, log_daily_checkin
+ * A drafted action is stored as pending_confirmation and shown in the app with
+ * Confirm / Cancel buttons; it runs only when the student confirms it, and
+ * expires after ACTION_TTL_HOURS.
+ *
+ * Every call, including failed ones, is logged to ai_tool_invocations.
+ */
+
+const MAX_TOOL_ROUNDS = Number(process.env.AI_TOOL_MAX_ROUNDS) || 3;
+const ACTION_TTL_HOURS = 24;
+const SLOT_SEARCH_MAX_DAYS = 7;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same national helplines as the EmergencyHelpFab in the student app
+export const DEFAULT_HELPLINES = [
+  { label: 'Emergency Services', phone: '112' },
+  { label: 'AASRA (Suicide Prevention)', phone: '+91-9820466726' },
+  { label: 'Vandrevala Foundation', phone: '1860-2662-345' }
+];
+
+// Wellness tools in the student app, by the concerns they are offered for
+// (mirrors wellnessProblems in the frontend's data/wellnessContent.js)
+export const WELLNESS_TOOLS = {
+  videos: { name: 'Videos', description: 'Short guided videos on the topic' },
+  books: { name: 'Books', description: 'Recommended reading' },
+  pomodoroTimer: { name: 'Pomodoro Timer', description: 'Focused study blocks with regular breaks' },
+  eisenhowerMatrix: { name: 'Eisenhower Matrix', description: 'Sort tasks by urgency and importance' },
+  journaling: { name: 'Journaling', description: 'Daily and weekly check-ins and a worries journal' }
+};
+
+export const WELLNESS_CONCERNS = {
+  anxiety: ['videos', 'books', 'journaling'],
+  depression: ['videos', 'books', 'journaling'],
+  burnout: ['videos', 'books', 'pomodoroTimer', 'eisenhowerMatrix', 'journaling'],
+  sleepDisorders: ['videos', 'books', 'journaling'],
+  academicStress: ['videos', 'books', 'pomodoroTimer', 'eisenhowerMatrix', 'journaling'],
+  socialIsolation: ['videos', 'books', 'journaling']
+};
+
+// Thrown for arguments the model should correct; the message goes back to it
+const invalidArguments = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_TOOL_ARGUMENTS';
+  return error;
+};
+
+const actionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (dateString, days) =>
+  toDateString(new Date(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS));
+
+const requireDate = (value, field, { notBefore } = {}) => {
+  if (!DATE_PATTERN.test(value || '') || Number.isNaN(Date.parse(value))) {
+    throw invalidArguments(`${field} must be a date in YYYY-MM-DD format`);
+  }
+  if (notBefore && value < notBefore) {
+    throw invalidArguments(`${field} cannot be in the past (today is ${notBefore})`);
+  }
+  return value;
+};
+
+const cleanText = (value, maxLength) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim().slice(0, maxLength);
+  return trimmed || null;
+};
+
+const cleanList = (value) => (Array.isArray(value) ? value : [])
+  .map((item) => cleanText(item, 500))
+  .filter(Boolean)
+  .slice(0, 10);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// ==================== TOOLS ====================
+
+const findCounsellorSlots = {
+  name: 'find_counsellor_slots',
+  description:
+    "Look up open appointment slots with counsellors at the student's college. " +
+    'Use before drafting an appointment request.',
+  parameters: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', description: 'First day to check, YYYY-MM-DD (default today)' },
+      days: { type: 'integer', description: `Number of days to check from that date, 1-${SLOT_SEARCH_MAX_DAYS} (default 1)` }
+    }
+  },
+  run: async (args, context) => {
+    const today = toDateString(context.now);
+    const from = args.date ? requireDate(args.date, 'date', { notBefore: today }) : today;
+    const days = Math.min(Math.max(parseInt(args.days, 10) || 1, 1), SLOT_SEARCH_MAX_DAYS);
+
+    const results = [];
+    for (let i = 0; i < days; i++) {
+      const date = addDays(from, i);
+      const counsellors = await getCounsellorsWithAvailability(context.collegeId, date);
+      results.push({
+        date,
+        counsellors: counsellors
+          .filter((c) => c.available_slots.length > 0)
+          .map((c) => ({
+            counsellorId: c.id,
+            name: c.name,
+            specialization: c.specialization,
+            slots: c.available_slots.map((slot) => slot.start_time)
+          }))
+      });
+    }
+
+    return { days: results };
+  },
+  describe: (result) => {
+    const open = result.days.reduce((sum, day) => sum + day.counsellors.length, 0);
+    return open > 0 ? 'Checked counsellor availability' : 'No open counsellor slots found';
+  }
+};
+
+const draftAppointmentRequest = {
+  name: 'draft_appointment_request',
+  description:
+    'Draft an appointment request with a counsellor for an open slot from find_counsellor_slots. ' +
+    'Nothing is booked until the student confirms the request in the app.',
+  parameters: {
+    type: 'object',
+    properties: {
+      counsellorId: { type: 'string', description: 'counsellorId from find_counsellor_slots' },
+      date: { type: 'string', description: 'YYYY-MM-DD' },
+      startTime: { type: 'string', description: 'Slot start time exactly as listed, e.g. 10:00:00' },
+      note: { type: 'string', description: 'Optional short note for the counsellor, in the student\'s words' }
+    },
+    required: ['counsellorId', 'date', 'startTime']
+  },
+  confirm: true,
+  prepare: async (args, context) => {
+    const date = requireDate(args.date, 'date', { notBefore: toDateString(context.now) });
+    if (!TIME_PATTERN.test(args.startTime || '')) {
+      throw invalidArguments('startTime must be a time like 10:00 or 10:00:00');
+    }
+
+    let counsellor;
+    try {
+      counsellor = await getCollegeCounsellor(context.collegeId, args.counsellorId);
+    } catch (error) {
+      if (error.statusCode === 404) throw invalidArguments("No counsellor with that counsellorId at the student's college");
+      throw error;
+    }
+
+    // Same availability the student sees when booking by hand
+    const counsellors = await getCounsellorsWithAvailability(context.collegeId, date);
+    const slot = counsellors
+      .find((c) => c.id === counsellor.id)
+      ?.available_slots.find((s) => s.start_time.slice(0, 5) === args.startTime.slice(0, 5));
+    if (!slot) {
+      throw invalidArguments('That slot is not open. Call find_counsellor_slots to see the open slots.');
+    }
+
+    return {
+      arguments: {
+        counsellorId: counsellor.id,
+        counsellorName: counsellor.name,
+        date,
+        startTime: slot.start_time,
+        note: cleanText(args.note, 500)
+      },
+      summary: `Request an appointment with ${counsellor.name} on ${date} at ${slot.start_time.slice(0, 5)}`
+    };
+  },
+  execute: async (args, context) => {
+    const appointment = await requestAppointment({
+      studentId: context.userId,
+      collegeId: context.collegeId,
+      counsellorId: args.counsellorId,
+      date: args.date,
+      startTime: args.startTime,
+      notes: args.note
+    });
+    return { appointmentId: appointment.id, status: appointment.status, date: appointment.date, startTime: appointment.start_time };
+  },
+  outcome: (args) =>
+    `Your appointment request with ${args.counsellorName} on ${args.date} at ${args.startTime.slice(0, 5)} has been sent. ` +
+    "You'll see it under Appointments once the counsellor confirms."
+};
+
+const CHECKIN_LISTS = ['positive_moments', 'challenges_faced', 'intentions_tomorrow'];
+const CHECKIN_TEXTS = ['todays_reflection', 'feelings_space'];
+
+const logDailyCheckin = {
+  name: 'log_daily_checkin',
+  description:
+    "Draft an entry for the student's daily check-in journal from what they shared. Items are added to " +
+    "any check-in they already have for that day. Nothing is saved until the student confirms it in the app.",
+  parameters: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', description: 'YYYY-MM-DD (default today)' },
+      positive_moments: { type: 'array', items: { type: 'string' }, description: 'Good moments from the day' },
+      challenges_faced: { type: 'array', items: { type: 'string' }, description: 'Difficulties the student faced' },
+      intentions_tomorrow: { type: 'array', items: { type: 'string' }, description: 'Things they want to do tomorrow' },
+      todays_reflection: { type: 'string', description: 'A short reflection on the day' },
+      feelings_space: { type: 'string', description: 'How they are feeling, in their words' }
+    }
+  },
+  confirm: true,
+  prepare: async (args, context) => {
+    const today = toDateString(context.now);
+    const date = args.date ? requireDate(args.date, 'date') : today;
+    if (date > today) throw invalidArguments('A check-in cannot be logged for a future date');
+
+    const entry = { date };
+    CHECKIN_LISTS.forEach((field) => { entry[field] = cleanList(args[field]); });
+    CHECKIN_TEXTS.forEach((field) => { entry[field] = cleanText(args[field], 2000); });
+
+    const parts = [
+      entry.positive_moments.length && plural(entry.positive_moments.length, 'positive moment'),
+      entry.challenges_faced.length && plural(entry.challenges_faced.length, 'challenge'),
+      entry.intentions_tomorrow.length && plural(entry.intentions_tomorrow.length, 'intention'),
+      entry.todays_reflection && 'a reflection',
+      entry.feelings_space && 'your feelings'
+    ].filter(Boolean);
+
+    if (parts.length === 0) throw invalidArguments('Include at least one field to log');
+
+    return { arguments: entry, summary: `Add ${parts.join(', ')} to your daily check-in for ${date}` };
+  },
+  execute: async ({ date, ...entry }, context) => {
+    const existing = await JournalingService.getDailyCheckin(context.userId, date);
+    const merged = {};
+    CHECKIN_LISTS.forEach((field) => {
+      merged[field] = [...new Set([...(existing?.[field] || []), ...entry[field]])];
+    });
+    CHECKIN_TEXTS.forEach((field) => {
+      merged[field] = entry[field] ?? existing?.[field] ?? null;
+    });
+
+    const checkin = await JournalingService.upsertDailyCheckin(context.userId, date, merged);
+    return { checkinId: checkin.id, date };
+  },
+  outcome: (args) => `Saved to your daily check-in for ${args.date}.`
+};
+
+const suggestWellnessTool = {
+  name: 'suggest_wellness_tool',
+  description: 'Suggest wellness tools from the app that fit what the student is dealing with.',
+  parameters: {
+    type: 'object',
+    properties: {
+      concern: { type: 'string', enum: Object.keys(WELLNESS_CONCERNS), description: 'Closest matching concern' }
+    },
+    required: ['concern']
+  },
+  display: true,
+  run: async (args) => {
+    const toolIds = WELLNESS_CONCERNS[args.concern];
+    if (!toolIds) {
+      throw invalidArguments(`concern must be one of: ${Object.keys(WELLNESS_CONCERNS).join(', ')}`);
+    }
+    return {
+      concern: args.concern,
+      tools: toolIds.map((id) => ({ id, ...WELLNESS_TOOLS[id] }))
+    };
+  },
+  describe: () => 'Suggested wellness tools'
+};
+
+/**
+ * A college's crisis contacts and the national helplines
+ * @param {string} collegeId - College ID
+ * @returns {Promise<Object>} { college, contacts, helplines } - the national
+ *   helplines are returned even if the college lookup fails
+ */
+export const loadCrisisContacts = async (collegeId) => {
+  const { data: college, error } = collegeId
+    ? await supabaseAdmin
+      .from('colleges')
+      .select('name, phone, email, crisis_contacts')
+      .eq('id', collegeId)
+      .maybeSingle()
+    : { data: null, error: null };
+
+  if (error) console.error('[Tools] Failed to load college crisis contacts:', error.message);
+
+  return {
+    college: college ? { name: college.name, phone: college.phone, email: college.email } : null,
+    contacts: Array.isArray(college?.crisis_contacts) ? college.crisis_contacts : [],
+    helplines: DEFAULT_HELPLINES
+  };
+};
+
+const getCrisisContacts = {
+  name: 'get_crisis_contacts',
+  description:
+    "Show the student their college's crisis contacts and national helplines. Use whenever the student " +
+    'may be unsafe or asks who they can call.',
+  parameters: { type: 'object', properties: {} },
+  display: true,
+  run: (_args, context) => loadCrisisContacts(context.collegeId),
+  describe: () => 'Crisis contacts'
+};
+
+export const COMPANION_TOOLS = [
+  findCounsellorSlots,
+  draftAppointmentRequest,
+  logDailyCheckin,
+  suggestWellnessTool,
+  getCrisisContacts
+];
+
+// ==================== INVOCATION LOG ====================
+
+const INVOCATION_COLUMNS = 'id, user_id, college_id, conversation_id, tool, arguments, status, summary, result, error, created_at, resolved_at';
+
+/**
+ * ai_tool_invocations access used by the runner
+ */
+export const supabaseToolLog = {
+  record: async (row) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_tool_invocations')
+      .insert(row)
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    return data.id;
+  },
+
+  get: async (id, userId) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_tool_invocations')
+      .select(INVOCATION_COLUMNS)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Only applies while the row is still in `fromStatus`; null if it was not
+  transition: async (id, fromStatus, patch) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_tool_invocations')
+      .update(patch)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select(INVOCATION_COLUMNS);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  },
+
+  listPending: async (userId, conversationId) => {
+    let query = supabaseAdmin
+      .from('ai_tool_invocations')
+      .select(INVOCATION_COLUMNS)
+      .eq('user_id', userId)
+      .eq('status', 'pending_confirmation')
+      .order('created_at', { ascending: true });
+
+    if (conversationId) query = query.eq('conversation_id', conversationId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+};
+
+/**
+ * A logged invocation as the client sees it
+ */
+export const formatAction = (row) => ({
+  id: row.id,
+  tool: row.tool,
+  status: row.status,
+  summary: row.summary,
+  conversationId: row.conversation_id,
+  requiresConfirmation: row.status === 'pending_confirmation',
+  createdAt: row.created_at,
+  resolvedAt: row.resolved_at
+});
+
+// ==================== RUNNER ====================
+
+/**
+ * Create a tool runner
+ * @param {Object} options
+ * @param {Array} options.tools - Tool definitions (default COMPANION_TOOLS)
+ * @param {Object} options.log - { record, get, transition, listPending }
+ * @param {Function} options.now - Clock, for scripts
+ * @returns {Object} { definitions, runToolCall, runToolLoop, confirmAction, cancelAction, listPendingActions }
+ */
+export const createCompanionTools = ({
+  tools = COMPANION_TOOLS,
+  log = supabaseToolLog,
+  now = () => new Date()
+} = {}) => {
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+  const definitions = tools.map(({ name, description, parameters }) => ({ name, description, parameters }));
+
+  // Logging must not break a read tool, but a write action needs its row
+  const record = async (row, { required = false } = {}) => {
+    try {
+      return await log.record(row);
+    } catch (error) {
+      console.error(`[Tools] Failed to log ${row.tool} call:`, error.message);
+      if (required) throw error;
+      return null;
+    }
+  };
+
+  /**
+   * Run one tool call from the model
+   * @param {Object} call - { id, name, arguments }
+   * @param {Object} context - { userId, collegeId, conversationId }
+   * @returns {Promise<Object>} { message, event } - the tool message for the
+   *   model and the event for the client
+   */
+  const runToolCall = async (call, context) => {
+    const tool = toolsByName.get(call.name);
+    const toolContext = { ...context, now: now() };
+    const startedAt = Date.now();
+    const base = {
+      user_id: context.userId,
+      college_id: context.collegeId,
+      conversation_id: context.conversationId,
+      tool: call.name,
+      arguments: call.arguments || {}
+    };
+
+    let content;
+    let event;
+    try {
+      if (!tool) throw invalidArguments(`Unknown tool ${call.name}`);
+      if (!call.arguments) throw invalidArguments('Arguments were not valid JSON');
+
+      if (tool.confirm) {
+        const { arguments: args, summary } = await tool.prepare(call.arguments, toolContext);
+        const id = await record({
+          ...base,
+          arguments: args,
+          summary,
+          status: 'pending_confirmation',
+          duration_ms: Date.now() - startedAt
+        }, { required: true });
+
+        content = {
+          status: 'awaiting_confirmation',
+          summary,
+          note: 'Shown to the student with Confirm and Cancel buttons. Nothing happens unless they confirm.'
+        };
+        event = { id, tool: call.name, status: 'pending_confirmation', summary, requiresConfirmation: true };
+      } else {
+        const result = await tool.run(call.arguments, toolContext);
+        const summary = tool.describe ? tool.describe(result) : null;
+        const id = await record({
+          ...base,
+          summary,
+          status: 'succeeded',
+          result,
+          duration_ms: Date.now() - startedAt
+        });
+
+        content = result;
+        event = { id, tool: call.name, status: 'succeeded', summary, ...(tool.display && { result }) };
+      }
+    } catch (error) {
+      const invalid = error.code === 'INVALID_TOOL_ARGUMENTS';
+      if (!invalid) console.error(`[Tools] ${call.name} failed:`, error.message);
+
+      const id = await record({
+        ...base,
+        status: 'failed',
+        error: error.message,
+        duration_ms: Date.now() - startedAt
+      });
+
+      content = { error: invalid ? error.message : 'The tool is unavailable right now. Tell the student you could not do this.' };
+      event = { id, tool: call.name, status: 'failed', summary: null };
+    }
+
+    console.log(`[Tools] ${call.name} -> ${event.status} (${Date.now() - startedAt}ms)`);
+    return {
+      message: { role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(content) },
+      event
+    };
+  };
+
+  /**
+   * Let the model call tools until it answers in text
+   * @param {Object} params
+   * @param {Array} params.messages - Chat messages for the first call
+   * @param {Object} params.context - { userId, collegeId, conversationId }
+   * @param {Function} params.complete - (messages, tools, round) => completion; tools
+   *   is undefined on the last round so the model has to answer
+   * @param {Function} params.onEvent - Called with each client event as it happens
+   * @param {number} params.maxRounds - Model calls that may request tools
+   * @returns {Promise<Object>} { text, toolEvents, completion }
+   */
+  const runToolLoop = async ({ messages, context, complete, onEvent = () => {}, maxRounds = MAX_TOOL_ROUNDS }) => {
+    const working = [...messages];
+    const toolEvents = [];
+    const texts = [];
+
+    for (let round = 0; ; round++) {
+      const offerTools = round < maxRounds;
+      const completion = await complete(working, offerTools ? definitions : undefined, round);
+      if (completion.text) texts.push(completion.text);
+
+      if (!offerTools || !completion.toolCalls?.length) {
+        return { text: texts.join('\n\n'), toolEvents, completion };
+      }
+
+      working.push({ role: 'assistant', content: completion.text, toolCalls: completion.toolCalls });
+      for (const call of completion.toolCalls) {
+        const { message, event } = await runToolCall(call, context);
+        working.push(message);
+        toolEvents.push(event);
+        onEvent(event);
+      }
+    }
+  };
+
+  const loadPending = async (actionId, context) => {
+    const action = await log.get(actionId, context.userId);
+    if (!action || action.college_id !== context.collegeId) throw actionError('Action not found', 404);
+    if (action.status !== 'pending_confirmation') throw actionError(`Action is already ${action.status}`, 409);
+
+    if (now().getTime() - new Date(action.created_at).getTime() > ACTION_TTL_HOURS * 60 * 60 * 1000) {
+      await log.transition(action.id, 'pending_confirmation', { status: 'expired', resolved_at: now().toISOString() });
+      throw actionError('This action has expired. Ask the companion again.', 410);
+    }
+    return action;
+  };
+
+  /**
+   * Run a drafted action the student confirmed
+   * @param {string} actionId - ai_tool_invocations ID
+   * @param {Object} context - { userId, collegeId }
+   * @returns {Promise<Object>} { action, outcome } - outcome is a message for the conversation
+   */
+  const confirmAction = async (actionId, context) => {
+    const action = await loadPending(actionId, context);
+    const tool = toolsByName.get(action.tool);
+
+    // Claim it first so a double click cannot run it twice
+    const claimed = await log.transition(action.id, 'pending_confirmation', {
+      status: 'confirmed',
+      resolved_at: now().toISOString()
+    });
+    if (!claimed) throw actionError('Action is no longer pending', 409);
+
+    let result;
+    try {
+      result = await tool.execute(action.arguments, { ...context, now: now() });
+    } catch (error) {
+      console.error(`[Tools] Confirmed ${action.tool} failed:`, error.message);
+      await log.transition(action.id, 'confirmed', { status: 'failed', error: error.message }).catch(() => {});
+      // 4xx service errors (e.g. the slot was taken meanwhile) are shown as-is
+      throw error.statusCode && error.statusCode < 500
+        ? actionError(error.message, error.statusCode)
+        : actionError('Could not complete this action. Please try again later.', 502);
+    }
+
+    const updated = await log.transition(action.id, 'confirmed', { result }).catch(() => null);
+    console.log(`[Tools] ${action.tool} confirmed by ${context.userId}`);
+    return {
+      action: { ...formatAction(updated || { ...claimed, result }), result },
+      outcome: tool.outcome(action.arguments, result)
+    };
+  };
+
+  /**
+   * Discard a drafted action
+   * @param {string} actionId - ai_tool_invocations ID
+   * @param {Object} context - { userId, collegeId }
+   * @returns {Promise<Object>} { action }
+   */
+  const cancelAction = async (actionId, context) => {
+    const action = await loadPending(actionId, context);
+    const cancelled = await log.transition(action.id, 'pending_confirmation', {
+      status: 'cancelled',
+      resolved_at: now().toISOString()
+    });
+    if (!cancelled) throw actionError('Action is no longer pending', 409);
+    return { action: formatAction(cancelled) };
+  };
+
+  /**
+   * Drafted actions still waiting for the student
+   * @param {string} userId
+   * @param {string} conversationId - Optional filter
+   * @returns {Promise<Array>} Actions, oldest first
+   */
+  const listPendingActions = async (userId, conversationId = null) =>
+    (await log.listPending(userId, conversationId)).map(formatAction);
+
+  return { definitions, runToolCall, runToolLoop, confirmAction, cancelAction, listPendingActions };
+};
+
+const defaultTools = createCompanionTools();
+
+export const {
+  definitions: companionToolDefinitions,
+  runToolLoop,
+  confirmAction,
+  cancelAction,
+  listPendingActions
+} = defaultTools;
+
+export default {
+  COMPANION_TOOLS,
+  createCompanionTools,
+  loadCrisisContacts,
+  runToolLoop,
+  confirmAction,
+  cancelAction,
+  listPendingActions
+};
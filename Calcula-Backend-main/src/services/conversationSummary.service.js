@@ -0,0 +1,230 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { chat } from './llm/index.js';
+import { estimateMessageTokens, truncateToTokens } from '../utils/tokenBudget.js';
+
+/**
+ * Conversation Summary Service
+ * Keeps AI companion prompts within a token budget. Older turns of an
+ * ai_conversations thread are folded into a stored running summary
+ * (ai_conversations.summary, up to summary_through); only newer turns are sent
+ * verbatim, and the summary is sent in place of the turns it covers.
+ *
+ * The summary is updated incrementally: only turns that no longer fit the
+ * history budget are summarized, together with the previous summary. When a
+ * refresh is needed the kept window shrinks to half the budget, so the next
+ * few turns reuse the stored summary without another model call.
+ *
+ * Budget per request: AI_CONTEXT_TOKEN_BUDGET (default 3000) covers the
+ * summary, recent history and RAG context; the system prompt and the current
+ * message are extra.
+ */
+
+const DEFAULT_TOKEN_BUDGET = Number(process.env.AI_CONTEXT_TOKEN_BUDGET) || 3000;
+const SUMMARY_MAX_TOKENS = Number(process.env.AI_SUMMARY_MAX_TOKENS) || 400;
+const SUMMARY_TIMEOUT_MS = Number(process.env.AI_SUMMARY_TIMEOUT_MS) || 10000;
+
+// Share of the budget reserved for RAG context and (at most) the summary
+const RAG_SHARE = 0.3;
+const SUMMARY_SHARE = 0.2;
+
+// Upper bound on unsummarized messages loaded per turn
+const MAX_UNSUMMARIZED_MESSAGES = 200;
+
+/**
+ * Split a token budget between RAG context, the summary and recent history
+ * @param {number} tokenBudget - Total context budget for one request
+ * @returns {Object} { total, rag, summary, history }
+ */
+export const splitContextBudget = (tokenBudget = DEFAULT_TOKEN_BUDGET) => {
+  const rag = Math.floor(tokenBudget * RAG_SHARE);
+  const summary = Math.min(SUMMARY_MAX_TOKENS, Math.floor(tokenBudget * SUMMARY_SHARE));
+  return { total: tokenBudget, rag, summary, history: tokenBudget - rag - summary };
+};
+
+/**
+ * Decide which unsummarized messages are sent verbatim
+ * @param {Array} messages - ai_messages rows after summary_through, oldest first
+ * @param {number} historyBudget - Tokens available for recent history
+ * @returns {Object} { recent, toSummarize } - both oldest first
+ */
+export const planContextWindow = (messages, historyBudget) => {
+  const tokens = messages.map(estimateMessageTokens);
+  const total = tokens.reduce((sum, t) => sum + t, 0);
+  if (total <= historyBudget) {
+    return { recent: messages, toSummarize: [] };
+  }
+
+  const keepBudget = Math.floor(historyBudget / 2);
+  let used = 0;
+  let start = messages.length;
+  while (start > 0 && used + tokens[start - 1] <= keepBudget) {
+    used += tokens[start - 1];
+    start--;
+  }
+
+  return { recent: messages.slice(start), toSummarize: messages.slice(0, start) };
+};
+
+/**
+ * Fold turns into the running summary with the chat model
+ * @param {Object} params
+ * @param {string|null} params.previousSummary - Current summary
+ * @param {Array} params.messages - ai_messages rows to add, oldest first
+ * @param {number} params.maxTokens - Summary size limit
+ * @returns {Promise<string>} Updated summary
+ */
+export const summarizeTurns = async ({ previousSummary, messages, maxTokens }) => {
+  const transcript = messages
+    .map((m) => `${m.sender === 'user' ? 'Student' : 'Companion'}: ${m.message}`)
+    .join('\n');
+  const maxWords = Math.floor(maxTokens * 0.75);
+
+  const { text } = await chat({
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You maintain the running summary of a conversation between a college student and a supportive AI companion. ' +
+          'Merge the new turns into the existing summary. Keep what the student shared about themselves ' +
+          '(names they use, situations, feelings, goals, what helped or did not help, any safety concerns) ' +
+          'and what the companion suggested. Write in the third person, plain prose, no advice, ' +
+          `at most ${maxWords} words. Return only the updated summary.`
+      },
+      {
+        role: 'user',
+        content: `EXISTING SUMMARY:\n${previousSummary || '(none yet)'}\n\nNEW TURNS:\n${transcript}`
+      }
+    ],
+    temperature: 0.2,
+    maxTokens,
+    timeoutMs: SUMMARY_TIMEOUT_MS,
+    maxRetries: 0
+  });
+
+  if (!text) throw new Error('Empty summary');
+  return truncateToTokens(text, maxTokens);
+};
+
+/**
+ * ai_conversations / ai_messages access used by the summarizer
+ */
+export const supabaseSummaryStore = {
+  loadConversation: async (conversationId) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_conversations')
+      .select('id, summary, summary_through')
+      .eq('id', conversationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Newest MAX_UNSUMMARIZED_MESSAGES after `through`, returned oldest first
+  loadMessagesAfter: async (conversationId, through, excludeMessageId = null) => {
+    let query = supabaseAdmin
+      .from('ai_messages')
+      .select('id, sender, message, created_at')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: false })
+      .limit(MAX_UNSUMMARIZED_MESSAGES);
+
+    if (through) query = query.gt('created_at', through);
+    if (excludeMessageId) query = query.neq('id', excludeMessageId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return (data || []).reverse();
+  },
+
+  // Only applies if no other request moved summary_through in the meantime
+  saveSummary: async (conversationId, { summary, through, previousThrough }) => {
+    let query = supabaseAdmin
+      .from('ai_conversations')
+      .update({ summary, summary_through: through, summary_updated_at: new Date().toISOString() })
+      .eq('id', conversationId);
+
+    query = previousThrough ? query.eq('summary_through', previousThrough) : query.is('summary_through', null);
+
+    const { error } = await query;
+    if (error) throw error;
+  }
+};
+
+/**
+ * Create a summarizer
+ * @param {Object} options
+ * @param {Object} options.store - { loadConversation, loadMessagesAfter, saveSummary }
+ * @param {Function} options.summarize - ({ previousSummary, messages, maxTokens }) => summary
+ * @returns {Object} { getConversationContext }
+ */
+export const createConversationSummarizer = ({
+  store = supabaseSummaryStore,
+  summarize = summarizeTurns
+} = {}) => {
+  /**
+   * Summary and recent history to send with the next model call, refreshing
+   * the stored summary when older turns no longer fit
+   * @param {Object} params
+   * @param {string} params.conversationId
+   * @param {string} params.excludeMessageId - The message being answered (sent separately)
+   * @param {number} params.tokenBudget - Context budget for this request
+   * @returns {Promise<Object>} { summary, history, budget, summaryUpdated }
+   */
+  const getConversationContext = async ({ conversationId, excludeMessageId = null, tokenBudget = DEFAULT_TOKEN_BUDGET }) => {
+    const budget = splitContextBudget(tokenBudget);
+    const conversation = await store.loadConversation(conversationId);
+    const previousThrough = conversation?.summary_through || null;
+    let summary = conversation?.summary || null;
+
+    const messages = await store.loadMessagesAfter(conversationId, previousThrough, excludeMessageId);
+    const { recent, toSummarize } = planContextWindow(messages, budget.history);
+
+    let summaryUpdated = false;
+    if (toSummarize.length > 0) {
+      try {
+        summary = await summarize({ previousSummary: summary, messages: toSummarize, maxTokens: budget.summary });
+        summaryUpdated = true;
+      } catch (error) {
+        // The older turns are left out of this prompt and retried next turn
+        console.error(`[Summary] Failed to summarize conversation ${conversationId}:`, error.message);
+      }
+    }
+
+    if (summaryUpdated) {
+      const through = toSummarize[toSummarize.length - 1].created_at;
+      try {
+        await store.saveSummary(conversationId, { summary, through, previousThrough });
+        console.log(`[Summary] Folded ${toSummarize.length} messages into the summary of ${conversationId}`);
+      } catch (error) {
+        console.error(`[Summary] Failed to save summary for ${conversationId}:`, error.message);
+      }
+    }
+
+    return {
+      summary: summary ? truncateToTokens(summary, budget.summary) : null,
+      history: recent,
+      budget,
+      summaryUpdated
+    };
+  };
+
+  return { getConversationContext };
+};
+
+const defaultSummarizer = createConversationSummarizer();
+
+/**
+ * Summary and recent history for a conversation, using Supabase and the chat model
+ * @param {Object} params - { conversationId, excludeMessageId, tokenBudget }
+ * @returns {Promise<Object>} { summary, history, budget, summaryUpdated }
+ */
+export const getConversationContext = (params) => defaultSummarizer.getConversationContext(params);
+
+export default {
+  splitContextBudget,
+  planContextWindow,
+  summarizeTurns,
+  createConversationSummarizer,
+  getConversationContext
+};
@@ -0,0 +1,226 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { chat, isProviderConfigured } from './llm/index.js';
+import { truncateToTokens } from '../utils/tokenBudget.js';
+import { DEFAULT_LANGUAGE, languageInstruction } from '../utils/languages.js';
+import {
+  MAX_TOPIC_TAGS,
+  TITLE_MAX_CHARS,
+  TOPIC_TAGS,
+  keywordTitleAndTags,
+  sanitizeTopicTags
+} from '../utils/topicTags.js';
+
+/**
+ * Conversation Title Service
+ * Titles and tags an ai_conversations thread once, after its first exchange
+ * (one student message and one companion reply), replacing the placeholder
+ * title ("New Chat" or the start of the first message). Tags come from the
+ * fixed vocabulary in utils/topicTags.js so students can filter their
+ * conversations by them.
+ *
+ * The chat model writes the title and picks the tags; when it is not
+ * configured, fails, or CONVERSATION_TITLE_PROVIDER=keywords, the keyword
+ * fallback in utils/topicTags.js is used instead. ai_conversations.title_source
+ * records which one did ('llm' | 'keywords'), and title_generated_at marks the
+ * conversation as done so later turns leave the title alone.
+ */
+
+const TITLE_TIMEOUT_MS = Number(process.env.CONVERSATION_TITLE_TIMEOUT_MS) || 5000;
+const TITLE_PROVIDER = process.env.CONVERSATION_TITLE_PROVIDER === 'keywords' ? 'keywords' : 'llm';
+
+// The first exchange is enough to name a conversation
+const TITLE_INPUT_MESSAGES = 4;
+const TITLE_INPUT_TOKENS = 600;
+
+// "Tag list" lines for the prompt: "- exam-stress: Exam stress"
+const TAG_LIST = Object.entries(TOPIC_TAGS)
+  .map(([id, { label }]) => `- ${id}: ${label}`)
+  .join('\n');
+
+/**
+ * Title and tags JSON from the model
+ * @param {string} text - Model output
+ * @returns {Object} { title, tags } - title is null when the model gave none
+ */
+export const parseTitleAndTags = (text) => {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(String(text || '').replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch {
+    parsed = null;
+  }
+
+  const title = typeof parsed?.title === 'string'
+    ? parsed.title.trim().replace(/^["'«“]+|["'»”]+$/g, '').replace(/[.。۔]+$/, '').trim()
+    : '';
+
+  return {
+    title: title ? title.slice(0, TITLE_MAX_CHARS) : null,
+    tags: sanitizeTopicTags(parsed?.tags)
+  };
+};
+
+/**
+ * Title and tags for a conversation with the chat model
+ * @param {Array} messages - First ai_messages rows, oldest first
+ * @param {string} language - The student's preferred language, for the title
+ * @returns {Promise<Object>} { title, tags }
+ */
+export const generateTitleAndTags = async (messages, language = DEFAULT_LANGUAGE) => {
+  const transcript = messages
+    .map((m) => `${m.sender === 'user' ? 'Student' : 'Companion'}: ${m.message}`)
+    .join('\n');
+  const instruction = languageInstruction(language, { json: true, mirror: false });
+
+  const { text } = await chat({
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You name conversations between a college student and a supportive AI companion, for the student\'s ' +
+          'own list of chats.\n' +
+          '- title: what the student wants to talk about, in at most 6 words, like "Exam stress before finals". ' +
+          'No names or other identifying details, no quotes, no final full stop.\n' +
+          `- tags: up to ${MAX_TOPIC_TAGS} topic IDs from this list, most relevant first; an empty list if ` +
+          `none fit:\n${TAG_LIST}\n` +
+          'Return JSON: {"title": "...", "tags": ["..."]}' +
+          (instruction ? `\n${instruction} The tags are always IDs from the list.` : '')
+      },
+      { role: 'user', content: `CONVERSATION:\n${truncateToTokens(transcript, TITLE_INPUT_TOKENS)}` }
+    ],
+    json: true,
+    temperature: 0.2,
+    maxTokens: instruction ? 120 : 60,
+    timeoutMs: TITLE_TIMEOUT_MS,
+    maxRetries: 0
+  });
+
+  return parseTitleAndTags(text);
+};
+
+/**
+ * ai_conversations / ai_messages access used by the titler
+ */
+export const supabaseTitleStore = {
+  loadConversation: async (conversationId) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_conversations')
+      .select('id, title, tags, title_generated_at')
+      .eq('id', conversationId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // First `limit` messages, oldest first
+  loadFirstMessages: async (conversationId, limit = TITLE_INPUT_MESSAGES) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_messages')
+      .select('sender, message, created_at')
+      .eq('conversation_id', conversationId)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Only applies if the conversation was not titled in the meantime;
+  // returns whether it did
+  saveTitleAndTags: async (conversationId, { title, tags, source }) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_conversations')
+      .update({ title, tags, title_source: source, title_generated_at: new Date().toISOString() })
+      .eq('id', conversationId)
+      .is('title_generated_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  }
+};
+
+/**
+ * Create a titler
+ * @param {Object} options
+ * @param {Object} options.store - { loadConversation, loadFirstMessages, saveTitleAndTags }
+ * @param {Function} options.generate - (messages, language) => { title, tags }
+ * @param {Function} options.extract - (studentText) => { title, tags }, the keyword fallback
+ * @param {Function} options.isConfigured - Whether the chat model can be used
+ * @param {string} options.provider - 'llm' | 'keywords'
+ * @returns {Object} { titleConversation }
+ */
+export const createConversationTitler = ({
+  store = supabaseTitleStore,
+  generate = generateTitleAndTags,
+  extract = keywordTitleAndTags,
+  isConfigured = () => isProviderConfigured('chat'),
+  provider = TITLE_PROVIDER
+} = {}) => {
+  /**
+   * Title and tag a conversation after its first exchange. Never throws.
+   * @param {Object} params
+   * @param {string} params.conversationId
+   * @param {string} params.language - The student's preferred language
+   * @returns {Promise<Object|null>} { title, tags, source }, or null when the
+   *   conversation is already titled or has no exchange yet
+   */
+  const titleConversation = async ({ conversationId, language = DEFAULT_LANGUAGE }) => {
+    try {
+      const conversation = await store.loadConversation(conversationId);
+      if (!conversation || conversation.title_generated_at) return null;
+
+      const messages = await store.loadFirstMessages(conversationId, TITLE_INPUT_MESSAGES);
+      const studentText = messages.filter((m) => m.sender === 'user').map((m) => m.message).join('\n');
+      if (!studentText || !messages.some((m) => m.sender === 'ai')) return null;
+
+      let result = null;
+      let source = 'keywords';
+      if (provider === 'llm' && isConfigured()) {
+        try {
+          const generated = await generate(messages, language);
+          if (generated?.title) {
+            result = generated;
+            source = 'llm';
+          }
+        } catch (error) {
+          console.error(`[Title] Model failed for conversation ${conversationId}, using keywords:`, error.message);
+        }
+      }
+      if (!result) result = extract(studentText);
+
+      // Nothing to name it by: keep the current title, but do not try again
+      const title = result.title || conversation.title;
+      const tags = sanitizeTopicTags(result.tags);
+
+      const saved = await store.saveTitleAndTags(conversationId, { title, tags, source });
+      if (!saved) return null;
+
+      console.log(`[Title] Titled conversation ${conversationId} (${source}): "${title}" [${tags.join(', ')}]`);
+      return { title, tags, source };
+    } catch (error) {
+      console.error(`[Title] Failed to title conversation ${conversationId}:`, error.message);
+      return null;
+    }
+  };
+
+  return { titleConversation };
+};
+
+const defaultTitler = createConversationTitler();
+
+/**
+ * Title and tag a conversation after its first exchange, using Supabase and
+ * the chat model
+ * @param {Object} params - { conversationId, language }
+ * @returns {Promise<Object|null>} { title, tags, source } or null
+ */
+export const titleConversation = (params) => defaultTitler.titleConversation(params);
+
+export default {
+  parseTitleAndTags,
+  generateTitleAndTags,
+  createConversationTitler,
+  titleConversation
+};
@@ -0,0 +1,341 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { embedTexts } from '../utils/vectorStore.js';
+
+/**
+ * Embedding Migration Service
+ * Re-embeds stored vectors after the embedding model changes (provider,
+ * model or LLM_EMBEDDING_DIMENSIONS). Every row of ai_message_embeddings and
+ * knowledge_embeddings records the model that produced it; the job walks both
+ * tables in id order and re-embeds each row that is not on the target model,
+ * i.e. the one currently configured.
+ *
+ * Progress and a cursor (table + last row ID) are saved to
+ * embedding_migrations after every batch, so a paused, failed or interrupted
+ * run (e.g. a server restart) resumes where it stopped. While it runs,
+ * searches only compare vectors of the query's model: migrated rows are found
+ * by vector search, the rest only by keyword search.
+ */
+
+const BATCH_SIZE = 32; // Rows per embedding request
+
+const TABLES = [
+  { name: 'ai_message_embeddings', columns: 'id, content', textOf: (row) => row.content },
+  // Same text as storeKnowledgeEmbedding / replaceKnowledgeChunks embed
+  { name: 'knowledge_embeddings', columns: 'id, title, content', textOf: (row) => `${row.title}\n\n${row.content}` }
+];
+
+const MIGRATION_COLUMNS = 'id, target_model, target_dimensions, status, total_rows, processed_rows, failed_rows, cursor_table, cursor_id, last_error, started_by, started_at, updated_at, completed_at';
+const UNFINISHED_STATUSES = ['running', 'paused', 'failed'];
+
+const migrationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// PostgREST filter for rows not produced by the target model
+const notOnTarget = ({ model, dimensions }) =>
+  `embedding_model.neq."${model.replace(/"/g, '\\"')}",embedding_dimensions.neq.${dimensions}`;
+
+/**
+ * embeddings tables and embedding_migrations access used by the migrator
+ */
+export const supabaseMigrationStore = {
+  countPending: async (table, target) => {
+    const { count, error } = await supabaseAdmin
+      .from(table)
+      .select('id', { count: 'exact', head: true })
+      .or(notOnTarget(target));
+
+    if (error) throw error;
+    return count || 0;
+  },
+
+  listPending: async (table, columns, target, afterId, limit) => {
+    let query = supabaseAdmin
+      .from(table)
+      .select(columns)
+      .or(notOnTarget(target))
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (afterId) query = query.gt('id', afterId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  updateEmbedding: async (table, id, { embedding, model, dimensions }) => {
+    const { error } = await supabaseAdmin
+      .from(table)
+      .update({
+        embedding: JSON.stringify(embedding),
+        embedding_model: model,
+        embedding_dimensions: dimensions
+      })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  getUnfinished: async () => {
+    const { data, error } = await supabaseAdmin
+      .from('embedding_migrations')
+      .select(MIGRATION_COLUMNS)
+      .in('status', UNFINISHED_STATUSES)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  getLatest: async () => {
+    const { data, error } = await supabaseAdmin
+      .from('embedding_migrations')
+      .select(MIGRATION_COLUMNS)
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  create: async (row) => {
+    const { data, error } = await supabaseAdmin
+      .from('embedding_migrations')
+      .insert(row)
+      .select(MIGRATION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  update: async (id, patch) => {
+    const { data, error } = await supabaseAdmin
+      .from('embedding_migrations')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(MIGRATION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+/**
+ * A migration as the client sees it
+ */
+export const formatMigration = (row, { active = false } = {}) => row && ({
+  id: row.id,
+  targetModel: row.target_model,
+  targetDimensions: row.target_dimensions,
+  status: row.status,
+  // A running migration this process is not working on was interrupted; starting again resumes it
+  active,
+  totalRows: row.total_rows,
+  processedRows: row.processed_rows,
+  failedRows: row.failed_rows,
+  percent: row.total_rows > 0
+    ? Math.min(100, Math.round((row.processed_rows / row.total_rows) * 1000) / 10)
+    : 100,
+  cursor: row.cursor_table ? { table: row.cursor_table, id: row.cursor_id } : null,
+  lastError: row.last_error,
+  startedBy: row.started_by,
+  startedAt: row.started_at,
+  updatedAt: row.updated_at,
+  completedAt: row.completed_at
+});
+
+/**
+ * Create a re-embedding job runner
+ * @param {Object} options
+ * @param {Object} options.store - Table access (default supabaseMigrationStore)
+ * @param {Function} options.embedBatch - texts => { embeddings, model, dimensions }
+ * @param {number} options.batchSize - Rows per embedding request
+ * @param {Function} options.onProgress - Called with the formatted migration after every batch
+ * @returns {Object} { startMigration, pauseMigration, getMigrationStatus }
+ */
+export const createEmbeddingMigrator = ({
+  store = supabaseMigrationStore,
+  embedBatch = embedTexts,
+  batchSize = BATCH_SIZE,
+  onProgress = null
+} = {}) => {
+  // The run in this process: { id, pauseRequested, done }
+  let activeRun = null;
+  let targetPromise = null;
+
+  // Model and size the configured provider embeds with (fixed for the process)
+  const getTarget = () => {
+    if (!targetPromise) {
+      targetPromise = embedBatch(['embedding model probe'])
+        .then(({ model, dimensions }) => ({ model, dimensions }))
+        .catch((error) => {
+          targetPromise = null;
+          throw error;
+        });
+    }
+    return targetPromise;
+  };
+
+  const countAllPending = async (target) => {
+    const counts = {};
+    for (const table of TABLES) {
+      counts[table.name] = await store.countPending(table.name, target);
+    }
+    return counts;
+  };
+
+  const run = async (migration, control) => {
+    const target = { model: migration.target_model, dimensions: migration.target_dimensions };
+    let processed = migration.processed_rows;
+    let failed = migration.failed_rows;
+    let cursorTable = migration.cursor_table;
+    let cursorId = migration.cursor_id;
+    const startIndex = Math.max(0, TABLES.findIndex((table) => table.name === cursorTable));
+
+    try {
+      for (const table of TABLES.slice(startIndex)) {
+        if (table.name !== cursorTable) {
+          cursorTable = table.name;
+          cursorId = null;
+        }
+
+        for (;;) {
+          if (control.pauseRequested) {
+            await store.update(migration.id, { status: 'paused' });
+            console.log(`[Embeddings] Migration ${migration.id} paused at ${processed} rows`);
+            return;
+          }
+
+          const rows = await store.listPending(table.name, table.columns, target, cursorId, batchSize);
+          if (rows.length === 0) break;
+
+          const { embeddings, model, dimensions } = await embedBatch(rows.map(table.textOf));
+          if (model !== target.model || dimensions !== target.dimensions) {
+            throw new Error(`Embedding model changed to ${model} (${dimensions} dimensions) during the migration`);
+          }
+
+          const results = await Promise.allSettled(rows.map((row, index) =>
+            store.updateEmbedding(table.name, row.id, { embedding: embeddings[index], model, dimensions })
+          ));
+          results
+            .filter((result) => result.status === 'rejected')
+            .forEach((result) => console.error('[Embeddings] Failed to update row:', result.reason?.message));
+
+          processed += rows.length;
+          failed += results.filter((result) => result.status === 'rejected').length;
+          cursorId = rows[rows.length - 1].id;
+
+          const saved = await store.update(migration.id, {
+            processed_rows: processed,
+            failed_rows: failed,
+            cursor_table: cursorTable,
+            cursor_id: cursorId
+          });
+          if (onProgress) onProgress(formatMigration(saved, { active: true }));
+        }
+      }
+
+      await store.update(migration.id, { status: 'completed', completed_at: new Date().toISOString(), last_error: null });
+      console.log(`[Embeddings] Migration ${migration.id} to ${target.model} completed: ${processed} rows, ${failed} failed`);
+    } catch (error) {
+      console.error(`[Embeddings] Migration ${migration.id} failed:`, error.message);
+      await store.update(migration.id, { status: 'failed', last_error: error.message.substring(0, 1000) })
+        .catch((updateError) => console.error('[Embeddings] Failed to record migration failure:', updateError.message));
+    }
+  };
+
+  /**
+   * Start re-embedding every row not on the configured model, or resume the
+   * unfinished migration to it. An unfinished migration to another model is
+   * marked superseded. Runs in the background.
+   * @param {Object} options - { startedBy } profile ID
+   * @returns {Promise<Object>} { migration, resumed, done } - done resolves when the run stops
+   */
+  const startMigration = async ({ startedBy = null } = {}) => {
+    if (activeRun) throw migrationError('A re-embedding migration is already running', 409);
+
+    const target = await getTarget();
+    let migration = await store.getUnfinished();
+    const resumed = Boolean(migration
+      && migration.target_model === target.model
+      && migration.target_dimensions === target.dimensions);
+
+    if (migration && !resumed) {
+      await store.update(migration.id, {
+        status: 'superseded',
+        last_error: `Superseded by a migration to ${target.model} (${target.dimensions} dimensions)`
+      });
+    }
+
+    if (resumed) {
+      migration = await store.update(migration.id, { status: 'running', last_error: null });
+    } else {
+      const pending = await countAllPending(target);
+      migration = await store.create({
+        target_model: target.model,
+        target_dimensions: target.dimensions,
+        status: 'running',
+        total_rows: Object.values(pending).reduce((sum, count) => sum + count, 0),
+        started_by: startedBy
+      });
+    }
+
+    console.log(`[Embeddings] ${resumed ? 'Resuming' : 'Starting'} migration ${migration.id} to ${target.model} (${migration.total_rows} rows)`);
+
+    const control = { id: migration.id, pauseRequested: false };
+    control.done = run(migration, control).finally(() => {
+      if (activeRun === control) activeRun = null;
+    });
+    activeRun = control;
+
+    return { migration: formatMigration(migration, { active: true }), resumed, done: control.done };
+  };
+
+  /**
+   * Ask the running migration to stop after its current batch
+   * @returns {Promise<Object>} The migration once paused
+   */
+  const pauseMigration = async () => {
+    if (!activeRun) throw migrationError('No re-embedding migration is running', 409);
+
+    const control = activeRun;
+    control.pauseRequested = true;
+    await control.done;
+    return formatMigration(await store.getLatest());
+  };
+
+  /**
+   * Latest migration, plus the rows still on another model than the configured one
+   * @returns {Promise<Object>} { targetModel, targetDimensions, pending, migration }
+   */
+  const getMigrationStatus = async () => {
+    const target = await getTarget();
+    const [pending, latest] = await Promise.all([countAllPending(target), store.getLatest()]);
+
+    return {
+      targetModel: target.model,
+      targetDimensions: target.dimensions,
+      pending,
+      migration: formatMigration(latest, { active: Boolean(latest && activeRun?.id === latest.id) })
+    };
+  };
+
+  return { startMigration, pauseMigration, getMigrationStatus };
+};
+
+const defaultMigrator = createEmbeddingMigrator();
+
+export const { startMigration, pauseMigration, getMigrationStatus } = defaultMigrator;
+
+export default {
+  createEmbeddingMigrator,
+  startMigration,
+  pauseMigration,
+  getMigrationStatus
+};
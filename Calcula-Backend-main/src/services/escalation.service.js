@@ -0,0 +1,488 @@
+import { supabase } from '../config/supabase.js';
+import { normalizeResponseKeys } from '../utils/scoringEngine.js';
+
+/**
+ * Escalation Service
+ * Evaluates risk rules on assessment submissions, logs AI chat crisis detections,
+ * and manages the counsellor follow-up workflow (open -> acknowledged -> contacted -> resolved)
+ *
+ * Errors carry a `statusCode` (409 transition not allowed from the current status).
+ */
+
+export const ESCALATION_STATUSES = ['open', 'acknowledged', 'contacted', 'resolved'];
+
+// Allowed forward transitions; resolved escalations are closed for good
+const STATUS_TRANSITIONS = {
+  open: ['acknowledged', 'contacted', 'resolved'],
+  acknowledged: ['contacted', 'resolved'],
+  contacted: ['resolved'],
+  resolved: []
+};
+
+// Timestamp column stamped when an escalation enters a status
+const STATUS_TIMESTAMPS = {
+  acknowledged: 'acknowledged_at',
+  contacted: 'contacted_at',
+  resolved: 'resolved_at'
+};
+
+// Roles whose sockets receive escalation pushes for their college
+const NOTIFIED_ROLES = ['counsellor', 'admin'];
+
+const escalationError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ==================== RISK RULES ====================
+
+/**
+ * Treat 'yes', true and 1 as an endorsed yes/no item
+ */
+const isYes = (value) => {
+  if (typeof value === 'string') {
+    const lowered = value.trim().toLowerCase();
+    return lowered === 'yes' || lowered === 'true' || lowered === '1';
+  }
+  return value === true || value === 1;
+};
+
+/**
+ * Risk rules per instrument. Each rule inspects normalized responses and
+ * returns { riskLevel, reason } when it fires, or null.
+ */
+const RISK_RULES = {
+  'C-SSRS': [
+    {
+      id: 'cssrs_behavior',
+      evaluate: (r) => (isYes(r.q6)
+        ? { riskLevel: 'urgent', reason: 'C-SSRS: student reported suicidal behavior' }
+        : null)
+    },
+    {
+      id: 'cssrs_intent',
+      evaluate: (r) => {
+        const hasIntent = isYes(r.q3) || isYes(r.q4);
+        const hasPlan = isYes(r.q5);
+        if (!hasIntent && !hasPlan) return null;
+        return hasIntent && hasPlan
+          ? { riskLevel: 'urgent', reason: 'C-SSRS: student reported suicidal intent with a plan' }
+          : { riskLevel: 'high', reason: hasIntent
+            ? 'C-SSRS: student reported suicidal intent'
+            : 'C-SSRS: student reported a suicide plan' };
+      }
+    }
+  ],
+  'PHQ-9': [
+    {
+      id: 'phq9_item9',
+      evaluate: (r) => {
+        const value = parseInt(r.q9, 10);
+        if (Number.isNaN(value) || value < 1) return null;
+        return {
+          riskLevel: value >= 2 ? 'urgent' : 'high',
+          reason: `PHQ-9 item 9: thoughts of self-harm endorsed (response ${value})`
+        };
+      }
+    }
+  ]
+};
+RISK_RULES.CSSRS = RISK_RULES['C-SSRS'];
+
+/**
+ * Evaluate the risk rules for a submitted assessment
+ * @param {string} formType - Assessment form type
+ * @param {Object} responses - Student's responses
+ * @returns {Array} Triggered rules: [{ ruleId, riskLevel, reason }]
+ */
+export const evaluateAssessmentRisk = (formType, responses) => {
+  const rules = RISK_RULES[formType];
+  if (!rules) return [];
+
+  const normalized = normalizeResponseKeys(responses);
+  return rules
+    .map((rule) => {
+      const result = rule.evaluate(normalized);
+      return result ? { ruleId: rule.id, ...result } : null;
+    })
+    .filter(Boolean);
+};
+
+// ==================== ESCALATION LIFECYCLE ====================
+
+/**
+ * Append an entry to an escalation's audit trail
+ */
+const recordEvent = async (escalation, actorId, action, { fromStatus = null, toStatus = null, note = null } = {}) => {
+  const { error } = await supabase
+    .from('escalation_events')
+    .insert({
+      escalation_id: escalation.id,
+      college_id: escalation.college_id,
+      actor_id: actorId,
+      action,
+      from_status: fromStatus,
+      to_status: toStatus,
+      note
+    });
+
+  if (error) {
+    console.error('Record escalation event error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create escalations for the triggered rules of an assessment
+ * @param {Object} params
+ * @param {string} params.studentId - Student's user ID
+ * @param {string} params.collegeId - Student's college ID
+ * @param {string} params.assessmentId - Stored assessment ID (null for chat escalations)
+ * @param {string} params.formType - Assessment form type (null for chat escalations)
+ * @param {Array} params.triggers - Output of evaluateAssessmentRisk
+ * @param {string} params.source - 'assessment' (default) or 'ai_chat'
+ * @returns {Array} Created escalation rows
+ */
+export const createEscalations = async ({
+  studentId,
+  collegeId,
+  assessmentId = null,
+  formType = null,
+  triggers,
+  source = 'assessment'
+}) => {
+  if (!triggers || triggers.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('escalations')
+    .insert(triggers.map((trigger) => ({
+      college_id: collegeId,
+      student_id: studentId,
+      assessment_id: assessmentId,
+      source,
+      form_type: formType,
+      rule_id: trigger.ruleId,
+      reason: trigger.reason,
+      risk_level: trigger.riskLevel,
+      status: 'open'
+    })))
+    .select();
+
+  if (error) {
+    console.error('Create escalations error:', error);
+    throw error;
+  }
+
+  await Promise.all(data.map((escalation) =>
+    recordEvent(escalation, null, 'created', { toStatus: 'open', note: escalation.reason })
+  ));
+
+  return data;
+};
+
+/**
+ * Push new escalations to the college's counsellors and admins
+ * @param {Object} io - Socket.io server instance
+ * @param {Array} escalations - Escalation rows
+ * @param {Object} student - Optional { id, name } for the notification payload
+ */
+export const notifyEscalations = (io, escalations, student = null) => {
+  if (!io || !escalations || escalations.length === 0) return;
+
+  escalations.forEach((escalation) => {
+    const payload = {
+      id: escalation.id,
+      source: escalation.source,
+      student_id: escalation.student_id,
+      student_name: student?.name || null,
+      form_type: escalation.form_type,
+      rule_id: escalation.rule_id,
+      reason: escalation.reason,
+      risk_level: escalation.risk_level,
+      status: escalation.status,
+      created_at: escalation.created_at
+    };
+
+    NOTIFIED_ROLES.forEach((role) => {
+      io.to(`college:${escalation.college_id}:${role}`).emit('escalation_created', payload);
+    });
+  });
+};
+
+/**
+ * List escalations for a college
+ * @param {string} collegeId - College ID
+ * @param {Object} filters - Optional filters (status, riskLevel, assignedTo, studentId, limit, offset)
+ * @returns {Object} { escalations, total }
+ */
+export const listEscalations = async (collegeId, filters = {}) => {
+  const limit = filters.limit || 20;
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('escalations')
+    .select(`
+      *,
+      student:student_id ( id, name, email ),
+      assignee:assigned_to ( id, name )
+    `, { count: 'exact' })
+    .eq('college_id', collegeId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  if (filters.riskLevel) {
+    query = query.eq('risk_level', filters.riskLevel);
+  }
+
+  if (filters.assignedTo) {
+    query = query.eq('assigned_to', filters.assignedTo);
+  }
+
+  if (filters.studentId) {
+    query = query.eq('student_id', filters.studentId);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    console.error('List escalations error:', error);
+    throw error;
+  }
+
+  return { escalations: data || [], total: count || 0 };
+};
+
+/**
+ * Get a single escalation with its audit trail
+ * @param {string} escalationId - Escalation ID
+ * @param {string} collegeId - College ID
+ * @returns {Object|null} Escalation with `events`, or null if not found
+ */
+export const getEscalationById = async (escalationId, collegeId) => {
+  const { data, error } = await supabase
+    .from('escalations')
+    .select(`
+      *,
+      student:student_id ( id, name, email, phone ),
+      assignee:assigned_to ( id, name )
+    `)
+    .eq('id', escalationId)
+    .eq('college_id', collegeId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Get escalation error:', error);
+    throw error;
+  }
+
+  if (!data) return null;
+
+  const { data: events, error: eventsError } = await supabase
+    .from('escalation_events')
+    .select('id, action, from_status, to_status, note, created_at, actor:actor_id ( id, name, role )')
+    .eq('escalation_id', escalationId)
+    .order('created_at', { ascending: true });
+
+  if (eventsError) {
+    console.error('Get escalation events error:', eventsError);
+    throw eventsError;
+  }
+
+  return { ...data, events: events || [] };
+};
+
+/**
+ * Claim an escalation: assign it to the acting counsellor/admin.
+ * Claiming an open escalation also acknowledges it.
+ * @param {string} escalationId - Escalation ID
+ * @param {string} collegeId - College ID
+ * @param {string} actorId - Claiming user's ID
+ * @returns {Object|null} Updated escalation, or null if not found
+ */
+export const claimEscalation = async (escalationId, collegeId, actorId) => {
+  const { data: current, error: fetchError } = await supabase
+    .from('escalations')
+    .select('*')
+    .eq('id', escalationId)
+    .eq('college_id', collegeId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!current) return null;
+
+  if (current.status === 'resolved') {
+    throw escalationError('Escalation is already resolved', 409);
+  }
+
+  const now = new Date().toISOString();
+  const updates = { assigned_to: actorId, updated_at: now };
+  if (current.status === 'open') {
+    updates.status = 'acknowledged';
+    updates.acknowledged_at = now;
+  }
+
+  const { data, error } = await supabase
+    .from('escalations')
+    .update(updates)
+    .eq('id', escalationId)
+    .eq('college_id', collegeId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Claim escalation error:', error);
+    throw error;
+  }
+
+  await recordEvent(data, actorId, 'claimed', {
+    fromStatus: current.status,
+    toStatus: data.status,
+    note: current.assigned_to && current.assigned_to !== actorId ? `Reassigned from ${current.assigned_to}` : null
+  });
+
+  return data;
+};
+
+/**
+ * Move an escalation to a new status
+ * @param {string} escalationId - Escalation ID
+ * @param {string} collegeId - College ID
+ * @param {string} actorId - Acting user's ID
+ * @param {string} status - Target status
+ * @param {string} note - Optional note (stored as resolution_note when resolving)
+ * @returns {Object|null} Updated escalation, or null if not found
+ */
+export const updateEscalationStatus = async (escalationId, collegeId, actorId, status, note = null) => {
+  const { data: current, error: fetchError } = await supabase
+    .from('escalations')
+    .select('*')
+    .eq('id', escalationId)
+    .eq('college_id', collegeId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!current) return null;
+
+  if (!STATUS_TRANSITIONS[current.status].includes(status)) {
+    throw escalationError(`Cannot move escalation from ${current.status} to ${status}`, 409);
+  }
+
+  const now = new Date().toISOString();
+  const updates = { status, updated_at: now, [STATUS_TIMESTAMPS[status]]: now };
+  if (!current.assigned_to) {
+    updates.assigned_to = actorId;
+  }
+  if (status === 'resolved') {
+    updates.resolution_note = note;
+  }
+
+  const { data, error } = await supabase
+    .from('escalations')
+    .update(updates)
+    .eq('id', escalationId)
+    .eq('college_id', collegeId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Update escalation status error:', error);
+    throw error;
+  }
+
+  await recordEvent(data, actorId, 'status_changed', {
+    fromStatus: current.status,
+    toStatus: status,
+    note
+  });
+
+  return data;
+};
+
+// ==================== AI CHAT CRISIS DETECTIONS ====================
+
+/**
+ * Log a crisis detection from AI chat/voice for counsellor follow-up.
+ * Imminent detections also open an urgent escalation and notify staff.
+ * @param {Object} params
+ * @param {string} params.userId - Student's user ID
+ * @param {string} params.collegeId - Student's college ID
+ * @param {string} params.conversationId - AI conversation ID (optional)
+ * @param {string} params.messageId - Stored ai_messages ID (optional)
+ * @param {string} params.source - 'chat' or 'voice'
+ * @param {Object} params.detection - Output of detectCrisis
+ * @param {string} params.text - The message that triggered detection
+ * @param {Object} params.io - Socket.io server instance (optional)
+ * @returns {Object|null} Stored detection row, or null when level is 'none'
+ */
+export const recordCrisisDetection = async ({
+  userId,
+  collegeId,
+  conversationId = null,
+  messageId = null,
+  source,
+  detection,
+  text,
+  io = null
+}) => {
+  if (!detection || detection.level === 'none') return null;
+
+  const phrases = detection.matches.map((m) => m.phrase);
+  console.warn(`[Crisis] ${detection.level} (${detection.confidence}) in ${source} for user ${userId}: ${JSON.stringify(phrases)}`);
+
+  let escalation = null;
+  if (detection.level === 'imminent' && collegeId) {
+    [escalation] = await createEscalations({
+      studentId: userId,
+      collegeId,
+      source: 'ai_chat',
+      triggers: [{
+        ruleId: `${source}_imminent`,
+        riskLevel: 'urgent',
+        reason: `AI ${source}: imminent crisis language detected (${phrases.join(', ')})`
+      }]
+    });
+    notifyEscalations(io, [escalation]);
+  }
+
+  const { data, error } = await supabase
+    .from('crisis_detections')
+    .insert({
+      user_id: userId,
+      college_id: collegeId,
+      conversation_id: conversationId,
+      message_id: messageId,
+      escalation_id: escalation?.id || null,
+      source,
+      level: detection.level,
+      confidence: detection.confidence,
+      matched_phrases: detection.matches,
+      context_markers: detection.contextMarkers,
+      message_excerpt: String(text || '').slice(0, 500)
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Record crisis detection error:', error);
+    throw error;
+  }
+
+  return data;
+};
+
+export default {
+  ESCALATION_STATUSES,
+  evaluateAssessmentRisk,
+  createEscalations,
+  notifyEscalations,
+  listEscalations,
+  getEscalationById,
+  claimEscalation,
+  updateEscalationStatus,
+  recordCrisisDetection
+};
@@ -0,0 +1,70 @@
+import { getAssessmentGuidance } from '../config/gemini.js';
+import { getRuleBasedGuidance } from '../utils/guidanceLibrary.js';
+
+/**
+ * Guidance Service
+ * Produces the guidance text and recommended actions shown with an assessment
+ * result. A provider is `{ name, getGuidance({ formType, responses, score, severityLevel, language }) }`
+ * resolving to `{ guidance, recommendedActions }`.
+ *
+ * The LLM provider is tried first; if it is not configured, times out or
+ * returns invalid JSON the rule-based provider answers instead, so guidance
+ * is always available. Set GUIDANCE_PROVIDER=rules to skip the LLM entirely.
+ */
+
+export const llmGuidanceProvider = {
+  name: 'llm',
+  getGuidance: getAssessmentGuidance
+};
+
+export const ruleBasedGuidanceProvider = {
+  name: 'rules',
+  getGuidance: async ({ formType, severityLevel, language }) => getRuleBasedGuidance(formType, severityLevel, language)
+};
+
+/**
+ * Create a guidance service from a primary and a fallback provider
+ * @param {Object} options
+ * @param {Object|null} options.primary - Provider tried first (null to use the fallback only)
+ * @param {Object} options.fallback - Provider used when the primary fails; must not throw
+ * @returns {Object} { getGuidance(params) => { guidance, recommendedActions, source, fallbackReason } }
+ */
+export const createGuidanceService = ({
+  primary = llmGuidanceProvider,
+  fallback = ruleBasedGuidanceProvider
+} = {}) => ({
+  getGuidance: async (params) => {
+    let fallbackReason = null;
+
+    if (primary) {
+      try {
+        const result = await primary.getGuidance(params);
+        return { ...result, source: primary.name, fallbackReason };
+      } catch (error) {
+        fallbackReason = error.code || 'GUIDANCE_REQUEST_FAILED';
+        console.warn(`Guidance provider "${primary.name}" failed (${fallbackReason}): ${error.message}`);
+      }
+    }
+
+    const result = await fallback.getGuidance(params);
+    return { ...result, source: fallback.name, fallbackReason };
+  }
+});
+
+const defaultService = createGuidanceService({
+  primary: process.env.GUIDANCE_PROVIDER === 'rules' ? null : llmGuidanceProvider
+});
+
+/**
+ * Guidance for an assessment result using the configured providers
+ * @param {Object} params - { formType, responses, score, severityLevel, language }
+ * @returns {Promise<Object>} { guidance, recommendedActions, source, fallbackReason }
+ */
+export const getGuidance = (params) => defaultService.getGuidance(params);
+
+export default {
+  llmGuidanceProvider,
+  ruleBasedGuidanceProvider,
+  createGuidanceService,
+  getGuidance
+};
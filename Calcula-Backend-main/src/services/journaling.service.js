@@ -1,5 +1,6 @@
 import { supabase } from "../config/supabase.js";
 import { formatSupabaseError } from "../utils/response.js";
+import { detectMood } from "../utils/moodDetector.js";
 
 /**
  * Journaling Service
@@ -8,7 +9,31 @@ import { formatSupabaseError } from "../utils/response.js";
  */
 
 export class JournalingService {
-  
+
+  // ==================== MOOD ====================
+
+  /**
+   * Text of a daily check-in that mood detection reads
+   * @param {Object} checkin - Daily check-in fields
+   * @returns {string}
+   */
+  static dailyCheckinMoodText(checkin) {
+    const { feelings_space, todays_reflection, challenges_faced, positive_moments } = checkin || {};
+    return [feelings_space, todays_reflection, ...(challenges_faced || []), ...(positive_moments || [])]
+      .filter((part) => typeof part === 'string' && part.trim())
+      .join('\n');
+  }
+
+  /**
+   * Mood columns for journal text (both null when no mood is detected)
+   * @param {string} text
+   * @returns {Promise<Object>} { mood_label, mood_score }
+   */
+  static async moodColumns(text) {
+    const mood = await detectMood(text);
+    return { mood_label: mood?.label?.toLowerCase() ?? null, mood_score: mood?.score ?? null };
+  }
+
   // ==================== DAILY CHECK-IN METHODS ====================
   
   /**
@@ -37,6 +62,7 @@ export class JournalingService {
         todays_reflection,
         intentions_tomorrow,
         feelings_space,
+        ...(await this.moodColumns(this.dailyCheckinMoodText(data))),
         updated_at: new Date().toISOString()
       }, {
         onConflict: 'student_id,date',
@@ -278,7 +304,8 @@ export class JournalingService {
         date,
         whats_on_mind,
         positive_reframe,
-        is_ai_generated
+        is_ai_generated,
+        ...(await this.moodColumns(whats_on_mind))
       })
       .select()
       .single();
@@ -302,6 +329,7 @@ export class JournalingService {
     
     if (data.whats_on_mind !== undefined) {
       updateData.whats_on_mind = data.whats_on_mind;
+      Object.assign(updateData, await this.moodColumns(data.whats_on_mind));
     }
     if (data.positive_reframe !== undefined) {
       updateData.positive_reframe = data.positive_reframe;
@@ -0,0 +1,303 @@
+import path from 'path';
+import mammoth from 'mammoth';
+import { PDFParse } from 'pdf-parse';
+import { supabaseAdmin } from '../config/supabase.js';
+import { replaceKnowledgeChunks, deleteKnowledgeSource } from '../utils/vectorStore.js';
+import { estimateTokens } from '../utils/tokenBudget.js';
+
+/**
+ * Knowledge Ingestion Service
+ * Feeds the resources counsellors upload into the AI companion's knowledge
+ * base: extract the text (PDF, DOCX, TXT), split it into overlapping chunks,
+ * embed them and store them in knowledge_embeddings with source_type
+ * 'counsellor_resource' and source_id = the resource ID, scoped to its college.
+ *
+ * Indexing runs in the background after an upload or a metadata change, one
+ * run per resource at a time, and records the outcome on the resource
+ * (index_status pending | indexed | unsupported | failed). Other file types
+ * (slides, video, images, legacy .doc) are marked unsupported.
+ */
+
+export const RESOURCE_SOURCE_TYPE = 'counsellor_resource';
+export const EXTRACTABLE_TYPES = ['pdf', 'docx', 'txt', 'md'];
+
+const BUCKET = 'counsellor-resources';
+const CHUNK_TOKENS = 400;
+const OVERLAP_TOKENS = 60;
+const MAX_CHUNKS = 200; // ~80k tokens; the rest of a very long document is left out
+const LINK_TTL_SECONDS = 7 * 24 * 60 * 60; // Links end up in saved replies
+
+// Resource ID -> promise of the run in progress
+const indexingRuns = new Map();
+
+// ==================== EXTRACTION ====================
+
+/**
+ * Plain text of a document
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - Extension without the dot
+ * @returns {Promise<string|null>} Text, or null for unsupported types
+ */
+export const extractText = async (buffer, fileType) => {
+  switch (fileType) {
+    case 'pdf': {
+      const parser = new PDFParse({ data: buffer });
+      try {
+        const { text } = await parser.getText();
+        // Drop the "-- 1 of 3 --" page markers pdf-parse puts between pages
+        return text.replace(/^-- \d+ of \d+ --$/gm, '');
+      } finally {
+        await parser.destroy();
+      }
+    }
+    case 'docx': {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return value;
+    }
+    case 'txt':
+    case 'md':
+      return buffer.toString('utf8');
+    default:
+      return null;
+  }
+};
+
+// Keep paragraph breaks, drop the rest of the layout whitespace
+const normalizeText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\f\v]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// ==================== CHUNKING ====================
+
+const SENTENCE_PATTERN = /[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g;
+
+// Paragraphs, split further into sentences (or hard-cut) when longer than a chunk
+const splitPieces = (text, chunkTokens) => {
+  const maxChars = chunkTokens * 4;
+  const pieces = [];
+
+  text.split(/\n{2,}/).forEach((paragraph) => {
+    const flat = paragraph.replace(/\s+/g, ' ').trim();
+    if (!flat) return;
+    if (estimateTokens(flat) <= chunkTokens) {
+      pieces.push(flat);
+      return;
+    }
+
+    (flat.match(SENTENCE_PATTERN) || [flat]).forEach((sentence) => {
+      const trimmed = sentence.trim();
+      if (!trimmed) return;
+      if (estimateTokens(trimmed) <= chunkTokens) {
+        pieces.push(trimmed);
+        return;
+      }
+      for (let i = 0; i < trimmed.length; i += maxChars) {
+        pieces.push(trimmed.slice(i, i + maxChars));
+      }
+    });
+  });
+
+  return pieces;
+};
+
+// The end of a chunk, repeated at the start of the next one
+const overlapFrom = (pieces, overlapTokens) => {
+  const overlap = [];
+  for (let i = pieces.length - 1; i >= 0; i--) {
+    if (estimateTokens([pieces[i], ...overlap].join(' ')) > overlapTokens) break;
+    overlap.unshift(pieces[i]);
+  }
+  if (overlap.length > 0 || pieces.length === 0) return overlap;
+
+  // Last piece is longer than the overlap: take its last words
+  const words = pieces[pieces.length - 1].split(' ');
+  const tail = [];
+  while (words.length > 0 && estimateTokens([words[words.length - 1], ...tail].join(' ')) <= overlapTokens) {
+    tail.unshift(words.pop());
+  }
+  return tail.length > 0 ? [tail.join(' ')] : [];
+};
+
+/**
+ * Split text into chunks of about `chunkTokens`, each starting with the last
+ * `overlapTokens` of the previous one. Chunks follow paragraph and sentence
+ * boundaries where they can.
+ * @param {string} text
+ * @param {Object} options - { chunkTokens, overlapTokens }
+ * @returns {Array<string>} Chunks in document order
+ */
+export const chunkText = (text, { chunkTokens = CHUNK_TOKENS, overlapTokens = OVERLAP_TOKENS } = {}) => {
+  const chunks = [];
+  let current = [];
+
+  for (const piece of splitPieces(normalizeText(text || ''), chunkTokens)) {
+    if (current.length > 0 && estimateTokens([...current, piece].join(' ')) > chunkTokens) {
+      chunks.push(current.join(' '));
+      current = overlapFrom(current, overlapTokens);
+      while (current.length > 0 && estimateTokens([...current, piece].join(' ')) > chunkTokens) {
+        current.shift();
+      }
+    }
+    current.push(piece);
+  }
+
+  if (current.length > 0) chunks.push(current.join(' '));
+  return chunks;
+};
+
+// ==================== INDEXING ====================
+
+const fileTypeOf = (resource) =>
+  (resource.file_type || path.extname(resource.original_filename || '').substring(1)).toLowerCase();
+
+const downloadResourceFile = async (filePath) => {
+  const { data, error } = await supabaseAdmin.storage.from(BUCKET).download(filePath);
+  if (error) throw new Error(`Failed to download resource file: ${error.message}`);
+  return Buffer.from(await data.arrayBuffer());
+};
+
+// Indexing status is informational; failing to record it must not fail the run
+const setIndexStatus = async (resourceId, status) => {
+  const { error } = await supabaseAdmin
+    .from('counsellor_resources')
+    .update(status)
+    .eq('id', resourceId);
+
+  if (error) console.error('[Knowledge] Failed to record index status:', error.message);
+};
+
+const runIndexing = async (resource, buffer) => {
+  const fileType = fileTypeOf(resource);
+
+  try {
+    if (!EXTRACTABLE_TYPES.includes(fileType)) {
+      await deleteKnowledgeSource({ sourceType: RESOURCE_SOURCE_TYPE, sourceId: resource.id });
+      await setIndexStatus(resource.id, { index_status: 'unsupported', index_error: null, chunk_count: 0, indexed_at: null });
+      return { status: 'unsupported', chunks: 0 };
+    }
+
+    const data = buffer || await downloadResourceFile(resource.file_path);
+    const text = await extractText(data, fileType);
+    const chunks = chunkText([resource.description, text].filter(Boolean).join('\n\n')).slice(0, MAX_CHUNKS);
+
+    if (chunks.length === 0) {
+      throw new Error('No text could be extracted (scanned documents are not supported)');
+    }
+
+    const count = await replaceKnowledgeChunks({
+      sourceType: RESOURCE_SOURCE_TYPE,
+      sourceId: resource.id,
+      collegeId: resource.college_id,
+      title: resource.resource_name,
+      chunks,
+      metadata: {
+        counsellor_id: resource.counsellor_id,
+        file_path: resource.file_path,
+        file_type: fileType,
+        original_filename: resource.original_filename
+      }
+    });
+
+    await setIndexStatus(resource.id, {
+      index_status: 'indexed',
+      index_error: null,
+      chunk_count: count,
+      indexed_at: new Date().toISOString()
+    });
+    console.log(`[Knowledge] Indexed resource ${resource.id} (${count} chunks)`);
+    return { status: 'indexed', chunks: count };
+  } catch (error) {
+    console.error(`[Knowledge] Failed to index resource ${resource.id}:`, error.message);
+    await setIndexStatus(resource.id, { index_status: 'failed', index_error: error.message.substring(0, 500) });
+    return { status: 'failed', chunks: 0, error: error.message };
+  }
+};
+
+/**
+ * Index (or re-index) a resource into the knowledge base. Runs for the same
+ * resource are queued, so a quick edit after an upload is indexed after it.
+ * Never throws; the outcome is also recorded on the resource.
+ * @param {Object} resource - counsellor_resources row
+ * @param {Object} options - { buffer } file contents, to skip the storage download
+ * @returns {Promise<Object>} { status, chunks, error }
+ */
+export const indexResource = (resource, { buffer = null } = {}) => {
+  const previous = indexingRuns.get(resource.id) || Promise.resolve();
+  const run = previous.then(() => runIndexing(resource, buffer));
+
+  indexingRuns.set(resource.id, run);
+  run.finally(() => {
+    if (indexingRuns.get(resource.id) === run) indexingRuns.delete(resource.id);
+  });
+  return run;
+};
+
+/**
+ * Remove a resource from the knowledge base
+ * @param {string} resourceId - counsellor_resources ID
+ * @returns {Promise<number>} Chunks removed
+ */
+export const removeResource = async (resourceId) => {
+  // Let an indexing run in progress finish first so it cannot re-add chunks
+  await indexingRuns.get(resourceId);
+  return deleteKnowledgeSource({ sourceType: RESOURCE_SOURCE_TYPE, sourceId: resourceId });
+};
+
+// ==================== CITATIONS ====================
+
+const resourceLink = async (filePath) => {
+  const { data, error } = await supabaseAdmin.storage
+    .from(BUCKET)
+    .createSignedUrl(filePath, LINK_TTL_SECONDS);
+
+  if (!error) return data.signedUrl;
+
+  console.error('[Knowledge] Signed URL error:', error.message);
+  const { data: publicUrlData } = supabaseAdmin.storage.from(BUCKET).getPublicUrl(filePath);
+  return publicUrlData?.publicUrl || null;
+};
+
+/**
+ * Add download links to retrieved counsellor-resource chunks, for the prompt
+ * (formatRAGContext prints them) and for the client to show as sources
+ * @param {Array} knowledgeItems - From searchKnowledge
+ * @returns {Promise<Object>} { items, sources } - sources: [{ resourceId, title, url }], one per resource
+ */
+export const attachResourceLinks = async (knowledgeItems) => {
+  const links = new Map();
+  const sources = [];
+
+  const items = await Promise.all(knowledgeItems.map(async (item) => {
+    const filePath = item.metadata?.file_path;
+    if (item.source_type !== RESOURCE_SOURCE_TYPE || !filePath) return item;
+
+    if (!links.has(filePath)) {
+      links.set(filePath, resourceLink(filePath).catch((error) => {
+        console.error('[Knowledge] Failed to create resource link:', error.message);
+        return null;
+      }));
+    }
+    return { ...item, download_url: await links.get(filePath) };
+  }));
+
+  items.forEach((item) => {
+    if (item.download_url && !sources.some((s) => s.resourceId === item.source_id)) {
+      sources.push({ resourceId: item.source_id, title: item.title, url: item.download_url });
+    }
+  });
+
+  return { items, sources };
+};
+
+export default {
+  RESOURCE_SOURCE_TYPE,
+  EXTRACTABLE_TYPES,
+  extractText,
+  chunkText,
+  indexResource,
+  removeResource,
+  attachResourceLinks
+};
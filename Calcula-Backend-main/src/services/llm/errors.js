@@ -0,0 +1,32 @@
+/**
+ * LLM provider errors
+ * Every provider throws errors created here so callers can branch on `code`
+ * without knowing which SDK sits underneath.
+ */
+
+export const LLM_ERROR_CODES = {
+  NOT_CONFIGURED: 'LLM_NOT_CONFIGURED',
+  UNSUPPORTED: 'LLM_UNSUPPORTED',
+  TIMEOUT: 'LLM_TIMEOUT',
+  ABORTED: 'LLM_ABORTED',
+  REQUEST_FAILED: 'LLM_REQUEST_FAILED',
+  INVALID_RESPONSE: 'LLM_INVALID_RESPONSE'
+};
+
+/**
+ * Create a provider error
+ * @param {string} code - One of LLM_ERROR_CODES
+ * @param {string} message - Error message
+ * @param {Object} details - { provider, status, cause }
+ * @returns {Error} Error with `code`, `provider` and (when known) HTTP `status`
+ */
+export const llmError = (code, message, { provider, status, cause } = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  if (provider) error.provider = provider;
+  if (status) error.status = status;
+  if (cause) error.cause = cause;
+  return error;
+};
+
+export default { LLM_ERROR_CODES, llmError };
@@ -0,0 +1,280 @@
+import { GoogleGenerativeAI, GoogleGenerativeAIFetchError } from '@google/generative-ai';
+import { LLM_ERROR_CODES, llmError } from './errors.js';
+
+/**
+ * Google Gemini provider (@google/generative-ai)
+ * Takes the same OpenAI-style messages as the other providers: system
+ * messages become the system instruction and `assistant` turns are sent as
+ * `model` turns.
+ */
+
+const TRANSCRIBE_PROMPT =
+  'Transcribe this audio exactly as spoken. Return only the transcript, with no commentary.';
+
+// Parts of one message: tool calls become functionCall parts of the model
+// turn and tool results functionResponse parts of a `function` turn
+const toGeminiParts = (m) => {
+  if (m.role === 'tool') {
+    let response;
+    try {
+      response = JSON.parse(m.content);
+    } catch {
+      response = m.content;
+    }
+    return [{ functionResponse: { name: m.name, response: { result: response } } }];
+  }
+
+  const parts = m.content || !m.toolCalls?.length ? [{ text: m.content }] : [];
+  (m.toolCalls || []).forEach((call) => {
+    parts.push({ functionCall: { name: call.name, args: call.arguments ?? {} } });
+  });
+  return parts;
+};
+
+const GEMINI_ROLES = { assistant: 'model', tool: 'function' };
+
+/**
+ * Convert OpenAI-style messages into Gemini contents. Consecutive turns from
+ * the same side are merged because Gemini expects user/model alternation.
+ */
+const toGeminiRequest = (messages) => {
+  const system = messages
+    .filter((m) => m.role === 'system')
+    .map((m) => m.content)
+    .join('\n\n');
+
+  const contents = [];
+  messages
+    .filter((m) => m.role !== 'system')
+    .forEach((m) => {
+      const role = GEMINI_ROLES[m.role] || 'user';
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts.push(...toGeminiParts(m));
+      } else {
+        contents.push({ role, parts: toGeminiParts(m) });
+      }
+    });
+
+  return { systemInstruction: system || undefined, contents };
+};
+
+const toGeminiTools = (tools) => (tools?.length
+  ? [{ functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parameters })) }]
+  : undefined);
+
+// Gemini function calls have no ids; number them so results can be matched
+const toToolCalls = (functionCalls, offset = 0) => (functionCalls || []).map((call, i) => ({
+  id: `call_${offset + i}`,
+  name: call.name,
+  arguments: call.args && typeof call.args === 'object' ? call.args : null
+}));
+
+/**
+ * Create a Gemini provider
+ * @param {Object} config
+ * @param {string} config.apiKey - GEMINI_API_KEY
+ * @param {string} config.chatModel - Default model for chat and transcription
+ * @param {string} config.embeddingModel - Default embedding model
+ * @returns {Object} Provider
+ */
+export const createGeminiProvider = ({ name = 'gemini', apiKey, chatModel, embeddingModel }) => {
+  const client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+
+  const requireClient = () => {
+    if (!client) {
+      throw llmError(LLM_ERROR_CODES.NOT_CONFIGURED, `${name} provider is not configured`, { provider: name });
+    }
+    return client;
+  };
+
+  // The SDK reports timeouts and cancellation as generic fetch errors, so
+  // tell them apart from the signal and the elapsed time
+  const call = async (fn, { timeoutMs, signal }) => {
+    const startedAt = Date.now();
+    try {
+      return await fn(timeoutMs ? { timeout: timeoutMs, signal } : { signal });
+    } catch (error) {
+      if (Object.values(LLM_ERROR_CODES).includes(error.code)) throw error;
+      if (signal?.aborted) {
+        throw llmError(LLM_ERROR_CODES.ABORTED, 'Request was cancelled', { provider: name, cause: error });
+      }
+      if (timeoutMs && Date.now() - startedAt >= timeoutMs) {
+        throw llmError(LLM_ERROR_CODES.TIMEOUT, 'Request timed out', { provider: name, cause: error });
+      }
+      throw llmError(LLM_ERROR_CODES.REQUEST_FAILED, error.message, {
+        provider: name,
+        status: error instanceof GoogleGenerativeAIFetchError ? error.status : undefined,
+        cause: error
+      });
+    }
+  };
+
+  const readText = (response, { trim = true } = {}) => {
+    try {
+      const text = response.text();
+      return trim ? text.trim() : text;
+    } catch (error) {
+      // Blocked or empty candidates
+      throw llmError(LLM_ERROR_CODES.INVALID_RESPONSE, error.message, { provider: name, cause: error });
+    }
+  };
+
+  const readToolCalls = (response, offset) => {
+    try {
+      return toToolCalls(response.functionCalls(), offset);
+    } catch (error) {
+      throw llmError(LLM_ERROR_CODES.INVALID_RESPONSE, error.message, { provider: name, cause: error });
+    }
+  };
+
+  /**
+   * Chat completion (same parameters as the OpenAI provider)
+   * @returns {Promise<Object>} { text, toolCalls, model, provider, usage }
+   */
+  const chat = async ({ messages, model, temperature, maxTokens, json = false, tools, timeoutMs, signal }) => {
+    const { systemInstruction, contents } = toGeminiRequest(messages);
+    const modelName = model || chatModel;
+    const generationConfig = {};
+    if (temperature !== undefined) generationConfig.temperature = temperature;
+    if (maxTokens) generationConfig.maxOutputTokens = maxTokens;
+    if (json) generationConfig.responseMimeType = 'application/json';
+
+    const generativeModel = requireClient().getGenerativeModel({
+      model: modelName,
+      systemInstruction,
+      generationConfig,
+      tools: toGeminiTools(tools)
+    });
+    const result = await call(
+      (options) => generativeModel.generateContent({ contents }, options),
+      { timeoutMs, signal }
+    );
+
+    const usage = result.response.usageMetadata || {};
+    return {
+      text: readText(result.response),
+      toolCalls: readToolCalls(result.response),
+      model: modelName,
+      provider: name,
+      usage: {
+        promptTokens: usage.promptTokenCount ?? null,
+        completionTokens: usage.candidatesTokenCount ?? null,
+        totalTokens: usage.totalTokenCount ?? null
+      }
+    };
+  };
+
+  /**
+   * Streaming chat completion (same parameters as the OpenAI provider)
+   * @returns {Promise<Object>} { text, toolCalls, model, provider, usage } once the stream ends
+   */
+  const chatStream = async ({ messages, model, temperature, maxTokens, json = false, tools, onDelta = () => {}, timeoutMs, signal }) => {
+    const { systemInstruction, contents } = toGeminiRequest(messages);
+    const modelName = model || chatModel;
+    const generationConfig = {};
+    if (temperature !== undefined) generationConfig.temperature = temperature;
+    if (maxTokens) generationConfig.maxOutputTokens = maxTokens;
+    if (json) generationConfig.responseMimeType = 'application/json';
+
+    const generativeModel = requireClient().getGenerativeModel({
+      model: modelName,
+      systemInstruction,
+      generationConfig,
+      tools: toGeminiTools(tools)
+    });
+
+    let text = '';
+    const toolCalls = [];
+    const response = await call(async (options) => {
+      const result = await generativeModel.generateContentStream({ contents }, options);
+      for await (const chunk of result.stream) {
+        // Untrimmed: whitespace at chunk edges separates words
+        const delta = readText(chunk, { trim: false });
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        toolCalls.push(...readToolCalls(chunk, toolCalls.length));
+      }
+      return result.response;
+    }, { timeoutMs, signal });
+
+    const usage = response.usageMetadata || {};
+    return {
+      text: text.trim(),
+      toolCalls,
+      model: modelName,
+      provider: name,
+      usage: {
+        promptTokens: usage.promptTokenCount ?? null,
+        completionTokens: usage.candidatesTokenCount ?? null,
+        totalTokens: usage.totalTokenCount ?? null
+      }
+    };
+  };
+
+  /**
+   * Embeddings
+   * @returns {Promise<Object>} { embeddings: number[][], model, provider, usage }
+   */
+  const embed = async ({ input, model, timeoutMs, signal }) => {
+    const modelName = model || embeddingModel;
+    const texts = Array.isArray(input) ? input : [input];
+    const generativeModel = requireClient().getGenerativeModel({ model: modelName });
+
+    const result = await call(
+      (options) => generativeModel.batchEmbedContents({
+        requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] } }))
+      }, options),
+      { timeoutMs, signal }
+    );
+
+    const embeddings = (result.embeddings || []).map((e) => e.values);
+    if (embeddings.length !== texts.length || embeddings.some((e) => !Array.isArray(e))) {
+      throw llmError(LLM_ERROR_CODES.INVALID_RESPONSE, 'Invalid embedding response', { provider: name });
+    }
+
+    return { embeddings, model: modelName, provider: name, usage: { promptTokens: null } };
+  };
+
+  /**
+   * Speech to text, by sending the audio inline to the chat model
+   * @returns {Promise<Object>} { text, model, provider }
+   */
+  const transcribe = async ({ audio, mimeType = 'audio/webm', language, model, timeoutMs, signal }) => {
+    const modelName = model || chatModel;
+    const prompt = language ? `${TRANSCRIBE_PROMPT} The audio is in language "${language}".` : TRANSCRIBE_PROMPT;
+    const generativeModel = requireClient().getGenerativeModel({ model: modelName });
+
+    const result = await call(
+      (options) => generativeModel.generateContent([
+        { inlineData: { mimeType, data: Buffer.from(audio).toString('base64') } },
+        { text: prompt }
+      ], options),
+      { timeoutMs, signal }
+    );
+
+    return { text: readText(result.response), model: modelName, provider: name };
+  };
+
+  /**
+   * Text to speech is not offered by @google/generative-ai; use
+   * LLM_SPEECH_PROVIDER to serve it from another backend
+   */
+  const speak = async () => {
+    throw llmError(LLM_ERROR_CODES.UNSUPPORTED, `${name} provider does not support text to speech`, { provider: name });
+  };
+
+  return {
+    name,
+    isConfigured: () => Boolean(client),
+    chat,
+    chatStream,
+    embed,
+    transcribe,
+    speak
+  };
+};
+
+export default createGeminiProvider;
@@ -0,0 +1,226 @@
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createMockProvider } from './mockProvider.js';
+import { LLM_ERROR_CODES, llmError } from './errors.js';
+
+/**
+ * LLM Provider Layer
+ * The single entry point for chat, embeddings, transcription and speech.
+ * Callers use `chat`, `embed`, `transcribe` and `speak` from here and never
+ * construct SDK clients.
+ *
+ * Every provider implements:
+ *   chat({ messages, model, temperature, maxTokens, json, tools, timeoutMs, maxRetries, signal })
+ *     -> { text, toolCalls, model, provider, usage: { promptTokens, completionTokens, totalTokens } }
+ *   chatStream({ ...same as chat, onDelta })
+ *     -> calls onDelta(text) per fragment, then resolves like chat
+ *   embed({ input, model, timeoutMs, signal })
+ *     -> { embeddings: number[][], model, provider, usage }
+ *   transcribe({ audio, filename, mimeType, language, model, timeoutMs, signal })
+ *     -> { text, model, provider }
+ *   speak({ text, voice, speed, format, model, timeoutMs, signal })
+ *     -> { audio: Buffer, mimeType, format, voice, model, provider }
+ * and throws errors from ./errors.js (`code` is one of LLM_ERROR_CODES).
+ *
+ * Function calling: `tools` is [{ name, description, parameters }] with a
+ * JSON schema for the parameters. Calls the model wants made come back as
+ * toolCalls [{ id, name, arguments }] (arguments is null if unparseable). To
+ * continue, append { role: 'assistant', content, toolCalls } and one
+ * { role: 'tool', toolCallId, name, content } per call, then call chat again.
+ *
+ * Backends: openai, gemini, local (any OpenAI-compatible server) and mock.
+ * LLM_PROVIDER picks the backend; LLM_CHAT_PROVIDER, LLM_EMBEDDING_PROVIDER,
+ * LLM_TRANSCRIPTION_PROVIDER and LLM_SPEECH_PROVIDER override it per
+ * capability. Providers are
+ * built on first use so environment variables loaded at startup apply.
+ *
+ * Usage: listeners added with onUsage() are told about every successful call
+ * ({ capability, params, result }), e.g. to meter tokens per user.
+ */
+
+export { LLM_ERROR_CODES, llmError } from './errors.js';
+export { createOpenAIProvider } from './openaiProvider.js';
+export { createGeminiProvider } from './geminiProvider.js';
+export { createMockProvider } from './mockProvider.js';
+
+export const CAPABILITIES = ['chat', 'embed', 'transcribe', 'speak'];
+
+const CAPABILITY_ENV = {
+  chat: 'LLM_CHAT_PROVIDER',
+  embed: 'LLM_EMBEDDING_PROVIDER',
+  transcribe: 'LLM_TRANSCRIPTION_PROVIDER',
+  speak: 'LLM_SPEECH_PROVIDER'
+};
+
+const PROVIDER_FACTORIES = {
+  openai: () => createOpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    chatModel: process.env.OPENAI_MODEL || 'gpt-4.1-mini',
+    embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-large',
+    embeddingDimensions: Number(process.env.LLM_EMBEDDING_DIMENSIONS) || undefined,
+    transcriptionModel: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+    speechModel: process.env.OPENAI_TTS_MODEL || 'tts-1'
+  }),
+  gemini: () => createGeminiProvider({
+    name: 'gemini',
+    apiKey: process.env.GEMINI_API_KEY,
+    chatModel: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    embeddingModel: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+  }),
+  local: () => createOpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    chatModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    embeddingModel: process.env.LOCAL_LLM_EMBEDDING_MODEL || 'nomic-embed-text',
+    transcriptionModel: process.env.LOCAL_LLM_TRANSCRIPTION_MODEL || 'whisper-1',
+    speechModel: process.env.LOCAL_LLM_TTS_MODEL || 'tts-1'
+  }),
+  mock: () => createMockProvider({
+    embeddingDimensions: Number(process.env.LLM_EMBEDDING_DIMENSIONS) || undefined
+  })
+};
+
+// Providers built from the environment, by name
+const builtProviders = new Map();
+
+// Providers installed with setProvider(), by capability
+const overrides = new Map();
+
+// onUsage() listeners
+const usageListeners = new Set();
+
+const buildProvider = (name) => {
+  if (!builtProviders.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw llmError(LLM_ERROR_CODES.NOT_CONFIGURED, `Unknown LLM provider "${name}"`, { provider: name });
+    }
+    builtProviders.set(name, factory());
+  }
+  return builtProviders.get(name);
+};
+
+/**
+ * Name of the backend configured for a capability
+ * @param {string} capability - 'chat' | 'embed' | 'transcribe' | 'speak'
+ * @returns {string} Provider name
+ */
+export const configuredProviderName = (capability) =>
+  (process.env[CAPABILITY_ENV[capability]] || process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+
+/**
+ * Provider serving a capability
+ * @param {string} capability - 'chat' | 'embed' | 'transcribe' | 'speak'
+ * @returns {Object} Provider
+ */
+export const getProvider = (capability) => {
+  if (!CAPABILITIES.includes(capability)) {
+    throw new Error(`Unknown LLM capability "${capability}"`);
+  }
+  return overrides.get(capability) || buildProvider(configuredProviderName(capability));
+};
+
+/**
+ * Replace the provider for some or all capabilities, e.g. a mock in a script
+ * @param {Object} provider - Provider object
+ * @param {string[]} capabilities - Capabilities to serve (default: all)
+ */
+export const setProvider = (provider, capabilities = CAPABILITIES) => {
+  capabilities.forEach((capability) => overrides.set(capability, provider));
+};
+
+/**
+ * Drop setProvider() overrides and rebuild providers from the environment
+ */
+export const resetProviders = () => {
+  overrides.clear();
+  builtProviders.clear();
+};
+
+/**
+ * Whether the provider for a capability has the credentials it needs
+ * @param {string} capability - 'chat' | 'embed' | 'transcribe' | 'speak'
+ * @returns {boolean}
+ */
+export const isProviderConfigured = (capability) => {
+  try {
+    return getProvider(capability).isConfigured();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Be told about every successful call, e.g. to meter usage
+ * @param {Function} listener - ({ capability, params, result }) => void; errors are logged, not thrown
+ * @returns {Function} Removes the listener
+ */
+export const onUsage = (listener) => {
+  usageListeners.add(listener);
+  return () => usageListeners.delete(listener);
+};
+
+const reportUsage = (capability, params) => (result) => {
+  usageListeners.forEach((listener) => {
+    try {
+      listener({ capability, params, result });
+    } catch (error) {
+      console.error('[LLM] Usage listener failed:', error.message);
+    }
+  });
+  return result;
+};
+
+/**
+ * Chat completion with the configured provider
+ * @param {Object} params - See the module comment
+ * @returns {Promise<Object>} { text, model, provider, usage }
+ */
+export const chat = (params) => getProvider('chat').chat(params).then(reportUsage('chat', params));
+
+/**
+ * Streaming chat completion with the configured provider
+ * @param {Object} params - chat params plus onDelta(text); abort `signal` to stop the upstream request
+ * @returns {Promise<Object>} { text, model, provider, usage } once the stream ends
+ */
+export const chatStream = (params) => getProvider('chat').chatStream(params).then(reportUsage('chat', params));
+
+/**
+ * Embeddings with the configured provider
+ * @param {Object} params - See the module comment
+ * @returns {Promise<Object>} { embeddings, model, provider, usage }
+ */
+export const embed = (params) => getProvider('embed').embed(params).then(reportUsage('embed', params));
+
+/**
+ * Speech to text with the configured provider
+ * @param {Object} params - See the module comment
+ * @returns {Promise<Object>} { text, model, provider }
+ */
+export const transcribe = (params) =>
+  getProvider('transcribe').transcribe(params).then(reportUsage('transcribe', params));
+
+/**
+ * Text to speech with the configured provider
+ * @param {Object} params - See the module comment
+ * @returns {Promise<Object>} { audio, mimeType, format, voice, model, provider }
+ */
+export const speak = (params) => getProvider('speak').speak(params).then(reportUsage('speak', params));
+
+export default {
+  CAPABILITIES,
+  LLM_ERROR_CODES,
+  configuredProviderName,
+  getProvider,
+  setProvider,
+  resetProviders,
+  isProviderConfigured,
+  onUsage,
+  chat,
+  chatStream,
+  embed,
+  transcribe,
+  speak
+};
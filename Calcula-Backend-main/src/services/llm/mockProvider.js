@@ -0,0 +1,249 @@
+import { createHash } from 'crypto';
+import { LLM_ERROR_CODES, llmError } from './errors.js';
+
+/**
+ * In-process mock provider
+ * Deterministic and offline, so the AI endpoints can be exercised without
+ * network access or API keys (LLM_PROVIDER=mock, or setProvider() in a
+ * script). The same input always gives the same output:
+ *
+ *   chat       - `reply` (string or (messages) => string), else an echo of
+ *                the last user message; chatStream sends it word by word.
+ *                A reply function may also return { text, toolCalls } to
+ *                script tool calls
+ *   embed      - hashed bag-of-words vectors, so texts sharing words are
+ *                similar under cosine distance
+ *   transcribe - `transcript`, else UTF-8 text audio is returned as-is
+ *   speak      - a local text-to-speech stand-in: a mono 16-bit WAV with a
+ *                short tone per word and pauses at punctuation, as long as
+ *                the text would take to say at `speed`. Always WAV, whatever
+ *                `format` asks for
+ *
+ * `latencyMs` delays every call and `tokenDelayMs` every streamed word (both
+ * honour timeoutMs and the abort signal); `failWith` makes every call throw that LLM error code. Each call is
+ * recorded in `calls` for assertions.
+ */
+
+const DEFAULT_DIMENSIONS = 3072;
+
+// Mock speech: ~2.5 words a second at speed 1, like a calm speaking voice
+const SPEECH_SAMPLE_RATE = 8000;
+const SECONDS_PER_LETTER = 0.05;
+const WORD_GAP_SECONDS = 0.08;
+const PAUSE_SECONDS = 0.25;
+
+const wait = (ms, { timeoutMs, signal }, provider) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(llmError(LLM_ERROR_CODES.ABORTED, 'Request was cancelled', { provider }));
+    return;
+  }
+
+  const timers = [setTimeout(done, ms)];
+  if (timeoutMs && timeoutMs < ms) {
+    timers.push(setTimeout(() => fail(LLM_ERROR_CODES.TIMEOUT, 'Request timed out'), timeoutMs));
+  }
+  const onAbort = () => fail(LLM_ERROR_CODES.ABORTED, 'Request was cancelled');
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  function cleanup() {
+    timers.forEach(clearTimeout);
+    signal?.removeEventListener('abort', onAbort);
+  }
+  function done() {
+    cleanup();
+    resolve();
+  }
+  function fail(code, message) {
+    cleanup();
+    reject(llmError(code, message, { provider }));
+  }
+});
+
+const countTokens = (text = '') => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Deterministic unit vector from the words of a text
+ */
+export const mockEmbedding = (text, dimensions = DEFAULT_DIMENSIONS) => {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+
+  words.forEach((word) => {
+    const hash = createHash('sha256').update(word).digest();
+    vector[hash.readUInt32BE(0) % dimensions] += hash[4] & 1 ? 1 : -1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm === 0 ? vector : vector.map((v) => v / norm);
+};
+
+/**
+ * Deterministic WAV "speech" for a text: one tone per word, pitched by a
+ * hash of the word, with silence between words and after punctuation
+ * @param {string} text
+ * @param {Object} options - { speed, sampleRate }
+ * @returns {Buffer} WAV file (mono, 16-bit PCM)
+ */
+export const mockSpeech = (text, { speed = 1, sampleRate = SPEECH_SAMPLE_RATE } = {}) => {
+  const samples = [];
+  const silence = (seconds) => {
+    for (let i = 0; i < Math.round((seconds / speed) * sampleRate); i++) samples.push(0);
+  };
+
+  for (const token of String(text).match(/[\p{L}\p{N}']+|[.,!?;:]/gu) || []) {
+    if (/^[.,!?;:]$/.test(token)) {
+      silence(PAUSE_SECONDS);
+      continue;
+    }
+    const frequency = 180 + (createHash('sha256').update(token.toLowerCase()).digest()[0] % 120);
+    const count = Math.round(((0.1 + token.length * SECONDS_PER_LETTER) / speed) * sampleRate);
+    for (let i = 0; i < count; i++) {
+      const envelope = Math.sin((Math.PI * i) / count);
+      samples.push(Math.round(Math.sin((2 * Math.PI * frequency * i) / sampleRate) * envelope * 8000));
+    }
+    silence(WORD_GAP_SECONDS);
+  }
+
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+};
+
+/**
+ * Create a mock provider
+ * @param {Object} options
+ * @param {string|Function} options.reply - Chat reply, or (messages, params) => reply
+ * @param {string} options.transcript - Fixed transcription result
+ * @param {number} options.embeddingDimensions - Vector size (default 3072, matching pgvector columns)
+ * @param {number} options.latencyMs - Simulated latency per call
+ * @param {number} options.tokenDelayMs - Simulated delay between streamed words
+ * @param {string} options.failWith - LLM error code every call throws
+ * @returns {Object} Provider, plus `calls`
+ */
+export const createMockProvider = ({
+  name = 'mock',
+  reply,
+  transcript,
+  embeddingDimensions = DEFAULT_DIMENSIONS,
+  latencyMs = 0,
+  tokenDelayMs = 0,
+  failWith = null
+} = {}) => {
+  const calls = [];
+
+  const before = async (capability, params) => {
+    calls.push({ capability, params });
+    if (latencyMs > 0 || params.signal?.aborted) await wait(latencyMs, params, name);
+    if (failWith) throw llmError(failWith, `Mock ${capability} failure`, { provider: name });
+  };
+
+  // { text, toolCalls } for a chat call
+  const replyFor = (params) => {
+    let result;
+    if (typeof reply === 'function') result = reply(params.messages, params);
+    else if (typeof reply === 'string') result = reply;
+    else {
+      const lastUser = [...params.messages].reverse().find((m) => m.role === 'user');
+      result = `Mock reply: ${(lastUser?.content || '').slice(0, 200)}`;
+    }
+    return typeof result === 'string' ? { text: result, toolCalls: [] } : { text: '', toolCalls: [], ...result };
+  };
+
+  const chatResult = (params, { text, toolCalls }) => {
+    const promptTokens = params.messages.reduce((sum, m) => sum + countTokens(m.content || ''), 0);
+    const completionTokens = countTokens(text);
+    return {
+      text,
+      toolCalls,
+      model: params.model || 'mock-chat',
+      provider: name,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  };
+
+  const chat = async (params) => {
+    await before('chat', params);
+    return chatResult(params, replyFor(params));
+  };
+
+  const chatStream = async (params) => {
+    await before('chatStream', params);
+
+    const result = replyFor(params);
+    const onDelta = params.onDelta || (() => {});
+    const startedAt = Date.now();
+    for (const delta of result.text.match(/\S+\s*/g) || []) {
+      if (tokenDelayMs > 0 || params.signal?.aborted) {
+        const remaining = params.timeoutMs ? Math.max(params.timeoutMs - (Date.now() - startedAt), 1) : undefined;
+        await wait(tokenDelayMs, { timeoutMs: remaining, signal: params.signal }, name);
+      }
+      onDelta(delta);
+    }
+    return chatResult(params, result);
+  };
+
+  const embed = async (params) => {
+    await before('embed', params);
+
+    const texts = Array.isArray(params.input) ? params.input : [params.input];
+    return {
+      embeddings: texts.map((text) => mockEmbedding(text, embeddingDimensions)),
+      model: params.model || 'mock-embedding',
+      provider: name,
+      usage: { promptTokens: texts.reduce((sum, t) => sum + countTokens(t), 0) }
+    };
+  };
+
+  const transcribe = async (params) => {
+    await before('transcribe', params);
+
+    let text = transcript;
+    if (text === undefined) {
+      const decoded = Buffer.from(params.audio).toString('utf8');
+      text = decoded.includes('\uFFFD') ? `Mock transcript (${params.audio.length} bytes)` : decoded;
+    }
+    return { text: text.trim(), model: params.model || 'mock-transcription', provider: name };
+  };
+
+  const speak = async (params) => {
+    await before('speak', params);
+
+    return {
+      audio: mockSpeech(params.text, { speed: params.speed || 1 }),
+      mimeType: 'audio/wav',
+      format: 'wav',
+      voice: params.voice || 'mock',
+      model: params.model || 'mock-speech',
+      provider: name
+    };
+  };
+
+  return {
+    name,
+    calls,
+    isConfigured: () => true,
+    chat,
+    chatStream,
+    embed,
+    transcribe,
+    speak
+  };
+};
+
+export default createMockProvider;
@@ -0,0 +1,343 @@
+import OpenAI from 'openai';
+import { LLM_ERROR_CODES, llmError } from './errors.js';
+
+/**
+ * OpenAI provider
+ * Also used for local OpenAI-compatible servers (Ollama, LM Studio, vLLM,
+ * llama.cpp) by passing their `baseURL`.
+ */
+
+/**
+ * Map an OpenAI SDK error onto an LLM provider error
+ */
+const toLLMError = (error, provider) => {
+  if (error instanceof OpenAI.APIUserAbortError) {
+    return llmError(LLM_ERROR_CODES.ABORTED, 'Request was cancelled', { provider, cause: error });
+  }
+  if (error instanceof OpenAI.APIConnectionTimeoutError) {
+    return llmError(LLM_ERROR_CODES.TIMEOUT, 'Request timed out', { provider, cause: error });
+  }
+  return llmError(LLM_ERROR_CODES.REQUEST_FAILED, error.message, {
+    provider,
+    status: error.status,
+    cause: error
+  });
+};
+
+// Provider-neutral messages and tools -> Chat Completions format. Assistant
+// turns may carry `toolCalls`; tool results are { role: 'tool', toolCallId, content }.
+const toOpenAIMessages = (messages) => messages.map((m) => {
+  if (m.role === 'assistant' && m.toolCalls?.length) {
+    return {
+      role: 'assistant',
+      content: m.content || null,
+      tool_calls: m.toolCalls.map((call) => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+      }))
+    };
+  }
+  if (m.role === 'tool') {
+    return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+  }
+  return { role: m.role, content: m.content };
+});
+
+const toOpenAITools = (tools) => tools.map((tool) => ({
+  type: 'function',
+  function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+}));
+
+// Arguments arrive as a JSON string; null tells the caller they were unusable
+const parseArguments = (raw) => {
+  try {
+    const parsed = JSON.parse(raw || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+};
+
+const chatBody = ({ model, messages, temperature, maxTokens, json, tools }) => {
+  const body = { model, messages: toOpenAIMessages(messages) };
+  if (temperature !== undefined) body.temperature = temperature;
+  if (maxTokens) body.max_tokens = maxTokens;
+  if (json) body.response_format = { type: 'json_object' };
+  if (tools?.length) body.tools = toOpenAITools(tools);
+  return body;
+};
+
+// Audio formats of the speech endpoint
+export const SPEECH_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/L16'
+};
+
+const requestOptions = ({ timeoutMs, maxRetries, signal }) => {
+  const options = {};
+  if (timeoutMs) options.timeout = timeoutMs;
+  if (maxRetries !== undefined) options.maxRetries = maxRetries;
+  if (signal) options.signal = signal;
+  return options;
+};
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) provider
+ * @param {Object} config
+ * @param {string} config.name - Provider name reported in results and errors
+ * @param {string} config.apiKey - API key (local servers usually accept any value)
+ * @param {string} config.baseURL - API base URL; omit for api.openai.com
+ * @param {string} config.chatModel - Default chat model
+ * @param {string} config.embeddingModel - Default embedding model
+ * @param {number} config.embeddingDimensions - Requested embedding size (text-embedding-3 models only)
+ * @param {string} config.transcriptionModel - Default transcription model
+ * @param {string} config.speechModel - Default text-to-speech model
+ * @returns {Object} Provider
+ */
+export const createOpenAIProvider = ({
+  name = 'openai',
+  apiKey,
+  baseURL,
+  chatModel,
+  embeddingModel,
+  embeddingDimensions,
+  transcriptionModel,
+  speechModel
+}) => {
+  const client = apiKey || baseURL
+    ? new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL ? { baseURL } : {}) })
+    : null;
+
+  const requireClient = () => {
+    if (!client) {
+      throw llmError(LLM_ERROR_CODES.NOT_CONFIGURED, `${name} provider is not configured`, { provider: name });
+    }
+    return client;
+  };
+
+  /**
+   * Chat completion
+   * @param {Object} params
+   * @param {Array} params.messages - [{ role: 'system'|'user'|'assistant'|'tool', content }]
+   * @param {string} params.model - Overrides the default chat model
+   * @param {number} params.temperature
+   * @param {number} params.maxTokens
+   * @param {boolean} params.json - Ask for a JSON object reply
+   * @param {Array} params.tools - [{ name, description, parameters }] the model may call
+   * @param {number} params.timeoutMs - Per-request timeout
+   * @param {number} params.maxRetries - SDK retries (default: SDK default)
+   * @param {AbortSignal} params.signal - Cancels the upstream request
+   * @returns {Promise<Object>} { text, toolCalls, model, provider, usage }
+   */
+  const chat = async ({ messages, model, temperature, maxTokens, json = false, tools, ...options }) => {
+    const openai = requireClient();
+    const body = chatBody({ model: model || chatModel, messages, temperature, maxTokens, json, tools });
+
+    let completion;
+    try {
+      completion = await openai.chat.completions.create(body, requestOptions(options));
+    } catch (error) {
+      throw toLLMError(error, name);
+    }
+
+    const message = completion.choices?.[0]?.message;
+    const toolCalls = (message?.tool_calls || []).map((call) => ({
+      id: call.id,
+      name: call.function?.name,
+      arguments: parseArguments(call.function?.arguments)
+    }));
+    const text = message?.content ?? (toolCalls.length > 0 ? '' : null);
+    if (typeof text !== 'string') {
+      throw llmError(LLM_ERROR_CODES.INVALID_RESPONSE, 'Chat response had no content', { provider: name });
+    }
+
+    return {
+      text: text.trim(),
+      toolCalls,
+      model: completion.model || body.model,
+      provider: name,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens ?? null,
+        completionTokens: completion.usage?.completion_tokens ?? null,
+        totalTokens: completion.usage?.total_tokens ?? null
+      }
+    };
+  };
+
+  /**
+   * Streaming chat completion; same parameters as `chat` plus `onDelta`.
+   * Aborting `signal` closes the upstream HTTP request.
+   * @param {Function} params.onDelta - Called with each text fragment as it arrives
+   * @returns {Promise<Object>} { text, toolCalls, model, provider, usage } once the stream ends
+   */
+  const chatStream = async ({ messages, model, temperature, maxTokens, json = false, tools, onDelta = () => {}, ...options }) => {
+    const openai = requireClient();
+    const body = {
+      ...chatBody({ model: model || chatModel, messages, temperature, maxTokens, json, tools }),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+
+    let text = '';
+    let usage = null;
+    let responseModel = body.model;
+    // Tool calls arrive in fragments keyed by index
+    const partialCalls = [];
+    try {
+      const stream = await openai.chat.completions.create(body, requestOptions(options));
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+        (chunk.choices?.[0]?.delta?.tool_calls || []).forEach((fragment) => {
+          const call = partialCalls[fragment.index] || (partialCalls[fragment.index] = { id: null, name: '', arguments: '' });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        });
+        if (chunk.usage) usage = chunk.usage;
+        if (chunk.model) responseModel = chunk.model;
+      }
+    } catch (error) {
+      throw toLLMError(error, name);
+    }
+
+    // The SDK ends the stream quietly when it is aborted mid-response
+    if (options.signal?.aborted) {
+      throw llmError(LLM_ERROR_CODES.ABORTED, 'Request was cancelled', { provider: name });
+    }
+
+    return {
+      text: text.trim(),
+      toolCalls: partialCalls.filter(Boolean).map((call) => ({
+        id: call.id,
+        name: call.name,
+        arguments: parseArguments(call.arguments)
+      })),
+      model: responseModel,
+      provider: name,
+      usage: {
+        promptTokens: usage?.prompt_tokens ?? null,
+        completionTokens: usage?.completion_tokens ?? null,
+        totalTokens: usage?.total_tokens ?? null
+      }
+    };
+  };
+
+  /**
+   * Embeddings
+   * @param {Object} params
+   * @param {string|string[]} params.input - Text or texts to embed
+   * @param {string} params.model - Overrides the default embedding model
+   * @returns {Promise<Object>} { embeddings: number[][], model, provider, usage }
+   */
+  const embed = async ({ input, model, ...options }) => {
+    const openai = requireClient();
+    const body = { model: model || embeddingModel, input, encoding_format: 'float' };
+    if (embeddingDimensions) body.dimensions = embeddingDimensions;
+
+    let response;
+    try {
+      response = await openai.embeddings.create(body, requestOptions(options));
+    } catch (error) {
+      throw toLLMError(error, name);
+    }
+
+    const embeddings = (response.data || []).map((item) => item.embedding);
+    const expected = Array.isArray(input) ? input.length : 1;
+    if (embeddings.length !== expected || embeddings.some((e) => !Array.isArray(e))) {
+      throw llmError(LLM_ERROR_CODES.INVALID_RESPONSE, 'Invalid embedding response', { provider: name });
+    }
+
+    return {
+      embeddings,
+      model: response.model || body.model,
+      provider: name,
+      usage: { promptTokens: response.usage?.prompt_tokens ?? null }
+    };
+  };
+
+  /**
+   * Speech to text
+   * @param {Object} params
+   * @param {Buffer} params.audio - Audio bytes
+   * @param {string} params.filename - File name (the extension tells the API the format)
+   * @param {string} params.mimeType - Audio MIME type
+   * @param {string} params.language - ISO-639-1 hint (optional)
+   * @param {string} params.model - Overrides the default transcription model
+   * @returns {Promise<Object>} { text, model, provider }
+   */
+  const transcribe = async ({ audio, filename = 'audio.webm', mimeType = 'audio/webm', language, model, ...options }) => {
+    const openai = requireClient();
+    const body = {
+      model: model || transcriptionModel,
+      file: new File([audio], filename, { type: mimeType })
+    };
+    if (language) body.language = language;
+
+    let response;
+    try {
+      response = await openai.audio.transcriptions.create(body, requestOptions(options));
+    } catch (error) {
+      throw toLLMError(error, name);
+    }
+
+    return { text: (response.text || '').trim(), model: body.model, provider: name };
+  };
+
+  /**
+   * Text to speech
+   * @param {Object} params
+   * @param {string} params.text - Text to speak (the API accepts up to 4096 characters)
+   * @param {string} params.voice - Voice name, e.g. 'alloy'
+   * @param {number} params.speed - 0.25 to 4.0 (1 is normal)
+   * @param {string} params.format - One of SPEECH_MIME_TYPES (default mp3)
+   * @param {string} params.model - Overrides the default speech model
+   * @returns {Promise<Object>} { audio: Buffer, mimeType, format, voice, model, provider }
+   */
+  const speak = async ({ text, voice = 'alloy', speed, format = 'mp3', model, ...options }) => {
+    const openai = requireClient();
+    const body = { model: model || speechModel, voice, input: text, response_format: format };
+    if (speed !== undefined) body.speed = speed;
+
+    let audio;
+    try {
+      const response = await openai.audio.speech.create(body, requestOptions(options));
+      audio = Buffer.from(await response.arrayBuffer());
+    } catch (error) {
+      throw toLLMError(error, name);
+    }
+
+    if (audio.length === 0) {
+      throw llmError(LLM_ERROR_CODES.INVALID_RESPONSE, 'Speech response had no audio', { provider: name });
+    }
+
+    return {
+      audio,
+      mimeType: SPEECH_MIME_TYPES[format] || 'application/octet-stream',
+      format,
+      voice,
+      model: body.model,
+      provider: name
+    };
+  };
+
+  return {
+    name,
+    isConfigured: () => Boolean(client),
+    chat,
+    chatStream,
+    embed,
+    transcribe,
+    speak
+  };
+};
+
+export default createOpenAIProvider;
@@ -0,0 +1,406 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { MOOD_LABELS } from '../utils/moodClassifier.js';
+import { JournalingService } from './journaling.service.js';
+
+/**
+ * Mood Timeline Service
+ * A daily mood series per student, built from the mood detected on their AI
+ * companion messages (ai_messages.mood_label) and on their journal entries
+ * (daily check-ins and worries).
+ *
+ * Each day gets the label with the most weight: journal entries count more
+ * than single chat messages, and neutral counts less than any emotion so a
+ * day of small talk with one sad message reads as sad. The day's valence is
+ * the weighted mean of MOOD_VALENCE over the same observations.
+ *
+ * A student can correct the label of a day (mood_day_corrections); the
+ * correction replaces the detected label and valence for that day. Counsellors
+ * see the series only while the student shares it (mood_sharing_settings),
+ * and never the correction notes.
+ *
+ * Errors carry a `statusCode` (400 invalid input).
+ */
+
+// Pleasant (1) to unpleasant (-1)
+export const MOOD_VALENCE = {
+  joy: 1,
+  surprise: 0.3,
+  neutral: 0,
+  disgust: -0.5,
+  anger: -0.6,
+  fear: -0.6,
+  sadness: -0.8
+};
+
+// A journal entry is written about the day; a chat message is one moment of it
+const SOURCE_WEIGHTS = { chat: 1, journal: 2 };
+const NEUTRAL_WEIGHT = 0.3;
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 180;
+const MAX_NOTE_LENGTH = 500;
+
+// Rows per request (PostgREST caps responses at 1000)
+const PAGE_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const timelineError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ==================== DATES ====================
+
+// tzOffset is the browser's Date#getTimezoneOffset(): minutes to add to local time to get UTC
+const parseTzOffset = (value) => {
+  const offset = parseInt(value, 10);
+  return Number.isFinite(offset) && Math.abs(offset) <= 14 * 60 ? offset : 0;
+};
+
+const localDate = (timestamp, tzOffset) =>
+  new Date(new Date(timestamp).getTime() - tzOffset * 60 * 1000).toISOString().slice(0, 10);
+
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// UTC instant at which a local date starts
+const localDayStart = (date, tzOffset) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + tzOffset * 60 * 1000).toISOString();
+
+const isValidDate = (value) =>
+  typeof value === 'string' &&
+  /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+const normalizeLabel = (label) => {
+  const value = typeof label === 'string' ? label.toLowerCase() : null;
+  return MOOD_LABELS.includes(value) ? value : null;
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// ==================== SERIES ====================
+
+/**
+ * Build the daily series from mood observations (pure, no database)
+ * @param {Object} params
+ * @param {Array} params.observations - { date, label, score, source: 'chat'|'journal' }
+ * @param {Array} params.corrections - { mood_date, label, note }
+ * @param {string} params.since - First local date (YYYY-MM-DD)
+ * @param {string} params.until - Last local date (YYYY-MM-DD)
+ * @param {boolean} params.includeNotes - Include correction notes
+ * @returns {Object} { days, summary }
+ */
+export const buildMoodSeries = ({ observations = [], corrections = [], since, until, includeNotes = true }) => {
+  const byDate = new Map();
+  for (const observation of observations) {
+    const label = normalizeLabel(observation.label);
+    if (!label || observation.date < since || observation.date > until) continue;
+    if (!byDate.has(observation.date)) byDate.set(observation.date, []);
+    byDate.get(observation.date).push({ ...observation, label });
+  }
+  const correctionByDate = new Map(corrections.map((c) => [c.mood_date, c]));
+
+  const days = [];
+  for (let date = since; date <= until; date = addDays(date, 1)) {
+    const dayObservations = byDate.get(date) || [];
+    const counts = { chat: 0, journal: 0 };
+    const labelWeights = Object.fromEntries(MOOD_LABELS.map((label) => [label, 0]));
+    let valenceSum = 0;
+    let weightSum = 0;
+
+    for (const { label, source } of dayObservations) {
+      const weight = SOURCE_WEIGHTS[source] || 1;
+      counts[source] = (counts[source] || 0) + 1;
+      labelWeights[label] += label === 'neutral' ? weight * NEUTRAL_WEIGHT : weight;
+      valenceSum += weight * MOOD_VALENCE[label];
+      weightSum += weight;
+    }
+
+    // Ties go to the earlier label in MOOD_LABELS
+    const inferredLabel = dayObservations.length
+      ? MOOD_LABELS.reduce((best, l) => (labelWeights[l] > labelWeights[best] ? l : best), MOOD_LABELS[0])
+      : null;
+    const inferredValence = weightSum ? round(valenceSum / weightSum) : null;
+    const correction = correctionByDate.get(date);
+    const correctedLabel = normalizeLabel(correction?.label);
+
+    days.push({
+      date,
+      label: correctedLabel || inferredLabel,
+      inferredLabel,
+      valence: correctedLabel ? MOOD_VALENCE[correctedLabel] : inferredValence,
+      inferredValence,
+      counts,
+      corrected: Boolean(correctedLabel),
+      ...(includeNotes && { note: correction?.note || null })
+    });
+  }
+
+  const labelled = days.filter((day) => day.label);
+  const labelDays = Object.fromEntries(MOOD_LABELS.map((label) => [label, 0]));
+  labelled.forEach((day) => { labelDays[day.label]++; });
+
+  return {
+    days,
+    summary: {
+      since,
+      until,
+      daysWithData: labelled.length,
+      correctedDays: days.filter((day) => day.corrected).length,
+      averageValence: labelled.length
+        ? round(labelled.reduce((sum, day) => sum + day.valence, 0) / labelled.length)
+        : null,
+      mostCommonLabel: labelled.length
+        ? MOOD_LABELS.reduce((best, l) => (labelDays[l] > labelDays[best] ? l : best), MOOD_LABELS[0])
+        : null,
+      labelDays
+    }
+  };
+};
+
+// ==================== OBSERVATIONS ====================
+
+const fetchChatMoods = async (studentId, fromInstant, toInstant) => {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from('ai_messages')
+      .select('mood_label, mood_score, created_at, ai_conversations!inner(user_id)')
+      .eq('ai_conversations.user_id', studentId)
+      .eq('sender', 'user')
+      .not('mood_label', 'is', null)
+      .gte('created_at', fromInstant)
+      .lt('created_at', toInstant)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Entries written before mood was stored on save get one now
+const backfillJournalMood = async (table, row, text) => {
+  const columns = await JournalingService.moodColumns(text);
+  if (!columns.mood_label) return row;
+
+  const { error } = await supabaseAdmin.from(table).update(columns).eq('id', row.id);
+  if (error) console.error(`[MoodTimeline] Failed to store mood on ${table}:`, error.message);
+  return { ...row, ...columns };
+};
+
+const fetchJournalMoods = async (studentId, since, until) => {
+  const [checkins, worries] = await Promise.all([
+    supabaseAdmin
+      .from('daily_checkins')
+      .select('id, date, mood_label, mood_score, positive_moments, challenges_faced, todays_reflection, feelings_space')
+      .eq('student_id', studentId)
+      .gte('date', since)
+      .lte('date', until),
+    supabaseAdmin
+      .from('worries_journal')
+      .select('id, date, mood_label, mood_score, whats_on_mind')
+      .eq('student_id', studentId)
+      .gte('date', since)
+      .lte('date', until)
+  ]);
+
+  if (checkins.error) throw checkins.error;
+  if (worries.error) throw worries.error;
+
+  const rows = await Promise.all([
+    ...(checkins.data || []).map((row) => row.mood_label
+      ? row
+      : backfillJournalMood('daily_checkins', row, JournalingService.dailyCheckinMoodText(row))),
+    ...(worries.data || []).map((row) => row.mood_label
+      ? row
+      : backfillJournalMood('worries_journal', row, row.whats_on_mind))
+  ]);
+
+  return rows.filter((row) => row.mood_label);
+};
+
+// ==================== TIMELINE ====================
+
+/**
+ * Daily mood series for a student, oldest day first
+ * @param {string} studentId - Student user ID
+ * @param {Object} options - { days, tzOffset, includeNotes }
+ * @returns {Object} { days, summary }
+ */
+export const getMoodTimeline = async (studentId, options = {}) => {
+  const dayCount = Math.min(Math.max(parseInt(options.days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const tzOffset = parseTzOffset(options.tzOffset);
+  const until = localDate(Date.now(), tzOffset);
+  const since = addDays(until, -(dayCount - 1));
+
+  const [chatRows, journalRows, corrections] = await Promise.all([
+    fetchChatMoods(studentId, localDayStart(since, tzOffset), localDayStart(addDays(until, 1), tzOffset)),
+    fetchJournalMoods(studentId, since, until),
+    supabaseAdmin
+      .from('mood_day_corrections')
+      .select('mood_date, label, note')
+      .eq('student_id', studentId)
+      .gte('mood_date', since)
+      .lte('mood_date', until)
+  ]);
+
+  if (corrections.error) throw corrections.error;
+
+  const observations = [
+    ...chatRows.map((row) => ({
+      date: localDate(row.created_at, tzOffset),
+      label: row.mood_label,
+      score: row.mood_score,
+      source: 'chat'
+    })),
+    ...journalRows.map((row) => ({
+      date: row.date,
+      label: row.mood_label,
+      score: row.mood_score,
+      source: 'journal'
+    }))
+  ];
+
+  return buildMoodSeries({
+    observations,
+    corrections: corrections.data || [],
+    since,
+    until,
+    includeNotes: options.includeNotes !== false
+  });
+};
+
+// ==================== CORRECTIONS ====================
+
+/**
+ * Set the mood label of a day the detector got wrong
+ * @param {string} studentId - Student user ID
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {Object} correction - { label, note }
+ * @returns {Object} { date, label, note, updatedAt }
+ */
+export const correctMoodDay = async (studentId, date, { label, note } = {}) => {
+  if (!isValidDate(date)) {
+    throw timelineError('date must be a valid YYYY-MM-DD date', 400);
+  }
+  // Allow for the student's day being ahead of UTC
+  if (date > addDays(new Date().toISOString().slice(0, 10), 1)) {
+    throw timelineError('Cannot set the mood of a future day', 400);
+  }
+  const moodLabel = normalizeLabel(label);
+  if (!moodLabel) {
+    throw timelineError(`label must be one of: ${MOOD_LABELS.join(', ')}`, 400);
+  }
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    throw timelineError('note must be a string', 400);
+  }
+  const trimmedNote = note?.trim() || null;
+  if (trimmedNote && trimmedNote.length > MAX_NOTE_LENGTH) {
+    throw timelineError(`note must be at most ${MAX_NOTE_LENGTH} characters`, 400);
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('mood_day_corrections')
+    .upsert(
+      {
+        student_id: studentId,
+        mood_date: date,
+        label: moodLabel,
+        note: trimmedNote,
+        updated_at: new Date().toISOString()
+      },
+      { onConflict: 'student_id,mood_date' }
+    )
+    .select('mood_date, label, note, updated_at')
+    .single();
+
+  if (error) throw error;
+  return { date: data.mood_date, label: data.label, note: data.note, updatedAt: data.updated_at };
+};
+
+/**
+ * Remove a day's correction so the detected label shows again
+ * @param {string} studentId - Student user ID
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @returns {boolean} Whether a correction was removed
+ */
+export const clearMoodCorrection = async (studentId, date) => {
+  if (!isValidDate(date)) {
+    throw timelineError('date must be a valid YYYY-MM-DD date', 400);
+  }
+
+  const { data, error } = await supabaseAdmin
+    .from('mood_day_corrections')
+    .delete()
+    .eq('student_id', studentId)
+    .eq('mood_date', date)
+    .select('mood_date');
+
+  if (error) throw error;
+  return (data || []).length > 0;
+};
+
+// ==================== SHARING ====================
+
+const formatSharing = (row) => ({
+  shareWithCounsellors: row?.share_with_counsellors || false,
+  sharedAt: row?.shared_at || null,
+  updatedAt: row?.updated_at || null
+});
+
+/**
+ * Whether a student shares their mood timeline with counsellors (off when never set)
+ * @param {string} studentId - Student user ID
+ * @returns {Object} { shareWithCounsellors, sharedAt, updatedAt }
+ */
+export const getMoodSharing = async (studentId) => {
+  const { data, error } = await supabaseAdmin
+    .from('mood_sharing_settings')
+    .select('share_with_counsellors, shared_at, updated_at')
+    .eq('student_id', studentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return formatSharing(data);
+};
+
+/**
+ * Share or stop sharing the mood timeline with counsellors
+ * @param {string} studentId - Student user ID
+ * @param {boolean} shareWithCounsellors
+ * @returns {Object} Updated settings
+ */
+export const setMoodSharing = async (studentId, shareWithCounsellors) => {
+  const now = new Date().toISOString();
+  const { data, error } = await supabaseAdmin
+    .from('mood_sharing_settings')
+    .upsert(
+      {
+        student_id: studentId,
+        share_with_counsellors: shareWithCounsellors,
+        shared_at: shareWithCounsellors ? now : null,
+        updated_at: now
+      },
+      { onConflict: 'student_id' }
+    )
+    .select('share_with_counsellors, shared_at, updated_at')
+    .single();
+
+  if (error) throw error;
+  return formatSharing(data);
+};
+
+export default {
+  buildMoodSeries,
+  getMoodTimeline,
+  correctMoodDay,
+  clearMoodCorrection,
+  getMoodSharing,
+  setMoodSharing
+};
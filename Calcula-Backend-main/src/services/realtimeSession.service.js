@@ -0,0 +1,471 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { COMPANION_TOOLS, createCompanionTools, loadCrisisContacts } from './companionTools.service.js';
+import { getVoiceSettings } from './speech.service.js';
+import { DEFAULT_LANGUAGE, getPreferredLanguage, languageInstruction } from '../utils/languages.js';
+
+/**
+ * Realtime Session Service
+ * Voice assistant sessions over OpenAI Realtime (WebRTC) for students,
+ * counsellors and admins.
+ *
+ * The browser connects to OpenAI directly with a short-lived client secret;
+ * this service creates that secret with the session already configured for
+ * the user's role: instructions (who the assistant is, how to speak, how to
+ * handle a crisis, the college's crisis contacts and national helplines), the
+ * companion tools the role may use, and turn detection. The browser runs tool
+ * calls through runTool, which uses the companion tool runner and its log.
+ *
+ * Each session is recorded in ai_realtime_sessions when it is created and
+ * closed by endSession, or as expired once it passes MAX_SESSION_MINUTES.
+ * Creating one also counts a realtime_sessions unit (see routes).
+ *
+ * Errors carry a `statusCode` (503 not configured or unreachable, 502 provider
+ * error, 404 unknown session, 409 session already ended).
+ */
+
+export const REALTIME_MODEL = process.env.OPENAI_REALTIME_MODEL || 'gpt-4o-realtime-preview-2024-12-17';
+
+// Voices the realtime models support (a subset of the text-to-speech voices plus ballad and verse)
+export const REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+const DEFAULT_REALTIME_VOICE = REALTIME_VOICES.includes(process.env.OPENAI_REALTIME_VOICE)
+  ? process.env.OPENAI_REALTIME_VOICE
+  : 'alloy';
+
+// OpenAI closes a realtime session after 30 minutes
+export const MAX_SESSION_MINUTES = 30;
+export const END_REASONS = ['ended', 'error'];
+
+const REALTIME_SESSIONS_URL = 'https://api.openai.com/v1/realtime/sessions';
+const TRANSCRIPTION_MODEL = process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+const VAD_THRESHOLD = Number(process.env.REALTIME_VAD_THRESHOLD) || 0.5;
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+const SESSION_COLUMNS = 'id, user_id, college_id, role, model, voice, started_at, ended_at, duration_seconds, end_reason';
+
+const realtimeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ==================== INSTRUCTIONS ====================
+
+const VOICE_STYLE =
+  'You are speaking out loud in a live voice call. Keep each reply short (two or three sentences), ' +
+  'warm and natural. Do not use lists, markdown or links, and let the other person finish before you answer. ' +
+  'Answer in the language they speak.';
+
+const CRISIS_GUIDANCE =
+  'If the person mentions suicide, self-harm, harming someone else or being in danger, this comes before anything else: ' +
+  'stay calm and warm, ask directly whether they are safe right now, and never give any method-related information. ' +
+  'Encourage them to contact someone now and read out the contacts below, slowly, one at a time. ' +
+  'If they are in immediate danger, tell them to call emergency services on 112 straight away. ' +
+  'You cannot call anyone or send help yourself; never say that you have.';
+
+/**
+ * Role profiles: who the assistant is, which companion tools it may call,
+ * and how long a pause ends the speaker's turn
+ */
+export const ROLE_PROFILES = {
+  student: {
+    intro:
+      'You are SensEase AI, an empathetic mental health companion for college students.\n' +
+      '- Provide emotional support, validation and gentle coping strategies.\n' +
+      '- You are NOT a doctor, do NOT diagnose and do NOT prescribe medication.\n' +
+      '- Encourage professional help for serious concerns, including the counsellors at their college.',
+    tools: ['get_crisis_contacts', 'find_counsellor_slots', 'suggest_wellness_tool'],
+    toolGuidance:
+      '- If the student may be unsafe, also call get_crisis_contacts so the contacts are shown on their screen.\n' +
+      '- You can look up open counsellor slots and suggest wellness tools in the app. You cannot book an ' +
+      'appointment in a voice call; tell the student they can request the slot from the Appointments page ' +
+      'or by asking in the text chat.',
+    // Students get longer pauses to think before the assistant answers
+    silenceMs: 800
+  },
+  counsellor: {
+    intro:
+      'You are SensEase AI, an assistant for college counsellors using the SensEase platform.\n' +
+      '- Help them think through sessions, plan follow-ups, find wellbeing resources and use the platform.\n' +
+      '- Do not diagnose students or recommend medication; leave clinical judgement to the counsellor.\n' +
+      '- Do not ask for or repeat more personal details about students than the question needs.',
+    tools: ['get_crisis_contacts'],
+    toolGuidance:
+      '- If they describe a student who may be unsafe, help them act now: keep the student with someone, ' +
+      "use the college's crisis contacts, and follow the college's escalation process.",
+    silenceMs: 500
+  },
+  admin: {
+    intro:
+      "You are SensEase AI, an assistant for administrators of a college's SensEase platform.\n" +
+      '- Help with managing students and counsellors, announcements, assessments, reports and AI usage.\n' +
+      '- You cannot see or change the platform data yourself; explain where in the admin dashboard to do it.\n' +
+      '- Do not discuss individual students\' mental health beyond what the question needs.',
+    tools: ['get_crisis_contacts'],
+    toolGuidance:
+      '- If they mention a student who may be unsafe, point them to the counselling team and the crisis contacts below ' +
+      'before anything else.',
+    silenceMs: 500
+  }
+};
+
+export const REALTIME_ROLES = Object.keys(ROLE_PROFILES);
+
+const formatContact = ({ label, phone, email, hours }) =>
+  `- ${label || 'Contact'}: ${[phone, email].filter(Boolean).join(', ')}${hours ? ` (${hours})` : ''}`;
+
+/**
+ * Instructions for a realtime session
+ * @param {string} role - student | counsellor | admin
+ * @param {Object} crisisContacts - From loadCrisisContacts
+ * @param {string} language - The user's preferred language
+ * @returns {string}
+ */
+export const buildInstructions = (role, { college = null, contacts = [], helplines = [] } = {}, language = DEFAULT_LANGUAGE) => {
+  const profile = ROLE_PROFILES[role];
+  const collegeContacts = [
+    ...(college?.phone || college?.email
+      ? [formatContact({ label: `${college.name || 'College'} main office`, phone: college.phone, email: college.email })]
+      : []),
+    ...contacts.map(formatContact)
+  ];
+
+  return [
+    profile.intro,
+    VOICE_STYLE,
+    languageInstruction(language),
+    `CRISIS: ${CRISIS_GUIDANCE}`,
+    collegeContacts.length > 0
+      ? `${college?.name || 'College'} crisis contacts:\n${collegeContacts.join('\n')}`
+      : 'The college has not listed its own crisis contacts; suggest the campus counselling centre.',
+    `National helplines:\n${helplines.map(formatContact).join('\n')}`,
+    profile.toolGuidance
+  ].filter(Boolean).join('\n\n');
+};
+
+/**
+ * OpenAI Realtime session configuration for a role
+ * @param {string} role - student | counsellor | admin
+ * @param {Object} options - { crisisContacts, voice, language, tools }
+ * @returns {Object} Request body for POST /v1/realtime/sessions
+ */
+export const buildSessionConfig = (role, {
+  crisisContacts = {},
+  voice = DEFAULT_REALTIME_VOICE,
+  language = DEFAULT_LANGUAGE,
+  tools = COMPANION_TOOLS
+} = {}) => {
+  const profile = ROLE_PROFILES[role];
+  const roleTools = tools.filter((tool) => profile.tools.includes(tool.name));
+
+  return {
+    model: REALTIME_MODEL,
+    voice,
+    modalities: ['audio', 'text'],
+    instructions: buildInstructions(role, crisisContacts, language),
+    input_audio_transcription: { model: TRANSCRIPTION_MODEL },
+    turn_detection: {
+      type: 'server_vad',
+      threshold: VAD_THRESHOLD,
+      prefix_padding_ms: 300,
+      silence_duration_ms: profile.silenceMs
+    },
+    tools: roleTools.map(({ name, description, parameters }) => ({ type: 'function', name, description, parameters })),
+    tool_choice: 'auto',
+    temperature: 0.8
+  };
+};
+
+// ==================== SESSIONS ====================
+
+const formatSession = (row) => row && ({
+  id: row.id,
+  role: row.role,
+  model: row.model,
+  voice: row.voice,
+  startedAt: row.started_at,
+  endedAt: row.ended_at,
+  durationSeconds: row.duration_seconds,
+  endReason: row.end_reason
+});
+
+/**
+ * ai_realtime_sessions access used by the session manager
+ */
+export const supabaseRealtimeStore = {
+  create: async (row) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_realtime_sessions')
+      .insert(row)
+      .select(SESSION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  get: async (id, userId) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_realtime_sessions')
+      .select(SESSION_COLUMNS)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  listOpen: async (userId) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_realtime_sessions')
+      .select(SESSION_COLUMNS)
+      .eq('user_id', userId)
+      .is('ended_at', null);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Only applies while the session is still open; null if it was not
+  close: async (id, patch) => {
+    const { data, error } = await supabaseAdmin
+      .from('ai_realtime_sessions')
+      .update(patch)
+      .eq('id', id)
+      .is('ended_at', null)
+      .select(SESSION_COLUMNS);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  }
+};
+
+/**
+ * Create a realtime session manager
+ * @param {Object} options
+ * @param {Object} options.store - Session table access (default supabaseRealtimeStore)
+ * @param {Function} options.fetch - fetch implementation, for scripts
+ * @param {string} options.sessionsUrl - OpenAI Realtime sessions endpoint
+ * @param {Function} options.apiKey - Returns the OpenAI API key
+ * @param {Function} options.loadContacts - collegeId => crisis contacts
+ * @param {Function} options.loadVoice - userId => preferred voice
+ * @param {Function} options.loadLanguage - userId => preferred language
+ * @param {Array} options.tools - Companion tool definitions
+ * @param {Object} options.toolLog - Tool invocation log (default: the companion tools' log)
+ * @param {Function} options.now - Clock
+ * @returns {Object} { createSession, endSession, runTool }
+ */
+export const createRealtimeSessions = ({
+  store = supabaseRealtimeStore,
+  fetch = globalThis.fetch,
+  sessionsUrl = REALTIME_SESSIONS_URL,
+  apiKey = () => process.env.OPENAI_API_KEY,
+  loadContacts = loadCrisisContacts,
+  loadVoice = async (userId) => (await getVoiceSettings(userId)).voice,
+  loadLanguage = getPreferredLanguage,
+  tools = COMPANION_TOOLS,
+  toolLog,
+  now = () => new Date()
+} = {}) => {
+  const runners = Object.fromEntries(REALTIME_ROLES.map((role) => [
+    role,
+    createCompanionTools({
+      tools: tools.filter((tool) => ROLE_PROFILES[role].tools.includes(tool.name)),
+      ...(toolLog && { log: toolLog }),
+      now
+    })
+  ]));
+
+  const maxDurationMs = MAX_SESSION_MINUTES * 60 * 1000;
+
+  const closePatch = (row, endedAt, reason) => {
+    const started = new Date(row.started_at).getTime();
+    const end = Math.min(endedAt.getTime(), started + maxDurationMs);
+    return {
+      ended_at: new Date(end).toISOString(),
+      duration_seconds: Math.max(0, Math.round((end - started) / 1000)),
+      end_reason: reason
+    };
+  };
+
+  // Sessions the app never ended (tab closed, connection lost) are closed at the time limit
+  const expireStale = async (userId) => {
+    try {
+      const cutoff = now().getTime() - maxDurationMs;
+      const stale = (await store.listOpen(userId)).filter((row) => new Date(row.started_at).getTime() < cutoff);
+      await Promise.all(stale.map((row) => store.close(row.id, closePatch(row, now(), 'expired'))));
+    } catch (error) {
+      console.error('[Realtime] Failed to expire old sessions:', error.message);
+    }
+  };
+
+  // The voice chosen for spoken replies, if a realtime model has it
+  const preferredVoice = async (userId) => {
+    try {
+      const voice = await loadVoice(userId);
+      return REALTIME_VOICES.includes(voice) ? voice : DEFAULT_REALTIME_VOICE;
+    } catch (error) {
+      console.error('[Realtime] Failed to load voice settings:', error.message);
+      return DEFAULT_REALTIME_VOICE;
+    }
+  };
+
+  const requestSession = async (config) => {
+    let response;
+    try {
+      response = await fetch(sessionsUrl, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${apiKey()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(config)
+      });
+    } catch (error) {
+      console.error('OpenAI Realtime API request failed:', error.message);
+      const code = error.cause?.code || error.code;
+      if (NETWORK_ERROR_CODES.includes(code)) {
+        throw realtimeError('Unable to reach voice service. Please check your connection.', 503);
+      }
+      throw realtimeError('Failed to create voice session. Please try again.', 500);
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      console.error('OpenAI Realtime API error:', {
+        status: response.status,
+        statusText: response.statusText,
+        error: errorData
+      });
+      throw realtimeError('Failed to create voice session. Please try again later.', 502);
+    }
+
+    const data = await response.json();
+    if (!data.client_secret?.value) {
+      console.error('Invalid response from OpenAI Realtime API:', data);
+      throw realtimeError('Invalid session response. Please try again.', 500);
+    }
+    return data;
+  };
+
+  /**
+   * Create a configured realtime session for a user
+   * @param {Object} user - { userId, collegeId, role }
+   * @returns {Promise<Object>} { session, clientSecret, expiresAt }
+   */
+  const createSession = async ({ userId, collegeId, role }) => {
+    if (!ROLE_PROFILES[role]) {
+      throw realtimeError(`Voice sessions are not available for role ${role}`, 403);
+    }
+    if (!apiKey()) {
+      console.error('OpenAI API key not configured in environment variables');
+      throw realtimeError('Voice assistant feature is not configured. Please contact administrator.', 503);
+    }
+
+    const [crisisContacts, voice, language] = await Promise.all([
+      loadContacts(collegeId),
+      preferredVoice(userId),
+      loadLanguage(userId),
+      expireStale(userId)
+    ]);
+
+    const config = buildSessionConfig(role, { crisisContacts, voice, language, tools });
+    const data = await requestSession(config);
+
+    const row = await store.create({
+      user_id: userId,
+      college_id: collegeId || null,
+      role,
+      provider_session_id: data.id || null,
+      model: config.model,
+      voice: config.voice,
+      started_at: now().toISOString()
+    });
+
+    // Log session creation (without exposing token)
+    console.log(`[Realtime] ${role} voice session ${row.id} created for ${userId}`);
+
+    return {
+      session: { ...formatSession(row), tools: config.tools.map((tool) => tool.name) },
+      clientSecret: data.client_secret.value,
+      expiresAt: data.client_secret.expires_at || null
+    };
+  };
+
+  const loadOpen = async (sessionId, userId) => {
+    const row = await store.get(sessionId, userId);
+    if (!row) throw realtimeError('Voice session not found', 404);
+    if (row.ended_at) throw realtimeError('This voice session has ended', 409);
+    if (now().getTime() - new Date(row.started_at).getTime() > maxDurationMs) {
+      await store.close(row.id, closePatch(row, now(), 'expired'));
+      throw realtimeError('This voice session has ended', 409);
+    }
+    return row;
+  };
+
+  /**
+   * Record the end of a session; ending it again returns it unchanged
+   * @param {string} sessionId - ai_realtime_sessions ID
+   * @param {string} userId - Session owner
+   * @param {string} reason - ended | error
+   * @returns {Promise<Object>} The closed session
+   */
+  const endSession = async (sessionId, userId, reason = 'ended') => {
+    const row = await store.get(sessionId, userId);
+    if (!row) throw realtimeError('Voice session not found', 404);
+    if (row.ended_at) return formatSession(row);
+
+    const closed = await store.close(row.id, closePatch(row, now(), END_REASONS.includes(reason) ? reason : 'ended'));
+    if (closed) {
+      console.log(`[Realtime] Voice session ${row.id} ended after ${closed.duration_seconds}s`);
+    }
+    return formatSession(closed || await store.get(sessionId, userId));
+  };
+
+  /**
+   * Run a tool the realtime model called
+   * @param {string} sessionId - ai_realtime_sessions ID
+   * @param {Object} user - { userId, collegeId }
+   * @param {Object} call - { callId, name, arguments } as received from the model
+   *   (arguments is a JSON string)
+   * @returns {Promise<Object>} { output, event } - output goes back to the model
+   *   as the function_call_output, event is for the app
+   */
+  const runTool = async (sessionId, { userId, collegeId }, { callId, name, arguments: rawArguments }) => {
+    const row = await loadOpen(sessionId, userId);
+
+    let args = null;
+    try {
+      args = typeof rawArguments === 'string' ? JSON.parse(rawArguments || '{}') : rawArguments || {};
+    } catch {
+      args = null;
+    }
+
+    const { message, event } = await runners[row.role].runToolCall(
+      { id: callId, name, arguments: args },
+      { userId, collegeId: collegeId || row.college_id, conversationId: null }
+    );
+    return { output: message.content, event };
+  };
+
+  return { createSession, endSession, runTool };
+};
+
+const defaultSessions = createRealtimeSessions();
+
+export const {
+  createSession: createRealtimeSession,
+  endSession: endRealtimeSession,
+  runTool: runRealtimeTool
+} = defaultSessions;
+
+export default {
+  REALTIME_MODEL,
+  REALTIME_VOICES,
+  buildInstructions,
+  buildSessionConfig,
+  createRealtimeSessions,
+  createRealtimeSession,
+  endRealtimeSession,
+  runRealtimeTool
+};
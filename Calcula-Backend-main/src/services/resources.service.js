@@ -1,5 +1,6 @@
 import { supabase, supabaseAdmin } from '../config/supabase.js';
 import path from 'path';
+import { indexResource, removeResource } from './knowledgeIngestion.service.js';
 
 class ResourcesService {
 
@@ -82,6 +83,10 @@ class ResourcesService {
 
       console.log('[ResourcesService] Resource created successfully:', resource);
       console.log('[ResourcesService] Resource created successfully:', resource);
+
+      // Add it to the AI companion's knowledge base in the background
+      indexResource(resource, { buffer: file.buffer });
+
       return resource;
     } catch (error) {
       console.error('[ResourcesService] Upload resource error:', error);
@@ -174,6 +179,11 @@ class ResourcesService {
         throw new Error(`Failed to update resource: ${error.message}`);
       }
 
+      // The title and description are part of every indexed chunk
+      if (data.resource_name !== existing.resource_name || data.description !== existing.description) {
+        indexResource(data);
+      }
+
       return data;
     } catch (error) {
       throw error;
@@ -194,6 +204,13 @@ class ResourcesService {
         throw new Error('Resource not found or unauthorized');
       }
 
+      // Remove it from the knowledge base first so the AI companion never cites a deleted resource
+      try {
+        await removeResource(resourceId);
+      } catch (knowledgeError) {
+        throw new Error(`Failed to remove resource from the knowledge base: ${knowledgeError.message}`);
+      }
+
       // Delete file from storage
       const { error: storageError } = await supabase.storage
         .from('counsellor-resources')
@@ -221,6 +238,31 @@ class ResourcesService {
     }
   }
 
+  async reindexResource(resourceId, counsellorId) {
+    try {
+      const { data: resource, error: fetchError } = await supabase
+        .from('counsellor_resources')
+        .select('*')
+        .eq('id', resourceId)
+        .eq('counsellor_id', counsellorId)
+        .single();
+
+      if (fetchError || !resource) {
+        throw new Error('Resource not found or unauthorized');
+      }
+
+      const result = await indexResource(resource);
+      return {
+        id: resource.id,
+        index_status: result.status,
+        chunk_count: result.chunks,
+        index_error: result.error || null
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   async getDownloadUrl(filePath, expiresIn = 3600) {
     try {
       // Try to create signed URL first
@@ -0,0 +1,333 @@
+import { supabase } from '../config/supabase.js';
+import { computeDueAssessments } from '../utils/screeningSchedule.js';
+
+/**
+ * Screening Service
+ * Re-screen scheduling, admin screening campaigns and the per-student
+ * reminders surfaced in the announcements feed.
+ * Functions that depend on the current time take `now` so the reminder job
+ * can run against an injected clock.
+ */
+
+// Students who have not taken an instrument within this window stop getting
+// new automatic re-screen reminders (any open reminder stays until completed)
+const HISTORY_LOOKBACK_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ==================== CAMPAIGNS ====================
+
+const formatCampaign = (campaign, progress = null) => ({
+  id: campaign.id,
+  name: campaign.name,
+  description: campaign.description,
+  formType: campaign.form_type,
+  targetPassingYears: campaign.target_passing_years || [],
+  startsAt: campaign.starts_at,
+  dueBy: campaign.due_by,
+  isActive: campaign.is_active,
+  createdBy: campaign.created_by,
+  createdAt: campaign.created_at,
+  ...(progress && { progress })
+});
+
+/**
+ * Create a screening campaign for a college
+ * @param {string} collegeId - College ID
+ * @param {string} userId - Admin creating the campaign
+ * @param {Object} data - { name, description, formType, targetPassingYears, startsAt, dueBy }
+ * @returns {Object} Created campaign
+ */
+export const createCampaign = async (collegeId, userId, data) => {
+  const { data: campaign, error } = await supabase
+    .from('screening_campaigns')
+    .insert({
+      college_id: collegeId,
+      name: data.name,
+      description: data.description || null,
+      form_type: data.formType,
+      target_passing_years: data.targetPassingYears?.length ? data.targetPassingYears : null,
+      starts_at: data.startsAt || new Date().toISOString(),
+      due_by: data.dueBy,
+      created_by: userId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return formatCampaign(campaign);
+};
+
+/**
+ * List a college's campaigns with reminder progress (completed / targeted)
+ * @param {string} collegeId - College ID
+ * @param {Object} filters - { active: boolean }
+ * @returns {Array} Campaigns, newest first
+ */
+export const listCampaigns = async (collegeId, filters = {}) => {
+  let query = supabase
+    .from('screening_campaigns')
+    .select('*')
+    .eq('college_id', collegeId)
+    .order('created_at', { ascending: false });
+
+  if (filters.active !== undefined) {
+    query = query.eq('is_active', filters.active);
+  }
+
+  const { data: campaigns, error } = await query;
+  if (error) throw error;
+  if (campaigns.length === 0) return [];
+
+  const { data: reminders, error: reminderError } = await supabase
+    .from('assessment_reminders')
+    .select('campaign_id, completed_at')
+    .in('campaign_id', campaigns.map((c) => c.id));
+
+  if (reminderError) throw reminderError;
+
+  const progress = {};
+  reminders.forEach(({ campaign_id: campaignId, completed_at: completedAt }) => {
+    if (!progress[campaignId]) progress[campaignId] = { targeted: 0, completed: 0 };
+    progress[campaignId].targeted++;
+    if (completedAt) progress[campaignId].completed++;
+  });
+
+  return campaigns.map((campaign) => formatCampaign(
+    campaign,
+    progress[campaign.id] || { targeted: 0, completed: 0 }
+  ));
+};
+
+/**
+ * Update a campaign (name, dates, targets, active flag)
+ * @returns {Object|null} Updated campaign, or null if not found in the college
+ */
+export const updateCampaign = async (campaignId, collegeId, updates) => {
+  const fields = {
+    name: updates.name,
+    description: updates.description,
+    target_passing_years: updates.targetPassingYears === undefined
+      ? undefined
+      : (updates.targetPassingYears?.length ? updates.targetPassingYears : null),
+    starts_at: updates.startsAt,
+    due_by: updates.dueBy,
+    is_active: updates.isActive
+  };
+  Object.keys(fields).forEach((key) => fields[key] === undefined && delete fields[key]);
+
+  const { data, error } = await supabase
+    .from('screening_campaigns')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', campaignId)
+    .eq('college_id', collegeId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? formatCampaign(data) : null;
+};
+
+/**
+ * Delete a campaign and its reminders
+ * @returns {boolean} True if a campaign was deleted
+ */
+export const deleteCampaign = async (campaignId, collegeId) => {
+  const { data, error } = await supabase
+    .from('screening_campaigns')
+    .delete()
+    .eq('id', campaignId)
+    .eq('college_id', collegeId)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+};
+
+const getActiveCampaigns = async (collegeId, now) => {
+  const { data, error } = await supabase
+    .from('screening_campaigns')
+    .select('*')
+    .eq('college_id', collegeId)
+    .eq('is_active', true)
+    .lte('starts_at', now.toISOString());
+
+  if (error) throw error;
+  return data;
+};
+
+// ==================== DUE ASSESSMENTS ====================
+
+/**
+ * Assessments a student should take now (re-screens and campaigns)
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - Student's college ID
+ * @param {Date} now - Current time
+ * @returns {Array} Due items (see utils/screeningSchedule.js)
+ */
+export const getStudentDueAssessments = async (studentId, collegeId, now = new Date()) => {
+  const since = new Date(now.getTime() - HISTORY_LOOKBACK_DAYS * DAY_MS).toISOString();
+
+  const [studentResult, historyResult, campaigns] = await Promise.all([
+    supabase.from('students').select('year').eq('id', studentId).maybeSingle(),
+    supabase
+      .from('assessments')
+      .select('form_type, created_at')
+      .eq('student_id', studentId)
+      .eq('college_id', collegeId)
+      .gte('created_at', since),
+    getActiveCampaigns(collegeId, now)
+  ]);
+
+  if (studentResult.error) throw studentResult.error;
+  if (historyResult.error) throw historyResult.error;
+
+  return computeDueAssessments({
+    history: historyResult.data,
+    campaigns,
+    student: { passingYear: studentResult.data?.year ?? null },
+    now
+  });
+};
+
+// ==================== REMINDERS ====================
+
+/**
+ * Create reminders for every student in a college who has something due.
+ * Safe to rerun: existing (student, form, due date) rows are left alone.
+ * @param {string} collegeId - College ID
+ * @param {Date} now - Current time (injected clock)
+ * @returns {Array} Newly created reminder rows
+ */
+export const syncCollegeReminders = async (collegeId, now) => {
+  const since = new Date(now.getTime() - HISTORY_LOOKBACK_DAYS * DAY_MS).toISOString();
+
+  const [studentsResult, historyResult, campaigns] = await Promise.all([
+    supabase
+      .from('profiles')
+      .select('id')
+      .eq('college_id', collegeId)
+      .eq('role', 'student'),
+    supabase
+      .from('assessments')
+      .select('student_id, form_type, created_at')
+      .eq('college_id', collegeId)
+      .gte('created_at', since),
+    getActiveCampaigns(collegeId, now)
+  ]);
+
+  if (studentsResult.error) throw studentsResult.error;
+  if (historyResult.error) throw historyResult.error;
+
+  const studentIds = studentsResult.data.map((s) => s.id);
+  if (studentIds.length === 0) return [];
+
+  // Passing years only matter when a campaign targets specific cohorts
+  const passingYears = {};
+  if (campaigns.some((c) => c.target_passing_years?.length)) {
+    const { data: students, error } = await supabase
+      .from('students')
+      .select('id, year')
+      .in('id', studentIds);
+    if (error) throw error;
+    students.forEach((s) => { passingYears[s.id] = s.year; });
+  }
+
+  const historyByStudent = {};
+  historyResult.data.forEach((row) => {
+    if (!historyByStudent[row.student_id]) historyByStudent[row.student_id] = [];
+    historyByStudent[row.student_id].push(row);
+  });
+
+  const rows = studentIds.flatMap((studentId) => computeDueAssessments({
+    history: historyByStudent[studentId] || [],
+    campaigns,
+    student: { passingYear: passingYears[studentId] ?? null },
+    now
+  }).map((item) => ({
+    college_id: collegeId,
+    student_id: studentId,
+    form_type: item.formType,
+    reason: item.reason,
+    campaign_id: item.campaignId,
+    due_at: item.dueAt
+  })));
+
+  if (rows.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('assessment_reminders')
+    .upsert(rows, { onConflict: 'student_id,form_type,due_at', ignoreDuplicates: true })
+    .select();
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Open (not yet completed) reminders for a student
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - Student's college ID
+ * @returns {Array} assessment_reminders rows with campaign name, soonest due first
+ */
+export const listOpenReminders = async (studentId, collegeId) => {
+  const { data, error } = await supabase
+    .from('assessment_reminders')
+    .select('id, form_type, reason, due_at, seen_at, created_at, campaign:campaign_id ( name, due_by )')
+    .eq('student_id', studentId)
+    .eq('college_id', collegeId)
+    .is('completed_at', null)
+    .order('due_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Mark a student's reminder as seen
+ * @returns {Object|null} Updated reminder, or null if it is not the student's
+ */
+export const markReminderSeen = async (reminderId, studentId, collegeId) => {
+  const { data, error } = await supabase
+    .from('assessment_reminders')
+    .update({ seen_at: new Date().toISOString() })
+    .eq('id', reminderId)
+    .eq('student_id', studentId)
+    .eq('college_id', collegeId)
+    .select('id, seen_at')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Close a student's open reminders for a form once they submit it
+ * @param {string} studentId - Student's user ID
+ * @param {string} collegeId - Student's college ID
+ * @param {string} formType - Submitted form type
+ * @param {Date} now - Completion time
+ */
+export const completeReminders = async (studentId, collegeId, formType, now = new Date()) => {
+  const { error } = await supabase
+    .from('assessment_reminders')
+    .update({ completed_at: now.toISOString() })
+    .eq('student_id', studentId)
+    .eq('college_id', collegeId)
+    .eq('form_type', formType)
+    .is('completed_at', null);
+
+  if (error) throw error;
+};
+
+export default {
+  createCampaign,
+  listCampaigns,
+  updateCampaign,
+  deleteCampaign,
+  getStudentDueAssessments,
+  syncCollegeReminders,
+  listOpenReminders,
+  markReminderSeen,
+  completeReminders
+};
@@ -0,0 +1,518 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { chat, transcribe } from './llm/index.js';
+import { truncateToTokens } from '../utils/tokenBudget.js';
+import { DEFAULT_LANGUAGE, getPreferredLanguage, languageInstruction } from '../utils/languages.js';
+
+/**
+ * Session Transcription Service
+ * Transcripts of counselling sessions, for drafting the appointment's notes
+ * and goals.
+ *
+ * A session is only transcribed if the student agreed for that appointment
+ * (session_transcription_consents); consent is checked again for every chunk,
+ * and withdrawing it deletes the transcript. While the session runs the
+ * counsellor's app sends audio in numbered chunks; each is transcribed and
+ * only its text is kept. Finishing joins the chunks in order and drafts a
+ * summary { notes, session_goals } in the shape PUT
+ * /api/counsellor/sessions-summary/:appointment_id accepts, which the
+ * counsellor reviews and edits before saving. Nothing is written to the
+ * appointment here.
+ *
+ * Errors carry a `statusCode` (403 no consent, 404 unknown appointment or
+ * transcript, 409 wrong state, 400 invalid input).
+ */
+
+// Appointment states a session can be transcribed in
+const TRANSCRIBABLE_STATUSES = ['confirmed'];
+// Appointment states a student can give or withdraw consent in
+const CONSENT_STATUSES = ['pending', 'confirmed', 'completed'];
+
+export const MAX_CHUNKS = 720;
+const NOTES_MAX_CHARS = 2000;
+const GOAL_MAX_CHARS = 200;
+const MAX_GOALS = 5;
+const SUMMARY_INPUT_TOKENS = Number(process.env.SESSION_SUMMARY_INPUT_TOKENS) || 12000;
+const SUMMARY_TIMEOUT_MS = 60000;
+
+const TRANSCRIPT_COLUMNS = 'id, appointment_id, counsellor_id, student_id, college_id, status, transcript, summary, summary_generated_at, started_at, ended_at, updated_at';
+
+const transcriptionError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatConsent = (appointmentId, row) => ({
+  appointmentId,
+  consented: row?.consented || false,
+  consentedAt: row?.consented_at || null,
+  withdrawnAt: row?.withdrawn_at || null,
+  updatedAt: row?.updated_at || null
+});
+
+const formatTranscript = (row, chunkCount = null) => row && ({
+  id: row.id,
+  appointmentId: row.appointment_id,
+  status: row.status,
+  transcript: row.transcript,
+  summary: row.summary,
+  summaryGeneratedAt: row.summary_generated_at,
+  startedAt: row.started_at,
+  endedAt: row.ended_at,
+  ...(chunkCount !== null && { chunks: chunkCount })
+});
+
+// ==================== SUMMARY ====================
+
+/**
+ * Summary JSON from the model, cut to what the appointment accepts
+ * @param {string} text - Model output
+ * @returns {Object} { notes, session_goals: [{ goal, completed }] }
+ */
+export const parseSessionSummary = (text) => {
+  let parsed = null;
+  try {
+    parsed = JSON.parse(String(text || '').replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch {
+    parsed = null;
+  }
+
+  // Not JSON: keep the text as notes so the counsellor still gets a draft
+  const notes = typeof parsed?.notes === 'string' ? parsed.notes : (parsed ? '' : String(text || ''));
+  const goals = Array.isArray(parsed?.session_goals) ? parsed.session_goals : [];
+
+  return {
+    notes: notes.trim().slice(0, NOTES_MAX_CHARS),
+    session_goals: goals
+      .map((goal) => (typeof goal === 'string' ? goal : goal?.goal))
+      .filter((goal) => typeof goal === 'string' && goal.trim())
+      .slice(0, MAX_GOALS)
+      .map((goal) => ({ goal: goal.trim().slice(0, GOAL_MAX_CHARS), completed: false }))
+  };
+};
+
+/**
+ * Draft session notes and goals from a transcript
+ * @param {string} transcript - Session transcript
+ * @param {string} language - The counsellor's preferred language, for the draft
+ * @returns {Promise<Object>} { notes, session_goals }
+ */
+export const draftSessionSummary = async (transcript, language = DEFAULT_LANGUAGE) => {
+  const instruction = languageInstruction(language, { json: true, mirror: false });
+  const { text } = await chat({
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You draft notes for a college counsellor from the automatic transcript of a counselling session ' +
+          'with a student. The transcript has no speaker labels and may contain recognition errors.\n' +
+          '- notes: what the student brought to the session, what was discussed, what the counsellor suggested ' +
+          'and any risk or safety concerns raised. Plain prose, third person, factual, no diagnosis, ' +
+          `under ${NOTES_MAX_CHARS} characters.\n` +
+          `- session_goals: up to ${MAX_GOALS} concrete goals or next steps agreed in the session, each under ` +
+          `${GOAL_MAX_CHARS} characters. An empty list if none were agreed.\n` +
+          'Only use what is in the transcript. Return JSON: {"notes": "...", "session_goals": ["..."]}' +
+          (instruction ? `\n${instruction}` : '')
+      },
+      { role: 'user', content: `TRANSCRIPT:\n${truncateToTokens(transcript, SUMMARY_INPUT_TOKENS)}` }
+    ],
+    json: true,
+    temperature: 0.2,
+    maxTokens: 800,
+    timeoutMs: SUMMARY_TIMEOUT_MS
+  });
+
+  return parseSessionSummary(text);
+};
+
+// ==================== STORE ====================
+
+/**
+ * Appointment, consent and transcript table access
+ */
+export const supabaseTranscriptStore = {
+  getAppointment: async (appointmentId) => {
+    const { data, error } = await supabaseAdmin
+      .from('appointments')
+      .select('id, student_id, counsellor_id, college_id, status')
+      .eq('id', appointmentId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  getConsent: async (appointmentId) => {
+    const { data, error } = await supabaseAdmin
+      .from('session_transcription_consents')
+      .select('consented, consented_at, withdrawn_at, updated_at')
+      .eq('appointment_id', appointmentId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  saveConsent: async (row) => {
+    const { data, error } = await supabaseAdmin
+      .from('session_transcription_consents')
+      .upsert(row, { onConflict: 'appointment_id' })
+      .select('consented, consented_at, withdrawn_at, updated_at')
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  getTranscript: async (appointmentId) => {
+    const { data, error } = await supabaseAdmin
+      .from('session_transcripts')
+      .select(TRANSCRIPT_COLUMNS)
+      .eq('appointment_id', appointmentId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  createTranscript: async (row) => {
+    const { data, error } = await supabaseAdmin
+      .from('session_transcripts')
+      .insert(row)
+      .select(TRANSCRIPT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  updateTranscript: async (id, patch) => {
+    const { data, error } = await supabaseAdmin
+      .from('session_transcripts')
+      .update({ ...patch, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select(TRANSCRIPT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  deleteTranscript: async (appointmentId) => {
+    const { data, error } = await supabaseAdmin
+      .from('session_transcripts')
+      .delete()
+      .eq('appointment_id', appointmentId)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+
+  saveChunk: async (row) => {
+    const { error } = await supabaseAdmin
+      .from('session_transcript_chunks')
+      .upsert(row, { onConflict: 'transcript_id,seq' });
+
+    if (error) throw error;
+  },
+
+  listChunks: async (transcriptId) => {
+    const { data, error } = await supabaseAdmin
+      .from('session_transcript_chunks')
+      .select('seq, text')
+      .eq('transcript_id', transcriptId)
+      .order('seq', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  }
+};
+
+// ==================== TRANSCRIPTION ====================
+
+/**
+ * Create the session transcription service
+ * @param {Object} options
+ * @param {Object} options.store - Table access (default supabaseTranscriptStore)
+ * @param {Function} options.transcribeChunk - ({ audio, filename, mimeType, language }) => { text }
+ * @param {Function} options.summarize - (transcript, language) => { notes, session_goals }
+ * @param {Function} options.loadLanguage - userId => preferred language
+ * @param {Function} options.now - Clock
+ * @returns {Object} Student consent and counsellor transcript functions
+ */
+export const createSessionTranscription = ({
+  store = supabaseTranscriptStore,
+  transcribeChunk = transcribe,
+  summarize = draftSessionSummary,
+  loadLanguage = getPreferredLanguage,
+  now = () => new Date()
+} = {}) => {
+  const loadStudentAppointment = async (appointmentId, studentId) => {
+    const appointment = await store.getAppointment(appointmentId);
+    if (!appointment || appointment.student_id !== studentId) throw transcriptionError('Appointment not found', 404);
+    return appointment;
+  };
+
+  const loadCounsellorAppointment = async (appointmentId, { userId, collegeId }) => {
+    const appointment = await store.getAppointment(appointmentId);
+    if (!appointment || appointment.counsellor_id !== userId || (collegeId && appointment.college_id !== collegeId)) {
+      throw transcriptionError('Appointment not found', 404);
+    }
+    return appointment;
+  };
+
+  const requireConsent = async (appointmentId) => {
+    const consent = await store.getConsent(appointmentId);
+    if (!consent?.consented) {
+      throw transcriptionError('The student has not agreed to this session being transcribed', 403);
+    }
+  };
+
+  const loadRecording = async (appointmentId, counsellor) => {
+    await loadCounsellorAppointment(appointmentId, counsellor);
+    const transcript = await store.getTranscript(appointmentId);
+    if (!transcript) throw transcriptionError('Transcription has not been started for this session', 404);
+    if (transcript.status !== 'recording') throw transcriptionError('This session transcript is already finished', 409);
+    return transcript;
+  };
+
+  // Drafted in the counsellor's language, since they edit and keep the notes
+  const withSummary = async (transcript, counsellor) => {
+    if (!transcript.transcript) return { transcript, summaryError: 'Nothing was transcribed' };
+    try {
+      const summary = await summarize(transcript.transcript, await loadLanguage(counsellor.userId));
+      const updated = await store.updateTranscript(transcript.id, {
+        summary,
+        summary_generated_at: now().toISOString()
+      });
+      return { transcript: updated, summaryError: null };
+    } catch (error) {
+      console.error('[Transcription] Failed to draft session summary:', error.message);
+      return { transcript, summaryError: 'Could not draft a summary. Try again from the transcript.' };
+    }
+  };
+
+  // ---------- Student ----------
+
+  /**
+   * The student's transcription consent for an appointment
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} studentId - Student ID
+   * @returns {Promise<Object>} { appointmentId, consented, consentedAt, withdrawnAt, updatedAt }
+   */
+  const getConsent = async (appointmentId, studentId) => {
+    await loadStudentAppointment(appointmentId, studentId);
+    return formatConsent(appointmentId, await store.getConsent(appointmentId));
+  };
+
+  /**
+   * Give or withdraw consent; withdrawing deletes any transcript of the session
+   * @param {string} appointmentId - Appointment ID
+   * @param {string} studentId - Student ID
+   * @param {boolean} consented
+   * @returns {Promise<Object>} Consent, plus transcriptDeleted
+   */
+  const setConsent = async (appointmentId, studentId, consented) => {
+    if (typeof consented !== 'boolean') throw transcriptionError('consented must be a boolean', 400);
+
+    const appointment = await loadStudentAppointment(appointmentId, studentId);
+    if (!CONSENT_STATUSES.includes(appointment.status)) {
+      throw transcriptionError(`Consent cannot be changed for a ${appointment.status} appointment`, 409);
+    }
+
+    const current = await store.getConsent(appointmentId);
+    const timestamp = now().toISOString();
+    const saved = await store.saveConsent({
+      appointment_id: appointmentId,
+      student_id: studentId,
+      college_id: appointment.college_id,
+      consented,
+      consented_at: consented ? (current?.consented ? current.consented_at : timestamp) : current?.consented_at || null,
+      withdrawn_at: consented ? null : timestamp,
+      updated_at: timestamp
+    });
+
+    const transcriptDeleted = consented ? false : await store.deleteTranscript(appointmentId);
+    if (transcriptDeleted) console.log(`[Transcription] Consent withdrawn, transcript of ${appointmentId} deleted`);
+
+    return { ...formatConsent(appointmentId, saved), transcriptDeleted };
+  };
+
+  // ---------- Counsellor ----------
+
+  /**
+   * Consent and transcript (if any) of a session
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} counsellor - { userId, collegeId }
+   * @returns {Promise<Object>} { appointmentId, consented, transcript }
+   */
+  const getSessionTranscript = async (appointmentId, counsellor) => {
+    await loadCounsellorAppointment(appointmentId, counsellor);
+    const [consent, transcript] = await Promise.all([
+      store.getConsent(appointmentId),
+      store.getTranscript(appointmentId)
+    ]);
+    const chunks = transcript?.status === 'recording' ? (await store.listChunks(transcript.id)).length : null;
+
+    return {
+      appointmentId,
+      consented: consent?.consented || false,
+      transcript: formatTranscript(transcript, chunks)
+    };
+  };
+
+  /**
+   * Start transcribing a confirmed session the student agreed to; resumes a
+   * transcript that is still recording
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} counsellor - { userId, collegeId }
+   * @returns {Promise<Object>} Transcript
+   */
+  const startTranscript = async (appointmentId, counsellor) => {
+    const appointment = await loadCounsellorAppointment(appointmentId, counsellor);
+    if (!TRANSCRIBABLE_STATUSES.includes(appointment.status)) {
+      throw transcriptionError(`A ${appointment.status} appointment cannot be transcribed`, 409);
+    }
+    await requireConsent(appointmentId);
+
+    const existing = await store.getTranscript(appointmentId);
+    if (existing?.status === 'recording') {
+      return formatTranscript(existing, (await store.listChunks(existing.id)).length);
+    }
+    if (existing) {
+      throw transcriptionError('This session has already been transcribed. Delete the transcript to start again.', 409);
+    }
+
+    const created = await store.createTranscript({
+      appointment_id: appointmentId,
+      counsellor_id: counsellor.userId,
+      student_id: appointment.student_id,
+      college_id: appointment.college_id,
+      status: 'recording',
+      started_at: now().toISOString()
+    });
+    console.log(`[Transcription] Started for appointment ${appointmentId}`);
+    return formatTranscript(created, 0);
+  };
+
+  /**
+   * Transcribe one chunk of session audio; sending a chunk number again replaces it
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} counsellor - { userId, collegeId }
+   * @param {Object} chunk - { seq, audio: Buffer, mimeType, language }
+   * @returns {Promise<Object>} { seq, text }
+   */
+  const addChunk = async (appointmentId, counsellor, { seq, audio, mimeType, language }) => {
+    const index = typeof seq === 'string' ? Number(seq) : seq;
+    if (!Number.isInteger(index) || index < 0 || index >= MAX_CHUNKS) {
+      throw transcriptionError(`seq must be a whole number from 0 to ${MAX_CHUNKS - 1}`, 400);
+    }
+    if (!audio?.length) throw transcriptionError('No audio file provided', 400);
+
+    const transcript = await loadRecording(appointmentId, counsellor);
+    // The student may have withdrawn consent mid-session
+    await requireConsent(appointmentId);
+
+    const result = await transcribeChunk({
+      audio,
+      filename: `chunk-${index}.webm`,
+      mimeType: mimeType || 'audio/webm',
+      ...(language && { language })
+    });
+    const text = (result.text || '').trim();
+
+    await store.saveChunk({ transcript_id: transcript.id, seq: index, text, created_at: now().toISOString() });
+    return { seq: index, text };
+  };
+
+  /**
+   * Join the chunks into the transcript and draft the summary
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} counsellor - { userId, collegeId }
+   * @returns {Promise<Object>} { transcript, summaryError } - the transcript is
+   *   saved even if the summary cannot be drafted
+   */
+  const finishTranscript = async (appointmentId, counsellor) => {
+    const transcript = await loadRecording(appointmentId, counsellor);
+    await requireConsent(appointmentId);
+
+    const chunks = await store.listChunks(transcript.id);
+    const text = chunks.map((chunk) => chunk.text).filter(Boolean).join(' ').replace(/\s+/g, ' ').trim();
+
+    const finished = await store.updateTranscript(transcript.id, {
+      status: 'completed',
+      transcript: text,
+      ended_at: now().toISOString()
+    });
+    console.log(`[Transcription] Finished for appointment ${appointmentId} (${chunks.length} chunks)`);
+
+    const result = await withSummary(finished, counsellor);
+    return { transcript: formatTranscript(result.transcript), summaryError: result.summaryError };
+  };
+
+  /**
+   * Draft the summary of a finished transcript again
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} counsellor - { userId, collegeId }
+   * @returns {Promise<Object>} { transcript, summaryError }
+   */
+  const regenerateSummary = async (appointmentId, counsellor) => {
+    await loadCounsellorAppointment(appointmentId, counsellor);
+    const transcript = await store.getTranscript(appointmentId);
+    if (!transcript) throw transcriptionError('This session has not been transcribed', 404);
+    if (transcript.status !== 'completed') throw transcriptionError('Finish the transcript first', 409);
+
+    const result = await withSummary(transcript, counsellor);
+    return { transcript: formatTranscript(result.transcript), summaryError: result.summaryError };
+  };
+
+  /**
+   * Delete a session transcript (e.g. to start again)
+   * @param {string} appointmentId - Appointment ID
+   * @param {Object} counsellor - { userId, collegeId }
+   * @returns {Promise<boolean>} Whether there was one
+   */
+  const deleteTranscript = async (appointmentId, counsellor) => {
+    await loadCounsellorAppointment(appointmentId, counsellor);
+    return store.deleteTranscript(appointmentId);
+  };
+
+  return {
+    getConsent,
+    setConsent,
+    getSessionTranscript,
+    startTranscript,
+    addChunk,
+    finishTranscript,
+    regenerateSummary,
+    deleteTranscript
+  };
+};
+
+const defaultTranscription = createSessionTranscription();
+
+export const {
+  getConsent: getTranscriptionConsent,
+  setConsent: setTranscriptionConsent,
+  getSessionTranscript,
+  startTranscript: startSessionTranscript,
+  addChunk: addTranscriptChunk,
+  finishTranscript: finishSessionTranscript,
+  regenerateSummary: regenerateSessionSummary,
+  deleteTranscript: deleteSessionTranscript
+} = defaultTranscription;
+
+export default {
+  createSessionTranscription,
+  draftSessionSummary,
+  parseSessionSummary,
+  getTranscriptionConsent,
+  setTranscriptionConsent,
+  getSessionTranscript,
+  startSessionTranscript,
+  addTranscriptChunk,
+  finishSessionTranscript,
+  regenerateSessionSummary,
+  deleteSessionTranscript
+};
@@ -0,0 +1,183 @@
+import { supabaseAdmin } from '../utils/supabaseAdmin.js';
+import { speak } from './llm/index.js';
+
+/**
+ * Speech Service
+ * Spoken replies from the AI companion: the reply text is cleaned up for
+ * reading aloud and synthesized with the configured speech provider
+ * (LLM_SPEECH_PROVIDER, see src/services/llm/index.js).
+ *
+ * Each user picks a voice and speaking rate, and whether replies to voice
+ * messages are spoken (ai_voice_settings). A request can override them.
+ *
+ * Errors carry a `statusCode` (400 invalid voice, speed or text).
+ */
+
+// Voices of the OpenAI speech models; OpenAI-compatible local servers map them to their own
+export const VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+export const SPEED_RANGE = { min: 0.5, max: 2 };
+
+export const DEFAULT_VOICE_SETTINGS = { voice: 'alloy', speed: 1, spokenReplies: true };
+
+// Longest input the speech endpoint accepts
+export const MAX_SPEECH_CHARS = 4096;
+
+const SPEECH_FORMAT = process.env.TTS_FORMAT || 'mp3';
+
+const speechError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const formatSettings = (row) => ({
+  voice: row?.voice || DEFAULT_VOICE_SETTINGS.voice,
+  speed: row?.speed ?? DEFAULT_VOICE_SETTINGS.speed,
+  spokenReplies: row?.spoken_replies ?? DEFAULT_VOICE_SETTINGS.spokenReplies,
+  updatedAt: row?.updated_at || null
+});
+
+const parseVoice = (voice) => {
+  if (!VOICES.includes(voice)) {
+    throw speechError(`voice must be one of: ${VOICES.join(', ')}`, 400);
+  }
+  return voice;
+};
+
+// Multipart form fields arrive as strings
+const parseSpeed = (speed) => {
+  const value = typeof speed === 'string' ? Number(speed) : speed;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < SPEED_RANGE.min || value > SPEED_RANGE.max) {
+    throw speechError(`speed must be a number from ${SPEED_RANGE.min} to ${SPEED_RANGE.max}`, 400);
+  }
+  return Math.round(value * 100) / 100;
+};
+
+// ==================== TEXT ====================
+
+/**
+ * Reply text as it should be read aloud: markdown, links and list markers
+ * removed, cut at a sentence end to fit MAX_SPEECH_CHARS
+ * @param {string} text - Reply text (may contain markdown)
+ * @returns {string}
+ */
+export const textForSpeech = (text) => {
+  const plain = String(text || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/https?:\/\/\S+/g, 'the link')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/gm, '')
+    .replace(/(\*\*|__|\*|_|`|~~)(.+?)\1/g, '$2')
+    .replace(/[*_`#>|]/g, ' ')
+    .replace(/\s*\n+\s*/g, '. ')
+    .replace(/([.!?:;,])\.\s/g, '$1 ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (plain.length <= MAX_SPEECH_CHARS) return plain;
+
+  const cut = plain.slice(0, MAX_SPEECH_CHARS);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+  return sentenceEnd > MAX_SPEECH_CHARS / 2 ? cut.slice(0, sentenceEnd + 1) : cut;
+};
+
+// ==================== SETTINGS ====================
+
+/**
+ * Voice settings for a user (defaults when never changed)
+ * @param {string} userId - User ID
+ * @returns {Object} { voice, speed, spokenReplies, updatedAt }
+ */
+export const getVoiceSettings = async (userId) => {
+  const { data, error } = await supabaseAdmin
+    .from('ai_voice_settings')
+    .select('voice, speed, spoken_replies, updated_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return formatSettings(data);
+};
+
+/**
+ * Change some or all of a user's voice settings
+ * @param {string} userId - User ID
+ * @param {Object} changes - { voice, speed, spokenReplies }
+ * @returns {Object} Updated settings
+ */
+export const updateVoiceSettings = async (userId, { voice, speed, spokenReplies } = {}) => {
+  if (voice === undefined && speed === undefined && spokenReplies === undefined) {
+    throw speechError('Nothing to update: send voice, speed or spokenReplies', 400);
+  }
+  if (spokenReplies !== undefined && typeof spokenReplies !== 'boolean') {
+    throw speechError('spokenReplies must be a boolean', 400);
+  }
+
+  const current = await getVoiceSettings(userId);
+  const { data, error } = await supabaseAdmin
+    .from('ai_voice_settings')
+    .upsert(
+      {
+        user_id: userId,
+        voice: voice === undefined ? current.voice : parseVoice(voice),
+        speed: speed === undefined ? current.speed : parseSpeed(speed),
+        spoken_replies: spokenReplies === undefined ? current.spokenReplies : spokenReplies,
+        updated_at: new Date().toISOString()
+      },
+      { onConflict: 'user_id' }
+    )
+    .select('voice, speed, spoken_replies, updated_at')
+    .single();
+
+  if (error) throw error;
+  return formatSettings(data);
+};
+
+/**
+ * Voice and speed for one reply: the user's settings with request overrides
+ * @param {Object} settings - From getVoiceSettings
+ * @param {Object} overrides - { voice, speed } from the request (optional)
+ * @returns {Object} { voice, speed }
+ */
+export const resolveVoiceOptions = (settings, { voice, speed } = {}) => ({
+  voice: voice === undefined || voice === '' ? settings.voice : parseVoice(voice),
+  speed: speed === undefined || speed === '' ? settings.speed : parseSpeed(speed)
+});
+
+// ==================== SYNTHESIS ====================
+
+/**
+ * Speak a reply with the configured speech provider
+ * @param {string} text - Reply text (markdown is removed first)
+ * @param {Object} options - { voice, speed, timeoutMs, signal }
+ * @returns {Promise<Object>} { audio: Buffer, mimeType, format, voice, speed, provider, model }
+ */
+export const synthesizeSpeech = async (text, { voice = DEFAULT_VOICE_SETTINGS.voice, speed = DEFAULT_VOICE_SETTINGS.speed, ...options } = {}) => {
+  const input = textForSpeech(text);
+  if (!input) {
+    throw speechError('Nothing to speak', 400);
+  }
+
+  const result = await speak({ text: input, voice, speed, format: SPEECH_FORMAT, ...options });
+  return {
+    audio: result.audio,
+    mimeType: result.mimeType,
+    format: result.format,
+    voice: result.voice,
+    speed,
+    provider: result.provider,
+    model: result.model
+  };
+};
+
+export default {
+  VOICES,
+  SPEED_RANGE,
+  textForSpeech,
+  getVoiceSettings,
+  updateVoiceSettings,
+  resolveVoiceOptions,
+  synthesizeSpeech
+};
@@ -1,5 +1,6 @@
 import { addCommunityTypingUser, removeCommunityTypingUser, getCommunityTypingUsers } from '../config/socket.js';
 import communityService from '../services/community.service.js';
+import { socketAuth } from '../middleware/socketAuth.js';
 
 /**
  * Initialize community socket handlers
@@ -9,41 +10,8 @@ export const initializeCommunitySocket = (io) => {
   // Create a namespace for community chat
   const communityNamespace = io.of('/community');
 
-  // Add authentication middleware for the community namespace
-  communityNamespace.use(async (socket, next) => {
-    try {
-      const { userId, userRole, collegeId } = socket.handshake.auth;
-      
-      console.log('[Community] Auth check:', {
-        userId: userId || 'MISSING',
-        userRole: userRole || 'MISSING',
-        collegeId: collegeId || 'MISSING'
-      });
-      
-      if (!userId || !userRole || !collegeId) {
-        console.error('[Community] Missing authentication data:', { 
-          hasUserId: !!userId, 
-          hasUserRole: !!userRole, 
-          hasCollegeId: !!collegeId 
-        });
-        return next(new Error('Authentication required - missing userId, userRole, or collegeId'));
-      }
-
-      // Attach user data to socket
-      socket.user = {
-        id: userId,
-        user_id: userId,
-        role: userRole,
-        college_id: collegeId
-      };
-
-      console.log(`[Community] Authentication successful: userId=${userId}, role=${userRole}, college=${collegeId}`);
-      next();
-    } catch (error) {
-      console.error('[Community] Authentication error:', error);
-      return next(new Error('Authentication failed'));
-    }
-  });
+  // Same token verification as the main namespace
+  communityNamespace.use(socketAuth);
 
   communityNamespace.on('connection', async (socket) => {
     console.log(`[Community] User connected: ${socket.id}`);
@@ -40,6 +40,11 @@ export const initializeSocketHandlers = (io) => {
     // Join user to their personal room
     socket.join(`user:${userId}`);
 
+    // Staff join a per-college role room to receive escalation alerts
+    if (socket.user.college_id && ['counsellor', 'admin'].includes(userRole)) {
+      socket.join(`college:${socket.user.college_id}:${userRole}`);
+    }
+
     /**
      * Event: join_conversation
      * Join a conversation room
@@ -1,81 +1,358 @@
 // src/utils/crisisDetect.js
-function isCrisisMessage(text = "") {
-  const lowered = text.toLowerCase();
-
-  const keywords = [
-  // Root-word variants (covers suicide, suicidal, suiciding)
-  "suicide",
-  "suicidal",
-  "suicidality",
-
-  // Direct intent
-  "kill myself",
-  "killing myself",
-  "want to kill myself",
-  "kms",
-  "kys",
-  
-  // Dying variations
-  "i want to die",
-  "i wanna die",
-  "i wanna just die",
-  "want to die",
-  "want to just die",
-  "wish i was dead",
-  "wish i were dead",
-  "better off dead",
-  "dying inside",
-  "i'm done with life",
-  "done with life",
-  "life is pointless",
-  "life is meaningless",
-
-  // Not wanting to live
-  "i dont want to live",
-  "i don't want to live",
-  "i don't want to exist",
-  "don't want to be alive",
-  "i shouldn't exist",
-  "i want to disappear",
-  "i want to vanish",
-  "i want everything to end",
-
-  // End it all variations
-  "end my life",
-  "ending my life",
-  "end it all",
-  "thinking of ending everything",
-  "end everything",
-  "ending everything",
-
-  // Self-harm various forms
-  "self harm",
-  "self-harm",
-  "self harming",
-  "self-harming",
-  "hurt myself",
-  "hurting myself",
-  "cut myself",
-  "cutting myself",
-  "cutting",
-  "slit my wrists",
-  "slitting my wrists",
-
-
-
-  // Method-related obvious intent
-  "jump off a building",
-  "jump off a bridge",
-  "hang myself",
-  "hanging myself",
-  "crash my car intentionally",
-  "drive into traffic",
-
-
-];
-
-
-  return keywords.some((k) => lowered.includes(k));
+//
+// Tiered crisis detection for AI chat/voice messages.
+// detectCrisis(text) -> { level, confidence, matches, negated, contextMarkers }
+//   level: 'none' | 'concern' | 'imminent'
+//
+// - "imminent": explicit self-directed lethal intent or method ("kill myself")
+// - "concern": ideation, hopelessness or self-harm ("I want to die", "cutting myself")
+// - A concern phrase plus an imminence marker ("tonight", "I have the pills") is raised to imminent
+// - Negated phrases ("I'm not going to kill myself") are reported but do not count. A
+//   negator only cancels a phrase whose own verb it governs; "I've never wanted to kill
+//   myself more than now" still counts
+// - Phrase lists cover English, Hindi, Urdu and Kashmiri (native script and romanized),
+//   matching the languages in the frontend's data/translations.js. The non-English
+//   lists are a starting point and should be reviewed with native-speaking counsellors.
+
+export const CRISIS_LEVELS = ["none", "concern", "imminent"];
+
+const TIER_WEIGHTS = { concern: 0.6, imminent: 0.9 };
+const CONTEXT_MARKER_WEIGHT = 0.5;
+
+// Informational uses of "suicide" that should not trip the detector
+const INFORMATIONAL_SUFFIX =
+  /^\s*(prevention|squad|awareness|hotline|helpline|rates?|statistics|essay|research|assignment|bomb(er|ers|ing|ings)?)\b/;
+
+// ==================== PHRASE LISTS ====================
+
+// Each entry: { phrase, tier, notFollowedBy?, notPrecededBy? }
+// English phrases match on whole words. For the SOV languages the phrase
+// end is a prefix, so "khudkushi kar" also matches "khudkushi karunga".
+const PHRASES = {
+  en: {
+    negation: "before",
+    phrases: [
+      // Direct intent
+      { phrase: "kill myself", tier: "imminent", notFollowedBy: /^\s*laughing\b/ },
+      { phrase: "killing myself", tier: "imminent", notFollowedBy: /^\s*laughing\b/ },
+      { phrase: "kms", tier: "imminent", notPrecededBy: /\d\s*$/ }, // not "5 kms"
+      { phrase: "commit suicide", tier: "imminent" },
+      { phrase: "committing suicide", tier: "imminent" },
+      { phrase: "end my life", tier: "imminent" },
+      { phrase: "ending my life", tier: "imminent" },
+      { phrase: "take my own life", tier: "imminent" },
+      { phrase: "taking my own life", tier: "imminent" },
+      { phrase: "end it all", tier: "imminent" },
+      { phrase: "suicide note", tier: "imminent" },
+
+      // Method-related intent
+      { phrase: "hang myself", tier: "imminent" },
+      { phrase: "hanging myself", tier: "imminent" },
+      { phrase: "slit my wrists", tier: "imminent" },
+      { phrase: "slitting my wrists", tier: "imminent" },
+      { phrase: "jump off a building", tier: "imminent" },
+      { phrase: "jump off a bridge", tier: "imminent" },
+      { phrase: "overdose on", tier: "imminent" },
+      { phrase: "take all my pills", tier: "imminent" },
+      { phrase: "crash my car intentionally", tier: "imminent" },
+      { phrase: "drive into traffic", tier: "imminent" },
+
+      // Ideation
+      { phrase: "suicide", tier: "concern", notFollowedBy: INFORMATIONAL_SUFFIX },
+      { phrase: "suicidal", tier: "concern" },
+      { phrase: "suicidality", tier: "concern" },
+      { phrase: "kys", tier: "concern" },
+      { phrase: "want to die", tier: "concern" },
+      { phrase: "wanna die", tier: "concern" },
+      { phrase: "wanna just die", tier: "concern" },
+      { phrase: "want to just die", tier: "concern" },
+      { phrase: "wish i was dead", tier: "concern" },
+      { phrase: "wish i were dead", tier: "concern" },
+      { phrase: "better off dead", tier: "concern" },
+      { phrase: "better off without me", tier: "concern" },
+      { phrase: "no reason to live", tier: "concern" },
+
+      // Hopelessness / not wanting to live
+      { phrase: "dying inside", tier: "concern" },
+      { phrase: "done with life", tier: "concern" },
+      { phrase: "life is pointless", tier: "concern" },
+      { phrase: "life is meaningless", tier: "concern" },
+      { phrase: "dont want to live", tier: "concern" },
+      { phrase: "don't want to live", tier: "concern" },
+      { phrase: "don't want to exist", tier: "concern" },
+      { phrase: "don't want to be alive", tier: "concern" },
+      { phrase: "shouldn't exist", tier: "concern" },
+      { phrase: "want to disappear", tier: "concern" },
+      { phrase: "want to vanish", tier: "concern" },
+      { phrase: "want everything to end", tier: "concern" },
+      { phrase: "end everything", tier: "concern" },
+      { phrase: "ending everything", tier: "concern" },
+
+      // Self-harm
+      { phrase: "self harm", tier: "concern" },
+      { phrase: "self-harm", tier: "concern" },
+      { phrase: "self harming", tier: "concern" },
+      { phrase: "self-harming", tier: "concern" },
+      { phrase: "hurt myself", tier: "concern" },
+      { phrase: "hurting myself", tier: "concern" },
+      { phrase: "cut myself", tier: "concern" },
+      { phrase: "cutting myself", tier: "concern" },
+    ],
+    markers: [
+      "tonight", "right now", "this weekend",
+      "i have a plan", "made a plan", "have the pills", "bought a rope",
+      "wrote a note", "goodbye forever", "final goodbye", "last message",
+    ],
+  },
+
+  // Hindi (Devanagari) and romanized Hindi/Urdu ("Hinglish")
+  hi: {
+    negation: "after",
+    phrases: [
+      { phrase: "आत्महत्या कर", tier: "imminent" },
+      { phrase: "खुदकुशी कर", tier: "imminent" },
+      { phrase: "खुद को मार", tier: "imminent" },
+      { phrase: "अपनी जान ले", tier: "imminent" },
+      { phrase: "जिंदगी खत्म कर", tier: "imminent" },
+      { phrase: "फांसी लगा", tier: "imminent" },
+      { phrase: "atmahatya kar", tier: "imminent" },
+      { phrase: "khudkushi kar", tier: "imminent" },
+      { phrase: "khud ko maar", tier: "imminent" },
+      { phrase: "apni jaan le", tier: "imminent" },
+      { phrase: "zindagi khatam kar", tier: "imminent" },
+      { phrase: "phansi laga", tier: "imminent" },
+
+      { phrase: "आत्महत्या", tier: "concern" },
+      { phrase: "खुदकुशी", tier: "concern" },
+      { phrase: "मरना चाहता", tier: "concern" },
+      { phrase: "मरना चाहती", tier: "concern" },
+      { phrase: "मर जाना चाहता", tier: "concern" },
+      { phrase: "मर जाना चाहती", tier: "concern" },
+      { phrase: "जीना नहीं चाहता", tier: "concern" },
+      { phrase: "जीना नहीं चाहती", tier: "concern" },
+      { phrase: "खुद को नुकसान", tier: "concern" },
+      { phrase: "atmahatya", tier: "concern" },
+      { phrase: "khudkushi", tier: "concern" },
+      { phrase: "marna chahta", tier: "concern" },
+      { phrase: "marna chahti", tier: "concern" },
+      { phrase: "mar jana chahta", tier: "concern" },
+      { phrase: "mar jana chahti", tier: "concern" },
+      { phrase: "jeena nahi chahta", tier: "concern" },
+      { phrase: "jeena nahi chahti", tier: "concern" },
+      { phrase: "jina nahi chahta", tier: "concern" },
+      { phrase: "jina nahi chahti", tier: "concern" },
+      { phrase: "khud ko nuksan", tier: "concern" },
+    ],
+    markers: ["आज रात", "aaj raat"],
+  },
+
+  // Urdu (Perso-Arabic)
+  ur: {
+    negation: "after",
+    phrases: [
+      { phrase: "خودکشی کر", tier: "imminent" },
+      { phrase: "خود کو مار", tier: "imminent" },
+      { phrase: "اپنی جان لے", tier: "imminent" },
+      { phrase: "زندگی ختم کر", tier: "imminent" },
+      { phrase: "پھانسی لگا", tier: "imminent" },
+
+      { phrase: "خودکشی", tier: "concern" },
+      { phrase: "خود کشی", tier: "concern" },
+      { phrase: "مرنا چاہتا", tier: "concern" },
+      { phrase: "مرنا چاہتی", tier: "concern" },
+      { phrase: "جینا نہیں چاہتا", tier: "concern" },
+      { phrase: "جینا نہیں چاہتی", tier: "concern" },
+      { phrase: "خود کو نقصان", tier: "concern" },
+    ],
+    markers: ["آج رات"],
+  },
+
+  // Kashmiri (Perso-Arabic and romanized)
+  ks: {
+    negation: "after",
+    phrases: [
+      { phrase: "پانس مارن", tier: "imminent" },
+      { phrase: "paanas maarun", tier: "imminent" },
+      { phrase: "panas marun", tier: "imminent" },
+
+      { phrase: "خودکشی", tier: "concern" },
+      { phrase: "مرن یژھان", tier: "concern" },
+      { phrase: "marun yatsaan", tier: "concern" },
+      { phrase: "marun yatsan", tier: "concern" },
+    ],
+    markers: [],
+  },
+};
+
+const NEGATORS = {
+  before: new Set([
+    "not", "never", "no", "nor", "cannot",
+    "dont", "don't", "won't", "wont", "wouldn't", "wouldnt",
+    "can't", "cant", "didn't", "didnt", "isn't", "isnt", "shouldn't",
+  ]),
+  // "na"/"نہ" are left out on purpose: they double as a tag question ("..., na?")
+  after: new Set(["नहीं", "नही", "मत", "nahi", "nahin", "nai", "mat", "نہیں", "مت"]),
+};
+
+// Words that may sit between a negator and the verb it governs:
+// "not going to kill myself", "won't ever hurt myself", "don't want to die".
+// Any other word ends the search, so "never wanted to kill myself" and
+// "never felt this suicidal" still count; an unclear negation is not trusted.
+const ADVERB_BRIDGE = new Set(["ever", "really", "even", "actually", "just", "truly"]);
+const VERB_BRIDGE = new Set(["going", "gonna", "to", "be", "want", "wanna", "try", "trying"]);
+// "never" governs the word right after it, not a verb reached through another verb
+const ADVERB_NEGATORS = new Set(["never"]);
+
+const CLAUSE_BREAK = /[.,!?;:\n|।۔،]|\b(?:but|lekin|magar)\b|लेकिन|لیکن/g;
+const NEGATION_WINDOW = 3;
+
+// ==================== MATCHING ====================
+
+/**
+ * Lowercase, unify apostrophes and strip diacritics/nuktas so that typed
+ * variants of the same word match the phrase lists.
+ */
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[\u2018\u2019\u02BC]/g, "'")
+    .replace(/[\u064B-\u065F\u0670]/g, "") // Arabic-script diacritics (zer, zabar, pesh ...)
+    .replace(/\u093C/g, "") // Devanagari nukta
+    .replace(/[\u064A\u0649]/g, "\u06CC") // Arabic yeh -> Farsi/Urdu yeh
+    .replace(/\u0643/g, "\u06A9") // Arabic kaf -> keheh
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const WORD_CHAR = "\\p{L}\\p{M}\\p{N}'";
+
+function buildPattern(phrase, language) {
+  const body = escapeRegExp(normalize(phrase)).replace(/ /g, "\\s+");
+  const tail = language === "en" ? `(?![${WORD_CHAR}])` : "";
+  return new RegExp(`(?<![${WORD_CHAR}])${body}${tail}`, "gu");
+}
+
+const COMPILED = Object.entries(PHRASES).map(([language, config]) => ({
+  language,
+  negation: config.negation,
+  phrases: config.phrases.map((p) => ({ ...p, pattern: buildPattern(p.phrase, language) })),
+  markers: config.markers.map((m) => ({ marker: m, pattern: buildPattern(m, "en") })),
+}));
+
+// Tokens of the same clause on one side of a match, nearest first
+function clauseTokens(text, side) {
+  const parts = text.split(CLAUSE_BREAK).filter((p) => p !== undefined);
+  const clause = side === "before" ? parts[parts.length - 1] : parts[0];
+  const tokens = (clause || "")
+    .split(" ")
+    .map((t) => t.replace(/^[^\p{L}\p{M}\p{N}']+|[^\p{L}\p{M}\p{N}']+$/gu, ""))
+    .filter(Boolean);
+  return side === "before" ? tokens.reverse() : tokens;
+}
+
+function isNegated(normalized, start, end, side) {
+  if (side === "after") {
+    const tokens = clauseTokens(normalized.slice(end), side).slice(0, NEGATION_WINDOW);
+    return tokens.some((token) => NEGATORS.after.has(token));
+  }
+
+  // Walk back from the phrase (nearest first) across bridge words only
+  let crossedVerb = false;
+  for (const token of clauseTokens(normalized.slice(0, start), side)) {
+    if (NEGATORS.before.has(token)) return !(crossedVerb && ADVERB_NEGATORS.has(token));
+    if (VERB_BRIDGE.has(token)) {
+      crossedVerb = true;
+    } else if (!ADVERB_BRIDGE.has(token)) {
+      return false;
+    }
+  }
+  return false;
+}
+
+function combine(weights) {
+  return 1 - weights.reduce((remaining, w) => remaining * (1 - w), 1);
+}
+
+/**
+ * Detect crisis language in a chat or voice message.
+ * @param {string} text - The user's message
+ * @returns {{
+ *   level: 'none'|'concern'|'imminent',
+ *   confidence: number,
+ *   matches: Array<{phrase: string, tier: string, language: string}>,
+ *   negated: Array<{phrase: string, tier: string, language: string}>,
+ *   contextMarkers: string[]
+ * }}
+ */
+function detectCrisis(text = "") {
+  const normalized = normalize(text);
+  const matches = [];
+  const negated = [];
+  const contextMarkers = [];
+  const claimed = []; // [start, end] spans already attributed to a longer phrase
+
+  if (!normalized) {
+    return { level: "none", confidence: 0, matches, negated, contextMarkers };
+  }
+
+  // Longest phrases first so "kill myself" is not also counted inside "want to kill myself"
+  const candidates = COMPILED.flatMap((lang) =>
+    lang.phrases.map((p) => ({ ...p, language: lang.language, negation: lang.negation }))
+  ).sort((a, b) => b.phrase.length - a.phrase.length);
+
+  for (const candidate of candidates) {
+    for (const m of normalized.matchAll(candidate.pattern)) {
+      const start = m.index;
+      const end = start + m[0].length;
+
+      if (claimed.some(([s, e]) => start < e && end > s)) continue;
+      if (candidate.notFollowedBy && candidate.notFollowedBy.test(normalized.slice(end))) continue;
+      if (candidate.notPrecededBy && candidate.notPrecededBy.test(normalized.slice(0, start))) continue;
+
+      claimed.push([start, end]);
+      const hit = { phrase: candidate.phrase, tier: candidate.tier, language: candidate.language };
+
+      if (isNegated(normalized, start, end, candidate.negation)) {
+        negated.push(hit);
+      } else {
+        matches.push(hit);
+      }
+    }
+  }
+
+  if (matches.length === 0) {
+    return { level: "none", confidence: 0, matches, negated, contextMarkers };
+  }
+
+  for (const lang of COMPILED) {
+    for (const { marker, pattern } of lang.markers) {
+      pattern.lastIndex = 0;
+      if (pattern.test(normalized) && !contextMarkers.includes(marker)) {
+        contextMarkers.push(marker);
+      }
+    }
+  }
+
+  let level = matches.some((m) => m.tier === "imminent") ? "imminent" : "concern";
+  const weights = matches.map((m) => TIER_WEIGHTS[m.tier]);
+
+  if (contextMarkers.length > 0) {
+    level = "imminent";
+    weights.push(CONTEXT_MARKER_WEIGHT);
+  }
+
+  return {
+    level,
+    confidence: Math.round(combine(weights) * 100) / 100,
+    matches,
+    negated,
+    contextMarkers,
+  };
 }
 
-export { isCrisisMessage };
+export { detectCrisis };
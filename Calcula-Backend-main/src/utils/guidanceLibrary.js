@@ -0,0 +1,215 @@
+// src/utils/guidanceLibrary.js
+//
+// Rule-based assessment guidance, used whenever the LLM provider is not
+// configured, times out or returns something unusable. Deterministic: the
+// same instrument and severity always give the same text.
+//
+// Guidance is built from two layers:
+//   bands       - shared text per severity band (minimal, mild, moderate, severe)
+//   instruments - what the instrument measures plus focused actions, placed
+//                 ahead of the band's generic actions
+// Severity labels from any scorer (including custom forms) are mapped onto a
+// band by `severityBand`. The same text in Hindi, Urdu and Kashmiri lives in
+// utils/guidanceTranslations.js.
+
+import { GUIDANCE_TRANSLATIONS } from './guidanceTranslations.js';
+
+export const SEVERITY_BANDS = ['minimal', 'mild', 'moderate', 'severe'];
+
+const MAX_ACTIONS = 7;
+
+const CRISIS_ACTION = 'Contact a crisis helpline or emergency services if you feel unsafe.';
+
+const BANDS = {
+  minimal: {
+    guidance: "Your results show minimal concerns, which is great. You're managing well and being proactive about your mental health is important. Keep up the healthy habits you have in place. It's normal to have ups and downs, so continue checking in with yourself.",
+    recommendedActions: [
+      'Maintain your current routines.',
+      'Stay connected with supportive people.',
+      'Engage in activities you enjoy.',
+      'Use journaling to track your mood.'
+    ]
+  },
+  mild: {
+    guidance: "Your results show mild concerns, which are very common among college students. Taking this assessment is a positive first step. Small adjustments in your routine and reaching out for support can make a real difference. You're not alone in this experience.",
+    recommendedActions: [
+      'Practice a simple self-care activity daily.',
+      'Talk with a friend or mentor.',
+      'Try guided meditation or grounding tools.',
+      'Reach out for campus support if things persist.'
+    ]
+  },
+  moderate: {
+    guidance: "Your results suggest moderate concerns that deserve attention. Many college students experience similar challenges, especially with academic and social pressures. Support and self-care strategies can really help. Consider reaching out to your campus counselling centre. You don't have to face this alone.",
+    recommendedActions: [
+      'Book a counsellor session in the app.',
+      'Talk to someone you trust about how you feel.',
+      'Try calming audios or meditation from the app.',
+      'Connect socially instead of isolating.'
+    ]
+  },
+  severe: {
+    guidance: "Your results suggest significant concerns, and it's really important to reach out for support right away. Professional help is available and can make a real difference. Please contact your campus counselling centre or a trusted person today. Taking action now is a crucial step toward feeling better.",
+    recommendedActions: [
+      'Contact your campus counselling services today.',
+      'Talk to a trusted friend or family member.',
+      'Stay around supportive people rather than alone.',
+      CRISIS_ACTION
+    ]
+  }
+};
+
+const INSTRUMENTS = {
+  'PHQ-9': {
+    focus: 'This check looks at low mood and loss of interest over the last two weeks.',
+    actions: [
+      'Plan one small, enjoyable activity each day.',
+      'Get outside for a short walk or some daylight.'
+    ]
+  },
+  'GAD-7': {
+    focus: 'This check looks at worry and nervousness over the last two weeks.',
+    actions: [
+      'Try a grounding exercise when worry builds up.',
+      'Set aside a short, fixed time for worries.'
+    ]
+  },
+  'GHQ-12': {
+    focus: 'This check looks at your general wellbeing and day-to-day coping.',
+    actions: [
+      'Keep regular times for sleep and meals.',
+      'Break large tasks into smaller steps.'
+    ]
+  },
+  'PSS-10': {
+    focus: 'This check looks at how stressful and unpredictable life has felt lately.',
+    actions: [
+      'Prioritise tasks with the Eisenhower matrix.',
+      'Work in focused Pomodoro blocks with short breaks.'
+    ]
+  },
+  'WHO-5': {
+    focus: 'This check looks at positive mood, energy and interest in daily life.',
+    actions: [
+      'Schedule something you look forward to this week.',
+      'Use the habit tracker for rest and movement.'
+    ]
+  },
+  'IAT': {
+    focus: 'This check looks at how internet use is affecting your time and routines.',
+    actions: [
+      'Set screen-free periods, especially before bed.',
+      'Replace one online hour with an offline activity.'
+    ]
+  },
+  'PSQI': {
+    focus: 'This check looks at your sleep quality, timing and daytime tiredness.',
+    actions: [
+      'Keep the same bedtime and wake time daily.',
+      'Avoid screens for 30 minutes before sleep.'
+    ]
+  },
+  'BHI-10': {
+    focus: 'This check looks at your overall health and daily functioning.',
+    actions: [
+      'Build a simple routine for sleep, food and movement.',
+      'Use the habit tracker to follow small changes.'
+    ]
+  },
+  'DERS-18': {
+    focus: 'This check looks at how you notice and manage strong emotions.',
+    actions: [
+      'Name the emotion you feel before reacting.',
+      'Write about difficult moments in your journal.'
+    ]
+  }
+};
+
+// The C-SSRS screens for suicide risk, so every non-minimal result points to
+// a person rather than self-help
+const CSSRS_GUIDANCE = {
+  minimal: {
+    guidance: "Thank you for answering these questions honestly. Your answers don't show current thoughts of harming yourself. If things change, or you ever feel unsafe, please reach out straight away. Support is always available on this platform and on campus.",
+    recommendedActions: [
+      'Check in with yourself regularly.',
+      'Stay connected with people you trust.',
+      'Book a counsellor session if things get harder.'
+    ]
+  },
+  mild: {
+    guidance: "Thank you for sharing how you feel. Thoughts like these can be painful, and you deserve support with them. Please talk to a counsellor soon, and tell someone you trust how you are doing. You don't have to carry this alone.",
+    recommendedActions: [
+      'Book a counsellor session in the next few days.',
+      'Tell a trusted friend or family member how you feel.',
+      'Use grounding tools when thoughts feel heavy.',
+      CRISIS_ACTION
+    ]
+  },
+  moderate: {
+    guidance: "Thank you for telling us. What you've shared is important, and a counsellor should talk with you as soon as possible. Please reach out to your campus counselling centre today and stay close to people you trust. Help is available right now.",
+    recommendedActions: [
+      'Contact your campus counselling centre today.',
+      'Stay with someone you trust.',
+      'Remove anything you could use to hurt yourself.',
+      CRISIS_ACTION
+    ]
+  },
+  severe: {
+    guidance: "Thank you for telling us. Your safety matters most right now. Please contact a crisis helpline or emergency services immediately, or go to someone who can be with you. Your campus counselling centre is there to support you as well.",
+    recommendedActions: [
+      CRISIS_ACTION,
+      'Stay with someone you trust right now.',
+      'Remove anything you could use to hurt yourself.',
+      'Contact your campus counselling centre immediately.'
+    ]
+  }
+};
+
+/**
+ * Map a severity label onto a guidance band
+ * @param {string} severityLevel - e.g. 'Minimal', 'Moderately Severe', or a custom form's label
+ * @returns {string} One of SEVERITY_BANDS; unrecognised labels map to 'mild'
+ */
+export const severityBand = (severityLevel) => {
+  const label = String(severityLevel || '').toLowerCase();
+  if (label.includes('severe') || label.includes('high')) return 'severe';
+  if (label.includes('moderate')) return 'moderate';
+  if (label.includes('minimal') || label.includes('none') || label.includes('normal') || label === 'low') return 'minimal';
+  return 'mild';
+};
+
+const ENGLISH = { bands: BANDS, instruments: INSTRUMENTS, cssrs: CSSRS_GUIDANCE };
+
+/**
+ * Rule-based guidance for an assessment result
+ * @param {string} formType - Assessment form type
+ * @param {string} severityLevel - Severity label from the scorer
+ * @param {string} language - Preferred language code; English when not translated
+ * @returns {Object} { guidance, recommendedActions }
+ */
+export const getRuleBasedGuidance = (formType, severityLevel, language = 'en') => {
+  const band = severityBand(severityLevel);
+  const library = GUIDANCE_TRANSLATIONS[language] || ENGLISH;
+
+  if (formType === 'C-SSRS' || formType === 'CSSRS') {
+    const { guidance, recommendedActions } = library.cssrs[band];
+    return { guidance, recommendedActions: [...recommendedActions] };
+  }
+
+  const base = library.bands[band];
+  const instrument = library.instruments[formType];
+  if (!instrument) {
+    return { guidance: base.guidance, recommendedActions: [...base.recommendedActions] };
+  }
+
+  return {
+    guidance: `${instrument.focus} ${base.guidance}`,
+    recommendedActions: [...instrument.actions, ...base.recommendedActions].slice(0, MAX_ACTIONS)
+  };
+};
+
+export default {
+  SEVERITY_BANDS,
+  severityBand,
+  getRuleBasedGuidance
+};
@@ -0,0 +1,365 @@
+// src/utils/guidanceTranslations.js
+//
+// Rule-based assessment guidance (utils/guidanceLibrary.js) in the other
+// interface languages. Each language has the same shape as the English
+// library: bands (per severity band), instruments (focus line and actions)
+// and cssrs (the C-SSRS text per band).
+//
+// These are a starting point and should be reviewed with native-speaking
+// counsellors, as with the crisis phrase lists in utils/crisisDetect.js.
+
+const HI_CRISIS_ACTION = 'अगर आप असुरक्षित महसूस करें तो किसी क्राइसिस हेल्पलाइन या आपातकालीन सेवाओं से संपर्क करें।';
+const UR_CRISIS_ACTION = 'اگر آپ خود کو غیر محفوظ محسوس کریں تو کسی کرائسس ہیلپ لائن یا ایمرجنسی سروسز سے رابطہ کریں۔';
+const KS_CRISIS_ACTION = 'اگر تُہؠ غیر محفوظ محسوس کٔرِو، کٔرِو کٲنٛسہِ کرائسس ہیلپ لائنس یا ایمرجنسی سروسن سٕتؠ رابطہ۔';
+
+const hi = {
+  bands: {
+    minimal: {
+      guidance: 'आपके नतीजे बहुत कम चिंता दिखाते हैं, जो बहुत अच्छी बात है। आप अच्छी तरह संभाल रहे हैं, और अपने मानसिक स्वास्थ्य पर ध्यान देना ज़रूरी है। अपनी स्वस्थ आदतें बनाए रखें। उतार-चढ़ाव आना सामान्य है, इसलिए ख़ुद से अपना हाल पूछते रहें।',
+      recommendedActions: [
+        'अपनी मौजूदा दिनचर्या बनाए रखें।',
+        'सहारा देने वाले लोगों से जुड़े रहें।',
+        'वे काम करें जिनमें आपको आनंद आता है।',
+        'अपना मूड ट्रैक करने के लिए जर्नलिंग करें।'
+      ]
+    },
+    mild: {
+      guidance: 'आपके नतीजे हल्की चिंताएँ दिखाते हैं, जो कॉलेज के छात्रों में बहुत आम हैं। यह आकलन करना एक अच्छा पहला कदम है। दिनचर्या में छोटे बदलाव और मदद माँगना सच में फ़र्क ला सकते हैं। इस अनुभव में आप अकेले नहीं हैं।',
+      recommendedActions: [
+        'रोज़ एक आसान सेल्फ़-केयर गतिविधि करें।',
+        'किसी दोस्त या मेंटर से बात करें।',
+        'गाइडेड मेडिटेशन या ग्राउंडिंग टूल आज़माएँ।',
+        'परेशानी बनी रहे तो कैंपस सहायता से संपर्क करें।'
+      ]
+    },
+    moderate: {
+      guidance: 'आपके नतीजे मध्यम चिंताएँ दिखाते हैं जिन पर ध्यान देना ज़रूरी है। कई कॉलेज छात्र, ख़ासकर पढ़ाई और सामाजिक दबाव के कारण, ऐसी ही चुनौतियों से गुज़रते हैं। सहायता और सेल्फ़-केयर सच में मदद कर सकते हैं। अपने कैंपस काउंसलिंग सेंटर से संपर्क करने पर विचार करें। आपको इसका सामना अकेले नहीं करना है।',
+      recommendedActions: [
+        'ऐप में काउंसलर सेशन बुक करें।',
+        'अपनी भावनाओं के बारे में किसी भरोसेमंद व्यक्ति से बात करें।',
+        'ऐप के शांत करने वाले ऑडियो या मेडिटेशन आज़माएँ।',
+        'अकेले रहने के बजाय लोगों से मिलें-जुलें।'
+      ]
+    },
+    severe: {
+      guidance: 'आपके नतीजे गंभीर चिंताएँ दिखाते हैं, और तुरंत मदद लेना बहुत ज़रूरी है। पेशेवर मदद उपलब्ध है और सच में फ़र्क ला सकती है। कृपया आज ही अपने कैंपस काउंसलिंग सेंटर या किसी भरोसेमंद व्यक्ति से संपर्क करें। अभी कदम उठाना बेहतर महसूस करने की दिशा में एक अहम कदम है।',
+      recommendedActions: [
+        'आज ही अपनी कैंपस काउंसलिंग सेवाओं से संपर्क करें।',
+        'किसी भरोसेमंद दोस्त या परिवार के सदस्य से बात करें।',
+        'अकेले रहने के बजाय सहारा देने वाले लोगों के साथ रहें।',
+        HI_CRISIS_ACTION
+      ]
+    }
+  },
+  instruments: {
+    'PHQ-9': {
+      focus: 'यह जाँच पिछले दो हफ़्तों में उदासी और रुचि की कमी को देखती है।',
+      actions: ['हर दिन एक छोटा, सुखद काम तय करें।', 'थोड़ी देर टहलने या धूप लेने के लिए बाहर जाएँ।']
+    },
+    'GAD-7': {
+      focus: 'यह जाँच पिछले दो हफ़्तों में चिंता और घबराहट को देखती है।',
+      actions: ['चिंता बढ़ने पर कोई ग्राउंडिंग अभ्यास करें।', 'चिंताओं के लिए रोज़ थोड़ा तय समय रखें।']
+    },
+    'GHQ-12': {
+      focus: 'यह जाँच आपकी सामान्य भलाई और रोज़मर्रा के कामों को संभालने को देखती है।',
+      actions: ['सोने और खाने का समय नियमित रखें।', 'बड़े कामों को छोटे हिस्सों में बाँटें।']
+    },
+    'PSS-10': {
+      focus: 'यह जाँच देखती है कि हाल में ज़िंदगी कितनी तनावपूर्ण और अनिश्चित लगी है।',
+      actions: ['आइज़नहावर मैट्रिक्स से कामों की प्राथमिकता तय करें।', 'छोटे ब्रेक के साथ पोमोडोरो ब्लॉक में काम करें।']
+    },
+    'WHO-5': {
+      focus: 'यह जाँच अच्छे मूड, ऊर्जा और रोज़मर्रा की ज़िंदगी में रुचि को देखती है।',
+      actions: ['इस हफ़्ते कुछ ऐसा तय करें जिसका आपको इंतज़ार हो।', 'आराम और शारीरिक गतिविधि के लिए हैबिट ट्रैकर इस्तेमाल करें।']
+    },
+    'IAT': {
+      focus: 'यह जाँच देखती है कि इंटरनेट का इस्तेमाल आपके समय और दिनचर्या पर कैसा असर डाल रहा है।',
+      actions: ['ख़ासकर सोने से पहले स्क्रीन-मुक्त समय रखें।', 'ऑनलाइन बिताए एक घंटे की जगह कोई ऑफ़लाइन गतिविधि करें।']
+    },
+    'PSQI': {
+      focus: 'यह जाँच आपकी नींद की गुणवत्ता, समय और दिन की थकान को देखती है।',
+      actions: ['रोज़ सोने और जागने का समय एक जैसा रखें।', 'सोने से 30 मिनट पहले स्क्रीन से दूर रहें।']
+    },
+    'BHI-10': {
+      focus: 'यह जाँच आपके समग्र स्वास्थ्य और रोज़ के कामकाज को देखती है।',
+      actions: ['नींद, खाने और शारीरिक गतिविधि की एक आसान दिनचर्या बनाएँ।', 'छोटे बदलावों पर नज़र रखने के लिए हैबिट ट्रैकर इस्तेमाल करें।']
+    },
+    'DERS-18': {
+      focus: 'यह जाँच देखती है कि आप तेज़ भावनाओं को कैसे पहचानते और संभालते हैं।',
+      actions: ['प्रतिक्रिया देने से पहले अपनी भावना को नाम दें।', 'मुश्किल पलों के बारे में अपनी जर्नल में लिखें।']
+    }
+  },
+  cssrs: {
+    minimal: {
+      guidance: 'इन सवालों के ईमानदारी से जवाब देने के लिए धन्यवाद। आपके जवाब ख़ुद को नुकसान पहुँचाने के मौजूदा विचार नहीं दिखाते। अगर हालात बदलें, या आप कभी असुरक्षित महसूस करें, तो तुरंत संपर्क करें। इस प्लेटफ़ॉर्म पर और कैंपस में मदद हमेशा उपलब्ध है।',
+      recommendedActions: [
+        'नियमित रूप से ख़ुद से अपना हाल पूछें।',
+        'भरोसेमंद लोगों से जुड़े रहें।',
+        'हालात मुश्किल हों तो काउंसलर सेशन बुक करें।'
+      ]
+    },
+    mild: {
+      guidance: 'अपनी भावनाएँ साझा करने के लिए धन्यवाद। ऐसे विचार दर्द भरे हो सकते हैं, और आप इनमें मदद के हक़दार हैं। कृपया जल्द किसी काउंसलर से बात करें, और किसी भरोसेमंद व्यक्ति को बताएँ कि आप कैसे हैं। आपको यह बोझ अकेले नहीं उठाना है।',
+      recommendedActions: [
+        'अगले कुछ दिनों में काउंसलर सेशन बुक करें।',
+        'किसी भरोसेमंद दोस्त या परिवार के सदस्य को बताएँ कि आप कैसा महसूस कर रहे हैं।',
+        'विचार भारी लगें तो ग्राउंडिंग टूल इस्तेमाल करें।',
+        HI_CRISIS_ACTION
+      ]
+    },
+    moderate: {
+      guidance: 'हमें बताने के लिए धन्यवाद। आपने जो साझा किया है वह ज़रूरी है, और किसी काउंसलर को जल्द से जल्द आपसे बात करनी चाहिए। कृपया आज ही अपने कैंपस काउंसलिंग सेंटर से संपर्क करें और भरोसेमंद लोगों के पास रहें। मदद अभी उपलब्ध है।',
+      recommendedActions: [
+        'आज ही अपने कैंपस काउंसलिंग सेंटर से संपर्क करें।',
+        'किसी भरोसेमंद व्यक्ति के साथ रहें।',
+        'ऐसी कोई भी चीज़ हटा दें जिससे आप ख़ुद को चोट पहुँचा सकते हैं।',
+        HI_CRISIS_ACTION
+      ]
+    },
+    severe: {
+      guidance: 'हमें बताने के लिए धन्यवाद। इस समय आपकी सुरक्षा सबसे ज़रूरी है। कृपया तुरंत किसी क्राइसिस हेल्पलाइन या आपातकालीन सेवाओं से संपर्क करें, या किसी ऐसे व्यक्ति के पास जाएँ जो आपके साथ रह सके। आपका कैंपस काउंसलिंग सेंटर भी आपकी मदद के लिए है।',
+      recommendedActions: [
+        HI_CRISIS_ACTION,
+        'अभी किसी भरोसेमंद व्यक्ति के साथ रहें।',
+        'ऐसी कोई भी चीज़ हटा दें जिससे आप ख़ुद को चोट पहुँचा सकते हैं।',
+        'तुरंत अपने कैंपस काउंसलिंग सेंटर से संपर्क करें।'
+      ]
+    }
+  }
+};
+
+const ur = {
+  bands: {
+    minimal: {
+      guidance: 'آپ کے نتائج بہت کم تشویش ظاہر کرتے ہیں، جو بہت اچھی بات ہے۔ آپ اچھی طرح سنبھال رہے ہیں، اور اپنی ذہنی صحت پر توجہ دینا اہم ہے۔ اپنی صحت مند عادتیں جاری رکھیں۔ اتار چڑھاؤ آنا معمول کی بات ہے، اس لیے اپنا حال خود سے پوچھتے رہیں۔',
+      recommendedActions: [
+        'اپنا موجودہ معمول برقرار رکھیں۔',
+        'سہارا دینے والے لوگوں سے جڑے رہیں۔',
+        'وہ کام کریں جن سے آپ کو خوشی ملتی ہے۔',
+        'اپنا موڈ جانچنے کے لیے جرنلنگ کریں۔'
+      ]
+    },
+    mild: {
+      guidance: 'آپ کے نتائج ہلکی تشویش ظاہر کرتے ہیں، جو کالج کے طلبہ میں بہت عام ہے۔ یہ جائزہ لینا ایک اچھا پہلا قدم ہے۔ معمول میں چھوٹی تبدیلیاں اور مدد مانگنا واقعی فرق ڈال سکتے ہیں۔ اس تجربے میں آپ اکیلے نہیں ہیں۔',
+      recommendedActions: [
+        'روزانہ کوئی آسان سیلف کیئر سرگرمی کریں۔',
+        'کسی دوست یا مینٹور سے بات کریں۔',
+        'گائیڈڈ مراقبہ یا گراؤنڈنگ ٹولز آزمائیں۔',
+        'اگر مشکل برقرار رہے تو کیمپس سپورٹ سے رابطہ کریں۔'
+      ]
+    },
+    moderate: {
+      guidance: 'آپ کے نتائج درمیانی تشویش ظاہر کرتے ہیں جس پر توجہ دینا ضروری ہے۔ بہت سے کالج طلبہ، خاص طور پر تعلیمی اور سماجی دباؤ کی وجہ سے، ایسی ہی مشکلات سے گزرتے ہیں۔ مدد اور سیلف کیئر واقعی فائدہ دے سکتے ہیں۔ اپنے کیمپس کاؤنسلنگ سینٹر سے رابطہ کرنے پر غور کریں۔ آپ کو اس کا سامنا اکیلے نہیں کرنا۔',
+      recommendedActions: [
+        'ایپ میں کاؤنسلر سیشن بک کریں۔',
+        'اپنے احساسات کے بارے میں کسی قابلِ اعتماد شخص سے بات کریں۔',
+        'ایپ سے پُرسکون آڈیو یا مراقبہ آزمائیں۔',
+        'تنہا رہنے کے بجائے لوگوں سے میل جول رکھیں۔'
+      ]
+    },
+    severe: {
+      guidance: 'آپ کے نتائج سنگین تشویش ظاہر کرتے ہیں، اور فوراً مدد لینا بہت ضروری ہے۔ پیشہ ورانہ مدد دستیاب ہے اور واقعی فرق ڈال سکتی ہے۔ براہِ کرم آج ہی اپنے کیمپس کاؤنسلنگ سینٹر یا کسی قابلِ اعتماد شخص سے رابطہ کریں۔ ابھی قدم اٹھانا بہتر محسوس کرنے کی طرف ایک اہم قدم ہے۔',
+      recommendedActions: [
+        'آج ہی اپنی کیمپس کاؤنسلنگ سروسز سے رابطہ کریں۔',
+        'کسی قابلِ اعتماد دوست یا گھر کے فرد سے بات کریں۔',
+        'اکیلے رہنے کے بجائے سہارا دینے والے لوگوں کے ساتھ رہیں۔',
+        UR_CRISIS_ACTION
+      ]
+    }
+  },
+  instruments: {
+    'PHQ-9': {
+      focus: 'یہ جانچ پچھلے دو ہفتوں میں اداسی اور دلچسپی کی کمی کو دیکھتی ہے۔',
+      actions: ['ہر دن ایک چھوٹا، خوشگوار کام طے کریں۔', 'تھوڑی دیر چہل قدمی یا دھوپ کے لیے باہر جائیں۔']
+    },
+    'GAD-7': {
+      focus: 'یہ جانچ پچھلے دو ہفتوں میں فکر اور گھبراہٹ کو دیکھتی ہے۔',
+      actions: ['فکر بڑھنے پر کوئی گراؤنڈنگ مشق کریں۔', 'فکروں کے لیے روزانہ تھوڑا مقررہ وقت رکھیں۔']
+    },
+    'GHQ-12': {
+      focus: 'یہ جانچ آپ کی عمومی خیریت اور روزمرہ کے معاملات سنبھالنے کو دیکھتی ہے۔',
+      actions: ['سونے اور کھانے کے اوقات باقاعدہ رکھیں۔', 'بڑے کاموں کو چھوٹے حصوں میں تقسیم کریں۔']
+    },
+    'PSS-10': {
+      focus: 'یہ جانچ دیکھتی ہے کہ حال ہی میں زندگی کتنی دباؤ والی اور غیر یقینی لگی ہے۔',
+      actions: ['آئزن ہاور میٹرکس سے کاموں کی ترجیح طے کریں۔', 'مختصر وقفوں کے ساتھ پومودورو بلاکس میں کام کریں۔']
+    },
+    'WHO-5': {
+      focus: 'یہ جانچ اچھے موڈ، توانائی اور روزمرہ زندگی میں دلچسپی کو دیکھتی ہے۔',
+      actions: ['اس ہفتے کچھ ایسا طے کریں جس کا آپ کو انتظار ہو۔', 'آرام اور جسمانی سرگرمی کے لیے ہیبٹ ٹریکر استعمال کریں۔']
+    },
+    'IAT': {
+      focus: 'یہ جانچ دیکھتی ہے کہ انٹرنیٹ کا استعمال آپ کے وقت اور معمول پر کیا اثر ڈال رہا ہے۔',
+      actions: ['خاص طور پر سونے سے پہلے اسکرین سے پاک وقت رکھیں۔', 'آن لائن گزارے ایک گھنٹے کی جگہ کوئی آف لائن سرگرمی کریں۔']
+    },
+    'PSQI': {
+      focus: 'یہ جانچ آپ کی نیند کے معیار، اوقات اور دن کی تھکن کو دیکھتی ہے۔',
+      actions: ['روزانہ سونے اور جاگنے کا ایک ہی وقت رکھیں۔', 'سونے سے 30 منٹ پہلے اسکرین سے دور رہیں۔']
+    },
+    'BHI-10': {
+      focus: 'یہ جانچ آپ کی مجموعی صحت اور روزمرہ کارکردگی کو دیکھتی ہے۔',
+      actions: ['نیند، کھانے اور جسمانی سرگرمی کا ایک آسان معمول بنائیں۔', 'چھوٹی تبدیلیوں پر نظر رکھنے کے لیے ہیبٹ ٹریکر استعمال کریں۔']
+    },
+    'DERS-18': {
+      focus: 'یہ جانچ دیکھتی ہے کہ آپ شدید جذبات کو کیسے پہچانتے اور سنبھالتے ہیں۔',
+      actions: ['ردِعمل سے پہلے اپنے جذبے کو نام دیں۔', 'مشکل لمحات کے بارے میں اپنی جرنل میں لکھیں۔']
+    }
+  },
+  cssrs: {
+    minimal: {
+      guidance: 'ان سوالوں کے ایمانداری سے جواب دینے کا شکریہ۔ آپ کے جوابات خود کو نقصان پہنچانے کے موجودہ خیالات ظاہر نہیں کرتے۔ اگر حالات بدلیں، یا آپ کبھی غیر محفوظ محسوس کریں، تو فوراً رابطہ کریں۔ اس پلیٹ فارم پر اور کیمپس میں مدد ہمیشہ دستیاب ہے۔',
+      recommendedActions: [
+        'باقاعدگی سے اپنا حال خود سے پوچھیں۔',
+        'قابلِ اعتماد لوگوں سے جڑے رہیں۔',
+        'حالات مشکل ہوں تو کاؤنسلر سیشن بک کریں۔'
+      ]
+    },
+    mild: {
+      guidance: 'اپنے احساسات شیئر کرنے کا شکریہ۔ ایسے خیالات تکلیف دہ ہو سکتے ہیں، اور آپ ان میں مدد کے حق دار ہیں۔ براہِ کرم جلد کسی کاؤنسلر سے بات کریں، اور کسی قابلِ اعتماد شخص کو بتائیں کہ آپ کیسے ہیں۔ آپ کو یہ بوجھ اکیلے نہیں اٹھانا۔',
+      recommendedActions: [
+        'اگلے چند دنوں میں کاؤنسلر سیشن بک کریں۔',
+        'کسی قابلِ اعتماد دوست یا گھر کے فرد کو بتائیں کہ آپ کیسا محسوس کر رہے ہیں۔',
+        'خیالات بھاری لگیں تو گراؤنڈنگ ٹولز استعمال کریں۔',
+        UR_CRISIS_ACTION
+      ]
+    },
+    moderate: {
+      guidance: 'ہمیں بتانے کا شکریہ۔ آپ نے جو شیئر کیا ہے وہ اہم ہے، اور کسی کاؤنسلر کو جلد از جلد آپ سے بات کرنی چاہیے۔ براہِ کرم آج ہی اپنے کیمپس کاؤنسلنگ سینٹر سے رابطہ کریں اور قابلِ اعتماد لوگوں کے قریب رہیں۔ مدد ابھی دستیاب ہے۔',
+      recommendedActions: [
+        'آج ہی اپنے کیمپس کاؤنسلنگ سینٹر سے رابطہ کریں۔',
+        'کسی قابلِ اعتماد شخص کے ساتھ رہیں۔',
+        'ایسی کوئی بھی چیز ہٹا دیں جس سے آپ خود کو نقصان پہنچا سکتے ہیں۔',
+        UR_CRISIS_ACTION
+      ]
+    },
+    severe: {
+      guidance: 'ہمیں بتانے کا شکریہ۔ اس وقت آپ کی حفاظت سب سے اہم ہے۔ براہِ کرم فوراً کسی کرائسس ہیلپ لائن یا ایمرجنسی سروسز سے رابطہ کریں، یا کسی ایسے شخص کے پاس جائیں جو آپ کے ساتھ رہ سکے۔ آپ کا کیمپس کاؤنسلنگ سینٹر بھی آپ کی مدد کے لیے موجود ہے۔',
+      recommendedActions: [
+        UR_CRISIS_ACTION,
+        'ابھی کسی قابلِ اعتماد شخص کے ساتھ رہیں۔',
+        'ایسی کوئی بھی چیز ہٹا دیں جس سے آپ خود کو نقصان پہنچا سکتے ہیں۔',
+        'فوراً اپنے کیمپس کاؤنسلنگ سینٹر سے رابطہ کریں۔'
+      ]
+    }
+  }
+};
+
+const ks = {
+  bands: {
+    minimal: {
+      guidance: 'تُہٕنٛدؠ نتیجہٕ ہاوان کم فکر، یہ چھےٚ واریاہ جان کتھ۔ تُہؠ چھِو ٹھیک پٲٹھؠ سنبھالان، تہٕ پننِس ذہنی صحتس کُن توجہ دِنۍ چھےٚ اہم۔ پنٕنؠ صحت مند عادتھ تھٲوِو جٲری۔ اوٚتھ وَسُن چھُ عام، امہِ موجوب پرٛژھِو پانس پنُن حال۔',
+      recommendedActions: [
+        'پنُن موجودٕ معمول تھٲوِو برقرار۔',
+        'مدد دِنہٕ وٲلؠن لُکن سٕتؠ روزِو جُڑتھ۔',
+        'تِم کٲم کٔرِو یمن منٛز تُہؠ مزٕ چھُو یِوان۔',
+        'پنُن موڈ وُچھنہٕ خٲطرٕ کٔرِو جرنلنگ۔'
+      ]
+    },
+    mild: {
+      guidance: 'تُہٕنٛدؠ نتیجہٕ ہاوان ہلکہٕ فکر، یِم کالجٕک طالب علمن منٛز واریاہ عام چھےٚ۔ یہ جانچ کرٕنؠ چھُ اکھ جان گۄڈنیُک قدم۔ معمولس منٛز لۄکٕٹؠ تبدیلی تہٕ مدد مَنٛگٕنؠ ہیکہِ اصل فرق اَنِتھ۔ یمہِ تجربس منٛز چھِونہٕ تُہؠ کُنؠ زٕ۔',
+      recommendedActions: [
+        'پرٛتھ دۄہ کٔرِو اکھ آسان سیلف کیئر سرگرمی۔',
+        'کٲنٛسہِ دوستس یا مینٹرس سٕتؠ کٔرِو کتھ۔',
+        'گائیڈڈ مراقبہ یا گراؤنڈنگ ٹول آزمٲیِو۔',
+        'اگر مشکل روزِ، کیمپس سپورٹس سٕتؠ کٔرِو رابطہ۔'
+      ]
+    },
+    moderate: {
+      guidance: 'تُہٕنٛدؠ نتیجہٕ ہاوان درمیانہٕ فکر یمن کُن توجہ دِنۍ چھےٚ ضروری۔ واریاہ کالج طالب علم چھِ، خاص کٔرِتھ پرٛنہٕ تہٕ سماجی دباوٕ کِنۍ، یِتھی مشکلاتن منٛزٕ گژھان۔ مدد تہٕ سیلف کیئر ہیکہِ اصل فائدٕ دِتھ۔ پننِس کیمپس کاؤنسلنگ سینٹرس سٕتؠ رابطہ کرنس پیٹھ سوچِو۔ تُہؠ چھُنہٕ یمیُک مقابلہ کُنؠ زٕ کرُن۔',
+      recommendedActions: [
+        'ایپہِ منٛز کٔرِو کاؤنسلر سیشن بُک۔',
+        'پننِس احساسس متعلق کٔرِو کٲنٛسہِ اعتبار وٲلِس انسانس سٕتؠ کتھ۔',
+        'ایپہِ منٛزٕ آزمٲیِو سکون دِنہٕ وٲلؠ آڈیو یا مراقبہ۔',
+        'کُنؠ زٕ روزنہٕ بجاے مِلِو لُکن سٕتؠ۔'
+      ]
+    },
+    severe: {
+      guidance: 'تُہٕنٛدؠ نتیجہٕ ہاوان سنگین فکر، تہٕ فوراً مدد ہیوٚن چھُ واریاہ ضروری۔ پیشہ ور مدد چھےٚ دستیاب تہٕ ہیکہِ اصل فرق اَنِتھ۔ مہربانی کٔرِتھ کٔرِو اَزٕ پننِس کیمپس کاؤنسلنگ سینٹرس یا کٲنٛسہِ اعتبار وٲلِس انسانس سٕتؠ رابطہ۔ وُنۍ قدم تُلُن چھُ بہتر محسوس کرنُک اکھ اہم قدم۔',
+      recommendedActions: [
+        'اَزٕ کٔرِو پننؠن کیمپس کاؤنسلنگ سروسن سٕتؠ رابطہ۔',
+        'کٲنٛسہِ اعتبار وٲلِس دوستس یا گرٕکِس فردس سٕتؠ کٔرِو کتھ۔',
+        'کُنؠ زٕ روزنہٕ بجاے روزِو مدد دِنہٕ وٲلؠن لُکن سٕتؠ۔',
+        KS_CRISIS_ACTION
+      ]
+    }
+  },
+  instruments: {
+    'PHQ-9': {
+      focus: 'یہ جانچ وُچھان پٔتِمؠن زٕ ہفتن منٛز اُداسی تہٕ دلچسپی ہٕنٛز کمی۔',
+      actions: ['پرٛتھ دۄہ کٔرِو اکھ لۄکُٹ، خوشگوار کٲم طے۔', 'کینٛہہ کال پکنہٕ یا تاپس منٛز بیہنہٕ خٲطرٕ نیرِو نیبر۔']
+    },
+    'GAD-7': {
+      focus: 'یہ جانچ وُچھان پٔتِمؠن زٕ ہفتن منٛز فکر تہٕ گھبراہٹ۔',
+      actions: ['فکر بڑنس پیٹھ کٔرِو اکھ گراؤنڈنگ مشق۔', 'فکرن خٲطرٕ تھٲوِو پرٛتھ دۄہ کینٛہہ مقرر وَق۔']
+    },
+    'GHQ-12': {
+      focus: 'یہ جانچ وُچھان تُہٕنٛز عام خیریت تہٕ روزانہ کٲم سنبھالُن۔',
+      actions: ['شوںگنُک تہٕ کھینُک وَق تھٲوِو باقاعدٕ۔', 'بٔڈؠن کٲمن کٔرِو لۄکٕٹؠن حصن منٛز تقسیم۔']
+    },
+    'PSS-10': {
+      focus: 'یہ جانچ وُچھان زِ حالیہ وقتس منٛز کوتاہ دباو وول تہٕ غیر یقینی باسیو زندگی۔',
+      actions: ['آئزن ہاور میٹرکس سٕتؠ کٔرِو کٲمن ہٕنٛز ترجیح طے۔', 'لۄکٕٹؠن وقفن سٕتؠ کٔرِو پومودورو بلاکن منٛز کٲم۔']
+    },
+    'WHO-5': {
+      focus: 'یہ جانچ وُچھان جان موڈ، طاقت تہٕ روزانہ زندگی منٛز دلچسپی۔',
+      actions: ['یمہِ ہفتہٕ کٔرِو کینٛہہ تِتھ طے یمیُک تُہؠ انتظار آسؠ۔', 'آرام تہٕ جسمانی سرگرمی خٲطرٕ ورتٲیِو ہیبٹ ٹریکر۔']
+    },
+    'IAT': {
+      focus: 'یہ جانچ وُچھان زِ انٹرنیٹُک استعمال کیاہ اثر چھُ تُہٕنٛدِس وقتس تہٕ معمولس پیٹھ ترٛاوان۔',
+      actions: ['خاص کٔرِتھ شوںگنہٕ برٛونٛہہ تھٲوِو اسکرین روٚس وَق۔', 'آن لائن گٲمتِس اَکِس گٲنٛٹس بدلہٕ کٔرِو کانٛہہ آف لائن سرگرمی۔']
+    },
+    'PSQI': {
+      focus: 'یہ جانچ وُچھان تُہٕنٛز نِنٛدٕ ہٕنٛز کوالٹی، وَق تہٕ دۄہچ تھکاوٹ۔',
+      actions: ['پرٛتھ دۄہ تھٲوِو شوںگنُک تہٕ وۄتھنُک اکھے وَق۔', 'شوںگنہٕ 30 منٹ برٛونٛہہ روزِو اسکرین نِشہِ دور۔']
+    },
+    'BHI-10': {
+      focus: 'یہ جانچ وُچھان تُہٕنٛز مجموعی صحت تہٕ روزانہ کٲم کاج۔',
+      actions: ['نِنٛدٕ، کھینٕچ تہٕ جسمانی سرگرمی ہُنٛد اکھ آسان معمول بنٲیِو۔', 'لۄکٕٹؠن تبدیلیَن پیٹھ نظر تھاونہٕ خٲطرٕ ورتٲیِو ہیبٹ ٹریکر۔']
+    },
+    'DERS-18': {
+      focus: 'یہ جانچ وُچھان زِ تُہؠ کِتھٕ پٲٹھؠ شدید جذبات پرزناوان تہٕ سنبھالان چھِو۔',
+      actions: ['ردِعمل برٛونٛہہ دِیِو پننِس جذبس ناو۔', 'مشکل لمحن متعلق لیٚکھِو پنٕنہِ جرنلہِ منٛز۔']
+    }
+  },
+  cssrs: {
+    minimal: {
+      guidance: 'یمن سوالن ایمانداری سٕتؠ جواب دِنہٕ خٲطرٕ شُکریہ۔ تُہٕنٛدؠ جواب چھِنہٕ پانس نقصان واتناونٕکؠ موجودٕ خیال ہاوان۔ اگر حالات بدلن، یا تُہؠ کُنہِ وِزِ غیر محفوظ محسوس کٔرِو، فوراً کٔرِو رابطہ۔ یتھ پلیٹ فارمس پیٹھ تہٕ کیمپسس منٛز چھےٚ مدد ہمیشہ دستیاب۔',
+      recommendedActions: [
+        'باقاعدٕ پرٛژھِو پانس پنُن حال۔',
+        'اعتبار وٲلؠن لُکن سٕتؠ روزِو جُڑتھ۔',
+        'حالات مشکل گژھن تہٕ کٔرِو کاؤنسلر سیشن بُک۔'
+      ]
+    },
+    mild: {
+      guidance: 'پنُن احساس شیئر کرنہٕ خٲطرٕ شُکریہ۔ یِتھؠ خیال ہیکن تکلیف دہ آسِتھ، تہٕ تُہؠ چھِو یمن منٛز مدد ہٕنٛدؠ حقدار۔ مہربانی کٔرِتھ کٔرِو جلدی کٲنٛسہِ کاؤنسلرس سٕتؠ کتھ، تہٕ ونِو کٲنٛسہِ اعتبار وٲلِس انسانس زِ تُہؠ کِتھٕ پٲٹھؠ چھِو۔ تُہؠ چھُنہٕ یہ بوجھ کُنؠ زٕ تُلُن۔',
+      recommendedActions: [
+        'یِمن کینٛژن دۄہن منٛز کٔرِو کاؤنسلر سیشن بُک۔',
+        'کٲنٛسہِ اعتبار وٲلِس دوستس یا گرٕکِس فردس ونِو زِ تُہؠ کیاہ چھِو محسوس کران۔',
+        'خیال گرٛیٚکؠ باسن تہٕ ورتٲیِو گراؤنڈنگ ٹول۔',
+        KS_CRISIS_ACTION
+      ]
+    },
+    moderate: {
+      guidance: 'اسہِ ونہٕ خٲطرٕ شُکریہ۔ یُس تُہؠ شیئر کوٚر سُہ چھُ اہم، تہٕ کٲنٛسہِ کاؤنسلرس پزِ جلدی پٲٹھؠ تُہؠ سٕتؠ کتھ کرٕنؠ۔ مہربانی کٔرِتھ کٔرِو اَزٕ پننِس کیمپس کاؤنسلنگ سینٹرس سٕتؠ رابطہ تہٕ روزِو اعتبار وٲلؠن لُکن نِش۔ مدد چھےٚ وُنۍ دستیاب۔',
+      recommendedActions: [
+        'اَزٕ کٔرِو پننِس کیمپس کاؤنسلنگ سینٹرس سٕتؠ رابطہ۔',
+        'کٲنٛسہِ اعتبار وٲلِس انسانس سٕتؠ روزِو۔',
+        'ہر تِتھ چیز کٔرِو دور یمہِ سٕتؠ تُہؠ پانس نقصان ہیکِو واتنٲوِتھ۔',
+        KS_CRISIS_ACTION
+      ]
+    },
+    severe: {
+      guidance: 'اسہِ ونہٕ خٲطرٕ شُکریہ۔ یمہِ وِزِ چھےٚ تُہٕنٛز حفاظت سارِوٕے کھۄتہٕ اہم۔ مہربانی کٔرِتھ کٔرِو فوراً کٲنٛسہِ کرائسس ہیلپ لائنس یا ایمرجنسی سروسن سٕتؠ رابطہ، یا گٔژھِو کٲنٛسہِ تِتھ انسانس نِش یُس تُہؠ سٕتؠ روزِتھ ہیکہِ۔ تُہٕنٛد کیمپس کاؤنسلنگ سینٹر تہِ چھُ تُہٕنٛزِ مدد خٲطرٕ موجود۔',
+      recommendedActions: [
+        KS_CRISIS_ACTION,
+        'وُنۍ روزِو کٲنٛسہِ اعتبار وٲلِس انسانس سٕتؠ۔',
+        'ہر تِتھ چیز کٔرِو دور یمہِ سٕتؠ تُہؠ پانس نقصان ہیکِو واتنٲوِتھ۔',
+        'فوراً کٔرِو پننِس کیمپس کاؤنسلنگ سینٹرس سٕتؠ رابطہ۔'
+      ]
+    }
+  }
+};
+
+export const GUIDANCE_TRANSLATIONS = { hi, ur, ks };
+
+export default GUIDANCE_TRANSLATIONS;
@@ -0,0 +1,253 @@
+// src/utils/hybridRetrieval.js
+//
+// Ranking for hybrid retrieval (see vectorStore.js). Vector and keyword
+// search each return a ranked candidate list; the lists are merged with
+// reciprocal-rank fusion, optionally weighted by recency, stripped of
+// near-identical items and finally passed through a pluggable re-ranker.
+// Everything here is pure (no database or provider calls), so
+// scripts/evaluateRetrieval.js can measure it offline.
+
+const RRF_K = 60; // Damping constant from the original RRF paper
+const DUPLICATE_THRESHOLD = 0.85; // Word-set Jaccard similarity above which two items count as the same
+const RECENCY_FLOOR = 0.5; // Old items keep at least this share of their score
+
+// ==================== KEYWORDS ====================
+
+// Longer function words that say nothing about the topic. Left in, they match
+// most documents and push ones that match the real topic words down the list.
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'also', 'been', 'before', 'being', 'could', 'does', 'doing', 'during', 'each',
+  'even', 'from', 'have', 'here', 'into', 'just', 'like', 'more', 'most', 'much', 'only', 'other', 'over',
+  'should', 'some', 'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'very', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your'
+]);
+
+/**
+ * Keywords of a search query: lowercase words longer than 3 characters,
+ * without stop words or duplicates, at most 10
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+export const extractKeywords = (query = '') => [...new Set(
+  String(query || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 3 && !STOP_WORDS.has(word))
+)].slice(0, 10);
+
+/**
+ * Keyword score of a document: title matches weigh most, then the
+ * description, then the body
+ * @param {Object} fields - { title, description, content }
+ * @param {Array<string>} keywords - From extractKeywords
+ * @returns {Object} { score, matchedKeywords }
+ */
+export const scoreKeywordMatch = ({ title = '', description = '', content = '' }, keywords) => {
+  const titleLower = (title || '').toLowerCase();
+  const descLower = (description || '').toLowerCase();
+  const contentLower = (content || '').toLowerCase();
+
+  let score = 0;
+  let matchedKeywords = 0;
+
+  keywords.forEach((keyword) => {
+    const inTitle = titleLower.includes(keyword);
+    const inDescription = descLower.includes(keyword);
+    const inContent = contentLower.includes(keyword);
+
+    if (inTitle) score += 5;
+    if (inDescription) score += 3;
+    if (inContent) score += 1;
+    if (inTitle || inDescription || inContent) matchedKeywords++;
+  });
+
+  return { score, matchedKeywords };
+};
+
+// ==================== FUSION ====================
+
+/**
+ * Merge ranked lists with reciprocal-rank fusion: an item scores
+ * sum(weight / (k + rank)) over the lists it appears in, so items ranked well
+ * by several searches rise to the top whatever their raw scores were.
+ * @param {Object} lists - { [searchName]: Array } each ordered best first
+ * @param {Object} options
+ * @param {Function} options.keyOf - Identity of an item across lists
+ * @param {Object} options.weights - { [searchName]: number } (default 1)
+ * @param {number} options.k - Damping constant
+ * @returns {Array} Items (first occurrence wins) with score, ranks and matched_by, best first
+ */
+export const reciprocalRankFusion = (lists, { keyOf = (item) => item.id, weights = {}, k = RRF_K } = {}) => {
+  const fused = new Map();
+
+  Object.entries(lists).forEach(([name, items]) => {
+    const weight = weights[name] ?? 1;
+    (items || []).forEach((item, index) => {
+      const key = keyOf(item);
+      const entry = fused.get(key) || { ...item, score: 0, ranks: {}, matched_by: [] };
+
+      // Keep the best raw similarity any search reported
+      entry.similarity = Math.max(entry.similarity ?? 0, item.similarity ?? 0);
+      entry.score += weight / (k + index + 1);
+      entry.ranks[name] = index + 1;
+      entry.matched_by.push(name);
+      fused.set(key, entry);
+    });
+  });
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Weight fused scores by age: the weight halves every `halfLifeDays` but
+ * never drops below RECENCY_FLOOR, so an old but clearly relevant message
+ * can still outrank a recent, vaguely related one
+ * @param {Array} items - With score and created_at
+ * @param {Object} options - { halfLifeDays, floor, now }
+ * @returns {Array} Re-sorted copies
+ */
+export const applyRecencyDecay = (items, { halfLifeDays = 30, floor = RECENCY_FLOOR, now = Date.now() } = {}) => items
+  .map((item) => {
+    const created = new Date(item.created_at).getTime();
+    if (Number.isNaN(created)) return item;
+
+    const ageDays = Math.max(0, (now - created) / (1000 * 60 * 60 * 24));
+    const weight = floor + (1 - floor) * Math.pow(0.5, ageDays / halfLifeDays);
+    return { ...item, score: item.score * weight };
+  })
+  .sort((a, b) => b.score - a.score);
+
+// ==================== DEDUPLICATION ====================
+
+const wordSet = (text) => new Set(
+  String(text || '').toLowerCase().replace(/[^\w\s]/g, ' ').split(/\s+/).filter(Boolean)
+);
+
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach((word) => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Drop items whose text is nearly identical to a better-ranked one (repeated
+ * messages, the same document stored twice)
+ * @param {Array} items - Best first
+ * @param {Object} options - { threshold, textOf }
+ * @returns {Array} Items kept, in order
+ */
+export const dedupeNearDuplicates = (items, { threshold = DUPLICATE_THRESHOLD, textOf = (item) => item.content } = {}) => {
+  const kept = [];
+  const keptWords = [];
+
+  items.forEach((item) => {
+    const words = wordSet(textOf(item));
+    if (keptWords.some((other) => jaccard(words, other) >= threshold)) return;
+    kept.push(item);
+    keptWords.push(words);
+  });
+
+  return kept;
+};
+
+// ==================== RE-RANKING ====================
+
+/**
+ * Re-rankers reorder the fused candidates before the final cut. A re-ranker
+ * is { name, rerank({ query, items }) => Promise<Array> | Array }; it may
+ * reorder or drop items but should not add any. Swap in a cross-encoder or
+ * an LLM-based one with setReranker.
+ */
+export const RERANKERS = {
+  // Keep the fused order
+  none: { name: 'none', rerank: ({ items }) => items },
+
+  // Boost items whose title and text cover more of the query's keywords
+  lexical: {
+    name: 'lexical',
+    rerank: ({ query, items }) => {
+      const keywords = extractKeywords(query);
+      if (keywords.length === 0) return items;
+
+      const maxScore = Math.max(...items.map((item) => item.score || 0), 0) || 1;
+      return items
+        .map((item) => {
+          const { matchedKeywords } = scoreKeywordMatch(item, keywords);
+          const coverage = matchedKeywords / keywords.length;
+          return { ...item, score: (item.score || 0) / maxScore + 0.5 * coverage };
+        })
+        .sort((a, b) => b.score - a.score);
+    }
+  }
+};
+
+let activeReranker = RERANKERS[process.env.RAG_RERANKER] || RERANKERS.none;
+
+/**
+ * The re-ranker used by hybridRank
+ * @returns {Object}
+ */
+export const getReranker = () => activeReranker;
+
+/**
+ * Replace the re-ranker (e.g. with a model-based one, or in evaluations)
+ * @param {Object|string} reranker - Re-ranker, or the name of a built-in one
+ */
+export const setReranker = (reranker) => {
+  const resolved = typeof reranker === 'string' ? RERANKERS[reranker] : reranker;
+  if (!resolved || typeof resolved.rerank !== 'function') {
+    throw new Error(`Unknown re-ranker: ${typeof reranker === 'string' ? reranker : 'invalid object'}`);
+  }
+  activeReranker = resolved;
+};
+
+// ==================== PIPELINE ====================
+
+/**
+ * Fuse, weight, deduplicate and re-rank search results
+ * @param {Object} params
+ * @param {string} params.query - The search query (for the re-ranker)
+ * @param {Object} params.lists - { vector: [...], keyword: [...] }, each best first
+ * @param {number} params.topK - Results to return
+ * @param {Function} params.keyOf - Identity of an item across lists
+ * @param {Object} params.weights - Per-list RRF weights
+ * @param {Object|null} params.recency - applyRecencyDecay options, or null for none
+ * @param {Object} params.reranker - Defaults to the active re-ranker
+ * @returns {Promise<Array>} Up to topK items with score, ranks and matched_by
+ */
+export const hybridRank = async ({
+  query,
+  lists,
+  topK,
+  keyOf,
+  weights,
+  recency = null,
+  reranker = activeReranker
+}) => {
+  let items = reciprocalRankFusion(lists, { keyOf, weights });
+  if (recency) items = applyRecencyDecay(items, recency);
+  items = dedupeNearDuplicates(items);
+
+  try {
+    items = await reranker.rerank({ query, items });
+  } catch (error) {
+    // Fused order is a fine answer; a failing re-ranker must not break retrieval
+    console.error(`[Retrieval] Re-ranker ${reranker.name} failed:`, error.message);
+  }
+
+  return items.slice(0, topK);
+};
+
+export default {
+  extractKeywords,
+  scoreKeywordMatch,
+  reciprocalRankFusion,
+  applyRecencyDecay,
+  dedupeNearDuplicates,
+  RERANKERS,
+  getReranker,
+  setReranker,
+  hybridRank
+};
@@ -0,0 +1,86 @@
+// src/utils/languages.js
+//
+// The interface languages a user can pick (the frontend's data/translations.js)
+// and how they reach the model. Each profile stores one as
+// profiles.preferred_language; generated text (companion replies, assessment
+// guidance, worry reframes, session summaries) is written in it, while a user
+// who writes in another language is answered in that one.
+//
+// Text the app sends without the model (crisis replies, rule-based guidance)
+// is translated alongside the English; those translations are a starting
+// point and should be reviewed with native-speaking counsellors.
+
+import { supabaseAdmin } from './supabaseAdmin.js';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = {
+  en: { name: 'English', script: 'Latin', dir: 'ltr' },
+  hi: { name: 'Hindi', script: 'Devanagari', dir: 'ltr' },
+  ur: { name: 'Urdu', script: 'Perso-Arabic (Nastaliq)', dir: 'rtl' },
+  ks: { name: 'Kashmiri', script: 'Perso-Arabic', dir: 'rtl' }
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+/**
+ * A supported language code, or the default
+ * @param {string} code - e.g. 'hi', 'UR', 'en-IN'
+ * @returns {string} One of LANGUAGE_CODES
+ */
+export const normalizeLanguage = (code) => {
+  const base = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES[base] ? base : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Prompt line asking the model to write in the user's language
+ * @param {string} code - Preferred language
+ * @param {Object} options
+ * @param {boolean} options.json - The reply is JSON: keep keys in English
+ * @param {boolean} options.mirror - Answer a user who writes in another language in theirs
+ * @returns {string|null} null for English, so English prompts are unchanged
+ */
+export const languageInstruction = (code, { json = false, mirror = true } = {}) => {
+  const language = normalizeLanguage(code);
+  if (language === DEFAULT_LANGUAGE) return null;
+
+  const { name, script } = LANGUAGES[language];
+  return [
+    `LANGUAGE: The user's preferred language is ${name}. Write in ${name}, in ${script} script.`,
+    mirror ? 'If they write to you in a different language, reply in the language they used.' : null,
+    json ? 'Keep the JSON keys in English; only the values are in this language.' : null
+  ].filter(Boolean).join(' ');
+};
+
+/**
+ * A user's preferred language from their profile. Never throws: the default
+ * language is used when the profile cannot be read.
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} One of LANGUAGE_CODES
+ */
+export const getPreferredLanguage = async (userId) => {
+  if (!userId) return DEFAULT_LANGUAGE;
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('profiles')
+      .select('preferred_language')
+      .eq('id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return normalizeLanguage(data?.preferred_language);
+  } catch (error) {
+    console.error('[Language] Failed to read preferred language:', error.message);
+    return DEFAULT_LANGUAGE;
+  }
+};
+
+export default {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_CODES,
+  normalizeLanguage,
+  languageInstruction,
+  getPreferredLanguage
+};
@@ -0,0 +1,238 @@
+// src/utils/moodClassifier.js
+//
+// In-process, lexicon-based mood classifier. Used when the HuggingFace model
+// is not configured or fails (see moodDetector.js).
+// classifyMood(text) -> { label, score, scores } or null for empty text
+//   label: one of MOOD_LABELS, the labels of j-hartmann/emotion-english-distilroberta-base
+//   score: share of the evidence for that label (0-1), like the model's softmax score
+//   scores: the same for every label
+//
+// - Words and phrases add weight to their emotion; "*" at the end of a term
+//   matches any ending ("frustrat*" matches "frustrated", "frustrating")
+// - An intensifier just before a term ("so", "really", "extremely") scales it up
+// - A negated term ("not happy", "don't feel scared") does not count; negated
+//   joy counts towards sadness instead. The negation also covers later terms
+//   of the same emotion in its clause ("not scared of the exam")
+// - Neutral has a fixed baseline, so text without emotional words is neutral
+// - Evaluate changes with scripts/evaluateMoodClassifier.js; tests/moodClassifier.test.js
+//   enforces the minimum accuracy
+
+export const MOOD_LABELS = ["anger", "disgust", "fear", "joy", "neutral", "sadness", "surprise"];
+
+const NEUTRAL_BASELINE = 1.0;
+const LABEL_SMOOTHING = 0.1;
+const INTENSIFIER_FACTOR = 1.5;
+const NEGATED_JOY_WEIGHT = 0.8; // "not happy" leans sad
+const NEGATION_WINDOW = 3; // Words before a term that can negate it
+
+// ==================== LEXICON ====================
+
+// Weight 2: unambiguous emotion words; 1: usually emotional, sometimes not
+const LEXICON = {
+  anger: {
+    2: [
+      "angry", "anger", "furious", "fury", "rage*", "enrag*", "livid", "pissed", "mad at", "so mad",
+      "hate", "hated", "hating", "infuriat*", "outrag*", "resent*", "irritat*", "annoy*", "frustrat*",
+      "fed up", "sick of", "how dare", "hostile", "seething", "fuming",
+    ],
+    1: ["unfair", "ridiculous", "mad", "screw*", "yell*", "shout*", "blame*", "argu*", "fight*", "bitter", "disrespect*"],
+  },
+  disgust: {
+    2: [
+      "disgust*", "gross", "revolting", "repuls*", "nasty", "vile", "sickening", "nauseat*", "yuck", "ew",
+      "eww*", "grossed out", "creep* me out", "makes me sick", "repugnant", "distasteful",
+    ],
+    1: ["dirty", "filthy", "rotten", "stink*", "smell*", "cringe*", "sleazy", "creepy", "ick"],
+  },
+  fear: {
+    2: [
+      "afraid", "scared", "scary", "fear*", "terrif*", "frighten*", "anxious", "anxiety", "panic*", "nervous",
+      "worried", "worry", "worrying", "dread*", "petrified", "freaking out", "freaked out", "on edge",
+    ],
+    1: [
+      "stress*", "overwhelm*", "uneasy", "tense", "insecure", "threat*", "unsafe", "what if", "can't breathe",
+      "heart is racing", "shaking", "paranoid", "nightmare*", "exam*",
+    ],
+  },
+  joy: {
+    2: [
+      "happy", "happier", "happiest", "happiness", "joy*", "excited", "exciting", "thrilled", "delighted",
+      "glad", "grateful", "thankful", "proud", "love it", "loved it", "loving", "awesome", "amazing", "wonderful",
+      "fantastic", "great day", "so good", "cheerful", "ecstatic", "relieved", "overjoyed", "can't wait",
+    ],
+    1: [
+      "good", "great", "nice", "fun", "enjoy*", "love", "smil*", "laugh*", "yay", "finally", "better",
+      "passed", "won", "celebrat*", "calm", "peaceful", "hopeful", "thanks", "thank you",
+    ],
+  },
+  sadness: {
+    2: [
+      "sad", "sadder", "saddest", "sadness", "unhappy", "depress*", "miserable", "heartbroken", "lonely",
+      "loneliness", "hopeless", "devastated", "grief", "griev*", "crying", "cried", "cry", "tears",
+      "empty inside", "feel empty", "worthless", "feeling down", "feel down", "feeling low", "feel low",
+      "broken", "hurts", "hurting", "gloomy",
+    ],
+    1: [
+      "down", "low", "miss", "missing", "lost", "alone", "tired of", "exhausted", "drained", "numb", "failed", "failure",
+      "disappoint*", "regret*", "sorry", "no one", "nobody", "useless", "give up", "rejected", "left out",
+    ],
+  },
+  surprise: {
+    2: [
+      "surprised", "surprising", "surprise", "shocked", "shocking", "astonish*", "amazed", "stunned",
+      "can't believe", "cannot believe", "unbelievable", "out of nowhere", "didn't expect", "did not expect",
+      "never expected", "wow", "whoa", "omg", "oh my god", "no way",
+    ],
+    1: ["unexpected*", "suddenly", "sudden", "really?", "seriously?", "what?!", "plot twist", "caught off guard"],
+  },
+};
+
+const EMOJI = {
+  anger: ["😠", "😡", "🤬", "💢"],
+  disgust: ["🤢", "🤮", "😖"],
+  fear: ["😨", "😰", "😱", "😟", "😬"],
+  joy: ["😀", "😃", "😄", "😁", "😊", "🙂", "😂", "🥳", "😍", "❤️", "🎉"],
+  sadness: ["😢", "😭", "😞", "😔", "☹️", "🙁", "💔", "😿"],
+  surprise: ["😮", "😲", "😯", "🤯", "😳"],
+};
+
+const NEGATORS = new Set([
+  "not", "no", "never", "dont", "don't", "didnt", "didn't", "isnt", "isn't", "wasnt", "wasn't", "arent",
+  "aren't", "cant", "can't", "cannot", "wont", "won't", "nothing", "neither", "nor", "hardly", "barely",
+  "without", "aint", "ain't", "doesnt", "doesn't", "nobody",
+]);
+
+const INTENSIFIERS = new Set([
+  "very", "so", "really", "extremely", "super", "too", "totally", "completely", "absolutely", "incredibly",
+  "deeply", "truly", "utterly", "seriously", "insanely", "terribly", "awfully", "such",
+]);
+
+// ==================== MATCHING ====================
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Each term becomes a regex over the normalized text, longest terms first
+const COMPILED_TERMS = Object.entries(LEXICON)
+  .flatMap(([label, tiers]) =>
+    Object.entries(tiers).flatMap(([weight, terms]) =>
+      terms.map((term) => {
+        const wildcard = term.endsWith("*");
+        const body = escapeRegex(wildcard ? term.slice(0, -1) : term);
+        const endsWithWord = /\w$/.test(wildcard ? term.slice(0, -1) : term);
+        const end = wildcard ? "\\w*" : endsWithWord ? "\\b" : "";
+        return { label, term, weight: Number(weight), pattern: new RegExp(`\\b${body}${end}`, "g") };
+      })
+    )
+  )
+  .sort((a, b) => b.term.length - a.term.length);
+
+const normalize = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Words before a match, nearest last
+const wordsBefore = (normalized, start, count) =>
+  normalized
+    .slice(0, start)
+    .split(/[^a-z']+/)
+    .filter(Boolean)
+    .slice(-count);
+
+// A clause break (".", ",", "but") between a negator and the term ends the negation
+const clauseBefore = (normalized, start) => {
+  const before = normalized.slice(0, start);
+  const breakAt = Math.max(before.lastIndexOf("."), before.lastIndexOf(","), before.lastIndexOf(" but "),
+    before.lastIndexOf("!"), before.lastIndexOf("?"), before.lastIndexOf(";"));
+  return breakAt === -1 ? before : before.slice(breakAt + 1);
+};
+
+const isNegated = (normalized, start) => {
+  const clause = clauseBefore(normalized, start);
+  return wordsBefore(clause, clause.length, NEGATION_WINDOW).some((word) => NEGATORS.has(word) || word.endsWith("n't"));
+};
+
+const isIntensified = (normalized, start) => {
+  const [previous] = wordsBefore(normalized, start, 1);
+  return INTENSIFIERS.has(previous);
+};
+
+/**
+ * Raw evidence per label, plus the terms that matched
+ * @param {string} text
+ * @returns {Object} { evidence, hits }
+ */
+export function scoreMoodEvidence(text) {
+  const evidence = Object.fromEntries(MOOD_LABELS.map((label) => [label, 0]));
+  const hits = [];
+  const normalized = normalize(text || "");
+  const matches = [];
+
+  // Longer terms claim their span first
+  for (const { label, term, weight, pattern } of COMPILED_TERMS) {
+    pattern.lastIndex = 0;
+    for (const m of normalized.matchAll(pattern)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (matches.some((other) => start < other.end && end > other.start)) continue;
+      matches.push({ label, term, weight, start, end });
+    }
+  }
+
+  // Then in reading order, so a negated term can carry its negation forward
+  const negatedSpans = [];
+  for (const { label, term, weight, start } of matches.sort((a, b) => a.start - b.start)) {
+    const scaled = isIntensified(normalized, start) ? weight * INTENSIFIER_FACTOR : weight;
+    const clauseStart = start - clauseBefore(normalized, start).length;
+    const negated = isNegated(normalized, start)
+      || negatedSpans.some((span) => span.label === label && span.start >= clauseStart);
+
+    if (negated) {
+      if (label === "joy") evidence.sadness += scaled * NEGATED_JOY_WEIGHT;
+      negatedSpans.push({ label, start });
+      hits.push({ term, label, weight: scaled, negated: true });
+      continue;
+    }
+
+    evidence[label] += scaled;
+    hits.push({ term, label, weight: scaled, negated: false });
+  }
+
+  for (const [label, symbols] of Object.entries(EMOJI)) {
+    for (const symbol of symbols) {
+      const count = normalized.split(symbol).length - 1;
+      if (count > 0) {
+        evidence[label] += 2 * count;
+        hits.push({ term: symbol, label, weight: 2 * count, negated: false });
+      }
+    }
+  }
+
+  return { evidence, hits };
+}
+
+/**
+ * Classify the mood of a message
+ * @param {string} text
+ * @returns {Object|null} { label, score, scores } or null for empty text
+ */
+export function classifyMood(text) {
+  if (!text || !text.trim()) return null;
+
+  const { evidence } = scoreMoodEvidence(text);
+  const weights = Object.fromEntries(
+    MOOD_LABELS.map((label) => [label, label === "neutral" ? NEUTRAL_BASELINE : evidence[label] + LABEL_SMOOTHING])
+  );
+  const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const scores = Object.fromEntries(
+    MOOD_LABELS.map((label) => [label, Math.round((weights[label] / total) * 1000) / 1000])
+  );
+
+  // Ties go to the earlier label in MOOD_LABELS
+  const label = MOOD_LABELS.reduce((best, l) => (weights[l] > weights[best] ? l : best), MOOD_LABELS[0]);
+  return { label, score: scores[label], scores };
+}
+
+export default classifyMood;
@@ -1,18 +1,30 @@
 // src/utils/moodDetector.js
+import { classifyMood } from "./moodClassifier.js";
 
 const HF_API_KEY = process.env.HF_API_KEY;
 const HF_MODEL_ID =
   process.env.HF_MODEL_ID || "j-hartmann/emotion-english-distilroberta-base";
 
-if (!HF_API_KEY) {
+// auto: HuggingFace when HF_API_KEY is set, the local lexicon otherwise or when it fails
+// huggingface | lexicon: only that backend; off: no mood detection
+export const MOOD_BACKENDS = ["auto", "huggingface", "lexicon", "off"];
+
+const MOOD_CLASSIFIER = (process.env.MOOD_CLASSIFIER || "auto").trim().toLowerCase();
+
+if (!MOOD_BACKENDS.includes(MOOD_CLASSIFIER)) {
+  console.warn(`⚠️ Unknown MOOD_CLASSIFIER "${MOOD_CLASSIFIER}" – using "auto".`);
+}
+if (!HF_API_KEY && MOOD_CLASSIFIER === "huggingface") {
   console.warn("⚠️ HF_API_KEY not set – mood detection will be skipped.");
+} else if (!HF_API_KEY && MOOD_CLASSIFIER === "auto") {
+  console.warn("⚠️ HF_API_KEY not set – using the local mood classifier.");
 }
 
 /**
  * Detects mood using HuggingFace j-hartmann model.
  * Returns { label, score } or null if something fails.
  */
-async function detectMood(text) {
+async function detectMoodRemote(text) {
   if (!HF_API_KEY || !text || !text.trim()) {
     return null;
   }
@@ -55,4 +67,29 @@ async function detectMood(text) {
   }
 }
 
+/**
+ * Detects mood with the local lexicon classifier (src/utils/moodClassifier.js).
+ * Returns { label, score } or null for empty text.
+ */
+function detectMoodLocal(text) {
+  const result = classifyMood(text);
+  return result ? { label: result.label, score: result.score } : null;
+}
+
+/**
+ * Detects mood with the backend chosen by MOOD_CLASSIFIER.
+ * Labels are the j-hartmann ones (anger, disgust, fear, joy, neutral, sadness,
+ * surprise) whichever backend answers.
+ * @param {string} text
+ * @param {Object} options - { backend } to override MOOD_CLASSIFIER
+ * Returns { label, score } or null.
+ */
+async function detectMood(text, { backend = MOOD_CLASSIFIER } = {}) {
+  if (backend === "off") return null;
+  if (backend === "lexicon") return detectMoodLocal(text);
+  if (backend === "huggingface") return detectMoodRemote(text);
+
+  return (HF_API_KEY && (await detectMoodRemote(text))) || detectMoodLocal(text);
+}
+
 export { detectMood };
@@ -0,0 +1,198 @@
+// src/utils/psqiScoring.js
+//
+// Pittsburgh Sleep Quality Index (Buysse et al., 1989).
+//
+// The PSQI global score is not a sum of the raw answers: seven component
+// scores (each 0-3) are derived from clock times, minutes, hours and the
+// frequency items, then added up to a 0-21 global score.
+//
+// Response ids (after normalizeResponseKeys):
+//   q1  usual bedtime (clock time)          q2  minutes to fall asleep
+//   q3  usual getting-up time (clock time)  q4  hours of actual sleep
+//   q5  5a cannot sleep within 30 minutes   q6-q13  5b-5i other disturbances
+//   q14 5j other reason (free text)         q15 5j how often (0-3)
+//   q16 subjective sleep quality (0-3)      q17 sleep medication (0-3)
+//   q18 trouble staying awake (0-3)         q19 lack of enthusiasm (0-3)
+
+import { normalizeResponseKeys } from './scoringEngine.js';
+
+export const PSQI_MAX_SCORE = 21;
+
+export const PSQI_COMPONENTS = [
+  { id: 'subjectiveQuality', name: 'Subjective Sleep Quality' },
+  { id: 'latency', name: 'Sleep Latency' },
+  { id: 'duration', name: 'Sleep Duration' },
+  { id: 'efficiency', name: 'Sleep Efficiency' },
+  { id: 'disturbances', name: 'Sleep Disturbances' },
+  { id: 'medication', name: 'Use of Sleep Medication' },
+  { id: 'daytimeDysfunction', name: 'Daytime Dysfunction' }
+];
+
+const DISTURBANCE_ITEMS = ['q6', 'q7', 'q8', 'q9', 'q10', 'q11', 'q12', 'q13'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// A 0-3 frequency/rating item; anything outside the range counts as missing
+const toRating = (value) => {
+  const number = toNumber(value);
+  return number !== null && number >= 0 && number <= 3 ? Math.round(number) : null;
+};
+
+/**
+ * Parse a clock time into hours since midnight
+ * Accepts "23:30", "7:05", "11:30 PM", "6 am" or a number of hours (22.5)
+ * @param {string|number} value - Time as answered on the form
+ * @returns {number|null} Hours in [0, 24), or null if unparseable
+ */
+export const parseClockTime = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 && value <= 24 ? value % 24 : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().toLowerCase().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = match[2] ? Number(match[2]) : 0;
+  const meridiem = match[3]?.replace(/\./g, '');
+  if (minutes > 59) return null;
+
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'pm') hours += 12;
+  } else if (hours > 24) {
+    return null;
+  }
+
+  return (hours + minutes / 60) % 24;
+};
+
+/**
+ * Hours between going to bed and getting up, wrapping past midnight
+ */
+const hoursBetween = (bedtime, wakeTime) => {
+  const diff = wakeTime - bedtime;
+  return diff > 0 ? diff : diff + 24;
+};
+
+// Map a summed item total onto a 0-3 component using the PSQI cut-offs
+const bucket = (total, cutoffs) => {
+  const index = cutoffs.findIndex((max) => total <= max);
+  return index === -1 ? cutoffs.length : index;
+};
+
+/**
+ * Score a PSQI submission
+ * @param {Object} responses - Student's responses (q1..q19 or psqi_q1..psqi_q19)
+ * @returns {Object} { score, severity, details } - details holds the seven components,
+ *   sleep efficiency and the derived times; components that cannot be computed are null
+ */
+export const scorePSQIResponses = (responses) => {
+  const r = normalizeResponseKeys(responses);
+
+  const bedtime = parseClockTime(r.q1);
+  const wakeTime = parseClockTime(r.q3);
+  const latencyMinutes = toNumber(r.q2);
+  const hoursSlept = toNumber(r.q4);
+  const hoursInBed = bedtime !== null && wakeTime !== null ? hoursBetween(bedtime, wakeTime) : null;
+
+  // Component 1: subjective sleep quality
+  const subjectiveQuality = toRating(r.q16);
+
+  // Component 2: latency minutes (<=15, 16-30, 31-60, >60) plus item 5a
+  const cannotSleep = toRating(r.q5);
+  let latency = null;
+  if (latencyMinutes !== null && latencyMinutes >= 0 && cannotSleep !== null) {
+    latency = bucket(bucket(latencyMinutes, [15, 30, 60]) + cannotSleep, [0, 2, 4]);
+  }
+
+  // Component 3: hours of actual sleep (>=7, 6-7, 5-6, <5)
+  let duration = null;
+  if (hoursSlept !== null && hoursSlept >= 0) {
+    if (hoursSlept >= 7) duration = 0;
+    else if (hoursSlept >= 6) duration = 1;
+    else if (hoursSlept >= 5) duration = 2;
+    else duration = 3;
+  }
+
+  // Component 4: habitual sleep efficiency (>=85%, 75-84%, 65-74%, <65%)
+  let sleepEfficiency = null;
+  let efficiency = null;
+  if (hoursSlept !== null && hoursSlept >= 0 && hoursInBed) {
+    sleepEfficiency = round(Math.min(hoursSlept / hoursInBed, 1) * 100);
+    if (sleepEfficiency >= 85) efficiency = 0;
+    else if (sleepEfficiency >= 75) efficiency = 1;
+    else if (sleepEfficiency >= 65) efficiency = 2;
+    else efficiency = 3;
+  }
+
+  // Component 5: items 5b-5i plus 5j (only counted when a frequency is given)
+  const disturbanceRatings = DISTURBANCE_ITEMS.map((id) => toRating(r[id]));
+  let disturbances = null;
+  if (disturbanceRatings.every((value) => value !== null)) {
+    const otherReason = toRating(r.q15) ?? 0;
+    const total = disturbanceRatings.reduce((sum, value) => sum + value, 0) + otherReason;
+    disturbances = bucket(total, [0, 9, 18]);
+  }
+
+  // Component 6: use of sleep medication
+  const medication = toRating(r.q17);
+
+  // Component 7: trouble staying awake plus lack of enthusiasm
+  const stayingAwake = toRating(r.q18);
+  const enthusiasm = toRating(r.q19);
+  const daytimeDysfunction = stayingAwake !== null && enthusiasm !== null
+    ? bucket(stayingAwake + enthusiasm, [0, 2, 4])
+    : null;
+
+  const components = {
+    subjectiveQuality,
+    latency,
+    duration,
+    efficiency,
+    disturbances,
+    medication,
+    daytimeDysfunction
+  };
+
+  const missingComponents = PSQI_COMPONENTS
+    .filter(({ id }) => components[id] === null)
+    .map(({ id }) => id);
+
+  const score = Object.values(components).reduce((sum, value) => sum + (value ?? 0), 0);
+
+  let severity;
+  if (score <= 5) severity = 'Minimal';
+  else if (score <= 10) severity = 'Mild';
+  else if (score <= 15) severity = 'Moderate';
+  else severity = 'Severe';
+
+  return {
+    score,
+    severity,
+    details: {
+      maxScore: PSQI_MAX_SCORE,
+      components,
+      sleepEfficiency,
+      hoursInBed: hoursInBed === null ? null : round(hoursInBed),
+      hoursSlept,
+      latencyMinutes,
+      missingComponents
+    }
+  };
+};
+
+export default {
+  PSQI_MAX_SCORE,
+  PSQI_COMPONENTS,
+  parseClockTime,
+  scorePSQIResponses
+};
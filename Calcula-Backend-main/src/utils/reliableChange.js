@@ -0,0 +1,130 @@
+// src/utils/reliableChange.js
+//
+// Change-over-time rules per instrument. A change counts as reliable when the
+// latest score differs from the baseline (first) score by at least `threshold`
+// points in the instrument's scoring direction.
+//
+//   direction      'lower_is_better' for symptom scales, 'higher_is_better' for wellbeing
+//   threshold      minimum change in raw points that is clinically meaningful
+//   clinicalCutoff score at or above which (below, for higher_is_better) a result is
+//                  in the clinical range; moving out of it counts as recovery
+//
+// Instruments without a published threshold fall back to DEFAULT_THRESHOLD_FRACTION
+// of the score range.
+
+export const CHANGE_STATUSES = ['improved', 'worsened', 'no_reliable_change', 'insufficient_data'];
+
+export const RELIABLE_CHANGE_RULES = {
+  // Minimal clinically important difference of 5 points (Löwe et al., 2004)
+  'PHQ-9': { direction: 'lower_is_better', threshold: 5, clinicalCutoff: 10, maxScore: 27 },
+  // Reliable change of 4 points as used in NHS Talking Therapies outcomes
+  'GAD-7': { direction: 'lower_is_better', threshold: 4, clinicalCutoff: 8, maxScore: 21 },
+  // 10 percentage points on the 0-100 WHO-5 index, i.e. 2.5 raw points
+  'WHO-5': { direction: 'higher_is_better', threshold: 2.5, clinicalCutoff: 13, maxScore: 25 },
+  // PSQI global score: 3 points; > 5 marks poor sleep (Buysse et al., 1989)
+  'PSQI': { direction: 'lower_is_better', threshold: 3, clinicalCutoff: 6, maxScore: 21 },
+  'PSS-10': { direction: 'lower_is_better', maxScore: 40 },
+  'GHQ-12': { direction: 'lower_is_better', maxScore: 36 },
+  'IAT': { direction: 'lower_is_better', maxScore: 100 },
+  'BHI-10': { direction: 'lower_is_better', maxScore: 40 },
+  'DERS-18': { direction: 'lower_is_better', minScore: 18, maxScore: 90 },
+  // Screener scored 1-4 by risk category; any step between categories matters
+  'C-SSRS': { direction: 'lower_is_better', threshold: 1, minScore: 1, maxScore: 4 }
+};
+RELIABLE_CHANGE_RULES.CSSRS = RELIABLE_CHANGE_RULES['C-SSRS'];
+
+const DEFAULT_THRESHOLD_FRACTION = 0.2;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Resolve the change rule for a form type
+ * @param {string} formType - Assessment form type
+ * @param {number|null} maxScore - Max score from the stored score details (custom forms)
+ * @returns {Object} { direction, threshold, thresholdSource, clinicalCutoff }
+ */
+export const getChangeRule = (formType, maxScore = null) => {
+  const rule = RELIABLE_CHANGE_RULES[formType] || { direction: 'lower_is_better' };
+  const range = (rule.maxScore ?? maxScore ?? 0) - (rule.minScore ?? 0);
+
+  if (rule.threshold !== undefined) {
+    return {
+      direction: rule.direction,
+      threshold: rule.threshold,
+      thresholdSource: 'instrument',
+      clinicalCutoff: rule.clinicalCutoff ?? null
+    };
+  }
+
+  return {
+    direction: rule.direction,
+    threshold: range > 0 ? round(range * DEFAULT_THRESHOLD_FRACTION) : null,
+    thresholdSource: 'default',
+    clinicalCutoff: null
+  };
+};
+
+const isClinical = (score, rule) => (
+  rule.direction === 'higher_is_better' ? score < rule.clinicalCutoff : score >= rule.clinicalCutoff
+);
+
+/**
+ * Summarise a student's scores on one instrument over time
+ * @param {string} formType - Assessment form type
+ * @param {Array} points - [{ id, score, severity, date, maxScore? }] in chronological order
+ * @returns {Object} Trend with baseline, latest, delta and change flags
+ */
+export const computeTrend = (formType, points) => {
+  const series = points.filter((p) => typeof p.score === 'number' && Number.isFinite(p.score));
+  const maxScore = series.find((p) => p.maxScore)?.maxScore ?? null;
+  const rule = getChangeRule(formType, maxScore);
+
+  const baseline = series[0] || null;
+  const latest = series[series.length - 1] || null;
+  const previous = series.length > 1 ? series[series.length - 2] : null;
+
+  const trend = {
+    formType,
+    direction: rule.direction,
+    threshold: rule.threshold,
+    thresholdSource: rule.thresholdSource,
+    series,
+    baseline,
+    latest,
+    delta: null,
+    deltaFromPrevious: null,
+    change: 'insufficient_data',
+    reliableChange: false,
+    recovered: null
+  };
+
+  if (series.length < 2) return trend;
+
+  trend.delta = round(latest.score - baseline.score);
+  trend.deltaFromPrevious = round(latest.score - previous.score);
+
+  // Positive when the student got better, whichever way the scale runs
+  const gain = rule.direction === 'higher_is_better' ? trend.delta : -trend.delta;
+
+  if (rule.threshold !== null && Math.abs(trend.delta) >= rule.threshold) {
+    trend.reliableChange = true;
+    trend.change = gain > 0 ? 'improved' : 'worsened';
+  } else {
+    trend.change = 'no_reliable_change';
+  }
+
+  if (rule.clinicalCutoff !== null) {
+    trend.recovered = isClinical(baseline.score, rule)
+      && !isClinical(latest.score, rule)
+      && trend.change === 'improved';
+  }
+
+  return trend;
+};
+
+export default {
+  CHANGE_STATUSES,
+  RELIABLE_CHANGE_RULES,
+  getChangeRule,
+  computeTrend
+};
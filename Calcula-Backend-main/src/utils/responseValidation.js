@@ -0,0 +1,205 @@
+// src/utils/responseValidation.js
+//
+// Item schemas describe which items an instrument has and which values each
+// accepts. Submissions are checked against them before scoring, so missing
+// items, unknown keys and out-of-range values are rejected instead of being
+// silently summed.
+//
+// An item schema is a list of:
+//   { id: 'q1', type: 'integer', min: 0, max: 3 }   whole number in range
+//   { id: 'q1', type: 'yesno' }                      'yes'/'no', true/false or 1/0
+//   { id: 'q1', type: 'time' }                       clock time ("23:30", "11:30 PM")
+//   { id: 'q2', type: 'number', min: 0, max: 600 }   any number in range
+//   { id: 'q14', type: 'text', maxLength: 500 }      free text
+//   { id: 'q1', type: 'choice', values: [0, 1, 2] }  one of the listed option values
+// plus `optional: true`, or `requiredIf: { item: 'q2', equals: 'yes' }` for
+// follow-up items that are only asked after a given answer.
+
+import { normalizeItemId } from './scoringEngine.js';
+import { BUILT_IN_DEFINITIONS } from './scoringDefinitions.js';
+import { parseClockTime } from './psqiScoring.js';
+
+export const ITEM_TYPES = ['integer', 'yesno', 'time', 'number', 'text', 'choice'];
+
+const TEXT_MAX_LENGTH = 500;
+
+const range = (count, spec, start = 1) => Array.from({ length: count }, (_, i) => ({
+  id: `q${start + i}`,
+  ...spec
+}));
+
+const fromDefinition = (definition) => definition.items.map(({ id, min, max }) => ({
+  id,
+  type: 'integer',
+  min,
+  max
+}));
+
+/**
+ * Item schemas for the built-in instruments
+ */
+export const BUILT_IN_ITEM_SCHEMAS = {
+  ...Object.fromEntries(
+    Object.entries(BUILT_IN_DEFINITIONS).map(([formType, definition]) => [formType, fromDefinition(definition)])
+  ),
+  'GHQ-12': range(12, { type: 'integer', min: 0, max: 3 }),
+  'WHO-5': range(5, { type: 'integer', min: 0, max: 5 }),
+  // 0 is "does not apply" on the published IAT form
+  'IAT': range(20, { type: 'integer', min: 0, max: 5 }),
+  'BHI-10': range(10, { type: 'integer', min: 0, max: 4 }),
+  'DERS-18': range(18, { type: 'integer', min: 1, max: 5 }),
+  'PSQI': [
+    { id: 'q1', type: 'time' },
+    { id: 'q2', type: 'number', min: 0, max: 600 },
+    { id: 'q3', type: 'time' },
+    { id: 'q4', type: 'number', min: 0, max: 24 },
+    ...range(9, { type: 'integer', min: 0, max: 3 }, 5),
+    { id: 'q14', type: 'text', maxLength: TEXT_MAX_LENGTH, optional: true },
+    { id: 'q15', type: 'integer', min: 0, max: 3, optional: true },
+    ...range(4, { type: 'integer', min: 0, max: 3 }, 16)
+  ],
+  // Screener: intent and plan (q3-q5) are only asked after active ideation (q2)
+  'C-SSRS': [
+    { id: 'q1', type: 'yesno' },
+    { id: 'q2', type: 'yesno' },
+    ...range(3, { type: 'yesno', requiredIf: { item: 'q2', equals: 'yes' } }, 3),
+    { id: 'q6', type: 'yesno' }
+  ]
+};
+BUILT_IN_ITEM_SCHEMAS.CSSRS = BUILT_IN_ITEM_SCHEMAS['C-SSRS'];
+
+/**
+ * Build an item schema for an admin-created form from its questions.
+ * Questions with options accept only those option values; text questions
+ * accept free text; `required: false` marks a question optional.
+ * @param {Object} form - assessment_forms row
+ * @returns {Array} Item schema
+ */
+export const deriveItemSchema = (form) => (form.questions || []).map((question, index) => {
+  const id = normalizeItemId(question.id ?? `q${index + 1}`);
+  const optional = question.required === false;
+  const values = (question.options || [])
+    .map((option) => (option && typeof option === 'object' ? option.value : option))
+    .filter((value) => value !== undefined && value !== null);
+
+  if (values.length > 0) return { id, type: 'choice', values, optional };
+  return { id, type: 'text', maxLength: TEXT_MAX_LENGTH, optional };
+});
+
+const YES_VALUES = ['yes', 'true', '1'];
+const NO_VALUES = ['no', 'false', '0'];
+
+/**
+ * Check one answer against its item spec
+ * @returns {Object} { value } with the cleaned value, or { error }
+ */
+const checkValue = (item, raw) => {
+  switch (item.type) {
+    case 'integer': {
+      const value = typeof raw === 'string' && /^\s*-?\d+\s*$/.test(raw) ? Number(raw) : raw;
+      if (!Number.isInteger(value)) return { error: 'Must be a whole number' };
+      if (value < item.min || value > item.max) return { error: `Must be between ${item.min} and ${item.max}` };
+      return { value };
+    }
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'Must be a number' };
+      if (value < item.min || value > item.max) return { error: `Must be between ${item.min} and ${item.max}` };
+      return { value };
+    }
+    case 'yesno': {
+      const lowered = String(raw).trim().toLowerCase();
+      if (typeof raw !== 'object' && YES_VALUES.includes(lowered)) return { value: 'yes' };
+      if (typeof raw !== 'object' && NO_VALUES.includes(lowered)) return { value: 'no' };
+      return { error: 'Must be yes or no' };
+    }
+    case 'time': {
+      if (typeof raw !== 'string' || parseClockTime(raw) === null) {
+        return { error: 'Must be a clock time such as 23:30 or 11:30 PM' };
+      }
+      return { value: raw.trim() };
+    }
+    case 'text': {
+      if (typeof raw !== 'string') return { error: 'Must be text' };
+      const maxLength = item.maxLength || TEXT_MAX_LENGTH;
+      if (raw.length > maxLength) return { error: `Must be at most ${maxLength} characters` };
+      return { value: raw.trim() };
+    }
+    case 'choice': {
+      const match = item.values.find((allowed) => allowed === raw || String(allowed) === String(raw));
+      if (match === undefined) return { error: `Must be one of: ${item.values.join(', ')}` };
+      return { value: match };
+    }
+    default:
+      return { error: `Unsupported item type: ${item.type}` };
+  }
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+/**
+ * Validate responses against an item schema
+ * @param {Array} schema - Item schema (see file header)
+ * @param {Object} responses - Raw responses from the client (keys `q1` or `phq9_q1`)
+ * @param {Object} options - { partial: true } skips the missing-item check (drafts)
+ * @returns {Object} { values, errors, answered, total }
+ *   values - cleaned responses keyed by canonical item id
+ *   errors - [{ field, message }] (empty when valid)
+ */
+export const validateResponses = (schema, responses, { partial = false } = {}) => {
+  const errors = [];
+  const values = {};
+  const items = new Map(schema.map((item) => [item.id, item]));
+  const seen = new Set();
+
+  if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+    return { values, errors: [{ field: 'responses', message: 'Responses must be an object' }], answered: 0, total: schema.length };
+  }
+
+  Object.entries(responses).forEach(([key, raw]) => {
+    const id = normalizeItemId(key);
+    const item = items.get(id);
+
+    if (!item) {
+      errors.push({ field: key, message: 'Unknown item for this assessment' });
+      return;
+    }
+    if (seen.has(id)) {
+      errors.push({ field: key, message: `Duplicate answer for item ${id}` });
+      return;
+    }
+    seen.add(id);
+    if (isBlank(raw)) return;
+
+    const result = checkValue(item, raw);
+    if (result.error) errors.push({ field: id, message: result.error });
+    else values[id] = result.value;
+  });
+
+  const isRequired = (item) => {
+    if (item.optional) return false;
+    if (!item.requiredIf) return true;
+    return values[item.requiredIf.item] === item.requiredIf.equals;
+  };
+
+  const required = schema.filter(isRequired);
+  if (!partial) {
+    required
+      .filter((item) => !(item.id in values) && !errors.some((e) => e.field === item.id))
+      .forEach((item) => errors.push({ field: item.id, message: 'This item is required' }));
+  }
+
+  return {
+    values,
+    errors,
+    answered: required.filter((item) => item.id in values).length,
+    total: required.length
+  };
+};
+
+export default {
+  ITEM_TYPES,
+  BUILT_IN_ITEM_SCHEMAS,
+  deriveItemSchema,
+  validateResponses
+};
@@ -0,0 +1,67 @@
+// src/utils/scoringDefinitions.js
+//
+// Built-in instruments expressed as scoring-engine definitions (see scoringEngine.js).
+// Admin-created forms store the same structure in assessment_forms.scoring.
+
+const items = (count, min, max, reverseIds = []) => Array.from({ length: count }, (_, i) => {
+  const id = `q${i + 1}`;
+  return { id, min, max, weight: 1, reverse: reverseIds.includes(id) };
+});
+
+/**
+ * PHQ-9 (Patient Health Questionnaire-9) - Depression
+ * 9 items scored 0-3, total 0-27
+ */
+export const PHQ9_DEFINITION = {
+  method: 'sum',
+  items: items(9, 0, 3),
+  bands: [
+    { max: 4, severity: 'Minimal' },
+    { max: 9, severity: 'Mild' },
+    { max: 14, severity: 'Moderate' },
+    { max: 19, severity: 'Moderately Severe' },
+    { severity: 'Severe' }
+  ]
+};
+
+/**
+ * GAD-7 (Generalized Anxiety Disorder-7) - Anxiety
+ * 7 items scored 0-3, total 0-21
+ */
+export const GAD7_DEFINITION = {
+  method: 'sum',
+  items: items(7, 0, 3),
+  bands: [
+    { max: 4, severity: 'Minimal' },
+    { max: 9, severity: 'Mild' },
+    { max: 14, severity: 'Moderate' },
+    { severity: 'Severe' }
+  ]
+};
+
+/**
+ * PSS-10 (Perceived Stress Scale-10) - Stress
+ * 10 items scored 0-4, items 4, 5, 7, 8 reverse scored, total 0-40
+ * Subscales follow the two-factor structure (helplessness / self-efficacy)
+ */
+export const PSS10_DEFINITION = {
+  method: 'sum',
+  items: items(10, 0, 4, ['q4', 'q5', 'q7', 'q8']),
+  subscales: [
+    { id: 'helplessness', name: 'Perceived Helplessness', items: ['q1', 'q2', 'q3', 'q6', 'q9', 'q10'] },
+    { id: 'self_efficacy', name: 'Lack of Self-Efficacy', items: ['q4', 'q5', 'q7', 'q8'] }
+  ],
+  bands: [
+    { max: 13, severity: 'Minimal' },
+    { max: 26, severity: 'Moderate' },
+    { severity: 'Severe' }
+  ]
+};
+
+export const BUILT_IN_DEFINITIONS = {
+  'PHQ-9': PHQ9_DEFINITION,
+  'GAD-7': GAD7_DEFINITION,
+  'PSS-10': PSS10_DEFINITION
+};
+
+export default BUILT_IN_DEFINITIONS;
@@ -0,0 +1,268 @@
+// src/utils/scoringEngine.js
+//
+// Declarative scoring for assessment forms.
+//
+// A scoring definition is plain JSON so it can live in assessment_forms.scoring:
+// {
+//   method: 'sum' | 'mean',                  // how item values are combined (default 'sum')
+//   items: [                                  // scored items; unlisted responses are ignored
+//     { id: 'q1', min: 0, max: 3, weight: 1, reverse: false }
+//   ],
+//   subscales: [                              // optional
+//     { id: 'helplessness', name: 'Perceived Helplessness', items: ['q1', 'q2'], method: 'sum', bands: [...] }
+//   ],
+//   bands: [                                  // severity bands on the total, checked in order
+//     { max: 4, severity: 'Minimal' }, { max: 9, severity: 'Mild' }, { severity: 'Severe' }
+//   ]
+// }
+//
+// Reverse-scored items are flipped within their range (min + max - value) before weighting.
+// A band matches when score <= band.max (a band without max catches everything above).
+
+export const SCORING_METHODS = ['sum', 'mean'];
+export const SEVERITY_LEVELS = ['Minimal', 'Mild', 'Moderate', 'Moderately Severe', 'Severe'];
+
+// Used for dynamic forms that define item ranges but no bands: quarters of the score range
+const DEFAULT_BAND_FRACTIONS = [
+  { upTo: 0.25, severity: 'Minimal' },
+  { upTo: 0.5, severity: 'Mild' },
+  { upTo: 0.75, severity: 'Moderate' },
+  { upTo: 1, severity: 'Severe' }
+];
+
+/**
+ * Canonical id for an item: prefixed ids like `phq9_q9` become `q9`
+ * @param {string} key - Item or response key
+ * @returns {string} `qN`, or the key unchanged if it has no `qN` suffix
+ */
+export const normalizeItemId = (key) => {
+  const match = String(key).match(/(?:^|_)(q\d+)$/i);
+  return match ? match[1].toLowerCase() : String(key);
+};
+
+/**
+ * Normalize response keys so both `q9` and prefixed ids like `phq9_q9` resolve
+ * @param {Object} responses - Raw responses from the client
+ * @returns {Object} Responses keyed by `qN` (other keys are kept as-is)
+ */
+export const normalizeResponseKeys = (responses = {}) => {
+  const normalized = {};
+  Object.entries(responses || {}).forEach(([key, value]) => {
+    normalized[normalizeItemId(key)] = value;
+  });
+  return normalized;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const combine = (values, weights, method) => {
+  const total = values.reduce((sum, v) => sum + v, 0);
+  if (method !== 'mean') return total;
+  const weightTotal = weights.reduce((sum, w) => sum + w, 0);
+  return weightTotal > 0 ? total / weightTotal : 0;
+};
+
+/**
+ * Lowest or highest score a definition (or a subset of its items) can produce
+ */
+const boundScoreFor = (items, method, bound) => {
+  const values = items.map((item) => (item.weight ?? 1) * item[bound]);
+  const weights = items.map((item) => item.weight ?? 1);
+  return round(combine(values, weights, method));
+};
+
+const toNumber = (value) => (
+  value === undefined || value === null || value === '' ? NaN : Number(value)
+);
+
+/**
+ * Pick the severity band for a score
+ * @param {number} score - Score to classify
+ * @param {Array} bands - Band definitions (checked in order)
+ * @returns {string|null} Severity label, or null if no bands
+ */
+export const applyBands = (score, bands) => {
+  if (!Array.isArray(bands) || bands.length === 0) return null;
+  const band = bands.find((b) => b.max === undefined || b.max === null || score <= b.max);
+  return band ? band.severity : bands[bands.length - 1].severity;
+};
+
+const defaultBands = (minScore, maxScore) => DEFAULT_BAND_FRACTIONS.map(({ upTo, severity }, index) => (
+  index === DEFAULT_BAND_FRACTIONS.length - 1
+    ? { severity }
+    : { max: round(minScore + (maxScore - minScore) * upTo), severity }
+));
+
+/**
+ * Score responses with a declarative definition
+ * @param {Object} definition - Scoring definition (see file header)
+ * @param {Object} responses - Student's responses
+ * @returns {Object} { score, severity, maxScore, subscales }
+ */
+export const scoreWithDefinition = (definition, responses) => {
+  const method = definition.method || 'sum';
+  const normalized = normalizeResponseKeys(responses);
+  const itemScores = {};
+
+  definition.items.forEach((item) => {
+    const raw = toNumber(normalized[normalizeItemId(item.id)] ?? responses?.[item.id]);
+    if (Number.isNaN(raw)) return;
+
+    const value = item.reverse ? (item.min + item.max - raw) : raw;
+    itemScores[item.id] = { value: value * (item.weight ?? 1), weight: item.weight ?? 1 };
+  });
+
+  const scored = Object.values(itemScores);
+  const score = round(combine(scored.map((s) => s.value), scored.map((s) => s.weight), method));
+  const maxScore = boundScoreFor(definition.items, method, 'max');
+  const severity = applyBands(score, definition.bands)
+    || applyBands(score, defaultBands(boundScoreFor(definition.items, method, 'min'), maxScore));
+
+  const subscales = {};
+  (definition.subscales || []).forEach((subscale) => {
+    const members = subscale.items.map((id) => itemScores[id]).filter(Boolean);
+    const subMethod = subscale.method || method;
+    const subScore = round(combine(members.map((s) => s.value), members.map((s) => s.weight), subMethod));
+    subscales[subscale.id] = {
+      name: subscale.name || subscale.id,
+      score: subScore,
+      maxScore: boundScoreFor(definition.items.filter((item) => subscale.items.includes(item.id)), subMethod, 'max'),
+      severity: applyBands(subScore, subscale.bands)
+    };
+  });
+
+  return { score, severity, maxScore, subscales };
+};
+
+/**
+ * Check a scoring definition before it is stored
+ * @param {Object} definition - Scoring definition
+ * @returns {Array} List of { field, message } errors (empty when valid)
+ */
+export const validateScoringDefinition = (definition) => {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    add('scoring', 'Scoring definition must be an object');
+    return errors;
+  }
+
+  if (definition.method && !SCORING_METHODS.includes(definition.method)) {
+    add('scoring.method', `Method must be one of: ${SCORING_METHODS.join(', ')}`);
+  }
+
+  if (!Array.isArray(definition.items) || definition.items.length === 0) {
+    add('scoring.items', 'At least one scored item is required');
+    return errors;
+  }
+
+  const itemIds = new Set();
+  definition.items.forEach((item, i) => {
+    const field = `scoring.items.${i}`;
+    if (!item || typeof item.id !== 'string' || !item.id) {
+      add(`${field}.id`, 'Item id is required');
+      return;
+    }
+    if (itemIds.has(item.id)) add(`${field}.id`, `Duplicate item id: ${item.id}`);
+    itemIds.add(item.id);
+
+    if (!Number.isFinite(item.min) || !Number.isFinite(item.max) || item.min >= item.max) {
+      add(field, `Item ${item.id} needs numeric min < max`);
+    }
+    if (item.weight !== undefined && (!Number.isFinite(item.weight) || item.weight <= 0)) {
+      add(`${field}.weight`, `Item ${item.id} weight must be a positive number`);
+    }
+    if (item.reverse !== undefined && typeof item.reverse !== 'boolean') {
+      add(`${field}.reverse`, `Item ${item.id} reverse must be true or false`);
+    }
+  });
+
+  const checkBands = (bands, field) => {
+    if (bands === undefined) return;
+    if (!Array.isArray(bands) || bands.length === 0) {
+      add(field, 'Bands must be a non-empty array');
+      return;
+    }
+    let previous = -Infinity;
+    bands.forEach((band, i) => {
+      if (!band || typeof band.severity !== 'string' || !band.severity) {
+        add(`${field}.${i}.severity`, 'Band severity is required');
+      }
+      const isLast = i === bands.length - 1;
+      if (band?.max === undefined || band?.max === null) {
+        if (!isLast) add(`${field}.${i}.max`, 'Only the last band may omit max');
+        return;
+      }
+      if (!Number.isFinite(band.max) || band.max <= previous) {
+        add(`${field}.${i}.max`, 'Band max values must be numeric and increasing');
+      }
+      previous = band.max;
+    });
+  };
+
+  checkBands(definition.bands, 'scoring.bands');
+
+  (definition.subscales || []).forEach((subscale, i) => {
+    const field = `scoring.subscales.${i}`;
+    if (!subscale || typeof subscale.id !== 'string' || !subscale.id) {
+      add(`${field}.id`, 'Subscale id is required');
+      return;
+    }
+    if (subscale.method && !SCORING_METHODS.includes(subscale.method)) {
+      add(`${field}.method`, `Method must be one of: ${SCORING_METHODS.join(', ')}`);
+    }
+    if (!Array.isArray(subscale.items) || subscale.items.length === 0) {
+      add(`${field}.items`, `Subscale ${subscale.id} needs at least one item`);
+    } else {
+      subscale.items
+        .filter((id) => !itemIds.has(id))
+        .forEach((id) => add(`${field}.items`, `Subscale ${subscale.id} references unknown item ${id}`));
+    }
+    checkBands(subscale.bands, `${field}.bands`);
+  });
+
+  return errors;
+};
+
+/**
+ * Build a scoring definition for an admin-created form that has no explicit
+ * `scoring` JSON: every question with numeric option values becomes an item.
+ * @param {Object} form - assessment_forms row
+ * @returns {Object|null} Scoring definition, or null if nothing is scorable
+ */
+export const deriveScoringDefinition = (form) => {
+  const items = (form.questions || [])
+    .map((question, index) => {
+      const values = (question.options || [])
+        .map((option) => Number(typeof option === 'object' ? option?.value : option))
+        .filter((value) => Number.isFinite(value));
+      if (values.length < 2) return null;
+      return {
+        id: String(question.id ?? `q${index + 1}`),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        weight: question.weight ?? 1,
+        reverse: Boolean(question.reverse)
+      };
+    })
+    .filter(Boolean);
+
+  if (items.length === 0) return null;
+
+  return {
+    method: SCORING_METHODS.includes(form.scoring_method) ? form.scoring_method : 'sum',
+    items
+  };
+};
+
+export default {
+  SCORING_METHODS,
+  SEVERITY_LEVELS,
+  normalizeItemId,
+  normalizeResponseKeys,
+  applyBands,
+  scoreWithDefinition,
+  validateScoringDefinition,
+  deriveScoringDefinition
+};
@@ -0,0 +1,121 @@
+// src/utils/screeningSchedule.js
+//
+// Works out which assessments a student is due to take. Pure functions: the
+// current time is always passed in, so callers (and the reminder job) can use
+// an injected clock.
+//
+// Two sources of due items:
+//   rescreen - an instrument defined over a recall window (PHQ-9 and GAD-7 ask
+//              about the last two weeks) is due again once that window has
+//              passed since the student last took it
+//   campaign - an admin-run screening campaign that targets the student and
+//              that they have not completed since it started
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days after which an instrument should be retaken, from its recall window.
+ * Instruments not listed here are one-off and never re-screened automatically.
+ */
+export const RESCREEN_INTERVAL_DAYS = {
+  'PHQ-9': 14,
+  'GAD-7': 14,
+  'WHO-5': 14,
+  'PSS-10': 30,
+  'PSQI': 30
+};
+
+export const DUE_REASONS = ['rescreen', 'campaign'];
+
+const toDate = (value) => (value instanceof Date ? value : new Date(value));
+
+/**
+ * Latest completion time per form type
+ * @param {Array} history - [{ form_type, created_at }]
+ * @returns {Object} { [formType]: Date }
+ */
+export const latestByFormType = (history = []) => {
+  const latest = {};
+  history.forEach(({ form_type: formType, created_at: createdAt }) => {
+    const date = toDate(createdAt);
+    if (!latest[formType] || date > latest[formType]) latest[formType] = date;
+  });
+  return latest;
+};
+
+/**
+ * Whether a campaign applies to a student
+ * @param {Object} campaign - screening_campaigns row
+ * @param {Object} student - { passingYear }
+ * @param {Date} now - Current time
+ */
+export const campaignTargetsStudent = (campaign, student, now) => {
+  if (!campaign.is_active) return false;
+  if (toDate(campaign.starts_at) > now) return false;
+  const years = campaign.target_passing_years;
+  if (Array.isArray(years) && years.length > 0 && !years.includes(student.passingYear)) return false;
+  return true;
+};
+
+/**
+ * Compute a student's due assessments
+ * @param {Object} params
+ * @param {Array} params.history - Student's assessments [{ form_type, created_at }]
+ * @param {Array} params.campaigns - Active campaigns for the student's college
+ * @param {Object} params.student - { passingYear }
+ * @param {Date} params.now - Current time (injected clock)
+ * @returns {Array} [{ formType, reason, dueAt, overdue, lastTakenAt, campaignId, campaignName }],
+ *   one per form type, campaigns taking precedence over re-screens
+ */
+export const computeDueAssessments = ({ history = [], campaigns = [], student = {}, now }) => {
+  const current = toDate(now);
+  const latest = latestByFormType(history);
+  const due = new Map();
+
+  Object.entries(RESCREEN_INTERVAL_DAYS).forEach(([formType, days]) => {
+    const lastTakenAt = latest[formType];
+    if (!lastTakenAt) return;
+
+    const dueAt = new Date(lastTakenAt.getTime() + days * DAY_MS);
+    if (dueAt > current) return;
+
+    due.set(formType, {
+      formType,
+      reason: 'rescreen',
+      dueAt: dueAt.toISOString(),
+      overdue: false,
+      lastTakenAt: lastTakenAt.toISOString(),
+      campaignId: null,
+      campaignName: null
+    });
+  });
+
+  campaigns
+    .filter((campaign) => campaignTargetsStudent(campaign, student, current))
+    .sort((a, b) => toDate(a.due_by) - toDate(b.due_by))
+    .forEach((campaign) => {
+      const lastTakenAt = latest[campaign.form_type];
+      if (lastTakenAt && lastTakenAt >= toDate(campaign.starts_at)) return;
+      if (due.get(campaign.form_type)?.reason === 'campaign') return;
+
+      due.set(campaign.form_type, {
+        formType: campaign.form_type,
+        reason: 'campaign',
+        dueAt: toDate(campaign.due_by).toISOString(),
+        overdue: toDate(campaign.due_by) < current,
+        lastTakenAt: lastTakenAt ? lastTakenAt.toISOString() : null,
+        campaignId: campaign.id,
+        campaignName: campaign.name
+      });
+    });
+
+  return [...due.values()].sort((a, b) => toDate(a.dueAt) - toDate(b.dueAt));
+};
+
+export default {
+  RESCREEN_INTERVAL_DAYS,
+  DUE_REASONS,
+  latestByFormType,
+  campaignTargetsStudent,
+  computeDueAssessments
+};
@@ -0,0 +1,41 @@
+// src/utils/tokenBudget.js
+//
+// Rough token accounting for prompt budgets. Uses the common ~4 characters
+// per token approximation instead of a model-specific tokenizer: it only has
+// to keep prompts bounded, not match provider billing exactly.
+
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+export const estimateTokens = (text = '') => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Estimated tokens of a chat message, including a small per-message overhead
+ * @param {Object} message - { content } or an ai_messages row ({ message })
+ * @returns {number}
+ */
+export const estimateMessageTokens = (message) => estimateTokens(message.content ?? message.message) + 4;
+
+/**
+ * Cut a text down to roughly `maxTokens`, ending on a word boundary
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+export const truncateToTokens = (text, maxTokens) => {
+  if (!text || estimateTokens(text) <= maxTokens) return text;
+
+  const cut = text.slice(0, Math.max(maxTokens, 0) * CHARS_PER_TOKEN);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+export default {
+  estimateTokens,
+  estimateMessageTokens,
+  truncateToTokens
+};
@@ -0,0 +1,229 @@
+// src/utils/topicTags.js
+//
+// Topic tags for AI companion conversations, and the keyword fallback that
+// titles and tags a conversation without the model (see
+// services/conversationTitle.service.js).
+//
+// - TOPIC_TAGS is a fixed vocabulary: the model may only choose from it, so
+//   students can filter their conversations by a known set of tags
+// - Terms follow utils/moodClassifier.js: "*" at the end matches any ending
+//   ("exam*" matches "exams", "examination"). A few common Hinglish words are
+//   included, as the companion hears them often
+// - Tags are ranked by how many of their terms appear in the student's messages
+// - Keywords are the most frequent words of those messages once stop words are
+//   removed; they title a conversation that no tag matches
+
+export const MAX_TOPIC_TAGS = 3;
+export const TITLE_MAX_CHARS = 60;
+
+export const TOPIC_TAGS = {
+  'exam-stress': {
+    label: 'Exam stress',
+    terms: [
+      'exam*', 'midterm*', 'finals', 'quiz*', 'test', 'tests', 'grade*', 'gpa', 'cgpa', 'marks', 'assignment*',
+      'deadline*', 'revision', 'revise', 'study', 'studying', 'syllabus', 'viva', 'backlog*', 'padhai', 'pariksha',
+    ],
+  },
+  sleep: {
+    label: 'Sleep',
+    terms: [
+      'sleep*', 'slept', 'insomnia', 'awake', 'tired', 'exhausted', 'nap*', 'stay up', 'stayed up', 'up all night',
+      'nightmare*', 'bedtime', 'neend',
+    ],
+  },
+  relationships: {
+    label: 'Relationships',
+    terms: [
+      'relationship*', 'boyfriend*', 'girlfriend*', 'partner*', 'breakup*', 'break up', 'broke up', 'crush*',
+      'dating', 'my ex', 'friend*', 'friendship*', 'roommate*', 'dost*',
+    ],
+  },
+  family: {
+    label: 'Family',
+    terms: [
+      'family', 'parent*', 'mom', 'mum', 'mother', 'dad', 'father', 'brother*', 'sister*', 'sibling*',
+      'my home', 'back home', 'ghar', 'gharwale',
+    ],
+  },
+  loneliness: {
+    label: 'Loneliness',
+    terms: ['lonely', 'loneliness', 'alone', 'isolat*', 'no friends', 'left out', 'homesick*', 'akela', 'akeli'],
+  },
+  anxiety: {
+    label: 'Anxiety',
+    terms: ['anxious', 'anxiety', 'panic*', 'worried', 'worry', 'worrying', 'nervous', 'overthink*', 'on edge', 'scared'],
+  },
+  'low-mood': {
+    label: 'Low mood',
+    terms: [
+      'sad', 'sadness', 'depress*', 'feel down', 'feeling down', 'felt down', 'hopeless*', 'empty', 'crying',
+      'cried', 'numb', 'unhappy', 'miserable', 'udaas', 'udas', 'dukhi',
+    ],
+  },
+  stress: {
+    label: 'Stress and burnout',
+    terms: ['stress*', 'overwhelm*', 'burnout', 'burned out', 'burnt out', 'pressure', 'too much work', 'tension'],
+  },
+  'self-esteem': {
+    label: 'Self-esteem',
+    terms: [
+      'confiden*', 'self-esteem', 'self esteem', 'worthless', 'not good enough', 'insecur*', 'compar*',
+      'failure', 'imposter', 'ugly', 'hate myself',
+    ],
+  },
+  career: {
+    label: 'Career',
+    terms: ['career*', 'job*', 'internship*', 'placement*', 'interview*', 'resume', 'cv', 'future plans', 'naukri'],
+  },
+  money: {
+    label: 'Money',
+    terms: ['money', 'fees', 'loan*', 'rent', 'afford*', 'financ*', 'scholarship*', 'debt*', 'broke', 'paisa', 'paise'],
+  },
+  health: {
+    label: 'Health',
+    terms: ['health*', 'sick', 'illness', 'pain', 'headache*', 'eating', 'appetite', 'diet', 'exercis*', 'gym', 'doctor'],
+  },
+  motivation: {
+    label: 'Motivation and focus',
+    terms: [
+      'procrastinat*', 'motivat*', 'focus*', 'distract*', 'lazy', 'concentrat*', 'productiv*', 'screen time',
+      'social media', 'scrolling',
+    ],
+  },
+  grief: {
+    label: 'Grief and loss',
+    terms: ['grief', 'griev*', 'died', 'death', 'passed away', 'lost my', 'funeral', 'mourn*', 'miss him', 'miss her'],
+  },
+};
+
+export const TOPIC_TAG_IDS = Object.keys(TOPIC_TAGS);
+
+// English, Hinglish, Hindi and Urdu words that say little about the topic
+const STOP_WORDS = new Set([
+  'the', 'and', 'but', 'for', 'nor', 'yet', 'with', 'about', 'from', 'into', 'onto', 'over', 'under', 'after',
+  'before', 'during', 'since', 'until', 'than', 'then', 'that', 'this', 'these', 'those', 'there', 'here',
+  'what', 'when', 'where', 'which', 'who', 'whom', 'whose', 'why', 'how', 'are', 'was', 'were', 'been', 'being',
+  'have', 'has', 'had', 'having', 'does', 'did', 'doing', 'done', 'can', 'could', 'would', 'should', 'will',
+  'shall', 'may', 'might', 'must', 'not', 'don\'t', 'dont', 'can\'t', 'cant', 'won\'t', 'didn\'t', 'isn\'t',
+  'i\'m', 'im', 'i\'ve', 'ive', 'i\'ll', 'i\'d', 'it\'s', 'its', 'you', 'your', 'you\'re', 'yours', 'him', 'his',
+  'her', 'hers', 'she', 'they', 'them', 'their', 'our', 'ours', 'mine', 'myself', 'yourself', 'all', 'any',
+  'some', 'each', 'every', 'more', 'most', 'much', 'many', 'very', 'really', 'just', 'also', 'even', 'still',
+  'too', 'only', 'again', 'always', 'never', 'ever', 'now', 'today', 'yesterday', 'tomorrow', 'lately', 'get',
+  'got', 'getting', 'gets', 'make', 'made', 'feel', 'feels', 'feeling', 'felt', 'like', 'know', 'think',
+  'thought', 'want', 'wanted', 'need', 'needs', 'going', 'gonna', 'wanna', 'thing', 'things', 'something',
+  'anything', 'nothing', 'everything', 'someone', 'anyone', 'everyone', 'lot', 'lots', 'bit', 'kind', 'sort',
+  'way', 'day', 'days', 'time', 'times', 'because', 'cause', 'tell', 'said', 'say', 'help', 'please', 'thanks',
+  'thank', 'okay', 'yeah', 'yes', 'well', 'one', 'two', 'out', 'off', 'down', 'back', 'hello', 'hey',
+  'hai', 'hain', 'nahi', 'nahin', 'kya', 'mera', 'meri', 'mere', 'mujhe', 'main', 'mai', 'hum', 'aur', 'bhi',
+  'toh', 'kuch', 'raha', 'rahi', 'rahe', 'kar', 'karna', 'par', 'yeh', 'woh', 'bahut', 'bohot', 'lekin', 'abhi',
+  'है', 'हैं', 'में', 'की', 'का', 'के', 'को', 'से', 'और', 'नहीं', 'मैं', 'मुझे', 'मेरा', 'मेरी', 'यह', 'वह',
+  'बहुत', 'भी', 'तो', 'पर', 'कुछ', 'रहा', 'रही',
+  'ہے', 'ہیں', 'میں', 'کی', 'کا', 'کے', 'کو', 'سے', 'اور', 'نہیں', 'مجھے', 'میرا', 'میری', 'یہ', 'وہ', 'بہت',
+  'بھی', 'تو', 'پر', 'کچھ', 'رہا', 'رہی',
+]);
+
+const MIN_KEYWORD_LENGTH = 3;
+
+// ==================== MATCHING ====================
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const COMPILED_TAGS = Object.entries(TOPIC_TAGS).map(([id, { terms }]) => ({
+  id,
+  patterns: terms.map((term) => {
+    const wildcard = term.endsWith('*');
+    const body = escapeRegex(wildcard ? term.slice(0, -1) : term);
+    return new RegExp(`\\b${body}${wildcard ? '\\w*' : '\\b'}`, 'g');
+  }),
+}));
+
+const normalize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Topic tags whose terms appear in the text, most mentioned first
+ * @param {string} text - The student's messages
+ * @returns {string[]} Up to MAX_TOPIC_TAGS of TOPIC_TAG_IDS
+ */
+export const matchTopicTags = (text) => {
+  const normalized = normalize(text);
+  if (!normalized) return [];
+
+  return COMPILED_TAGS
+    .map(({ id, patterns }) => ({
+      id,
+      hits: patterns.reduce((sum, pattern) => sum + (normalized.match(pattern)?.length || 0), 0),
+    }))
+    .filter(({ hits }) => hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .slice(0, MAX_TOPIC_TAGS)
+    .map(({ id }) => id);
+};
+
+/**
+ * Most frequent words of a text, without stop words; ties keep text order
+ * @param {string} text
+ * @param {number} limit - Number of keywords
+ * @returns {string[]}
+ */
+export const extractKeywords = (text, limit = 3) => {
+  const counts = new Map();
+  for (const token of normalize(text).split(/[^\p{L}\p{M}']+/u)) {
+    const word = token.replace(/^'+|'+$/g, '');
+    if ([...word].length < MIN_KEYWORD_LENGTH || STOP_WORDS.has(word)) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([word]) => word);
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// "Exam stress", "Exam stress and sleep"
+const joinLabels = (labels) =>
+  labels.length > 1
+    ? `${labels[0]} and ${labels.slice(1).map((label) => label.toLowerCase()).join(' and ')}`
+    : labels[0];
+
+/**
+ * Title and tags for a conversation without the model
+ * @param {string} text - The student's messages so far
+ * @returns {Object} { title, tags } - title is null when nothing could be extracted
+ */
+export const keywordTitleAndTags = (text) => {
+  const tags = matchTopicTags(text);
+  const title = tags.length > 0
+    ? joinLabels(tags.slice(0, 2).map((id) => TOPIC_TAGS[id].label))
+    : capitalize(extractKeywords(text).join(', '));
+
+  return { title: title ? title.slice(0, TITLE_MAX_CHARS) : null, tags };
+};
+
+/**
+ * Keep only known tags, without duplicates
+ * @param {Array} tags - Tag IDs, e.g. from the model
+ * @returns {string[]} Up to MAX_TOPIC_TAGS of TOPIC_TAG_IDS
+ */
+export const sanitizeTopicTags = (tags) =>
+  [...new Set((Array.isArray(tags) ? tags : [])
+    .map((tag) => String(tag || '').trim().toLowerCase().replace(/[\s_]+/g, '-'))
+    .filter((tag) => TOPIC_TAGS[tag]))]
+    .slice(0, MAX_TOPIC_TAGS);
+
+export default {
+  MAX_TOPIC_TAGS,
+  TITLE_MAX_CHARS,
+  TOPIC_TAGS,
+  TOPIC_TAG_IDS,
+  matchTopicTags,
+  extractKeywords,
+  keywordTitleAndTags,
+  sanitizeTopicTags,
+};
@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import { validationErrorResponse } from './response.js';
+import { LANGUAGE_CODES } from './languages.js';
 
 /**
  * Joi validation schemas for the SIH Mental Health Platform
@@ -78,7 +79,8 @@ export const userSchemas = {
       'string.pattern.base': 'Please provide a valid phone number'
     }),
     avatar: Joi.string().uri().optional(),
-    bio: Joi.string().max(500).optional()
+    bio: Joi.string().max(500).optional(),
+    preferred_language: Joi.string().valid(...LANGUAGE_CODES).optional()
   }),
   
   getUserById: Joi.object({
@@ -153,8 +155,18 @@ export const sessionSchemas = {
   })
 };
 
+// Escalation schemas
+export const escalationSchemas = {
+  updateStatus: Joi.object({
+    status: Joi.string().valid('acknowledged', 'contacted', 'resolved').required(),
+    note: Joi.string().max(2000).optional().allow('', null)
+  })
+};
+
 // Admin schemas
 export const adminSchemas = {
+  updateProfile: userSchemas.updateProfile,
+
   createAnnouncement: Joi.object({
     title: Joi.string().min(3).max(200).required(),
     content: Joi.string().min(10).max(5000).required(),
@@ -208,6 +220,40 @@ export const adminSchemas = {
   })
 };
 
+// Screening campaign schemas
+const campaignPassingYears = Joi.array().items(Joi.number().integer().min(2000).max(2100)).max(10);
+
+export const screeningCampaignSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(3).max(200).required(),
+    description: Joi.string().max(2000).optional().allow('', null),
+    formType: Joi.string().max(50).required(),
+    targetPassingYears: campaignPassingYears.optional(),
+    startsAt: Joi.date().iso().optional(),
+    dueBy: Joi.date().iso().required().when('startsAt', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('startsAt')),
+      otherwise: Joi.date().greater('now')
+    }).messages({
+      'date.greater': 'Due date must be after the campaign start'
+    })
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(3).max(200).optional(),
+    description: Joi.string().max(2000).optional().allow('', null),
+    targetPassingYears: campaignPassingYears.optional().allow(null),
+    startsAt: Joi.date().iso().optional(),
+    dueBy: Joi.date().iso().optional().when('startsAt', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('startsAt'))
+    }).messages({
+      'date.greater': 'Due date must be after the campaign start'
+    }),
+    isActive: Joi.boolean().optional()
+  }).min(1)
+};
+
 // Pagination schema (softened for dev usage)
 export const paginationSchema = Joi.object({
   page: commonSchemas.page.optional(),
@@ -300,7 +346,9 @@ export default {
   appointmentSchemas,
   availabilitySchemas,
   sessionSchemas,
+  escalationSchemas,
   adminSchemas,
+  screeningCampaignSchemas,
   validate,
   validatePagination,
   validateUUID,
@@ -2,20 +2,43 @@
  * Vector Store Module for RAG (Retrieval-Augmented Generation)
  * 
  * This module handles:
- * - Text embedding using OpenAI's embedding model
+ * - Text embedding through the configured LLM provider (services/llm)
  * - Storing message embeddings in pgvector
- * - Semantic search over user chat history
- * - Semantic search over knowledge base
+ * - Hybrid (vector + keyword) search over user chat history
+ * - Hybrid (vector + keyword) search over the knowledge base
+ * - Storing chunked documents (counsellor resources) in the knowledge base
+ *
+ * Storing and recalling chat history honours the student's memory settings
+ * (services/aiMemory.service.js): nothing is embedded or recalled while
+ * memory is paused, and forgotten messages are never recalled.
+ *
+ * Every stored vector is tagged with the model that produced it
+ * (embedding_model, e.g. 'openai/text-embedding-3-large', and
+ * embedding_dimensions), and vector searches only compare rows from the
+ * model the query was embedded with. After switching embedding models,
+ * re-embed the stored rows with services/embeddingMigration.service.js;
+ * until then keyword search still covers the rows not yet migrated.
+ *
+ * Searches run vector and keyword retrieval side by side and merge the two
+ * candidate lists with reciprocal-rank fusion (utils/hybridRetrieval.js);
+ * chat history is also weighted by recency. Measure changes to the ranking
+ * with scripts/evaluateRetrieval.js.
  */
 
-import { openai } from './openaiClient.js';
+import { embed } from '../services/llm/index.js';
+import { isMemoryPaused, skipMessageMemory } from '../services/aiMemory.service.js';
 import { supabaseAdmin } from './supabaseAdmin.js';
+import { extractKeywords, scoreKeywordMatch, hybridRank } from './hybridRetrieval.js';
 
 // Configuration
-const EMBEDDING_MODEL = 'text-embedding-3-large'; // 3072 dimensions
-const EMBEDDING_DIMENSIONS = 3072;
 const DEFAULT_TOP_K = 5; // Number of similar items to retrieve
-const SIMILARITY_THRESHOLD = 0.7; // Cosine similarity threshold (0-1)
+// Cosine similarity threshold (0-1) for chat history; keyword matches are
+// fused in separately, so this only needs to keep out unrelated messages
+const SIMILARITY_THRESHOLD = parseFloat(process.env.RAG_SIMILARITY_THRESHOLD) || 0.5;
+const KNOWLEDGE_SIMILARITY_THRESHOLD = 0.3; // Looser for document chunks, which are longer than queries
+const EMBED_BATCH_SIZE = 16; // Chunks per embedding request
+const CANDIDATE_MULTIPLIER = 3; // Candidates each search returns, relative to topK, for fusion to choose from
+const RECENCY_HALF_LIFE_DAYS = parseFloat(process.env.RAG_RECENCY_HALF_LIFE_DAYS) || 30;
 
 // Simple in-memory cache for embeddings (saves API calls for repeated queries)
 const embeddingCache = new Map();
@@ -23,17 +46,17 @@ const CACHE_MAX_SIZE = 100;
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 /**
- * Get cached embedding or generate new one
+ * Get cached embedding
  * @param {string} text - Text to embed
- * @returns {Promise<number[]>} - Embedding vector
+ * @returns {Object|null} - { embedding, model, dimensions }
  */
 function getCachedEmbedding(text) {
-  const cacheKey = text.trim().toLowerCase().substring(0, 200); // Use first 200 chars as key
+  const cacheKey = text.trim().toLowerCase();
   const cached = embeddingCache.get(cacheKey);
   
   if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
     console.log('[VectorStore] Using cached embedding');
-    return Promise.resolve(cached.embedding);
+    return cached.result;
   }
   
   return null;
@@ -42,8 +65,8 @@ function getCachedEmbedding(text) {
 /**
  * Store embedding in cache
  */
-function setCachedEmbedding(text, embedding) {
-  const cacheKey = text.trim().toLowerCase().substring(0, 200);
+function setCachedEmbedding(text, result) {
+  const cacheKey = text.trim().toLowerCase();
   
   // Simple LRU: Remove oldest if cache is full
   if (embeddingCache.size >= CACHE_MAX_SIZE) {
@@ -52,17 +75,34 @@ function setCachedEmbedding(text, embedding) {
   }
   
   embeddingCache.set(cacheKey, {
-    embedding,
+    result,
     timestamp: Date.now()
   });
 }
 
 /**
- * Generate embedding vector for given text using OpenAI
+ * Embed texts with the configured provider, in one request
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Object>} - { embeddings, model, dimensions }; model is
+ *   'provider/model', the version stored with each vector
+ */
+async function embedTexts(texts) {
+  const { embeddings, provider, model } = await embed({ input: texts });
+  const dimensions = embeddings[0]?.length || 0;
+
+  if (dimensions === 0 || embeddings.some((vector) => vector.length !== dimensions)) {
+    throw new Error(`Embeddings from ${provider}/${model} have inconsistent dimensions`);
+  }
+
+  return { embeddings, model: `${provider}/${model}`, dimensions };
+}
+
+/**
+ * Embed one text, with the model it was embedded with
  * @param {string} text - Text to embed
- * @returns {Promise<number[]>} - Embedding vector
+ * @returns {Promise<Object>} - { embedding, model, dimensions }
  */
-async function embedText(text) {
+async function embedTextWithModel(text) {
   try {
     if (!text || text.trim().length === 0) {
       throw new Error('Text cannot be empty for embedding');
@@ -74,23 +114,28 @@ async function embedText(text) {
       return cached;
     }
 
-    const response = await openai.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: text.trim(),
-      encoding_format: 'float'
-    });
+    const { embeddings, model, dimensions } = await embedTexts([text.trim()]);
+    const result = { embedding: embeddings[0], model, dimensions };
 
-    if (!response.data || !response.data[0] || !response.data[0].embedding) {
-      throw new Error('Invalid embedding response from OpenAI');
-    }
-
-    return response.data[0].embedding;
+    // The same text is embedded for storage and for each search of a turn
+    setCachedEmbedding(text, result);
+    return result;
   } catch (error) {
     console.error('[VectorStore] Error generating embedding:', error.message);
     throw error;
   }
 }
 
+/**
+ * Generate embedding vector for given text using the configured provider
+ * @param {string} text - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+async function embedText(text) {
+  const { embedding } = await embedTextWithModel(text);
+  return embedding;
+}
+
 /**
  * Store embedding for a chat message
  * @param {Object} params
@@ -102,8 +147,15 @@ async function embedText(text) {
  */
 async function storeMessageEmbedding({ messageId, userId, conversationId, content }) {
   try {
+    // Memory paused: keep the message out of recall for good
+    if (await isMemoryPaused(userId)) {
+      await skipMessageMemory(messageId);
+      console.log('[VectorStore] Memory paused, not embedding message:', messageId);
+      return { skipped: true };
+    }
+
     // Generate embedding
-    const embedding = await embedText(content);
+    const { embedding, model, dimensions } = await embedTextWithModel(content);
 
     // Store in database
     const { data, error } = await supabaseAdmin
@@ -113,7 +165,9 @@ async function storeMessageEmbedding({ messageId, userId, conversationId, conten
         user_id: userId,
         conversation_id: conversationId,
         content: content.substring(0, 5000), // Limit content length
-        embedding: JSON.stringify(embedding) // pgvector expects array as string
+        embedding: JSON.stringify(embedding), // pgvector expects array as string
+        embedding_model: model,
+        embedding_dimensions: dimensions
       })
       .select()
       .single();
@@ -137,37 +191,92 @@ async function storeMessageEmbedding({ messageId, userId, conversationId, conten
 }
 
 /**
- * Search user's chat history using semantic similarity
+ * Search user's chat history: vector and keyword search, fused by rank and
+ * weighted by recency
  * @param {Object} params
  * @param {string} params.userId - User UUID
  * @param {string} params.query - Search query text
  * @param {number} params.topK - Number of results to return
  * @param {string} params.currentConversationId - Optional: exclude current conversation
- * @returns {Promise<Array>} - Array of similar messages with similarity scores
+ * @returns {Promise<Array>} - Messages with similarity, fused score and matched_by
  */
 async function searchUserHistory({ userId, query, topK = DEFAULT_TOP_K, currentConversationId = null }) {
   try {
-    // Try keyword-based search first (no database changes needed)
-    return await keywordSearchUserHistory({ userId, query, topK, currentConversationId });
+    if (await isMemoryPaused(userId)) {
+      console.log('[VectorStore] Memory paused, skipping history search');
+      return [];
+    }
+
+    const candidates = topK * CANDIDATE_MULTIPLIER;
+    const [vectorItems, keywordItems] = await Promise.all([
+      semanticSearchUserHistory({ userId, query, topK: candidates, currentConversationId }),
+      keywordSearchUserHistory({ userId, query, topK: candidates, currentConversationId })
+    ]);
+
+    const results = await hybridRank({
+      query,
+      lists: { vector: vectorItems, keyword: keywordItems },
+      topK,
+      keyOf: (item) => item.message_id,
+      recency: { halfLifeDays: RECENCY_HALF_LIFE_DAYS }
+    });
+
+    console.log(`[VectorStore] History: ${vectorItems.length} vector + ${keywordItems.length} keyword candidates -> ${results.length} results`);
+    return results;
   } catch (error) {
     console.error('[VectorStore] Error searching user history:', error.message);
     return []; // Return empty array on error, don't break chat
   }
 }
 
+/**
+ * Vector search over the user's message embeddings
+ */
+async function semanticSearchUserHistory({ userId, query, topK, currentConversationId }) {
+  try {
+    if (!query || query.trim().length === 0) return [];
+
+    const { embedding: queryEmbedding, model } = await embedTextWithModel(query);
+    const { data, error } = await supabaseAdmin.rpc('search_user_message_embeddings', {
+      query_embedding: JSON.stringify(queryEmbedding),
+      query_user_id: userId,
+      match_count: topK,
+      exclude_conversation_id: currentConversationId || null,
+      similarity_threshold: SIMILARITY_THRESHOLD,
+      query_embedding_model: model
+    });
+
+    if (error) throw error;
+    if (!data || data.length === 0) return [];
+
+    // The RPC does not return the sender; also skip messages excluded from memory
+    const { data: messages, error: msgError } = await supabaseAdmin
+      .from('ai_messages')
+      .select('id, sender, memory_excluded')
+      .in('id', data.map(item => item.message_id));
+
+    if (msgError) throw msgError;
+
+    const byId = new Map((messages || []).map(msg => [msg.id, msg]));
+    const results = data
+      .filter(item => byId.has(item.message_id) && !byId.get(item.message_id).memory_excluded)
+      .map(item => ({ ...item, sender: byId.get(item.message_id).sender }));
+
+    console.log(`[VectorStore] Found ${results.length} relevant messages using vector search`);
+    return results;
+  } catch (error) {
+    console.error('[VectorStore] Vector history search failed:', error.message);
+    return [];
+  }
+}
+
 /**
  * Keyword-based search (no embeddings needed)
- * Searches through ai_messages table using PostgreSQL text search
+ * Scores recent ai_messages by keyword matches
  */
 async function keywordSearchUserHistory({ userId, query, topK, currentConversationId }) {
   try {
-    // Extract keywords from query (simple word tokenization)
-    const keywords = query
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 3) // Only words longer than 3 chars
-      .slice(0, 10); // Max 10 keywords
+    const keywords = extractKeywords(query);
 
     if (keywords.length === 0) {
       console.log('[VectorStore] No valid keywords found in query');
@@ -205,6 +314,7 @@ async function keywordSearchUserHistory({ userId, query, topK, currentConversati
       .from('ai_messages')
       .select('id, conversation_id, message, sender, created_at')
       .in('conversation_id', conversationIds)
+      .eq('memory_excluded', false) // Deleted memories and messages sent while paused
       // Search BOTH user and assistant messages for better context
       .order('created_at', { ascending: false })
       .limit(200); // Get more messages for better coverage
@@ -270,9 +380,10 @@ async function keywordSearchUserHistory({ userId, query, topK, currentConversati
       };
     });
 
-    // Filter messages with at least 1 keyword match and sort by score
+    // Filter messages with at least 1 keyword match (the recency bonus alone
+    // would let every recent message through) and sort by score
     const relevantMessages = scoredMessages
-      .filter(msg => msg.score > 0)
+      .filter(msg => msg.matched_keywords > 0)
       .sort((a, b) => b.score - a.score)
       .slice(0, topK);
 
@@ -325,18 +436,31 @@ async function fallbackSearchUserHistory({ userId, queryEmbedding, topK, current
 }
 
 /**
- * Search knowledge base using semantic similarity
+ * Search knowledge base: vector search over embedded knowledge (including
+ * chunks of the college's counsellor resources) and keyword search over the
+ * same chunks and the resources table, fused by rank
  * @param {Object} params
  * @param {string} params.userId - User UUID (for user-specific knowledge)
+ * @param {string} params.collegeId - College UUID (for college-specific knowledge)
  * @param {string} params.query - Search query text
  * @param {number} params.topK - Number of results to return
  * @param {Array<string>} params.sourceTypes - Filter by source types
- * @returns {Promise<Array>} - Array of similar knowledge items
+ * @returns {Promise<Array>} - Knowledge items with similarity, fused score and matched_by
  */
-async function searchKnowledge({ userId, query, topK = DEFAULT_TOP_K, sourceTypes = null }) {
+async function searchKnowledge({ userId, collegeId = null, query, topK = DEFAULT_TOP_K, sourceTypes = null }) {
   try {
-    // Use keyword-based search for resources
-    return await keywordSearchKnowledge({ userId, query, topK, sourceTypes });
+    const candidates = topK * CANDIDATE_MULTIPLIER;
+    const [vectorItems, keywordItems] = await Promise.all([
+      semanticSearchKnowledge({ userId, collegeId, query, topK: candidates, sourceTypes }),
+      keywordSearchKnowledge({ userId, collegeId, query, topK: candidates, sourceTypes })
+    ]);
+
+    return await hybridRank({
+      query,
+      lists: { vector: vectorItems, keyword: keywordItems },
+      topK,
+      keyOf: (item) => item.id
+    });
   } catch (error) {
     console.error('[VectorStore] Error searching knowledge:', error.message);
     return [];
@@ -344,97 +468,130 @@ async function searchKnowledge({ userId, query, topK = DEFAULT_TOP_K, sourceType
 }
 
 /**
- * Keyword-based knowledge search
+ * Vector search over knowledge_embeddings
  */
-async function keywordSearchKnowledge({ userId, query, topK, sourceTypes }) {
+async function semanticSearchKnowledge({ userId, collegeId, query, topK, sourceTypes }) {
   try {
-    // Extract keywords
-    const keywords = query
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 3)
-      .slice(0, 10);
-
-    if (keywords.length === 0) {
-      return [];
-    }
-
-    console.log('[VectorStore] Searching knowledge with keywords:', keywords);
+    if (!query || query.trim().length === 0) return [];
+
+    const { embedding: queryEmbedding, model } = await embedTextWithModel(query);
+    const { data, error } = await supabaseAdmin.rpc('search_knowledge_embeddings', {
+      query_embedding: JSON.stringify(queryEmbedding),
+      query_user_id: userId || null,
+      query_college_id: collegeId || null,
+      match_count: topK,
+      source_type_filter: sourceTypes && sourceTypes.length > 0 ? sourceTypes : null,
+      similarity_threshold: KNOWLEDGE_SIMILARITY_THRESHOLD,
+      query_embedding_model: model
+    });
 
-    // Search in resources table (counsellor resources)
-    let resourceQuery = supabaseAdmin
-      .from('resources')
-      .select('id, title, description, content, resource_type, created_at, created_by')
-      .limit(50);
+    if (error) throw error;
 
-    const { data: resources, error: resourceError } = await resourceQuery;
+    console.log(`[VectorStore] Found ${data?.length || 0} knowledge items using vector search`);
+    return data || [];
+  } catch (error) {
+    console.error('[VectorStore] Vector knowledge search failed:', error.message);
+    return [];
+  }
+}
 
-    if (resourceError) throw resourceError;
+/**
+ * Keyword-based knowledge search over knowledge_embeddings chunks (with the
+ * same scoping as the vector search) and the resources table
+ */
+async function keywordSearchKnowledge({ userId, collegeId, query, topK, sourceTypes }) {
+  try {
+    const keywords = extractKeywords(query);
 
-    if (!resources || resources.length === 0) {
-      console.log('[VectorStore] No resources found');
+    if (keywords.length === 0) {
       return [];
     }
 
-    // Score resources based on keyword matches
-    const scoredResources = resources.map(resource => {
-      const titleLower = (resource.title || '').toLowerCase();
-      const descLower = (resource.description || '').toLowerCase();
-      const contentLower = (resource.content || '').toLowerCase();
-      const combinedText = `${titleLower} ${descLower} ${contentLower}`;
-      
-      let score = 0;
-      let matchedKeywords = 0;
-
-      keywords.forEach(keyword => {
-        // Title matches are most important
-        if (titleLower.includes(keyword)) {
-          matchedKeywords++;
-          score += 5;
-        }
-        // Description matches
-        if (descLower.includes(keyword)) {
-          matchedKeywords++;
-          score += 3;
-        }
-        // Content matches
-        if (contentLower.includes(keyword)) {
-          score += 1;
-        }
-      });
+    console.log('[VectorStore] Searching knowledge with keywords:', keywords);
 
-      return {
-        id: resource.id,
-        source_id: resource.id,
-        source_type: 'resource',
-        title: resource.title,
-        content: resource.description || resource.content?.substring(0, 500) || '',
-        metadata: {
-          resource_type: resource.resource_type,
-          created_by: resource.created_by
-        },
-        created_at: resource.created_at,
-        similarity: score > 0 ? Math.min(score / 10, 0.95) : 0,
-        score
-      };
-    });
+    const [chunkItems, resourceItems] = await Promise.all([
+      keywordSearchKnowledgeChunks({ userId, collegeId, keywords, sourceTypes }),
+      !sourceTypes || sourceTypes.includes('resource')
+        ? keywordSearchResources({ keywords })
+        : []
+    ]);
 
-    // Filter and sort
-    const relevantResources = scoredResources
-      .filter(r => r.score > 0)
+    const relevantItems = [...chunkItems, ...resourceItems]
+      .filter(item => item.score > 0)
       .sort((a, b) => b.score - a.score)
       .slice(0, topK);
 
-    console.log(`[VectorStore] Found ${relevantResources.length} relevant knowledge items using keyword search`);
-    
-    return relevantResources;
+    console.log(`[VectorStore] Found ${relevantItems.length} relevant knowledge items using keyword search`);
+
+    return relevantItems;
   } catch (error) {
     console.error('[VectorStore] Keyword knowledge search failed:', error.message);
     return [];
   }
 }
 
+/**
+ * Embedded knowledge containing any of the keywords
+ */
+async function keywordSearchKnowledgeChunks({ userId, collegeId, keywords, sourceTypes }) {
+  // Keywords are plain word characters, safe inside PostgREST filters
+  let chunkQuery = supabaseAdmin
+    .from('knowledge_embeddings')
+    .select('id, source_type, source_id, title, content, metadata, chunk_index, created_at')
+    .or(userId ? `user_id.is.null,user_id.eq.${userId}` : 'user_id.is.null')
+    .or(collegeId ? `college_id.is.null,college_id.eq.${collegeId}` : 'college_id.is.null')
+    .or(keywords.map(keyword => `title.ilike.%${keyword}%,content.ilike.%${keyword}%`).join(','))
+    .order('created_at', { ascending: false })
+    .limit(50);
+
+  if (sourceTypes && sourceTypes.length > 0) {
+    chunkQuery = chunkQuery.in('source_type', sourceTypes);
+  }
+
+  const { data: chunks, error } = await chunkQuery;
+
+  if (error) throw error;
+
+  return (chunks || []).map(chunk => {
+    const { score } = scoreKeywordMatch({ title: chunk.title, content: chunk.content }, keywords);
+    return {
+      ...chunk,
+      similarity: score > 0 ? Math.min(score / 10, 0.95) : 0,
+      score
+    };
+  });
+}
+
+/**
+ * Rows of the resources table matching the keywords
+ */
+async function keywordSearchResources({ keywords }) {
+  const { data: resources, error } = await supabaseAdmin
+    .from('resources')
+    .select('id, title, description, content, resource_type, created_at, created_by')
+    .limit(50);
+
+  if (error) throw error;
+
+  return (resources || []).map(resource => {
+    const { score } = scoreKeywordMatch(resource, keywords);
+    return {
+      id: resource.id,
+      source_id: resource.id,
+      source_type: 'resource',
+      title: resource.title,
+      content: resource.description || resource.content?.substring(0, 500) || '',
+      metadata: {
+        resource_type: resource.resource_type,
+        created_by: resource.created_by
+      },
+      created_at: resource.created_at,
+      similarity: score > 0 ? Math.min(score / 10, 0.95) : 0,
+      score
+    };
+  });
+}
+
 /**
  * Fallback knowledge search
  */
@@ -474,7 +631,7 @@ async function fallbackSearchKnowledge({ userId, queryEmbedding, topK, sourceTyp
  */
 async function storeKnowledgeEmbedding({ sourceType, sourceId, userId = null, title, content, metadata = {} }) {
   try {
-    const embedding = await embedText(`${title}\n\n${content}`);
+    const { embedding, model, dimensions } = await embedTextWithModel(`${title}\n\n${content}`);
 
     const { data, error } = await supabaseAdmin
       .from('knowledge_embeddings')
@@ -485,6 +642,8 @@ async function storeKnowledgeEmbedding({ sourceType, sourceId, userId = null, ti
         title,
         content: content.substring(0, 10000),
         embedding: JSON.stringify(embedding),
+        embedding_model: model,
+        embedding_dimensions: dimensions,
         metadata
       })
       .select()
@@ -500,6 +659,78 @@ async function storeKnowledgeEmbedding({ sourceType, sourceId, userId = null, ti
   }
 }
 
+/**
+ * Replace the stored chunks of a knowledge source (e.g. a counsellor
+ * resource) with new ones. All chunks are embedded before anything is
+ * deleted, so a failed embedding leaves the previous chunks searchable.
+ * Unlike storeKnowledgeEmbedding this throws on failure.
+ * @param {Object} params
+ * @param {string} params.sourceType - Type of source (counsellor_resource, ...)
+ * @param {string} params.sourceId - Original item ID
+ * @param {string} params.collegeId - College the source belongs to (null for all colleges)
+ * @param {string} params.title - Title, embedded with every chunk
+ * @param {Array<string>} params.chunks - Chunk texts, in document order
+ * @param {Object} params.metadata - Stored with every chunk, plus chunk_count
+ * @returns {Promise<number>} - Number of chunks stored
+ */
+async function replaceKnowledgeChunks({ sourceType, sourceId, collegeId = null, title, chunks, metadata = {} }) {
+  const embeddings = [];
+  let version = null;
+  for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+    const batch = chunks.slice(i, i + EMBED_BATCH_SIZE).map((chunk) => `${title}\n\n${chunk}`);
+    const { embeddings: vectors, model, dimensions } = await embedTexts(batch);
+
+    if (version && (version.model !== model || version.dimensions !== dimensions)) {
+      throw new Error(`Embedding model changed from ${version.model} to ${model} while indexing`);
+    }
+    version = { model, dimensions };
+    embeddings.push(...vectors);
+  }
+
+  await deleteKnowledgeSource({ sourceType, sourceId });
+  if (chunks.length === 0) return 0;
+
+  const { error } = await supabaseAdmin
+    .from('knowledge_embeddings')
+    .insert(chunks.map((chunk, index) => ({
+      source_type: sourceType,
+      source_id: sourceId,
+      college_id: collegeId,
+      user_id: null,
+      title,
+      content: chunk.substring(0, 10000),
+      chunk_index: index,
+      embedding: JSON.stringify(embeddings[index]),
+      embedding_model: version.model,
+      embedding_dimensions: version.dimensions,
+      metadata: { ...metadata, chunk_count: chunks.length }
+    })));
+
+  if (error) throw error;
+
+  console.log(`[VectorStore] Stored ${chunks.length} knowledge chunks for ${sourceType} ${sourceId}`);
+  return chunks.length;
+}
+
+/**
+ * Remove every chunk of a knowledge source
+ * @param {Object} params
+ * @param {string} params.sourceType - Type of source
+ * @param {string} params.sourceId - Original item ID
+ * @returns {Promise<number>} - Number of chunks removed
+ */
+async function deleteKnowledgeSource({ sourceType, sourceId }) {
+  const { data, error } = await supabaseAdmin
+    .from('knowledge_embeddings')
+    .delete()
+    .eq('source_type', sourceType)
+    .eq('source_id', sourceId)
+    .select('id');
+
+  if (error) throw error;
+  return data?.length || 0;
+}
+
 /**
  * Format retrieved context for RAG prompt
  * @param {Array} historyItems - Retrieved chat history items
@@ -526,7 +757,12 @@ function formatRAGContext(historyItems, knowledgeItems) {
     knowledgeItems.forEach((item, idx) => {
       const preview = item.content.substring(0, 500);
       context += `${idx + 1}. **${item.title}** (${item.source_type})\n`;
-      context += `   ${preview}${item.content.length > 500 ? '...' : ''}\n\n`;
+      context += `   ${preview}${item.content.length > 500 ? '...' : ''}\n`;
+      // Set for counsellor resources by attachResourceLinks
+      if (item.download_url) {
+        context += `   Download: ${item.download_url}\n`;
+      }
+      context += '\n';
     });
   }
 
@@ -535,11 +771,12 @@ function formatRAGContext(historyItems, knowledgeItems) {
 
 export {
   embedText,
+  embedTexts,
   storeMessageEmbedding,
   searchUserHistory,
   searchKnowledge,
   storeKnowledgeEmbedding,
-  formatRAGContext,
-  EMBEDDING_MODEL,
-  EMBEDDING_DIMENSIONS
+  replaceKnowledgeChunks,
+  deleteKnowledgeSource,
+  formatRAGContext
 };
@@ -0,0 +1,230 @@
+import { chat, embed, transcribe, createMockProvider, setProvider, resetProviders } from '../src/services/llm/index.js';
+import {
+  createUsageMeter,
+  setModelCallMeter,
+  runWithUsageContext,
+  estimateAudioSeconds,
+  quotaMessage
+} from '../src/services/aiUsage.service.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const COLLEGE_A = 'college-a';
+const COLLEGE_B = 'college-b';
+
+// ai_usage_daily / ai_usage_quotas with the store interface
+const createMemoryStore = (now) => {
+  const daily = new Map();
+  const quotas = [];
+  let quotaReads = 0;
+
+  const sum = (rows, column) => rows.reduce((total, row) => total + (row[column] || 0), 0);
+  const COUNTERS = ['requests', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'embedding_calls',
+    'embedding_tokens', 'audio_seconds', 'realtime_sessions'];
+
+  return {
+    daily,
+    quotas,
+    quotaReads: () => quotaReads,
+    record: async (context, counters) => {
+      const usageDate = now().toISOString().slice(0, 10);
+      const key = `${usageDate}|${context.userId}|${context.feature}`;
+      const row = daily.get(key) || {
+        usage_date: usageDate, user_id: context.userId, feature: context.feature, college_id: context.collegeId
+      };
+      COUNTERS.forEach((column) => { row[column] = (row[column] || 0) + (counters[column] || 0); });
+      daily.set(key, row);
+    },
+    summarize: async ({ since, until = null, group = null, collegeId = null, userId = null }) => {
+      const rows = [...daily.values()].filter((row) => row.usage_date >= since
+        && (!until || row.usage_date <= until)
+        && (!collegeId || row.college_id === collegeId)
+        && (!userId || row.user_id === userId));
+      const column = { college: 'college_id', user: 'user_id', feature: 'feature', day: 'usage_date' }[group];
+      const groups = new Map();
+      rows.forEach((row) => {
+        const key = column ? row[column] : null;
+        groups.set(key, [...(groups.get(key) || []), row]);
+      });
+      if (groups.size === 0 && !group) groups.set(null, []);
+
+      return [...groups.entries()].map(([key, members]) => ({
+        group_key: key,
+        users: new Set(members.map((row) => row.user_id)).size,
+        ...Object.fromEntries(COUNTERS.map((counter) => [counter, sum(members, counter)]))
+      }));
+    },
+    listQuotas: async () => {
+      quotaReads++;
+      return quotas.map((quota) => ({ ...quota }));
+    },
+    upsertQuota: async (row) => {
+      const existing = quotas.find((quota) => quota.college_id === row.college_id
+        && quota.scope === row.scope && quota.period === row.period && quota.metric === row.metric);
+      if (existing) {
+        Object.assign(existing, { limit_value: row.limit_value, updated_by: row.updated_by });
+        return { ...existing };
+      }
+      const quota = { id: `quota-${quotas.length + 1}`, ...row };
+      quotas.push(quota);
+      return { ...quota };
+    },
+    deleteQuota: async (id) => {
+      const index = quotas.findIndex((quota) => quota.id === id);
+      if (index === -1) return false;
+      quotas.splice(index, 1);
+      return true;
+    }
+  };
+};
+
+// 16-bit mono PCM at 16 kHz (32000 bytes per second)
+const wavOf = (seconds) => {
+  const dataBytes = Math.round(seconds * 32000);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return Buffer.concat([header, Buffer.alloc(dataBytes)]);
+};
+
+// Let fire-and-forget recording finish
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+const setup = () => {
+  let time = new Date('2026-10-18T15:30:00Z').getTime();
+  const clock = { now: () => new Date(time), advanceDays: (days) => { time += days * 24 * 60 * 60 * 1000; } };
+  const store = createMemoryStore(clock.now);
+  const meter = createUsageMeter({ store, now: clock.now });
+  return { clock, store, meter };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setProvider(createMockProvider());
+});
+
+afterEach(() => {
+  setModelCallMeter(null);
+  resetProviders();
+  jest.restoreAllMocks();
+});
+
+describe('metering', () => {
+  it('records model calls made while serving a request, per user, college and feature', async () => {
+    const { meter, store } = setup();
+    setModelCallMeter(meter);
+    const student = { userId: 'student-1', collegeId: COLLEGE_A };
+
+    await runWithUsageContext({ ...student, feature: 'chat' }, async () => {
+      await chat({ messages: [{ role: 'user', content: 'I could not sleep before my exam' }] });
+      // Follow-up work started by the request is still attributed to it
+      setTimeout(() => embed({ input: ['remember this message'] }), 0);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    });
+    await runWithUsageContext({ ...student, feature: 'voice' }, () =>
+      transcribe({ audio: wavOf(2.5), filename: 'clip.wav', mimeType: 'audio/wav' }));
+    await meter.recordUsage({ ...student, feature: 'realtime' }, { requests: 1, realtime_sessions: 1 });
+
+    // Outside a usage context nothing is recorded
+    await chat({ messages: [{ role: 'user', content: 'background job' }] });
+    await settle();
+
+    const rows = [...store.daily.values()];
+    expect(rows).toHaveLength(3);
+    rows.forEach((row) => expect(row.college_id).toBe(COLLEGE_A));
+
+    const chatRow = rows.find((row) => row.feature === 'chat');
+    expect(chatRow).toMatchObject({ requests: 1, embedding_calls: 1 });
+    expect(chatRow.total_tokens).toBeGreaterThan(0);
+    expect(rows.find((row) => row.feature === 'voice').audio_seconds).toBe(2.5);
+
+    const report = await meter.getUsageReport({ collegeId: COLLEGE_A, group: 'feature' });
+    expect(report.rows).toHaveLength(3);
+    expect(report.totals).toMatchObject({ realtimeSessions: 1, users: 1 });
+  });
+
+  it('estimates compressed audio from its size', () => {
+    expect(estimateAudioSeconds(Buffer.alloc(48000))).toBe(3);
+  });
+});
+
+describe('quotas', () => {
+  const tokens = (userId, collegeId) => ({ userId, collegeId, metrics: ['tokens'] });
+
+  it('applies the default quota unless the college overrides it, and only on metrics the feature uses', async () => {
+    const { meter } = setup();
+    // Default: 100 tokens per user per day; college B overrides it with 1000
+    await meter.setQuota({ scope: 'user', period: 'daily', metric: 'tokens', limit: 100 });
+    await meter.setQuota({ collegeId: COLLEGE_B, scope: 'user', period: 'daily', metric: 'tokens', limit: 1000 });
+    await meter.recordUsage({ userId: 'student-a', collegeId: COLLEGE_A, feature: 'chat' }, { total_tokens: 150 });
+    await meter.recordUsage({ userId: 'student-b', collegeId: COLLEGE_B, feature: 'chat' }, { total_tokens: 150 });
+
+    const blocked = await meter.checkQuota(tokens('student-a', COLLEGE_A));
+    expect(blocked).toMatchObject({ scope: 'user', period: 'daily', used: 150 });
+    expect(blocked.resetsAt.toISOString()).toBe('2026-10-19T00:00:00.000Z');
+
+    expect(await meter.checkQuota(tokens('student-b', COLLEGE_B))).toBeFalsy();
+    expect(await meter.checkQuota({ userId: 'student-a', collegeId: COLLEGE_A, metrics: ['audio_seconds'] })).toBeFalsy();
+  });
+
+  it('limits a college as a whole for the month', async () => {
+    const { meter } = setup();
+    await meter.setQuota({ scope: 'college', period: 'monthly', metric: 'realtime_sessions', limit: 2 });
+    await meter.recordUsage({ userId: 'student-a', collegeId: COLLEGE_A, feature: 'realtime' }, { realtime_sessions: 1 });
+    await meter.recordUsage({ userId: 'student-c', collegeId: COLLEGE_A, feature: 'realtime' }, { realtime_sessions: 1 });
+
+    const college = await meter.checkQuota({ userId: 'student-d', collegeId: COLLEGE_A, metrics: ['realtime_sessions'] });
+
+    expect(college.scope).toBe('college');
+    expect(college.resetsAt.toISOString()).toBe('2026-11-01T00:00:00.000Z');
+    expect(quotaMessage(college)).toMatch(/^Your college has reached its monthly voice assistant limit/);
+  });
+
+  it('caches quotas but applies changes made through the meter at once', async () => {
+    const { meter, store } = setup();
+    await meter.setQuota({ scope: 'user', period: 'daily', metric: 'tokens', limit: 100 });
+    await meter.recordUsage({ userId: 'student-a', collegeId: COLLEGE_A, feature: 'chat' }, { total_tokens: 150 });
+    await meter.checkQuota(tokens('student-a', COLLEGE_A));
+
+    const reads = store.quotaReads();
+    await meter.checkQuota({ userId: 'student-a', collegeId: COLLEGE_A });
+    expect(store.quotaReads()).toBe(reads);
+
+    await meter.setQuota({ scope: 'user', period: 'daily', metric: 'tokens', limit: 500 });
+    expect(await meter.checkQuota(tokens('student-a', COLLEGE_A))).toBeFalsy();
+    expect(store.quotas.filter((quota) => quota.metric === 'tokens' && quota.college_id === null)).toHaveLength(1);
+  });
+
+  it('starts a daily quota over the next day', async () => {
+    const { meter, clock } = setup();
+    await meter.setQuota({ scope: 'user', period: 'daily', metric: 'tokens', limit: 100 });
+    await meter.recordUsage({ userId: 'student-a', collegeId: COLLEGE_A, feature: 'chat' }, { total_tokens: 150 });
+    expect(await meter.checkQuota(tokens('student-a', COLLEGE_A))).toBeTruthy();
+
+    clock.advanceDays(1);
+    expect(await meter.checkQuota(tokens('student-a', COLLEGE_A))).toBeFalsy();
+  });
+
+  it('rejects invalid quotas and deleting a missing one', async () => {
+    const { meter } = setup();
+    const quota = await meter.setQuota({ scope: 'user', period: 'daily', metric: 'tokens', limit: 100 });
+
+    await expect(meter.setQuota({ scope: 'user', period: 'weekly', metric: 'tokens', limit: 1 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await meter.deleteQuota(quota.id);
+    await expect(meter.deleteQuota(quota.id)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
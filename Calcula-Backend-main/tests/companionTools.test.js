@@ -0,0 +1,180 @@
+import { chat, createMockProvider, setProvider, resetProviders } from '../src/services/llm/index.js';
+import { COMPANION_TOOLS, createCompanionTools } from '../src/services/companionTools.service.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const CONTEXT = { userId: 'student-1', collegeId: 'college-1', conversationId: 'conv-1' };
+const HOUR = 60 * 60 * 1000;
+
+// In-memory ai_tool_invocations with the log interface
+const createMemoryLog = (clock) => {
+  const rows = [];
+  return {
+    rows,
+    record: async (row) => {
+      const id = `inv-${rows.length + 1}`;
+      rows.push({ ...row, id, created_at: clock.now().toISOString(), resolved_at: null });
+      return id;
+    },
+    get: async (id, userId) => rows.find((r) => r.id === id && r.user_id === userId) || null,
+    transition: async (id, fromStatus, patch) => {
+      const row = rows.find((r) => r.id === id && r.status === fromStatus);
+      if (!row) return null;
+      Object.assign(row, patch);
+      return { ...row };
+    },
+    listPending: async (userId, conversationId) => rows.filter((r) =>
+      r.user_id === userId && r.status === 'pending_confirmation' &&
+      (!conversationId || r.conversation_id === conversationId))
+  };
+};
+
+// Stand-in write action: drafts a note, "saves" it on confirmation
+const createNoteTool = (saved) => ({
+  name: 'save_note',
+  description: 'Save a note for the student',
+  parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+  confirm: true,
+  prepare: async (args) => ({ arguments: { text: args.text }, summary: `Save "${args.text}"` }),
+  execute: async (args) => {
+    if (args.text === 'fail') {
+      const error = new Error('Slot was taken');
+      error.statusCode = 409;
+      throw error;
+    }
+    saved.push(args.text);
+    return { saved: true };
+  },
+  outcome: (args) => `Saved "${args.text}".`
+});
+
+const toolCall = (id, name, args) => ({ id, name, arguments: args });
+
+const setup = () => {
+  let time = Date.parse('2027-01-04T09:00:00Z');
+  const clock = { now: () => new Date(time), advance: (ms) => { time += ms; } };
+  const log = createMemoryLog(clock);
+  const saved = [];
+  const runner = createCompanionTools({
+    tools: [...COMPANION_TOOLS.filter((t) => t.name === 'suggest_wellness_tool'), createNoteTool(saved)],
+    log,
+    now: clock.now
+  });
+  const draft = async (text) => (await runner.runToolCall(toolCall('c', 'save_note', { text }), CONTEXT)).event.id;
+
+  return { clock, log, saved, runner, draft };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  resetProviders();
+  jest.restoreAllMocks();
+});
+
+describe('runToolLoop', () => {
+  it('sends tool results back to the model and reports failures to it', async () => {
+    const { log, runner } = setup();
+    setProvider(createMockProvider({
+      reply: (messages) => {
+        const toolMessages = messages.filter((m) => m.role === 'tool');
+        if (toolMessages.length === 0) {
+          return {
+            toolCalls: [
+              toolCall('call_1', 'suggest_wellness_tool', { concern: 'academicStress' }),
+              toolCall('call_2', 'book_flight', {}),
+              toolCall('call_3', 'suggest_wellness_tool', null),
+              toolCall('call_4', 'save_note', { text: 'call mum' })
+            ]
+          };
+        }
+        return `Done after ${toolMessages.length} tool results.`;
+      }
+    }), ['chat']);
+
+    const { text, toolEvents } = await runner.runToolLoop({
+      messages: [{ role: 'user', content: 'Exams are stressing me out' }],
+      context: CONTEXT,
+      complete: (messages, tools) => chat({ messages, tools })
+    });
+
+    expect(text).toBe('Done after 4 tool results.');
+    expect(toolEvents.map((e) => e.status)).toEqual(['succeeded', 'failed', 'failed', 'pending_confirmation']);
+    expect(toolEvents[0].result.tools).toEqual(expect.arrayContaining([expect.objectContaining({ id: 'pomodoroTimer' })]));
+    expect(toolEvents[3].requiresConfirmation).toBe(true);
+    expect(log.rows).toHaveLength(4);
+    log.rows.forEach((row) => expect(typeof row.duration_ms).toBe('number'));
+  });
+
+  it('offers no tools on the last round, so a model that keeps calling them still ends', async () => {
+    const { runner } = setup();
+    const provider = createMockProvider({
+      reply: () => ({ text: 'Checking...', toolCalls: [toolCall('call_x', 'suggest_wellness_tool', { concern: 'anxiety' })] })
+    });
+    setProvider(provider, ['chat']);
+
+    const { toolEvents } = await runner.runToolLoop({
+      messages: [{ role: 'user', content: 'Help' }],
+      context: CONTEXT,
+      maxRounds: 2,
+      complete: (messages, tools) => chat({ messages, tools })
+    });
+
+    expect(provider.calls).toHaveLength(3);
+    expect(provider.calls[2].params.tools).toBeFalsy();
+    expect(toolEvents).toHaveLength(2);
+  });
+});
+
+describe('confirmAction', () => {
+  it('runs a confirmed action once', async () => {
+    const { runner, saved, draft } = setup();
+    await draft('call mum');
+
+    const pending = await runner.listPendingActions(CONTEXT.userId, CONTEXT.conversationId);
+    expect(pending).toHaveLength(1);
+
+    const { action, outcome } = await runner.confirmAction(pending[0].id, CONTEXT);
+    expect(action.status).toBe('confirmed');
+    expect(outcome).toBe('Saved "call mum".');
+    expect(saved).toEqual(['call mum']);
+
+    await expect(runner.confirmAction(pending[0].id, CONTEXT)).rejects.toMatchObject({ statusCode: 409 });
+    expect(saved).toHaveLength(1);
+  });
+
+  it('only lets the owner in their college confirm', async () => {
+    const { runner, draft } = setup();
+    const id = await draft('private');
+
+    await expect(runner.confirmAction(id, { ...CONTEXT, userId: 'student-2' })).rejects.toMatchObject({ statusCode: 404 });
+    await expect(runner.confirmAction(id, { ...CONTEXT, collegeId: 'college-2' })).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('refuses cancelled and expired actions', async () => {
+    const { runner, log, clock, saved, draft } = setup();
+
+    const cancelled = await draft('private');
+    await runner.cancelAction(cancelled, CONTEXT);
+    await expect(runner.confirmAction(cancelled, CONTEXT)).rejects.toMatchObject({ statusCode: 409 });
+
+    const stale = await draft('later');
+    clock.advance(25 * HOUR);
+    await expect(runner.confirmAction(stale, CONTEXT)).rejects.toMatchObject({ statusCode: 410 });
+    expect(log.rows.find((r) => r.id === stale).status).toBe('expired');
+    expect(saved).toHaveLength(0);
+  });
+
+  it('marks an action that fails as failed', async () => {
+    const { runner, log, saved, draft } = setup();
+    const failing = await draft('fail');
+
+    await expect(runner.confirmAction(failing, CONTEXT)).rejects.toMatchObject({ statusCode: 409 });
+    expect(log.rows.find((r) => r.id === failing).status).toBe('failed');
+    expect(saved).toHaveLength(0);
+  });
+});
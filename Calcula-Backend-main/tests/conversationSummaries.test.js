@@ -0,0 +1,141 @@
+import { createMockProvider, setProvider, resetProviders } from '../src/services/llm/index.js';
+import {
+  createConversationSummarizer,
+  planContextWindow,
+  splitContextBudget,
+  summarizeTurns
+} from '../src/services/conversationSummary.service.js';
+import { estimateMessageTokens } from '../src/utils/tokenBudget.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+
+const TURNS = 60;
+const TOKEN_BUDGET = 1200;
+
+// In-memory ai_conversations / ai_messages with the store interface
+const createMemoryStore = () => {
+  const conversation = { id: 'conv-1', summary: null, summary_through: null };
+  const messages = [];
+
+  return {
+    conversation,
+    messages,
+    add(sender, message) {
+      const row = {
+        id: `msg-${messages.length + 1}`,
+        sender,
+        message,
+        created_at: new Date(Date.UTC(2027, 0, 1, 9, 0, messages.length)).toISOString()
+      };
+      messages.push(row);
+      return row;
+    },
+    loadConversation: async () => ({ ...conversation }),
+    loadMessagesAfter: async (_id, through, excludeMessageId) => messages
+      .filter((m) => !through || m.created_at > through)
+      .filter((m) => m.id !== excludeMessageId),
+    saveSummary: async (_id, { summary, through, previousThrough }) => {
+      if (conversation.summary_through !== previousThrough) return;
+      conversation.summary = summary;
+      conversation.summary_through = through;
+    }
+  };
+};
+
+const userTurn = (i) =>
+  `Turn ${i}: I have been feeling anxious about my semester exams and I keep staying up late revising chapter ${i}.`;
+const aiTurn = (i) =>
+  `Reply ${i}: That sounds really tiring. Breaking revision into short blocks with rests in between might help you sleep.`;
+
+const historyTokens = (history) => history.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setProvider(createMockProvider({
+    reply: (messages) => `Summary so far (${messages[1].content.split('\n').length} lines of input).`
+  }));
+});
+
+afterEach(() => {
+  resetProviders();
+  jest.restoreAllMocks();
+});
+
+describe('planContextWindow', () => {
+  // 96 chars = 24 tokens + 4 overhead = 28 tokens per message
+  const rows = Array.from({ length: 10 }, (_, i) => ({ sender: 'user', message: 'x'.repeat(96), created_at: String(i) }));
+
+  it('sends history within budget verbatim', () => {
+    expect(planContextWindow(rows, 28 * 10).toSummarize).toHaveLength(0);
+  });
+
+  it('folds the oldest messages and keeps half the budget', () => {
+    const over = planContextWindow(rows, 28 * 8);
+
+    expect(over.recent).toHaveLength(4);
+    expect(over.toSummarize).toHaveLength(6);
+    expect(over.toSummarize[over.toSummarize.length - 1].created_at).toBe('5');
+  });
+
+  it('splits the budget into parts that add up to the total', () => {
+    const budget = splitContextBudget(3000);
+    expect(budget.rag + budget.summary + budget.history).toBe(3000);
+  });
+});
+
+describe('createConversationSummarizer', () => {
+  it(`keeps ${TURNS} turns within budget and summarizes each message once`, async () => {
+    const store = createMemoryStore();
+    const summarizeCalls = [];
+    const summarize = async (params) => {
+      summarizeCalls.push(params.messages.map((m) => m.id));
+      return summarizeTurns(params);
+    };
+    const summarizer = createConversationSummarizer({ store, summarize });
+    const budget = splitContextBudget(TOKEN_BUDGET);
+
+    for (let i = 1; i <= TURNS; i++) {
+      const current = store.add('user', userTurn(i));
+      const context = await summarizer.getConversationContext({
+        conversationId: 'conv-1',
+        excludeMessageId: current.id,
+        tokenBudget: TOKEN_BUDGET
+      });
+
+      expect(historyTokens(context.history)).toBeLessThanOrEqual(budget.history);
+
+      // Every earlier message is either in the summary or sent verbatim
+      const through = store.conversation.summary_through;
+      const covered = store.messages.filter((m) => m.id !== current.id && through && m.created_at <= through).length;
+      expect(covered + context.history.length).toBe(store.messages.length - 1);
+
+      store.add('ai', aiTurn(i));
+    }
+
+    // Refreshes are batched, and each only sees messages after the previous one
+    expect(summarizeCalls.length).toBeGreaterThan(0);
+    expect(summarizeCalls.length).toBeLessThanOrEqual(TURNS / 4);
+    const ids = summarizeCalls.flat();
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(store.conversation.summary).toContain('Summary');
+  });
+
+  it('leaves the stored summary alone when the model fails', async () => {
+    const store = createMemoryStore();
+    for (let i = 1; i <= 20; i++) {
+      store.add('user', userTurn(i));
+      store.add('ai', aiTurn(i));
+    }
+    const summarizer = createConversationSummarizer({
+      store,
+      summarize: async () => { throw new Error('model unavailable'); }
+    });
+
+    const context = await summarizer.getConversationContext({ conversationId: 'conv-1', tokenBudget: TOKEN_BUDGET });
+
+    expect(historyTokens(context.history)).toBeLessThanOrEqual(splitContextBudget(TOKEN_BUDGET).history);
+    expect(context.summaryUpdated).toBe(false);
+    expect(store.conversation.summary_through).toBeNull();
+  });
+});
@@ -0,0 +1,173 @@
+import express from 'express';
+import request from 'supertest';
+import { createMockProvider, setProvider, resetProviders } from '../src/services/llm/index.js';
+import {
+  createConversationTitler,
+  generateTitleAndTags,
+  parseTitleAndTags
+} from '../src/services/conversationTitle.service.js';
+import { keywordTitleAndTags, TITLE_MAX_CHARS } from '../src/utils/topicTags.js';
+import { aiChatController } from '../src/controllers/aiChatController.js';
+import { queries, respondWith, resetSupabase } from './helpers/supabaseStub.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+// Student messages and the tags the keyword fallback should find first
+const KEYWORD_CASES = [
+  { text: 'My exams start next week and I can\'t sleep, I keep revising until 3am', tags: ['exam-stress', 'sleep'] },
+  { text: 'I had a breakup with my boyfriend and my friends took his side', tags: ['relationships'] },
+  { text: 'Ghar pe sab pressure daalte hain, padhai nahi ho rahi', tags: ['exam-stress', 'family', 'stress'] },
+  { text: 'I feel so lonely since I moved to the hostel, nobody talks to me', tags: ['loneliness'] },
+  { text: 'I keep procrastinating and scrolling social media instead of working', tags: ['motivation'] }
+];
+
+// In-memory ai_conversations / ai_messages with the store interface
+const createMemoryStore = (title = 'New Chat') => {
+  const conversation = { id: 'conv-1', title, tags: [], title_source: null, title_generated_at: null };
+  const messages = [];
+  const saves = [];
+
+  return {
+    conversation,
+    messages,
+    saves,
+    add(sender, message) {
+      messages.push({ sender, message, created_at: new Date(Date.UTC(2027, 0, 1, 9, 0, messages.length)).toISOString() });
+    },
+    loadConversation: async () => ({ ...conversation }),
+    loadFirstMessages: async (_id, limit) => messages.slice(0, limit),
+    saveTitleAndTags: async (_id, { title, tags, source }) => {
+      if (conversation.title_generated_at) return false;
+      saves.push({ title, tags, source });
+      Object.assign(conversation, { title, tags, title_source: source, title_generated_at: new Date().toISOString() });
+      return true;
+    }
+  };
+};
+
+const MODEL_REPLY = JSON.stringify({ title: 'Exam nerves and late nights.', tags: ['exam-stress', 'sleep', 'unknown'] });
+
+// A first exchange about a breakup, titled without the model
+const fallbackTitle = (options, title = KEYWORD_CASES[1].text.slice(0, 50)) => {
+  const store = createMemoryStore(title);
+  store.add('user', KEYWORD_CASES[1].text);
+  store.add('ai', 'I am sorry, that sounds painful.');
+  return createConversationTitler({ store, ...options }).titleConversation({ conversationId: 'conv-1' });
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setProvider(createMockProvider({ reply: () => MODEL_REPLY }));
+});
+
+afterEach(() => {
+  resetProviders();
+  resetSupabase();
+  jest.restoreAllMocks();
+});
+
+describe('keywordTitleAndTags', () => {
+  it.each(KEYWORD_CASES)('tags "$text"', ({ text, tags }) => {
+    const result = keywordTitleAndTags(text);
+
+    expect(result.tags[0]).toBe(tags[0]);
+    expect(result.tags).toEqual(expect.arrayContaining(tags));
+    expect(result.title).toBeTruthy();
+  });
+
+  it('titles by the most frequent words when no tag matches', () => {
+    const untagged = keywordTitleAndTags('Organic chemistry lab reports, chemistry is confusing');
+
+    expect(untagged.tags).toEqual([]);
+    expect(untagged.title).toMatch(/^Chemistry/);
+  });
+
+  it('gives no title for stop words alone', () => {
+    expect(keywordTitleAndTags('hi').title).toBeNull();
+  });
+});
+
+describe('parseTitleAndTags', () => {
+  it('cleans the title and keeps known tags only', () => {
+    const parsed = parseTitleAndTags('```json\n{"title": "\\"Sleep before finals.\\"", "tags": ["Sleep", "exam stress", "made-up"]}\n```');
+
+    expect(parsed.title).toBe('Sleep before finals');
+    expect(parsed.tags).toEqual(['sleep', 'exam-stress']);
+  });
+
+  it('cuts a long title and ignores output that is not JSON', () => {
+    expect(parseTitleAndTags(JSON.stringify({ title: 'x'.repeat(200), tags: [] })).title).toHaveLength(TITLE_MAX_CHARS);
+    expect(parseTitleAndTags('not json').title).toBeNull();
+  });
+});
+
+describe('createConversationTitler', () => {
+  it('titles a conversation once, after its first exchange', async () => {
+    const store = createMemoryStore();
+    const titler = createConversationTitler({ store, generate: generateTitleAndTags, isConfigured: () => true });
+
+    store.add('user', KEYWORD_CASES[0].text);
+    expect(await titler.titleConversation({ conversationId: 'conv-1' })).toBeNull();
+
+    store.add('ai', 'That sounds exhausting. What does a usual night look like before an exam?');
+    await expect(titler.titleConversation({ conversationId: 'conv-1' }))
+      .resolves.toMatchObject({ source: 'llm', title: 'Exam nerves and late nights' });
+    expect(store.conversation.tags).toEqual(['exam-stress', 'sleep']);
+
+    store.add('user', 'Also my roommate is annoying');
+    store.add('ai', 'Tell me more.');
+    expect(await titler.titleConversation({ conversationId: 'conv-1' })).toBeNull();
+    expect(store.saves).toHaveLength(1);
+  });
+
+  it.each([
+    ['the model fails', { generate: async () => { throw new Error('model unavailable'); }, isConfigured: () => true }],
+    ['no model is configured', { isConfigured: () => false }],
+    ['the keywords provider is chosen', { provider: 'keywords', isConfigured: () => true }]
+  ])('falls back to keywords when %s', async (_name, options) => {
+    const result = await fallbackTitle(options);
+
+    expect(result).toMatchObject({ source: 'keywords', title: 'Relationships' });
+    expect(result.tags[0]).toBe('relationships');
+  });
+
+  it('keeps the current title when there is nothing to name it by', async () => {
+    const store = createMemoryStore('hi');
+    store.add('user', 'hi');
+    store.add('ai', 'Hello! How are you today?');
+
+    const blank = await createConversationTitler({ store, isConfigured: () => false })
+      .titleConversation({ conversationId: 'conv-1' });
+
+    expect(blank.title).toBe('hi');
+    expect(store.conversation.title_generated_at).toBeTruthy();
+  });
+});
+
+describe('POST /api/ai/chat', () => {
+  it('sends the reply without waiting for the title', async () => {
+    setProvider(createMockProvider({ reply: 'That sounds exhausting.' }));
+    // The titler's conversation lookup never answers
+    const isTitleLookup = (query) => query.table === 'ai_conversations' && query.columns?.includes('title_generated_at');
+    respondWith((query) => {
+      if (isTitleLookup(query)) return new Promise(() => {});
+      if (query.action === 'insert') return { data: { id: `${query.table}-1` } };
+      return {};
+    });
+    const app = express();
+    app.use(express.json());
+    app.post('/api/ai/chat', (req, _res, next) => {
+      req.user = { id: 'student-1', role: 'student', college_id: 'college-1' };
+      next();
+    }, aiChatController.chat);
+
+    const response = await request(app).post('/api/ai/chat').send({ message: KEYWORD_CASES[0].text });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ reply: 'That sounds exhausting.', conversationId: 'ai_conversations-1' });
+    expect(response.body).not.toHaveProperty('title');
+    expect(queries.some(isTitleLookup)).toBe(true);
+  });
+});
@@ -0,0 +1,31 @@
+import { detectCrisis } from '../src/utils/crisisDetect.js';
+import { crisisCorpus } from '../scripts/fixtures/crisisCorpus.js';
+
+describe('detectCrisis', () => {
+  it.each(crisisCorpus.map((entry) => [entry.text, entry.expected]))('"%s" is %s', (text, expected) => {
+    expect(detectCrisis(text).level).toBe(expected);
+  });
+
+  it('reports a negated phrase without counting it', () => {
+    const result = detectCrisis("I'm not going to kill myself, I just need to vent");
+
+    expect(result).toMatchObject({ level: 'none', confidence: 0, matches: [] });
+    expect(result.negated.map((m) => m.phrase)).toEqual(['kill myself']);
+  });
+
+  it('does not let "never" cancel a phrase through another verb', () => {
+    const result = detectCrisis("I've never wanted to kill myself more than right now");
+
+    expect(result.level).toBe('imminent');
+    expect(result.negated).toEqual([]);
+    expect(result.matches.map((m) => m.phrase)).toEqual(['kill myself']);
+    expect(result.contextMarkers).toEqual(['right now']);
+  });
+
+  it('raises a concern phrase to imminent with a context marker', () => {
+    const result = detectCrisis('I want to die tonight');
+
+    expect(result.level).toBe('imminent');
+    expect(result.confidence).toBeGreaterThan(detectCrisis('I want to die').confidence);
+  });
+});
@@ -0,0 +1,99 @@
+import {
+  isKnownFormType,
+  validateAssessmentResponses,
+  getActiveDynamicAssessments
+} from '../src/services/assessment.service.js';
+import { queries, respondWith, resetSupabase } from './helpers/supabaseStub.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY).toISOString();
+
+const form = (id, fields) => ({
+  id,
+  name: id,
+  questions: [{ id: 'q1', options: [0, 1, 2] }],
+  scoring: null,
+  scoring_method: 'sum',
+  is_active: true,
+  valid_from: daysFromNow(-7),
+  valid_until: null,
+  college_id: 'college-a',
+  ...fields
+});
+
+const FORMS = [
+  form('shared', { college_id: null }),
+  form('own'),
+  form('other-college', { college_id: 'college-b' }),
+  form('expired', { valid_until: daysFromNow(-1) }),
+  form('not-yet-open', { valid_from: daysFromNow(1) }),
+  form('inactive', { is_active: false })
+];
+
+// Applies the PostgREST filters the service uses to the rows above
+const matches = (row, [method, column, value]) => {
+  switch (method) {
+    case 'eq': return row[column] === value;
+    case 'lte': return row[column] <= value;
+    case 'is': return row[column] === value;
+    case 'or': return column.split(',').some((condition) => {
+      const [field, op, ...rest] = condition.split('.');
+      const operand = rest.join('.');
+      if (op === 'is') return row[field] === null;
+      if (op === 'eq') return row[field] === operand;
+      if (op === 'gte') return row[field] >= operand;
+      throw new Error(`Unsupported or() condition: ${condition}`);
+    });
+    default: throw new Error(`Unsupported filter: ${method}`);
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  respondWith((query) => {
+    const rows = FORMS.filter((row) => query.filters.every((filter) => matches(row, filter)));
+    return { data: query.single ? rows[0] || null : rows };
+  });
+});
+
+afterEach(() => {
+  resetSupabase();
+  jest.restoreAllMocks();
+});
+
+describe('dynamic assessment forms', () => {
+  it("accepts the college's own and shared forms within their validity window", async () => {
+    await expect(isKnownFormType('own', 'college-a')).resolves.toBe(true);
+    await expect(isKnownFormType('shared', 'college-a')).resolves.toBe(true);
+    await expect(isKnownFormType('PHQ-9', 'college-a')).resolves.toBe(true);
+
+    for (const formType of ['other-college', 'expired', 'not-yet-open', 'inactive']) {
+      await expect(isKnownFormType(formType, 'college-a')).resolves.toBe(false);
+    }
+  });
+
+  it('only offers shared forms to a caller without a college', async () => {
+    await expect(isKnownFormType('shared', null)).resolves.toBe(true);
+    await expect(isKnownFormType('own', null)).resolves.toBe(false);
+  });
+
+  it("rejects responses to another college's or an expired form as an unknown type", async () => {
+    await expect(validateAssessmentResponses('own', { q1: 2 }, { collegeId: 'college-a' }))
+      .resolves.toMatchObject({ errors: [] });
+
+    await expect(validateAssessmentResponses('other-college', { q1: 2 }, { collegeId: 'college-a' }))
+      .rejects.toThrow('Unknown assessment type: other-college');
+    await expect(validateAssessmentResponses('expired', { q1: 2 }, { collegeId: 'college-a' }))
+      .rejects.toThrow('Unknown assessment type: expired');
+  });
+
+  it('lists the forms a college may take', async () => {
+    const listed = await getActiveDynamicAssessments('college-b');
+
+    expect(listed.map((f) => f.id).sort()).toEqual(['other-college', 'shared']);
+    expect(queries[0]).toMatchObject({ table: 'assessment_forms', action: 'select' });
+  });
+});
@@ -0,0 +1,161 @@
+import { createMockProvider, setProvider, resetProviders } from '../src/services/llm/index.js';
+import { embedTexts } from '../src/utils/vectorStore.js';
+import { createEmbeddingMigrator } from '../src/services/embeddingMigration.service.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const OLD_MODEL = 'openai/text-embedding-3-large';
+const TARGET_MODEL = 'mock/mock-embedding';
+
+const pad = (n) => String(n).padStart(4, '0');
+
+// In-memory embeddings tables and embedding_migrations with the store interface
+const createMemoryStore = ({ messages = 0, chunks = 0, failUpdateIds = [] } = {}) => {
+  const tables = {
+    ai_message_embeddings: Array.from({ length: messages }, (_, i) => ({
+      id: `m-${pad(i)}`, content: `message ${i}`, embedding_model: OLD_MODEL, embedding_dimensions: 3072, updates: 0
+    })),
+    knowledge_embeddings: Array.from({ length: chunks }, (_, i) => ({
+      id: `k-${pad(i)}`, title: 'Sleep', content: `chunk ${i}`, embedding_model: OLD_MODEL, embedding_dimensions: 3072, updates: 0
+    }))
+  };
+  const migrations = [];
+  const onTarget = (row, target) =>
+    row.embedding_model === target.model && row.embedding_dimensions === target.dimensions;
+
+  return {
+    tables,
+    migrations,
+    countPending: async (table, target) => tables[table].filter((row) => !onTarget(row, target)).length,
+    listPending: async (table, columns, target, afterId, limit) => tables[table]
+      .filter((row) => !onTarget(row, target) && (!afterId || row.id > afterId))
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .slice(0, limit),
+    updateEmbedding: async (table, id, { model, dimensions }) => {
+      if (failUpdateIds.includes(id)) throw new Error(`update of ${id} rejected`);
+      const row = tables[table].find((r) => r.id === id);
+      Object.assign(row, { embedding_model: model, embedding_dimensions: dimensions, updates: row.updates + 1 });
+    },
+    getUnfinished: async () => migrations.find((m) => ['running', 'paused', 'failed'].includes(m.status)) || null,
+    getLatest: async () => migrations[migrations.length - 1] || null,
+    create: async (row) => {
+      const migration = {
+        id: `mig-${migrations.length + 1}`, processed_rows: 0, failed_rows: 0, cursor_table: null,
+        cursor_id: null, last_error: null, completed_at: null, ...row
+      };
+      migrations.push(migration);
+      return { ...migration };
+    },
+    update: async (id, patch) => {
+      const migration = migrations.find((m) => m.id === id);
+      Object.assign(migration, patch);
+      return { ...migration };
+    }
+  };
+};
+
+const allRows = (store) => [...store.tables.ai_message_embeddings, ...store.tables.knowledge_embeddings];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setProvider(createMockProvider());
+});
+
+afterEach(() => {
+  resetProviders();
+  jest.restoreAllMocks();
+});
+
+describe('createEmbeddingMigrator', () => {
+  it('re-embeds every row once and reports progress', async () => {
+    const store = createMemoryStore({ messages: 70, chunks: 25 });
+    const progress = [];
+    const migrator = createEmbeddingMigrator({ store, batchSize: 32, onProgress: (m) => progress.push(m.percent) });
+
+    const { migration, resumed, done } = await migrator.startMigration({ startedBy: 'admin-1' });
+    await done;
+
+    expect(resumed).toBe(false);
+    expect(migration).toMatchObject({ totalRows: 95, targetModel: TARGET_MODEL });
+
+    const status = await migrator.getMigrationStatus();
+    expect(status.migration).toMatchObject({ status: 'completed', processedRows: 95, active: false });
+    Object.values(status.pending).forEach((count) => expect(count).toBe(0));
+    allRows(store).forEach((row) => expect(row.updates).toBe(1));
+    expect(progress).toHaveLength(4);
+    expect(progress[progress.length - 1]).toBe(100);
+  });
+
+  it('records a failed batch and resumes from the saved cursor', async () => {
+    const store = createMemoryStore({ messages: 40, chunks: 30 });
+    let calls = 0;
+    const flakyEmbed = async (texts) => {
+      calls++;
+      // Call 1 is the model probe; fail on the third batch
+      if (calls === 4) throw new Error('rate limited');
+      return embedTexts(texts);
+    };
+
+    const first = createEmbeddingMigrator({ store, embedBatch: flakyEmbed, batchSize: 20 });
+    await (await first.startMigration()).done;
+
+    const failed = store.migrations[0];
+    expect(failed).toMatchObject({
+      status: 'failed',
+      last_error: 'rate limited',
+      processed_rows: 40,
+      cursor_table: 'ai_message_embeddings',
+      cursor_id: 'm-0039'
+    });
+
+    // A new process (e.g. after a restart) resumes the same migration
+    const second = createEmbeddingMigrator({ store, batchSize: 20 });
+    const { migration, resumed, done } = await second.startMigration();
+    await done;
+
+    expect(resumed).toBe(true);
+    expect(migration.id).toBe(failed.id);
+    expect(store.migrations).toHaveLength(1);
+    expect(store.migrations[0]).toMatchObject({ status: 'completed', processed_rows: 70 });
+    allRows(store).forEach((row) => expect(row.updates).toBe(1));
+  });
+
+  it('pauses after the current batch and resumes later', async () => {
+    const store = createMemoryStore({ messages: 50 });
+    let pausing = null;
+    const migrator = createEmbeddingMigrator({
+      store,
+      batchSize: 10,
+      onProgress: () => { if (!pausing) pausing = migrator.pauseMigration(); }
+    });
+
+    await (await migrator.startMigration()).done;
+    await expect(pausing).resolves.toMatchObject({ status: 'paused', processedRows: 10 });
+    await expect(migrator.pauseMigration()).rejects.toMatchObject({ statusCode: 409 });
+
+    const { resumed, done } = await migrator.startMigration();
+    await done;
+    expect(resumed).toBe(true);
+    expect(store.migrations[0]).toMatchObject({ status: 'completed', processed_rows: 50 });
+  });
+
+  it('supersedes a migration to another model and leaves failed rows pending', async () => {
+    const store = createMemoryStore({ messages: 12, failUpdateIds: ['m-0003'] });
+    store.migrations.push({
+      id: 'mig-old', target_model: 'openai/text-embedding-3-small', target_dimensions: 1536, status: 'paused',
+      total_rows: 12, processed_rows: 4, failed_rows: 0, cursor_table: 'ai_message_embeddings', cursor_id: 'm-0003'
+    });
+
+    const migrator = createEmbeddingMigrator({ store, batchSize: 5 });
+    const { migration, resumed, done } = await migrator.startMigration();
+    await done;
+
+    expect(resumed).toBe(false);
+    expect(store.migrations[0].status).toBe('superseded');
+    expect(store.migrations.find((m) => m.id === migration.id))
+      .toMatchObject({ status: 'completed', failed_rows: 1, processed_rows: 12 });
+    expect((await migrator.getMigrationStatus()).pending.ai_message_embeddings).toBe(1);
+  });
+});
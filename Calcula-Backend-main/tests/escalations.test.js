@@ -0,0 +1,230 @@
+import express from 'express';
+import request from 'supertest';
+import {
+  evaluateAssessmentRisk,
+  createEscalations,
+  claimEscalation,
+  updateEscalationStatus,
+  recordCrisisDetection
+} from '../src/services/escalation.service.js';
+import { updateEscalationStatusController } from '../src/controllers/escalation.controller.js';
+import { detectCrisis } from '../src/utils/crisisDetect.js';
+import { queries, respondWith, resetSupabase } from './helpers/supabaseStub.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const COLLEGE = 'college-1';
+const STUDENT = 'student-1';
+const COUNSELLOR = 'counsellor-1';
+
+const ruleIds = (formType, responses) => evaluateAssessmentRisk(formType, responses)
+  .map(({ ruleId, riskLevel }) => `${ruleId}:${riskLevel}`);
+
+// In-memory escalations, escalation_events and crisis_detections
+const createTables = () => {
+  const tables = { escalations: [], escalation_events: [], crisis_detections: [] };
+
+  const matches = (row, filters) => filters.every(([method, column, value]) => method === 'eq' && row[column] === value);
+  // Like Supabase, answer with copies of the stored rows
+  const result = (rows, single) => ({ data: single ? (rows[0] ? { ...rows[0] } : null) : rows.map((row) => ({ ...row })) });
+
+  respondWith((query) => {
+    const rows = tables[query.table];
+    if (query.action === 'insert') {
+      const inserted = [].concat(query.values).map((values) => ({
+        id: `${query.table}-${rows.length + 1}`,
+        created_at: new Date().toISOString(),
+        ...values
+      }));
+      rows.push(...inserted);
+      return result(inserted, query.single);
+    }
+    if (query.action === 'update') {
+      const updated = rows.filter((row) => matches(row, query.filters));
+      updated.forEach((row) => Object.assign(row, query.values));
+      return result(updated, query.single);
+    }
+    return result(rows.filter((row) => matches(row, query.filters)), query.single);
+  });
+
+  return tables;
+};
+
+const openEscalation = async (tables, fields = {}) => {
+  const [escalation] = await createEscalations({
+    studentId: STUDENT,
+    collegeId: COLLEGE,
+    assessmentId: 'assessment-1',
+    formType: 'PHQ-9',
+    triggers: evaluateAssessmentRisk('PHQ-9', { q9: 2 })
+  });
+  Object.assign(tables.escalations.find((row) => row.id === escalation.id), fields);
+  return escalation.id;
+};
+
+const createIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  resetSupabase();
+  jest.restoreAllMocks();
+});
+
+describe('evaluateAssessmentRisk', () => {
+  it('escalates C-SSRS suicidal behaviour as urgent', () => {
+    expect(ruleIds('C-SSRS', { q1: 'no', q2: 'no', q6: 'yes' })).toEqual(['cssrs_behavior:urgent']);
+    expect(ruleIds('CSSRS', { cssrs_q6: true })).toEqual(['cssrs_behavior:urgent']);
+  });
+
+  it('rates C-SSRS intent or a plan as high, and both together as urgent', () => {
+    expect(ruleIds('C-SSRS', { q3: 'yes', q5: 'no' })).toEqual(['cssrs_intent:high']);
+    expect(ruleIds('C-SSRS', { q5: '1' })).toEqual(['cssrs_intent:high']);
+    expect(ruleIds('C-SSRS', { q4: 'yes', q5: 'yes' })).toEqual(['cssrs_intent:urgent']);
+    expect(ruleIds('C-SSRS', { q1: 'yes', q2: 'yes', q3: 'no', q4: 'no', q5: 'no', q6: 'no' })).toEqual([]);
+  });
+
+  it('escalates any endorsement of PHQ-9 item 9', () => {
+    expect(ruleIds('PHQ-9', { q9: 0 })).toEqual([]);
+    expect(ruleIds('PHQ-9', { phq9_q9: '1' })).toEqual(['phq9_item9:high']);
+    expect(ruleIds('PHQ-9', { q9: 2 })).toEqual(['phq9_item9:urgent']);
+    expect(ruleIds('PHQ-9', { q9: 3 })).toEqual(['phq9_item9:urgent']);
+  });
+
+  it('has no rules for other instruments', () => {
+    expect(evaluateAssessmentRisk('GAD-7', { q1: 3, q9: 3 })).toEqual([]);
+  });
+});
+
+describe('escalation lifecycle', () => {
+  it('records who opened, claimed and resolved an escalation', async () => {
+    const tables = createTables();
+    const id = await openEscalation(tables);
+
+    await expect(claimEscalation(id, COLLEGE, COUNSELLOR))
+      .resolves.toMatchObject({ status: 'acknowledged', assigned_to: COUNSELLOR, acknowledged_at: expect.any(String) });
+    await updateEscalationStatus(id, COLLEGE, COUNSELLOR, 'contacted');
+    await expect(updateEscalationStatus(id, COLLEGE, COUNSELLOR, 'resolved', 'Met the student'))
+      .resolves.toMatchObject({ status: 'resolved', resolution_note: 'Met the student', resolved_at: expect.any(String) });
+
+    expect(tables.escalation_events.map((e) => [e.action, e.from_status, e.to_status])).toEqual([
+      ['created', null, 'open'],
+      ['claimed', 'open', 'acknowledged'],
+      ['status_changed', 'acknowledged', 'contacted'],
+      ['status_changed', 'contacted', 'resolved']
+    ]);
+  });
+
+  it.each([
+    ['resolved', 'contacted'],
+    ['resolved', 'open'],
+    ['contacted', 'acknowledged'],
+    ['acknowledged', 'open'],
+    ['open', 'open']
+  ])('refuses to move from %s to %s', async (from, to) => {
+    const tables = createTables();
+    const id = await openEscalation(tables, { status: from });
+
+    await expect(updateEscalationStatus(id, COLLEGE, COUNSELLOR, to)).rejects.toMatchObject({ statusCode: 409 });
+    expect(queries.filter((q) => q.table === 'escalations' && q.action === 'update')).toEqual([]);
+    expect(tables.escalations[0].status).toBe(from);
+  });
+
+  it('refuses to claim a resolved escalation', async () => {
+    const tables = createTables();
+    const id = await openEscalation(tables, { status: 'resolved' });
+
+    await expect(claimEscalation(id, COLLEGE, COUNSELLOR)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("does not find another college's escalation", async () => {
+    const tables = createTables();
+    const id = await openEscalation(tables);
+
+    await expect(claimEscalation(id, 'college-2', COUNSELLOR)).resolves.toBeNull();
+    await expect(updateEscalationStatus(id, 'college-2', COUNSELLOR, 'resolved')).resolves.toBeNull();
+    expect(tables.escalations[0].status).toBe('open');
+  });
+
+  it('answers an illegal transition with 409', async () => {
+    const tables = createTables();
+    const id = await openEscalation(tables, { status: 'resolved' });
+    const app = express();
+    app.use(express.json());
+    app.put('/escalations/:id/status', (req, _res, next) => {
+      req.user = { user_id: COUNSELLOR, role: 'counsellor' };
+      req.tenant = COLLEGE;
+      next();
+    }, updateEscalationStatusController);
+
+    const response = await request(app).put(`/escalations/${id}/status`).send({ status: 'contacted' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.message).toBe('Cannot move escalation from resolved to contacted');
+  });
+});
+
+describe('recordCrisisDetection', () => {
+  const record = (text, fields = {}) => recordCrisisDetection({
+    userId: STUDENT,
+    collegeId: COLLEGE,
+    conversationId: 'conv-1',
+    source: 'chat',
+    detection: detectCrisis(text),
+    text,
+    ...fields
+  });
+
+  it('stores nothing when there is no crisis language', async () => {
+    createTables();
+
+    await expect(record('I am stressed about my exams')).resolves.toBeNull();
+    expect(queries).toEqual([]);
+  });
+
+  it('logs a concern without opening an escalation', async () => {
+    const tables = createTables();
+
+    await expect(record('Sometimes I feel suicidal'))
+      .resolves.toMatchObject({ level: 'concern', escalation_id: null, conversation_id: 'conv-1' });
+    expect(tables.escalations).toEqual([]);
+  });
+
+  it('opens an urgent escalation for imminent language and notifies staff', async () => {
+    const tables = createTables();
+    const io = createIo();
+
+    const detection = await record('I want to kill myself tonight', { io });
+
+    expect(tables.escalations).toEqual([expect.objectContaining({
+      source: 'ai_chat',
+      rule_id: 'chat_imminent',
+      risk_level: 'urgent',
+      status: 'open',
+      college_id: COLLEGE
+    })]);
+    expect(detection).toMatchObject({ level: 'imminent', escalation_id: tables.escalations[0].id });
+    expect(io.emitted.map(({ room, event }) => `${room} ${event}`)).toEqual([
+      `college:${COLLEGE}:counsellor escalation_created`,
+      `college:${COLLEGE}:admin escalation_created`
+    ]);
+  });
+
+  it('still logs imminent language from a user without a college', async () => {
+    const tables = createTables();
+
+    await expect(record('I want to kill myself', { collegeId: null }))
+      .resolves.toMatchObject({ level: 'imminent', escalation_id: null });
+    expect(tables.escalations).toEqual([]);
+  });
+});
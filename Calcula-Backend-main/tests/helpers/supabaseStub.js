@@ -0,0 +1,115 @@
+/**
+ * In-memory stand-in for the Supabase clients, so modules that import
+ * src/utils/supabaseAdmin.js or src/config/supabase.js load without
+ * credentials or network:
+ *
+ *   jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+ *
+ * Every query resolves to { data: null, error: null } unless the test sets a
+ * handler with respondWith((query) => result). `query` describes the call:
+ * { table, action, columns, values, filters: [[method, ...args]], single }.
+ * Queries made so far are in `queries`.
+ */
+
+const FILTERS = [
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in', 'contains', 'containedBy',
+  'overlaps', 'match', 'not', 'or', 'filter', 'textSearch'
+];
+const MODIFIERS = ['order', 'limit', 'range', 'abortSignal', 'returns'];
+
+const EMPTY_RESULT = { data: null, error: null };
+
+export const queries = [];
+let handler = () => EMPTY_RESULT;
+
+/**
+ * Answer queries with a handler
+ * @param {Function} fn - (query) => { data, error, count }, or a promise of it
+ */
+export const respondWith = (fn) => {
+  handler = fn;
+};
+
+/**
+ * Forget recorded queries and answer every query with no data
+ */
+export const resetSupabase = () => {
+  queries.length = 0;
+  handler = () => EMPTY_RESULT;
+};
+
+const run = (query) => {
+  queries.push(query);
+  return Promise.resolve()
+    .then(() => handler(query))
+    .then((result) => ({ ...EMPTY_RESULT, ...result }));
+};
+
+const createQuery = (fields) => {
+  const query = { action: null, columns: null, values: null, filters: [], modifiers: [], single: null, ...fields };
+  const builder = {
+    then: (resolve, reject) => run(query).then(resolve, reject)
+  };
+
+  builder.select = (columns, options) => {
+    // select() after insert/update/delete names the returned columns
+    if (query.action) query.returning = columns;
+    else Object.assign(query, { action: 'select', columns, options });
+    return builder;
+  };
+  ['insert', 'update', 'upsert', 'delete'].forEach((action) => {
+    builder[action] = (values, options) => {
+      Object.assign(query, { action, values, options });
+      return builder;
+    };
+  });
+  FILTERS.forEach((method) => {
+    builder[method] = (...args) => {
+      query.filters.push([method, ...args]);
+      return builder;
+    };
+  });
+  MODIFIERS.forEach((method) => {
+    builder[method] = (...args) => {
+      query.modifiers.push([method, ...args]);
+      return builder;
+    };
+  });
+  builder.single = () => {
+    query.single = 'single';
+    return builder;
+  };
+  builder.maybeSingle = () => {
+    query.single = 'maybeSingle';
+    return builder;
+  };
+
+  return builder;
+};
+
+const createStorageBucket = (bucket) => {
+  const call = (action) => (...args) => run({ storage: bucket, action, args, filters: [], modifiers: [] });
+  return {
+    upload: call('upload'),
+    download: call('download'),
+    remove: call('remove'),
+    list: call('list'),
+    createSignedUrl: call('createSignedUrl'),
+    getPublicUrl: (path) => ({ data: { publicUrl: `https://storage.test/${bucket}/${path}` } })
+  };
+};
+
+const createClient = () => ({
+  from: (table) => createQuery({ table }),
+  rpc: (fn, params) => createQuery({ rpc: fn, action: 'rpc', values: params }),
+  storage: { from: createStorageBucket },
+  auth: {
+    getUser: async () => ({ data: { user: null }, error: null }),
+    admin: {}
+  }
+});
+
+export const supabaseAdmin = createClient();
+export const supabase = supabaseAdmin;
+
+export default supabaseAdmin;
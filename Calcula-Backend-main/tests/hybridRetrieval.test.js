@@ -0,0 +1,118 @@
+import { createMockProvider, setProvider, resetProviders, embed } from '../src/services/llm/index.js';
+import {
+  extractKeywords,
+  scoreKeywordMatch,
+  reciprocalRankFusion,
+  dedupeNearDuplicates,
+  hybridRank
+} from '../src/utils/hybridRetrieval.js';
+import { retrievalDocuments, retrievalQueries } from '../scripts/fixtures/retrievalCases.js';
+
+// The ranking behind scripts/evaluateRetrieval.js, on the mock provider's
+// bag-of-words embeddings
+
+const K_VALUES = [1, 3, 5];
+const CANDIDATES = 15; // 3x the largest k, as in vectorStore.js
+
+const canonicalId = new Map(retrievalDocuments.map((doc) => [doc.id, doc.duplicateOf || doc.id]));
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((v, i) => {
+    dot += v * b[i];
+    normA += v * v;
+    normB += b[i] * b[i];
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const keywordSearch = (query) => {
+  const keywords = extractKeywords(query);
+  return retrievalDocuments
+    .map((doc) => ({ ...doc, score: scoreKeywordMatch(doc, keywords).score }))
+    .filter((doc) => doc.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CANDIDATES);
+};
+
+// Share of the relevant documents in the top k, duplicates counted once
+const recallAt = (results, relevant, k) => {
+  const found = new Set(results.slice(0, k).map((item) => canonicalId.get(item.id)));
+  return relevant.filter((id) => found.has(id)).length / relevant.length;
+};
+
+// Mean recall@k of each method over the labelled queries
+const measureRecall = async () => {
+  const embedAll = async (texts) => (await embed({ input: texts })).embeddings;
+  const docVectors = await embedAll(retrievalDocuments.map((doc) => `${doc.title}\n\n${doc.content}`));
+  const queryVectors = await embedAll(retrievalQueries.map((q) => q.query));
+  const recall = { vector: {}, keyword: {}, hybrid: {} };
+
+  for (const [index, { query, relevant }] of retrievalQueries.entries()) {
+    const vector = retrievalDocuments
+      .map((doc, i) => ({ ...doc, similarity: cosine(queryVectors[index], docVectors[i]) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, CANDIDATES);
+    const keyword = keywordSearch(query);
+    const hybrid = await hybridRank({ query, lists: { vector, keyword }, topK: Math.max(...K_VALUES), keyOf: (item) => item.id });
+
+    Object.entries({ vector, keyword, hybrid }).forEach(([name, results]) => {
+      K_VALUES.forEach((k) => {
+        recall[name][k] = (recall[name][k] || 0) + recallAt(results, relevant, k) / retrievalQueries.length;
+      });
+    });
+  }
+
+  return recall;
+};
+
+afterEach(() => {
+  resetProviders();
+});
+
+describe('extractKeywords', () => {
+  it('keeps topic words and drops short and stop words', () => {
+    expect(extractKeywords('Grounding exercise when I am overwhelmed, what helps?'))
+      .toEqual(['grounding', 'exercise', 'overwhelmed', 'helps']);
+  });
+
+  it('does not rank a document up for a stop word in its title', () => {
+    const keywords = extractKeywords('grounding exercise when overwhelmed');
+    const ranked = keywordSearch('grounding exercise when overwhelmed').map((doc) => doc.id);
+
+    expect(keywords).not.toContain('when');
+    expect(ranked.slice(0, 2)).toEqual(['grounding-54321', 'panic-attacks']);
+  });
+});
+
+describe('reciprocalRankFusion', () => {
+  it('ranks items found by both searches above items found by one', () => {
+    const fused = reciprocalRankFusion({
+      vector: [{ id: 'a' }, { id: 'b' }],
+      keyword: [{ id: 'c' }, { id: 'b' }]
+    });
+
+    expect(fused.map((item) => item.id)).toEqual(['b', 'a', 'c']);
+    expect(fused[0]).toMatchObject({ ranks: { vector: 2, keyword: 2 }, matched_by: ['vector', 'keyword'] });
+  });
+});
+
+describe('dedupeNearDuplicates', () => {
+  it('keeps the better-ranked copy of a re-uploaded document', () => {
+    const copies = retrievalDocuments.filter((doc) => doc.id === 'journaling' || doc.duplicateOf === 'journaling');
+
+    expect(dedupeNearDuplicates(copies).map((doc) => doc.id)).toEqual(['journaling']);
+    expect(dedupeNearDuplicates([...copies].reverse())).toHaveLength(1);
+  });
+});
+
+describe('hybridRank', () => {
+  it.each(K_VALUES)('recalls at least as much as the best single search at k=%i', async (k) => {
+    setProvider(createMockProvider(), ['embed']);
+    const recall = await measureRecall();
+
+    expect(recall.hybrid[k]).toBeGreaterThanOrEqual(Math.max(recall.vector[k], recall.keyword[k]) - 1e-9);
+  });
+});
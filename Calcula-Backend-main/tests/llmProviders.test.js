@@ -0,0 +1,217 @@
+import http from 'http';
+import {
+  LLM_ERROR_CODES,
+  createMockProvider,
+  createOpenAIProvider,
+  createGeminiProvider,
+  configuredProviderName,
+  getProvider,
+  setProvider,
+  resetProviders,
+  chat
+} from '../src/services/llm/index.js';
+import { createGuidanceService, llmGuidanceProvider } from '../src/services/guidance.service.js';
+import { embedText, embedTexts } from '../src/utils/vectorStore.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+// Every AI call goes to the in-process mock provider; the OpenAI-compatible
+// client is pointed at a closed local port or a fake streaming server.
+
+const messages = [{ role: 'system', content: 'Be kind.' }, { role: 'user', content: 'I feel stressed about exams' }];
+
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+const abortAfter = (ms) => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), ms);
+  return controller.signal;
+};
+
+// Fake OpenAI-compatible server that streams five chunks, 40ms apart
+const startFakeStreamServer = async () => {
+  const state = { closed: false };
+  const server = http.createServer((req, res) => {
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const words = ['Hello', ' there', ',', ' friend', '.'];
+    let i = 0;
+    const timer = setInterval(() => {
+      if (i < words.length) {
+        const chunk = { id: 'c', object: 'chat.completion.chunk', model: 'fake', choices: [{ index: 0, delta: { content: words[i++] } }] };
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        return;
+      }
+      const usage = { prompt_tokens: 3, completion_tokens: 5, total_tokens: 8 };
+      res.write(`data: ${JSON.stringify({ id: 'c', model: 'fake', choices: [], usage })}\n\n`);
+      res.end('data: [DONE]\n\n');
+      clearInterval(timer);
+    }, 40);
+    res.on('close', () => {
+      clearInterval(timer);
+      state.closed = !res.writableFinished;
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, state };
+};
+
+afterEach(() => {
+  resetProviders();
+});
+
+describe('mock provider', () => {
+  it('answers the same input with the same reply and consistent usage', async () => {
+    const mock = createMockProvider();
+    const first = await mock.chat({ messages });
+    const second = await mock.chat({ messages });
+
+    expect(second.text).toBe(first.text);
+    expect(first.text).toContain('stressed about exams');
+    expect(first.usage.totalTokens).toBe(first.usage.promptTokens + first.usage.completionTokens);
+    expect(mock.calls).toHaveLength(2);
+  });
+
+  it('embeds texts that share words closer than unrelated texts', async () => {
+    const { embeddings } = await createMockProvider({ embeddingDimensions: 64 })
+      .embed({ input: ['exam stress tonight', 'exam stress', 'sunny beach holiday'] });
+
+    embeddings.forEach((embedding) => expect(embedding).toHaveLength(64));
+    expect(cosine(embeddings[0], embeddings[1])).toBeGreaterThan(cosine(embeddings[0], embeddings[2]));
+  });
+
+  it('transcribes the audio bytes as text', async () => {
+    const transcript = await createMockProvider().transcribe({ audio: Buffer.from('hello from a voice note') });
+    expect(transcript.text).toBe('hello from a voice note');
+  });
+
+  it('times out and aborts with provider error codes', async () => {
+    const slow = createMockProvider({ latencyMs: 200 });
+
+    await expect(slow.chat({ messages, timeoutMs: 20 })).rejects.toMatchObject({ code: LLM_ERROR_CODES.TIMEOUT });
+    await expect(slow.chat({ messages, signal: abortAfter(20) })).rejects.toMatchObject({ code: LLM_ERROR_CODES.ABORTED });
+  });
+});
+
+describe('provider registry', () => {
+  const savedEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  it('picks providers from LLM_PROVIDER and per-capability overrides', () => {
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.LLM_TRANSCRIPTION_PROVIDER = 'local';
+    resetProviders();
+
+    expect(getProvider('chat').name).toBe('mock');
+    expect(configuredProviderName('transcribe')).toBe('local');
+  });
+
+  it('reports an unknown provider as not configured', async () => {
+    process.env.LLM_PROVIDER = 'nonexistent';
+    resetProviders();
+
+    await expect(Promise.resolve().then(() => chat({ messages: [] })))
+      .rejects.toMatchObject({ code: LLM_ERROR_CODES.NOT_CONFIGURED });
+  });
+
+  it('reports OpenAI and Gemini without keys as not configured', async () => {
+    await expect(createOpenAIProvider({ chatModel: 'x' }).chat({ messages }))
+      .rejects.toMatchObject({ code: LLM_ERROR_CODES.NOT_CONFIGURED });
+    await expect(createGeminiProvider({ chatModel: 'x' }).chat({ messages }))
+      .rejects.toMatchObject({ code: LLM_ERROR_CODES.NOT_CONFIGURED });
+  });
+
+  it('fails fast when a local server is unreachable', async () => {
+    // Port 9 (discard) is closed on a normal machine
+    const local = createOpenAIProvider({ name: 'local', baseURL: 'http://127.0.0.1:9/v1', chatModel: 'x' });
+
+    await expect(local.chat({ messages, maxRetries: 0, timeoutMs: 2000 }))
+      .rejects.toMatchObject({ code: LLM_ERROR_CODES.REQUEST_FAILED });
+  });
+});
+
+describe('streaming', () => {
+  it('streams mock deltas that add up to the reply, and aborts', async () => {
+    const mock = createMockProvider({ reply: 'one two three', tokenDelayMs: 30 });
+    const deltas = [];
+    const streamed = await mock.chatStream({ messages, onDelta: (d) => deltas.push(d) });
+
+    expect(deltas).toHaveLength(3);
+    expect(deltas.join('')).toBe(streamed.text);
+    await expect(mock.chatStream({ messages, signal: abortAfter(40) }))
+      .rejects.toMatchObject({ code: LLM_ERROR_CODES.ABORTED });
+  });
+
+  it('streams from an OpenAI-compatible server and closes the upstream request on abort', async () => {
+    const { server, state } = await startFakeStreamServer();
+    const local = createOpenAIProvider({
+      name: 'local',
+      baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+      chatModel: 'fake'
+    });
+
+    try {
+      const deltas = [];
+      const result = await local.chatStream({ messages, onDelta: (d) => deltas.push(d) });
+      expect(result.text).toBe('Hello there, friend.');
+      expect(deltas).toHaveLength(5);
+      expect(result.usage.totalTokens).toBe(8);
+
+      await expect(local.chatStream({ messages, signal: abortAfter(90) }))
+        .rejects.toMatchObject({ code: LLM_ERROR_CODES.ABORTED });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(state.closed).toBe(true);
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
+
+describe('guidance', () => {
+  const params = { formType: 'PHQ-9', responses: {}, score: 12, severityLevel: 'Moderate' };
+  const service = createGuidanceService({ primary: llmGuidanceProvider });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses the model reply', async () => {
+    setProvider(createMockProvider({
+      reply: JSON.stringify({ guidance: 'Mock guidance.', recommendedActions: ['Take a short walk.'] })
+    }));
+
+    await expect(service.getGuidance(params)).resolves.toMatchObject({ source: 'llm', guidance: 'Mock guidance.' });
+  });
+
+  it('falls back to the rules on invalid JSON or a timeout', async () => {
+    setProvider(createMockProvider({ reply: 'not json' }));
+    await expect(service.getGuidance(params))
+      .resolves.toMatchObject({ source: 'rules', fallbackReason: 'GUIDANCE_INVALID_RESPONSE' });
+
+    setProvider(createMockProvider({ failWith: LLM_ERROR_CODES.TIMEOUT }));
+    await expect(service.getGuidance(params)).resolves.toMatchObject({ fallbackReason: 'GUIDANCE_TIMEOUT' });
+  });
+});
+
+describe('callers', () => {
+  beforeEach(() => {
+    setProvider(createMockProvider());
+  });
+
+  it('embeds through the provider at the pgvector column size', async () => {
+    expect(await embedText('I could not sleep before my exam')).toHaveLength(3072);
+
+    const batch = await embedTexts(['first', 'second']);
+    expect(batch).toMatchObject({ model: 'mock/mock-embedding', dimensions: 3072 });
+    expect(batch.embeddings).toHaveLength(2);
+  });
+});
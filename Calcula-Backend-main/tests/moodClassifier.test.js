@@ -0,0 +1,48 @@
+import { classifyMood, scoreMoodEvidence, MOOD_LABELS } from '../src/utils/moodClassifier.js';
+import { moodCases } from '../scripts/fixtures/moodCases.js';
+
+// Same minimum as scripts/evaluateMoodClassifier.js for the lexicon backend
+const MIN_ACCURACY = 0.9;
+
+describe('classifyMood', () => {
+  it(`labels at least ${MIN_ACCURACY * 100}% of the labelled sample correctly`, () => {
+    const misses = moodCases
+      .map(({ text, expected }) => ({ text, expected, actual: classifyMood(text)?.label }))
+      .filter(({ expected, actual }) => actual !== expected);
+
+    const accuracy = (moodCases.length - misses.length) / moodCases.length;
+    // Below the minimum, list the misclassified messages in the failure
+    if (accuracy < MIN_ACCURACY) expect(misses).toEqual([]);
+    expect(accuracy).toBeGreaterThanOrEqual(MIN_ACCURACY);
+  });
+
+  it('returns a score for every label that adds up to about 1', () => {
+    const { label, score, scores } = classifyMood('I am so stressed and scared about my exams');
+
+    expect(label).toBe('fear');
+    expect(score).toBe(scores.fear);
+    expect(Object.keys(scores)).toEqual(MOOD_LABELS);
+    expect(Object.values(scores).reduce((sum, s) => sum + s, 0)).toBeCloseTo(1, 2);
+  });
+
+  it('returns null for empty text', () => {
+    expect(classifyMood('   ')).toBeNull();
+  });
+});
+
+describe('negation', () => {
+  it('covers later terms of the same emotion in its clause', () => {
+    const { hits } = scoreMoodEvidence("I'm not scared of the exam anymore");
+
+    expect(hits.map(({ term, negated }) => [term, negated])).toEqual([['scared', true], ['exam*', true]]);
+    expect(classifyMood("I'm not scared of the exam anymore").label).toBe('neutral');
+  });
+
+  it('ends at a clause break', () => {
+    expect(classifyMood("I'm not scared, but the exam results terrify me").label).toBe('fear');
+  });
+
+  it('turns negated joy towards sadness', () => {
+    expect(classifyMood("I'm not happy with my life right now").label).toBe('sadness');
+  });
+});
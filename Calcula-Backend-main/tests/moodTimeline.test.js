@@ -0,0 +1,67 @@
+import { buildMoodSeries, MOOD_VALENCE } from '../src/services/moodTimeline.service.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const SINCE = '2026-10-01';
+const UNTIL = '2026-10-07';
+
+const observations = [
+  // Small talk with one sad message reads as sad
+  { date: '2026-10-01', label: 'neutral', source: 'chat' },
+  { date: '2026-10-01', label: 'neutral', source: 'chat' },
+  { date: '2026-10-01', label: 'sadness', source: 'chat' },
+  // A journal entry outweighs a single chat message
+  { date: '2026-10-02', label: 'fear', source: 'chat' },
+  { date: '2026-10-02', label: 'joy', source: 'journal' },
+  // Labels from the remote model may be capitalised
+  { date: '2026-10-04', label: 'Joy', source: 'chat' },
+  // Corrected below
+  { date: '2026-10-05', label: 'anger', source: 'chat' },
+  // Outside the range and unknown labels are ignored
+  { date: '2026-09-30', label: 'joy', source: 'chat' },
+  { date: '2026-10-06', label: 'bored', source: 'chat' }
+];
+
+const corrections = [
+  { mood_date: '2026-10-05', label: 'sadness', note: 'It was grief, not anger' },
+  { mood_date: '2026-10-07', label: 'joy', note: null }
+];
+
+describe('buildMoodSeries', () => {
+  const { days, summary } = buildMoodSeries({ observations, corrections, since: SINCE, until: UNTIL });
+  const day = (date) => days.find((d) => d.date === date);
+
+  it('has one entry per day from since to until', () => {
+    expect(days.map((d) => d.date)).toEqual([
+      '2026-10-01', '2026-10-02', '2026-10-03', '2026-10-04', '2026-10-05', '2026-10-06', '2026-10-07'
+    ]);
+  });
+
+  it('labels each day by its weighted observations', () => {
+    expect(day('2026-10-01')).toMatchObject({ label: 'sadness', counts: expect.objectContaining({ chat: 3 }) });
+    expect(day('2026-10-02')).toMatchObject({ label: 'joy', valence: 0.47 });
+    expect(day('2026-10-03')).toMatchObject({ label: null, valence: null });
+    expect(day('2026-10-04').label).toBe('joy');
+    expect(day('2026-10-06').label).toBeNull();
+  });
+
+  it('shows corrections and keeps the inferred label', () => {
+    expect(day('2026-10-05')).toMatchObject({
+      label: 'sadness',
+      inferredLabel: 'anger',
+      valence: MOOD_VALENCE.sadness,
+      note: 'It was grief, not anger'
+    });
+    expect(day('2026-10-07')).toMatchObject({ corrected: true, label: 'joy' });
+  });
+
+  it('summarizes the range', () => {
+    expect(summary).toMatchObject({ daysWithData: 5, correctedDays: 2, mostCommonLabel: 'joy' });
+  });
+
+  it('leaves notes out when includeNotes is false', () => {
+    const shared = buildMoodSeries({ observations, corrections, since: SINCE, until: UNTIL, includeNotes: false });
+    shared.days.forEach((d) => expect(d).not.toHaveProperty('note'));
+  });
+});
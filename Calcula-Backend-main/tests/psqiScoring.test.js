@@ -0,0 +1,129 @@
+import { parseClockTime, scorePSQIResponses, PSQI_MAX_SCORE } from '../src/utils/psqiScoring.js';
+
+// Items 5b-5i (q6-q13)
+const disturbances = (values) => Object.fromEntries(values.map((value, i) => [`q${i + 6}`, value]));
+
+// A good sleeper: every component scores 0
+const RESTFUL = {
+  q1: '23:00', q2: 10, q3: '07:00', q4: 7.5, q5: 0,
+  ...disturbances([0, 0, 0, 0, 0, 0, 0, 0]),
+  q16: 0, q17: 0, q18: 0, q19: 0
+};
+
+const components = (overrides) => scorePSQIResponses({ ...RESTFUL, ...overrides }).details.components;
+
+describe('scorePSQIResponses', () => {
+  it('scores a good sleeper 0', () => {
+    const { score, severity, details } = scorePSQIResponses(RESTFUL);
+
+    expect(score).toBe(0);
+    expect(severity).toBe('Minimal');
+    expect(details).toMatchObject({ maxScore: PSQI_MAX_SCORE, hoursInBed: 8, sleepEfficiency: 93.75, missingComponents: [] });
+  });
+
+  it('adds up the seven components of a poor sleeper', () => {
+    // Latency 45 min (2) + 5a (3) = 5 -> 3; 5.5 h asleep -> 2; 5.5 / 7 h in bed = 78.57% -> 1;
+    // disturbances 8 + 5j 2 = 10 -> 2; staying awake 2 + enthusiasm 1 = 3 -> 2
+    const { score, severity, details } = scorePSQIResponses({
+      psqi_q1: '11:30 PM', psqi_q2: '45', psqi_q3: '6:30 am', psqi_q4: '5.5', psqi_q5: '3',
+      ...disturbances([2, 1, 1, 0, 1, 2, 1, 0]),
+      q14: 'Noisy roommate', q15: 2,
+      q16: 2, q17: 1, q18: 2, q19: 1
+    });
+
+    expect(details.components).toEqual({
+      subjectiveQuality: 2,
+      latency: 3,
+      duration: 2,
+      efficiency: 1,
+      disturbances: 2,
+      medication: 1,
+      daytimeDysfunction: 2
+    });
+    expect(details).toMatchObject({ hoursInBed: 7, sleepEfficiency: 78.57 });
+    expect(score).toBe(13);
+    expect(severity).toBe('Moderate');
+  });
+
+  it('reaches the maximum of 21 across midnight', () => {
+    const { score, severity, details } = scorePSQIResponses({
+      q1: '01:00', q2: 90, q3: '05:00', q4: 2.5, q5: 3,
+      ...disturbances([3, 3, 3, 3, 3, 3, 3, 3]),
+      q15: 3, q16: 3, q17: 3, q18: 3, q19: 3
+    });
+
+    expect(details).toMatchObject({ hoursInBed: 4, sleepEfficiency: 62.5 });
+    expect(score).toBe(21);
+    expect(severity).toBe('Severe');
+  });
+
+  it.each([
+    [15, 0, 0],
+    [16, 0, 1],
+    [30, 1, 1],
+    [30, 2, 2],
+    [60, 1, 2],
+    [61, 1, 2],
+    [61, 2, 3]
+  ])('scores %i minutes to fall asleep with 5a = %i as latency %i', (minutes, cannotSleep, expected) => {
+    expect(components({ q2: minutes, q5: cannotSleep }).latency).toBe(expected);
+  });
+
+  it.each([
+    [7, 0],
+    [6.5, 1],
+    [6, 1],
+    [5, 2],
+    [4.9, 3]
+  ])('scores %f hours of sleep as duration %i', (hours, expected) => {
+    expect(components({ q4: hours }).duration).toBe(expected);
+  });
+
+  it.each([
+    [6.8, 0], // 85%
+    [6.79, 1], // 84.88%
+    [6, 1], // 75%
+    [5.2, 2], // 65%
+    [5.19, 3] // 64.88%
+  ])('scores %f hours asleep of 8 in bed as efficiency %i', (hours, expected) => {
+    expect(components({ q4: hours }).efficiency).toBe(expected);
+  });
+
+  it.each([
+    [[0, 0, 0, 0, 0, 0, 0, 0], 0, 0],
+    [[1, 0, 0, 0, 0, 0, 0, 0], 0, 1],
+    [[3, 3, 3, 0, 0, 0, 0, 0], 0, 1],
+    [[3, 3, 3, 0, 0, 0, 0, 0], 1, 2],
+    [[3, 3, 3, 3, 3, 3, 0, 0], 0, 2],
+    [[3, 3, 3, 3, 3, 3, 1, 0], 0, 3]
+  ])('scores disturbances %j with 5j = %i as %i', (items, otherReason, expected) => {
+    expect(components({ ...disturbances(items), q15: otherReason }).disturbances).toBe(expected);
+  });
+
+  it('reports components it cannot compute and scores them 0', () => {
+    const { score, details } = scorePSQIResponses({ ...RESTFUL, q3: 'sometime', q16: undefined, q18: 5 });
+
+    expect(details.missingComponents).toEqual(['subjectiveQuality', 'efficiency', 'daytimeDysfunction']);
+    expect(details.hoursInBed).toBeNull();
+    expect(score).toBe(0);
+  });
+});
+
+describe('parseClockTime', () => {
+  it.each([
+    ['23:30', 23.5],
+    ['7:05', 7 + 5 / 60],
+    ['11:30 PM', 23.5],
+    ['12 am', 0],
+    ['12:15 pm', 12.25],
+    ['6 a.m.', 6],
+    ['24:00', 0],
+    [22.5, 22.5]
+  ])('reads %j as %f hours', (value, hours) => {
+    expect(parseClockTime(value)).toBeCloseTo(hours, 5);
+  });
+
+  it.each(['25:00', '7:75', '13 pm', 'late', '', null, -1])('rejects %j', (value) => {
+    expect(parseClockTime(value)).toBeNull();
+  });
+});
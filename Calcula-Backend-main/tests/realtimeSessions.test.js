@@ -0,0 +1,248 @@
+import { randomUUID } from 'crypto';
+import {
+  REALTIME_MODEL,
+  MAX_SESSION_MINUTES,
+  buildSessionConfig,
+  createRealtimeSessions
+} from '../src/services/realtimeSession.service.js';
+import { DEFAULT_HELPLINES } from '../src/services/companionTools.service.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const CONTACTS = {
+  college: { name: 'Valley College', phone: '0194-555-0100', email: 'care@valley.edu' },
+  contacts: [{ label: 'Campus counselling centre', phone: '0194-555-0199', hours: '9am-5pm' }],
+  helplines: DEFAULT_HELPLINES
+};
+
+const createMemoryStore = () => {
+  const rows = new Map();
+  return {
+    rows,
+    create: async (row) => {
+      const saved = { id: randomUUID(), ended_at: null, duration_seconds: null, end_reason: null, ...row };
+      rows.set(saved.id, saved);
+      return { ...saved };
+    },
+    get: async (id, userId) => {
+      const row = rows.get(id);
+      return row && row.user_id === userId ? { ...row } : null;
+    },
+    listOpen: async (userId) => [...rows.values()].filter((row) => row.user_id === userId && !row.ended_at),
+    close: async (id, patch) => {
+      const row = rows.get(id);
+      if (!row || row.ended_at) return null;
+      Object.assign(row, patch);
+      return { ...row };
+    }
+  };
+};
+
+const createMemoryToolLog = () => {
+  const rows = [];
+  return {
+    rows,
+    record: async (row) => {
+      rows.push(row);
+      return randomUUID();
+    },
+    get: async () => null,
+    transition: async () => null,
+    listPending: async () => []
+  };
+};
+
+// Fake POST /v1/realtime/sessions; `mode` switches it to an error or a network failure
+const createFakeOpenAI = () => {
+  const fake = { requests: [], mode: 'ok' };
+  fake.fetch = async (url, { headers, body }) => {
+    if (fake.mode === 'offline') {
+      const error = new TypeError('fetch failed');
+      error.cause = { code: 'ENOTFOUND' };
+      throw error;
+    }
+    fake.requests.push({ url, headers, body: JSON.parse(body) });
+    if (fake.mode === 'error') {
+      return { ok: false, status: 500, statusText: 'Server Error', json: async () => ({ error: { message: 'boom' } }) };
+    }
+    return {
+      ok: true,
+      json: async () => ({ id: 'sess_123', client_secret: { value: 'ek_test', expires_at: 1760000000 } })
+    };
+  };
+  return fake;
+};
+
+const STUDENT = { userId: 'student-1', collegeId: 'college-1', role: 'student' };
+
+const setup = () => {
+  const clock = { time: new Date('2026-10-18T10:00:00Z') };
+  clock.advance = (ms) => { clock.time = new Date(clock.time.getTime() + ms); };
+  const store = createMemoryStore();
+  const toolLog = createMemoryToolLog();
+  const openai = createFakeOpenAI();
+  const env = { apiKey: 'sk-test' };
+  const voices = { 'student-1': 'echo', 'student-2': 'nova' };
+  const languages = { 'student-2': 'hi' };
+
+  const sessions = createRealtimeSessions({
+    store,
+    toolLog,
+    fetch: openai.fetch,
+    apiKey: () => env.apiKey,
+    loadContacts: async () => CONTACTS,
+    loadVoice: async (userId) => voices[userId] || 'alloy',
+    loadLanguage: async (userId) => languages[userId] || 'en',
+    now: () => clock.time
+  });
+
+  return { clock, store, toolLog, openai, env, sessions };
+};
+
+const toolNames = (config) => config.tools.map((tool) => tool.name).sort();
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildSessionConfig', () => {
+  const student = buildSessionConfig('student', { crisisContacts: CONTACTS });
+  const counsellor = buildSessionConfig('counsellor', { crisisContacts: CONTACTS });
+  const admin = buildSessionConfig('admin', { crisisContacts: { college: null, contacts: [], helplines: DEFAULT_HELPLINES } });
+
+  it.each([['student', student], ['counsellor', counsellor], ['admin', admin]])('gives the %s crisis guidance and helplines', (_role, config) => {
+    expect(config.instructions).toContain('SensEase AI');
+    expect(config.instructions).toMatch(/CRISIS:.*ask directly whether they are safe/);
+    DEFAULT_HELPLINES.forEach(({ phone }) => expect(config.instructions).toContain(phone));
+    expect(config.model).toBe(REALTIME_MODEL);
+    expect(config.turn_detection.type).toBe('server_vad');
+    config.tools.forEach((tool) => expect(tool).toMatchObject({ type: 'function', parameters: expect.any(Object) }));
+  });
+
+  it('lists the college contacts, or says there are none', () => {
+    expect(student.instructions).toContain('0194-555-0199 (9am-5pm)');
+    expect(student.instructions).toContain('care@valley.edu');
+    expect(admin.instructions).toContain('has not listed its own crisis contacts');
+  });
+
+  it('offers students read-only tools and staff only the crisis contacts', () => {
+    expect(toolNames(student)).toEqual(['find_counsellor_slots', 'get_crisis_contacts', 'suggest_wellness_tool']);
+    expect(toolNames(counsellor)).toEqual(['get_crisis_contacts']);
+    expect(toolNames(admin)).toEqual(['get_crisis_contacts']);
+  });
+
+  it('gives students longer pauses than staff', () => {
+    expect(student.turn_detection.silence_duration_ms).toBeGreaterThan(counsellor.turn_detection.silence_duration_ms);
+  });
+
+  it('asks for the preferred language unless it is English', () => {
+    expect(buildSessionConfig('student', { crisisContacts: CONTACTS, language: 'ur' }).instructions)
+      .toContain('preferred language is Urdu');
+    expect(student.instructions).not.toContain('LANGUAGE:');
+  });
+});
+
+describe('createSession', () => {
+  it('asks OpenAI for a session in the user\'s voice and stores it', async () => {
+    const { sessions, openai, store, clock } = setup();
+
+    const created = await sessions.createSession(STUDENT);
+
+    const [sent] = openai.requests;
+    expect(sent.headers.Authorization).toBe('Bearer sk-test');
+    expect(sent.body.voice).toBe('echo');
+    expect(sent.body.instructions).toContain('Valley College');
+    expect(created).toMatchObject({ clientSecret: 'ek_test', expiresAt: 1760000000 });
+    expect(store.rows.get(created.session.id)).toMatchObject({
+      role: 'student',
+      provider_session_id: 'sess_123',
+      started_at: clock.time.toISOString()
+    });
+  });
+
+  it('falls back to a realtime voice and sends the preferred language', async () => {
+    const { sessions, openai } = setup();
+
+    const other = await sessions.createSession({ ...STUDENT, userId: 'student-2' });
+
+    expect(other.session.voice).toBe('alloy');
+    expect(openai.requests.at(-1).body.instructions).toContain('Write in Hindi');
+  });
+
+  it('refuses superadmins and reports provider problems', async () => {
+    const { sessions, openai, env } = setup();
+
+    await expect(sessions.createSession({ ...STUDENT, role: 'superadmin' })).rejects.toMatchObject({ statusCode: 403 });
+    env.apiKey = '';
+    await expect(sessions.createSession(STUDENT)).rejects.toMatchObject({ statusCode: 503 });
+    env.apiKey = 'sk-test';
+    openai.mode = 'error';
+    await expect(sessions.createSession(STUDENT)).rejects.toMatchObject({ statusCode: 502 });
+    openai.mode = 'offline';
+    await expect(sessions.createSession(STUDENT)).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it('closes an abandoned session at the time limit when the user starts another', async () => {
+    const { sessions, store, clock } = setup();
+    const abandoned = await sessions.createSession(STUDENT);
+
+    clock.advance(2 * MAX_SESSION_MINUTES * 60 * 1000);
+    await sessions.createSession(STUDENT);
+
+    expect(store.rows.get(abandoned.session.id)).toMatchObject({
+      end_reason: 'expired',
+      duration_seconds: MAX_SESSION_MINUTES * 60
+    });
+  });
+});
+
+describe('runTool', () => {
+  it('runs read-only tools, refuses write tools and logs every call', async () => {
+    const { sessions, toolLog } = setup();
+    const { session } = await sessions.createSession(STUDENT);
+
+    const suggested = await sessions.runTool(session.id, STUDENT, {
+      callId: 'call_1', name: 'suggest_wellness_tool', arguments: '{"concern":"burnout"}'
+    });
+    expect(suggested.event.status).toBe('succeeded');
+    expect(JSON.parse(suggested.output).tools).toEqual(expect.arrayContaining([expect.objectContaining({ id: 'pomodoroTimer' })]));
+
+    const drafted = await sessions.runTool(session.id, STUDENT, { callId: 'call_2', name: 'draft_appointment_request', arguments: '{}' });
+    expect(drafted.event.status).toBe('failed');
+    expect(drafted.output).toContain('Unknown tool');
+
+    const broken = await sessions.runTool(session.id, STUDENT, { callId: 'call_3', name: 'suggest_wellness_tool', arguments: '{not json' });
+    expect(broken.output).toContain('not valid JSON');
+
+    expect(toolLog.rows).toHaveLength(3);
+    toolLog.rows.forEach((row) => expect(row).toMatchObject({ user_id: 'student-1', conversation_id: null }));
+  });
+
+  it('only runs tools on the user\'s own open session', async () => {
+    const { sessions } = setup();
+    const { session } = await sessions.createSession(STUDENT);
+    const call = { name: 'suggest_wellness_tool', arguments: '{}' };
+
+    await expect(sessions.runTool(session.id, { userId: 'student-2' }, call)).rejects.toMatchObject({ statusCode: 404 });
+    await sessions.endSession(session.id, 'student-1');
+    await expect(sessions.runTool(session.id, STUDENT, call)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('endSession', () => {
+  it('records the duration once', async () => {
+    const { sessions, clock } = setup();
+    const { session } = await sessions.createSession(STUDENT);
+
+    clock.advance(95 * 1000);
+    await expect(sessions.endSession(session.id, 'student-1')).resolves.toMatchObject({ durationSeconds: 95, endReason: 'ended' });
+    clock.advance(60 * 1000);
+    await expect(sessions.endSession(session.id, 'student-1')).resolves.toMatchObject({ durationSeconds: 95 });
+  });
+});
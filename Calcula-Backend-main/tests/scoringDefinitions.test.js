@@ -0,0 +1,39 @@
+import { scoreWithDefinition, validateScoringDefinition } from '../src/utils/scoringEngine.js';
+import { BUILT_IN_DEFINITIONS } from '../src/utils/scoringDefinitions.js';
+import { scoringCases, customDefinition, customDefinitionCases } from '../scripts/fixtures/scoringCases.js';
+
+const expectScore = (definition, responses, { score, severity, subscales = {} }) => {
+  const result = scoreWithDefinition(definition, responses);
+
+  expect(result).toMatchObject({ score, severity });
+  Object.entries(subscales).forEach(([id, subscaleScore]) => {
+    expect(result.subscales[id]?.score).toBe(subscaleScore);
+  });
+};
+
+describe('scoring definitions', () => {
+  it.each(Object.entries({ ...BUILT_IN_DEFINITIONS, custom: customDefinition }))('%s is a valid definition', (_name, definition) => {
+    expect(validateScoringDefinition(definition)).toEqual([]);
+  });
+
+  it.each(scoringCases.map((entry, i) => [entry.formType, i, entry]))(
+    '%s case %i matches the legacy scorer',
+    (formType, _i, { responses, expected }) => {
+      expectScore(BUILT_IN_DEFINITIONS[formType], responses, expected);
+    }
+  );
+
+  it.each(customDefinitionCases.map((entry, i) => [i, entry]))(
+    'custom case %i applies weights, reverse items, the mean and subscales',
+    (_i, { responses, expected }) => {
+      expectScore(customDefinition, responses, expected);
+    }
+  );
+
+  it('reports an invalid definition per field', () => {
+    const errors = validateScoringDefinition({ method: 'median', items: [] });
+
+    expect(errors.length).toBeGreaterThan(0);
+    errors.forEach((error) => expect(error).toEqual(expect.objectContaining({ field: expect.any(String), message: expect.any(String) })));
+  });
+});
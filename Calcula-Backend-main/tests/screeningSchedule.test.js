@@ -0,0 +1,161 @@
+import { computeDueAssessments } from '../src/utils/screeningSchedule.js';
+import { createScreeningReminderJob } from '../src/jobs/screeningReminders.job.js';
+import { screeningCases } from '../scripts/fixtures/screeningCases.js';
+
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+
+const HISTORY = [{ form_type: 'PHQ-9', created_at: '2027-01-01T09:00:00.000Z' }];
+
+// In-memory screening_reminders: syncReminders creates each due reminder once
+const createReminderStore = ({ failingColleges = [] } = {}) => {
+  const stored = new Map();
+  const syncCalls = [];
+
+  const syncReminders = async (collegeId, now) => {
+    syncCalls.push({ collegeId, now: now.toISOString() });
+    if (failingColleges.includes(collegeId)) throw new Error('simulated failure');
+
+    return computeDueAssessments({ history: HISTORY, now })
+      .map((item) => ({
+        id: `${collegeId}-${item.formType}-${item.dueAt}`,
+        student_id: 'student-1',
+        form_type: item.formType,
+        reason: item.reason,
+        due_at: item.dueAt
+      }))
+      .filter((row) => !stored.has(row.id) && stored.set(row.id, row));
+  };
+
+  return { stored, syncCalls, syncReminders };
+};
+
+const createIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+};
+
+describe('computeDueAssessments', () => {
+  it.each(screeningCases)('$label', ({ now, history, campaigns, student, expected }) => {
+    const due = computeDueAssessments({ history, campaigns, student, now: new Date(now) });
+
+    expect(due.map(({ formType, reason }) => `${formType}:${reason}`).sort())
+      .toEqual(expected.map(({ formType, reason }) => `${formType}:${reason}`).sort());
+
+    expected
+      .filter((item) => item.overdue !== undefined)
+      .forEach((item) => {
+        expect(due.find((d) => d.formType === item.formType).overdue).toBe(item.overdue);
+      });
+  });
+
+  it('makes a re-screen due two weeks after the last attempt', () => {
+    const [due] = computeDueAssessments({ history: HISTORY, now: new Date('2027-01-20T09:00:00.000Z') });
+
+    expect(due).toMatchObject({ formType: 'PHQ-9', reason: 'rescreen' });
+    expect(new Date(due.dueAt).toISOString()).toBe('2027-01-15T09:00:00.000Z');
+  });
+});
+
+describe('createScreeningReminderJob', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('creates each reminder once as the injected clock advances', async () => {
+    let current = new Date('2027-01-14T09:00:00.000Z');
+    const store = createReminderStore();
+    const io = createIo();
+    const job = createScreeningReminderJob({
+      clock: { now: () => current },
+      io,
+      syncReminders: store.syncReminders,
+      getCollegeIds: async () => ['college-a']
+    });
+
+    const day1 = await job.runOnce();
+    current = new Date('2027-01-15T09:00:00.000Z');
+    const day2 = await job.runOnce();
+    current = new Date('2027-01-16T09:00:00.000Z');
+    const day3 = await job.runOnce();
+
+    expect([day1.created, day2.created, day3.created]).toEqual([0, 1, 0]);
+    expect(day2.ranAt).toBe('2027-01-15T09:00:00.000Z');
+    expect(store.syncCalls.map((call) => call.now)).toEqual([
+      '2027-01-14T09:00:00.000Z',
+      '2027-01-15T09:00:00.000Z',
+      '2027-01-16T09:00:00.000Z'
+    ]);
+    expect(store.stored.size).toBe(1);
+    expect(io.emitted).toEqual([{
+      room: 'user:student-1',
+      event: 'assessment_due',
+      payload: expect.objectContaining({ formType: 'PHQ-9', reason: 'rescreen' })
+    }]);
+  });
+
+  it('keeps going when one college fails', async () => {
+    const store = createReminderStore({ failingColleges: ['college-broken'] });
+    const job = createScreeningReminderJob({
+      clock: { now: () => new Date('2027-01-15T09:00:00.000Z') },
+      syncReminders: store.syncReminders,
+      getCollegeIds: async () => ['college-broken', 'college-a']
+    });
+
+    await expect(job.runOnce()).resolves.toMatchObject({ colleges: 1, created: 1, failed: 1 });
+  });
+
+  it('runs on start and then every interval until stopped', async () => {
+    jest.useFakeTimers({ now: new Date('2027-01-14T09:00:00.000Z') });
+    const store = createReminderStore();
+    const job = createScreeningReminderJob({
+      clock: { now: () => new Date() },
+      intervalMs: 24 * 60 * 60 * 1000,
+      syncReminders: store.syncReminders,
+      getCollegeIds: async () => ['college-a']
+    });
+
+    job.start();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(store.syncCalls).toHaveLength(1);
+    expect(store.stored.size).toBe(0);
+
+    await jest.advanceTimersByTimeAsync(24 * 60 * 60 * 1000);
+    expect(store.syncCalls.map((call) => call.now)).toEqual(['2027-01-14T09:00:00.000Z', '2027-01-15T09:00:00.000Z']);
+    expect(store.stored.size).toBe(1);
+
+    job.stop();
+    await jest.advanceTimersByTimeAsync(2 * 24 * 60 * 60 * 1000);
+    expect(store.syncCalls).toHaveLength(2);
+  });
+
+  it('skips a tick while the previous run is still going', async () => {
+    jest.useFakeTimers({ now: new Date('2027-01-15T09:00:00.000Z') });
+    let release;
+    const getCollegeIds = jest.fn(() => new Promise((resolve) => { release = () => resolve([]); }));
+    const job = createScreeningReminderJob({
+      clock: { now: () => new Date() },
+      intervalMs: 1000,
+      syncReminders: async () => [],
+      getCollegeIds
+    });
+
+    job.start();
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(getCollegeIds).toHaveBeenCalledTimes(1);
+
+    release();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(getCollegeIds).toHaveBeenCalledTimes(2);
+    job.stop();
+  });
+});
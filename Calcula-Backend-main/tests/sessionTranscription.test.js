@@ -0,0 +1,225 @@
+import { createMockProvider, setProvider, resetProviders } from '../src/services/llm/index.js';
+import { createSessionTranscription, parseSessionSummary } from '../src/services/sessionTranscription.service.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const COUNSELLOR = { userId: 'counsellor-1', collegeId: 'college-1' };
+const OTHER_COUNSELLOR = { userId: 'counsellor-2', collegeId: 'college-1' };
+const STUDENT = 'student-1';
+
+const SUMMARY_REPLY = JSON.stringify({
+  notes: 'The student described exam stress and poor sleep. Breathing exercises and a study plan were discussed.',
+  session_goals: ['Try box breathing before bed', { goal: 'Draft a weekly study plan' }, '']
+});
+
+const createMemoryStore = () => {
+  const appointments = new Map([
+    ['appt-1', { id: 'appt-1', student_id: STUDENT, counsellor_id: 'counsellor-1', college_id: 'college-1', status: 'confirmed' }],
+    ['appt-2', { id: 'appt-2', student_id: STUDENT, counsellor_id: 'counsellor-1', college_id: 'college-1', status: 'cancelled' }]
+  ]);
+  const consents = new Map();
+  const transcripts = new Map();
+  const chunks = new Map();
+  let nextId = 1;
+
+  return {
+    transcripts,
+    chunks,
+    getAppointment: async (id) => appointments.get(id) || null,
+    getConsent: async (id) => consents.get(id) || null,
+    saveConsent: async (row) => {
+      consents.set(row.appointment_id, { ...row });
+      return { ...row };
+    },
+    getTranscript: async (id) => (transcripts.has(id) ? { ...transcripts.get(id) } : null),
+    createTranscript: async (row) => {
+      const saved = { id: `t-${nextId++}`, transcript: null, summary: null, summary_generated_at: null, ended_at: null, ...row };
+      transcripts.set(row.appointment_id, saved);
+      return { ...saved };
+    },
+    updateTranscript: async (id, patch) => {
+      const row = [...transcripts.values()].find((t) => t.id === id);
+      Object.assign(row, patch);
+      return { ...row };
+    },
+    deleteTranscript: async (appointmentId) => {
+      const row = transcripts.get(appointmentId);
+      if (!row) return false;
+      transcripts.delete(appointmentId);
+      [...chunks.keys()].filter((key) => key.startsWith(`${row.id}:`)).forEach((key) => chunks.delete(key));
+      return true;
+    },
+    saveChunk: async (row) => {
+      chunks.set(`${row.transcript_id}:${row.seq}`, row);
+    },
+    listChunks: async (transcriptId) => [...chunks.values()]
+      .filter((row) => row.transcript_id === transcriptId)
+      .sort((a, b) => a.seq - b.seq)
+  };
+};
+
+// The mock provider "transcribes" UTF-8 audio as its text
+const audio = (text) => Buffer.from(text, 'utf8');
+
+const setup = (options = {}) => {
+  const store = createMemoryStore();
+  const service = createSessionTranscription({ store, loadLanguage: async () => 'en', ...options });
+  return { store, service };
+};
+
+// Consent granted and recording started on appt-1
+const recording = async (options) => {
+  const { store, service } = setup(options);
+  await service.setConsent('appt-1', STUDENT, true);
+  const started = await service.startTranscript('appt-1', COUNSELLOR);
+  return { store, service, started };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  setProvider(createMockProvider({ reply: SUMMARY_REPLY }), ['chat', 'transcribe']);
+});
+
+afterEach(() => {
+  resetProviders();
+  jest.restoreAllMocks();
+});
+
+describe('parseSessionSummary', () => {
+  it('turns the reply into appointment notes and goals', () => {
+    const parsed = parseSessionSummary(SUMMARY_REPLY);
+
+    expect(parsed.notes).toMatch(/^The student described/);
+    expect(parsed.session_goals).toEqual([
+      { goal: 'Try box breathing before bed', completed: false },
+      { goal: 'Draft a weekly study plan', completed: false }
+    ]);
+  });
+
+  it('cuts a long draft to the appointment limits', () => {
+    const long = parseSessionSummary(JSON.stringify({ notes: 'x'.repeat(5000), session_goals: Array(9).fill('y'.repeat(300)) }));
+
+    expect(long.notes).toHaveLength(2000);
+    expect(long.session_goals).toHaveLength(5);
+    expect(long.session_goals[0].goal).toHaveLength(200);
+  });
+
+  it('keeps a reply that is not JSON as the notes', () => {
+    expect(parseSessionSummary('Just some notes')).toEqual({ notes: 'Just some notes', session_goals: [] });
+  });
+});
+
+describe('consent', () => {
+  it('is off by default and only the student can grant it for an open appointment', async () => {
+    const { service } = setup();
+
+    await expect(service.startTranscript('appt-1', COUNSELLOR)).rejects.toMatchObject({ statusCode: 403 });
+    expect((await service.getConsent('appt-1', STUDENT)).consented).toBe(false);
+
+    await expect(service.setConsent('appt-1', 'student-2', true)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.setConsent('appt-2', STUDENT, true)).rejects.toMatchObject({ statusCode: 409 });
+    await expect(service.setConsent('appt-1', STUDENT, 'yes')).rejects.toMatchObject({ statusCode: 400 });
+
+    const granted = await service.setConsent('appt-1', STUDENT, true);
+    expect(granted.consented).toBe(true);
+    expect(granted.consentedAt).toBeTruthy();
+  });
+
+  it('withdrawing deletes the transcript and blocks new ones', async () => {
+    const { store, service } = await recording();
+    await service.addChunk('appt-1', COUNSELLOR, { seq: 0, audio: audio('hello') });
+    await service.finishTranscript('appt-1', COUNSELLOR);
+
+    const withdrawn = await service.setConsent('appt-1', STUDENT, false);
+
+    expect(withdrawn).toMatchObject({ consented: false, transcriptDeleted: true });
+    expect(withdrawn.consentedAt).toBeTruthy();
+    expect(store.transcripts.size).toBe(0);
+    expect(store.chunks.size).toBe(0);
+    await expect(service.startTranscript('appt-1', COUNSELLOR)).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('withdrawing mid-session stops the next chunk', async () => {
+    const { service } = await recording();
+    await service.addChunk('appt-1', COUNSELLOR, { seq: 0, audio: audio('hello') });
+    await service.setConsent('appt-1', STUDENT, false);
+
+    await expect(service.addChunk('appt-1', COUNSELLOR, { seq: 1, audio: audio('x') }))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('recording', () => {
+  it('only lets the appointment\'s counsellor record after starting', async () => {
+    const { service } = setup();
+    await service.setConsent('appt-1', STUDENT, true);
+
+    await expect(service.startTranscript('appt-1', OTHER_COUNSELLOR)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.addChunk('appt-1', COUNSELLOR, { seq: 0, audio: audio('hi') }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    const started = await service.startTranscript('appt-1', COUNSELLOR);
+    expect(started).toMatchObject({ status: 'recording', chunks: 0 });
+    expect((await service.startTranscript('appt-1', COUNSELLOR)).id).toBe(started.id);
+  });
+
+  it('joins out-of-order and retried chunks in order and drafts the summary', async () => {
+    const { service } = await recording();
+
+    await service.addChunk('appt-1', COUNSELLOR, { seq: '2', audio: audio('and my sleep is bad.') });
+    await service.addChunk('appt-1', COUNSELLOR, { seq: 0, audio: audio('I have been stressed') });
+    await service.addChunk('appt-1', COUNSELLOR, { seq: 1, audio: audio('about exams garbled') });
+    await expect(service.addChunk('appt-1', COUNSELLOR, { seq: 1, audio: audio('about my exams') }))
+      .resolves.toMatchObject({ seq: 1, text: 'about my exams' });
+
+    await expect(service.addChunk('appt-1', COUNSELLOR, { seq: -1, audio: audio('x') }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(service.addChunk('appt-1', COUNSELLOR, { seq: 3 })).rejects.toMatchObject({ statusCode: 400 });
+
+    const during = await service.getSessionTranscript('appt-1', COUNSELLOR);
+    expect(during.consented).toBe(true);
+    expect(during.transcript.chunks).toBe(3);
+
+    const { transcript, summaryError } = await service.finishTranscript('appt-1', COUNSELLOR);
+    expect(summaryError).toBeFalsy();
+    expect(transcript).toMatchObject({
+      transcript: 'I have been stressed about my exams and my sleep is bad.',
+      status: 'completed'
+    });
+    expect(transcript.endedAt).toBeTruthy();
+    expect(transcript.summary.session_goals[0].goal).toBe('Try box breathing before bed');
+  });
+
+  it('refuses chunks and restarts once finished, but can redraft the summary', async () => {
+    const { service } = await recording();
+    await service.addChunk('appt-1', COUNSELLOR, { seq: 0, audio: audio('hello') });
+    await service.finishTranscript('appt-1', COUNSELLOR);
+
+    await expect(service.addChunk('appt-1', COUNSELLOR, { seq: 1, audio: audio('x') }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(service.startTranscript('appt-1', COUNSELLOR)).rejects.toMatchObject({ statusCode: 409 });
+
+    const again = await service.regenerateSummary('appt-1', COUNSELLOR);
+    expect(again.transcript.summary.notes).toBeTruthy();
+  });
+
+  it('keeps the transcript when the summary fails, in the counsellor\'s language', async () => {
+    const summaryLanguages = [];
+    const { service } = await recording({
+      loadLanguage: async (userId) => (userId === COUNSELLOR.userId ? 'ur' : 'en'),
+      summarize: async (text, language) => {
+        summaryLanguages.push(language);
+        throw new Error('model down');
+      }
+    });
+    await service.addChunk('appt-1', COUNSELLOR, { seq: 0, audio: audio('short session') });
+
+    const kept = await service.finishTranscript('appt-1', COUNSELLOR);
+
+    expect(kept.summaryError).toBeTruthy();
+    expect(kept.transcript).toMatchObject({ transcript: 'short session', summary: null });
+    expect(summaryLanguages).toEqual(['ur']);
+  });
+});
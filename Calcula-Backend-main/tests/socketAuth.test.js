@@ -0,0 +1,148 @@
+import jwt from 'jsonwebtoken';
+import { socketAuth, revokeUserSessions, extractSocketToken } from '../src/middleware/socketAuth.js';
+import { respondWith, resetSupabase } from './helpers/supabaseStub.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+const SECRET = 'test-jwt-secret';
+const PROFILE = { name: 'Asha', role: 'student', college_id: 'college-1', avatar_url: null };
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const signToken = (userId, { iat = nowSeconds(), expiresInSeconds = 3600, secret = SECRET } = {}) =>
+  jwt.sign({ sub: userId, email: `${userId}@example.edu`, iat, exp: iat + expiresInSeconds }, secret);
+
+// Sockets created by the current test; disconnected afterwards so no expiry timer is left running
+const sockets = [];
+
+const createSocket = (handshake) => {
+  const handlers = {};
+  const socket = {
+    handshake: { headers: {}, ...handshake },
+    emitted: [],
+    disconnected: false,
+    emit: (event, payload) => socket.emitted.push({ event, payload }),
+    disconnect: () => {
+      socket.disconnected = true;
+      handlers.disconnect?.();
+    },
+    on: (event, handler) => { handlers[event] = handler; }
+  };
+  sockets.push(socket);
+  return socket;
+};
+
+// Runs the middleware and resolves with the error passed to next, or null
+const authenticate = (socket) => new Promise((resolve) => {
+  socketAuth(socket, (error) => resolve(error || null));
+});
+
+const createIo = (socketsByNamespace) => ({
+  of: (name) => ({ sockets: new Map((socketsByNamespace[name] || []).map((s, i) => [`${name}-${i}`, s])) })
+});
+
+beforeEach(() => {
+  process.env.SUPABASE_JWT_SECRET = SECRET;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  respondWith((query) => (query.table === 'profiles' ? { data: PROFILE } : {}));
+});
+
+afterEach(() => {
+  sockets.splice(0).forEach((socket) => socket.disconnect());
+  jest.useRealTimers();
+  resetSupabase();
+  jest.restoreAllMocks();
+});
+
+describe('extractSocketToken', () => {
+  it('reads handshake.auth, then a bearer header, then the access token cookie', () => {
+    expect(extractSocketToken({ auth: { token: 'a' }, headers: { authorization: 'Bearer b' } })).toBe('a');
+    expect(extractSocketToken({ headers: { authorization: 'Bearer b', cookie: 'sb-access-token=c' } })).toBe('b');
+    expect(extractSocketToken({ headers: { cookie: 'theme=dark; sb-access-token=c%3Dd' } })).toBe('c=d');
+    expect(extractSocketToken({ headers: { authorization: 'Basic x' } })).toBeNull();
+  });
+});
+
+describe('socketAuth', () => {
+  it('takes identity from the token and profile, never from the client', async () => {
+    const socket = createSocket({
+      auth: { token: signToken('user-1'), userId: 'user-2', role: 'admin', collegeId: 'college-2' }
+    });
+
+    await expect(authenticate(socket)).resolves.toBeNull();
+    expect(socket.user).toMatchObject({
+      id: 'user-1',
+      user_id: 'user-1',
+      role: 'student',
+      college_id: 'college-1'
+    });
+  });
+
+  it.each([
+    ['no token', {}, 'UNAUTHENTICATED'],
+    ['an expired token', { auth: { token: signToken('user-1', { iat: nowSeconds() - 7200 }) } }, 'TOKEN_EXPIRED'],
+    ['a token signed with another secret', { auth: { token: signToken('user-1', { secret: 'other' }) } }, 'INVALID_TOKEN'],
+    ['a malformed token', { auth: { token: 'not-a-jwt' } }, 'INVALID_TOKEN'],
+    ['a client-supplied user id', { auth: { userId: 'user-1', role: 'admin' } }, 'UNAUTHENTICATED']
+  ])('rejects %s', async (_label, handshake, code) => {
+    const socket = createSocket(handshake);
+
+    await expect(authenticate(socket)).resolves.toMatchObject({ data: { code } });
+    expect(socket.user).toBeUndefined();
+  });
+
+  it('rejects a user without a profile', async () => {
+    respondWith(() => ({ data: null }));
+
+    await expect(authenticate(createSocket({ auth: { token: signToken('user-1') } })))
+      .resolves.toMatchObject({ data: { code: 'UNAUTHENTICATED' } });
+  });
+
+  it('disconnects the socket when its token expires', async () => {
+    jest.useFakeTimers({ now: new Date('2027-01-04T09:00:00Z') });
+    const socket = createSocket({ auth: { token: signToken('user-1', { expiresInSeconds: 60 }) } });
+
+    await expect(authenticate(socket)).resolves.toBeNull();
+    jest.advanceTimersByTime(59 * 1000);
+    expect(socket.disconnected).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(socket.emitted).toEqual([{ event: 'session_expired', payload: undefined }]);
+    expect(socket.disconnected).toBe(true);
+  });
+
+  it('stops the expiry timer when the socket disconnects first', async () => {
+    jest.useFakeTimers({ now: new Date('2027-01-04T09:00:00Z') });
+    const socket = createSocket({ auth: { token: signToken('user-1', { expiresInSeconds: 60 }) } });
+
+    await authenticate(socket);
+    socket.disconnect();
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+describe('revokeUserSessions', () => {
+  it("disconnects the user's sockets in every namespace and no one else's", async () => {
+    const own = createSocket({ auth: { token: signToken('user-revoked') } });
+    const community = createSocket({ auth: { token: signToken('user-revoked') } });
+    const other = createSocket({ auth: { token: signToken('user-other') } });
+    await Promise.all([own, community, other].map(authenticate));
+
+    const io = createIo({ '/': [own, other], '/community': [community] });
+
+    expect(revokeUserSessions(io, 'user-revoked', 'logout')).toBe(2);
+    expect(own.emitted).toContainEqual({ event: 'session_revoked', payload: { reason: 'logout' } });
+    expect([own.disconnected, community.disconnected, other.disconnected]).toEqual([true, true, false]);
+  });
+
+  it('rejects tokens issued before the revocation, but not new ones', async () => {
+    const oldToken = signToken('user-logged-out', { iat: nowSeconds() - 60 });
+    revokeUserSessions(null, 'user-logged-out');
+
+    await expect(authenticate(createSocket({ auth: { token: oldToken } })))
+      .resolves.toMatchObject({ data: { code: 'SESSION_REVOKED' } });
+    await expect(authenticate(createSocket({ auth: { token: signToken('user-logged-out') } })))
+      .resolves.toBeNull();
+  });
+});
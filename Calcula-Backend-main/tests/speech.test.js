@@ -0,0 +1,278 @@
+import http from 'http';
+import express from 'express';
+import multer from 'multer';
+import request from 'supertest';
+import {
+  LLM_ERROR_CODES,
+  createMockProvider,
+  createOpenAIProvider,
+  createGeminiProvider,
+  setProvider,
+  resetProviders
+} from '../src/services/llm/index.js';
+import { mockSpeech } from '../src/services/llm/mockProvider.js';
+import { textForSpeech, resolveVoiceOptions, synthesizeSpeech, DEFAULT_VOICE_SETTINGS } from '../src/services/speech.service.js';
+import { estimateAudioSeconds, usageFromCall } from '../src/services/aiUsage.service.js';
+import { aiChatController } from '../src/controllers/aiChatController.js';
+import { queries, respondWith, resetSupabase } from './helpers/supabaseStub.js';
+
+jest.mock('../src/utils/supabaseAdmin.js', () => require('./helpers/supabaseStub.js'));
+jest.mock('../src/config/supabase.js', () => require('./helpers/supabaseStub.js'));
+
+// Speech comes from the mock provider's local text-to-speech stand-in (a WAV
+// of silence as long as the text would take to say)
+
+const REPLY = 'I hear you. Exams can feel like a lot, so let us take one small step at a time.';
+const USER = { id: 'user-1', role: 'student', college_id: 'college-1' };
+
+// Fake OpenAI-compatible speech endpoint that records the request it got
+const startFakeSpeechServer = async () => {
+  const state = { received: null };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      state.received = { path: req.url, body: JSON.parse(body) };
+      res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+      res.end(Buffer.from('ID3fake-mp3-bytes'));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, state };
+};
+
+// The AI routes behind a signed-in student, without auth or metering
+const createApp = () => {
+  const app = express();
+  const signedIn = (req, _res, next) => {
+    req.user = USER;
+    next();
+  };
+  app.use(express.json());
+  app.post('/api/ai/speech', signedIn, aiChatController.speech);
+  app.post('/api/ai/voice', signedIn, multer({ storage: multer.memoryStorage() }).single('file'), aiChatController.voice);
+  return app;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  resetProviders();
+  resetSupabase();
+  jest.restoreAllMocks();
+});
+
+describe('mock speech', () => {
+  it('is a WAV as long as the text takes to say, shorter when faster', () => {
+    const normal = mockSpeech(REPLY);
+    const seconds = estimateAudioSeconds(normal);
+    const words = REPLY.split(/\s+/).length;
+
+    expect(normal.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(normal.toString('ascii', 8, 12)).toBe('WAVE');
+    expect(mockSpeech(REPLY).equals(normal)).toBe(true);
+    expect(seconds).toBeGreaterThanOrEqual(words / 4);
+    expect(seconds).toBeLessThanOrEqual(words / 1.5);
+    expect(estimateAudioSeconds(mockSpeech(REPLY, { speed: 2 }))).toBeCloseTo(seconds / 2, 0);
+  });
+
+  it('is metered in audio seconds', () => {
+    const audio = mockSpeech(REPLY);
+    const usage = usageFromCall({ capability: 'speak', params: { text: REPLY }, result: { audio } });
+
+    expect(usage.audio_seconds).toBe(estimateAudioSeconds(audio));
+  });
+});
+
+describe('textForSpeech', () => {
+  it('reads markdown as plain sentences and links as "the link"', () => {
+    const markdown = [
+      '## A few ideas',
+      '- **Breathe** slowly for a minute',
+      '- Try the [grounding exercise](https://example.com/grounding)',
+      '1. Talk to a counsellor: https://example.com/book'
+    ].join('\n');
+
+    expect(textForSpeech(markdown))
+      .toBe('A few ideas. Breathe slowly for a minute. Try the grounding exercise. Talk to a counsellor: the link');
+  });
+
+  it('cuts a long reply at a sentence within the provider limit', () => {
+    const long = textForSpeech('This is one sentence. '.repeat(400));
+
+    expect(long.length).toBeLessThanOrEqual(4096);
+    expect(long.endsWith('.')).toBe(true);
+  });
+});
+
+describe('resolveVoiceOptions', () => {
+  it('lets the request override the saved voice and speed', () => {
+    expect(resolveVoiceOptions(DEFAULT_VOICE_SETTINGS, { voice: 'nova', speed: '1.5' })).toEqual({ voice: 'nova', speed: 1.5 });
+  });
+
+  it('keeps the saved settings for empty overrides', () => {
+    expect(resolveVoiceOptions(DEFAULT_VOICE_SETTINGS, { voice: '', speed: undefined })).toEqual({ voice: 'alloy', speed: 1 });
+  });
+
+  it('rejects an unknown voice or a speed out of range', () => {
+    expect(() => resolveVoiceOptions(DEFAULT_VOICE_SETTINGS, { voice: 'robot' })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => resolveVoiceOptions(DEFAULT_VOICE_SETTINGS, { speed: 5 })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('synthesizeSpeech', () => {
+  it('speaks the cleaned-up text with the chosen voice and speed', async () => {
+    setProvider(createMockProvider(), ['speak']);
+
+    const result = await synthesizeSpeech('**Take** a breath', { voice: 'nova', speed: 1.25 });
+
+    expect(result).toMatchObject({ mimeType: 'audio/wav', voice: 'nova', speed: 1.25 });
+    expect(result.audio.equals(mockSpeech('Take a breath', { speed: 1.25 }))).toBe(true);
+  });
+
+  it('rejects text with nothing to say', async () => {
+    setProvider(createMockProvider(), ['speak']);
+    await expect(synthesizeSpeech('  **  ')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('reports Gemini as unsupported and OpenAI without a key as not configured', async () => {
+    await expect(createGeminiProvider({ apiKey: 'x', chatModel: 'x' }).speak({ text: 'hi' }))
+      .rejects.toMatchObject({ code: LLM_ERROR_CODES.UNSUPPORTED });
+    await expect(createOpenAIProvider({ speechModel: 'tts-1' }).speak({ text: 'hi' }))
+      .rejects.toMatchObject({ code: LLM_ERROR_CODES.NOT_CONFIGURED });
+  });
+
+  it('calls an OpenAI-compatible speech endpoint', async () => {
+    const { server, state } = await startFakeSpeechServer();
+    const local = createOpenAIProvider({
+      name: 'local',
+      baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+      speechModel: 'kokoro'
+    });
+
+    try {
+      const spoken = await local.speak({ text: 'hello', voice: 'echo', speed: 0.75 });
+
+      expect(state.received.path).toBe('/v1/audio/speech');
+      expect(state.received.body).toMatchObject({ model: 'kokoro', voice: 'echo', input: 'hello', speed: 0.75, response_format: 'mp3' });
+      expect(spoken.mimeType).toBe('audio/mpeg');
+      expect(spoken.audio.toString()).toBe('ID3fake-mp3-bytes');
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
+
+describe('POST /api/ai/speech', () => {
+  beforeEach(() => {
+    setProvider(createMockProvider(), ['speak']);
+  });
+
+  it('returns the audio with the voice and speed in headers', async () => {
+    const response = await request(createApp())
+      .post('/api/ai/speech')
+      .send({ text: REPLY, voice: 'shimmer', speed: 1.5 })
+      .buffer(true)
+      .parse((res, done) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('audio/wav');
+    expect(response.headers['x-speech-voice']).toBe('shimmer');
+    expect(response.headers['x-speech-speed']).toBe('1.5');
+    expect(response.body.equals(mockSpeech(REPLY, { speed: 1.5 }))).toBe(true);
+  });
+
+  it('rejects an unknown voice and empty text', async () => {
+    const app = createApp();
+
+    expect((await request(app).post('/api/ai/speech').send({ text: REPLY, voice: 'robot' })).status).toBe(400);
+    expect((await request(app).post('/api/ai/speech').send({ text: ' ' })).status).toBe(400);
+  });
+});
+
+describe('POST /api/ai/voice', () => {
+  let voiceSettings;
+
+  beforeEach(() => {
+    voiceSettings = null;
+    setProvider(createMockProvider({ reply: REPLY }));
+    respondWith((query) => {
+      if (query.table === 'ai_voice_settings' && query.action === 'select') return { data: voiceSettings };
+      if (query.table === 'ai_conversations' && query.action === 'select' && query.single === 'single') {
+        return { data: { id: 'conv-1', user_id: USER.id } };
+      }
+      if (query.table === 'ai_messages' && query.action === 'insert') return { data: { id: 'msg-1' } };
+      return {};
+    });
+  });
+
+  // The mock provider "transcribes" UTF-8 audio as its text
+  const sendVoice = (fields = {}) => {
+    const req = request(createApp()).post('/api/ai/voice').field('conversationId', 'conv-1');
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('file', Buffer.from('I am stressed about my exams'), { filename: 'clip.webm', contentType: 'audio/webm' });
+  };
+
+  it('answers with the transcript, the reply and the reply as audio', async () => {
+    const response = await sendVoice({ voice: 'nova', speed: '1.25' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      transcribedText: 'I am stressed about my exams',
+      botResponse: REPLY,
+      conversationId: 'conv-1'
+    });
+    expect(response.body.speech).toMatchObject({ mimeType: 'audio/wav', voice: 'nova', speed: 1.25 });
+    expect(Buffer.from(response.body.speech.audio, 'base64').equals(mockSpeech(REPLY, { speed: 1.25 }))).toBe(true);
+  });
+
+  it('uses the saved voice settings and skips audio when spoken replies are off', async () => {
+    voiceSettings = { voice: 'echo', speed: 0.75, spoken_replies: true, updated_at: null };
+    expect((await sendVoice()).body.speech).toMatchObject({ voice: 'echo', speed: 0.75 });
+
+    voiceSettings = { ...voiceSettings, spoken_replies: false };
+    expect((await sendVoice()).body.speech).toBeNull();
+    expect((await sendVoice({ speak: 'true' })).body.speech).toMatchObject({ voice: 'echo' });
+  });
+
+  it('still sends the text reply when speech fails', async () => {
+    setProvider(createMockProvider({ failWith: LLM_ERROR_CODES.TIMEOUT }), ['speak']);
+
+    const response = await sendVoice();
+
+    expect(response.status).toBe(200);
+    expect(response.body.botResponse).toBe(REPLY);
+    expect(response.body.speech).toBeNull();
+    expect(response.body.speechError).toBeTruthy();
+  });
+
+  it('rejects an unknown voice', async () => {
+    expect((await sendVoice({ voice: 'robot' })).status).toBe(400);
+  });
+
+  it('sends the reply without waiting for the title', async () => {
+    // The titler's conversation lookup never answers
+    const isTitleLookup = (query) => query.table === 'ai_conversations' && query.columns?.includes('title_generated_at');
+    respondWith((query) => {
+      if (isTitleLookup(query)) return new Promise(() => {});
+      if (query.table === 'ai_conversations' && query.single === 'single') return { data: { id: 'conv-1', user_id: USER.id } };
+      if (query.table === 'ai_messages' && query.action === 'insert') return { data: { id: 'msg-1' } };
+      return {};
+    });
+
+    const response = await sendVoice();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ botResponse: REPLY, conversationId: 'conv-1' });
+    expect(response.body).not.toHaveProperty('title');
+    expect(queries.some(isTitleLookup)).toBe(true);
+  });
+});
@@ -27,6 +27,7 @@ import AdminFormManagement from './AdminFormManagement';
 import AdminFormResponse from './AdminFormResponse';
 import { mockForms } from '@data/mocks/forms';
 import { BACKEND_ENABLED, API_BASE } from '../../lib/backendConfig';
+import { getDueAssessments } from '@services/assessmentService';
 
 const AssessmentDashboard = ({ userRole = 'student' }) => {
   const { theme } = useTheme();
@@ -40,14 +41,47 @@ const AssessmentDashboard = ({ userRole = 'student' }) => {
   const [selectedForm, setSelectedForm] = useState(null);
   const [selectedFormType, setSelectedFormType] = useState(null); // 'standard' or 'admin'
   const [lastSubmission, setLastSubmission] = useState(null);
+  const [dueAssessments, setDueAssessments] = useState([]);
 
   // Initialize session and load forms
   useEffect(() => {
     initializeSession();
     loadAvailableForms();
     loadAdminForms();
+    if (userRole === 'student') loadDueAssessments();
   }, []);
 
+  // Due badges are a hint only; the forms still load if this fails
+  const loadDueAssessments = async () => {
+    try {
+      const result = await getDueAssessments();
+      setDueAssessments(result.due || []);
+    } catch (error) {
+      console.error('Error loading due assessments:', error);
+    }
+  };
+
+  const getDueItem = (form) => dueAssessments.find((item) => item.formType === form.name);
+
+  const renderDueBadge = (form) => {
+    const due = getDueItem(form);
+    if (!due) return null;
+
+    const label = due.overdue
+      ? 'Overdue'
+      : due.reason === 'campaign' ? `Due by ${new Date(due.dueAt).toLocaleDateString()}` : 'Due to retake';
+
+    return (
+      <Badge
+        className={`text-xs ${due.overdue ? 'bg-red-100 text-red-800' : 'bg-amber-100 text-amber-800'}`}
+        title={due.campaignName || undefined}
+      >
+        <Clock className="w-3 h-3 mr-1" />
+        {label}
+      </Badge>
+    );
+  };
+
   const initializeSession = async () => {
     try {
       // Check if we have an existing session
@@ -224,6 +258,7 @@ const AssessmentDashboard = ({ userRole = 'student' }) => {
               <div key={form.id} className={`flex items-center justify-between p-3 rounded-lg ${theme.colors.card} border`}> 
                 <div className="flex-1">
                   <div className="font-semibold">{t(`${form.id}_title`) || form.title}</div>
+                  {renderDueBadge(form)}
                   <div className={`text-sm ${theme.colors.muted} hide-on-mobile`}>{t(`${form.id}_desc`)?.slice(0, 80) || form.description?.slice(0, 80)}</div>
                 </div>
                 <div className="ml-3">
@@ -255,6 +290,7 @@ const AssessmentDashboard = ({ userRole = 'student' }) => {
                       {getFormIcon(form.name)}
                     </div>
                   </div>
+                  {renderDueBadge(form)}
                   <CardDescription className={`${theme.colors.muted} text-sm leading-relaxed`}>
                     {t(`${form.id}_desc`) || form.description}
                   </CardDescription>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useTheme } from '../../context/ThemeContext';
 import { useLanguage } from '../../context/LanguageContext';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
@@ -13,12 +13,28 @@ import {
   Send,
   Clock,
   Shield,
-  Loader
+  Loader,
+  Save
 } from 'lucide-react';
 import { toast } from 'sonner';
 import { BACKEND_ENABLED, API_BASE } from '../../lib/backendConfig';
 import { generateAssessmentResponse } from '../../lib/geminiAPI';
-import { submitAssessment } from '@services/assessmentService';
+import {
+  submitAssessment,
+  saveAssessmentDraft,
+  getAssessmentDraft,
+  describeResponseErrors
+} from '@services/assessmentService';
+
+// Forms whose score can't be summed from the answers (times, yes/no screeners);
+// the results page waits for the backend score instead
+const SERVER_SCORED_FORMS = ['PSQI', 'C-SSRS'];
+
+// Drafts are stored by item number (q1, q2...), questions use prefixed ids (ders18_q1)
+const itemNumber = (questionId) => {
+  const match = String(questionId).match(/(?:^|_)(q\d+)$/i);
+  return match ? match[1].toLowerCase() : questionId;
+};
 
 const AssessmentForm = ({ form, sessionId, onSubmission, onBack }) => {
   const { theme } = useTheme();
@@ -27,6 +43,32 @@ const AssessmentForm = ({ form, sessionId, onSubmission, onBack }) => {
   const [responses, setResponses] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showConfirmation, setShowConfirmation] = useState(false);
+  const [isSavingDraft, setIsSavingDraft] = useState(false);
+
+  // Resume a saved draft for this form, if there is one
+  useEffect(() => {
+    if (!form || !BACKEND_ENABLED) return;
+    let cancelled = false;
+
+    getAssessmentDraft(form.name)
+      .then((draft) => {
+        if (cancelled || !draft || !draft.responses) return;
+        const restored = {};
+        form.questions.forEach((question) => {
+          const value = draft.responses[itemNumber(question.id)];
+          if (value !== undefined) restored[question.id] = value;
+        });
+        if (Object.keys(restored).length === 0) return;
+
+        setResponses(restored);
+        const firstUnanswered = form.questions.findIndex((q) => restored[q.id] === undefined);
+        setCurrentQuestion(firstUnanswered === -1 ? form.questions.length - 1 : firstUnanswered);
+        toast.info(`Resumed your saved progress (${draft.answered} of ${draft.total} answered)`);
+      })
+      .catch((error) => console.error('Error loading assessment draft:', error));
+
+    return () => { cancelled = true; };
+  }, [form]);
 
   if (!form) {
     return (
@@ -86,7 +128,9 @@ const AssessmentForm = ({ form, sessionId, onSubmission, onBack }) => {
       });
 
       // Calculate score immediately for instant feedback
-      const totalScore = Object.values(formattedResponses).reduce((sum, val) => sum + Number(val), 0);
+      const totalScore = SERVER_SCORED_FORMS.includes(form.name)
+        ? null
+        : Object.values(formattedResponses).reduce((sum, val) => sum + Number(val), 0);
       
       // Calculate severity based on form type and score
       const calculateSeverity = (formName, score) => {
@@ -140,6 +184,7 @@ const AssessmentForm = ({ form, sessionId, onSubmission, onBack }) => {
             form_name: form.name,
             total_score: result.score,
             severity_level: result.severityLevel,
+            score_details: result.scoreDetails,
             submitted_at: result.createdAt,
             responses: formattedResponses,
             guidance: result.guidance,
@@ -150,6 +195,9 @@ const AssessmentForm = ({ form, sessionId, onSubmission, onBack }) => {
         })
         .catch(error => {
           console.error('Error fetching guidance:', error);
+          if (error.status === 422) {
+            toast.error(`Some answers could not be accepted: ${describeResponseErrors(error)}`);
+          }
           // Keep showing basic results even if guidance fails
         });
     } catch (error) {
@@ -161,6 +209,26 @@ const AssessmentForm = ({ form, sessionId, onSubmission, onBack }) => {
     }
   };
 
+  // Save answers so far and leave; the form resumes from here next time
+  const handleSaveDraft = async () => {
+    const answered = {};
+    form.questions.forEach((question) => {
+      if (responses[question.id] !== undefined) answered[question.id] = responses[question.id];
+    });
+
+    setIsSavingDraft(true);
+    try {
+      await saveAssessmentDraft(form.name, answered);
+      toast.success('Progress saved. You can finish this assessment later.');
+      onBack();
+    } catch (error) {
+      console.error('Error saving assessment draft:', error);
+      toast.error(error.status === 422 ? describeResponseErrors(error) : 'Failed to save your progress');
+    } finally {
+      setIsSavingDraft(false);
+    }
+  };
+
   const currentQuestionData = form.questions[currentQuestion];
 
   const renderConfirmation = () => (
@@ -324,10 +392,10 @@ const AssessmentForm = ({ form, sessionId, onSubmission, onBack }) => {
               <div>
                 <label className={`block text-sm mb-2 ${theme.colors.muted}`}>Your Answer</label>
                 {(() => {
-                  const text = currentQuestionData.text.toLowerCase();
-                  const isTime = text.includes('when have you usually gone to bed') || text.includes('when have you usually gotten up');
-                  const isMinutes = text.includes('how long') && text.includes('minutes');
-                  const isHours = text.includes('how many hours');
+                  // `input` on the question picks a time or number field (PSQI items 1-4)
+                  const isTime = currentQuestionData.input === 'time';
+                  const isMinutes = currentQuestionData.input === 'minutes';
+                  const isHours = currentQuestionData.input === 'hours';
                   const inputClass = 'w-full p-3 rounded-lg border-2 focus:outline-none focus:ring-2 focus:ring-cyan-500';
                   if (isTime) {
                     return (
@@ -380,10 +448,28 @@ const AssessmentForm = ({ form, sessionId, onSubmission, onBack }) => {
           {isFirstQuestion ? 'Back to Overview' : 'Previous'}
         </Button>
         
-        <div className="flex items-center space-x-2 text-sm text-gray-500">
-          <span>{currentQuestion + 1}</span>
-          <span>/</span>
-          <span>{form.questions.length}</span>
+        <div className="flex items-center space-x-4 text-sm text-gray-500">
+          <div className="flex items-center space-x-2">
+            <span>{currentQuestion + 1}</span>
+            <span>/</span>
+            <span>{form.questions.length}</span>
+          </div>
+          {BACKEND_ENABLED && Object.keys(responses).length > 0 && (
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleSaveDraft}
+              disabled={isSavingDraft}
+              className="flex items-center"
+            >
+              {isSavingDraft ? (
+                <Loader className="w-4 h-4 mr-2 animate-spin" />
+              ) : (
+                <Save className="w-4 h-4 mr-2" />
+              )}
+              Save &amp; finish later
+            </Button>
+          )}
         </div>
         
         <Button 
@@ -4,25 +4,64 @@ import { useLanguage } from '../../context/LanguageContext';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
-import { getAssessmentHistory, getAssessmentById } from '@services/assessmentService';
+import { getAssessmentHistory, getAssessmentById, getAssessmentTrends } from '@services/assessmentService';
 import { 
   ArrowLeft, 
   X,
-  Loader
+  Loader,
+  TrendingUp,
+  TrendingDown,
+  Minus
 } from 'lucide-react';
 import { toast } from 'sonner';
 
+// Small inline chart of a score series (oldest to newest)
+const Sparkline = ({ points, maxScore, color }) => {
+  const width = 120;
+  const height = 32;
+  if (points.length < 2) return null;
+  const top = Math.max(maxScore || 0, ...points.map(p => p.score)) || 1;
+  const step = width / (points.length - 1);
+  const path = points
+    .map((p, i) => `${i === 0 ? 'M' : 'L'}${(i * step).toFixed(1)},${(height - (p.score / top) * height).toFixed(1)}`)
+    .join(' ');
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} className="overflow-visible">
+      <path d={path} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" />
+    </svg>
+  );
+};
+
+const TREND_STYLES = {
+  improved: { label: 'Improved', badge: 'bg-green-100 text-green-800', stroke: '#16a34a', Icon: TrendingUp },
+  worsened: { label: 'Worsened', badge: 'bg-red-100 text-red-800', stroke: '#dc2626', Icon: TrendingDown },
+  no_reliable_change: { label: 'No reliable change', badge: 'bg-gray-100 text-gray-800', stroke: '#6b7280', Icon: Minus },
+  insufficient_data: { label: 'Retake to see a trend', badge: 'bg-blue-100 text-blue-800', stroke: '#0891b2', Icon: Minus }
+};
+
 const AssessmentHistory = ({ sessionId, onBack }) => {
   const { theme } = useTheme();
   const [submissions, setSubmissions] = useState([]);
   const [selectedSubmission, setSelectedSubmission] = useState(null);
   const [detailsLoading, setDetailsLoading] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [trends, setTrends] = useState([]);
 
   useEffect(() => {
     loadSubmissions();
+    loadTrends();
   }, []);
 
+  // Trends are a bonus on this page; the history still shows if they fail
+  const loadTrends = async () => {
+    try {
+      const result = await getAssessmentTrends();
+      setTrends(result.trends || []);
+    } catch (error) {
+      console.error('Error loading assessment trends:', error);
+    }
+  };
+
   const loadSubmissions = async () => {
     try {
       setLoading(true);
@@ -159,6 +198,55 @@ const AssessmentHistory = ({ sessionId, onBack }) => {
         </Button>
       </div>
 
+      {/* Progress Over Time */}
+      {trends.length > 0 && (
+        <Card className={`${theme.colors.card} shadow-lg`}>
+          <CardHeader>
+            <CardTitle className={theme.colors.text}>Your Progress</CardTitle>
+            <CardDescription className={theme.colors.muted}>
+              Change since your first result on each assessment. Small ups and downs are normal; only changes large enough to be meaningful are marked.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {trends.map((trend) => {
+                const style = TREND_STYLES[trend.change] || TREND_STYLES.insufficient_data;
+                const { Icon } = style;
+                return (
+                  <div key={trend.formType} className={`p-4 rounded-lg ${theme.colors.secondary}`}>
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className={`font-semibold ${theme.colors.text}`}>{trend.formType}</h3>
+                      <Badge className={style.badge}>
+                        <Icon className="w-3 h-3 mr-1" />
+                        {style.label}
+                      </Badge>
+                    </div>
+                    <Sparkline
+                      points={trend.series}
+                      maxScore={getMaxScore(trend.formType)}
+                      color={style.stroke}
+                    />
+                    <p className={`text-sm mt-2 ${theme.colors.muted}`}>
+                      {trend.series.length < 2 ? (
+                        <>Score {trend.latest?.score} on {new Date(trend.latest?.date).toLocaleDateString()}</>
+                      ) : (
+                        <>
+                          {trend.baseline.score} → {trend.latest.score}
+                          {' '}({trend.delta > 0 ? '+' : ''}{trend.delta} over {trend.series.length} results)
+                        </>
+                      )}
+                    </p>
+                    {trend.recovered && (
+                      <p className="text-xs text-green-700 mt-1">Now below the clinical range</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Assessment Cards Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {sortedSubmissions.map((submission) => (
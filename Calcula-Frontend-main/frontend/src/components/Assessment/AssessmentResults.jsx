@@ -103,10 +103,39 @@ const AssessmentResults = ({ submission, onBack, onViewHistory }) => {
     return scores[formName] || 100;
   };
 
+  // PSQI components in the order the index defines them (each scored 0-3)
+  const PSQI_COMPONENT_LABELS = [
+    { id: 'subjectiveQuality', label: 'Subjective Sleep Quality' },
+    { id: 'latency', label: 'Sleep Latency' },
+    { id: 'duration', label: 'Sleep Duration' },
+    { id: 'efficiency', label: 'Sleep Efficiency' },
+    { id: 'disturbances', label: 'Sleep Disturbances' },
+    { id: 'medication', label: 'Use of Sleep Medication' },
+    { id: 'daytimeDysfunction', label: 'Daytime Dysfunction' }
+  ];
+
   // Ensure severity_level has a default value
   const severityLevel = currentSubmission.severity_level || 'Normal';
-  const maxScore = getMaxScore(currentSubmission.form_name);
-  const scorePercentage = (currentSubmission.total_score / maxScore) * 100;
+  const scoreDetails = currentSubmission.score_details;
+  const maxScore = scoreDetails?.maxScore || getMaxScore(currentSubmission.form_name);
+  const hasScore = typeof currentSubmission.total_score === 'number' && !Number.isNaN(currentSubmission.total_score);
+  const scorePercentage = hasScore ? (currentSubmission.total_score / maxScore) * 100 : 0;
+
+  const breakdown = scoreDetails?.components
+    ? PSQI_COMPONENT_LABELS.map(({ id, label }) => ({
+        id,
+        label: id === 'efficiency' && typeof scoreDetails.sleepEfficiency === 'number'
+          ? `${label} (${Math.round(scoreDetails.sleepEfficiency)}%)`
+          : label,
+        score: scoreDetails.components[id],
+        maxScore: 3
+      }))
+    : Object.entries(scoreDetails?.subscales || {}).map(([id, subscale]) => ({
+        id,
+        label: subscale.name,
+        score: subscale.score,
+        maxScore: subscale.maxScore
+      }));
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
@@ -139,7 +168,7 @@ const AssessmentResults = ({ submission, onBack, onViewHistory }) => {
             <div>
               <h3 className={`text-lg font-semibold mb-4 ${theme.colors.text}`}>Your Score</h3>
               <div className="flex items-end space-x-2 mb-4">
-                <span className={`text-4xl font-bold ${theme.colors.text}`}>{currentSubmission.total_score}</span>
+                <span className={`text-4xl font-bold ${theme.colors.text}`}>{hasScore ? currentSubmission.total_score : '—'}</span>
                 <span className={`text-xl ${theme.colors.muted} pb-1`}>/ {maxScore}</span>
               </div>
               <Progress 
@@ -168,6 +197,44 @@ const AssessmentResults = ({ submission, onBack, onViewHistory }) => {
         </CardContent>
       </Card>
 
+      {/* Score Breakdown (PSQI components or instrument subscales) */}
+      {breakdown.length > 0 && (
+        <Card className={`${theme.colors.card} shadow-xl`}>
+          <CardHeader>
+            <CardTitle className={`flex items-center ${theme.colors.text}`}>
+              <TrendingUp className="w-5 h-5 mr-2 text-cyan-500" />
+              Score Breakdown
+            </CardTitle>
+            <CardDescription className={theme.colors.muted}>
+              {scoreDetails?.components
+                ? 'The global PSQI score is the sum of seven component scores (0 = no difficulty, 3 = severe difficulty)'
+                : 'How your total score is made up'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {breakdown.map((item) => (
+              <div key={item.id}>
+                <div className="flex items-center justify-between mb-1">
+                  <span className={`text-sm font-medium ${theme.colors.text}`}>{item.label}</span>
+                  <span className={`text-sm ${theme.colors.muted}`}>
+                    {item.score === null || item.score === undefined ? 'Not answered' : `${item.score} / ${item.maxScore}`}
+                  </span>
+                </div>
+                <Progress
+                  value={item.score && item.maxScore ? (item.score / item.maxScore) * 100 : 0}
+                  className="h-2"
+                />
+              </div>
+            ))}
+            {scoreDetails?.missingComponents?.length > 0 && (
+              <p className={`text-xs ${theme.colors.muted}`}>
+                Some components could not be calculated from your answers and were counted as 0.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
       {/* Guidance */}
       <Card className={`${theme.colors.card} shadow-xl`}>
         <CardHeader>
@@ -2,18 +2,94 @@ import React, { useState, useRef, useEffect } from 'react';
 import { useLanguage } from '@context/LanguageContext';
 import { useTheme } from '@context/ThemeContext';
 import { Input } from '@components/ui/input';
-import { Plus, Mic, Send, ChevronDown, Trash2 } from 'lucide-react';
+import { Plus, Mic, Send, ChevronDown, Trash2, Square, Brain, Download, Pause, Play, Check, X, Phone, Sparkles, Volume2, Search } from 'lucide-react';
 import ThemeLanguageSelector from '@components/shared/ThemeLanguageSelector';
 
+// Read a Server-Sent Events response, calling onEvent(event, data) per event
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      raw.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+};
+
+// Error for a 429 from an AI usage quota, carrying the server's explanation
+const usageLimitError = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.error?.message || "You've reached your AI companion limit for now. Please try again later.");
+  error.usageLimit = true;
+  return error;
+};
+
+// Voices offered for spoken replies (see speech.service.js on the backend)
+const VOICE_OPTIONS = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+// Base64 audio from the voice endpoint as a playable object URL
+const audioUrlFromBase64 = (base64, mimeType) => {
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  return URL.createObjectURL(new Blob([bytes], { type: mimeType }));
+};
+
+// A conversation from GET /api/ai/conversations as a chat in the panel
+const chatFromConversation = (conv) => ({
+  id: conv.id,
+  conversationId: conv.id,
+  title: conv.title || `Chat ${new Date(conv.created_at).toLocaleDateString()}`,
+  tags: conv.tags || [],
+  messages: [],
+  created_at: conv.created_at
+});
+
 const AICompanion = () => {
-  const { t } = useLanguage();
+  const { t, isRTL } = useLanguage();
   const { theme, currentTheme } = useTheme();
   const isMidnight = currentTheme === 'midnight';
+  // Replies sit on the reading-start side and the user's messages on the end side
+  const alignStart = isRTL ? 'ml-auto text-right' : 'mr-auto text-left';
+  const alignEnd = isRTL ? 'mr-auto text-left' : 'ml-auto text-right';
   const [chats, setChats] = useState([]);
   const [currentChatId, setCurrentChatId] = useState(null);
   const [showChatsPanel, setShowChatsPanel] = useState(false);
+  // Search and tag filter for the chats panel; chatResults is null when not filtering
+  const [chatSearch, setChatSearch] = useState('');
+  const [chatTag, setChatTag] = useState('');
+  const [chatResults, setChatResults] = useState(null);
+  const [availableTags, setAvailableTags] = useState([]);
+  const [showMemoryPanel, setShowMemoryPanel] = useState(false);
+  const [memories, setMemories] = useState([]);
+  const [memoryTotal, setMemoryTotal] = useState(0);
+  const [memoryPaused, setMemoryPaused] = useState(false);
+  const [memoryLoading, setMemoryLoading] = useState(false);
+  // Spoken replies: voice, speaking rate and whether voice replies are spoken
+  const [showVoicePanel, setShowVoicePanel] = useState(false);
+  const [voiceSettings, setVoiceSettings] = useState({ voice: 'alloy', speed: 1, spokenReplies: true });
+  const [speakingMessageId, setSpeakingMessageId] = useState(null);
+  const replyAudioRef = useRef(null);
+  // Actions the companion drafted (appointment requests, check-ins) awaiting confirmation
+  const [pendingActions, setPendingActions] = useState([]);
   const [input, setInput] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const streamControllerRef = useRef(null);
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const [isRecording, setIsRecording] = useState(false);
@@ -58,6 +134,60 @@ const AICompanion = () => {
     }
   }, [currentChatId, chats]);
 
+  // Stop a reply that is still streaming, or being spoken, when the companion closes
+  useEffect(() => () => {
+    streamControllerRef.current?.abort();
+    replyAudioRef.current?.pause();
+  }, []);
+
+  // Voice settings for spoken replies
+  useEffect(() => {
+    if (!userId) return;
+
+    const fetchVoiceSettings = async () => {
+      try {
+        const res = await fetch(`${backendUrl}/api/ai/voice/settings?userId=${userId}`, {
+          headers: getAuthHeaders(),
+          credentials: 'include'
+        });
+        if (!res.ok) throw new Error("Failed to load voice settings");
+        setVoiceSettings(await res.json());
+      } catch (e) {
+        console.warn('Failed to load voice settings', e);
+      }
+    };
+
+    fetchVoiceSettings();
+  }, [userId, backendUrl]);
+
+  // Drafted actions for the open chat, e.g. after a reload
+  useEffect(() => {
+    if (!userId || !currentChatId) return;
+
+    const fetchPendingActions = async () => {
+      try {
+        const res = await fetch(
+          `${backendUrl}/api/ai/actions?conversationId=${currentChatId}&userId=${userId}`,
+          {
+            headers: getAuthHeaders(),
+            credentials: 'include'
+          }
+        );
+        if (!res.ok) throw new Error("Failed to load actions");
+        const data = await res.json();
+
+        setPendingActions(prev => [
+          ...prev.filter(a => a.conversationId !== currentChatId),
+          ...(data.actions || [])
+        ]);
+      } catch (e) {
+        console.warn('Failed to load pending actions', e);
+      }
+    };
+
+    fetchPendingActions();
+  }, [currentChatId, userId, backendUrl]);
+
   // Load chats from backend on mount
   useEffect(() => {
     if (!userId) return;
@@ -74,15 +204,10 @@ const AICompanion = () => {
         if (!res.ok) throw new Error("Failed to fetch conversations");
         const data = await res.json();
         
-        const formattedChats = (data.conversations || []).map(conv => ({
-          id: conv.id,
-          conversationId: conv.id,
-          title: conv.title || `Chat ${new Date(conv.created_at).toLocaleDateString()}`,
-          messages: [],
-          created_at: conv.created_at
-        }));
+        const formattedChats = (data.conversations || []).map(chatFromConversation);
         
         setChats(formattedChats);
+        setAvailableTags(data.availableTags || []);
         if (formattedChats.length > 0) {
           setCurrentChatId(formattedChats[0].id);
         }
@@ -94,6 +219,46 @@ const AICompanion = () => {
     fetchConversations();
   }, [userId, backendUrl]);
 
+  // Search all of the student's conversations by title and tag
+  useEffect(() => {
+    const q = chatSearch.trim();
+    if (!userId || (!q && !chatTag)) {
+      setChatResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ userId });
+        if (q) params.set('q', q);
+        if (chatTag) params.set('tag', chatTag);
+        const res = await fetch(`${backendUrl}/api/ai/conversations?${params}`, {
+          headers: getAuthHeaders(),
+          credentials: 'include'
+        });
+        if (!res.ok) throw new Error("Failed to search conversations");
+        const data = await res.json();
+        if (!cancelled) setChatResults((data.conversations || []).map(chatFromConversation));
+      } catch (e) {
+        console.warn('Failed to search chats', e);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [chatSearch, chatTag, userId, backendUrl]);
+
+  const tagLabel = (id) => availableTags.find(tag => tag.id === id)?.label || id;
+
+  // Title and tags written after a conversation's first exchange
+  const applyChatTitle = (chatId, { title, tags }) => {
+    if (!title) return;
+    setChats(prev => prev.map(c => (c.id !== chatId ? c : { ...c, title, tags: tags || [] })));
+  };
+
   const handleNewChat = async () => {
     if (!userId) {
       console.error("No userId for new chat");
@@ -132,6 +297,9 @@ const AICompanion = () => {
   };
 
   const handleSelectChat = async (id) => {
+    // A search result older than the loaded chats joins the list
+    const result = chatResults?.find(c => c.id === id);
+    if (result) setChats(prev => (prev.some(c => c.id === id) ? prev : [result, ...prev]));
     setCurrentChatId(id);
     setShowChatsPanel(false);
     
@@ -165,7 +333,7 @@ const AICompanion = () => {
 
   // ----- NEW: send through backend -----
   const handleSend = async () => {
-    if (!input.trim() || isLoading) return;
+    if (!input.trim() || isLoading || isStreaming) return;
     if (!userId) {
       console.error("No userId (sensee_user_id) for AICompanion");
       return;
@@ -231,12 +399,47 @@ const AICompanion = () => {
       };
     }));
 
+    const botMsgId = `m${Date.now()}-reply`;
+    const updateBotMessage = (update) => setChats(prev => prev.map(c => {
+      if (c.id !== chatId) return c;
+      const exists = c.messages.some(m => m.id === botMsgId);
+      const empty = { text: '', toolEvents: [] };
+      const messages = exists
+        ? c.messages.map(m => (m.id === botMsgId ? { ...m, ...update(m) } : m))
+        : [
+            ...c.messages,
+            {
+              id: botMsgId,
+              role: 'assistant',
+              time: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
+              type: 'text',
+              ...empty,
+              ...update(empty)
+            }
+          ];
+      return { ...c, messages };
+    }));
+    const setBotText = (updateText) => updateBotMessage(m => ({ text: updateText(m.text) }));
+
+    // Tool results are shown as cards under the reply; drafted actions wait for confirmation
+    const handleToolEvent = (toolEvent) => {
+      if (toolEvent.requiresConfirmation) {
+        setPendingActions(prev => [...prev, { ...toolEvent, conversationId: chatId }]);
+      } else if (toolEvent.result) {
+        updateBotMessage(m => ({ toolEvents: [...m.toolEvents, toolEvent] }));
+      }
+    };
+
+    const controller = new AbortController();
+    streamControllerRef.current = controller;
+
     try {
-      // Send message to backend
-      const res = await fetch(`${backendUrl}/api/ai/chat`, {
+      // Stream the reply from the backend; tokens are shown as they arrive
+      const res = await fetch(`${backendUrl}/api/ai/chat/stream`, {
         method: "POST",
         headers: getAuthHeaders(),
         credentials: 'include',
+        signal: controller.signal,
         body: JSON.stringify({
           userId,
           conversationId: chatId,
@@ -244,56 +447,54 @@ const AICompanion = () => {
         })
       });
 
+      if (res.status === 429) throw await usageLimitError(res);
       if (!res.ok) {
         const errText = await res.text();
         console.error('Backend error:', res.status, errText);
         throw new Error(`Backend error: ${res.status}`);
       }
-      
-      const data = await res.json();
-      const botText = data.reply || "I'm here with you. Tell me more about how you're feeling.";
 
-      // Add bot response
-      setChats(prev => prev.map(c => {
-        if (c.id !== chatId) return c;
-        return {
-          ...c,
-          conversationId: data.conversationId || chatId,
-          messages: [
-            ...c.messages,
-            {
-              id: `m${Date.now()}`,
-              role: 'assistant',
-              text: botText,
-              time: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
-              type: 'text'
-            }
-          ]
-        };
-      }));
+      // Replies that don't need the model (e.g. crisis support) come back as plain JSON
+      if (!res.headers.get('content-type')?.includes('text/event-stream')) {
+        const data = await res.json();
+        setBotText(() => data.reply || "I'm here with you. Tell me more about how you're feeling.");
+        return;
+      }
+
+      setIsStreaming(true);
+      await readEventStream(res, (event, data) => {
+        if (event === 'token') {
+          setIsLoading(false);
+          setBotText(current => current + data.delta);
+        } else if (event === 'tool') {
+          handleToolEvent(data);
+        } else if (event === 'done') {
+          updateBotMessage(() => ({ text: data.reply, sources: data.sources || [] }));
+          // The stream stays open a moment longer for the title of a new chat
+          setIsStreaming(false);
+        } else if (event === 'title') {
+          applyChatTitle(chatId, data);
+        } else if (event === 'error') {
+          setBotText(() => data.error || "Sorry, I'm having trouble connecting. Please try again.");
+        }
+      });
     } catch (err) {
+      // Stopped by the user: keep whatever has arrived so far
+      if (err.name === 'AbortError') return;
+
       console.error("AICompanion chat error", err);
-      setChats(prev => prev.map(c => {
-        if (c.id !== chatId) return c;
-        return {
-          ...c,
-          messages: [
-            ...c.messages,
-            {
-              id: `m${Date.now()}`,
-              role: 'assistant',
-              text: "Sorry, I'm having trouble connecting. Please try again.",
-              time: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
-              type: 'text'
-            }
-          ]
-        };
-      }));
+      setBotText(() => err.usageLimit ? err.message : "Sorry, I'm having trouble connecting. Please try again.");
     } finally {
+      streamControllerRef.current = null;
+      setIsStreaming(false);
       setIsLoading(false);
     }
   };
 
+  const stopStreaming = () => {
+    streamControllerRef.current?.abort();
+  };
+
   // Voice recording
   const startRecording = async () => {
     try {
@@ -348,8 +549,9 @@ const AICompanion = () => {
 
         try {
           const formData = new FormData();
-          formData.append('audio', blob, 'audio.webm');
+          formData.append('file', blob, 'audio.webm');
           formData.append('userId', userId);
+          formData.append('conversationId', chatId);
 
           const token = typeof window !== "undefined" 
             ? window.localStorage.getItem("authToken") 
@@ -364,8 +566,11 @@ const AICompanion = () => {
             body: formData
           });
 
+          if (res.status === 429) throw await usageLimitError(res);
           if (!res.ok) throw new Error("Failed to send voice message");
           const data = await res.json();
+          const replyAudioUrl = data.speech ? audioUrlFromBase64(data.speech.audio, data.speech.mimeType) : null;
+          if (replyAudioUrl) playAudio(replyAudioUrl);
 
           setChats(prev => prev.map(c => {
             if (c.id !== chatId) return c;
@@ -376,6 +581,7 @@ const AICompanion = () => {
                 id: `m${Date.now()}`,
                 role: 'user',
                 text: data.transcribedText || '[Voice message]',
+                audioUrl: URL.createObjectURL(blob),
                 time,
                 type: 'audio'
               }
@@ -387,6 +593,7 @@ const AICompanion = () => {
                 id: `m${Date.now() + 1}`,
                 role: 'assistant',
                 text: data.botResponse,
+                audioUrl: replyAudioUrl,
                 time: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
                 type: 'text'
               });
@@ -400,6 +607,13 @@ const AICompanion = () => {
           }));
         } catch (e) {
           console.error('Voice message failed', e);
+          if (e.usageLimit) {
+            const time = new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+            setChats(prev => prev.map(c => c.id !== chatId ? c : {
+              ...c,
+              messages: [...c.messages, { id: `m${Date.now()}`, role: 'assistant', text: e.message, time, type: 'text' }]
+            }));
+          }
         }
 
         stream.getTracks().forEach(t => t.stop());
@@ -436,6 +650,8 @@ const AICompanion = () => {
       if (!res.ok) throw new Error("Failed to delete chat");
 
       setChats(prev => prev.filter(c => c.id !== chatId));
+      setMemories(prev => prev.filter(m => m.conversationId !== chatId));
+      setPendingActions(prev => prev.filter(a => a.conversationId !== chatId));
       if (currentChatId === chatId) {
         setCurrentChatId(() => {
           const remaining = chats.filter(c => c.id !== chatId);
@@ -447,6 +663,293 @@ const AICompanion = () => {
     }
   };
 
+  // ----- Actions drafted by the companion: nothing runs until confirmed -----
+  const resolveAction = async (action, decision) => {
+    setPendingActions(prev => prev.map(a => (a.id === action.id ? { ...a, busy: true, error: null } : a)));
+
+    try {
+      const res = await fetch(`${backendUrl}/api/ai/actions/${action.id}/${decision}`, {
+        method: "POST",
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ userId })
+      });
+      const data = await res.json().catch(() => ({}));
+
+      // Still pending after a failed request: keep the card so it can be retried
+      if (!res.ok && ![404, 409, 410].includes(res.status)) {
+        setPendingActions(prev => prev.map(a => (a.id === action.id ? { ...a, busy: false, error: data.error || 'Something went wrong' } : a)));
+        return;
+      }
+
+      setPendingActions(prev => prev.filter(a => a.id !== action.id));
+
+      const note = res.ok ? data.message?.text : data.error;
+      if (note) {
+        setChats(prev => prev.map(c => (c.id !== action.conversationId ? c : {
+          ...c,
+          messages: [
+            ...c.messages,
+            {
+              id: data.message?.id || `m${Date.now()}-action`,
+              role: 'assistant',
+              text: note,
+              time: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
+              type: 'text'
+            }
+          ]
+        })));
+      }
+    } catch (e) {
+      console.error(`Failed to ${decision} action`, e);
+      setPendingActions(prev => prev.map(a => (a.id === action.id ? { ...a, busy: false, error: 'Something went wrong' } : a)));
+    }
+  };
+
+  const renderToolCard = (toolEvent) => {
+    const cardClass = `mt-2 p-3 rounded-lg ${isRTL ? 'text-right' : 'text-left'} text-sm ${isMidnight ? 'bg-slate-800 text-gray-200 border border-slate-700' : 'bg-blue-50 text-gray-800 border border-blue-100'}`;
+
+    if (toolEvent.tool === 'get_crisis_contacts') {
+      const { college, contacts = [], helplines = [] } = toolEvent.result;
+      const lines = [
+        ...contacts,
+        ...(college?.phone ? [{ label: college.name, phone: college.phone }] : []),
+        ...helplines
+      ];
+      return (
+        <div key={toolEvent.id} className={cardClass}>
+          <p className="font-semibold mb-2">{t('crisisContacts') || 'People you can reach right now'}</p>
+          <ul className="space-y-1">
+            {lines.map((line, i) => (
+              <li key={`${line.label}-${i}`} className="flex items-center justify-between gap-3">
+                <span>{line.label}{line.hours ? ` (${line.hours})` : ''}</span>
+                {line.phone && (
+                  <a href={`tel:${line.phone}`} className="flex items-center text-blue-600 dark:text-blue-400 font-medium">
+                    <Phone className="w-3 h-3 mr-1" />{line.phone}
+                  </a>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      );
+    }
+
+    if (toolEvent.tool === 'suggest_wellness_tool') {
+      return (
+        <div key={toolEvent.id} className={cardClass}>
+          <p className="font-semibold mb-2 flex items-center"><Sparkles className="w-4 h-4 mr-1" />{t('wellnessToolsToTry') || 'Wellness tools to try'}</p>
+          <ul className="space-y-1">
+            {toolEvent.result.tools.map(tool => (
+              <li key={tool.id}><span className="font-medium">{tool.name}</span> – {tool.description}</li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 mt-2">{t('findInWellnessTools') || 'Find these under Wellness Tools on your dashboard.'}</p>
+        </div>
+      );
+    }
+
+    return null;
+  };
+
+  // ----- Spoken replies -----
+  const playAudio = (url) => {
+    replyAudioRef.current?.pause();
+    const audio = new Audio(url);
+    replyAudioRef.current = audio;
+    audio.play().catch(e => console.warn('Could not play the spoken reply', e));
+  };
+
+  // Synthesize a reply (or a preview) with the chosen voice; returns an object URL
+  const fetchSpeech = async (text) => {
+    const res = await fetch(`${backendUrl}/api/ai/speech`, {
+      method: "POST",
+      headers: getAuthHeaders(),
+      credentials: 'include',
+      body: JSON.stringify({ userId, text, voice: voiceSettings.voice, speed: voiceSettings.speed })
+    });
+    if (res.status === 429) throw await usageLimitError(res);
+    if (!res.ok) throw new Error("Failed to create speech");
+    return URL.createObjectURL(await res.blob());
+  };
+
+  // Read an assistant message aloud, keeping the audio on the message for replays
+  const speakMessage = async (msg) => {
+    if (msg.audioUrl) {
+      playAudio(msg.audioUrl);
+      return;
+    }
+    setSpeakingMessageId(msg.id);
+    try {
+      const url = await fetchSpeech(msg.text);
+      setChats(prev => prev.map(c => c.id !== currentChatId ? c : {
+        ...c,
+        messages: c.messages.map(m => (m.id === msg.id ? { ...m, audioUrl: url } : m))
+      }));
+      playAudio(url);
+    } catch (e) {
+      console.error('Failed to speak message', e);
+    } finally {
+      setSpeakingMessageId(null);
+    }
+  };
+
+  const toggleVoicePanel = () => {
+    if (!showVoicePanel) {
+      setShowChatsPanel(false);
+      setShowMemoryPanel(false);
+    }
+    setShowVoicePanel(s => !s);
+  };
+
+  const saveVoiceSettings = async (changes) => {
+    const previous = voiceSettings;
+    setVoiceSettings(s => ({ ...s, ...changes }));
+    try {
+      const res = await fetch(`${backendUrl}/api/ai/voice/settings`, {
+        method: "PUT",
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ userId, ...changes })
+      });
+      if (!res.ok) throw new Error("Failed to update voice settings");
+      setVoiceSettings(await res.json());
+    } catch (e) {
+      console.error('Failed to update voice settings', e);
+      setVoiceSettings(previous);
+    }
+  };
+
+  const previewVoice = async () => {
+    try {
+      playAudio(await fetchSpeech(t('voicePreviewText') || "Hi, I'm your SensEase companion. I'm here whenever you want to talk."));
+    } catch (e) {
+      console.error('Failed to preview voice', e);
+    }
+  };
+
+  // ----- Memory: what the companion remembers across conversations -----
+  const loadMemories = async () => {
+    if (!userId) return;
+    setMemoryLoading(true);
+
+    try {
+      const res = await fetch(
+        `${backendUrl}/api/ai/memories?userId=${userId}&limit=100`,
+        {
+          headers: getAuthHeaders(),
+          credentials: 'include'
+        }
+      );
+      if (!res.ok) throw new Error("Failed to load memories");
+      const data = await res.json();
+
+      setMemories(data.memories || []);
+      setMemoryTotal(data.total || 0);
+      setMemoryPaused(!!data.paused);
+    } catch (e) {
+      console.warn('Failed to load memories', e);
+    } finally {
+      setMemoryLoading(false);
+    }
+  };
+
+  const toggleMemoryPanel = () => {
+    if (!showMemoryPanel) {
+      setShowChatsPanel(false);
+      setShowVoicePanel(false);
+      loadMemories();
+    }
+    setShowMemoryPanel(s => !s);
+  };
+
+  const toggleMemoryPaused = async () => {
+    try {
+      const res = await fetch(`${backendUrl}/api/ai/memories/settings`, {
+        method: "PUT",
+        headers: getAuthHeaders(),
+        credentials: 'include',
+        body: JSON.stringify({ userId, paused: !memoryPaused })
+      });
+      if (!res.ok) throw new Error("Failed to update memory settings");
+      const data = await res.json();
+      setMemoryPaused(!!data.paused);
+    } catch (e) {
+      console.error('Failed to update memory settings', e);
+    }
+  };
+
+  const deleteMemory = async (memoryId) => {
+    try {
+      const res = await fetch(
+        `${backendUrl}/api/ai/memories/${memoryId}?userId=${userId}`,
+        {
+          method: "DELETE",
+          headers: getAuthHeaders(),
+          credentials: 'include'
+        }
+      );
+      if (!res.ok) throw new Error("Failed to delete memory");
+
+      setMemories(prev => prev.filter(m => m.id !== memoryId));
+      setMemoryTotal(n => Math.max(n - 1, 0));
+    } catch (e) {
+      console.error('Failed to delete memory', e);
+    }
+  };
+
+  const forgetConversation = async (conversationId) => {
+    try {
+      const res = await fetch(
+        `${backendUrl}/api/ai/memories/conversations/${conversationId}?userId=${userId}`,
+        {
+          method: "DELETE",
+          headers: getAuthHeaders(),
+          credentials: 'include'
+        }
+      );
+      if (!res.ok) throw new Error("Failed to forget conversation");
+      const data = await res.json();
+
+      setMemories(prev => prev.filter(m => m.conversationId !== conversationId));
+      setMemoryTotal(n => Math.max(n - (data.removed || 0), 0));
+    } catch (e) {
+      console.error('Failed to forget conversation', e);
+    }
+  };
+
+  const exportMemories = async () => {
+    try {
+      const res = await fetch(
+        `${backendUrl}/api/ai/memories/export?userId=${userId}`,
+        {
+          headers: getAuthHeaders(),
+          credentials: 'include'
+        }
+      );
+      if (!res.ok) throw new Error("Failed to export memories");
+      const data = await res.json();
+
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `ai-memories-${data.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error('Failed to export memories', e);
+    }
+  };
+
+  // Group remembered snippets by the conversation they came from
+  const memoryGroups = memories.reduce((groups, memory) => {
+    const group = groups.find(g => g.conversationId === memory.conversationId);
+    if (group) group.items.push(memory);
+    else groups.push({ conversationId: memory.conversationId, title: memory.conversationTitle, items: [memory] });
+    return groups;
+  }, []);
+
   return (
     <div className={`chat-shell ${theme.colors.background} ${theme.colors.card}`}>
       {/* Header */}
@@ -458,7 +961,15 @@ const AICompanion = () => {
               <Plus className="w-5 h-5" />
             </button>
 
-            <button aria-label="Show history" title={t('showHistory') || 'History'} onClick={() => setShowChatsPanel(s => !s)} className={`p-2 rounded-md border transition-colors ${isMidnight ? 'text-white border-slate-700 hover:bg-slate-800' : 'border-gray-300 hover:bg-gray-100'}`} disabled={!userId}>
+            <button aria-label="What the AI remembers" title={t('aiMemory') || 'Memory'} onClick={toggleMemoryPanel} className={`p-2 rounded-md transition-colors ${isMidnight ? 'text-white hover:bg-slate-800' : 'hover:bg-gray-100'}`} disabled={!userId}>
+              <Brain className="w-5 h-5" />
+            </button>
+
+            <button aria-label="Voice settings" title={t('voiceSettings') || 'Voice'} onClick={toggleVoicePanel} className={`p-2 rounded-md transition-colors ${isMidnight ? 'text-white hover:bg-slate-800' : 'hover:bg-gray-100'}`} disabled={!userId}>
+              <Volume2 className="w-5 h-5" />
+            </button>
+
+            <button aria-label="Show history" title={t('showHistory') || 'History'} onClick={() => { setShowMemoryPanel(false); setShowVoicePanel(false); setShowChatsPanel(s => !s); }} className={`p-2 rounded-md border transition-colors ${isMidnight ? 'text-white border-slate-700 hover:bg-slate-800' : 'border-gray-300 hover:bg-gray-100'}`} disabled={!userId}>
               <ChevronDown className="w-5 h-5" />
             </button>
 
@@ -472,13 +983,42 @@ const AICompanion = () => {
       {showChatsPanel && (
         <div className={`w-full border-b ${isMidnight ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
           <div className="max-w-4xl mx-auto px-4 py-3">
-            {chats.length === 0 ? (
+            <div className="relative mb-2">
+              <Search className={`w-4 h-4 absolute top-1/2 -translate-y-1/2 text-gray-400 ${isRTL ? 'right-3' : 'left-3'}`} />
+              <input
+                type="search"
+                dir="auto"
+                value={chatSearch}
+                onChange={(e) => setChatSearch(e.target.value)}
+                maxLength={100}
+                placeholder={t('searchConversationsPlaceholder') || 'Search conversations...'}
+                aria-label={t('searchConversationsPlaceholder') || 'Search conversations...'}
+                className={`w-full py-2 text-sm rounded-lg border outline-none ${isRTL ? 'pr-9 pl-3' : 'pl-9 pr-3'} ${isMidnight ? 'bg-slate-700 border-slate-600 text-white placeholder-gray-400' : 'bg-white border-gray-300 text-gray-800'}`}
+              />
+            </div>
+            {availableTags.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-3" role="group" aria-label={t('filterByTopic') || 'Filter by topic'}>
+                {availableTags.map(tag => (
+                  <button
+                    key={tag.id}
+                    onClick={() => setChatTag(current => (current === tag.id ? '' : tag.id))}
+                    aria-pressed={chatTag === tag.id}
+                    className={`px-2.5 py-1 rounded-full text-xs border transition-colors ${chatTag === tag.id
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : isMidnight ? 'border-slate-600 text-gray-300 hover:bg-slate-700' : 'border-gray-300 text-gray-600 hover:bg-gray-100'}`}
+                  >
+                    {tag.label}
+                  </button>
+                ))}
+              </div>
+            )}
+            {(chatResults ?? chats).length === 0 ? (
               <div className="flex flex-col items-center justify-center h-24 text-center p-4">
                 <p className="text-sm text-gray-500">{t('noConversationsFound') || 'No conversations found'}</p>
               </div>
             ) : (
               <div className="space-y-3">
-                {chats.map(c => (
+                {(chatResults ?? chats).map(c => (
                   <div
                     key={c.id}
                     role="button"
@@ -494,7 +1034,16 @@ const AICompanion = () => {
                   >
                     <div className="flex justify-between items-start">
                       <div className="flex-1 min-w-0">
-                        <p className={`font-semibold text-sm mb-1 ${isMidnight ? 'text-gray-200' : 'text-gray-800'}`}>{c.title}</p>
+                        <p dir="auto" className={`font-semibold text-sm mb-1 text-start ${isMidnight ? 'text-gray-200' : 'text-gray-800'}`}>{c.title}</p>
+                        {c.tags?.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mb-1">
+                            {c.tags.map(tag => (
+                              <span key={tag} className={`px-2 py-0.5 rounded-full text-[11px] ${isMidnight ? 'bg-slate-600 text-gray-300' : 'bg-blue-50 text-blue-700'}`}>
+                                {tagLabel(tag)}
+                              </span>
+                            ))}
+                          </div>
+                        )}
                         <p className="text-xs text-gray-500 truncate">{c.messages[c.messages.length - 1]?.text || (c.messages[c.messages.length - 1]?.type === 'audio' ? 'Voice message' : '')}</p>
                       </div>
                       <button
@@ -513,6 +1062,140 @@ const AICompanion = () => {
         </div>
       )}
 
+      {showVoicePanel && (
+        <div className={`w-full border-b ${isMidnight ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+          <div className="max-w-4xl mx-auto px-4 py-3">
+            <p className={`font-semibold text-sm ${isMidnight ? 'text-gray-200' : 'text-gray-800'}`}>{t('voiceSettingsTitle') || 'Spoken replies'}</p>
+            <p className="text-xs text-gray-500 mb-3">
+              {t('voiceSettingsNote') || 'How the companion sounds when it answers your voice messages, or when you press play on a reply.'}
+            </p>
+            <div className="flex flex-wrap items-center gap-4">
+              <label className={`flex items-center text-xs ${isMidnight ? 'text-gray-300' : 'text-gray-700'}`}>
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={voiceSettings.spokenReplies}
+                  onChange={(e) => saveVoiceSettings({ spokenReplies: e.target.checked })}
+                />
+                {t('speakVoiceReplies') || 'Speak replies to voice messages'}
+              </label>
+              <label className={`flex items-center text-xs ${isMidnight ? 'text-gray-300' : 'text-gray-700'}`}>
+                {t('voice') || 'Voice'}
+                <select
+                  value={voiceSettings.voice}
+                  onChange={(e) => saveVoiceSettings({ voice: e.target.value })}
+                  className={`ml-2 px-2 py-1 rounded-md border text-xs capitalize ${isMidnight ? 'bg-slate-700 border-slate-600 text-white' : 'border-gray-300'}`}
+                >
+                  {VOICE_OPTIONS.map(voice => <option key={voice} value={voice}>{voice}</option>)}
+                </select>
+              </label>
+              <label className={`flex items-center text-xs ${isMidnight ? 'text-gray-300' : 'text-gray-700'}`}>
+                {t('speakingRate') || 'Speed'}
+                <input
+                  type="range"
+                  min="0.5"
+                  max="2"
+                  step="0.25"
+                  value={voiceSettings.speed}
+                  onChange={(e) => setVoiceSettings(s => ({ ...s, speed: Number(e.target.value) }))}
+                  onMouseUp={(e) => saveVoiceSettings({ speed: Number(e.target.value) })}
+                  onTouchEnd={(e) => saveVoiceSettings({ speed: Number(e.target.value) })}
+                  onKeyUp={(e) => saveVoiceSettings({ speed: Number(e.target.value) })}
+                  className="mx-2"
+                  aria-label="Speaking rate"
+                />
+                {voiceSettings.speed}×
+              </label>
+              <button
+                onClick={previewVoice}
+                className={`flex items-center px-3 py-1.5 rounded-md border text-xs transition-colors ${isMidnight ? 'text-white border-slate-600 hover:bg-slate-700' : 'border-gray-300 hover:bg-gray-100'}`}
+              >
+                <Play className="w-4 h-4 mr-1" />
+                {t('previewVoice') || 'Preview'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showMemoryPanel && (
+        <div className={`w-full border-b ${isMidnight ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'}`}>
+          <div className="max-w-4xl mx-auto px-4 py-3">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <div>
+                <p className={`font-semibold text-sm ${isMidnight ? 'text-gray-200' : 'text-gray-800'}`}>{t('aiMemoryTitle') || 'What the AI remembers'}</p>
+                <p className="text-xs text-gray-500">
+                  {memoryPaused
+                    ? (t('aiMemoryPausedNote') || 'Memory is paused: new messages are not remembered and past ones are not recalled.')
+                    : (t('aiMemoryNote') || 'Snippets from past chats the companion can recall. Deleting one keeps the chat itself.')}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={toggleMemoryPaused}
+                  className={`flex items-center px-3 py-1.5 rounded-md border text-xs transition-colors ${isMidnight ? 'text-white border-slate-600 hover:bg-slate-700' : 'border-gray-300 hover:bg-gray-100'}`}
+                >
+                  {memoryPaused ? <Play className="w-4 h-4 mr-1" /> : <Pause className="w-4 h-4 mr-1" />}
+                  {memoryPaused ? (t('resumeMemory') || 'Resume memory') : (t('pauseMemory') || 'Pause memory')}
+                </button>
+                <button
+                  onClick={exportMemories}
+                  disabled={memoryTotal === 0}
+                  className={`flex items-center px-3 py-1.5 rounded-md border text-xs transition-colors disabled:opacity-50 ${isMidnight ? 'text-white border-slate-600 hover:bg-slate-700' : 'border-gray-300 hover:bg-gray-100'}`}
+                >
+                  <Download className="w-4 h-4 mr-1" />
+                  {t('exportMemories') || 'Export'}
+                </button>
+              </div>
+            </div>
+
+            {memoryLoading ? (
+              <p className="text-sm text-gray-500 text-center py-4">{t('loading') || 'Loading...'}</p>
+            ) : memoryGroups.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">{t('noMemories') || 'Nothing remembered yet'}</p>
+            ) : (
+              <div className="space-y-3 max-h-72 overflow-y-auto">
+                {memoryGroups.map(group => (
+                  <div key={group.conversationId} className={`p-3 rounded-xl ${isMidnight ? 'bg-slate-700' : 'bg-gray-50'}`}>
+                    <div className="flex justify-between items-center mb-2">
+                      <p className={`font-semibold text-sm truncate ${isMidnight ? 'text-gray-200' : 'text-gray-800'}`}>{group.title || t('untitledChat') || 'Untitled chat'}</p>
+                      <button
+                        onClick={() => forgetConversation(group.conversationId)}
+                        className="ml-3 text-xs text-red-500 hover:underline flex-shrink-0"
+                      >
+                        {t('forgetConversation') || 'Forget conversation'}
+                      </button>
+                    </div>
+                    <ul className="space-y-1">
+                      {group.items.map(memory => (
+                        <li key={memory.id} className="flex justify-between items-start">
+                          <p className={`text-xs flex-1 min-w-0 ${isMidnight ? 'text-gray-300' : 'text-gray-600'}`}>
+                            <span className="font-medium">{memory.sender === 'user' ? (t('you') || 'You') : (t('aiCompanion') || 'AI Companion')}:</span>{' '}
+                            {memory.content.length > 200 ? `${memory.content.slice(0, 200)}…` : memory.content}
+                          </p>
+                          <button
+                            onClick={() => deleteMemory(memory.id)}
+                            className="ml-3 p-1 rounded-lg text-red-500 hover:bg-red-50 dark:hover:bg-red-900/20"
+                            title="Delete memory"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+                {memoryTotal > memories.length && (
+                  <p className="text-xs text-gray-500 text-center">
+                    {`${t('showingLatestMemories') || 'Showing the latest'} ${memories.length} / ${memoryTotal}`}
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Messages */}
       <div ref={messagesContainerRef} className="chat-messages bg-gradient-to-b from-cyan-50 to-blue-50 dark:from-cyan-900 dark:to-blue-900">
         <div className="space-y-4 max-w-4xl mx-auto w-full px-2 sm:px-4">
@@ -537,24 +1220,76 @@ const AICompanion = () => {
             </div>
           )}
           {currentChat?.messages?.map(msg => (
-            <div key={msg.id} className={`max-w-[85%] ${msg.role === 'user' ? 'ml-auto text-right' : 'mr-auto text-left'}`}>
-              <div className={`chat-bubble inline-block px-4 py-2 rounded-lg ${msg.role === 'user' ? 'bg-blue-600 text-white' : isMidnight ? 'bg-gray-800 text-gray-100' : 'bg-white text-gray-900 border border-gray-200'}`}>
-                {msg.type === 'audio' ? (
-                  <audio controls className="w-56 sm:w-96">
+            <div key={msg.id} className={`max-w-[85%] ${msg.role === 'user' ? alignEnd : alignStart}`}>
+              <div dir="auto" className={`chat-bubble inline-block px-4 py-2 rounded-lg text-start ${msg.role === 'user' ? 'bg-blue-600 text-white' : isMidnight ? 'bg-gray-800 text-gray-100' : 'bg-white text-gray-900 border border-gray-200'}`}>
+                {msg.text}
+                {msg.audioUrl && (
+                  <audio controls className="w-56 sm:w-96 mt-2 block">
                     <source src={msg.audioUrl} />
                     <track kind="captions" />
                     Your browser does not support the audio element.
                   </audio>
-                ) : (
-                  msg.text
                 )}
               </div>
-              <div className="text-xs text-gray-400 mt-1">{msg.time}</div>
+              {msg.sources?.length > 0 && (
+                <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {t('sources') || 'Sources'}:{' '}
+                  {msg.sources.map((source, i) => (
+                    <React.Fragment key={source.resourceId}>
+                      {i > 0 && ', '}
+                      <a href={source.url} target="_blank" rel="noopener noreferrer" className="text-blue-600 dark:text-blue-400 hover:underline">
+                        {source.title}
+                      </a>
+                    </React.Fragment>
+                  ))}
+                </div>
+              )}
+              {msg.toolEvents?.map(renderToolCard)}
+              <div className="text-xs text-gray-400 mt-1 flex items-center gap-2">
+                {msg.time}
+                {msg.role === 'assistant' && msg.text && !msg.audioUrl && (
+                  <button
+                    onClick={() => speakMessage(msg)}
+                    disabled={speakingMessageId === msg.id}
+                    className="hover:text-blue-600 disabled:opacity-50"
+                    aria-label="Read reply aloud"
+                    title={t('readAloud') || 'Read aloud'}
+                  >
+                    <Volume2 className="w-3 h-3" />
+                  </button>
+                )}
+              </div>
             </div>
           ))}
           
+          {pendingActions.filter(a => a.conversationId === currentChatId).map(action => (
+            <div key={action.id} className={`max-w-[85%] ${alignStart} p-3 rounded-lg text-sm ${isMidnight ? 'bg-slate-800 text-gray-200 border border-slate-700' : 'bg-amber-50 text-gray-800 border border-amber-200'}`}>
+              <p className="font-semibold mb-1">{t('confirmAction') || 'Please confirm'}</p>
+              <p dir="auto" className="mb-3">{action.summary}</p>
+              {action.error && <p className="text-xs text-red-500 mb-2">{action.error}</p>}
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => resolveAction(action, 'confirm')}
+                  disabled={action.busy}
+                  className="flex items-center px-3 py-1.5 rounded-md bg-blue-600 text-white text-xs hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Check className={`w-4 h-4 ${isRTL ? 'ml-1' : 'mr-1'}`} />
+                  {t('confirm') || 'Confirm'}
+                </button>
+                <button
+                  onClick={() => resolveAction(action, 'cancel')}
+                  disabled={action.busy}
+                  className={`flex items-center px-3 py-1.5 rounded-md border text-xs disabled:opacity-50 ${isMidnight ? 'border-slate-600 hover:bg-slate-700' : 'border-gray-300 hover:bg-gray-100'}`}
+                >
+                  <X className={`w-4 h-4 ${isRTL ? 'ml-1' : 'mr-1'}`} />
+                  {t('cancel') || 'Cancel'}
+                </button>
+              </div>
+            </div>
+          ))}
+
           {isLoading && currentChat && (
-            <div className="max-w-[85%] mr-auto text-left">
+            <div className={`max-w-[85%] ${alignStart}`}>
               <div className="chat-bubble inline-block px-4 py-2 rounded-lg bg-gray-100 text-gray-900 dark:bg-gray-800 dark:text-gray-100">
                 <div className="flex items-center space-x-2">
                   <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{animationDelay: '0ms'}}></div>
@@ -576,18 +1311,30 @@ const AICompanion = () => {
             placeholder={t('typeMessagePlaceholder') || 'Type your message...'}
             value={input}
             onChange={(e) => setInput(e.target.value)}
+            dir="auto"
             className="flex-1 text-sm sm:text-base h-10"
             onKeyDown={(e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); handleSend(); } }}
           />
           <div className="flex items-center space-x-2">
-            <button 
-              onClick={handleSend} 
-              disabled={!input.trim() || isLoading}
-              className="icon-tap rounded-full bg-blue-600 text-white w-10 h-10 sm:w-12 sm:h-12 flex-shrink-0 flex items-center justify-center hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-              title={isLoading ? 'Sending...' : 'Send message'}
-            >
-              <Send className="w-4 h-4 sm:w-5 sm:h-5" />
-            </button>
+            {isStreaming ? (
+              <button
+                onClick={stopStreaming}
+                aria-label="Stop generating"
+                className="icon-tap rounded-full bg-blue-600 text-white w-10 h-10 sm:w-12 sm:h-12 flex-shrink-0 flex items-center justify-center hover:shadow-lg transition-all"
+                title="Stop generating"
+              >
+                <Square className="w-4 h-4 sm:w-5 sm:h-5" />
+              </button>
+            ) : (
+              <button 
+                onClick={handleSend} 
+                disabled={!input.trim() || isLoading}
+                className="icon-tap rounded-full bg-blue-600 text-white w-10 h-10 sm:w-12 sm:h-12 flex-shrink-0 flex items-center justify-center hover:shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                title={isLoading ? 'Sending...' : 'Send message'}
+              >
+                <Send className={`w-4 h-4 sm:w-5 sm:h-5 ${isRTL ? '-scale-x-100' : ''}`} />
+              </button>
+            )}
             <button
               aria-label={isRecording ? 'Stop recording' : 'Voice message'}
               onClick={() => { isRecording ? stopRecording() : startRecording(); }}
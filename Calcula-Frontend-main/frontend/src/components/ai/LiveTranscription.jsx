@@ -1,150 +1,350 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Button } from '../ui/button';
-import { Mic, MicOff, Loader } from 'lucide-react';
+import { Mic, Square, Loader, Trash2, RefreshCw } from 'lucide-react';
+import {
+  getSessionTranscript,
+  startSessionTranscript,
+  uploadTranscriptChunk,
+  finishSessionTranscript,
+  regenerateSessionSummary,
+  deleteSessionTranscript
+} from '../../services/sessionTranscriptionService';
+import { updateSessionNotesAndGoals } from '../../services/appointmentService';
 
-const LiveTranscription = ({ theme, onFinalTranscript }) => {
-  const [isListening, setIsListening] = useState(false);
-  const [transcript, setTranscript] = useState('');
-  const [isSupported, setIsSupported] = useState(false);
-  const recognitionRef = useRef(null);
+// Each chunk is a separate recording so it can be transcribed on its own
+const CHUNK_MS = 30000;
 
-  useEffect(() => {
-    // Check if SpeechRecognition is supported
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (SpeechRecognition) {
-      setIsSupported(true);
-      recognitionRef.current = new SpeechRecognition();
-      const recognition = recognitionRef.current;
-
-      recognition.continuous = true;
-      recognition.interimResults = true;
-      recognition.lang = 'en-US';
-
-      recognition.onstart = () => {
-        setIsListening(true);
-        setTranscript('');
-      };
-
-      recognition.onresult = (event) => {
-        let finalTranscript = '';
-        let interimTranscript = '';
-
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-          const result = event.results[i];
-          if (result.isFinal) {
-            finalTranscript += result[0].transcript;
-          } else {
-            interimTranscript += result[0].transcript;
-          }
-        }
+const draftFrom = (transcript) => ({
+  notes: transcript?.summary?.notes || '',
+  goals: (transcript?.summary?.session_goals || []).map((g) => g.goal)
+});
 
-        setTranscript(finalTranscript + interimTranscript);
+/**
+ * Session transcription for a counsellor's appointment.
+ * Records only once the student has consented, sends the audio in chunks,
+ * then shows the drafted notes and goals for the counsellor to edit and save.
+ *
+ * @param {Object} props
+ * @param {Object} props.theme
+ * @param {string} props.appointmentId
+ * @param {boolean} props.canRecord - Only confirmed sessions can be recorded
+ * @param {Array<{goal: string, completed: boolean}>} props.existingGoals - Kept ahead of the drafted goals when saving
+ * @param {Function} props.onSaved - Called with { notes, session_goals } after saving to the appointment
+ */
+const LiveTranscription = ({ theme, appointmentId, canRecord = true, existingGoals = [], onSaved }) => {
+  const [loading, setLoading] = useState(true);
+  const [consented, setConsented] = useState(false);
+  const [transcript, setTranscript] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [chunksSent, setChunksSent] = useState(0);
+  const [error, setError] = useState('');
+  const [notes, setNotes] = useState('');
+  const [goals, setGoals] = useState([]);
 
-        if (finalTranscript) {
-          onFinalTranscript && onFinalTranscript({
-            id: Date.now(),
-            text: finalTranscript,
-            isBot: false,
-            timestamp: new Date()
-          });
-        }
-      };
+  const streamRef = useRef(null);
+  const recorderRef = useRef(null);
+  const timerRef = useRef(null);
+  const recordingRef = useRef(false);
+  const seqRef = useRef(0);
+  const uploadsRef = useRef(Promise.resolve());
 
-      recognition.onerror = (event) => {
-        console.error('Speech recognition error:', event.error);
-        setIsListening(false);
-      };
+  const showTranscript = (next) => {
+    setTranscript(next);
+    const draft = draftFrom(next);
+    setNotes(draft.notes);
+    setGoals(draft.goals);
+  };
 
-      recognition.onend = () => {
-        setIsListening(false);
-      };
-    }
+  useEffect(() => {
+    let cancelled = false;
+    getSessionTranscript(appointmentId)
+      .then((res) => {
+        if (cancelled) return;
+        setConsented(res.data.consented);
+        showTranscript(res.data.transcript);
+        setChunksSent(res.data.transcript?.chunks || 0);
+      })
+      .catch((err) => !cancelled && setError(err.message || 'Failed to load transcription'))
+      .finally(() => !cancelled && setLoading(false));
 
     return () => {
-      if (recognitionRef.current) {
-        recognitionRef.current.stop();
+      cancelled = true;
+      recordingRef.current = false;
+      clearTimeout(timerRef.current);
+      if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+    };
+  }, [appointmentId]);
+
+  const stopMicrophone = () => {
+    recordingRef.current = false;
+    clearTimeout(timerRef.current);
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setIsRecording(false);
+  };
+
+  // Chunks upload one after another; the backend orders them by seq anyway
+  const queueUpload = (seq, blob) => {
+    uploadsRef.current = uploadsRef.current.then(async () => {
+      try {
+        await uploadTranscriptChunk(appointmentId, seq, blob);
+        setChunksSent((n) => n + 1);
+      } catch (err) {
+        if (err.status === 403 || err.status === 404 || err.status === 409) {
+          // Consent withdrawn or transcript closed: stop sending audio
+          if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+          stopMicrophone();
+        }
+        setError(err.message || 'A part of the session could not be transcribed');
       }
+    });
+  };
+
+  const recordSegment = () => {
+    const recorder = new MediaRecorder(streamRef.current);
+    const parts = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) parts.push(e.data);
+    };
+    recorder.onstop = () => {
+      if (parts.length > 0) queueUpload(seqRef.current++, new Blob(parts, { type: recorder.mimeType }));
+      if (recordingRef.current) recordSegment();
     };
-  }, [onFinalTranscript]);
+    recorderRef.current = recorder;
+    recorder.start();
+    timerRef.current = setTimeout(() => recorder.state === 'recording' && recorder.stop(), CHUNK_MS);
+  };
+
+  const startRecording = async () => {
+    setError('');
+    setBusy(true);
+    try {
+      const res = await startSessionTranscript(appointmentId);
+      seqRef.current = res.data.chunks || 0;
+      setChunksSent(res.data.chunks || 0);
+      setTranscript(res.data);
+
+      streamRef.current = await navigator.mediaDevices.getUserMedia({ audio: true });
+      recordingRef.current = true;
+      setIsRecording(true);
+      recordSegment();
+    } catch (err) {
+      stopMicrophone();
+      setError(err.message || 'Could not start transcription');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const finishRecording = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const recorder = recorderRef.current;
+      const lastSegment = new Promise((resolve) => {
+        if (recorder?.state !== 'recording') return resolve();
+        recorder.addEventListener('stop', () => resolve(), { once: true });
+      });
+      recordingRef.current = false;
+      clearTimeout(timerRef.current);
+      if (recorder?.state === 'recording') recorder.stop();
+      await lastSegment;
+      stopMicrophone();
+      await uploadsRef.current;
+
+      const res = await finishSessionTranscript(appointmentId);
+      showTranscript(res.data.transcript);
+      if (res.data.summaryError) setError(res.data.summaryError);
+    } catch (err) {
+      setError(err.message || 'Could not finish the transcript');
+    } finally {
+      setBusy(false);
+    }
+  };
 
-  const startListening = () => {
-    if (recognitionRef.current && !isListening) {
-      recognitionRef.current.start();
+  const regenerate = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const res = await regenerateSessionSummary(appointmentId);
+      showTranscript(res.data.transcript);
+      if (res.data.summaryError) setError(res.data.summaryError);
+    } catch (err) {
+      setError(err.message || 'Could not draft the summary');
+    } finally {
+      setBusy(false);
     }
   };
 
-  const stopListening = () => {
-    if (recognitionRef.current && isListening) {
-      recognitionRef.current.stop();
+  const removeTranscript = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      await deleteSessionTranscript(appointmentId);
+      showTranscript(null);
+      setChunksSent(0);
+    } catch (err) {
+      setError(err.message || 'Could not delete the transcript');
+    } finally {
+      setBusy(false);
     }
   };
 
-  if (!isSupported) {
+  const saveDraft = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const session_goals = [
+        ...existingGoals,
+        ...goals.map((goal) => goal.trim()).filter(Boolean).map((goal) => ({ goal, completed: false }))
+      ];
+      const trimmedNotes = notes.trim() || null;
+      await updateSessionNotesAndGoals(appointmentId, { notes: trimmedNotes, session_goals });
+      onSaved?.({ notes: trimmedNotes, session_goals });
+    } catch (err) {
+      setError(err.message || 'Could not save the session notes');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) {
     return (
-      <div className="flex flex-col items-center justify-center h-full space-y-4 p-8">
-        <div className="text-center">
-          <h3 className={`text-xl font-bold ${theme.colors.text}`}>
-            Speech Recognition Not Supported
-          </h3>
-          <p className={`${theme.colors.muted} mt-2`}>
-            Your browser doesn't support speech recognition. Please use a modern browser like Chrome.
-          </p>
-        </div>
+      <div className={`flex items-center gap-2 text-sm ${theme.colors.muted}`}>
+        <Loader className="w-4 h-4 animate-spin" /> Loading transcription...
       </div>
     );
   }
 
+  const completed = transcript?.status === 'completed';
+
   return (
-    <div className="flex flex-col items-center justify-center h-full space-y-6 p-8">
-      <div className="text-center space-y-4">
-        <div className={`w-32 h-32 mx-auto rounded-full flex items-center justify-center ${
-          isListening
-            ? "bg-gradient-to-br from-red-400 to-red-600 animate-pulse"
-            : "bg-gradient-to-br from-cyan-400 to-blue-600"
-        }`}>
-          <Mic className="w-16 h-16 text-white" />
+    <div className={`mt-4 p-4 rounded-lg border ${theme.colors.card}`}>
+      <div className="flex items-center justify-between mb-2">
+        <h4 className={`font-semibold ${theme.colors.text}`}>Session Transcription</h4>
+        {transcript && !isRecording && (
+          <button
+            onClick={removeTranscript}
+            disabled={busy}
+            className="p-1 rounded hover:bg-red-200 text-red-600"
+            title="Delete transcript"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {canRecord && !consented && !transcript && (
+        <p className={`text-sm ${theme.colors.muted}`}>
+          The student has not agreed to this session being transcribed.
+        </p>
+      )}
+
+      {canRecord && consented && !completed && (
+        <div className="flex flex-wrap items-center gap-3">
+          {!isRecording ? (
+            <Button
+              onClick={startRecording}
+              disabled={busy}
+              size="sm"
+              className="bg-gradient-to-r from-cyan-500 to-blue-600 text-white"
+            >
+              <Mic className="w-4 h-4 mr-2" />
+              {transcript ? 'Resume Recording' : 'Start Recording'}
+            </Button>
+          ) : (
+            <span className="flex items-center gap-2 text-sm text-red-600">
+              <span className="w-2 h-2 rounded-full bg-red-600 animate-pulse" /> Recording
+            </span>
+          )}
+          {transcript && (
+            <Button
+              onClick={finishRecording}
+              disabled={busy}
+              size="sm"
+              className="bg-gradient-to-r from-red-500 to-red-600 text-white"
+            >
+              {busy ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Square className="w-4 h-4 mr-2" />}
+              Finish and Summarise
+            </Button>
+          )}
+          {transcript && (
+            <span className={`text-xs ${theme.colors.muted}`}>{chunksSent} part{chunksSent === 1 ? '' : 's'} transcribed</span>
+          )}
         </div>
+      )}
 
-        <h3 className={`text-2xl font-bold ${theme.colors.text}`}>
-          Live Voice Transcription
-        </h3>
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
 
-        <p className={`${theme.colors.muted} text-lg`}>
-          {isListening ? 'Listening... Speak clearly.' : 'Click start to begin voice transcription.'}
-        </p>
+      {completed && (
+        <div className="space-y-3">
+          <details>
+            <summary className={`text-sm cursor-pointer ${theme.colors.muted}`}>Transcript</summary>
+            <p className={`mt-2 text-sm whitespace-pre-wrap max-h-48 overflow-y-auto ${theme.colors.text}`}>
+              {transcript.transcript || 'Nothing was transcribed.'}
+            </p>
+          </details>
 
-        {transcript && (
-          <div className={`mt-4 p-4 rounded-lg ${theme.colors.card} max-w-md`}>
-            <p className="text-sm opacity-70">Transcript:</p>
-            <p className="mt-2">{transcript}</p>
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className={`text-sm font-semibold ${theme.colors.text}`}>Draft session notes</label>
+              <button
+                onClick={regenerate}
+                disabled={busy}
+                className="p-1 rounded hover:bg-blue-200 text-blue-600"
+                title="Draft again"
+              >
+                <RefreshCw className={`w-4 h-4 ${busy ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+            <textarea
+              rows="5"
+              maxLength={2000}
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              className={`w-full p-3 rounded-lg border border-gray-300 focus:ring-2 focus:ring-cyan-400 focus:border-cyan-400 ${theme.colors.card}`}
+            />
+          </div>
+
+          <div>
+            <label className={`text-sm font-semibold ${theme.colors.text}`}>Draft goals</label>
+            <div className="space-y-2 mt-1">
+              {goals.map((goal, index) => (
+                <div key={index} className="flex gap-2 items-center">
+                  <input
+                    type="text"
+                    maxLength={200}
+                    value={goal}
+                    onChange={(e) => setGoals((prev) => prev.map((g, i) => (i === index ? e.target.value : g)))}
+                    className={`flex-grow p-2 rounded-lg border border-gray-300 focus:ring-2 focus:ring-cyan-400 ${theme.colors.card}`}
+                  />
+                  <button
+                    onClick={() => setGoals((prev) => prev.filter((_, i) => i !== index))}
+                    className="p-1 rounded hover:bg-red-200 text-red-600"
+                    title="Remove"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <Button onClick={() => setGoals((prev) => [...prev, ''])} size="sm" variant="outline">
+                Add goal
+              </Button>
+            </div>
           </div>
-        )}
-      </div>
 
-      <div className="flex space-x-4">
-        {!isListening ? (
-          <Button
-            onClick={startListening}
-            className="bg-gradient-to-r from-cyan-500 to-blue-600 text-white px-8 py-6 text-lg"
-          >
-            <Mic className="w-6 h-6 mr-2" />
-            Start Listening
-          </Button>
-        ) : (
           <Button
-            onClick={stopListening}
-            className="bg-gradient-to-r from-red-500 to-red-600 text-white px-8 py-6 text-lg"
+            onClick={saveDraft}
+            disabled={busy}
+            size="sm"
+            className="w-full bg-green-500 text-white"
           >
-            <MicOff className="w-6 h-6 mr-2" />
-            Stop Listening
+            {busy ? 'Saving...' : 'Save to Session Notes'}
           </Button>
-        )}
-      </div>
-
-      <div className={`text-sm ${theme.colors.muted} text-center max-w-md`}>
-        <p>Click "Start Listening" to begin real-time voice transcription.</p>
-        <p className="mt-2">Your speech will be transcribed and sent as a message.</p>
-      </div>
+        </div>
+      )}
     </div>
   );
 };
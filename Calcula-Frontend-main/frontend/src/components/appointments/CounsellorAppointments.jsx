@@ -6,6 +6,7 @@ import { useToast } from '../../hooks/use-toast';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
+import LiveTranscription from '../ai/LiveTranscription';
 import {
     getAppointmentRequests,
     acceptAppointmentRequest,
@@ -362,6 +363,27 @@ const CounsellorAppointments = () => {
         }
     };
     
+    const handleTranscriptSaved = (appointmentId, { notes, session_goals }) => {
+        setAppointments(prev => prev.map(a =>
+            a.id === appointmentId
+                ? {
+                    ...a,
+                    postSessionNotes: notes || '',
+                    sessionNotes: notes || '',
+                    actionItems: session_goals.map((goal, index) => ({
+                        id: index + 1,
+                        text: goal.goal,
+                        completed: goal.completed || false
+                    }))
+                }
+                : a
+        ));
+        toast({
+            title: "Success",
+            description: "Session notes saved from the transcript!"
+        });
+    };
+
     useEffect(() => {
         const interval = setInterval(() => {
             const now = new Date();
@@ -1004,11 +1026,19 @@ const CounsellorAppointments = () => {
                                                 </Badge>
                                             </div>
 
-                                            <div className={`${expanded[app.id] ? 'max-h-[1000px] opacity-100' : 'max-h-0 opacity-0'} overflow-hidden transition-all duration-300`}>
+                                            <div className={`${expanded[app.id] ? 'max-h-[2000px] opacity-100' : 'max-h-0 opacity-0'} overflow-hidden transition-all duration-300`}>
                                                 <h4 className={`font-semibold ${theme.colors.text}`}>{t('studentsPreSessionNotes')}</h4>
                                                 <div className={`mt-2 p-4 bg-gradient-to-r ${theme.colors.secondary} rounded-lg border`}>
                                                     <p className={`${theme.colors.text}`}>{app.preSessionNotes || t('noNotesProvided')}</p>
                                                 </div>
+                                                {expanded[app.id] && app.originalStatus === 'confirmed' && (
+                                                    <LiveTranscription
+                                                        theme={theme}
+                                                        appointmentId={app.id}
+                                                        existingGoals={app.actionItems.map(item => ({ goal: item.text, completed: item.completed }))}
+                                                        onSaved={(saved) => handleTranscriptSaved(app.id, saved)}
+                                                    />
+                                                )}
                                             </div>
                                         </CardContent>
                                     </Card>
@@ -1057,7 +1087,7 @@ const CounsellorAppointments = () => {
                                                 <Badge className="bg-green-100 text-green-800">Completed</Badge>
                                             </div>
 
-                                            <div className={`${expanded[app.id] ? 'max-h-[1000px] opacity-100' : 'max-h-0 opacity-0'} overflow-hidden transition-all duration-300`}> 
+                                            <div className={`${expanded[app.id] ? 'max-h-[2000px] opacity-100' : 'max-h-0 opacity-0'} overflow-hidden transition-all duration-300`}> 
                                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
                                                     <div>
                                                         <div className="flex items-center justify-between mb-2">
@@ -1208,6 +1238,15 @@ const CounsellorAppointments = () => {
                                                         )}
                                                     </div>
                                                 </div>
+                                                {expanded[app.id] && (
+                                                    <LiveTranscription
+                                                        theme={theme}
+                                                        appointmentId={app.id}
+                                                        canRecord={app.originalStatus === 'confirmed'}
+                                                        existingGoals={app.actionItems.map(item => ({ goal: item.text, completed: item.completed }))}
+                                                        onSaved={(saved) => handleTranscriptSaved(app.id, saved)}
+                                                    />
+                                                )}
                                             </div>
                                         </CardContent>
                                     </Card>
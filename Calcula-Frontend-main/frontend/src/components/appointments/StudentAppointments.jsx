@@ -6,6 +6,7 @@ import { useToast } from '../../hooks/use-toast';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
+import TranscriptionConsent from './TranscriptionConsent';
 import { 
     getCollegeCounsellors, 
     bookAppointment,
@@ -1265,6 +1266,8 @@ const StudentAppointments = () => {
                                                                     <p className={`text-sm ${theme.colors.muted}`}>{app.sessionNotes}</p>
                                                                 </div>
                                                             )}
+
+                                                            <TranscriptionConsent theme={theme} appointmentId={app.id} />
                                                         </div>
                                                     )}
                                                 </div>
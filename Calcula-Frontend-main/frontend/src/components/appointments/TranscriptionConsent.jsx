@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { Switch } from '../ui/switch';
+import {
+  getTranscriptionConsent,
+  setTranscriptionConsent
+} from '../../services/sessionTranscriptionService';
+
+/**
+ * Student's consent to their counsellor transcribing a session.
+ * Off until the student turns it on; turning it off deletes any transcript.
+ *
+ * @param {Object} props
+ * @param {Object} props.theme
+ * @param {string} props.appointmentId
+ */
+const TranscriptionConsent = ({ theme, appointmentId }) => {
+  const [consented, setConsented] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    getTranscriptionConsent(appointmentId)
+      .then((res) => !cancelled && setConsented(res.data.consented))
+      .catch((err) => !cancelled && setMessage(err.message || 'Could not load your transcription choice'))
+      .finally(() => !cancelled && setLoading(false));
+    return () => {
+      cancelled = true;
+    };
+  }, [appointmentId]);
+
+  const handleChange = async (next) => {
+    setSaving(true);
+    setMessage('');
+    try {
+      const res = await setTranscriptionConsent(appointmentId, next);
+      setConsented(res.data.consented);
+      if (res.data.transcriptDeleted) setMessage('The transcript of this session was deleted.');
+    } catch (err) {
+      setMessage(err.message || 'Could not update your transcription choice');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 p-3 rounded-lg border">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <p className={`text-sm font-semibold ${theme.colors.text}`}>Allow session transcription</p>
+          <p className={`text-xs ${theme.colors.muted}`}>
+            Your counsellor may transcribe this session to help write their notes. Only the text is kept, and you can change your mind at any time.
+          </p>
+        </div>
+        <Switch
+          checked={consented}
+          onCheckedChange={handleChange}
+          disabled={loading || saving}
+          aria-label="Allow session transcription"
+        />
+      </div>
+      {message && <p className={`mt-2 text-xs ${theme.colors.muted}`}>{message}</p>}
+    </div>
+  );
+};
+
+export default TranscriptionConsent;
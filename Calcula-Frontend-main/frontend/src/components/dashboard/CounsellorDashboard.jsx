@@ -44,8 +44,9 @@ import { useAnnouncements } from '@context/AnnouncementContext';
 import CommunityView from '@components/community/CommunityView';
 import DirectMessages from '@components/community/DirectMessages';
 import { generateHistoryTitle } from '@lib/utils';
-import { getAllResources, uploadResource, deleteResource, getResourceDownloadUrl } from '@services/resourceService';
+import { getAllResources, uploadResource, deleteResource, getResourceDownloadUrl, reindexResource } from '@services/resourceService';
 import AnalyticsModule from '@components/admin/AnalyticsModule';
+import { startRealtimeVoice, crisisContactsText } from '@services/realtimeService';
 
 // RealtimeVoice component (copied from StudentDashboard for Voice tab)
 const RealtimeVoice = ({ onAddMessage, theme }) => {
@@ -54,119 +55,39 @@ const RealtimeVoice = ({ onAddMessage, theme }) => {
   const [status, setStatus] = useState("idle");
   const [transcript, setTranscript] = useState("");
   
-  const pcRef = useRef(null);
-  const dataChannelRef = useRef(null);
-  const audioElementRef = useRef(null);
+  const sessionRef = useRef(null);
+
+  const addBotMessage = (text) => {
+    onAddMessage({
+      id: Date.now(),
+      text,
+      isBot: true,
+      timestamp: new Date()
+    });
+  };
 
   const startRealtimeSession = async () => {
     try {
       setIsConnecting(true);
       setStatus("Connecting...");
 
-      const backendUrl = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
-      const tokenRes = await fetch(`${backendUrl}/api/student/realtime-session`, {
-        method: "POST",
-        credentials: "include",
-        headers: { "Content-Type": "application/json" }
-      });
-
-      if (!tokenRes.ok) throw new Error("Failed to get session token");
-      
-      const response = await tokenRes.json();
-      const { client_secret } = response.data || response;
-
-      const pc = new RTCPeerConnection();
-      pcRef.current = pc;
-
-      const audioEl = document.createElement("audio");
-      audioEl.autoplay = true;
-      audioElementRef.current = audioEl;
-
-      pc.ontrack = e => {
-        audioEl.srcObject = e.streams[0];
-      };
-
-      const dc = pc.createDataChannel("oai-events");
-      dataChannelRef.current = dc;
-
-      dc.addEventListener("message", e => {
-        try {
-          const event = JSON.parse(e.data);
-          
-          if (event.type === "response.audio_transcript.delta") {
-            setTranscript(prev => prev + (event.delta || ""));
-          }
-          
-          if (event.type === "response.audio_transcript.done") {
-            const fullText = event.transcript || transcript;
-            if (fullText) {
-              onAddMessage({
-                id: Date.now(),
-                text: fullText,
-                isBot: true,
-                timestamp: new Date()
-              });
-              setTranscript("");
-            }
-          }
-
-          if (event.type === "response.done") {
-            setStatus("Listening...");
-          }
-        } catch (err) {
-          console.error("DataChannel parse error:", err);
-        }
-      });
-
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      pc.addTrack(stream.getTracks()[0]);
-
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-
-      const sdpRes = await fetch("https://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17", {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${client_secret}`,
-          "Content-Type": "application/sdp"
+      // The session comes configured for this role (instructions, crisis contacts, tools)
+      sessionRef.current = await startRealtimeVoice("counsellor", {
+        onStatus: setStatus,
+        onTranscriptDelta: (delta) => setTranscript(prev => prev + delta),
+        onTranscript: (text) => {
+          addBotMessage(text);
+          setTranscript("");
         },
-        body: offer.sdp
+        onToolEvent: (event) => {
+          const contacts = crisisContactsText(event);
+          if (contacts) addBotMessage(contacts);
+        }
       });
 
-      if (!sdpRes.ok) {
-        const errorText = await sdpRes.text();
-        console.error("OpenAI SDP error:", errorText);
-        throw new Error("Failed to establish session");
-      }
-
-      const answerSdp = await sdpRes.text();
-      await pc.setRemoteDescription({ type: "answer", sdp: answerSdp });
-
       setIsConnected(true);
       setIsConnecting(false);
       setStatus("Listening...");
-
-      const sessionUpdate = {
-        type: "session.update",
-        session: {
-          modalities: ["text", "audio"],
-          instructions: "You are SensEase AI, an empathetic mental health companion. Keep replies short, warm, and supportive.",
-          voice: "alloy",
-          input_audio_format: "pcm16",
-          output_audio_format: "pcm16",
-          input_audio_transcription: { model: "whisper-1" },
-          turn_detection: { type: "server_vad" }
-        }
-      };
-
-      if (dc.readyState === "open") {
-        dc.send(JSON.stringify(sessionUpdate));
-      } else {
-        dc.addEventListener("open", () => {
-          dc.send(JSON.stringify(sessionUpdate));
-        }, { once: true });
-      }
-
     } catch (err) {
       console.error("Realtime session error:", err);
       setStatus("Error: " + err.message);
@@ -176,19 +97,9 @@ const RealtimeVoice = ({ onAddMessage, theme }) => {
   };
 
   const stopRealtimeSession = () => {
-    if (dataChannelRef.current) {
-      dataChannelRef.current.close();
-      dataChannelRef.current = null;
-    }
-    
-    if (pcRef.current) {
-      pcRef.current.close();
-      pcRef.current = null;
-    }
-    
-    if (audioElementRef.current) {
-      audioElementRef.current.srcObject = null;
-      audioElementRef.current = null;
+    if (sessionRef.current) {
+      sessionRef.current.stop();
+      sessionRef.current = null;
     }
 
     setIsConnected(false);
@@ -402,6 +313,23 @@ const CounsellorResourcesSection = ({ theme }) => {
     }
   };
 
+  // Indexing into the AI companion's knowledge base runs in the background after upload
+  const handleReindex = async (resourceId) => {
+    try {
+      const response = await reindexResource(resourceId);
+      if (response.success) {
+        setResources(prev => prev.map(r => (r.id === resourceId ? { ...r, ...response.data } : r)));
+      }
+    } catch (err) {
+      console.error('Error re-indexing resource:', err);
+      toast({
+        title: "Indexing Failed",
+        description: err.message || 'Please try again.',
+        variant: "destructive"
+      });
+    }
+  };
+
   const handleDelete = async (resourceId) => {
     if (!confirm('Are you sure you want to delete this resource?')) {
       return;
@@ -637,6 +565,20 @@ const CounsellorResourcesSection = ({ theme }) => {
                             💾 {(resource.file_size / 1024).toFixed(2)} KB
                           </span>
                         )}
+                        {resource.index_status === 'indexed' && (
+                          <span className={theme.colors.muted} title="The AI companion can use and cite this resource">
+                            🤖 {t('aiIndexed') || 'Available to AI companion'}
+                          </span>
+                        )}
+                        {resource.index_status === 'failed' && (
+                          <button
+                            onClick={() => handleReindex(resource.id)}
+                            className="text-red-500 hover:underline"
+                            title={resource.index_error || ''}
+                          >
+                            🤖 {t('aiIndexFailedRetry') || 'AI indexing failed – retry'}
+                          </button>
+                        )}
                       </div>
                     </div>
 
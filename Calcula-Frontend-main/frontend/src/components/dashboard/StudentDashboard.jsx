@@ -38,12 +38,14 @@ import {
 import { useAnnouncements } from "@context/AnnouncementContext";
 import WellnessTools from "@components/wellness/WellnessTools";
 import JournalWithThemeNew from "@components/wellness/JournalWithThemeNew";
+import MoodTimeline from "@components/wellness/MoodTimeline";
 import MemoryWall from "@components/wellness/MemoryWall";
 import StudentAppointments from "@components/appointments/StudentAppointments";
 import CommunityView from "@components/community/CommunityView";
 import AudioSection from "@components/wellness/AudioSection";
 import AssessmentDashboard from "@/components/Assessment/AssessmentDashboard";
 import DirectMessages from "@components/community/DirectMessages";
+import { startRealtimeVoice, crisisContactsText } from "@services/realtimeService";
 
 const TypingDots = () => {
   const [message, setMessage] = useState('SensEase is thinking');
@@ -80,127 +82,39 @@ const RealtimeVoice = ({ onAddMessage, theme }) => {
   const [status, setStatus] = useState("idle");
   const [transcript, setTranscript] = useState("");
   
-  const pcRef = useRef(null);
-  const dataChannelRef = useRef(null);
-  const audioElementRef = useRef(null);
+  const sessionRef = useRef(null);
+
+  const addBotMessage = (text) => {
+    onAddMessage({
+      id: Date.now(),
+      text,
+      isBot: true,
+      timestamp: new Date()
+    });
+  };
 
   const startRealtimeSession = async () => {
     try {
       setIsConnecting(true);
       setStatus("Connecting...");
 
-      const backendUrl = import.meta.env.VITE_BACKEND_URL || "http://localhost:5000";
-      const tokenRes = await fetch(`${backendUrl}/api/student/realtime-session`, {
-        method: "POST",
-        credentials: "include",
-        headers: { "Content-Type": "application/json" }
-      });
-
-      if (!tokenRes.ok) {
-        // Try to surface backend message for clarity (e.g., missing API key or network failure)
-        let msg = "Failed to get session token";
-        try {
-          const errJson = await tokenRes.json();
-          msg = errJson?.message || msg;
-        } catch (_) {}
-        throw new Error(msg);
-      }
-      
-      const response = await tokenRes.json();
-      const { client_secret } = response.data || response;
-
-      const pc = new RTCPeerConnection();
-      pcRef.current = pc;
-
-      const audioEl = document.createElement("audio");
-      audioEl.autoplay = true;
-      audioElementRef.current = audioEl;
-
-      pc.ontrack = e => {
-        audioEl.srcObject = e.streams[0];
-      };
-
-      const dc = pc.createDataChannel("oai-events");
-      dataChannelRef.current = dc;
-
-      dc.addEventListener("message", e => {
-        try {
-          const event = JSON.parse(e.data);
-          
-          if (event.type === "response.audio_transcript.delta") {
-            setTranscript(prev => prev + (event.delta || ""));
-          }
-          
-          if (event.type === "response.audio_transcript.done") {
-            const fullText = event.transcript || transcript;
-            if (fullText) {
-              onAddMessage({
-                id: Date.now(),
-                text: fullText,
-                isBot: true,
-                timestamp: new Date()
-              });
-              setTranscript("");
-            }
-          }
-
-          if (event.type === "response.done") {
-            setStatus("Listening...");
-          }
-        } catch (err) {
-          console.error("DataChannel parse error:", err);
-        }
-      });
-
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      pc.addTrack(stream.getTracks()[0]);
-
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-
-      const sdpRes = await fetch("https://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-12-17", {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${client_secret}`,
-          "Content-Type": "application/sdp"
+      // The session comes configured for this role (instructions, crisis contacts, tools)
+      sessionRef.current = await startRealtimeVoice("student", {
+        onStatus: setStatus,
+        onTranscriptDelta: (delta) => setTranscript(prev => prev + delta),
+        onTranscript: (text) => {
+          addBotMessage(text);
+          setTranscript("");
         },
-        body: offer.sdp
+        onToolEvent: (event) => {
+          const contacts = crisisContactsText(event);
+          if (contacts) addBotMessage(contacts);
+        }
       });
 
-      if (!sdpRes.ok) {
-        const errorText = await sdpRes.text();
-        console.error("OpenAI SDP error:", errorText);
-        throw new Error("Failed to establish session");
-      }
-
-      const answerSdp = await sdpRes.text();
-      await pc.setRemoteDescription({ type: "answer", sdp: answerSdp });
-
       setIsConnected(true);
       setIsConnecting(false);
       setStatus("Listening...");
-
-      const sessionUpdate = {
-        type: "session.update",
-        session: {
-          modalities: ["text", "audio"],
-          instructions: "You are SensEase AI, an empathetic mental health companion. Keep replies short, warm, and supportive.",
-          voice: "alloy",
-          input_audio_format: "pcm16",
-          output_audio_format: "pcm16",
-          input_audio_transcription: { model: "whisper-1" },
-          turn_detection: { type: "server_vad" }
-        }
-      };
-
-      if (dc.readyState === "open") {
-        dc.send(JSON.stringify(sessionUpdate));
-      } else {
-        dc.addEventListener("open", () => {
-          dc.send(JSON.stringify(sessionUpdate));
-        }, { once: true });
-      }
-
     } catch (err) {
       console.error("Realtime session error:", err);
       setStatus("Error: " + err.message);
@@ -210,19 +124,9 @@ const RealtimeVoice = ({ onAddMessage, theme }) => {
   };
 
   const stopRealtimeSession = () => {
-    if (dataChannelRef.current) {
-      dataChannelRef.current.close();
-      dataChannelRef.current = null;
-    }
-    
-    if (pcRef.current) {
-      pcRef.current.close();
-      pcRef.current = null;
-    }
-    
-    if (audioElementRef.current) {
-      audioElementRef.current.srcObject = null;
-      audioElementRef.current = null;
+    if (sessionRef.current) {
+      sessionRef.current.stop();
+      sessionRef.current = null;
     }
 
     setIsConnected(false);
@@ -1255,7 +1159,10 @@ className={`chat-messages border rounded-xl ${
             <div
               key={a.id}
               className={`p-4 rounded-lg border mb-3 cursor-pointer transition-all ${theme.currentTheme === 'midnight' ? 'hover:bg-black-600' : 'hover:bg-white-100'}`}
-              onClick={() => incrementViews(a.id)}
+              onClick={() => {
+                incrementViews(a.id);
+                if (a.kind === 'assessment_reminder') setActiveTab('assessments');
+              }}
             >
               <p className={`font-semibold ${theme.colors.text}`}>{a.title}</p>
               <p className={`text-sm ${theme.currentTheme === 'midnight' ? 'text-slate-300' : 'text-gray-500'}`}>{a.content}</p>
@@ -1264,6 +1171,8 @@ className={`chat-messages border rounded-xl ${
           ))}
         </CardContent>
       </Card>
+
+      <MoodTimeline />
     </div>
   );
 
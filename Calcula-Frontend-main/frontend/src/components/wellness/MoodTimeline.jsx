@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme } from '@context/ThemeContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@components/ui/card';
+import { Button } from '@components/ui/button';
+import { Badge } from '@components/ui/badge';
+import { Switch } from '@components/ui/switch';
+import { Textarea } from '@components/ui/textarea';
+import { Loader, Smile } from 'lucide-react';
+import { toast } from 'sonner';
+import { getMoodTimeline, correctMoodDay, clearMoodCorrection, setMoodSharing } from '@services/moodService';
+
+const MOODS = {
+  joy: { label: 'Joy', emoji: '😊', color: '#16a34a' },
+  surprise: { label: 'Surprise', emoji: '😮', color: '#0891b2' },
+  neutral: { label: 'Neutral', emoji: '😐', color: '#6b7280' },
+  disgust: { label: 'Disgust', emoji: '🤢', color: '#a16207' },
+  anger: { label: 'Anger', emoji: '😠', color: '#dc2626' },
+  fear: { label: 'Fear', emoji: '😰', color: '#9333ea' },
+  sadness: { label: 'Sadness', emoji: '😔', color: '#2563eb' }
+};
+
+const RANGES = [7, 30, 90];
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Valence (-1 unpleasant to 1 pleasant) per day; days without data break the line
+const MoodChart = ({ days, selectedDate, onSelect }) => {
+  const width = 600;
+  const height = 140;
+  const pad = 10;
+  const step = days.length > 1 ? (width - pad * 2) / (days.length - 1) : 0;
+  const x = (i) => pad + i * step;
+  const y = (valence) => pad + ((1 - valence) / 2) * (height - pad * 2);
+
+  const segments = [];
+  let current = [];
+  days.forEach((day, i) => {
+    if (day.valence === null) {
+      if (current.length) segments.push(current);
+      current = [];
+    } else {
+      current.push(`${current.length ? 'L' : 'M'}${x(i).toFixed(1)},${y(day.valence).toFixed(1)}`);
+    }
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-36" role="img" aria-label="Daily mood chart">
+      <line x1={pad} x2={width - pad} y1={y(0)} y2={y(0)} stroke="#d1d5db" strokeDasharray="4 4" />
+      {segments.map((segment, i) => (
+        <path key={i} d={segment.join(' ')} fill="none" stroke="#8b5cf6" strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" />
+      ))}
+      {days.map((day, i) => day.label && (
+        <circle
+          key={day.date}
+          cx={x(i)}
+          cy={y(day.valence)}
+          r={day.date === selectedDate ? 7 : 5}
+          fill={MOODS[day.label]?.color || '#6b7280'}
+          stroke={day.corrected ? '#111827' : 'white'}
+          strokeWidth="2"
+          className="cursor-pointer"
+          onClick={() => onSelect(day.date)}
+        >
+          <title>{`${formatDay(day.date)}: ${MOODS[day.label]?.label}${day.corrected ? ' (corrected)' : ''}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const MoodTimeline = () => {
+  const { theme } = useTheme();
+  const [range, setRange] = useState(30);
+  const [timeline, setTimeline] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadTimeline();
+  }, [range]);
+
+  const loadTimeline = async () => {
+    try {
+      setLoading(true);
+      setTimeline(await getMoodTimeline(range));
+    } catch (error) {
+      console.error('Error loading mood timeline:', error);
+      toast.error('Could not load your mood timeline');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectDay = (date) => {
+    setSelectedDate(date);
+    setNote(timeline?.days.find((d) => d.date === date)?.note || '');
+  };
+
+  const handleCorrect = async (label) => {
+    try {
+      setSaving(true);
+      await correctMoodDay(selectedDate, label, note);
+      toast.success('Mood updated');
+      await loadTimeline();
+    } catch (error) {
+      toast.error(error.response?.data?.error?.message || 'Could not update the mood');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      setSaving(true);
+      await clearMoodCorrection(selectedDate);
+      setNote('');
+      toast.success('Showing the detected mood again');
+      await loadTimeline();
+    } catch (error) {
+      toast.error('Could not reset the mood');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSharing = async (share) => {
+    try {
+      const sharing = await setMoodSharing(share);
+      setTimeline((prev) => ({ ...prev, sharing }));
+      toast.success(share ? 'Your counsellors can now see your mood timeline' : 'Your mood timeline is private again');
+    } catch (error) {
+      toast.error('Could not update sharing');
+    }
+  };
+
+  const selectedDay = timeline?.days.find((d) => d.date === selectedDate);
+  const summary = timeline?.summary;
+
+  return (
+    <Card className={`${theme.colors.card} p-6 shadow-xl`}>
+      <CardHeader>
+        <div className="flex items-center justify-between flex-wrap gap-2">
+          <div>
+            <CardTitle className={`flex items-center ${theme.colors.text}`}>
+              <Smile className="w-5 h-5 mr-2" />
+              Mood Timeline
+            </CardTitle>
+            <CardDescription>From your AI companion chats and journal entries. Click a day to correct it.</CardDescription>
+          </div>
+          <div className="flex gap-1">
+            {RANGES.map((days) => (
+              <Button key={days} size="sm" variant={range === days ? 'default' : 'outline'} onClick={() => setRange(days)}>
+                {days}d
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading && !timeline ? (
+          <div className="flex justify-center py-8">
+            <Loader className="w-6 h-6 animate-spin" />
+          </div>
+        ) : !summary?.daysWithData ? (
+          <p className={`text-sm ${theme.colors.muted}`}>
+            No mood data yet. Chat with your AI companion or write in your journal to start your timeline.
+          </p>
+        ) : (
+          <>
+            <MoodChart days={timeline.days} selectedDate={selectedDate} onSelect={selectDay} />
+            <div className={`flex justify-between text-xs ${theme.colors.muted}`}>
+              <span>{formatDay(summary.since)}</span>
+              <span>{formatDay(summary.until)}</span>
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3">
+              {Object.entries(summary.labelDays)
+                .filter(([, count]) => count > 0)
+                .map(([label, count]) => (
+                  <Badge key={label} variant="outline">
+                    {MOODS[label].emoji} {MOODS[label].label}: {count} {count === 1 ? 'day' : 'days'}
+                  </Badge>
+                ))}
+            </div>
+          </>
+        )}
+
+        {selectedDay && (
+          <div className="mt-4 p-4 rounded-lg border">
+            <p className={`font-semibold ${theme.colors.text}`}>
+              {formatDay(selectedDay.date)}:{' '}
+              {selectedDay.label ? `${MOODS[selectedDay.label].emoji} ${MOODS[selectedDay.label].label}` : 'No mood recorded'}
+            </p>
+            <p className={`text-xs mt-1 ${theme.colors.muted}`}>
+              {selectedDay.counts.chat} chat messages, {selectedDay.counts.journal} journal entries
+              {selectedDay.corrected && selectedDay.inferredLabel && ` · detected as ${MOODS[selectedDay.inferredLabel].label}`}
+            </p>
+            <p className={`text-sm mt-3 ${theme.colors.text}`}>How did this day actually feel?</p>
+            <div className="flex flex-wrap gap-2 mt-2">
+              {Object.entries(MOODS).map(([label, mood]) => (
+                <Button
+                  key={label}
+                  size="sm"
+                  variant={selectedDay.label === label ? 'default' : 'outline'}
+                  disabled={saving}
+                  onClick={() => handleCorrect(label)}
+                >
+                  {mood.emoji} {mood.label}
+                </Button>
+              ))}
+            </div>
+            <Textarea
+              className="mt-3"
+              value={note}
+              maxLength={500}
+              placeholder="Optional note for yourself (never shared)"
+              onChange={(e) => setNote(e.target.value)}
+            />
+            {selectedDay.corrected && (
+              <Button size="sm" variant="ghost" className="mt-2" disabled={saving} onClick={handleReset}>
+                Use the detected mood
+              </Button>
+            )}
+          </div>
+        )}
+
+        {timeline && (
+          <div className="flex items-center justify-between mt-4 pt-4 border-t">
+            <div>
+              <p className={`text-sm font-medium ${theme.colors.text}`}>Share with my counsellors</p>
+              <p className={`text-xs ${theme.colors.muted}`}>They see daily moods only, never your chats, journal or notes.</p>
+            </div>
+            <Switch
+              checked={timeline.sharing?.shareWithCounsellors || false}
+              onCheckedChange={handleSharing}
+              aria-label="Share mood timeline with counsellors"
+            />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MoodTimeline;
@@ -193,8 +193,9 @@ export const AnnouncementProvider = ({ children }) => {
   };
 
   const getRecentAnnouncements = (limit = 3) => {
+    // Pinned items (including assessment reminders) stay at the top
     return getVisibleAnnouncements()
-      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .sort((a, b) => (b.isPinned - a.isPinned) || (new Date(b.createdAt) - new Date(a.createdAt)))
       .slice(0, limit);
   };
 
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { login as apiLogin, logout as apiLogout, getMe } from '@services/authService';
+import { useLanguage } from './LanguageContext';
 
 const AuthContext = createContext();
 
@@ -14,6 +15,19 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const { changeLanguage } = useLanguage();
+
+  // The profile's language follows the user across devices. While it is still
+  // the default, a language already picked on this device is saved to it instead.
+  const syncPreferredLanguage = (profile) => {
+    const saved = profile?.preferred_language;
+    const local = localStorage.getItem('sensease-language');
+    if (saved && saved !== 'en') {
+      changeLanguage(saved, { sync: false });
+    } else if (local && local !== 'en') {
+      changeLanguage(local);
+    }
+  };
 
   useEffect(() => {
     // Try fetching current user from backend session cookies
@@ -35,6 +49,7 @@ export const AuthProvider = ({ children }) => {
               localStorage.setItem('sensee_role', normalized.role);
             }
           } catch {}
+          syncPreferredLanguage(normalized);
         }
       } catch (e) {
         // Not logged in or endpoint unavailable; fall back to localStorage
@@ -79,6 +94,7 @@ export const AuthProvider = ({ children }) => {
           localStorage.setItem('sensee_role', normalized.role);
         }
       } catch {}
+      syncPreferredLanguage(normalized);
 
       return { success: true, user: normalized };
     } catch (error) {
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { languages } from '../data/translations';
+import { updatePreferredLanguage } from '@services/authService';
 
 const LanguageContext = createContext();
 
@@ -27,12 +28,21 @@ export const LanguageProvider = ({ children }) => {
     }
   }, []);
 
-  const changeLanguage = (langCode) => {
+  // Saved to the profile too when signed in, so AI replies and guidance
+  // follow it; pass { sync: false } when applying the profile's own value
+  const changeLanguage = (langCode, { sync = true } = {}) => {
     if (!languages[langCode]) return;
     setCurrentLanguage(langCode);
     localStorage.setItem('sensease-language', langCode);
     document.documentElement.dir = languages[langCode]?.dir || 'ltr';
     document.documentElement.lang = langCode;
+
+    const role = localStorage.getItem('sensee_role');
+    if (sync && role) {
+      updatePreferredLanguage(role, langCode).catch((error) => {
+        console.error('Failed to save preferred language:', error);
+      });
+    }
   };
 
   const t = (key, vars) => {
@@ -90,27 +90,29 @@ export const mockForms = [
     title: 'Columbia-Suicide Severity Rating Scale',
     description: 'A screening and rating scale to assess suicidal ideation and behavior.',
     questions: [
-      { id: 'cssrs_q1', text: 'Have you wished you were dead or wished you could go to sleep and not wake up?', type: 'likert', options: [
-        { label: 'No', value: 0 },
-        { label: 'Yes', value: 1 }
+      { id: 'cssrs_q1', text: 'In the past month, have you wished you were dead or wished you could go to sleep and not wake up?', type: 'likert', options: [
+        { label: 'No', value: 'no' },
+        { label: 'Yes', value: 'yes' }
       ]},
-      { id: 'cssrs_q2', text: 'Have you actually had any thoughts of killing yourself?', type: 'likert', options: [
-        { label: 'No', value: 0 },
-        { label: 'Yes', value: 1 }
+      { id: 'cssrs_q2', text: 'In the past month, have you actually had any thoughts of killing yourself?', type: 'likert', options: [
+        { label: 'No', value: 'no' },
+        { label: 'Yes', value: 'yes' }
       ]},
       { id: 'cssrs_q3', text: 'Have you been thinking about how you might do this?', type: 'likert', options: [
-        { label: 'No', value: 0 },
-        { label: 'Yes', value: 1 }
+        { label: 'No', value: 'no' },
+        { label: 'Yes', value: 'yes' }
       ]},
-      { id: 'cssrs_q4', text: 'Have you ever tried to kill yourself?', type: 'likert', options: [
-        { label: 'No', value: 0 },
-        { label: 'Yes', value: 1 }
+      { id: 'cssrs_q4', text: 'Have you had these thoughts and had some intention of acting on them?', type: 'likert', options: [
+        { label: 'No', value: 'no' },
+        { label: 'Yes', value: 'yes' }
+      ]},
+      { id: 'cssrs_q5', text: 'Have you started to work out or worked out the details of how to kill yourself? Do you intend to carry out this plan?', type: 'likert', options: [
+        { label: 'No', value: 'no' },
+        { label: 'Yes', value: 'yes' }
       ]},
-      { id: 'cssrs_q5', text: 'If yes, how many times have you actually tried to harm yourself?', type: 'likert', options: [
-        { label: 'None', value: 0 },
-        { label: '1 time', value: 1 },
-        { label: '2-3 times', value: 2 },
-        { label: '4 or more times', value: 3 }
+      { id: 'cssrs_q6', text: 'Have you ever done anything, started to do anything, or prepared to do anything to end your life?', type: 'likert', options: [
+        { label: 'No', value: 'no' },
+        { label: 'Yes', value: 'yes' }
       ]}
     ]
   },
@@ -414,10 +416,10 @@ export const mockForms = [
     title: 'Pittsburgh Sleep Quality Index',
     description: 'A 19-item measure of sleep quality.',
     questions: [
-      { id: 'psqi_q1', text: 'During the past month, when have you usually gone to bed at night?', type: 'text', options: [] },
-      { id: 'psqi_q2', text: 'How long (in minutes) has it usually taken you to fall asleep each night?', type: 'text', options: [] },
-      { id: 'psqi_q3', text: 'During the past month, when have you usually gotten up in the morning?', type: 'text', options: [] },
-      { id: 'psqi_q4', text: 'How many hours of actual sleep did you get at night? (This may be different than the number of hours you spend in bed)', type: 'text', options: [] },
+      { id: 'psqi_q1', text: 'During the past month, when have you usually gone to bed at night?', type: 'text', input: 'time', options: [] },
+      { id: 'psqi_q2', text: 'How long (in minutes) has it usually taken you to fall asleep each night?', type: 'text', input: 'minutes', options: [] },
+      { id: 'psqi_q3', text: 'During the past month, when have you usually gotten up in the morning?', type: 'text', input: 'time', options: [] },
+      { id: 'psqi_q4', text: 'How many hours of actual sleep did you get at night? (This may be different than the number of hours you spend in bed)', type: 'text', input: 'hours', options: [] },
       { id: 'psqi_q5', text: 'Cannot get to sleep within 30 minutes', type: 'likert', options: [
         { label: 'Not during the past month', value: 0 },
         { label: 'Less than once a week', value: 1 },
@@ -472,7 +474,37 @@ export const mockForms = [
         { label: 'Once or twice a week', value: 2 },
         { label: 'Three or more times a week', value: 3 }
       ]},
-      { id: 'psqi_q14', text: 'Other reason, please describe', type: 'text', options: [] }
+      { id: 'psqi_q14', text: 'Other reason, please describe', type: 'text', options: [] },
+      { id: 'psqi_q15', text: 'Trouble sleeping because of the other reason you described', type: 'likert', options: [
+        { label: 'Not during the past month', value: 0 },
+        { label: 'Less than once a week', value: 1 },
+        { label: 'Once or twice a week', value: 2 },
+        { label: 'Three or more times a week', value: 3 }
+      ]},
+      { id: 'psqi_q16', text: 'During the past month, how would you rate your sleep quality overall?', type: 'likert', options: [
+        { label: 'Very good', value: 0 },
+        { label: 'Fairly good', value: 1 },
+        { label: 'Fairly bad', value: 2 },
+        { label: 'Very bad', value: 3 }
+      ]},
+      { id: 'psqi_q17', text: 'During the past month, how often have you taken medicine to help you sleep?', type: 'likert', options: [
+        { label: 'Not during the past month', value: 0 },
+        { label: 'Less than once a week', value: 1 },
+        { label: 'Once or twice a week', value: 2 },
+        { label: 'Three or more times a week', value: 3 }
+      ]},
+      { id: 'psqi_q18', text: 'During the past month, how often have you had trouble staying awake while driving, eating meals, or engaging in social activity?', type: 'likert', options: [
+        { label: 'Not during the past month', value: 0 },
+        { label: 'Less than once a week', value: 1 },
+        { label: 'Once or twice a week', value: 2 },
+        { label: 'Three or more times a week', value: 3 }
+      ]},
+      { id: 'psqi_q19', text: 'During the past month, how much of a problem has it been for you to keep up enough enthusiasm to get things done?', type: 'likert', options: [
+        { label: 'No problem at all', value: 0 },
+        { label: 'Only a very slight problem', value: 1 },
+        { label: 'Somewhat of a problem', value: 2 },
+        { label: 'A very big problem', value: 3 }
+      ]}
     ]
   },
   {
@@ -95,7 +95,7 @@ export const languages = {
       mmse_info: 'MMSE: An 11-question screening test for cognitive impairment and dementia.',
       cssrs_title: 'Columbia-Suicide Severity Rating Scale',
       cssrs_desc: 'A screening and rating scale to assess suicidal ideation and behavior.',
-      cssrs_questions: '5 questions',
+      cssrs_questions: '6 questions',
       cssrs_time: '~3 min',
       cssrs_info: 'C-SSRS: A screening and rating scale to assess suicidal ideation and behavior.',
       pss10_title: 'Perceived Stress Scale - 10',
@@ -736,7 +736,7 @@ export const languages = {
     mmse_info: 'MMSE: संज्ञानात्मक हानि और डिमेंशिया के लिए 11-प्रश्न स्क्रीनिंग परीक्षण।',
     cssrs_title: 'कोलंबिया-आत्मघाती गंभीरता रेटिंग स्केल',
     cssrs_desc: 'आत्मघाती विचारधारा और व्यवहार का आकलन करने के लिए स्क्रीनिंग और रेटिंग स्केल।',
-    cssrs_questions: '5 सवाल',
+    cssrs_questions: '6 सवाल',
     cssrs_time: '~3 मिनट',
     cssrs_info: 'C-SSRS: आत्मघाती विचारधारा और व्यवहार का आकलन करने के लिए स्क्रीनिंग और रेटिंग स्केल।',
     pss10_title: 'समझी गई तनाव पैमाना - 10',
@@ -1364,7 +1364,7 @@ ur: {
     mmse_info: 'MMSE: شناختی خرابی اور ڈیمنشیا کے لیے 11 سوالوں کا ٹیسٹ۔',
     cssrs_title: 'کولمبیا خودکشی کی شدت کی درجہ بندی',
     cssrs_desc: 'خودکشی سوچ اور رویے کا جائزہ لینے کے لیے اسکریننگ اور درجہ بندی کا پیمانہ۔',
-    cssrs_questions: '5 سوالات',
+    cssrs_questions: '6 سوالات',
     cssrs_time: '~3 منٹ',
     cssrs_info: 'C-SSRS: خودکشی سوچ اور رویے کا جائزہ لینے کے لیے اسکریننگ اور درجہ بندی کا پیمانہ۔',
     pss10_title: 'سمجھی گئی تناؤ پیمانہ - 10',
@@ -1456,7 +1456,7 @@ ur: {
     mmse_info: 'MMSE: شناختی خرابی اور ڈیمنشیا کے لیے 11 سوالوں کا ٹیسٹ۔',
     cssrs_title: 'کولمبیا خودکشی کی شدت کی درجہ بندی',
     cssrs_desc: 'خودکشی سوچ اور رویے کا جائزہ لینے کے لیے اسکریننگ اور درجہ بندی کا پیمانہ۔',
-    cssrs_questions: '5 سوالات',
+    cssrs_questions: '6 سوالات',
     cssrs_time: '~3 منٹ',
     cssrs_info: 'C-SSRS: خودکشی سوچ اور رویے کا جائزہ لینے کے لیے اسکریننگ اور درجہ بندی کا پیمانہ۔',
     pss10_title: 'سمجھی گئی تناؤ پیمانہ - 10',
@@ -771,10 +771,10 @@ export const mockForms = [
     title: 'Pittsburgh Sleep Quality Index',
     description: 'A 19-item measure of sleep quality.',
     questions: [
-      { id: 'psqi_q1', text: 'During the past month, when have you usually gone to bed at night?', type: 'text', options: [] },
-      { id: 'psqi_q2', text: 'How long (in minutes) has it usually taken you to fall asleep each night?', type: 'text', options: [] },
-      { id: 'psqi_q3', text: 'During the past month, when have you usually gotten up in the morning?', type: 'text', options: [] },
-      { id: 'psqi_q4', text: 'How many hours of actual sleep did you get at night? (This may be different than the number of hours you spend in bed)', type: 'text', options: [] },
+      { id: 'psqi_q1', text: 'During the past month, when have you usually gone to bed at night?', type: 'text', input: 'time', options: [] },
+      { id: 'psqi_q2', text: 'How long (in minutes) has it usually taken you to fall asleep each night?', type: 'text', input: 'minutes', options: [] },
+      { id: 'psqi_q3', text: 'During the past month, when have you usually gotten up in the morning?', type: 'text', input: 'time', options: [] },
+      { id: 'psqi_q4', text: 'How many hours of actual sleep did you get at night? (This may be different than the number of hours you spend in bed)', type: 'text', input: 'hours', options: [] },
       { id: 'psqi_q5', text: 'Cannot get to sleep within 30 minutes', type: 'likert', options: [
         { label: 'Not during the past month', value: 0 },
         { label: 'Less than once a week', value: 1 },
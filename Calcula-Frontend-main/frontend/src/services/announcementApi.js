@@ -91,6 +91,9 @@ export const markAnnouncementSeen = async (announcementId) => {
 export const transformAnnouncementForFrontend = (backendAnnouncement) => {
   return {
     id: backendAnnouncement.id,
+    kind: backendAnnouncement.kind || 'announcement',
+    formType: backendAnnouncement.form_type || null,
+    dueAt: backendAnnouncement.due_at || null,
     title: backendAnnouncement.title,
     content: backendAnnouncement.content,
     type: backendAnnouncement.type || 'info',
@@ -38,3 +38,68 @@ export const getAssessmentById = async (assessmentId) => {
   // Backend returns { success, message, data: {...} }
   return response.data.data;
 };
+
+/**
+ * Get score trends for every assessment the student has taken
+ * @returns {Promise<{trends: Array<{formType, series, baseline, latest, delta, change, reliableChange, recovered}>}>}
+ */
+export const getAssessmentTrends = async () => {
+  const response = await apiClient.get('/student/assessments/trends');
+  return response.data.data;
+};
+
+/**
+ * Get assessments the student is due to take (re-screens and college campaigns)
+ * @returns {Promise<{due: Array<{formType, reason, dueAt, overdue, lastTakenAt, campaignName}>, total: number}>}
+ */
+export const getDueAssessments = async () => {
+  const response = await apiClient.get('/student/assessments/due');
+  return response.data.data;
+};
+
+/**
+ * Save a partially completed assessment so it can be resumed later
+ * @param {string} formType - The type of assessment form (e.g., 'DERS-18')
+ * @param {object} responses - Answers so far (unanswered questions omitted)
+ * @returns {Promise<{formType, responses, answered, total, updatedAt}>}
+ */
+export const saveAssessmentDraft = async (formType, responses) => {
+  const response = await apiClient.put(`/student/assessments/drafts/${encodeURIComponent(formType)}`, {
+    responses
+  });
+  return response.data.data;
+};
+
+/**
+ * Get the saved draft for a form, or null if there is none
+ * @param {string} formType - The type of assessment form
+ * @returns {Promise<object|null>}
+ */
+export const getAssessmentDraft = async (formType) => {
+  try {
+    const response = await apiClient.get(`/student/assessments/drafts/${encodeURIComponent(formType)}`);
+    return response.data.data;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Discard the saved draft for a form
+ * @param {string} formType - The type of assessment form
+ */
+export const deleteAssessmentDraft = async (formType) => {
+  await apiClient.delete(`/student/assessments/drafts/${encodeURIComponent(formType)}`);
+};
+
+/**
+ * Turn a 422 from the assessment endpoints into a readable message
+ * @param {object} error - Rejected API error ({ status, message, data })
+ * @returns {string}
+ */
+export const describeResponseErrors = (error) => {
+  const items = error?.data?.error?.details?.validation;
+  if (!Array.isArray(items) || items.length === 0) return error?.message || 'Request failed';
+  return items.map(({ field, message }) => `${field}: ${message}`).join('; ');
+};
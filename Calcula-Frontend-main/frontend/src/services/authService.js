@@ -36,3 +36,12 @@ export async function getMe(roleHint) {
     throw e;
   }
 }
+
+// Roles with a PUT /<role>/profile endpoint
+const PROFILE_ROLES = ['student', 'counsellor', 'admin'];
+
+export async function updatePreferredLanguage(role, language) {
+  if (!PROFILE_ROLES.includes(role)) return null;
+  const res = await api.put(`/${role}/profile`, { preferred_language: language });
+  return res.data?.data || res.data;
+}
@@ -0,0 +1,44 @@
+import apiClient from './api';
+
+/**
+ * Get the student's daily mood series from AI companion chats and journal entries
+ * Days follow the browser's timezone.
+ * @param {number} days - Number of days up to today (max 180)
+ * @returns {Promise<{days: Array<{date, label, inferredLabel, valence, counts, corrected, note}>, summary: object, sharing: object}>}
+ */
+export const getMoodTimeline = async (days = 30) => {
+  const response = await apiClient.get('/student/mood-timeline', {
+    params: { days, tzOffset: new Date().getTimezoneOffset() }
+  });
+  return response.data.data;
+};
+
+/**
+ * Correct the mood of a day the detector got wrong
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} label - anger, disgust, fear, joy, neutral, sadness or surprise
+ * @param {string} note - Optional note (max 500 characters, never shown to counsellors)
+ * @returns {Promise<{date, label, note, updatedAt}>}
+ */
+export const correctMoodDay = async (date, label, note) => {
+  const response = await apiClient.put(`/student/mood-timeline/days/${date}`, { label, note });
+  return response.data.data;
+};
+
+/**
+ * Remove a day's correction so the detected mood shows again
+ * @param {string} date - YYYY-MM-DD
+ */
+export const clearMoodCorrection = async (date) => {
+  await apiClient.delete(`/student/mood-timeline/days/${date}`);
+};
+
+/**
+ * Share or stop sharing the mood timeline with counsellors
+ * @param {boolean} shareWithCounsellors
+ * @returns {Promise<{shareWithCounsellors, sharedAt, updatedAt}>}
+ */
+export const setMoodSharing = async (shareWithCounsellors) => {
+  const response = await apiClient.put('/student/mood-timeline/sharing', { shareWithCounsellors });
+  return response.data.data;
+};
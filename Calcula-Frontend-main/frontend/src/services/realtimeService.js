@@ -0,0 +1,149 @@
+import apiClient from './api';
+
+/**
+ * Realtime voice assistant (OpenAI Realtime over WebRTC)
+ * The backend configures each session for the user's role: instructions,
+ * the college's crisis contacts, tools and turn detection. This module
+ * connects the microphone, runs the assistant's tool calls through the
+ * backend and tells the backend when the session ends.
+ */
+
+const REALTIME_URL = 'https://api.openai.com/v1/realtime';
+
+/**
+ * Start a voice session
+ * @param {string} role - 'student', 'counsellor' or 'admin' (the route prefix)
+ * @param {Object} handlers
+ * @param {Function} handlers.onTranscriptDelta - Part of the assistant's reply as it speaks
+ * @param {Function} handlers.onTranscript - The assistant's full reply once spoken
+ * @param {Function} handlers.onStatus - 'Thinking...' / 'Listening...'
+ * @param {Function} handlers.onToolEvent - A tool the assistant ran, e.g. showing crisis contacts
+ * @returns {Promise<{sessionId: string, stop: Function}>} stop(reason) hangs up and records the end
+ */
+export const startRealtimeVoice = async (role, handlers = {}) => {
+  const { onTranscriptDelta, onTranscript, onStatus, onToolEvent } = handlers;
+
+  const response = await apiClient.post(`/${role}/realtime-session`);
+  const { session_id: sessionId, client_secret: clientSecret, model } = response.data.data;
+
+  const pc = new RTCPeerConnection();
+  const audioEl = document.createElement('audio');
+  audioEl.autoplay = true;
+  pc.ontrack = (e) => {
+    audioEl.srcObject = e.streams[0];
+  };
+
+  const dc = pc.createDataChannel('oai-events');
+  let stream = null;
+  let stopped = false;
+
+  const send = (event) => {
+    if (dc.readyState === 'open') dc.send(JSON.stringify(event));
+  };
+
+  const runTool = async ({ call_id: callId, name, arguments: args }) => {
+    let output;
+    try {
+      const result = await apiClient.post(`/${role}/realtime-session/${sessionId}/tools`, { callId, name, arguments: args });
+      output = result.data.data.output;
+      onToolEvent?.(result.data.data.event);
+    } catch (error) {
+      console.error('Realtime tool call error:', error);
+      output = JSON.stringify({ error: 'The tool is unavailable right now. Tell them you could not do this.' });
+    }
+    send({ type: 'conversation.item.create', item: { type: 'function_call_output', call_id: callId, output } });
+  };
+
+  dc.addEventListener('message', async (e) => {
+    let event;
+    try {
+      event = JSON.parse(e.data);
+    } catch (err) {
+      console.error('DataChannel parse error:', err);
+      return;
+    }
+
+    if (event.type === 'response.audio_transcript.delta') {
+      onTranscriptDelta?.(event.delta || '');
+    }
+
+    if (event.type === 'response.audio_transcript.done' && event.transcript) {
+      onTranscript?.(event.transcript);
+    }
+
+    if (event.type === 'response.done') {
+      // Tool calls come back as output items; answer them all, then let the assistant continue
+      const calls = (event.response?.output || []).filter((item) => item.type === 'function_call');
+      if (calls.length === 0) {
+        onStatus?.('Listening...');
+        return;
+      }
+      onStatus?.('Thinking...');
+      await Promise.all(calls.map(runTool));
+      send({ type: 'response.create' });
+    }
+  });
+
+  const stop = (reason = 'ended') => {
+    if (stopped) return;
+    stopped = true;
+
+    dc.close();
+    pc.close();
+    stream?.getTracks().forEach((track) => track.stop());
+    audioEl.srcObject = null;
+
+    apiClient.post(`/${role}/realtime-session/${sessionId}/end`, { reason }).catch((error) => {
+      console.error('Failed to end voice session:', error);
+    });
+  };
+
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    pc.addTrack(stream.getTracks()[0]);
+
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
+
+    const sdpRes = await fetch(`${REALTIME_URL}?model=${encodeURIComponent(model)}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${clientSecret}`,
+        'Content-Type': 'application/sdp'
+      },
+      body: offer.sdp
+    });
+
+    if (!sdpRes.ok) {
+      console.error('OpenAI SDP error:', await sdpRes.text());
+      throw new Error('Failed to establish session');
+    }
+
+    await pc.setRemoteDescription({ type: 'answer', sdp: await sdpRes.text() });
+  } catch (error) {
+    stop('error');
+    throw error;
+  }
+
+  return { sessionId, stop };
+};
+
+/**
+ * Crisis contacts the assistant looked up, as a chat message
+ * @param {Object} event - Tool event from onToolEvent
+ * @returns {string|null} null for other tools
+ */
+export const crisisContactsText = (event) => {
+  if (event?.tool !== 'get_crisis_contacts' || !event.result) return null;
+  const { college, contacts = [], helplines = [] } = event.result;
+
+  const line = ({ label, phone, email, hours }) =>
+    `• ${label}: ${[phone, email].filter(Boolean).join(', ')}${hours ? ` (${hours})` : ''}`;
+
+  return [
+    'If you need help right now, you can reach:',
+    ...(college?.phone ? [line({ label: college.name, phone: college.phone })] : []),
+    ...contacts.map(line),
+    ...helplines.map(line)
+  ].join('\n');
+};
@@ -78,6 +78,21 @@ export const getResourceDownloadUrl = async (resourceId) => {
   }
 };
 
+/**
+ * Re-index a resource into the AI companion's knowledge base
+ * @param {string} resourceId - UUID of the resource
+ * @returns {Promise<Object>} { id, index_status, chunk_count, index_error }
+ */
+export const reindexResource = async (resourceId) => {
+  try {
+    const response = await api.post(`/counsellor/resources/${resourceId}/reindex`);
+    return response.data;
+  } catch (error) {
+    console.error('Error re-indexing resource:', error);
+    throw error;
+  }
+};
+
 /**
  * Get a single resource by ID
  * @param {string} resourceId - UUID of the resource
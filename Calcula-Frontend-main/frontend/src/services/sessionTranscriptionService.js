@@ -0,0 +1,152 @@
+import api from './api';
+
+/**
+ * Session Transcription Service
+ * A counsellor can transcribe a session only after the student agreed to it
+ * for that appointment. Audio goes up in numbered chunks while the session
+ * runs; finishing joins them and drafts notes and goals that the counsellor
+ * edits and saves with updateSessionNotesAndGoals.
+ */
+
+// ==================== STUDENT ENDPOINTS ====================
+
+/**
+ * Whether the student agreed to the session being transcribed
+ * @param {string} appointmentId - UUID of the appointment
+ * @returns {Promise} { appointmentId, consented, consentedAt, withdrawnAt }
+ */
+export const getTranscriptionConsent = async (appointmentId) => {
+  try {
+    const response = await api.get(`/student/appointments/${appointmentId}/transcription-consent`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching transcription consent:', error);
+    throw error;
+  }
+};
+
+/**
+ * Give or withdraw consent; withdrawing deletes any transcript of the session
+ * @param {string} appointmentId - UUID of the appointment
+ * @param {boolean} consented
+ * @returns {Promise} Updated consent (transcriptDeleted when one was removed)
+ */
+export const setTranscriptionConsent = async (appointmentId, consented) => {
+  try {
+    const response = await api.put(`/student/appointments/${appointmentId}/transcription-consent`, { consented });
+    return response.data;
+  } catch (error) {
+    console.error('Error updating transcription consent:', error);
+    throw error;
+  }
+};
+
+// ==================== COUNSELLOR ENDPOINTS ====================
+
+/**
+ * Consent status and transcript of a session
+ * @param {string} appointmentId - UUID of the appointment
+ * @returns {Promise} { appointmentId, consented, transcript }
+ */
+export const getSessionTranscript = async (appointmentId) => {
+  try {
+    const response = await api.get(`/counsellor/sessions/${appointmentId}/transcript`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching session transcript:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start (or resume) transcribing a session
+ * @param {string} appointmentId - UUID of the appointment
+ * @returns {Promise} Transcript with the number of chunks already received
+ */
+export const startSessionTranscript = async (appointmentId) => {
+  try {
+    const response = await api.post(`/counsellor/sessions/${appointmentId}/transcript/start`);
+    return response.data;
+  } catch (error) {
+    console.error('Error starting session transcript:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send one chunk of session audio
+ * @param {string} appointmentId - UUID of the appointment
+ * @param {number} seq - Position of the chunk in the recording (0, 1, 2, ...)
+ * @param {Blob} audio - A complete audio file (e.g. webm)
+ * @returns {Promise} { seq, text }
+ */
+export const uploadTranscriptChunk = async (appointmentId, seq, audio) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', audio, `chunk-${seq}.webm`);
+    formData.append('seq', String(seq));
+    const response = await api.post(`/counsellor/sessions/${appointmentId}/transcript/chunks`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error uploading transcript chunk:', error);
+    throw error;
+  }
+};
+
+/**
+ * Finish the transcript and draft the session summary
+ * @param {string} appointmentId - UUID of the appointment
+ * @returns {Promise} { transcript, summaryError }
+ */
+export const finishSessionTranscript = async (appointmentId) => {
+  try {
+    const response = await api.post(`/counsellor/sessions/${appointmentId}/transcript/finish`);
+    return response.data;
+  } catch (error) {
+    console.error('Error finishing session transcript:', error);
+    throw error;
+  }
+};
+
+/**
+ * Draft the session summary again
+ * @param {string} appointmentId - UUID of the appointment
+ * @returns {Promise} { transcript, summaryError }
+ */
+export const regenerateSessionSummary = async (appointmentId) => {
+  try {
+    const response = await api.post(`/counsellor/sessions/${appointmentId}/transcript/summary`);
+    return response.data;
+  } catch (error) {
+    console.error('Error drafting session summary:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a session transcript
+ * @param {string} appointmentId - UUID of the appointment
+ * @returns {Promise}
+ */
+export const deleteSessionTranscript = async (appointmentId) => {
+  try {
+    const response = await api.delete(`/counsellor/sessions/${appointmentId}/transcript`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting session transcript:', error);
+    throw error;
+  }
+};
+
+export default {
+  getTranscriptionConsent,
+  setTranscriptionConsent,
+  getSessionTranscript,
+  startSessionTranscript,
+  uploadTranscriptChunk,
+  finishSessionTranscript,
+  regenerateSessionSummary,
+  deleteSessionTranscript
+};
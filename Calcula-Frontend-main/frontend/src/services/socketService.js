@@ -37,6 +37,30 @@ const getAccessToken = async () => {
   }
 };
 
+/**
+ * Socket.IO `auth` option. Called on every (re)connect so a reconnect after
+ * the access token expires picks up the refreshed one. The server derives the
+ * user, role and college from the token.
+ */
+const provideAuth = (cb) => {
+  getAccessToken().then((token) => cb(token ? { token } : {}));
+};
+
+/**
+ * The server disconnects sockets whose token expired (reconnect with a fresh
+ * token) or whose session was revoked by logout or an admin (stay disconnected)
+ */
+const handleSessionEvents = (sock, label) => {
+  sock.on('session_expired', () => {
+    console.log(`${label} Session token expired, reconnecting`);
+    sock.once('disconnect', () => sock.connect());
+  });
+
+  sock.on('session_revoked', ({ reason } = {}) => {
+    console.log(`${label} Session revoked:`, reason);
+  });
+};
+
 /**
  * Initialize Socket.IO connection for messaging
  * @param {Object} user - User object with id, role, college_id
@@ -49,34 +73,15 @@ export const connectSocket = async (user) => {
   }
 
   try {
-    // Get token from backend API
-    const token = await getAccessToken();
-
-    // Auth object - include what we can
-    const authData = {
-      userId: user?.id,
-      userRole: user?.role,
-      collegeId: user?.college_id
-    };
-    
-    // Only add token if we have it
-    if (token) {
-      authData.token = token;
-      console.log('[Socket] Connecting with explicit token');
-    } else {
-      console.log('[Socket] Connecting with withCredentials only');
-    }
-
-    console.log('Connecting socket with auth:', { ...authData, token: token ? '[PRESENT]' : '[MISSING]' });
-
     socket = io(BACKEND_URL, {
-      auth: authData,
+      auth: provideAuth,
       transports: ['websocket', 'polling'],
       withCredentials: true, // Important: Send cookies with socket connection
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
     });
+    handleSessionEvents(socket, '[Socket]');
 
     // Connection events
     socket.on('connect', () => {
@@ -336,52 +341,15 @@ export const initiateCommunitySocket = async (user) => {
       throw new Error('User data is required');
     }
 
-    // Get token from backend API
-    const token = await getAccessToken();
-
-    // Auth object - handle both college_id and collegeId formats
-    const authData = {
-      userId: user.id,
-      userRole: user.role,
-      collegeId: user.college_id || user.collegeId
-    };
-    
-    // Add token if available
-    if (token) {
-      authData.token = token;
-      console.log('[Community Socket] Connecting with explicit token');
-    } else {
-      console.log('[Community Socket] Connecting with withCredentials only');
-    }
-
-    console.log('[Community Socket] Connecting to /community namespace with auth:', { 
-      userId: authData.userId,
-      userRole: authData.userRole,
-      collegeId: authData.collegeId,
-      token: token ? '[PRESENT]' : '[MISSING]',
-      hasUserId: !!authData.userId,
-      hasUserRole: !!authData.userRole,
-      hasCollegeId: !!authData.collegeId
-    });
-
-    // Validate required fields
-    if (!authData.userId || !authData.userRole || !authData.collegeId) {
-      console.error('[Community Socket] Missing required auth fields:', {
-        hasUserId: !!authData.userId,
-        hasUserRole: !!authData.userRole,
-        hasCollegeId: !!authData.collegeId
-      });
-      throw new Error('Missing userId, userRole, or collegeId');
-    }
-
     communitySocket = io(`${BACKEND_URL}/community`, {
-      auth: authData,
+      auth: provideAuth,
       transports: ['websocket', 'polling'],
       withCredentials: true,
       reconnection: true,
       reconnectionAttempts: 5,
       reconnectionDelay: 1000,
     });
+    handleSessionEvents(communitySocket, '[Community Socket]');
 
     // Connection events
     communitySocket.on('connect', () => {